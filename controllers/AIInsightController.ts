@@ -3,6 +3,7 @@ import { Controller, Get, Post, Put, Delete, Injectable, Body, Param, Query } fr
 import { DatabaseService } from '../services/DatabaseService';
 import { AIService } from '../services/AIService';
 import { NotificationService } from '../services/NotificationService';
+import { RequirePermission } from '../services/auth/guards';
 
 interface AIInsight {
   id: string;
@@ -38,6 +39,7 @@ export class AIInsightController {
   ) {}
 
   @Get('/')
+  @RequirePermission('ai:read')
   async getAllInsights(@Query() query: any) {
     try {
       const {
@@ -81,6 +83,7 @@ export class AIInsightController {
   }
 
   @Get('/dashboard')
+  @RequirePermission('ai:read')
   async getDashboardInsights() {
     try {
       // Get recent critical and warning insights
@@ -120,6 +123,7 @@ export class AIInsightController {
   }
 
   @Post('/generate')
+  @RequirePermission('ai:write')
   async generateInsights(@Body() request: InsightRequest) {
     try {
       const insights = await this.aiService.generateSpecificInsights(
@@ -148,6 +152,7 @@ export class AIInsightController {
   }
 
   @Post('/:id/acknowledge')
+  @RequirePermission('ai:write')
   async acknowledgeInsight(@Param('id') id: string, @Body() acknowledgeData: {
     acknowledgedBy: string;
     notes?: string;
@@ -171,6 +176,7 @@ export class AIInsightController {
   }
 
   @Get('/analytics')
+  @RequirePermission('ai:read')
   async getInsightAnalytics(@Query() query: any) {
     try {
       const { startDate, endDate } = query;
@@ -3,19 +3,27 @@
 import { Controller, Get, Query } from '@varld/warp';
 import { DatabaseService } from '../services/DatabaseService';
 import { AIService } from '../services/AIService';
+import { CostingService } from '../services/CostingService';
+import { CompanyService } from '../services/CompanyService';
+import { fiscalYearStartDate } from '../services/companies/CompanySettings';
+import { RequirePermission } from '../services/auth/guards';
 
 @Controller('/api/analytics')
 export class AnalyticsController {
   constructor(
     private database: DatabaseService,
-    private ai: AIService
+    private ai: AIService,
+    private costing: CostingService,
+    private companies: CompanyService
   ) {}
 
   @Get('/dashboard')
+  @RequirePermission('analytics:read')
   async getDashboardData(@Query() filters?: any): Promise<any> {
     const today = new Date();
+    const settings = await this.companies.getSettings();
     const startOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
-    const startOfYear = new Date(today.getFullYear(), 0, 1);
+    const startOfYear = fiscalYearStartDate(settings, today);
 
     // Key metrics
     const metrics = await Promise.all([
@@ -47,6 +55,8 @@ export class AnalyticsController {
     const aiInsights = await this.ai.generateInventoryRecommendations('all');
 
     return {
+      currency: settings.currency,
+      fiscalYearStart: startOfYear,
       metrics: {
         ordersThisMonth: metrics[0],
         revenueThisMonth: metrics[1]._sum.totalAmount || 0,
@@ -63,6 +73,7 @@ export class AnalyticsController {
   }
 
   @Get('/sales-performance')
+  @RequirePermission('analytics:read')
   async getSalesPerformance(@Query() params: {
     startDate?: string;
     endDate?: string;
@@ -81,6 +92,7 @@ export class AnalyticsController {
   }
 
   @Get('/inventory-optimization')
+  @RequirePermission('analytics:read')
   async getInventoryOptimization(): Promise<any> {
     // AI-powered inventory optimization recommendations
     const insights = await this.ai.generateInventoryRecommendations('all');
@@ -94,7 +106,64 @@ export class AnalyticsController {
     };
   }
 
+  @Get('/inventory-valuation')
+  @RequirePermission('analytics:read')
+  async getInventoryValuation(@Query() params: {
+    asOf?: string;
+    groupBy?: 'item' | 'category' | 'location';
+  }): Promise<any> {
+    // Stock value under the company's costing method, now or at a past date
+    const valuation = await this.costing.getValuation(params.asOf ? new Date(params.asOf) : undefined);
+    if (!params.groupBy || params.groupBy === 'item') {
+      return valuation;
+    }
+
+    const groups = new Map<string, { key: string; quantity: number; value: number }>();
+    for (const line of valuation.lines) {
+      const key = (params.groupBy === 'category' ? line.category : line.location) || 'Unassigned';
+      const group = groups.get(key) || { key, quantity: 0, value: 0 };
+      group.quantity += line.quantity;
+      group.value = Math.round((group.value + line.value) * 100) / 100;
+      groups.set(key, group);
+    }
+
+    return { ...valuation, lines: Array.from(groups.values()) };
+  }
+
+  @Get('/gross-margin')
+  @RequirePermission('analytics:read')
+  async getGrossMargin(@Query() params: {
+    orderId?: string;
+    customerId?: string;
+    startDate?: string;
+    endDate?: string;
+  }): Promise<any> {
+    // Per-order gross margin on shipped quantities, from cost of goods posted at shipment
+    const orders = await this.costing.getOrderMargins({
+      orderId: params.orderId,
+      customerId: params.customerId,
+      startDate: params.startDate ? new Date(params.startDate) : undefined,
+      endDate: params.endDate ? new Date(params.endDate) : undefined
+    });
+
+    const revenue = Math.round(orders.reduce((sum, order) => sum + order.revenue, 0) * 100) / 100;
+    const costOfGoods = Math.round(orders.reduce((sum, order) => sum + order.costOfGoods, 0) * 100) / 100;
+    const grossMargin = Math.round((revenue - costOfGoods) * 100) / 100;
+
+    return {
+      currency: (await this.companies.getSettings()).currency,
+      totals: {
+        revenue,
+        costOfGoods,
+        grossMargin,
+        marginPercent: revenue > 0 ? Math.round((grossMargin / revenue) * 10000) / 100 : 0
+      },
+      orders: orders.sort((a, b) => a.marginPercent - b.marginPercent)
+    };
+  }
+
   @Get('/customer-insights')
+  @RequirePermission('analytics:read')
   async getCustomerInsights(): Promise<any> {
     // Customer behavior analysis and churn prediction
     return {
@@ -0,0 +1,165 @@
+// controllers/ApprovalController.ts
+import { Controller, Get, Post, Put, Delete, Injectable, Body, Param, Query } from '@varld/warp';
+import { ApprovalService } from '../services/ApprovalService';
+import { APPROVAL_DOCUMENT_TYPES, ApprovalDocumentType } from '../services/approvals/ApprovalChains';
+import { RequirePermission, assertPermission } from '../services/auth/guards';
+import { currentUserId } from '../services/auth/RequestContext';
+
+// Approval policies, delegations and the requests they produce. Decisions are made on
+// the document's own endpoint (approving a purchase, an order or a stock adjustment) so
+// that approving and carrying out the document stay one step.
+@Injectable()
+@Controller('/api/approvals')
+export class ApprovalController {
+  constructor(private approvalService: ApprovalService) {}
+
+  // What the signed-in user can decide now
+  @Get('/inbox')
+  @RequirePermission()
+  async getInbox() {
+    try {
+      const requests = await this.approvalService.inbox();
+      return { success: true, data: requests };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/policies')
+  @RequirePermission('approvals:read')
+  async getPolicies(@Query() query: any) {
+    try {
+      const policies = await this.approvalService.listPolicies({
+        documentType: query.documentType,
+        includeInactive: query.includeInactive === 'true'
+      });
+      return { success: true, data: policies };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/policies')
+  @RequirePermission('approvals:manage')
+  async createPolicy(@Body() policyData: any) {
+    try {
+      const policy = await this.approvalService.createPolicy(policyData);
+      return { success: true, data: policy, message: 'Approval policy created' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Put('/policies/:id')
+  @RequirePermission('approvals:manage')
+  async updatePolicy(@Param('id') id: string, @Body() policyData: any) {
+    try {
+      const policy = await this.approvalService.updatePolicy(id, policyData);
+      return { success: true, data: policy, message: 'Approval policy updated' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Delete('/policies/:id')
+  @RequirePermission('approvals:manage')
+  async deactivatePolicy(@Param('id') id: string) {
+    try {
+      const policy = await this.approvalService.deactivatePolicy(id);
+      return { success: true, data: policy, message: 'Approval policy deactivated' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Your own delegations; everyone's with approvals:manage and ?all=true
+  @Get('/delegations')
+  @RequirePermission()
+  async getDelegations(@Query() query: any) {
+    try {
+      if (query.all === 'true') {
+        assertPermission('approvals:manage');
+      }
+      const delegations = await this.approvalService.listDelegations(query.all === 'true' ? undefined : currentUserId());
+      return { success: true, data: delegations };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Hands your approvals to someone else while you are away. Setting one up for
+  // another user takes approvals:manage.
+  @Post('/delegations')
+  @RequirePermission()
+  async createDelegation(@Body() delegationData: any) {
+    try {
+      if (delegationData.userId && delegationData.userId !== currentUserId()) {
+        assertPermission('approvals:manage');
+      }
+      const delegation = await this.approvalService.createDelegation(delegationData);
+      return { success: true, data: delegation, message: 'Delegation created' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Delete('/delegations/:id')
+  @RequirePermission()
+  async revokeDelegation(@Param('id') id: string) {
+    try {
+      const delegation = (await this.approvalService.listDelegations(currentUserId()))
+        .find(entry => entry.id === id && entry.userId === currentUserId());
+      if (!delegation) {
+        assertPermission('approvals:manage');
+      }
+      const revoked = await this.approvalService.revokeDelegation(id);
+      return { success: true, data: revoked, message: 'Delegation revoked' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Every request on the document with its full history
+  @Get('/document/:documentType/:documentId')
+  @RequirePermission('approvals:read')
+  async getDocumentApprovals(@Param('documentType') documentType: string, @Param('documentId') documentId: string) {
+    try {
+      if (!APPROVAL_DOCUMENT_TYPES.includes(documentType as ApprovalDocumentType)) {
+        return { success: false, error: `documentType must be one of ${APPROVAL_DOCUMENT_TYPES.join(', ')}` };
+      }
+      const requests = await this.approvalService.forDocument(documentId, documentType as ApprovalDocumentType);
+      return { success: true, data: requests };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/')
+  @RequirePermission('approvals:read')
+  async getRequests(@Query() query: any) {
+    try {
+      const requests = await this.approvalService.listRequests({
+        documentType: query.documentType,
+        status: query.status,
+        limit: query.limit ? parseInt(query.limit) : undefined
+      });
+      return { success: true, data: requests };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/:id')
+  @RequirePermission('approvals:read')
+  async getRequest(@Param('id') id: string) {
+    try {
+      const request = await this.approvalService.getRequest(id);
+      if (!request) {
+        return { success: false, error: 'Approval request not found' };
+      }
+      return { success: true, data: request };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
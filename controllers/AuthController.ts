@@ -0,0 +1,83 @@
+// controllers/AuthController.ts
+import { Controller, Get, Post, Injectable, Body } from '@varld/warp';
+import { AuthService } from '../services/AuthService';
+import { RequirePermission } from '../services/auth/guards';
+import { getCurrentUser } from '../services/auth/RequestContext';
+import { ROLE_PERMISSIONS } from '../services/auth/permissions';
+
+@Injectable()
+@Controller('/api/auth')
+export class AuthController {
+  constructor(private authService: AuthService) {}
+
+  // Public: this is how a client gets a token in the first place
+  @Post('/login')
+  async login(@Body() credentials: { email: string; password: string }) {
+    try {
+      if (!credentials?.email || !credentials?.password) {
+        return { success: false, error: 'email and password are required' };
+      }
+
+      const tokens = await this.authService.login(credentials.email, credentials.password);
+      return { success: true, data: tokens };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Public: the refresh token itself is the credential
+  @Post('/refresh')
+  async refresh(@Body() request: { refreshToken: string }) {
+    try {
+      if (!request?.refreshToken) {
+        return { success: false, error: 'refreshToken is required' };
+      }
+
+      const tokens = await this.authService.refresh(request.refreshToken);
+      return { success: true, data: tokens };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/logout')
+  @RequirePermission()
+  async logout() {
+    try {
+      await this.authService.logout(getCurrentUser()!.id);
+      return { success: true, message: 'Logged out; all tokens for this account were revoked' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/me')
+  @RequirePermission()
+  async getCurrentUserProfile() {
+    try {
+      const user = getCurrentUser()!;
+      const profile = await this.authService.getUser(user.id);
+
+      return {
+        success: true,
+        data: {
+          ...profile,
+          permissions: ROLE_PERMISSIONS[user.role]
+        }
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/change-password')
+  @RequirePermission()
+  async changePassword(@Body() request: { currentPassword: string; newPassword: string }) {
+    try {
+      await this.authService.changePassword(getCurrentUser()!.id, request.currentPassword, request.newPassword);
+      return { success: true, message: 'Password changed; please log in again' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
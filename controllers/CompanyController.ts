@@ -0,0 +1,44 @@
+// controllers/CompanyController.ts
+import { Controller, Get, Post, Put, Injectable, Body } from '@varld/warp';
+import { CompanyService } from '../services/CompanyService';
+import { RequirePermission } from '../services/auth/guards';
+import { CompanySettings } from '../services/companies/CompanySettings';
+
+@Injectable()
+@Controller('/api/companies')
+export class CompanyController {
+  constructor(private companyService: CompanyService) {}
+
+  @Get('/current')
+  @RequirePermission('company:read')
+  async getCurrentCompany() {
+    try {
+      const company = await this.companyService.getCurrentCompany();
+      return { success: true, data: company };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Put('/current/settings')
+  @RequirePermission('company:settings')
+  async updateSettings(@Body() changes: Partial<CompanySettings>) {
+    try {
+      const company = await this.companyService.updateSettings(changes);
+      return { success: true, data: company };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/')
+  @RequirePermission('companies:create')
+  async createCompany(@Body() companyData: any) {
+    try {
+      const result = await this.companyService.createCompany(companyData);
+      return { success: true, data: result };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
@@ -3,9 +3,13 @@ import { Controller, Get, Post, Put, Delete, Injectable, Body, Param, Query } fr
 import { DatabaseService } from '../services/DatabaseService';
 import { AIService } from '../services/AIService';
 import { NotificationService } from '../services/NotificationService';
+import { RequirePermission } from '../services/auth/guards';
+import { currentUserId } from '../services/auth/RequestContext';
+import { PaymentTerms, resolvePaymentTerms } from '../services/invoicing/PaymentTerms';
 
 interface Customer {
   id: string;
+  code?: string; // account code, the key spreadsheet imports match on
   companyName: string;
   contactPerson: string;
   email: string;
@@ -19,17 +23,26 @@ interface Customer {
   };
   businessType: 'general_contractor' | 'subcontractor' | 'homeowner' | 'developer' | 'architect';
   creditLimit: number;
-  paymentTerms: string;
+  paymentTerms: string | PaymentTerms;
   taxId?: string;
+  taxExempt?: boolean; // only honored with a current exemption certificate on file
   website?: string;
   notes?: string;
-  status: 'active' | 'inactive' | 'blocked';
+  status: 'active' | 'inactive' | 'blocked' | 'credit_hold';
+  creditHold?: {
+    reason: string;
+    automatic: boolean;
+    previousStatus: string;
+    placedAt: Date;
+    placedBy: string;
+  };
   createdAt: Date;
   lastOrderDate?: Date;
   totalOrders: number;
   totalSpent: number;
   riskScore: number;
   loyaltyTier: 'bronze' | 'silver' | 'gold' | 'platinum';
+  priceLevel?: string; // price lists for this level apply; the loyalty tier when unset
 }
 
 interface CustomerContact {
@@ -62,6 +75,7 @@ export class CustomerController {
   ) {}
 
   @Get('/')
+  @RequirePermission('customers:read')
   async getAllCustomers(@Query() query: any) {
     try {
       const { 
@@ -117,6 +131,7 @@ export class CustomerController {
   }
 
   @Get('/:id')
+  @RequirePermission('customers:read')
   async getCustomerById(@Param('id') id: string) {
     try {
       const customer = await this.databaseService.findById('customers', id);
@@ -156,6 +171,7 @@ export class CustomerController {
   }
 
   @Post('/')
+  @RequirePermission('customers:write')
   async createCustomer(@Body() customerData: Partial<Customer>) {
     try {
       // Validate required fields
@@ -172,6 +188,10 @@ export class CustomerController {
         return { success: false, error: 'Customer with this email already exists' };
       }
 
+      if (customerData.paymentTerms) {
+        resolvePaymentTerms(customerData.paymentTerms);
+      }
+
       // Set default values
       const newCustomer: Customer = {
         id: this.generateId(),
@@ -205,7 +225,7 @@ export class CustomerController {
         subject: 'Welcome to our system',
         content: 'Customer account created successfully',
         timestamp: new Date(),
-        userId: 'system'
+        userId: currentUserId()
       });
 
       return { success: true, data: saved };
@@ -215,13 +235,22 @@ export class CustomerController {
   }
 
   @Put('/:id')
+  @RequirePermission('customers:write')
   async updateCustomer(@Param('id') id: string, @Body() updateData: Partial<Customer>) {
     try {
-      const existing = await this.databaseService.findById('customers', id);
+      const existing = await this.databaseService.findById<Customer>('customers', id);
       if (!existing) {
         return { success: false, error: 'Customer not found' };
       }
 
+      // Credit holds are managed through /api/invoices/credit
+      if (updateData.status && (updateData.status === 'credit_hold' || existing.status === 'credit_hold')) {
+        return { success: false, error: 'Use the credit hold endpoints to place or release a credit hold' };
+      }
+      if (updateData.paymentTerms) {
+        resolvePaymentTerms(updateData.paymentTerms);
+      }
+
       const updated = {
         ...existing,
         ...updateData
@@ -244,6 +273,7 @@ export class CustomerController {
   }
 
   @Delete('/:id')
+  @RequirePermission('customers:delete')
   async deleteCustomer(@Param('id') id: string) {
     try {
       const existing = await this.databaseService.findById('customers', id);
@@ -270,6 +300,7 @@ export class CustomerController {
   }
 
   @Post('/:id/contacts')
+  @RequirePermission('customers:write')
   async addCustomerContact(@Param('id') id: string, @Body() contactData: Partial<CustomerContact>) {
     try {
       const customer = await this.databaseService.findById('customers', id);
@@ -283,7 +314,7 @@ export class CustomerController {
         subject: contactData.subject || '',
         content: contactData.content || '',
         timestamp: new Date(),
-        userId: contactData.userId || 'system',
+        userId: currentUserId(),
         outcome: contactData.outcome
       });
 
@@ -294,6 +325,7 @@ export class CustomerController {
   }
 
   @Get('/:id/analytics')
+  @RequirePermission('customers:read')
   async getCustomerAnalytics(@Param('id') id: string) {
     try {
       const customer = await this.databaseService.findById('customers', id);
@@ -317,15 +349,17 @@ export class CustomerController {
   }
 
   @Get('/analytics/overview')
+  @RequirePermission('customers:read')
   async getCustomersOverview() {
     try {
-      const customers = await this.databaseService.find('customers', {});
+      const customers = await this.databaseService.find<any>('customers', {});
       
       const overview = {
         total_customers: customers.length,
         active_customers: customers.filter(c => c.status === 'active').length,
         inactive_customers: customers.filter(c => c.status === 'inactive').length,
         blocked_customers: customers.filter(c => c.status === 'blocked').length,
+        credit_hold_customers: customers.filter(c => c.status === 'credit_hold').length,
         business_types: this.groupByBusinessType(customers),
         loyalty_tiers: this.groupByLoyaltyTier(customers),
         total_revenue: customers.reduce((sum, c) => sum + c.totalSpent, 0),
@@ -343,6 +377,7 @@ export class CustomerController {
   }
 
   @Post('/bulk-update-tier')
+  @RequirePermission('customers:write')
   async bulkUpdateLoyaltyTiers() {
     try {
       const customers = await this.databaseService.find('customers', {});
@@ -367,6 +402,7 @@ export class CustomerController {
   }
 
   @Get('/:id/recommendations')
+  @RequirePermission('customers:read')
   async getCustomerRecommendations(@Param('id') id: string) {
     try {
       const customer = await this.databaseService.findById('customers', id);
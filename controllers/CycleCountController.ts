@@ -0,0 +1,193 @@
+// controllers/CycleCountController.ts
+import { Controller, Get, Post, Injectable, Body, Param, Query } from '@varld/warp';
+import { DatabaseService } from '../services/DatabaseService';
+import { CycleCountService, CycleCount, CountSessionRequest } from '../services/CycleCountService';
+import { OrderFulfillmentService } from '../services/OrderFulfillmentService';
+import { RequirePermission } from '../services/auth/guards';
+
+@Injectable()
+@Controller('/api/cycle-counts')
+export class CycleCountController {
+  constructor(
+    private databaseService: DatabaseService,
+    private cycleCountService: CycleCountService,
+    private fulfillmentService: OrderFulfillmentService
+  ) {}
+
+  @Get('/')
+  @RequirePermission('inventory:read')
+  async getCycleCounts(@Query() query: any) {
+    try {
+      const { status, locationId, page = 1, limit = 50 } = query;
+
+      const filters: any = {};
+      if (status) filters.status = status;
+      if (locationId) filters.locationId = locationId;
+
+      const sessions = await this.databaseService.find<CycleCount>('cycle_counts', filters, {
+        sort: { createdAt: -1 },
+        skip: (page - 1) * limit,
+        limit: parseInt(limit)
+      });
+      const total = await this.databaseService.count('cycle_counts', filters);
+
+      return {
+        success: true,
+        data: sessions.map(session => this.cycleCountService.toCountSheet(session)),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/accuracy')
+  @RequirePermission('inventory:read')
+  async getAccuracy(@Query() query: any) {
+    try {
+      const accuracy = await this.cycleCountService.getAccuracy(query.since ? new Date(query.since) : undefined);
+
+      return { success: true, data: accuracy };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/abc/refresh')
+  @RequirePermission('inventory:count')
+  async refreshAbcClasses() {
+    try {
+      const counts = await this.cycleCountService.refreshAbcClasses();
+
+      return { success: true, data: counts };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/:id')
+  @RequirePermission('inventory:read')
+  async getCycleCount(@Param('id') id: string) {
+    try {
+      const session = await this.databaseService.findById<CycleCount>('cycle_counts', id);
+      if (!session) {
+        return { success: false, error: 'Cycle count not found' };
+      }
+
+      return { success: true, data: this.cycleCountService.toCountSheet(session) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/')
+  @RequirePermission('inventory:count')
+  async createCycleCount(@Body() request: CountSessionRequest) {
+    try {
+      const requiredFields: Array<keyof CountSessionRequest> = ['locationId', 'method'];
+      for (const field of requiredFields) {
+        if (!request?.[field]) {
+          return { success: false, error: `${field} is required` };
+        }
+      }
+
+      const session = await this.cycleCountService.generateSession(request);
+
+      return {
+        success: true,
+        data: this.cycleCountService.toCountSheet(session),
+        message: `Count sheet ${session.countNumber} generated with ${session.lines.length} lines`
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/:id/counts')
+  @RequirePermission('inventory:count')
+  async recordCounts(
+    @Param('id') id: string,
+    @Body() body: { counts: Array<{ lineId: string; countedQuantity: number }> }
+  ) {
+    try {
+      const session = await this.cycleCountService.recordCounts(id, body?.counts);
+
+      return { success: true, data: this.cycleCountService.toCountSheet(session) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/:id/submit')
+  @RequirePermission('inventory:count')
+  async submitForReview(@Param('id') id: string) {
+    try {
+      const session = await this.cycleCountService.submitForReview(id);
+      const pending = session.lines.filter(line => line.approval?.status === 'pending').length;
+
+      return {
+        success: true,
+        data: session,
+        message: pending > 0
+          ? `${pending} variance(s) need approval before posting`
+          : 'All variances are within tolerance; ready to post'
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/:id/lines/:lineId/review')
+  @RequirePermission('inventory:approve')
+  async reviewLine(
+    @Param('id') id: string,
+    @Param('lineId') lineId: string,
+    @Body() decision: { approved: boolean; notes?: string }
+  ) {
+    try {
+      if (typeof decision?.approved !== 'boolean') {
+        return { success: false, error: 'approved is required' };
+      }
+
+      const session = await this.cycleCountService.reviewLine(id, lineId, decision);
+
+      return { success: true, data: session };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/:id/post')
+  @RequirePermission('inventory:count')
+  async postCycleCount(@Param('id') id: string) {
+    try {
+      const { session, increasedProducts } = await this.cycleCountService.post(id);
+
+      // Stock found during the count may fill waiting backorders
+      for (const productId of increasedProducts) {
+        await this.fulfillmentService.allocateBackorders(productId);
+      }
+
+      return { success: true, data: session };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/:id/cancel')
+  @RequirePermission('inventory:count')
+  async cancelCycleCount(@Param('id') id: string) {
+    try {
+      const session = await this.cycleCountService.cancel(id);
+
+      return { success: true, data: session };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
@@ -0,0 +1,144 @@
+// controllers/DispatchController.ts
+import { Controller, Get, Post, Put, Injectable, Body, Param, Query } from '@varld/warp';
+import { DispatchService } from '../services/DispatchService';
+import { Truck } from '../services/dispatch/Loads';
+import { ProofOfDelivery } from '../services/orders/OrderLifecycle';
+import { RequirePermission, assertPermission } from '../services/auth/guards';
+
+@Injectable()
+@Controller('/api/dispatch')
+export class DispatchController {
+  constructor(private dispatchService: DispatchService) {}
+
+  @Get('/trucks')
+  @RequirePermission('dispatch:read')
+  async getTrucks(@Query() query: any) {
+    try {
+      const trucks = await this.dispatchService.listTrucks(query.includeInactive === 'true');
+      return { success: true, data: trucks };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/trucks')
+  @RequirePermission('dispatch:write')
+  async createTruck(@Body() truckData: Partial<Truck>) {
+    try {
+      const truck = await this.dispatchService.createTruck(truckData);
+      return { success: true, data: truck };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Put('/trucks/:truckId')
+  @RequirePermission('dispatch:write')
+  async updateTruck(@Param('truckId') truckId: string, @Body() changes: Partial<Truck>) {
+    try {
+      const truck = await this.dispatchService.updateTruck(truckId, changes);
+      return { success: true, data: truck };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Loads for a delivery date. Previews by default; save: true keeps the plan.
+  @Post('/plan')
+  @RequirePermission('dispatch:read')
+  async planLoads(@Body() body: { date?: string; save?: boolean }) {
+    try {
+      if (body.save) {
+        assertPermission('dispatch:write');
+      }
+      const plan = await this.dispatchService.planLoads(body.date ? new Date(body.date) : new Date(), {
+        save: Boolean(body.save)
+      });
+      return {
+        success: true,
+        data: plan,
+        message: plan.saved ? `${plan.loads.length} load(s) planned` : undefined
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/loads')
+  @RequirePermission('dispatch:read')
+  async getLoads(@Query() query: any) {
+    try {
+      const loads = await this.dispatchService.listLoads({
+        date: query.date,
+        status: query.status,
+        truckId: query.truckId
+      });
+      return { success: true, data: loads };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/loads/:id')
+  @RequirePermission('dispatch:read')
+  async getLoad(@Param('id') id: string) {
+    try {
+      const load = await this.dispatchService.getLoad(id);
+      if (!load) {
+        return { success: false, error: 'Load not found' };
+      }
+      return { success: true, data: load };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Bill of lading (type=bol) or hazmat shipping papers (type=hazmat), base64 PDF
+  @Get('/loads/:id/document')
+  @RequirePermission('dispatch:read')
+  async getDocument(@Param('id') id: string, @Query() query: any) {
+    try {
+      const document = await this.dispatchService.renderDocument(id, query.type === 'hazmat' ? 'hazmat' : 'bol');
+      return { success: true, data: document };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/loads/:id/dispatch')
+  @RequirePermission('dispatch:write')
+  async dispatchLoad(@Param('id') id: string, @Body() body: { driverName?: string }) {
+    try {
+      const load = await this.dispatchService.dispatchLoad(id, { driverName: body?.driverName });
+      return { success: true, data: load, message: `Load ${load.loadNumber} dispatched` };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/loads/:id/stops/:stopId/delivered')
+  @RequirePermission('dispatch:deliver')
+  async recordDelivery(
+    @Param('id') id: string,
+    @Param('stopId') stopId: string,
+    @Body() proof: Omit<ProofOfDelivery, 'recordedBy'>
+  ) {
+    try {
+      const load = await this.dispatchService.recordProofOfDelivery(id, stopId, proof);
+      return { success: true, data: load };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/loads/:id/cancel')
+  @RequirePermission('dispatch:write')
+  async cancelLoad(@Param('id') id: string) {
+    try {
+      const load = await this.dispatchService.cancelLoad(id);
+      return { success: true, data: load, message: `Load ${load.loadNumber} cancelled` };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
@@ -0,0 +1,70 @@
+// controllers/EdiController.ts
+import { Controller, Get, Post, Injectable, Param, Query } from '@varld/warp';
+import { EdiService } from '../services/EdiService';
+import { RequirePermission } from '../services/auth/guards';
+
+@Injectable()
+@Controller('/api/edi')
+export class EdiController {
+  constructor(private ediService: EdiService) {}
+
+  @Get('/interchanges')
+  @RequirePermission('edi:read')
+  async getInterchanges(@Query() query: any) {
+    try {
+      const interchanges = await this.ediService.listInterchanges({
+        direction: query.direction,
+        status: query.status,
+        supplierId: query.supplierId,
+        purchaseId: query.purchaseId
+      });
+      // The raw content is only returned with a single interchange
+      return { success: true, data: interchanges.map(interchange => ({ ...interchange, content: undefined })) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/interchanges/:id')
+  @RequirePermission('edi:read')
+  async getInterchange(@Param('id') id: string) {
+    try {
+      const interchange = await this.ediService.getInterchange(id);
+      if (!interchange) {
+        return { success: false, error: 'Interchange not found' };
+      }
+      return { success: true, data: interchange };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Picks up the inbound folder now rather than waiting for the next poll
+  @Post('/inbound/process')
+  @RequirePermission('edi:write')
+  async processInbound() {
+    try {
+      const results = await this.ediService.processInbound();
+      const failed = results.filter(result => result.status === 'failed').length;
+      return {
+        success: true,
+        data: results,
+        message: `${results.length} file(s) processed` + (failed ? `, ${failed} failed` : '')
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Sends (or resends) an approved purchase as an 850
+  @Post('/purchases/:purchaseId/send')
+  @RequirePermission('edi:write')
+  async sendPurchaseOrder(@Param('purchaseId') purchaseId: string) {
+    try {
+      const interchange = await this.ediService.sendPurchaseOrder(purchaseId);
+      return { success: true, data: interchange, message: `Interchange ${interchange.controlNumber} written` };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
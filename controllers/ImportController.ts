@@ -0,0 +1,104 @@
+// controllers/ImportController.ts
+import { Controller, Get, Post, Injectable, Body, Param, Query } from '@varld/warp';
+import { ImportService } from '../services/ImportService';
+import { IMPORT_ENTITIES, ImportEntity, isImportEntity } from '../services/imports/ImportSchemas';
+import { formatOf } from '../services/imports/Spreadsheets';
+import { RequirePermission, assertPermission } from '../services/auth/guards';
+
+interface ImportUpload {
+  file: string; // base64
+  fileName?: string;
+  format?: 'csv' | 'xlsx';
+  mapping?: Record<string, string>;
+  commit?: boolean;
+}
+
+@Injectable()
+@Controller('/api/imports')
+export class ImportController {
+  constructor(private importService: ImportService) {}
+
+  // What can be imported, with the columns each sheet takes
+  @Get('/entities')
+  @RequirePermission('imports:read')
+  async getEntities() {
+    return {
+      success: true,
+      // Permissions stay server-side; they are checked per entity below
+      data: Object.values(IMPORT_ENTITIES).map(spec => ({
+        entity: spec.entity,
+        label: spec.label,
+        key: spec.key,
+        columns: spec.columns
+      }))
+    };
+  }
+
+  @Get('/batches')
+  @RequirePermission('imports:read')
+  async getBatches(@Query() query: any) {
+    try {
+      const batches = await this.importService.listBatches({ entity: query.entity });
+      return { success: true, data: batches };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The same columns the import reads, as a base64 document
+  @Get('/:entity/export')
+  @RequirePermission()
+  async exportEntity(@Param('entity') entity: string, @Query() query: any) {
+    try {
+      assertPermission(this.entity(entity).readPermission);
+      const document = await this.importService.exportSheet(entity as ImportEntity, formatOf(undefined, query.format || 'csv'));
+      return { success: true, data: document };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Previews the sheet unless commit is set; a sheet with any bad row is never written
+  @Post('/:entity')
+  @RequirePermission()
+  async importEntity(@Param('entity') entity: string, @Body() upload: ImportUpload) {
+    try {
+      assertPermission(this.entity(entity).writePermission);
+      if (!upload?.file) {
+        return { success: false, error: 'file is required' };
+      }
+
+      const result = await this.importService.importSheet(entity as ImportEntity, {
+        content: Buffer.from(upload.file, 'base64'),
+        fileName: upload.fileName,
+        format: upload.format,
+        mapping: upload.mapping,
+        commit: upload.commit === true
+      });
+
+      const { totals } = result;
+      const summary = `${totals.create} to create, ${totals.update} to update, ${totals.unchanged} unchanged`;
+      if (totals.errors > 0) {
+        return {
+          success: false,
+          error: `${totals.errors} of ${totals.rows} row(s) have errors; nothing was imported`,
+          data: result
+        };
+      }
+      return {
+        success: true,
+        data: result,
+        message: result.committed ? `Import ${result.importNumber}: ${summary.replace(/to (create|update)/g, '$1d')}` : `Preview: ${summary}`
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  private entity(entity: string) {
+    if (!isImportEntity(entity)) {
+      throw new Error(`Cannot import ${entity}; use one of ${Object.keys(IMPORT_ENTITIES).join(', ')}`);
+    }
+    return IMPORT_ENTITIES[entity];
+  }
+}
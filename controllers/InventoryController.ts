@@ -3,6 +3,15 @@ import { Controller, Get, Post, Put, Delete, Injectable, Body, Param, Query } fr
 import { DatabaseService } from '../services/DatabaseService';
 import { AIService } from '../services/AIService';
 import { NotificationService } from '../services/NotificationService';
+import { RequirePermission } from '../services/auth/guards';
+import { currentUserId } from '../services/auth/RequestContext';
+import { OrderFulfillmentService } from '../services/OrderFulfillmentService';
+import { WarehouseService, Location } from '../services/WarehouseService';
+import { CostingService } from '../services/CostingService';
+import { CostLayer, CostingMethod } from '../services/inventory/Costing';
+import { StockBalance, UNASSIGNED_BIN, stockStatus } from '../services/inventory/StockBalances';
+import { ApprovalService } from '../services/ApprovalService';
+import { ApprovalRequest, describeApprovers, outstandingApprovers } from '../services/approvals/ApprovalChains';
 
 interface InventoryItem {
   id: string;
@@ -10,11 +19,18 @@ interface InventoryItem {
   productName: string;
   category: string;
   quantity: number;
+  reservedQuantity?: number; // held for confirmed orders, still on hand until shipped
   minimumStock: number;
   maximumStock: number;
   unit: string;
-  unitCost: number;
+  unitCost: number; // carrying cost per unit under the costing method
+  avgCost?: number;
+  costLayers?: CostLayer[];
   location: string;
+  locationId?: string;
+  balances?: StockBalance[]; // per bin and lot; quantity is their sum
+  inTransitQuantity?: number; // on transfer orders heading here
+  nextExpiry?: Date;
   supplier: string;
   lastUpdated: Date;
   expirationDate?: Date;
@@ -29,6 +45,14 @@ interface StockMovement {
   quantity: number;
   reason: string;
   reference: string;
+  locationId?: string;
+  binCode?: string;
+  toBinCode?: string;
+  lotNumber?: string;
+  transferId?: string;
+  unitCost?: number;
+  quantityChange?: number; // signed; with valueChange, drives point-in-time valuation
+  valueChange?: number;
   timestamp: Date;
   userId: string;
 }
@@ -38,6 +62,16 @@ interface InventoryAdjustment {
   newQuantity: number;
   reason: string;
   notes?: string;
+  binCode?: string;
+  lotNumber?: string;
+  expirationDate?: Date;
+}
+
+interface BinMove {
+  fromBin: string;
+  toBin: string;
+  quantity: number;
+  lotNumber?: string;
 }
 
 @Injectable()
@@ -46,10 +80,15 @@ export class InventoryController {
   constructor(
     private databaseService: DatabaseService,
     private aiService: AIService,
-    private notificationService: NotificationService
+    private notificationService: NotificationService,
+    private fulfillmentService: OrderFulfillmentService,
+    private warehouseService: WarehouseService,
+    private costingService: CostingService,
+    private approvalService: ApprovalService
   ) {}
 
   @Get('/')
+  @RequirePermission('inventory:read')
   async getAllInventory(@Query() query: any) {
     try {
       const { 
@@ -67,6 +106,7 @@ export class InventoryController {
       
       if (category) filters.category = category;
       if (location) filters.location = location;
+      if (query.locationId) filters.locationId = query.locationId;
       if (status) filters.status = status;
       if (lowStockOnly === 'true') {
         filters.quantity = { $lte: { $ref: 'minimumStock' } };
@@ -101,6 +141,7 @@ export class InventoryController {
   }
 
   @Get('/:id')
+  @RequirePermission('inventory:read')
   async getInventoryById(@Param('id') id: string) {
     try {
       const inventory = await this.databaseService.findById('inventory', id);
@@ -131,15 +172,34 @@ export class InventoryController {
   }
 
   @Post('/')
+  @RequirePermission('inventory:write')
   async createInventoryItem(@Body() inventoryData: Partial<InventoryItem>) {
     try {
       // Validate required fields
-      const requiredFields = ['productId', 'productName', 'category', 'quantity', 'unit', 'location'];
+      const requiredFields = ['productId', 'productName', 'category', 'quantity', 'unit'];
       for (const field of requiredFields) {
         if (!inventoryData[field]) {
           return { success: false, error: `${field} is required` };
         }
       }
+      if (!inventoryData.location && !inventoryData.locationId) {
+        return { success: false, error: 'location or locationId is required' };
+      }
+
+      if (inventoryData.locationId) {
+        const location = await this.databaseService.findById<Location>('locations', inventoryData.locationId);
+        if (!location) {
+          return { success: false, error: 'Location not found' };
+        }
+        const duplicate = await this.databaseService.findOne('inventory', {
+          productId: inventoryData.productId,
+          locationId: location.id
+        });
+        if (duplicate) {
+          return { success: false, error: `${location.name} already has a stock record for this product` };
+        }
+        inventoryData.location = location.name;
+      }
 
       // Set default values
       const newInventory: InventoryItem = {
@@ -153,6 +213,25 @@ export class InventoryController {
         ...inventoryData
       } as InventoryItem;
 
+      // Opening stock goes into the given bin, under the batch number if there is one
+      const { binCode } = inventoryData as any;
+      newInventory.balances = newInventory.quantity > 0 ? [{
+        binCode: binCode || UNASSIGNED_BIN,
+        lotNumber: newInventory.batchNumber,
+        expirationDate: newInventory.expirationDate,
+        receivedDate: new Date(),
+        quantity: newInventory.quantity,
+        unitCost: newInventory.unitCost
+      }] : [];
+      newInventory.costLayers = newInventory.quantity > 0 ? [{
+        receivedDate: new Date(),
+        quantity: newInventory.quantity,
+        unitCost: newInventory.unitCost,
+        reference: 'INITIAL'
+      }] : [];
+      newInventory.avgCost = newInventory.unitCost;
+      delete (newInventory as any).binCode;
+
       // Determine stock status
       newInventory.status = this.determineStockStatus(newInventory);
 
@@ -165,8 +244,14 @@ export class InventoryController {
         quantity: newInventory.quantity,
         reason: 'Initial stock',
         reference: 'INITIAL',
+        locationId: newInventory.locationId,
+        binCode: newInventory.balances[0]?.binCode,
+        lotNumber: newInventory.batchNumber,
+        unitCost: newInventory.unitCost,
+        quantityChange: newInventory.quantity,
+        valueChange: Math.round(newInventory.quantity * newInventory.unitCost * 100) / 100,
         timestamp: new Date(),
-        userId: 'system'
+        userId: currentUserId()
       });
 
       // Send notification if low stock
@@ -186,6 +271,7 @@ export class InventoryController {
   }
 
   @Put('/:id')
+  @RequirePermission('inventory:write')
   async updateInventoryItem(@Param('id') id: string, @Body() updateData: Partial<InventoryItem>) {
     try {
       const existing = await this.databaseService.findById('inventory', id);
@@ -193,6 +279,17 @@ export class InventoryController {
         return { success: false, error: 'Inventory item not found' };
       }
 
+      // Stock levels change through adjustments, receipts, moves and transfers so
+      // that every change is recorded as a stock movement; cost follows the costing method
+      for (const field of [
+        'quantity', 'reservedQuantity', 'balances', 'inTransitQuantity', 'locationId',
+        'unitCost', 'avgCost', 'costLayers'
+      ]) {
+        if (field in updateData) {
+          return { success: false, error: `${field} cannot be changed directly` };
+        }
+      }
+
       const updated = {
         ...existing,
         ...updateData,
@@ -214,6 +311,7 @@ export class InventoryController {
   }
 
   @Delete('/:id')
+  @RequirePermission('inventory:delete')
   async deleteInventoryItem(@Param('id') id: string) {
     try {
       const existing = await this.databaseService.findById('inventory', id);
@@ -233,51 +331,119 @@ export class InventoryController {
   }
 
   @Post('/:id/adjust')
+  @RequirePermission('inventory:adjust')
   async adjustInventory(@Param('id') id: string, @Body() adjustment: InventoryAdjustment) {
     try {
-      const inventory = await this.databaseService.findById('inventory', id);
+      const inventory = await this.databaseService.findById<InventoryItem>('inventory', id);
       if (!inventory) {
         return { success: false, error: 'Inventory item not found' };
       }
 
-      const oldQuantity = inventory.quantity;
-      const quantityDifference = adjustment.newQuantity - oldQuantity;
+      // Adjustments an approval policy covers are held until approved
+      const adjustmentId = this.generateId('adj');
+      const request = await this.approvalService.request('inventory_adjustment', {
+        id: adjustmentId,
+        number: `${inventory.productName} @ ${inventory.location}`,
+        summary: `Adjust ${inventory.productName} at ${inventory.location} from ${inventory.quantity} to ${adjustment.newQuantity}: ${adjustment.reason}`
+      }, {
+        amount: Math.abs(adjustment.newQuantity - inventory.quantity) * (inventory.unitCost || 0),
+        categories: inventory.category ? [inventory.category] : []
+      }, {
+        inventoryId: id,
+        fromQuantity: inventory.quantity,
+        newQuantity: adjustment.newQuantity,
+        reason: adjustment.reason,
+        binCode: adjustment.binCode,
+        lotNumber: adjustment.lotNumber,
+        expirationDate: adjustment.expirationDate
+      });
+      if (request) {
+        return {
+          success: true,
+          data: inventory,
+          approval: request,
+          message: `Adjustment ${request.requestNumber} waits on ${describeApprovers(outstandingApprovers(request))}`
+        };
+      }
+
+      return await this.applyAdjustment(inventory, adjustment.newQuantity, adjustment);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
 
-      // Update inventory quantity
-      const updated = await this.databaseService.update('inventory', id, {
-        quantity: adjustment.newQuantity,
-        lastUpdated: new Date(),
-        status: this.determineStockStatus({
-          ...inventory,
-          quantity: adjustment.newQuantity
-        })
+  // Adjustment requests for the item, with their approval history
+  @Get('/adjustments/:inventoryId')
+  @RequirePermission('inventory:read')
+  async getAdjustments(@Param('inventoryId') inventoryId: string) {
+    try {
+      const requests = await this.databaseService.find<ApprovalRequest>('approval_requests', {
+        documentType: 'inventory_adjustment',
+        'payload.inventoryId': inventoryId
+      }, { sort: { requestedAt: -1 } });
+      return { success: true, data: requests };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Decides a held adjustment. Once approved, the change is applied to the quantity on
+  // hand now, so stock that moved while it waited is not overwritten.
+  @Post('/adjustments/:adjustmentId/approve')
+  @RequirePermission()
+  async approveAdjustment(@Param('adjustmentId') adjustmentId: string, @Body() approval: { approved: boolean; notes?: string }) {
+    try {
+      const [decided] = await this.approvalService.decideForDocument(['inventory_adjustment'], adjustmentId, {
+        approved: approval.approved === true,
+        comments: approval.notes
       });
+      if (decided.status !== 'approved') {
+        return {
+          success: true,
+          approval: decided,
+          message: decided.status === 'pending'
+            ? `Decision recorded; ${decided.requestNumber} now waits on ${describeApprovers(outstandingApprovers(decided))}`
+            : `Adjustment ${decided.requestNumber} ${decided.status}`
+        };
+      }
 
-      // Create stock movement record
-      await this.createStockMovement({
-        inventoryId: id,
-        type: 'adjustment',
-        quantity: Math.abs(quantityDifference),
-        reason: adjustment.reason,
-        reference: `ADJ-${Date.now()}`,
-        timestamp: new Date(),
-        userId: 'system' // Should come from auth context
+      const held = decided.payload;
+      const inventory = await this.databaseService.findById<InventoryItem>('inventory', held.inventoryId);
+      if (!inventory) {
+        return { success: false, error: 'Inventory item not found' };
+      }
+      const newQuantity = Math.max(0, inventory.quantity + held.newQuantity - held.fromQuantity);
+      const applied = await this.applyAdjustment(inventory, newQuantity, {
+        ...held,
+        reason: `${held.reason} (approved ${decided.requestNumber})`
       });
+      return { ...applied, approval: decided };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/:id/move')
+  @RequirePermission('inventory:write')
+  async moveBetweenBins(@Param('id') id: string, @Body() move: BinMove) {
+    try {
+      const requiredFields: Array<keyof BinMove> = ['fromBin', 'toBin', 'quantity'];
+      for (const field of requiredFields) {
+        if (!move?.[field]) {
+          return { success: false, error: `${field} is required` };
+        }
+      }
 
-      // Check for alerts
-      await this.checkStockAlerts(updated);
+      const updated = await this.warehouseService.moveBetweenBins(id, move);
 
-      return { 
-        success: true, 
-        data: updated,
-        message: `Inventory adjusted from ${oldQuantity} to ${adjustment.newQuantity}`
-      };
+      return { success: true, data: updated };
     } catch (error) {
       return { success: false, error: error.message };
     }
   }
 
   @Post('/bulk-update')
+  @RequirePermission('inventory:adjust')
   async bulkUpdateInventory(@Body() updates: Array<{id: string, quantity: number, reason: string}>) {
     try {
       const results = [];
@@ -302,6 +468,7 @@ export class InventoryController {
   }
 
   @Get('/analytics/stock-levels')
+  @RequirePermission('inventory:read')
   async getStockLevelAnalytics() {
     try {
       const inventory = await this.databaseService.find('inventory', {});
@@ -326,7 +493,36 @@ export class InventoryController {
     }
   }
 
+  @Get('/costing/method')
+  @RequirePermission('inventory:read')
+  async getCostingMethod() {
+    try {
+      const method = await this.costingService.getCostingMethod();
+
+      return { success: true, data: { costingMethod: method } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Put('/costing/method')
+  @RequirePermission('inventory:costing')
+  async setCostingMethod(@Body() body: { costingMethod: CostingMethod }) {
+    try {
+      if (!body?.costingMethod) {
+        return { success: false, error: 'costingMethod is required' };
+      }
+
+      const result = await this.costingService.setCostingMethod(body.costingMethod);
+
+      return { success: true, data: result };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
   @Get('/movements/:inventoryId')
+  @RequirePermission('inventory:read')
   async getStockMovements(@Param('inventoryId') inventoryId: string, @Query() query: any) {
     try {
       const { page = 1, limit = 20 } = query;
@@ -358,19 +554,44 @@ export class InventoryController {
     }
   }
 
-  private determineStockStatus(inventory: InventoryItem): string {
-    if (inventory.expirationDate && new Date() > inventory.expirationDate) {
-      return 'expired';
-    }
-    if (inventory.quantity <= 0) {
-      return 'out_of_stock';
-    }
-    if (inventory.quantity <= inventory.minimumStock) {
-      return 'low_stock';
+  private async applyAdjustment(
+    inventory: InventoryItem,
+    newQuantity: number,
+    adjustment: Pick<InventoryAdjustment, 'reason' | 'binCode' | 'lotNumber' | 'expirationDate'>
+  ) {
+    const oldQuantity = inventory.quantity;
+
+    // Increases go into the given bin/lot; decreases come out of it, or FEFO
+    const adjusted = await this.warehouseService.adjustStock(inventory.id, newQuantity, {
+      reason: adjustment.reason,
+      binCode: adjustment.binCode,
+      lotNumber: adjustment.lotNumber,
+      expirationDate: adjustment.expirationDate
+    });
+
+    const updated = await this.databaseService.update<InventoryItem>('inventory', inventory.id, {
+      status: this.determineStockStatus(adjusted) as InventoryItem['status']
+    });
+
+    // Check for alerts
+    await this.checkStockAlerts(updated);
+
+    if (newQuantity > oldQuantity) {
+      await this.fulfillmentService.allocateBackorders(inventory.productId);
     }
-    return 'in_stock';
+
+    return {
+      success: true,
+      data: updated,
+      message: `Inventory adjusted from ${oldQuantity} to ${newQuantity}`
+    };
   }
 
+  private determineStockStatus(inventory: InventoryItem): string {
+    return stockStatus(inventory);
+  }
+
+
   private async createStockMovement(movement: Omit<StockMovement, 'id'>) {
     const stockMovement: StockMovement = {
       id: this.generateId(),
@@ -413,7 +634,7 @@ export class InventoryController {
     }, {} as Record<string, {count: number, value: number}>);
   }
 
-  private generateId(): string {
-    return 'inv_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  private generateId(prefix: string = 'inv'): string {
+    return prefix + '_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
   }
 }
@@ -0,0 +1,251 @@
+// controllers/InvoiceController.ts
+import { Controller, Get, Post, Injectable, Body, Param, Query } from '@varld/warp';
+import { DatabaseService } from '../services/DatabaseService';
+import { AccountsReceivableService, Invoice, Payment } from '../services/AccountsReceivableService';
+import { RequirePermission } from '../services/auth/guards';
+
+interface InvoiceRequest {
+  orderIds: string[];
+  draft?: boolean;
+  notes?: string;
+}
+
+interface PaymentRequest {
+  amount: number;
+  type?: Payment['type'];
+  reference?: string;
+  date?: string;
+}
+
+@Injectable()
+@Controller('/api/invoices')
+export class InvoiceController {
+  constructor(
+    private databaseService: DatabaseService,
+    private receivablesService: AccountsReceivableService
+  ) {}
+
+  @Get('/')
+  @RequirePermission('invoices:read')
+  async getAllInvoices(@Query() query: any) {
+    try {
+      const { customerId, status, orderId, page = 1, limit = 50 } = query;
+
+      const filters: any = {};
+      if (customerId) filters.customerId = customerId;
+      if (status) filters.status = status;
+      if (orderId) filters.orderIds = orderId;
+
+      const invoices = await this.databaseService.find<Invoice>('invoices', filters, {
+        sort: { invoiceDate: -1 },
+        skip: (page - 1) * limit,
+        limit: parseInt(limit)
+      });
+      const total = await this.databaseService.count('invoices', filters);
+
+      return {
+        success: true,
+        data: invoices,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/aging')
+  @RequirePermission('invoices:read')
+  async getAgingReport(@Query() query: any) {
+    try {
+      const asOf = query.asOf ? new Date(query.asOf) : new Date();
+      const report = await this.receivablesService.getAging(asOf);
+
+      return { success: true, data: report };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/overdue/refresh')
+  @RequirePermission('invoices:write')
+  async refreshOverdue() {
+    try {
+      const marked = await this.receivablesService.refreshOverdueInvoices();
+
+      return { success: true, data: { marked } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/credit/:customerId')
+  @RequirePermission('invoices:read')
+  async getCreditStatus(@Param('customerId') customerId: string) {
+    try {
+      const status = await this.receivablesService.getCreditStatus(customerId);
+
+      return { success: true, data: status };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/credit/:customerId/hold')
+  @RequirePermission('customers:credit')
+  async placeCreditHold(@Param('customerId') customerId: string, @Body() body: { reason: string }) {
+    try {
+      if (!body?.reason) {
+        return { success: false, error: 'reason is required' };
+      }
+
+      await this.receivablesService.placeCreditHold(customerId, body.reason);
+      const status = await this.receivablesService.getCreditStatus(customerId);
+
+      return { success: true, data: status };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/credit/:customerId/release')
+  @RequirePermission('customers:credit')
+  async releaseCreditHold(@Param('customerId') customerId: string) {
+    try {
+      await this.receivablesService.releaseCreditHold(customerId);
+      const status = await this.receivablesService.getCreditStatus(customerId);
+
+      return {
+        success: true,
+        data: status,
+        message: 'Credit hold released. It will be placed again automatically if the customer is still over limit or overdue.'
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/credit-memos')
+  @RequirePermission('invoices:read')
+  async getCreditMemos(@Query() query: any) {
+    try {
+      const memos = await this.receivablesService.listCreditMemos({
+        customerId: query.customerId,
+        status: query.status
+      });
+      return { success: true, data: memos };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Applies what is left on a credit memo (or part of it) to another open invoice
+  @Post('/credit-memos/:id/apply')
+  @RequirePermission('payments:write')
+  async applyCreditMemo(@Param('id') id: string, @Body() body: { invoiceId: string; amount?: number }) {
+    try {
+      if (!body?.invoiceId) {
+        return { success: false, error: 'invoiceId is required' };
+      }
+
+      const memo = await this.receivablesService.applyCreditMemo(
+        id,
+        body.invoiceId,
+        body.amount !== undefined ? Number(body.amount) : undefined
+      );
+      return { success: true, data: memo };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/:id')
+  @RequirePermission('invoices:read')
+  async getInvoiceById(@Param('id') id: string) {
+    try {
+      const invoice = await this.databaseService.findById<Invoice>('invoices', id);
+      if (!invoice) {
+        return { success: false, error: 'Invoice not found' };
+      }
+
+      return { success: true, data: invoice };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/')
+  @RequirePermission('invoices:write')
+  async generateInvoice(@Body() request: InvoiceRequest) {
+    try {
+      if (!request?.orderIds) {
+        return { success: false, error: 'orderIds is required' };
+      }
+
+      const invoice = await this.receivablesService.generateInvoice(request.orderIds, {
+        draft: request.draft,
+        notes: request.notes
+      });
+
+      return { success: true, data: invoice };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/:id/send')
+  @RequirePermission('invoices:write')
+  async sendInvoice(@Param('id') id: string) {
+    try {
+      const invoice = await this.receivablesService.sendInvoice(id);
+
+      return { success: true, data: invoice };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/:id/payments')
+  @RequirePermission('payments:write')
+  async applyPayment(@Param('id') id: string, @Body() payment: PaymentRequest) {
+    try {
+      if (payment?.amount === undefined) {
+        return { success: false, error: 'amount is required' };
+      }
+
+      const invoice = await this.receivablesService.applyPayment(id, {
+        amount: payment.amount,
+        type: payment.type,
+        reference: payment.reference,
+        date: payment.date ? new Date(payment.date) : undefined
+      });
+      const applied = invoice.payments[invoice.payments.length - 1];
+
+      return {
+        success: true,
+        data: invoice,
+        ...(applied.discountTaken > 0 && {
+          message: `Early-payment discount of $${applied.discountTaken} applied`
+        })
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/:id/cancel')
+  @RequirePermission('invoices:write')
+  async cancelInvoice(@Param('id') id: string, @Body() body: { reason?: string }) {
+    try {
+      const invoice = await this.receivablesService.cancelInvoice(id, body?.reason);
+
+      return { success: true, data: invoice };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
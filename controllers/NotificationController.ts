@@ -0,0 +1,179 @@
+// controllers/NotificationController.ts
+import { Controller, Get, Post, Put, Delete, Injectable, Body, Param, Query } from '@varld/warp';
+import { NotificationService } from '../services/NotificationService';
+import { CaptureTransport } from '../services/notifications/CaptureTransport';
+import { RequirePermission } from '../services/auth/guards';
+import { currentUserId, runAsCompany } from '../services/auth/RequestContext';
+
+// The signed-in user's notifications and delivery preferences, delivery analytics,
+// and the endpoint transports post delivery receipts to
+@Injectable()
+@Controller('/api/notifications')
+export class NotificationController {
+  constructor(private notificationService: NotificationService) {}
+
+  @Get('/')
+  @RequirePermission()
+  async getNotifications(@Query() query: any) {
+    try {
+      const result = await this.notificationService.getNotifications(currentUserId(), {
+        status: query.status,
+        type: query.type,
+        page: query.page ? parseInt(query.page) : undefined,
+        limit: query.limit ? parseInt(query.limit) : undefined,
+        unreadOnly: query.unreadOnly === 'true'
+      });
+      return { success: true, data: result.notifications, total: result.total };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/read-all')
+  @RequirePermission()
+  async markAllAsRead() {
+    try {
+      const count = await this.notificationService.markAllAsRead(currentUserId());
+      return { success: true, data: { count } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Channels, phone number, digest ({ frequency: hourly | daily, hour?, types? }) and
+  // quiet hours ({ start, end, timezone? })
+  @Get('/preferences')
+  @RequirePermission()
+  async getPreferences() {
+    try {
+      const preferences = await this.notificationService.getPreferences(currentUserId());
+      return {
+        success: true,
+        data: preferences,
+        pushPublicKey: this.notificationService.getTransports().push.publicKey
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Put('/preferences')
+  @RequirePermission()
+  async updatePreferences(@Body() preferencesData: any) {
+    try {
+      const preferences = await this.notificationService.updatePreferences(currentUserId(), preferencesData);
+      return { success: true, data: preferences, message: 'Notification preferences updated' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The browser's PushSubscription, as returned by pushManager.subscribe()
+  @Post('/push-subscriptions')
+  @RequirePermission()
+  async addPushSubscription(@Body() subscription: any) {
+    try {
+      await this.notificationService.addPushSubscription(currentUserId(), subscription);
+      return { success: true, message: 'Push subscription saved' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Delete('/push-subscriptions')
+  @RequirePermission()
+  async removePushSubscription(@Body() body: { endpoint: string }) {
+    try {
+      await this.notificationService.removePushSubscription(currentUserId(), body?.endpoint);
+      return { success: true, message: 'Push subscription removed' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/analytics')
+  @RequirePermission('analytics:read')
+  async getAnalytics(@Query() query: any) {
+    try {
+      const end = query.end ? new Date(query.end) : new Date();
+      const start = query.start ? new Date(query.start) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+      if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        return { success: false, error: 'start and end must be dates' };
+      }
+      const analytics = await this.notificationService.getAnalytics({ start, end });
+      return { success: true, data: analytics };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/deliveries')
+  @RequirePermission('notifications:manage')
+  async getDeliveries(@Query() query: any) {
+    try {
+      const deliveries = await this.notificationService.listDeliveries({
+        notificationId: query.notificationId,
+        status: query.status,
+        channel: query.channel,
+        limit: query.limit ? parseInt(query.limit) : undefined
+      });
+      return { success: true, data: deliveries };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // What the capture transport has kept, for channels without a real transport
+  @Get('/outbox')
+  @RequirePermission('notifications:manage')
+  async getOutbox(@Query() query: any) {
+    try {
+      const captured = new Set(Object.values(this.notificationService.getTransports())
+        .filter((transport): transport is CaptureTransport => transport instanceof CaptureTransport));
+      const messages = Array.from(captured).flatMap(transport => transport.captured(query.channel));
+      return { success: true, data: messages.reverse() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Delivery receipts from transports. Not signed in: the gateway proves itself with
+  // NOTIFY_RECEIPT_TOKEN, and the company comes from the callback URL.
+  @Post('/receipts/:companyId/:deliveryId')
+  async recordReceipt(
+    @Param('companyId') companyId: string,
+    @Param('deliveryId') deliveryId: string,
+    @Query() query: any,
+    @Body() receipt: any
+  ) {
+    try {
+      const token = process.env.NOTIFY_RECEIPT_TOKEN;
+      if (!token || query.token !== token) {
+        return { success: false, error: 'Invalid receipt token' };
+      }
+      const status = String(receipt?.status || receipt?.MessageStatus || '').toLowerCase();
+      if (!status) {
+        return { success: false, error: 'status is required' };
+      }
+
+      const delivery = await runAsCompany(companyId, () => this.notificationService.recordReceipt(deliveryId, {
+        status,
+        detail: receipt.error || receipt.ErrorMessage
+      }));
+      return { success: true, data: { id: delivery.id, status: delivery.status } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/:id/read')
+  @RequirePermission()
+  async markAsRead(@Param('id') id: string) {
+    try {
+      await this.notificationService.markAsRead(id, currentUserId());
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
@@ -3,64 +3,62 @@ import { Controller, Get, Post, Put, Delete, Injectable, Body, Param, Query } fr
 import { DatabaseService } from '../services/DatabaseService';
 import { AIService } from '../services/AIService';
 import { NotificationService } from '../services/NotificationService';
-
-interface Order {
-  id: string;
-  orderNumber: string;
-  customerId: string;
-  customerName: string;
-  items: OrderItem[];
-  subtotal: number;
-  tax: number;
-  shipping: number;
-  discount: number;
-  total: number;
-  status: 'draft' | 'pending' | 'confirmed' | 'processing' | 'shipped' | 'delivered' | 'cancelled';
-  paymentStatus: 'pending' | 'paid' | 'partial' | 'overdue' | 'refunded';
-  shippingAddress: Address;
-  billingAddress: Address;
-  notes?: string;
-  expectedDelivery?: Date;
-  actualDelivery?: Date;
-  createdAt: Date;
-  updatedAt: Date;
-  createdBy: string;
-}
-
-interface OrderItem {
-  id: string;
-  productId: string;
-  productName: string;
-  quantity: number;
-  unitPrice: number;
-  totalPrice: number;
-  notes?: string;
-}
-
-interface Address {
-  street: string;
-  city: string;
-  state: string;
-  zipCode: string;
-  country: string;
-}
+import { OrderFulfillmentService, ShipmentRequest, CancellationRequest } from '../services/OrderFulfillmentService';
+import { AccountsReceivableService, CreditCheck } from '../services/AccountsReceivableService';
+import { PricingService } from '../services/PricingService';
+import { TaxService } from '../services/TaxService';
+import { AppliedPrice } from '../services/pricing/PriceRules';
+import {
+  Order,
+  OrderItem,
+  OrderTaxDetail,
+  Shipment,
+  Backorder,
+  generateOrderNumber,
+  shippingChargeFor
+} from '../services/orders/OrderLifecycle';
+import { DeliveryLoad } from '../services/dispatch/Loads';
+import { ApprovalService } from '../services/ApprovalService';
+import { ApprovalRequest, describeApprovers, outstandingApprovers, overrideDiscount } from '../services/approvals/ApprovalChains';
+import { RequirePermission } from '../services/auth/guards';
+import { currentUserId } from '../services/auth/RequestContext';
 
 interface OrderStatusUpdate {
   status: Order['status'];
   notes?: string;
+  reason?: string;
   notifyCustomer?: boolean;
 }
 
+// What PUT /api/orders/:id accepts; anything else in the body is ignored
+const EDITABLE_ORDER_FIELDS = [
+  'items',
+  'projectId',
+  'discount',
+  'deliverToJobsite',
+  'deliveryWindow',
+  'shippingAddress',
+  'billingAddress',
+  'notes',
+  'expectedDelivery'
+] as const;
+
 @Injectable()
 @Controller('/api/orders')
 export class OrderController {
   constructor(
     private databaseService: DatabaseService,
     private aiService: AIService,
-    private notificationService: NotificationService
+    private notificationService: NotificationService,
+    private fulfillmentService: OrderFulfillmentService,
+    private receivablesService: AccountsReceivableService,
+    private pricingService: PricingService,
+    private taxService: TaxService,
+    private approvalService: ApprovalService
   ) {}
 
   @Get('/')
+  @RequirePermission('orders:read')
   async getAllOrders(@Query() query: any) {
     try {
       const {
@@ -114,7 +112,24 @@ export class OrderController {
     }
   }
 
+  @Get('/backorders')
+  @RequirePermission('orders:read')
+  async getBackorders(@Query() query: any) {
+    try {
+      const filters: any = { status: query.status || 'open' };
+      if (query.productId) filters.productId = query.productId;
+
+      const backorders = await this.databaseService.find<Backorder>('backorders', filters, {
+        sort: { createdAt: 1 }
+      });
+      return { success: true, data: backorders };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
   @Get('/:id')
+  @RequirePermission('orders:read')
   async getOrderById(@Param('id') id: string) {
     try {
       const order = await this.databaseService.findById<Order>('orders', id);
@@ -142,6 +157,7 @@ export class OrderController {
   }
 
   @Post('/')
+  @RequirePermission('orders:write')
   async createOrder(@Body() orderData: Partial<Order>) {
     try {
       // Validate required fields
@@ -162,22 +178,45 @@ export class OrderController {
       if (!customer) {
         return { success: false, error: 'Customer not found' };
       }
+      if (orderData.projectId) {
+        await this.assertCustomerProject(orderData.projectId, orderData.customerId!);
+      }
 
-      // Calculate totals
-      const calculations = await this.calculateOrderTotals(orderData.items!);
-      
-      // Generate order number
-      const orderNumber = await this.generateOrderNumber();
+      const priced = await this.priceItems(orderData.items!, customer, orderData.projectId);
+
+      // Calculate totals, taxed where the order is delivered
+      const calculations = await this.calculateOrderTotals(priced, customer, {
+        shippingAddress: orderData.shippingAddress!,
+        projectId: orderData.projectId,
+        deliverToJobsite: orderData.deliverToJobsite
+      });
+      const items = calculations.items;
+
+      // Customers on credit hold, or who would go over their limit, cannot order unless
+      // a credit exception policy lets someone approve it
+      const credit = await this.receivablesService.checkCredit(orderData.customerId!, calculations.total - (orderData.discount || 0));
+      if (!credit.allowed && !(await this.approvalService.policyFor('credit_exception', {
+        amount: credit.excess,
+        categories: await this.approvalService.productCategories(items.map(item => item.productId)),
+        customerId: orderData.customerId,
+        projectId: orderData.projectId
+      }))) {
+        throw new Error(credit.reason);
+      }
 
       // Set default values
       const newOrder: Order = {
         id: this.generateId(),
-        orderNumber,
+        orderNumber: '', // assigned in the create transaction below
         customerId: orderData.customerId!,
         customerName: customer.companyName,
-        items: orderData.items!,
+        projectId: orderData.projectId,
+        deliverToJobsite: orderData.deliverToJobsite,
+        deliveryWindow: this.deliveryWindow(orderData.deliveryWindow),
+        items,
         subtotal: calculations.subtotal,
         tax: calculations.tax,
+        taxDetail: calculations.taxDetail,
         shipping: calculations.shipping,
         discount: orderData.discount || 0,
         total: calculations.total - (orderData.discount || 0),
@@ -186,72 +225,139 @@ export class OrderController {
         shippingAddress: orderData.shippingAddress!,
         billingAddress: orderData.billingAddress || orderData.shippingAddress!,
         notes: orderData.notes,
+        statusHistory: [],
         createdAt: new Date(),
         updatedAt: new Date(),
-        createdBy: 'system' // Should come from auth context
+        createdBy: currentUserId()
       };
 
       // Use AI to suggest delivery date
       newOrder.expectedDelivery = await this.aiService.calculateExpectedDelivery(newOrder);
 
-      const saved = await this.databaseService.create('orders', newOrder);
+      await this.databaseService.transaction(async tx => {
+        newOrder.orderNumber = await generateOrderNumber(tx);
+        await tx.create('orders', newOrder);
+      });
+      const approvals = await this.requestApprovals(newOrder, credit);
+      const saved = await this.databaseService.findById<Order>('orders', newOrder.id);
 
       // Send order confirmation notification
       await this.notificationService.send({
         type: 'order_confirmation',
         title: 'Order Confirmation',
-        message: `Order ${orderNumber} has been created successfully`,
+        message: `Order ${newOrder.orderNumber} has been created successfully`,
         data: saved,
         recipientId: customer.id,
         recipientEmail: customer.email
       });
 
-      return { success: true, data: saved };
+      return {
+        success: true,
+        data: saved,
+        ...(approvals.length > 0 && { approvals, message: this.approvalMessage(approvals) })
+      };
     } catch (error) {
       return { success: false, error: error.message };
     }
   }
 
   @Put('/:id')
+  @RequirePermission('orders:write')
   async updateOrder(@Param('id') id: string, @Body() updateData: Partial<Order>) {
     try {
-      const existing = await this.databaseService.findById<Order>('orders', id);
-      if (!existing) {
-        return { success: false, error: 'Order not found' };
-      }
+      // Read and write in one transaction so a confirm, shipment or cancellation that lands
+      // in between makes this rerun against the new state instead of being overwritten
+      const result = await this.databaseService.transaction(async tx => {
+        const existing = await tx.findById<Order>('orders', id);
+        if (!existing) {
+          return { success: false, error: 'Order not found' };
+        }
 
-      // Prevent updates to completed orders
-      if (['delivered', 'cancelled'].includes(existing.status)) {
-        return { success: false, error: 'Cannot update completed orders' };
-      }
+        // Prevent updates to completed orders
+        if (['delivered', 'cancelled'].includes(existing.status)) {
+          return { success: false, error: 'Cannot update completed orders' };
+        }
 
-      let updated = {
-        ...existing,
-        ...updateData,
-        updatedAt: new Date()
-      };
+        // Status and fulfillment quantities only change through the lifecycle endpoints
+        if (updateData.status !== undefined && updateData.status !== existing.status) {
+          return { success: false, error: 'Use POST /api/orders/:id/status to change order status' };
+        }
+        if (updateData.customerId && updateData.customerId !== existing.customerId) {
+          return { success: false, error: 'An order cannot be moved to another customer' };
+        }
 
-      // Recalculate totals if items changed
-      if (updateData.items) {
-        const calculations = await this.calculateOrderTotals(updateData.items);
+        // Only these can be edited here; totals, tax and payment status are always derived
+        const changes: Partial<Order> = {};
+        for (const field of EDITABLE_ORDER_FIELDS) {
+          if (updateData[field] !== undefined) {
+            Object.assign(changes, { [field]: updateData[field] });
+          }
+        }
+        if ((changes.items || changes.projectId !== undefined || changes.discount !== undefined) &&
+            !['draft', 'pending'].includes(existing.status)) {
+          return { success: false, error: 'Items, project and discount can only be changed before the order is confirmed' };
+        }
+        if (changes.discount !== undefined) {
+          changes.discount = Number(changes.discount);
+          if (!(changes.discount >= 0)) {
+            return { success: false, error: 'discount must be zero or more' };
+          }
+        }
+
+        let updated: Order = {
+          ...existing,
+          ...changes,
+          updatedAt: new Date()
+        };
+        if (changes.deliveryWindow !== undefined) {
+          updated.deliveryWindow = this.deliveryWindow(changes.deliveryWindow);
+        }
+
+        // Re-price if items or the project changed; totals and tax are recomputed either way
+        const repriced = Boolean(changes.items) || changes.projectId !== undefined;
+        const customer = await this.databaseService.findById('customers', existing.customerId);
+        if (!customer) {
+          return { success: false, error: 'Customer not found' };
+        }
+        if (repriced && updated.projectId) {
+          await this.assertCustomerProject(updated.projectId, existing.customerId);
+        }
+        const items = repriced
+          ? await this.priceItems(changes.items || existing.items, customer, updated.projectId)
+          : updated.items;
+        const calculations = await this.calculateOrderTotals(items, customer, updated);
         updated = {
           ...updated,
+          items: calculations.items,
           subtotal: calculations.subtotal,
           tax: calculations.tax,
+          taxDetail: calculations.taxDetail,
           shipping: calculations.shipping,
           total: calculations.total - (updated.discount || 0)
         };
+
+        return { success: true, data: await tx.update<Order>('orders', id, updated), repriced };
+      });
+      if (!result.success) {
+        return result;
       }
 
-      const saved = await this.databaseService.update('orders', id, updated);
+      // New prices need the price override approved again
+      const approvals = result.repriced ? await this.requestApprovals(result.data!) : [];
+      const saved = await this.databaseService.findById<Order>('orders', id);
 
-      return { success: true, data: saved };
+      return {
+        success: true,
+        data: saved,
+        ...(approvals.length > 0 && { approvals, message: this.approvalMessage(approvals) })
+      };
     } catch (error) {
       return { success: false, error: error.message };
     }
   }
 
   @Delete('/:id')
+  @RequirePermission('orders:delete')
   async deleteOrder(@Param('id') id: string) {
     try {
       const existing = await this.databaseService.findById<Order>('orders', id);
@@ -273,6 +379,7 @@ export class OrderController {
   }
 
   @Post('/:id/status')
+  @RequirePermission('orders:fulfill')
   async updateOrderStatus(@Param('id') id: string, @Body() statusUpdate: OrderStatusUpdate) {
     try {
       const order = await this.databaseService.findById<Order>('orders', id);
@@ -280,11 +387,24 @@ export class OrderController {
         return { success: false, error: 'Order not found' };
       }
 
-      const updated = await this.databaseService.update('orders', id, {
-        status: statusUpdate.status,
-        updatedAt: new Date(),
-        ...(statusUpdate.status === 'delivered' && { actualDelivery: new Date() })
-      });
+      let updated: Order;
+      switch (statusUpdate.status) {
+        case 'confirmed':
+          await this.assertCanConfirm(order);
+          updated = (await this.fulfillmentService.confirmOrder(id)).order;
+          break;
+        case 'cancelled':
+          updated = await this.fulfillmentService.cancel(id, { reason: statusUpdate.reason || statusUpdate.notes });
+          break;
+        case 'delivered':
+          updated = await this.fulfillmentService.markDelivered(id);
+          break;
+        case 'partially_shipped':
+        case 'shipped':
+          return { success: false, error: 'Record shipments with POST /api/orders/:id/shipments' };
+        default:
+          updated = await this.fulfillmentService.transition(id, statusUpdate.status, statusUpdate.notes);
+      }
 
       // Send status update notification
       if (statusUpdate.notifyCustomer) {
@@ -308,35 +428,111 @@ export class OrderController {
   }
 
   @Post('/:id/confirm')
+  @RequirePermission('orders:write')
   async confirmOrder(@Param('id') id: string) {
     try {
-      const order = await this.databaseService.findById<Order>('orders', id);
-      if (!order) {
+      const existing = await this.databaseService.findById<Order>('orders', id);
+      if (!existing) {
         return { success: false, error: 'Order not found' };
       }
+      await this.assertCanConfirm(existing);
 
-      if (order.status !== 'draft' && order.status !== 'pending') {
-        return { success: false, error: 'Only draft or pending orders can be confirmed' };
-      }
+      // Reserves what is in stock and backorders the rest in one transaction
+      const { order, backorders } = await this.fulfillmentService.confirmOrder(id);
 
-      // Check inventory availability
-      const inventoryCheck = await this.checkInventoryAvailability(order.items);
-      if (!inventoryCheck.available) {
-        return {
-          success: false,
-          error: 'Insufficient inventory',
-          details: inventoryCheck.issues
-        };
+      return {
+        success: true,
+        data: order,
+        backorders,
+        ...(backorders.length > 0 && {
+          message: `Order confirmed with ${backorders.length} backordered line(s)`
+        })
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Decides the order's price override and credit exception requests the caller is
+  // an approver for at their current step
+  @Post('/:id/approve')
+  @RequirePermission()
+  async approveOrder(@Param('id') id: string, @Body() approval: { approved: boolean; notes?: string }) {
+    try {
+      const existing = await this.databaseService.findById<Order>('orders', id);
+      if (!existing) {
+        return { success: false, error: 'Order not found' };
       }
 
-      // Reserve inventory
-      await this.reserveInventory(order.items);
+      const decided = await this.approvalService.decideForDocument(['price_override', 'credit_exception'], id, {
+        approved: approval.approved === true,
+        comments: approval.notes
+      });
 
-      const updated = await this.databaseService.update('orders', id, {
-        status: 'confirmed',
-        updatedAt: new Date()
+      return {
+        success: true,
+        data: await this.databaseService.findById<Order>('orders', id),
+        approvals: decided,
+        message: this.approvalMessage(decided)
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/:id/cancel')
+  @RequirePermission('orders:write')
+  async cancelOrder(@Param('id') id: string, @Body() request: CancellationRequest) {
+    try {
+      const updated = await this.fulfillmentService.cancel(id, request || {});
+      return { success: true, data: updated };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/:id/shipments')
+  @RequirePermission('orders:read')
+  async getOrderShipments(@Param('id') id: string) {
+    try {
+      const shipments = await this.databaseService.find<Shipment>('shipments', { orderId: id }, {
+        sort: { shippedDate: 1 }
       });
+      return { success: true, data: shipments };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
 
+  @Post('/:id/shipments')
+  @RequirePermission('orders:fulfill')
+  async createShipment(@Param('id') id: string, @Body() request: ShipmentRequest) {
+    try {
+      const { order, shipment } = await this.fulfillmentService.createShipment(id, request);
+
+      const customer = await this.databaseService.findById<any>('customers', order.customerId);
+      if (customer) {
+        await this.notificationService.send({
+          type: 'order_shipped',
+          title: 'Order Shipped',
+          message: `Shipment ${shipment.shipmentNumber} for order ${order.orderNumber} is on its way`,
+          data: { order, shipment },
+          recipientId: customer.id,
+          recipientEmail: customer.email
+        });
+      }
+
+      return { success: true, data: { order, shipment } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/:id/shipments/:shipmentId/deliver')
+  @RequirePermission('orders:fulfill')
+  async markShipmentDelivered(@Param('id') id: string, @Param('shipmentId') shipmentId: string) {
+    try {
+      const updated = await this.fulfillmentService.markDelivered(id, shipmentId);
       return { success: true, data: updated };
     } catch (error) {
       return { success: false, error: error.message };
@@ -344,6 +540,7 @@ export class OrderController {
   }
 
   @Get('/:id/tracking')
+  @RequirePermission('orders:read')
   async getOrderTracking(@Param('id') id: string) {
     try {
       const order = await this.databaseService.findById<Order>('orders', id);
@@ -361,6 +558,7 @@ export class OrderController {
   }
 
   @Get('/analytics/overview')
+  @RequirePermission('orders:read')
   async getOrdersOverview(@Query() query: any) {
     try {
       const { startDate, endDate } = query;
@@ -396,95 +594,144 @@ export class OrderController {
     }
   }
 
-  private async calculateOrderTotals(items: OrderItem[]): Promise<{
+  private async calculateOrderTotals(
+    items: OrderItem[],
+    customer: any,
+    delivery: Pick<Order, 'shippingAddress' | 'projectId' | 'deliverToJobsite'>
+  ): Promise<{
+    items: OrderItem[];
     subtotal: number;
     tax: number;
+    taxDetail: OrderTaxDetail;
     shipping: number;
     total: number;
   }> {
     const subtotal = items.reduce((sum, item) => sum + item.totalPrice, 0);
-    const tax = subtotal * 0.08; // 8% tax rate
-    const shipping = subtotal > 500 ? 0 : 50; // Free shipping over $500
-    const total = subtotal + tax + shipping;
+    const shipping = shippingChargeFor(subtotal);
+    const taxed = await this.taxService.taxDelivery(customer, delivery, items, shipping);
+    const total = subtotal + taxed.tax + shipping;
 
-    return { subtotal, tax, shipping, total };
+    return { items: taxed.items, subtotal, tax: taxed.tax, taxDetail: taxed.taxDetail, shipping, total };
   }
 
-  private async generateOrderNumber(): Promise<string> {
-    const year = new Date().getFullYear();
-    const month = String(new Date().getMonth() + 1).padStart(2, '0');
-    const ordersThisMonth = await this.databaseService.count('orders', {
-      orderNumber: { $regex: `^ORD-${year}${month}` }
-    });
-    
-    const sequence = String(ordersThisMonth + 1).padStart(4, '0');
-    return `ORD-${year}${month}-${sequence}`;
-  }
-
-  private async checkInventoryAvailability(items: OrderItem[]): Promise<{
-    available: boolean;
-    issues: string[];
-  }> {
-    const issues: string[] = [];
-    
-    for (const item of items) {
-      const inventory = await this.databaseService.findOne('inventory', { productId: item.productId });
-      if (!inventory) {
-        issues.push(`Product ${item.productName} not found in inventory`);
-      } else if (inventory.quantity < item.quantity) {
-        issues.push(`Insufficient stock for ${item.productName}. Available: ${inventory.quantity}, Required: ${item.quantity}`);
+  // Line ids are needed to ship, cancel and backorder individual lines. Each line is
+  // priced for the customer (and project) unless it states its own unit price; a line
+  // still at the price the rules gave it last time is re-priced, while one still at a
+  // price locked by its quote keeps it.
+  private async priceItems(items: OrderItem[], customer: any, projectId?: string): Promise<OrderItem[]> {
+    const locked = new Map<string, AppliedPrice>();
+    const lines = items.map(item => {
+      const quantity = Number(item.quantity);
+      if (!(quantity > 0)) {
+        throw new Error(`Quantity for ${item.productName || item.productId} must be positive`);
       }
-    }
-
-    return {
-      available: issues.length === 0,
-      issues
-    };
+      const { pricing, ...line } = item;
+      const id = item.id || this.generateId();
+      if (pricing?.source === 'quote' && line.unitPrice === pricing.resolvedPrice) {
+        locked.set(id, pricing);
+      }
+      const rulePriced = pricing && !['manual', 'quote'].includes(pricing.source) && line.unitPrice === pricing.resolvedPrice;
+      return {
+        ...line,
+        id,
+        quantity,
+        unitPrice: rulePriced ? undefined : line.unitPrice
+      };
+    });
+    const priced = await this.pricingService.priceLines(lines, customer, { projectId });
+    return priced.map(line => locked.has(line.id) ? { ...line, pricing: locked.get(line.id)! } : line);
   }
 
-  private async reserveInventory(items: OrderItem[]): Promise<void> {
-    for (const item of items) {
-      const inventory = await this.databaseService.findOne('inventory', { productId: item.productId });
-      if (inventory) {
-        await this.databaseService.update('inventory', inventory.id, {
-          quantity: inventory.quantity - item.quantity,
-          lastUpdated: new Date()
-        });
-
-        // Create stock movement record
-        await this.databaseService.create('stock_movements', {
-          id: this.generateId(),
-          inventoryId: inventory.id,
-          type: 'out',
-          quantity: item.quantity,
-          reason: 'Order fulfillment',
-          reference: `Order reservation`,
-          timestamp: new Date(),
-          userId: 'system'
-        });
-      }
+  private async assertCustomerProject(projectId: string, customerId: string): Promise<void> {
+    const project = await this.databaseService.findById<any>('projects', projectId);
+    if (!project || project.customerId !== customerId) {
+      throw new Error('Project not found for this customer');
     }
   }
 
   private async getTrackingInfo(order: Order): Promise<any> {
-    // Mock tracking information
+    const history = order.statusHistory || [];
+    const reachedAt = (...statuses: string[]) =>
+      history.find(change => statuses.includes(change.to))?.at || null;
+
     const stages = [
       { status: 'Order Placed', completed: true, timestamp: order.createdAt },
-      { status: 'Confirmed', completed: order.status !== 'draft', timestamp: order.status !== 'draft' ? order.updatedAt : null },
-      { status: 'Processing', completed: ['processing', 'shipped', 'delivered'].includes(order.status), timestamp: null },
-      { status: 'Shipped', completed: ['shipped', 'delivered'].includes(order.status), timestamp: null },
+      { status: 'Confirmed', completed: reachedAt('confirmed') !== null, timestamp: reachedAt('confirmed') },
+      { status: 'Processing', completed: reachedAt('processing', 'partially_shipped', 'shipped') !== null, timestamp: reachedAt('processing') },
+      { status: 'Shipped', completed: reachedAt('shipped') !== null, timestamp: reachedAt('shipped') },
       { status: 'Delivered', completed: order.status === 'delivered', timestamp: order.actualDelivery }
     ];
 
+    const shipments = await this.databaseService.find<Shipment>('shipments', { orderId: order.id }, {
+      sort: { shippedDate: 1 }
+    });
+    const loadIds = shipments.map(shipment => shipment.loadId).filter(Boolean) as string[];
+    const loads = loadIds.length > 0
+      ? await this.databaseService.find<DeliveryLoad>('delivery_loads', { id: { $in: loadIds } })
+      : [];
+
     return {
       orderNumber: order.orderNumber,
       currentStatus: order.status,
       expectedDelivery: order.expectedDelivery,
       actualDelivery: order.actualDelivery,
-      stages
+      hasBackorder: Boolean(order.hasBackorder),
+      stages,
+      shipments: shipments.map(shipment => ({
+        shipmentNumber: shipment.shipmentNumber,
+        carrier: shipment.carrier,
+        trackingNumber: shipment.trackingNumber,
+        status: shipment.status,
+        shippedDate: shipment.shippedDate,
+        estimatedDelivery: shipment.estimatedDelivery,
+        actualDelivery: shipment.actualDelivery,
+        delivery: this.deliveryTracking(shipment, loads)
+      })),
+      lines: order.items.map(item => ({
+        productName: item.productName,
+        ordered: item.quantity,
+        shipped: item.quantityShipped || 0,
+        reserved: item.quantityReserved || 0,
+        backordered: item.quantityBackordered || 0,
+        cancelled: item.quantityCancelled || 0
+      }))
+    };
+  }
+
+  // Where our own truck is with the shipment: the load, the stop's place in the run and
+  // its planned arrival, and the proof of delivery once signed for
+  private deliveryTracking(shipment: Shipment, loads: DeliveryLoad[]): any {
+    const load = loads.find(entry => entry.id === shipment.loadId);
+    if (!load) return undefined;
+    const stop = load.stops.find(entry => entry.shipmentId === shipment.id);
+    return {
+      loadNumber: load.loadNumber,
+      truckName: load.truckName,
+      driverName: load.driverName,
+      loadStatus: load.status,
+      stop: stop ? { sequence: stop.sequence, of: load.stops.length, status: stop.status } : undefined,
+      window: stop?.window,
+      plannedArrival: stop?.plannedArrival,
+      proofOfDelivery: shipment.proofOfDelivery && {
+        receivedBy: shipment.proofOfDelivery.receivedBy,
+        deliveredAt: shipment.proofOfDelivery.deliveredAt,
+        hasSignature: Boolean(shipment.proofOfDelivery.signature),
+        photos: shipment.proofOfDelivery.photos,
+        exceptions: shipment.proofOfDelivery.exceptions
+      }
     };
   }
 
+  private deliveryWindow(input: any): Order['deliveryWindow'] {
+    if (!input) return undefined;
+    const start = new Date(input.start);
+    const end = new Date(input.end);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+      throw new Error('deliveryWindow needs a start before its end');
+    }
+    return { start, end };
+  }
+
   private groupBy(items: any[], field: string): Record<string, number> {
     return items.reduce((acc, item) => {
       const key = item[field] || 'unknown';
@@ -493,6 +740,85 @@ export class OrderController {
     }, {});
   }
 
+  // Opens the approvals the order needs: a price override when lines were priced by
+  // hand below the rule price, and a credit exception when the credit check failed
+  private async requestApprovals(order: Order, credit?: CreditCheck): Promise<ApprovalRequest[]> {
+    const requests: ApprovalRequest[] = [];
+    const discount = overrideDiscount(order.items);
+    if (discount > 0) {
+      const request = await this.approvalService.request('price_override', {
+        id: order.id,
+        number: order.orderNumber,
+        summary: `Prices $${discount.toFixed(2)} below the price rules on order ${order.orderNumber} for ${order.customerName}`
+      }, await this.approvalFacts(order, discount));
+      if (request) requests.push(request);
+    } else {
+      await this.approvalService.cancel('price_override', order.id, 'No prices below the price rules any more');
+    }
+
+    if (credit && !credit.allowed) {
+      const request = await this.requestCreditException(order, credit);
+      if (request) requests.push(request);
+    }
+    return requests;
+  }
+
+  private async requestCreditException(order: Order, credit: CreditCheck): Promise<ApprovalRequest | null> {
+    return this.approvalService.request('credit_exception', {
+      id: order.id,
+      number: order.orderNumber,
+      summary: `${credit.reason} (order ${order.orderNumber} for ${order.customerName})`
+    }, await this.approvalFacts(order, credit.excess), { orderTotal: order.total });
+  }
+
+  private async approvalFacts(order: Order, amount: number) {
+    return {
+      amount,
+      categories: await this.approvalService.productCategories(order.items.map(item => item.productId)),
+      customerId: order.customerId,
+      projectId: order.projectId
+    };
+  }
+
+  // Prices below the rules need their override approved. Draft orders do not count
+  // against credit yet, so add them in when checking; an approved credit exception
+  // for at least this total lets the order through, and under a credit exception
+  // policy one is requested instead of refusing outright.
+  private async assertCanConfirm(order: Order): Promise<void> {
+    const priceOverride = await this.approvalService.latestFor('price_override', order.id);
+    if (priceOverride?.status === 'pending') {
+      throw new Error(`Price override ${priceOverride.requestNumber} is waiting on ${describeApprovers(outstandingApprovers(priceOverride))}`);
+    }
+    if (priceOverride?.status === 'rejected') {
+      throw new Error(`Price override ${priceOverride.requestNumber} was rejected; reprice the order before confirming`);
+    }
+
+    const credit = await this.receivablesService.checkCredit(order.customerId, order.status === 'draft' ? order.total : 0);
+    if (credit.allowed) return;
+
+    const exception = await this.approvalService.latestFor('credit_exception', order.id);
+    const covers = exception && exception.payload?.orderTotal >= order.total;
+    if (covers && exception!.status === 'approved') return;
+    if (covers && exception!.status === 'pending') {
+      throw new Error(`Credit exception ${exception!.requestNumber} is waiting on ${describeApprovers(outstandingApprovers(exception!))}`);
+    }
+    if (covers && exception!.status === 'rejected') {
+      throw new Error(`${credit.reason}; credit exception ${exception!.requestNumber} was rejected`);
+    }
+
+    const requested = await this.requestCreditException(order, credit);
+    if (requested) {
+      throw new Error(`${credit.reason}; credit exception ${requested.requestNumber} requested from ${describeApprovers(outstandingApprovers(requested))}`);
+    }
+    throw new Error(credit.reason);
+  }
+
+  private approvalMessage(requests: ApprovalRequest[]): string {
+    return requests.map(request => request.status === 'pending'
+      ? `${request.requestNumber} waiting on ${describeApprovers(outstandingApprovers(request))}`
+      : `${request.requestNumber} ${request.status}`).join('; ');
+  }
+
   private generateId(): string {
     return 'order_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
   }
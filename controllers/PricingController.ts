@@ -0,0 +1,135 @@
+// controllers/PricingController.ts
+import { Controller, Get, Post, Put, Injectable, Body, Param, Query } from '@varld/warp';
+import { DatabaseService } from '../services/DatabaseService';
+import { PricingService, ProposedPriceChange } from '../services/PricingService';
+import { PriceList } from '../services/pricing/PriceRules';
+import { RequirePermission } from '../services/auth/guards';
+
+@Injectable()
+@Controller('/api/pricing')
+export class PricingController {
+  constructor(
+    private databaseService: DatabaseService,
+    private pricingService: PricingService
+  ) {}
+
+  @Get('/price-lists')
+  @RequirePermission('pricing:read')
+  async getPriceLists(@Query() query: any) {
+    try {
+      const priceLists = await this.pricingService.listPriceLists({
+        type: query.type,
+        status: query.status,
+        customerId: query.customerId,
+        projectId: query.projectId,
+        priceLevel: query.priceLevel
+      });
+      return { success: true, data: priceLists };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/price-lists')
+  @RequirePermission('pricing:write')
+  async createPriceList(@Body() priceListData: Partial<PriceList>) {
+    try {
+      const priceList = await this.pricingService.createPriceList(priceListData);
+      return { success: true, data: priceList };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/price-lists/:id')
+  @RequirePermission('pricing:read')
+  async getPriceList(@Param('id') id: string) {
+    try {
+      const priceList = await this.pricingService.getPriceList(id);
+      if (!priceList) {
+        return { success: false, error: 'Price list not found' };
+      }
+      return { success: true, data: priceList };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Put('/price-lists/:id')
+  @RequirePermission('pricing:write')
+  async updatePriceList(@Param('id') id: string, @Body() updateData: Partial<PriceList>) {
+    try {
+      const priceList = await this.pricingService.updatePriceList(id, updateData);
+      return { success: true, data: priceList };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/price-lists/:id/proposals')
+  @RequirePermission('pricing:propose')
+  async proposePrices(@Param('id') id: string, @Body() body: { changes: ProposedPriceChange[] }) {
+    try {
+      const proposals = await this.pricingService.proposePrices(id, body?.changes);
+      return { success: true, data: proposals };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/proposals')
+  @RequirePermission('pricing:read')
+  async getProposals(@Query() query: any) {
+    try {
+      const proposals = await this.pricingService.listProposals({
+        status: query.status,
+        priceListId: query.priceListId
+      });
+      return { success: true, data: proposals };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/proposals/:id/review')
+  @RequirePermission('pricing:approve')
+  async reviewProposal(@Param('id') id: string, @Body() review: { approved: boolean; notes?: string }) {
+    try {
+      const proposal = await this.pricingService.reviewProposal(id, review);
+      return {
+        success: true,
+        data: proposal,
+        message: `Price proposal ${proposal.status}`
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // What a customer would pay, and which rule sets the price
+  @Get('/price')
+  @RequirePermission('pricing:read')
+  async getPrice(@Query() query: any) {
+    try {
+      const requiredFields = ['customerId', 'productId'];
+      for (const field of requiredFields) {
+        if (!query[field]) {
+          return { success: false, error: `${field} is required` };
+        }
+      }
+
+      const customer = await this.databaseService.findById<any>('customers', query.customerId);
+      if (!customer) {
+        return { success: false, error: 'Customer not found' };
+      }
+
+      const price = await this.pricingService.priceFor(customer, query.productId, Number(query.quantity) || 1, {
+        projectId: query.projectId,
+        at: query.date ? new Date(query.date) : undefined
+      });
+      return { success: true, data: price };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
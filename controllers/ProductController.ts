@@ -4,15 +4,19 @@ import { Controller, Get, Post, Put, Delete, Body, Param, Query } from '@varld/w
 import { Product, ProductCategory } from '../models/DataModels';
 import { DatabaseService } from '../services/DatabaseService';
 import { AIService } from '../services/AIService';
+import { CompanyService } from '../services/CompanyService';
+import { RequirePermission } from '../services/auth/guards';
 
 @Controller('/api/products')
 export class ProductController {
   constructor(
     private database: DatabaseService,
-    private ai: AIService
+    private ai: AIService,
+    private companies: CompanyService
   ) {}
 
   @Get('/')
+  @RequirePermission('products:read')
   async getAllProducts(@Query() filters?: any): Promise<Product[]> {
     const products = await this.database.products.findMany({
       where: filters,
@@ -27,6 +31,7 @@ export class ProductController {
   }
 
   @Get('/:id')
+  @RequirePermission('products:read')
   async getProduct(@Param('id') id: string): Promise<Product> {
     const product = await this.database.products.findUnique({
       where: { id },
@@ -46,15 +51,17 @@ export class ProductController {
   }
 
   @Post('/')
+  @RequirePermission('products:write')
   async createProduct(@Body() productData: Partial<Product>): Promise<Product> {
     // AI-powered SKU generation
     if (!productData.sku) {
       productData.sku = await this.ai.generateSKU(productData);
     }
 
-    // AI pricing suggestions
+    // AI pricing suggestions, from the company's default markup
     if (!productData.sellingPrice) {
-      productData.sellingPrice = await this.ai.suggestPrice(productData);
+      const settings = await this.companies.getSettings();
+      productData.sellingPrice = await this.ai.suggestPrice(productData, settings.defaultMarkup);
     }
 
     const product = await this.database.products.create({
@@ -65,6 +72,7 @@ export class ProductController {
   }
 
   @Put('/:id')
+  @RequirePermission('products:write')
   async updateProduct(
     @Param('id') id: string,
     @Body() updateData: Partial<Product>
@@ -78,6 +86,7 @@ export class ProductController {
   }
 
   @Delete('/:id')
+  @RequirePermission('products:delete')
   async deleteProduct(@Param('id') id: string): Promise<{ success: boolean }> {
     await this.database.products.delete({
       where: { id }
@@ -87,12 +96,14 @@ export class ProductController {
   }
 
   @Get('/:id/demand-forecast')
+  @RequirePermission('products:read')
   async getDemandForecast(@Param('id') id: string): Promise<any> {
     const forecast = await this.ai.generateDemandForecast(id);
     return forecast;
   }
 
   @Get('/categories')
+  @RequirePermission('products:read')
   async getCategories(): Promise<ProductCategory[]> {
     return await this.database.categories.findMany({
       include: {
@@ -103,6 +114,7 @@ export class ProductController {
   }
 
   @Post('/bulk-import')
+  @RequirePermission('products:write')
   async bulkImport(@Body() products: Partial<Product>[]): Promise<{ 
     successful: number;
     failed: number;
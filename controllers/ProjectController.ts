@@ -3,51 +3,11 @@ import { Controller, Get, Post, Put, Delete, Injectable, Body, Param, Query } fr
 import { DatabaseService } from '../services/DatabaseService';
 import { AIService } from '../services/AIService';
 import { NotificationService } from '../services/NotificationService';
-
-interface Project {
-  id: string;
-  projectNumber: string;
-  name: string;
-  description: string;
-  customerId: string;
-  customerName: string;
-  status: 'planning' | 'active' | 'on_hold' | 'completed' | 'cancelled';
-  priority: 'low' | 'medium' | 'high' | 'critical';
-  startDate: Date;
-  expectedEndDate: Date;
-  actualEndDate?: Date;
-  budget: number;
-  actualCost: number;
-  margin: number;
-  projectManager: string;
-  address: string;
-  notes?: string;
-  materials: ProjectMaterial[];
-  milestones: ProjectMilestone[];
-  createdAt: Date;
-  updatedAt: Date;
-}
-
-interface ProjectMaterial {
-  id: string;
-  productId: string;
-  productName: string;
-  quantity: number;
-  unitCost: number;
-  totalCost: number;
-  allocatedQuantity: number;
-  usedQuantity: number;
-}
-
-interface ProjectMilestone {
-  id: string;
-  name: string;
-  description: string;
-  targetDate: Date;
-  actualDate?: Date;
-  status: 'pending' | 'in_progress' | 'completed' | 'delayed';
-  dependencies: string[];
-}
+import { ProjectService } from '../services/ProjectService';
+import { ConstructionAIService } from '../src/services/ConstructionAIService';
+import { RequirePermission } from '../services/auth/guards';
+import { currentUserId } from '../services/auth/RequestContext';
+import { ChangeOrder, Project, ProjectMilestone } from '../services/projects/Projects';
 
 @Injectable()
 @Controller('/api/projects')
@@ -55,10 +15,13 @@ export class ProjectController {
   constructor(
     private databaseService: DatabaseService,
     private aiService: AIService,
-    private notificationService: NotificationService
+    private notificationService: NotificationService,
+    private projectService: ProjectService,
+    private constructionAI: ConstructionAIService
   ) {}
 
   @Get('/')
+  @RequirePermission('projects:read')
   async getAllProjects(@Query() query: any) {
     try {
       const {
@@ -111,6 +74,7 @@ export class ProjectController {
   }
 
   @Get('/:id')
+  @RequirePermission('projects:read')
   async getProjectById(@Param('id') id: string) {
     try {
       const project = await this.databaseService.findById<Project>('projects', id);
@@ -120,15 +84,20 @@ export class ProjectController {
 
       // Get customer details
       const customer = await this.databaseService.findById('customers', project.customerId);
-      
+
+      // Roll up job costs so actualCost and margin are current
+      const jobCost = await this.projectService.getJobCost(id);
+      const refreshed = { ...project, actualCost: jobCost.actual.total, margin: jobCost.margin };
+
       // Get project analytics
-      const analytics = await this.calculateProjectAnalytics(project);
+      const analytics = await this.calculateProjectAnalytics(refreshed);
 
       return {
         success: true,
         data: {
-          ...project,
+          ...refreshed,
           customer,
+          jobCost,
           analytics
         }
       };
@@ -138,6 +107,7 @@ export class ProjectController {
   }
 
   @Post('/')
+  @RequirePermission('projects:write')
   async createProject(@Body() projectData: Partial<Project>) {
     try {
       const requiredFields = ['name', 'customerId', 'startDate', 'expectedEndDate', 'budget'];
@@ -166,10 +136,12 @@ export class ProjectController {
         startDate: new Date(projectData.startDate!),
         expectedEndDate: new Date(projectData.expectedEndDate!),
         budget: projectData.budget!,
+        originalBudget: projectData.budget!,
         actualCost: 0,
         margin: 0,
-        projectManager: projectData.projectManager || 'system',
+        projectManager: projectData.projectManager || currentUserId(),
         address: projectData.address || '',
+        jobsiteAddress: projectData.jobsiteAddress,
         notes: projectData.notes,
         materials: [],
         milestones: [],
@@ -185,6 +157,193 @@ export class ProjectController {
     }
   }
 
+  // Actual vs. budget: stock issued to the job and cost of goods shipped on project
+  // orders, with open project purchase orders as committed cost
+  @Get('/:id/costs')
+  @RequirePermission('projects:read')
+  async getJobCost(@Param('id') id: string) {
+    try {
+      const summary = await this.projectService.getJobCost(id);
+      const entries = await this.projectService.getCostEntries(id);
+      return { success: true, data: { ...summary, entries } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/:id/change-orders')
+  @RequirePermission('projects:read')
+  async getChangeOrders(@Param('id') id: string) {
+    try {
+      const changeOrders = await this.projectService.listChangeOrders(id);
+      return { success: true, data: changeOrders };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/:id/change-orders')
+  @RequirePermission('projects:write')
+  async requestChangeOrder(@Param('id') id: string, @Body() changeOrderData: Partial<ChangeOrder>) {
+    try {
+      const changeOrder = await this.projectService.requestChangeOrder(id, changeOrderData);
+      return { success: true, data: changeOrder, message: `Change order ${changeOrder.changeOrderNumber} submitted for approval` };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/:id/change-orders/:changeOrderId/review')
+  @RequirePermission('projects:approve')
+  async reviewChangeOrder(
+    @Param('id') id: string,
+    @Param('changeOrderId') changeOrderId: string,
+    @Body() review: { approved: boolean; notes?: string }
+  ) {
+    try {
+      const result = await this.projectService.reviewChangeOrder(id, changeOrderId, review);
+      return {
+        success: true,
+        data: result,
+        message: `Change order ${result.changeOrder.changeOrderNumber} ${result.changeOrder.status}`
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/:id/materials')
+  @RequirePermission('projects:write')
+  async addMaterials(
+    @Param('id') id: string,
+    @Body() body: { materials: Array<{ productId: string; quantity: number; unitCost?: number; milestoneId?: string; neededBy?: Date }> }
+  ) {
+    try {
+      const project = await this.projectService.addMaterials(id, body?.materials);
+      return { success: true, data: project };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Estimates the project's materials from its scope (type, squareFootage, stories,
+  // foundationType, framingType, roofingType, duration) and adds them to the material
+  // list, optionally against the milestone they are needed for
+  @Post('/:id/takeoff')
+  @RequirePermission('projects:write')
+  async generateTakeoff(@Param('id') id: string, @Body() scope: Record<string, any> & { milestoneId?: string }) {
+    try {
+      const project = await this.databaseService.findById<Project>('projects', id);
+      if (!project) {
+        return { success: false, error: 'Project not found' };
+      }
+
+      const { milestoneId, ...projectScope } = scope || {};
+      const requirements = await this.constructionAI.generateProjectMaterialRequirements({ ...project, ...projectScope });
+      const result = await this.projectService.applyTakeoff(id, requirements, { milestoneId });
+      return {
+        success: true,
+        data: result.project,
+        takeoff: { added: result.added, unmatched: result.unmatched },
+        message: `Added ${result.added.length} materials from the takeoff`
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Reserves stock for the material; defaults to everything still needed
+  @Post('/:id/materials/:materialId/allocate')
+  @RequirePermission('projects:materials')
+  async allocateMaterial(
+    @Param('id') id: string,
+    @Param('materialId') materialId: string,
+    @Body() body: { quantity?: number }
+  ) {
+    try {
+      const result = await this.projectService.allocateMaterial(id, materialId, body?.quantity);
+      return {
+        success: true,
+        data: result.project,
+        message: result.shortBy > 0
+          ? `Allocated ${result.allocated}; ${result.shortBy} short of available stock`
+          : `Allocated ${result.allocated}`
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/:id/materials/:materialId/release')
+  @RequirePermission('projects:materials')
+  async releaseMaterial(
+    @Param('id') id: string,
+    @Param('materialId') materialId: string,
+    @Body() body: { quantity?: number }
+  ) {
+    try {
+      const project = await this.projectService.releaseMaterial(id, materialId, body?.quantity);
+      return { success: true, data: project };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/:id/materials/:materialId/consume')
+  @RequirePermission('projects:materials')
+  async consumeMaterial(
+    @Param('id') id: string,
+    @Param('materialId') materialId: string,
+    @Body() usage: { quantity: number; lotNumber?: string; notes?: string }
+  ) {
+    try {
+      if (!usage?.quantity) {
+        return { success: false, error: 'quantity is required' };
+      }
+      const result = await this.projectService.consumeMaterial(id, materialId, usage);
+      return { success: true, data: result.project, cost: result.cost };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/:id/schedule')
+  @RequirePermission('projects:read')
+  async getSchedule(@Param('id') id: string) {
+    try {
+      const schedule = await this.projectService.getSchedule(id);
+      return { success: true, data: schedule };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/:id/milestones')
+  @RequirePermission('projects:write')
+  async addMilestone(@Param('id') id: string, @Body() milestoneData: Partial<ProjectMilestone>) {
+    try {
+      const result = await this.projectService.addMilestone(id, milestoneData);
+      return { success: true, data: result.project, schedule: result.schedule };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Put('/:id/milestones/:milestoneId')
+  @RequirePermission('projects:write')
+  async updateMilestone(
+    @Param('id') id: string,
+    @Param('milestoneId') milestoneId: string,
+    @Body() changes: Partial<ProjectMilestone>
+  ) {
+    try {
+      const result = await this.projectService.updateMilestone(id, milestoneId, changes);
+      return { success: true, data: result.project, schedule: result.schedule };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
   private async generateProjectNumber(): Promise<string> {
     const year = new Date().getFullYear();
     const projectsThisYear = await this.databaseService.count('projects', {
@@ -203,7 +362,7 @@ export class ProjectController {
     return {
       progress,
       budgetUtilization: project.budget > 0 ? (project.actualCost / project.budget) * 100 : 0,
-      daysRemaining: Math.ceil((project.expectedEndDate.getTime() - Date.now()) / (1000 * 60 * 60 * 24)),
+      daysRemaining: Math.ceil((new Date(project.expectedEndDate).getTime() - Date.now()) / (1000 * 60 * 60 * 24)),
       materialsAllocated: project.materials.reduce((sum, m) => sum + m.allocatedQuantity, 0),
       materialsUsed: project.materials.reduce((sum, m) => sum + m.usedQuantity, 0)
     };
@@ -0,0 +1,170 @@
+// controllers/PurchaseController.spec.ts
+import { PurchaseController } from './PurchaseController';
+import { DatabaseService } from '../services/DatabaseService';
+import { MemoryStorageAdapter } from '../services/storage/MemoryStorageAdapter';
+import { runWithContext } from '../services/auth/RequestContext';
+import { Role } from '../services/auth/permissions';
+
+// Routing decorators only register the handlers; the specs call them directly
+jest.mock('@varld/warp', () => {
+  const decorator = () => () => undefined;
+  return { Injectable: decorator, Controller: decorator, Get: decorator, Post: decorator, Put: decorator, Delete: decorator, Body: decorator, Param: decorator, Query: decorator };
+}, { virtual: true });
+
+// The controller's collaborators are passed in as stubs below, so their modules (and
+// what they pull in) are not loaded
+jest.mock('../services/AIService', () => ({ AIService: class {} }));
+jest.mock('../services/NotificationService', () => ({ NotificationService: class {} }));
+jest.mock('../services/OrderFulfillmentService', () => ({ OrderFulfillmentService: class {} }));
+jest.mock('../services/AccountsPayableService', () => ({ AccountsPayableService: class {} }));
+jest.mock('../services/WarehouseService', () => ({ WarehouseService: class {} }));
+jest.mock('../services/ProjectService', () => ({ ProjectService: class {} }));
+jest.mock('../services/RequisitionService', () => ({ RequisitionService: class {} }));
+jest.mock('../services/ReturnService', () => ({ ReturnService: class {} }));
+jest.mock('../services/EdiService', () => ({ EdiService: class {} }));
+jest.mock('../services/ApprovalService', () => ({ ApprovalService: class {} }));
+jest.mock('../services/WebhookService', () => ({ WebhookService: class {} }));
+
+const user = (role: Role) => ({ id: `user_${role}`, email: `${role}@example.com`, name: role, role, companyId: 'company_default' });
+
+describe('PurchaseController', () => {
+  let db: DatabaseService;
+  let controller: PurchaseController;
+  let response: { status: jest.Mock };
+
+  // Runs a handler as a user with the role, the way the auth middleware would
+  const as = <T>(role: Role, work: () => Promise<T>) => runWithContext({ user: user(role), response }, work);
+
+  beforeAll(() => {
+    process.env.DATABASE_FIXTURES = '';
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(async () => {
+    db = new DatabaseService(new MemoryStorageAdapter());
+    await db.whenReady();
+    response = { status: jest.fn() };
+    const stub = (methods: Record<string, unknown>) => methods as any;
+    controller = new PurchaseController(
+      db,
+      stub({}),
+      stub({ send: jest.fn() }),
+      stub({ allocateBackordersIn: jest.fn() }),
+      stub({ rematchPurchase: jest.fn() }),
+      stub({}),
+      stub({}),
+      stub({}),
+      stub({}),
+      stub({ partnerFor: jest.fn().mockResolvedValue(null) }),
+      stub({ latestFor: jest.fn().mockResolvedValue(null), request: jest.fn().mockResolvedValue(null), cancel: jest.fn(), productCategories: jest.fn().mockResolvedValue([]) }),
+      stub({ publish: jest.fn() })
+    );
+
+    await db.create('purchases', {
+      id: 'purchase_1',
+      purchaseNumber: 'PO-202605-0001',
+      supplierId: 'supplier_1',
+      supplierName: 'Steel Supply Co',
+      items: [{ id: 'poi_rebar', productId: 'prod_rebar', productName: 'Rebar #4', quantity: 100, unitCost: 5, totalCost: 500 }],
+      subtotal: 500,
+      tax: 40,
+      shipping: 100,
+      discount: 0,
+      total: 640,
+      status: 'approved',
+      paymentStatus: 'pending',
+      paymentTerms: 'Net 30',
+      createdBy: 'user_purchasing'
+    });
+  });
+
+  describe('receivePurchase', () => {
+    it.each([
+      ['a zero quantity', { productId: 'prod_rebar', receivedQuantity: 0 }, /must be a number greater than zero/],
+      ['a negative quantity', { productId: 'prod_rebar', receivedQuantity: -5 }, /must be a number greater than zero/],
+      ['a non-numeric quantity', { productId: 'prod_rebar', receivedQuantity: '40' }, /must be a number greater than zero/],
+      ['a product not on the PO', { productId: 'prod_lumber', receivedQuantity: 10 }, /prod_lumber is not on purchase PO-202605-0001/]
+    ])('rejects %s with a 400 and receives nothing', async (_case, line, message) => {
+      const result = await as('warehouse', () => controller.receivePurchase('purchase_1', { items: [line as any] }));
+
+      expect(result).toMatchObject({ success: false, error: expect.stringMatching(message) });
+      expect(response.status).toHaveBeenCalledWith(400);
+      expect((await db.findById<any>('purchases', 'purchase_1')).items[0].receivedQuantity).toBeUndefined();
+      expect(await db.count('purchase_receipts', {})).toBe(0);
+    });
+
+    it('adds a valid receipt to the received quantity', async () => {
+      const result = await as('warehouse', () => controller.receivePurchase('purchase_1', {
+        items: [{ productId: 'prod_rebar', receivedQuantity: 40 }]
+      }));
+
+      expect(result).toMatchObject({ success: true, receipt: { receiptNumber: 'PO-202605-0001-R01' } });
+      expect((await db.findById<any>('purchases', 'purchase_1')).items[0].receivedQuantity).toBe(40);
+      expect(response.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updatePurchase', () => {
+    beforeEach(async () => {
+      await db.create('purchases', {
+        id: 'purchase_2',
+        purchaseNumber: 'PO-202605-0002',
+        supplierId: 'supplier_1',
+        supplierName: 'Steel Supply Co',
+        items: [{ id: 'poi_mesh', productId: 'prod_mesh', productName: 'Wire mesh', quantity: 20, unitCost: 10, totalCost: 200 }],
+        subtotal: 200,
+        tax: 16,
+        shipping: 100,
+        discount: 0,
+        total: 316,
+        status: 'draft',
+        paymentStatus: 'pending',
+        paymentTerms: 'Net 30',
+        createdBy: 'user_purchasing'
+      });
+    });
+
+    it('recomputes line and purchase totals itself and ignores totals, approval and receipts in the body', async () => {
+      const result = await as('purchasing', () => controller.updatePurchase('purchase_2', {
+        items: [{ id: 'poi_mesh', productId: 'prod_mesh', productName: 'Wire mesh', quantity: 30, unitCost: 10, totalCost: 1, receivedQuantity: 30 }],
+        discount: 20,
+        subtotal: 1,
+        total: 1,
+        approvedBy: 'user_purchasing',
+        approvedAt: new Date()
+      } as any));
+
+      expect(result).toMatchObject({ success: true, data: { subtotal: 300, tax: 24, shipping: 100, total: 404 } });
+      const saved = await db.findById<any>('purchases', 'purchase_2');
+      expect(saved.items).toEqual([{ id: 'poi_mesh', productId: 'prod_mesh', productName: 'Wire mesh', quantity: 30, unitCost: 10, totalCost: 300 }]);
+      expect(saved).not.toHaveProperty('approvedBy');
+      expect(saved).not.toHaveProperty('approvedAt');
+    });
+
+    it.each([
+      ['a zero quantity', { quantity: 0, unitCost: 10 }, 'quantity for prod_mesh must be a number greater than zero'],
+      ['a non-numeric unit cost', { quantity: 5, unitCost: '10' }, 'unitCost for prod_mesh must be zero or more']
+    ])('rejects a line with %s', async (_case, line, message) => {
+      const result = await as('purchasing', () => controller.updatePurchase('purchase_2', {
+        items: [{ productId: 'prod_mesh', productName: 'Wire mesh', ...line } as any]
+      }));
+
+      expect(result).toEqual({ success: false, error: message });
+      expect((await db.findById<any>('purchases', 'purchase_2')).items[0].quantity).toBe(20);
+    });
+
+    it('does not send an approved purchase back to draft or pending, or change what was approved', async () => {
+      for (const status of ['draft', 'pending'] as const) {
+        expect(await as('purchasing', () => controller.updatePurchase('purchase_1', { status })))
+          .toEqual({ success: false, error: `An approved purchase cannot be moved back to ${status}` });
+      }
+      expect(await as('purchasing', () => controller.updatePurchase('purchase_1', { discount: 50 })))
+        .toMatchObject({ success: false, error: expect.stringMatching(/only be changed before the purchase is approved/) });
+      expect(await db.findById('purchases', 'purchase_1')).toMatchObject({ status: 'approved', discount: 0, total: 640 });
+    });
+  });
+});
@@ -3,19 +3,36 @@ import { Controller, Get, Post, Put, Delete, Injectable, Body, Param, Query } fr
 import { DatabaseService } from '../services/DatabaseService';
 import { AIService } from '../services/AIService';
 import { NotificationService } from '../services/NotificationService';
+import { Transaction } from '../services/storage/Transaction';
+import { RequirePermission, assertPermission } from '../services/auth/guards';
+import { currentUserId, setResponseStatus } from '../services/auth/RequestContext';
+import { OrderFulfillmentService } from '../services/OrderFulfillmentService';
+import { AccountsPayableService } from '../services/AccountsPayableService';
+import { WarehouseService } from '../services/WarehouseService';
+import { ProjectService } from '../services/ProjectService';
+import { RequisitionService } from '../services/RequisitionService';
+import { RequisitionSource } from '../services/purchasing/Requisitions';
+import { generatePurchaseNumber } from '../services/purchasing/PurchaseNumbers';
+import { ReturnService, VendorReturnRequest } from '../services/ReturnService';
+import { EdiService, ExpectedReceipt } from '../services/EdiService';
+import { SupplierEdiProfile } from '../services/edi/Documents';
+import { ApprovalService } from '../services/ApprovalService';
+import { WebhookService } from '../services/WebhookService';
+import { ApprovalRequest, describeApprovers, outstandingApprovers } from '../services/approvals/ApprovalChains';
 
 interface Purchase {
   id: string;
   purchaseNumber: string;
   supplierId: string;
   supplierName: string;
+  projectId?: string; // bought for a project: committed to its job cost, and receipts are allocated to it
   items: PurchaseItem[];
   subtotal: number;
   tax: number;
   shipping: number;
   discount: number;
   total: number;
-  status: 'draft' | 'pending' | 'approved' | 'ordered' | 'received' | 'cancelled';
+  status: 'draft' | 'pending' | 'approved' | 'ordered' | 'received' | 'cancelled'; // ordered: sent to the supplier
   paymentStatus: 'pending' | 'paid' | 'partial' | 'overdue';
   paymentTerms: string;
   expectedDelivery?: Date;
@@ -26,6 +43,11 @@ interface Purchase {
   createdBy: string;
   approvedBy?: string;
   approvedAt?: Date;
+  approvalStatus?: 'pending' | 'approved' | 'rejected'; // set while an approval policy governs the purchase
+  debitMemos?: DebitMemo[]; // raised as vendor returns ship
+  orderedVia?: 'email' | 'edi';
+  orderedAt?: Date;
+  acknowledgement?: { status: 'accepted' | 'accepted_with_changes' | 'rejected'; date: Date; interchangeId: string };
 }
 
 interface PurchaseItem {
@@ -36,11 +58,59 @@ interface PurchaseItem {
   unitCost: number;
   totalCost: number;
   receivedQuantity?: number;
+  returnedQuantity?: number; // shipped back to the supplier
+  supplierSku?: string;
+  acknowledgement?: 'accepted' | 'changed' | 'backordered' | 'rejected'; // from the supplier's 855
+  confirmedQuantity?: number;
+  confirmedDate?: Date;
+  requisitions?: RequisitionSource[]; // the project lines this was requisitioned for
+  notes?: string;
+}
+
+interface DebitMemo {
+  vendorReturnId: string;
+  returnNumber: string;
+  debitMemoNumber: string;
+  amount: number;
+  date: Date;
+}
+
+interface Receipt {
+  id: string;
+  receiptNumber: string;
+  purchaseId: string;
+  receivedDate: Date;
+  receivedBy: string;
+  items: ReceiptItem[];
+  notes: string;
+}
+
+interface ReceiptItem {
+  poItemId: string;
+  productId: string;
+  quantityReceived: number;
+  unitCost: number;
+  condition: 'good' | 'damaged' | 'defective';
+  locationId?: string;
+  binCode?: string;
+  lotNumbers?: string[];
+}
+
+interface ReceivedItem {
+  productId: string;
+  receivedQuantity: number;
+  condition?: ReceiptItem['condition'];
+  // Where the goods were put away; defaults to the product's existing stock record
+  locationId?: string;
+  binCode?: string;
+  lotNumber?: string;
+  expirationDate?: Date;
   notes?: string;
 }
 
 interface Supplier {
   id: string;
+  code?: string; // vendor code, the key spreadsheet imports match on
   name: string;
   contactPerson: string;
   email: string;
@@ -50,12 +120,75 @@ interface Supplier {
   creditLimit: number;
   status: 'active' | 'inactive' | 'blocked';
   rating: number;
+  leadTime?: number;     // days
+  minimumOrder?: number; // smallest order value the supplier accepts
+  edi?: SupplierEdiProfile; // purchase orders go by EDI instead of email
 }
 
 interface PurchaseApproval {
   approved: boolean;
   notes?: string;
-  approvedBy: string;
+}
+
+// Why a receipt can't be taken as given, if it can't. Received quantities drive stock, the
+// three-way match and what AP pays, so each line must be a positive quantity of a PO product.
+function receiptProblem(purchase: Purchase, items: ReceivedItem[]): string | null {
+  for (const received of items) {
+    if (!purchase.items.some(item => item.productId === received?.productId)) {
+      return `Product ${received?.productId} is not on purchase ${purchase.purchaseNumber}`;
+    }
+    const quantity = received.receivedQuantity;
+    if (typeof quantity !== 'number' || !Number.isFinite(quantity) || quantity <= 0) {
+      return `receivedQuantity for ${received.productId} must be a number greater than zero`;
+    }
+  }
+  return null;
+}
+
+// What PUT /api/purchases/:id accepts; anything else in the body is ignored. Totals,
+// approval and received quantities are never taken from the caller.
+const EDITABLE_PURCHASE_FIELDS = [
+  'items',
+  'supplierId',
+  'projectId',
+  'discount',
+  'status',
+  'paymentTerms',
+  'expectedDelivery',
+  'notes'
+] as const;
+
+// Lines as edited before approval: each costed from its own quantity and unit cost, with
+// nothing received, returned or acknowledged yet
+function editedLines(items: PurchaseItem[], generateId: () => string): PurchaseItem[] | string {
+  if (!Array.isArray(items) || items.length === 0) {
+    return 'Purchase must contain at least one item';
+  }
+
+  const lines: PurchaseItem[] = [];
+  for (const item of items) {
+    if (!item?.productId) {
+      return 'Each item needs a productId';
+    }
+    if (typeof item.quantity !== 'number' || !Number.isFinite(item.quantity) || item.quantity <= 0) {
+      return `quantity for ${item.productId} must be a number greater than zero`;
+    }
+    if (typeof item.unitCost !== 'number' || !Number.isFinite(item.unitCost) || item.unitCost < 0) {
+      return `unitCost for ${item.productId} must be zero or more`;
+    }
+    lines.push({
+      id: item.id || generateId(),
+      productId: item.productId,
+      productName: item.productName,
+      quantity: item.quantity,
+      unitCost: item.unitCost,
+      totalCost: Math.round(item.quantity * item.unitCost * 100) / 100,
+      ...(item.supplierSku && { supplierSku: item.supplierSku }),
+      ...(item.requisitions && { requisitions: item.requisitions }),
+      ...(item.notes && { notes: item.notes })
+    });
+  }
+  return lines;
 }
 
 @Injectable()
@@ -64,10 +197,20 @@ export class PurchaseController {
   constructor(
     private databaseService: DatabaseService,
     private aiService: AIService,
-    private notificationService: NotificationService
+    private notificationService: NotificationService,
+    private fulfillmentService: OrderFulfillmentService,
+    private payablesService: AccountsPayableService,
+    private warehouseService: WarehouseService,
+    private projectService: ProjectService,
+    private requisitionService: RequisitionService,
+    private returnService: ReturnService,
+    private ediService: EdiService,
+    private approvalService: ApprovalService,
+    private webhookService: WebhookService
   ) {}
 
   @Get('/')
+  @RequirePermission('purchases:read')
   async getAllPurchases(@Query() query: any) {
     try {
       const {
@@ -121,7 +264,159 @@ export class PurchaseController {
     }
   }
 
+  // What active projects still need once stock and open purchases are counted, and
+  // the per-supplier requisitions that would cover it
+  @Get('/requisitions/plan')
+  @RequirePermission('purchases:read')
+  async getRequisitionPlan() {
+    try {
+      const plan = await this.requisitionService.planRequisitions();
+      return { success: true, data: plan };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Turns the plan into draft purchases, one per supplier. Suppliers whose minimum
+  // order isn't reached are left out unless allowBelowMinimum is set.
+  @Post('/requisitions')
+  @RequirePermission('purchases:write')
+  async createRequisitionPurchases(@Body() options: { supplierIds?: string[]; allowBelowMinimum?: boolean }) {
+    try {
+      const plan = await this.requisitionService.planRequisitions();
+      const selected = plan.requisitions.filter(requisition =>
+        !options?.supplierIds || options.supplierIds.includes(requisition.supplierId));
+
+      const created: Purchase[] = [];
+      const held: typeof selected = [];
+      for (const requisition of selected) {
+        if (requisition.belowMinimum && !options?.allowBelowMinimum) {
+          held.push(requisition);
+          continue;
+        }
+
+        const supplier = await this.databaseService.findById<Supplier>('suppliers', requisition.supplierId);
+        const items: PurchaseItem[] = requisition.lines.map(line => ({
+          id: this.generateId(),
+          productId: line.productId,
+          productName: line.productName,
+          quantity: line.quantity,
+          unitCost: line.unitCost,
+          totalCost: line.totalCost,
+          requisitions: line.sources,
+          notes: line.late ? `Needed by ${new Date(line.neededBy).toDateString()}; lead time makes this late` : undefined
+        }));
+        const calculations = await this.calculatePurchaseTotals(items);
+        const projectNumbers = [...new Set(requisition.lines.flatMap(line => line.sources.map(source => source.projectNumber)))];
+
+        const purchase: Purchase = {
+          id: this.generateId(),
+          purchaseNumber: '', // assigned in the create transaction below
+          supplierId: requisition.supplierId,
+          supplierName: requisition.supplierName,
+          items,
+          subtotal: calculations.subtotal,
+          tax: calculations.tax,
+          shipping: calculations.shipping,
+          discount: 0,
+          total: calculations.total,
+          status: 'draft',
+          paymentStatus: 'pending',
+          paymentTerms: supplier?.paymentTerms || 'Net 30',
+          expectedDelivery: new Date(Date.now() + requisition.leadTimeDays * 24 * 60 * 60 * 1000),
+          notes: `Requisitioned for ${projectNumbers.join(', ')}`,
+          createdAt: new Date(),
+          updatedAt: new Date(),
+          createdBy: currentUserId()
+        };
+        created.push(await this.databaseService.transaction(async tx =>
+          tx.create<Purchase>('purchases', { ...purchase, purchaseNumber: await generatePurchaseNumber(tx) })));
+      }
+
+      return {
+        success: true,
+        data: { purchases: created, held, unsourced: plan.unsourced },
+        message: `Created ${created.length} draft purchases` + (held.length ? `; ${held.length} below supplier minimum` : '')
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/returns')
+  @RequirePermission('purchases:read')
+  async getVendorReturns(@Query() query: any) {
+    try {
+      const returns = await this.returnService.listVendorReturns({
+        supplierId: query.supplierId,
+        status: query.status
+      });
+      return { success: true, data: returns };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Shipping the return raises its debit memo, which comes off the supplier's invoices
+  // for the purchase
+  @Post('/returns/:returnId/ship')
+  @RequirePermission('purchases:return')
+  async shipVendorReturn(
+    @Param('returnId') returnId: string,
+    @Body() body: { carrier?: string; trackingNumber?: string }
+  ) {
+    try {
+      const vendorReturn = await this.returnService.shipVendorReturn(returnId, body || {});
+      return {
+        success: true,
+        data: vendorReturn,
+        message: `Debit memo ${vendorReturn.debitMemoNumber} raised for $${vendorReturn.debitAmount}`
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Shipments suppliers have sent ship notices for, soonest first
+  @Get('/expected-receipts')
+  @RequirePermission('purchases:read')
+  async getExpectedReceipts(@Query() query: any) {
+    try {
+      const receipts = await this.ediService.listExpectedReceipts({
+        purchaseId: query.purchaseId,
+        status: query.status || 'expected'
+      });
+      return { success: true, data: receipts };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/:id/returns')
+  @RequirePermission('purchases:read')
+  async getPurchaseReturns(@Param('id') id: string) {
+    try {
+      const returns = await this.returnService.listVendorReturns({ purchaseId: id });
+      return { success: true, data: returns };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Sends received stock back to the supplier; the lines join the purchase's open return
+  @Post('/:id/returns')
+  @RequirePermission('purchases:return')
+  async createVendorReturn(@Param('id') id: string, @Body() request: VendorReturnRequest) {
+    try {
+      const vendorReturn = await this.returnService.createVendorReturn(id, request);
+      return { success: true, data: vendorReturn };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
   @Get('/:id')
+  @RequirePermission('purchases:read')
   async getPurchaseById(@Param('id') id: string) {
     try {
       const purchase = await this.databaseService.findById<Purchase>('purchases', id);
@@ -149,6 +444,7 @@ export class PurchaseController {
   }
 
   @Post('/')
+  @RequirePermission('purchases:write')
   async createPurchase(@Body() purchaseData: Partial<Purchase>) {
     try {
       // Validate required fields
@@ -174,18 +470,23 @@ export class PurchaseController {
         return { success: false, error: 'Cannot create purchase for inactive supplier' };
       }
 
+      if (purchaseData.projectId) {
+        const project = await this.databaseService.findById<any>('projects', purchaseData.projectId);
+        if (!project || ['completed', 'cancelled'].includes(project.status)) {
+          return { success: false, error: 'Project not found or closed' };
+        }
+      }
+
       // Calculate totals
       const calculations = await this.calculatePurchaseTotals(purchaseData.items!);
       
-      // Generate purchase number
-      const purchaseNumber = await this.generatePurchaseNumber();
-
       // Set default values
       const newPurchase: Purchase = {
         id: this.generateId(),
-        purchaseNumber,
+        purchaseNumber: '', // assigned in the create transaction below
         supplierId: purchaseData.supplierId!,
         supplierName: supplier.name,
+        projectId: purchaseData.projectId,
         items: purchaseData.items!,
         subtotal: calculations.subtotal,
         tax: calculations.tax,
@@ -198,13 +499,14 @@ export class PurchaseController {
         notes: purchaseData.notes,
         createdAt: new Date(),
         updatedAt: new Date(),
-        createdBy: 'system' // Should come from auth context
+        createdBy: currentUserId()
       };
 
       // Use AI to predict delivery date
       newPurchase.expectedDelivery = await this.aiService.calculateExpectedPurchaseDelivery(newPurchase, supplier);
 
-      const saved = await this.databaseService.create('purchases', newPurchase);
+      const saved = await this.databaseService.transaction(async tx =>
+        tx.create<Purchase>('purchases', { ...newPurchase, purchaseNumber: await generatePurchaseNumber(tx) }));
 
       return { success: true, data: saved };
     } catch (error) {
@@ -213,37 +515,110 @@ export class PurchaseController {
   }
 
   @Put('/:id')
+  @RequirePermission('purchases:write')
   async updatePurchase(@Param('id') id: string, @Body() updateData: Partial<Purchase>) {
     try {
-      const existing = await this.databaseService.findById<Purchase>('purchases', id);
-      if (!existing) {
-        return { success: false, error: 'Purchase not found' };
-      }
+      // Read and write in one transaction so an approval, receipt or cancellation that lands
+      // in between makes this rerun against the new state instead of being overwritten
+      const result = await this.databaseService.transaction(async tx => {
+        const existing = await tx.findById<Purchase>('purchases', id);
+        if (!existing) {
+          return { success: false, error: 'Purchase not found' };
+        }
 
-      // Prevent updates to completed purchases
-      if (['received', 'cancelled'].includes(existing.status)) {
-        return { success: false, error: 'Cannot update completed purchases' };
-      }
+        // Prevent updates to completed purchases
+        if (['received', 'cancelled'].includes(existing.status)) {
+          return { success: false, error: 'Cannot update completed purchases' };
+        }
 
-      let updated = {
-        ...existing,
-        ...updateData,
-        updatedAt: new Date()
-      };
+        const changes: Partial<Purchase> = {};
+        for (const field of EDITABLE_PURCHASE_FIELDS) {
+          if (updateData?.[field] !== undefined) {
+            Object.assign(changes, { [field]: updateData[field] });
+          }
+        }
 
-      // Recalculate totals if items changed
-      if (updateData.items) {
-        const calculations = await this.calculatePurchaseTotals(updateData.items);
-        updated = {
-          ...updated,
-          subtotal: calculations.subtotal,
-          tax: calculations.tax,
-          shipping: calculations.shipping,
-          total: calculations.total - (updated.discount || 0)
+        // Approval happens on POST /:id/approve so it can follow the approval policy, and an
+        // approved purchase is only ever cancelled, never sent back for editing
+        if (changes.status !== undefined && changes.status !== existing.status) {
+          if (!['draft', 'pending', 'cancelled'].includes(changes.status)) {
+            return { success: false, error: 'Purchases are approved through POST /api/purchases/:id/approve' };
+          }
+          if (!['draft', 'pending'].includes(existing.status) && changes.status !== 'cancelled') {
+            return { success: false, error: `An ${existing.status} purchase cannot be moved back to ${changes.status}` };
+          }
+        }
+
+        const editsOrder = changes.items !== undefined || changes.supplierId !== undefined ||
+          changes.projectId !== undefined || changes.discount !== undefined;
+        if (editsOrder && !['draft', 'pending'].includes(existing.status)) {
+          return { success: false, error: 'Items, supplier, project and discount can only be changed before the purchase is approved' };
+        }
+
+        if (changes.items !== undefined) {
+          const lines = editedLines(changes.items, () => this.generateId());
+          if (typeof lines === 'string') {
+            return { success: false, error: lines };
+          }
+          changes.items = lines;
+        }
+        if (changes.discount !== undefined) {
+          changes.discount = Number(changes.discount);
+          if (!(changes.discount >= 0)) {
+            return { success: false, error: 'discount must be zero or more' };
+          }
+        }
+        if (changes.supplierId && changes.supplierId !== existing.supplierId) {
+          const supplier = await tx.findById<Supplier>('suppliers', changes.supplierId);
+          if (!supplier || supplier.status !== 'active') {
+            return { success: false, error: 'Supplier not found or inactive' };
+          }
+          changes.supplierName = supplier.name;
+        }
+        if (changes.projectId && changes.projectId !== existing.projectId) {
+          const project = await tx.findById<any>('projects', changes.projectId);
+          if (!project || ['completed', 'cancelled'].includes(project.status)) {
+            return { success: false, error: 'Project not found or closed' };
+          }
+        }
+
+        const updated: Purchase = {
+          ...existing,
+          ...changes,
+          updatedAt: new Date()
         };
-      }
 
-      const saved = await this.databaseService.update('purchases', id, updated);
+        // Totals always follow the lines on file
+        const calculations = await this.calculatePurchaseTotals(updated.items);
+        updated.subtotal = calculations.subtotal;
+        updated.tax = calculations.tax;
+        updated.shipping = calculations.shipping;
+        updated.total = calculations.total - (updated.discount || 0);
+
+        return { success: true, data: await tx.update<Purchase>('purchases', id, updated), existing };
+      });
+      if (!result.success) {
+        return result;
+      }
+      const saved = result.data!;
+      const existing = result.existing!;
+
+      // Submitting for approval, or changing what is being approved, starts the chain over
+      const resubmitted = saved.status === 'pending' && (existing.status !== 'pending' ||
+        saved.total !== existing.total || saved.supplierId !== existing.supplierId || saved.projectId !== existing.projectId);
+      if (resubmitted) {
+        const request = await this.requestApproval(saved);
+        if (request) {
+          return {
+            success: true,
+            data: await this.databaseService.findById<Purchase>('purchases', id),
+            approval: request,
+            message: `Approval ${request.requestNumber} requested from ${describeApprovers(outstandingApprovers(request))}`
+          };
+        }
+      } else if (existing.status === 'pending' && saved.status !== 'pending') {
+        await this.approvalService.cancel('purchase', id, `Purchase moved back to ${saved.status}`);
+      }
 
       return { success: true, data: saved };
     } catch (error) {
@@ -252,6 +627,7 @@ export class PurchaseController {
   }
 
   @Delete('/:id')
+  @RequirePermission('purchases:delete')
   async deletePurchase(@Param('id') id: string) {
     try {
       const existing = await this.databaseService.findById<Purchase>('purchases', id);
@@ -272,7 +648,11 @@ export class PurchaseController {
     }
   }
 
+  // Under an approval policy this records the caller's decision on the current step
+  // and the purchase is only approved once the whole chain has; otherwise it takes
+  // purchases:approve and decides the purchase outright
   @Post('/:id/approve')
+  @RequirePermission()
   async approvePurchase(@Param('id') id: string, @Body() approval: PurchaseApproval) {
     try {
       const purchase = await this.databaseService.findById<Purchase>('purchases', id);
@@ -293,13 +673,32 @@ export class PurchaseController {
         };
       }
 
+      // Purchases submitted before a policy applied are put through it on first decision
+      let request = await this.approvalService.latestFor('purchase', id);
+      if (request?.status !== 'pending') {
+        request = await this.requestApproval(purchase);
+      }
+      if (request) {
+        const decided = await this.approvalService.decide(request.id, { approved: approval.approved, comments: approval.notes });
+        if (decided.status === 'pending') {
+          return {
+            success: true,
+            data: await this.databaseService.findById<Purchase>('purchases', id),
+            approval: decided,
+            message: `Decision recorded; ${decided.requestNumber} now waits on ${describeApprovers(outstandingApprovers(decided))}`
+          };
+        }
+      } else {
+        assertPermission('purchases:approve');
+      }
+
       const updateData: Partial<Purchase> = {
         status: approval.approved ? 'approved' : 'cancelled',
         updatedAt: new Date()
       };
 
       if (approval.approved) {
-        updateData.approvedBy = approval.approvedBy;
+        updateData.approvedBy = currentUserId();
         updateData.approvedAt = new Date();
       }
 
@@ -309,8 +708,23 @@ export class PurchaseController {
 
       const updated = await this.databaseService.update('purchases', id, updateData);
 
-      // Send notification to supplier if approved
-      if (approval.approved && supplier) {
+      // EDI trading partners are sent an 850; everyone else gets the order by email
+      if (approval.approved && supplier && await this.ediService.partnerFor(purchase.supplierId)) {
+        try {
+          const interchange = await this.ediService.sendPurchaseOrder(id);
+          return {
+            success: true,
+            data: await this.databaseService.findById<Purchase>('purchases', id),
+            message: `Purchase order sent to ${purchase.supplierName} by EDI (interchange ${interchange.controlNumber})`
+          };
+        } catch (error) {
+          return {
+            success: true,
+            data: updated,
+            message: `Approved, but the EDI purchase order could not be sent: ${error.message}`
+          };
+        }
+      } else if (approval.approved && supplier) {
         await this.notificationService.send({
           type: 'purchase_approved',
           title: 'Purchase Order Approved',
@@ -327,60 +741,140 @@ export class PurchaseController {
   }
 
   @Post('/:id/receive')
-  async receivePurchase(@Param('id') id: string, @Body() receiptData: {
-    items: Array<{ productId: string; receivedQuantity: number; notes?: string }>;
+  @RequirePermission('purchases:receive')
+  async receivePurchase(@Param('id') id: string, @Body() body: {
+    items?: ReceivedItem[];
+    expectedReceiptId?: string; // receiving a shipment the supplier sent a ship notice for
     partialReceipt?: boolean;
     notes?: string;
   }) {
     try {
-      const purchase = await this.databaseService.findById<Purchase>('purchases', id);
-      if (!purchase) {
-        return { success: false, error: 'Purchase not found' };
+      if (body.items !== undefined && !Array.isArray(body.items)) {
+        setResponseStatus(400);
+        return { success: false, error: 'items must be a list' };
       }
-
-      if (!['approved', 'ordered'].includes(purchase.status)) {
-        return { success: false, error: 'Purchase must be approved or ordered to receive items' };
+      if (body.items?.length) {
+        const purchase = await this.databaseService.findById<Purchase>('purchases', id);
+        if (!purchase) {
+          return { success: false, error: 'Purchase not found' };
+        }
+        const problem = receiptProblem(purchase, body.items);
+        if (problem) {
+          setResponseStatus(400);
+          return { success: false, error: problem };
+        }
       }
 
-      // Update received quantities
-      const updatedItems = purchase.items.map(item => {
-        const received = receiptData.items.find(r => r.productId === item.productId);
-        if (received) {
-          return {
-            ...item,
-            receivedQuantity: (item.receivedQuantity || 0) + received.receivedQuantity,
-            notes: received.notes || item.notes
-          };
+      // Inventory, the receipt and the PO record are updated in one transaction so a
+      // failure can't leave stock received against a PO that still shows it outstanding
+      const result = await this.databaseService.transaction(async tx => {
+        const purchase = await tx.findById<Purchase>('purchases', id);
+        if (!purchase) {
+          return { success: false, error: 'Purchase not found' };
         }
-        return item;
-      });
 
-      // Update inventory for received items
-      await this.updateInventoryFromReceipt(receiptData.items);
+        if (!['approved', 'ordered'].includes(purchase.status)) {
+          return { success: false, error: 'Purchase must be approved or ordered to receive items' };
+        }
 
-      // Determine new status
-      const allReceived = updatedItems.every(item => 
-        (item.receivedQuantity || 0) >= item.quantity
-      );
+        // The ship notice's lines stand in for the items when none are given
+        const expected = body.expectedReceiptId
+          ? await tx.findById<ExpectedReceipt>('expected_receipts', body.expectedReceiptId)
+          : null;
+        if (body.expectedReceiptId && (!expected || expected.purchaseId !== id || expected.status !== 'expected')) {
+          return { success: false, error: 'No shipment is expected under that ship notice' };
+        }
+        const receiptData = {
+          ...body,
+          items: body.items?.length
+            ? body.items
+            : (expected?.items || []).map((line): ReceivedItem => ({
+              productId: line.productId,
+              receivedQuantity: line.quantity,
+              lotNumber: line.lotNumber
+            }))
+        };
+        if (receiptData.items.length === 0) {
+          return { success: false, error: 'Nothing received' };
+        }
+        const problem = receiptProblem(purchase, receiptData.items);
+        if (problem) {
+          return { success: false, error: problem };
+        }
 
-      const newStatus = allReceived ? 'received' : purchase.status;
-      const actualDelivery = allReceived ? new Date() : purchase.actualDelivery;
+        // Update received quantities
+        const updatedItems = purchase.items.map(item => {
+          const received = receiptData.items.filter(r => r.productId === item.productId);
+          if (received.length > 0) {
+            return {
+              ...item,
+              receivedQuantity: (item.receivedQuantity || 0) +
+                received.reduce((sum, r) => sum + r.receivedQuantity, 0),
+              notes: received.find(r => r.notes)?.notes || item.notes
+            };
+          }
+          return item;
+        });
 
-      const updated = await this.databaseService.update('purchases', id, {
-        items: updatedItems,
-        status: newStatus,
-        actualDelivery,
-        updatedAt: new Date(),
-        notes: receiptData.notes ? (purchase.notes || '') + '\n' + receiptData.notes : purchase.notes
+        // Update inventory for received items
+        await this.updateInventoryFromReceipt(tx, purchase, receiptData.items);
+
+        // Keep the receipt itself; supplier invoices are matched against it
+        const receipt = await this.createReceipt(tx, purchase, receiptData);
+        if (expected) {
+          await tx.update('expected_receipts', expected.id, {
+            status: 'received',
+            receiptId: receipt.id,
+            updatedAt: new Date()
+          });
+        }
+
+        // Determine new status
+        const allReceived = updatedItems.every(item => 
+          (item.receivedQuantity || 0) >= item.quantity
+        );
+
+        const newStatus = allReceived ? 'received' : purchase.status;
+        const actualDelivery = allReceived ? new Date() : purchase.actualDelivery;
+
+        const updated = await tx.update<Purchase>('purchases', id, {
+          items: updatedItems,
+          status: newStatus,
+          actualDelivery,
+          updatedAt: new Date(),
+          notes: receiptData.notes ? (purchase.notes || '') + '\n' + receiptData.notes : purchase.notes
+        });
+        await this.webhookService.publish('purchase_order.received', { purchase: updated, receipt }, { tx });
+
+        return { success: true, data: updated, receipt };
       });
 
-      return { success: true, data: updated };
+      if (result.success) {
+        // Supplier invoices that were waiting on these goods may match now
+        await this.payablesService.rematchPurchase(id);
+      }
+      return result;
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/:id/receipts')
+  @RequirePermission('purchases:read')
+  async getPurchaseReceipts(@Param('id') id: string) {
+    try {
+      const receipts = await this.databaseService.find<Receipt>('purchase_receipts', { purchaseId: id }, {
+        sort: { receivedDate: 1 }
+      });
+
+      return { success: true, data: receipts };
     } catch (error) {
       return { success: false, error: error.message };
     }
   }
 
   @Get('/suppliers')
+  @RequirePermission('suppliers:read')
   async getSuppliers(@Query() query: any) {
     try {
       const { status = 'active', page = 1, limit = 50 } = query;
@@ -413,6 +907,7 @@ export class PurchaseController {
   }
 
   @Post('/suppliers')
+  @RequirePermission('suppliers:write')
   async createSupplier(@Body() supplierData: Partial<Supplier>) {
     try {
       const requiredFields = ['name', 'contactPerson', 'email', 'phone'];
@@ -447,6 +942,7 @@ export class PurchaseController {
   }
 
   @Get('/analytics/overview')
+  @RequirePermission('purchases:read')
   async getPurchaseAnalytics(@Query() query: any) {
     try {
       const { startDate, endDate } = query;
@@ -489,6 +985,7 @@ export class PurchaseController {
   }
 
   @Get('/recommendations/reorder')
+  @RequirePermission('purchases:read')
   async getReorderRecommendations() {
     try {
       // Get low stock items
@@ -505,6 +1002,21 @@ export class PurchaseController {
     }
   }
 
+  private async requestApproval(purchase: Purchase): Promise<ApprovalRequest | null> {
+    const items = purchase.items || [];
+    return this.approvalService.request('purchase', {
+      id: purchase.id,
+      number: purchase.purchaseNumber,
+      summary: `Purchase ${purchase.purchaseNumber || purchase.id} from ${purchase.supplierName || purchase.supplierId} for $${(purchase.total || 0).toFixed(2)}`,
+      requestedBy: purchase.createdBy
+    }, {
+      amount: purchase.total || 0,
+      categories: await this.approvalService.productCategories(items.map(item => item.productId)),
+      supplierId: purchase.supplierId,
+      projectId: purchase.projectId
+    });
+  }
+
   private async calculatePurchaseTotals(items: PurchaseItem[]): Promise<{
     subtotal: number;
     tax: number;
@@ -519,37 +1031,72 @@ export class PurchaseController {
     return { subtotal, tax, shipping, total };
   }
 
-  private async generatePurchaseNumber(): Promise<string> {
-    const year = new Date().getFullYear();
-    const month = String(new Date().getMonth() + 1).padStart(2, '0');
-    const purchasesThisMonth = await this.databaseService.count('purchases', {
-      purchaseNumber: { $regex: `^PO-${year}${month}` }
+  private async createReceipt(
+    tx: Transaction,
+    purchase: Purchase,
+    receiptData: { items: ReceivedItem[]; notes?: string }
+  ): Promise<Receipt> {
+    const previous = await tx.find('purchase_receipts', { purchaseId: purchase.id });
+    const items: ReceiptItem[] = [];
+    for (const received of receiptData.items) {
+      const line = purchase.items.find(item => item.productId === received.productId);
+      if (!line) continue;
+      items.push({
+        poItemId: line.id,
+        productId: line.productId,
+        quantityReceived: received.receivedQuantity,
+        unitCost: line.unitCost,
+        condition: received.condition || 'good',
+        locationId: received.locationId,
+        binCode: received.binCode,
+        lotNumbers: received.lotNumber ? [received.lotNumber] : undefined
+      });
+    }
+
+    return tx.create<Receipt>('purchase_receipts', {
+      id: this.generateId(),
+      receiptNumber: `${purchase.purchaseNumber}-R${String(previous.length + 1).padStart(2, '0')}`,
+      purchaseId: purchase.id,
+      receivedDate: new Date(),
+      receivedBy: currentUserId(),
+      items,
+      notes: receiptData.notes || ''
     });
-    
-    const sequence = String(purchasesThisMonth + 1).padStart(4, '0');
-    return `PO-${year}${month}-${sequence}`;
   }
 
-  private async updateInventoryFromReceipt(items: Array<{ productId: string; receivedQuantity: number }>): Promise<void> {
+  private async updateInventoryFromReceipt(
+    tx: Transaction,
+    purchase: Purchase,
+    items: ReceivedItem[]
+  ): Promise<void> {
     for (const item of items) {
-      const inventory = await this.databaseService.findOne('inventory', { productId: item.productId });
+      const inventory = item.locationId
+        ? await this.warehouseService.ensureInventoryAt(tx, item.productId, item.locationId)
+        : await tx.findOne<any>('inventory', { productId: item.productId });
       if (inventory) {
-        await this.databaseService.update('inventory', inventory.id, {
-          quantity: inventory.quantity + item.receivedQuantity,
-          lastUpdated: new Date()
-        });
-
-        // Create stock movement record
-        await this.databaseService.create('stock_movements', {
-          id: this.generateId(),
-          inventoryId: inventory.id,
+        const line = purchase.items.find(poItem => poItem.productId === item.productId);
+        const received = await this.warehouseService.receiveInto(tx, inventory, item.receivedQuantity, {
+          binCode: item.binCode,
+          lotNumber: item.lotNumber,
+          expirationDate: item.expirationDate,
+          unitCost: line?.unitCost
+        }, {
           type: 'in',
-          quantity: item.receivedQuantity,
           reason: 'Purchase receipt',
-          reference: 'Purchase order',
-          timestamp: new Date(),
-          userId: 'system'
+          reference: `Purchase order ${purchase.purchaseNumber}`
         });
+
+        // Stock bought for a project, or requisitioned by projects, goes to them first,
+        // then to waiting backorders
+        let unallocated = item.receivedQuantity;
+        for (const source of line?.requisitions || []) {
+          if (unallocated <= 0) break;
+          unallocated -= await this.projectService.allocateReceiptIn(tx, source.projectId, received, Math.min(source.quantity, unallocated));
+        }
+        if (purchase.projectId && unallocated > 0) {
+          await this.projectService.allocateReceiptIn(tx, purchase.projectId, received, unallocated);
+        }
+        await this.fulfillmentService.allocateBackordersIn(tx, item.productId);
       }
     }
   }
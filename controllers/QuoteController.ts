@@ -0,0 +1,161 @@
+// controllers/QuoteController.ts
+import { Controller, Get, Post, Put, Injectable, Body, Param, Query } from '@varld/warp';
+import { QuoteService } from '../services/QuoteService';
+import { Quote, QuoteAcceptance, QuoteDecline } from '../services/quotes/Quotes';
+import { RequirePermission, assertPermission } from '../services/auth/guards';
+
+@Injectable()
+@Controller('/api/quotes')
+export class QuoteController {
+  constructor(private quoteService: QuoteService) {}
+
+  @Get('/')
+  @RequirePermission('quotes:read')
+  async getQuotes(@Query() query: any) {
+    try {
+      const quotes = await this.quoteService.listQuotes({
+        status: query.status,
+        customerId: query.customerId,
+        salesRep: query.salesRep
+      });
+      return { success: true, data: quotes };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/')
+  @RequirePermission('quotes:write')
+  async createQuote(@Body() quoteData: Partial<Quote>) {
+    try {
+      const quote = await this.quoteService.createQuote(quoteData);
+      return { success: true, data: quote };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Win/loss by customer and salesperson; defaults to the last 90 days
+  @Get('/analytics/win-loss')
+  @RequirePermission('quotes:read')
+  async getWinLoss(@Query() query: any) {
+    try {
+      const endDate = query.endDate ? new Date(query.endDate) : new Date();
+      const startDate = query.startDate
+        ? new Date(query.startDate)
+        : new Date(endDate.getTime() - 90 * 24 * 60 * 60 * 1000);
+      const analysis = await this.quoteService.getWinLoss(startDate, endDate);
+      return { success: true, data: { startDate, endDate, ...analysis } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/:id')
+  @RequirePermission('quotes:read')
+  async getQuote(@Param('id') id: string) {
+    try {
+      const quote = await this.quoteService.getQuote(id);
+      if (!quote) {
+        return { success: false, error: 'Quote not found' };
+      }
+      return { success: true, data: quote };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Put('/:id')
+  @RequirePermission('quotes:write')
+  async reviseQuote(@Param('id') id: string, @Body() changes: Partial<Quote> & { reason?: string }) {
+    try {
+      const quote = await this.quoteService.reviseQuote(id, changes);
+      return { success: true, data: quote };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/:id/send')
+  @RequirePermission('quotes:write')
+  async sendQuote(@Param('id') id: string) {
+    try {
+      const quote = await this.quoteService.sendQuote(id);
+      return { success: true, data: quote, message: `Quote ${quote.quoteNumber} sent` };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The customer-facing document; PDFs come back base64 encoded
+  @Get('/:id/document')
+  @RequirePermission('quotes:read')
+  async getDocument(@Param('id') id: string, @Query() query: any) {
+    try {
+      const format = query.format === 'pdf' ? 'pdf' : 'html';
+      const document = await this.quoteService.renderQuote(id, format);
+      return { success: true, data: document };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/:id/accept')
+  @RequirePermission('quotes:write')
+  async acceptQuote(@Param('id') id: string, @Body() acceptance: Partial<QuoteAcceptance>) {
+    try {
+      const quote = await this.quoteService.acceptQuote(id, acceptance);
+      return { success: true, data: quote, message: `Quote ${quote.quoteNumber} accepted` };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/:id/decline')
+  @RequirePermission('quotes:write')
+  async declineQuote(@Param('id') id: string, @Body() decline: Partial<QuoteDecline>) {
+    try {
+      const quote = await this.quoteService.declineQuote(id, decline);
+      return { success: true, data: quote, message: `Quote ${quote.quoteNumber} declined` };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/:id/availability')
+  @RequirePermission('quotes:read')
+  async getAvailability(@Param('id') id: string) {
+    try {
+      const quote = await this.quoteService.getQuote(id);
+      if (!quote) {
+        return { success: false, error: 'Quote not found' };
+      }
+      const availability = await this.quoteService.checkAvailability(quote.items);
+      return { success: true, data: availability };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Converts an accepted quote into a sales order, or into a project's material list
+  @Post('/:id/convert')
+  @RequirePermission('quotes:write')
+  async convertQuote(
+    @Param('id') id: string,
+    @Body() body: { target?: 'order' | 'project'; projectId?: string; allowBackorders?: boolean }
+  ) {
+    try {
+      if (body?.target === 'project') {
+        assertPermission('projects:write');
+        const result = await this.quoteService.convertToProject(id, body.projectId);
+        return { success: true, data: result, message: `Quote added to project ${result.project.name}` };
+      }
+
+      assertPermission('orders:write');
+      const result = await this.quoteService.convertToOrder(id, { allowBackorders: body?.allowBackorders });
+      return { success: true, data: result, message: `Order ${result.order.orderNumber} created` };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
@@ -0,0 +1,94 @@
+// controllers/ReturnController.ts
+import { Controller, Get, Post, Injectable, Body, Param, Query } from '@varld/warp';
+import { ReturnService, ReturnReceipt, ReturnRequest } from '../services/ReturnService';
+import { RequirePermission, assertPermission } from '../services/auth/guards';
+
+@Injectable()
+@Controller('/api/returns')
+export class ReturnController {
+  constructor(private returnService: ReturnService) {}
+
+  @Get('/')
+  @RequirePermission('returns:read')
+  async getReturns(@Query() query: any) {
+    try {
+      const returns = await this.returnService.listReturns({
+        status: query.status,
+        customerId: query.customerId,
+        orderId: query.orderId
+      });
+      return { success: true, data: returns };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Authorizes a return against the order lines it shipped on. Waiving the restocking
+  // fee is a manager's call.
+  @Post('/')
+  @RequirePermission('returns:write')
+  async authorizeReturn(@Body() request: ReturnRequest) {
+    try {
+      if (request?.waiveRestockingFee) {
+        assertPermission('returns:approve');
+      }
+      const rma = await this.returnService.authorizeReturn(request);
+      return { success: true, data: rma, message: `${rma.rmaNumber} authorized` };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/:id')
+  @RequirePermission('returns:read')
+  async getReturn(@Param('id') id: string) {
+    try {
+      const rma = await this.returnService.getReturn(id);
+      if (!rma) {
+        return { success: false, error: 'Return not found' };
+      }
+      return { success: true, data: rma };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Inspection results for material that has arrived, with the disposition of each batch
+  @Post('/:id/receive')
+  @RequirePermission('returns:receive')
+  async receiveReturn(@Param('id') id: string, @Body() body: { items: ReturnReceipt[] }) {
+    try {
+      const rma = await this.returnService.receiveReturn(id, body?.items);
+      return {
+        success: true,
+        data: rma,
+        message: rma.status === 'closed' ? `${rma.rmaNumber} received in full and credited` : undefined
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Credits what has come back and lets the rest of the authorization lapse
+  @Post('/:id/close')
+  @RequirePermission('returns:write')
+  async closeReturn(@Param('id') id: string) {
+    try {
+      const rma = await this.returnService.closeReturn(id);
+      return { success: true, data: rma };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/:id/cancel')
+  @RequirePermission('returns:write')
+  async cancelReturn(@Param('id') id: string, @Body() body: { reason?: string }) {
+    try {
+      const rma = await this.returnService.cancelReturn(id, body?.reason);
+      return { success: true, data: rma, message: `${rma.rmaNumber} cancelled` };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
@@ -0,0 +1,203 @@
+// controllers/SupplierInvoiceController.ts
+import { Controller, Get, Post, Injectable, Body, Param, Query } from '@varld/warp';
+import { DatabaseService } from '../services/DatabaseService';
+import {
+  AccountsPayableService,
+  SupplierInvoice,
+  SupplierInvoiceRequest,
+  SupplierPayment
+} from '../services/AccountsPayableService';
+import { RequirePermission } from '../services/auth/guards';
+
+interface ExceptionDecision {
+  approved: boolean;
+  notes?: string;
+}
+
+interface PaymentRelease {
+  amount?: number;
+  method?: SupplierPayment['method'];
+  reference?: string;
+  date?: string;
+}
+
+@Injectable()
+@Controller('/api/payables')
+export class SupplierInvoiceController {
+  constructor(
+    private databaseService: DatabaseService,
+    private payablesService: AccountsPayableService
+  ) {}
+
+  @Get('/invoices')
+  @RequirePermission('payables:read')
+  async getSupplierInvoices(@Query() query: any) {
+    try {
+      const { supplierId, purchaseId, status, page = 1, limit = 50 } = query;
+
+      const filters: any = {};
+      if (supplierId) filters.supplierId = supplierId;
+      if (purchaseId) filters.purchaseId = purchaseId;
+      if (status) filters.status = status;
+
+      const invoices = await this.databaseService.find<SupplierInvoice>('supplier_invoices', filters, {
+        sort: { invoiceDate: -1 },
+        skip: (page - 1) * limit,
+        limit: parseInt(limit)
+      });
+      const total = await this.databaseService.count('supplier_invoices', filters);
+
+      return {
+        success: true,
+        data: invoices,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/exceptions')
+  @RequirePermission('payables:read')
+  async getOpenExceptions() {
+    try {
+      const invoices = await this.databaseService.find<SupplierInvoice>('supplier_invoices', { status: 'exception' }, {
+        sort: { invoiceDate: 1 }
+      });
+
+      const exceptions = invoices.flatMap(invoice => invoice.exceptions
+        .filter(exception => exception.status === 'open')
+        .map(exception => ({
+          ...exception,
+          invoiceId: invoice.id,
+          invoiceNumber: invoice.invoiceNumber,
+          supplierName: invoice.supplierName,
+          purchaseNumber: invoice.purchaseNumber
+        })));
+
+      return { success: true, data: exceptions };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/invoices/:id')
+  @RequirePermission('payables:read')
+  async getSupplierInvoiceById(@Param('id') id: string) {
+    try {
+      const invoice = await this.databaseService.findById<SupplierInvoice>('supplier_invoices', id);
+      if (!invoice) {
+        return { success: false, error: 'Supplier invoice not found' };
+      }
+
+      return { success: true, data: invoice };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/invoices')
+  @RequirePermission('payables:write')
+  async enterSupplierInvoice(@Body() request: SupplierInvoiceRequest) {
+    try {
+      const requiredFields: Array<keyof SupplierInvoiceRequest> = ['purchaseId', 'invoiceNumber', 'items'];
+      for (const field of requiredFields) {
+        if (!request?.[field]) {
+          return { success: false, error: `${field} is required` };
+        }
+      }
+
+      const invoice = await this.payablesService.enterInvoice(request);
+
+      return { success: true, data: invoice };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/invoices/from-document')
+  @RequirePermission('payables:write')
+  async enterSupplierInvoiceFromDocument(@Body() body: { purchaseId: string; documentPath: string }) {
+    try {
+      if (!body?.purchaseId || !body?.documentPath) {
+        return { success: false, error: 'purchaseId and documentPath are required' };
+      }
+
+      const invoice = await this.payablesService.enterInvoiceFromDocument(body.purchaseId, body.documentPath);
+
+      return { success: true, data: invoice };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/invoices/:id/match')
+  @RequirePermission('payables:write')
+  async rematchSupplierInvoice(@Param('id') id: string) {
+    try {
+      const invoice = await this.payablesService.matchInvoice(id);
+
+      return { success: true, data: invoice };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/invoices/:id/exceptions/:exceptionId/resolve')
+  @RequirePermission('payables:approve')
+  async resolveException(
+    @Param('id') id: string,
+    @Param('exceptionId') exceptionId: string,
+    @Body() decision: ExceptionDecision
+  ) {
+    try {
+      if (typeof decision?.approved !== 'boolean') {
+        return { success: false, error: 'approved is required' };
+      }
+
+      const invoice = await this.payablesService.resolveException(id, exceptionId, decision);
+
+      return { success: true, data: invoice };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/invoices/:id/payments')
+  @RequirePermission('payables:pay')
+  async releasePayment(@Param('id') id: string, @Body() payment: PaymentRelease) {
+    try {
+      const invoice = await this.payablesService.releasePayment(id, {
+        amount: payment?.amount,
+        method: payment?.method,
+        reference: payment?.reference,
+        date: payment?.date ? new Date(payment.date) : undefined
+      });
+
+      return { success: true, data: invoice };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/invoices/:id/void')
+  @RequirePermission('payables:write')
+  async voidSupplierInvoice(@Param('id') id: string, @Body() body: { reason: string }) {
+    try {
+      if (!body?.reason) {
+        return { success: false, error: 'reason is required' };
+      }
+
+      const invoice = await this.payablesService.voidInvoice(id, body.reason);
+
+      return { success: true, data: invoice };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
@@ -4,6 +4,8 @@ import { DatabaseService } from '../services/DatabaseService';
 import { NotificationService } from '../services/NotificationService';
 import { SupplyChainAnalyticsEngine } from '../src/services/SupplyChainAnalyticsEngine';
 import { SupplyChainOptimizer } from '../src/services/SupplyChainOptimizer';
+import { RequirePermission } from '../services/auth/guards';
+import { generatePurchaseNumber } from '../services/purchasing/PurchaseNumbers';
 
 @Injectable()
 @Controller('/api/supply-chain')
@@ -16,6 +18,7 @@ export class SupplyChainController {
   ) {}
 
   @Get('/analytics/performance')
+  @RequirePermission('supply_chain:read')
   async getSupplyChainPerformance(@Query() query: any) {
     try {
       const { startDate, endDate } = query;
@@ -38,6 +41,7 @@ export class SupplyChainController {
   }
 
   @Get('/analytics/kpis')
+  @RequirePermission('supply_chain:read')
   async getSupplyChainKPIs() {
     try {
       const kpis = await this.analyticsEngine.getSupplyChainKPIs();
@@ -52,6 +56,7 @@ export class SupplyChainController {
   }
 
   @Get('/optimization/recommendations')
+  @RequirePermission('supply_chain:read')
   async getOptimizationRecommendations() {
     try {
       const recommendations = await this.optimizer.generateOptimizationRecommendations();
@@ -72,6 +77,7 @@ export class SupplyChainController {
   }
 
   @Get('/optimization/reorder-points')
+  @RequirePermission('supply_chain:read')
   async getReorderPoints() {
     try {
       const lowStockItems = await this.databaseService.find('inventory', {
@@ -97,6 +103,7 @@ export class SupplyChainController {
   }
 
   @Post('/optimization/supplier-selection')
+  @RequirePermission('supply_chain:read')
   async optimizeSupplierSelection(@Body() request: { productId: string }) {
     try {
       const { productId } = request;
@@ -117,6 +124,7 @@ export class SupplyChainController {
   }
 
   @Get('/automation/purchase-orders')
+  @RequirePermission('supply_chain:read')
   async getAutomaticPurchaseOrders() {
     try {
       const autoOrders = await this.optimizer.generateAutomaticPurchaseOrders();
@@ -136,6 +144,7 @@ export class SupplyChainController {
   }
 
   @Post('/automation/execute-orders')
+  @RequirePermission('supply_chain:execute')
   async executeAutomaticOrders(@Body() request: { orderIds: string[], approved: boolean }) {
     try {
       const { orderIds, approved } = request;
@@ -165,14 +174,13 @@ export class SupplyChainController {
 
         // This would normally call the PurchaseController
         // For now, we'll simulate the creation
-        const purchase = {
+        const purchase = await this.databaseService.transaction(async tx => tx.create<any>('purchases', {
           id: this.generateId(),
+          purchaseNumber: await generatePurchaseNumber(tx),
           ...purchaseData,
           status: 'pending',
           createdAt: new Date()
-        };
-
-        await this.databaseService.create('purchases', purchase);
+        }));
         createdPurchases.push(purchase);
 
         // Send notification
@@ -196,6 +204,7 @@ export class SupplyChainController {
   }
 
   @Get('/risk-assessment/suppliers')
+  @RequirePermission('supply_chain:read')
   async getSupplierRiskAssessment() {
     try {
       const timeframe = {
@@ -233,6 +242,7 @@ export class SupplyChainController {
   }
 
   @Get('/cost-analysis/spend-overview')
+  @RequirePermission('supply_chain:read')
   async getSpendAnalysis(@Query() query: any) {
     try {
       const { startDate, endDate } = query;
@@ -292,6 +302,7 @@ export class SupplyChainController {
   }
 
   @Post('/alerts/setup')
+  @RequirePermission('supply_chain:write')
   async setupSupplyChainAlerts(@Body() alertConfig: {
     lowStockThreshold: number;
     leadTimeThreshold: number;
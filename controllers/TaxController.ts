@@ -0,0 +1,111 @@
+// controllers/TaxController.ts
+import { Controller, Get, Post, Injectable, Body, Param, Query } from '@varld/warp';
+import { TaxService, ExemptionCertificate } from '../services/TaxService';
+import { RequirePermission } from '../services/auth/guards';
+
+@Injectable()
+@Controller('/api/tax')
+export class TaxController {
+  constructor(private taxService: TaxService) {}
+
+  @Get('/rates')
+  @RequirePermission('tax:read')
+  async getRates() {
+    try {
+      return { success: true, data: this.taxService.getRateTable() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The jurisdictions and combined rate for a delivery address
+  @Get('/rates/lookup')
+  @RequirePermission('tax:read')
+  async lookupRate(@Query() query: any) {
+    try {
+      if (!query.state) {
+        return { success: false, error: 'state is required' };
+      }
+      const result = this.taxService.lookup({
+        state: query.state,
+        county: query.county,
+        city: query.city,
+        zipCode: query.zipCode
+      }, query.category);
+      return { success: true, data: result };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/rates/reload')
+  @RequirePermission('tax:write')
+  async reloadRates() {
+    try {
+      const table = this.taxService.reloadRates();
+      return {
+        success: true,
+        data: { version: table.version, jurisdictions: table.rates.length },
+        message: 'Tax rates reloaded'
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/certificates')
+  @RequirePermission('tax:read')
+  async getCertificates(@Query() query: any) {
+    try {
+      const certificates = await this.taxService.listCertificates({
+        customerId: query.customerId,
+        status: query.status,
+        expiringWithinDays: query.expiringWithinDays ? Number(query.expiringWithinDays) : undefined
+      });
+      return { success: true, data: certificates };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/certificates')
+  @RequirePermission('tax:certificates')
+  async createCertificate(@Body() certificateData: Partial<ExemptionCertificate>) {
+    try {
+      const certificate = await this.taxService.createCertificate(certificateData);
+      return { success: true, data: certificate };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/certificates/:id/revoke')
+  @RequirePermission('tax:certificates')
+  async revokeCertificate(@Param('id') id: string, @Body() body: { reason: string }) {
+    try {
+      const certificate = await this.taxService.revokeCertificate(id, body?.reason);
+      return { success: true, data: certificate, message: 'Certificate revoked' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Tax billed per jurisdiction, for filing returns
+  @Get('/liability')
+  @RequirePermission('tax:read')
+  async getLiability(@Query() query: any) {
+    try {
+      const requiredFields = ['startDate', 'endDate'];
+      for (const field of requiredFields) {
+        if (!query[field]) {
+          return { success: false, error: `${field} is required` };
+        }
+      }
+
+      const report = await this.taxService.getLiabilityReport(new Date(query.startDate), new Date(query.endDate));
+      return { success: true, data: report };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
@@ -0,0 +1,98 @@
+// controllers/UserController.ts
+import { Controller, Get, Post, Put, Delete, Injectable, Body, Param, Query } from '@varld/warp';
+import { AuthService } from '../services/AuthService';
+import { RequirePermission } from '../services/auth/guards';
+import { currentUserId } from '../services/auth/RequestContext';
+import { Role, ROLES, ROLE_PERMISSIONS } from '../services/auth/permissions';
+
+@Injectable()
+@Controller('/api/users')
+export class UserController {
+  constructor(private authService: AuthService) {}
+
+  @Get('/')
+  @RequirePermission('users:read')
+  async getAllUsers(@Query() query: any) {
+    try {
+      const users = await this.authService.listUsers({ role: query.role, status: query.status });
+      return { success: true, data: users };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/roles')
+  @RequirePermission('users:read')
+  async getRoles() {
+    return {
+      success: true,
+      data: ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] }))
+    };
+  }
+
+  @Get('/:id')
+  @RequirePermission('users:read')
+  async getUserById(@Param('id') id: string) {
+    try {
+      const user = await this.authService.getUser(id);
+      if (!user) {
+        return { success: false, error: 'User not found' };
+      }
+      return { success: true, data: user };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/')
+  @RequirePermission('users:write')
+  async createUser(@Body() userData: { email: string; name: string; password: string; role: Role }) {
+    try {
+      const user = await this.authService.createUser(userData, currentUserId());
+      return { success: true, data: user };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Put('/:id')
+  @RequirePermission('users:write')
+  async updateUser(
+    @Param('id') id: string,
+    @Body() updateData: { name?: string; role?: Role; status?: 'active' | 'disabled' }
+  ) {
+    try {
+      const user = await this.authService.updateUser(id, updateData);
+      return { success: true, data: user };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/:id/reset-password')
+  @RequirePermission('users:write')
+  async resetPassword(@Param('id') id: string, @Body() request: { newPassword: string }) {
+    try {
+      await this.authService.setPassword(id, request.newPassword);
+      return { success: true, message: 'Password reset; existing sessions were signed out' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Delete('/:id')
+  @RequirePermission('users:write')
+  async deactivateUser(@Param('id') id: string) {
+    try {
+      if (id === currentUserId()) {
+        return { success: false, error: 'You cannot deactivate your own account' };
+      }
+
+      // Users are never hard-deleted: their id is stamped on orders, POs and movements
+      await this.authService.updateUser(id, { status: 'disabled' });
+      return { success: true, message: 'User deactivated successfully' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
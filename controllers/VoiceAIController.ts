@@ -4,6 +4,8 @@ import { VoiceAIEngine } from '../src/services/VoiceAIEngine';
 import { SpeechRecognitionService } from '../src/services/SpeechRecognitionService';
 import { TextToSpeechService } from '../src/services/TextToSpeechService';
 import { NaturalLanguageService } from '../src/services/NaturalLanguageService';
+import { RequirePermission } from '../services/auth/guards';
+import { currentUserId } from '../services/auth/RequestContext';
 
 @Injectable()
 @Controller('/api/voice')
@@ -16,9 +18,10 @@ export class VoiceAIController {
   ) {}
 
   @Post('/session/start')
-  async startVoiceSession(@Body() request: { userId?: string }) {
+  @RequirePermission('voice:use')
+  async startVoiceSession() {
     try {
-      const sessionId = await this.voiceAI.startVoiceSession(request.userId);
+      const sessionId = await this.voiceAI.startVoiceSession(currentUserId());
       
       return {
         success: true,
@@ -33,6 +36,7 @@ export class VoiceAIController {
   }
 
   @Post('/session/:sessionId/end')
+  @RequirePermission('voice:use')
   async endVoiceSession(@Param('sessionId') sessionId: string) {
     try {
       await this.voiceAI.endVoiceSession(sessionId);
@@ -47,6 +51,7 @@ export class VoiceAIController {
   }
 
   @Get('/session/:sessionId/status')
+  @RequirePermission('voice:use')
   async getSessionStatus(@Param('sessionId') sessionId: string) {
     try {
       const session = this.voiceAI.getSessionInfo(sessionId);
@@ -65,6 +70,7 @@ export class VoiceAIController {
   }
 
   @Post('/session/:sessionId/process-audio')
+  @RequirePermission('voice:use')
   async processAudioInput(@Param('sessionId') sessionId: string, @Body() request: {
     audioData: string; // Base64 encoded audio
     format?: string;
@@ -85,6 +91,7 @@ export class VoiceAIController {
   }
 
   @Post('/text-to-speech')
+  @RequirePermission('voice:use')
   async convertTextToSpeech(@Body() request: {
     text: string;
     voice?: string;
@@ -104,6 +111,7 @@ export class VoiceAIController {
   }
 
   @Post('/speech-to-text')
+  @RequirePermission('voice:use')
   async convertSpeechToText(@Body() request: {
     audioData: string;
     sessionId?: string;
@@ -124,6 +132,7 @@ export class VoiceAIController {
   }
 
   @Post('/understand-command')
+  @RequirePermission('voice:use')
   async understandCommand(@Body() request: { text: string }) {
     try {
       const result = await this.nlService.processCommand(request.text);
@@ -138,6 +147,7 @@ export class VoiceAIController {
   }
 
   @Get('/analytics')
+  @RequirePermission('voice:use')
   async getVoiceAnalytics() {
     try {
       const analytics = this.voiceAI.getAnalytics();
@@ -152,6 +162,7 @@ export class VoiceAIController {
   }
 
   @Get('/interactions')
+  @RequirePermission('voice:use')
   async getInteractionHistory(@Query() query: any) {
     try {
       const { sessionId, limit = 50 } = query;
@@ -168,6 +179,7 @@ export class VoiceAIController {
   }
 
   @Get('/intents')
+  @RequirePermission('voice:use')
   async getAvailableIntents() {
     try {
       const intents = this.nlService.getAvailableIntents();
@@ -186,6 +198,7 @@ export class VoiceAIController {
   }
 
   @Post('/config/speech-recognition')
+  @RequirePermission('voice:configure')
   async updateSpeechConfig(@Body() config: {
     language?: string;
     continuous?: boolean;
@@ -204,6 +217,7 @@ export class VoiceAIController {
   }
 
   @Post('/config/text-to-speech')
+  @RequirePermission('voice:configure')
   async updateTTSConfig(@Body() config: {
     voice?: string;
     rate?: number;
@@ -223,6 +237,7 @@ export class VoiceAIController {
   }
 
   @Get('/status')
+  @RequirePermission('voice:use')
   async getSystemStatus() {
     try {
       const speechStatus = this.speechRecognition.getListeningStatus();
@@ -248,6 +263,7 @@ export class VoiceAIController {
   }
 
   @Post('/demo/simulate-command')
+  @RequirePermission('voice:use')
   async simulateVoiceCommand(@Body() request: {
     command: string;
     sessionId?: string;
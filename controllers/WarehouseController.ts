@@ -0,0 +1,223 @@
+// controllers/WarehouseController.ts
+import { Controller, Get, Post, Injectable, Body, Param, Query } from '@varld/warp';
+import { DatabaseService } from '../services/DatabaseService';
+import { WarehouseService, Location, Bin, TransferOrder } from '../services/WarehouseService';
+import { OrderFulfillmentService } from '../services/OrderFulfillmentService';
+import { RequirePermission } from '../services/auth/guards';
+
+interface TransferRequest {
+  fromLocationId: string;
+  toLocationId: string;
+  items: Array<{ productId: string; quantity: number; lotNumber?: string }>;
+  notes?: string;
+}
+
+interface TransferReceipt {
+  binCode?: string;
+  items?: Array<{ transferItemId: string; quantity: number; binCode?: string }>;
+}
+
+@Injectable()
+@Controller('/api/warehouse')
+export class WarehouseController {
+  constructor(
+    private databaseService: DatabaseService,
+    private warehouseService: WarehouseService,
+    private fulfillmentService: OrderFulfillmentService
+  ) {}
+
+  @Get('/locations')
+  @RequirePermission('inventory:read')
+  async getLocations(@Query() query: any) {
+    try {
+      const locations = await this.warehouseService.getLocations(query.includeInactive === 'true');
+
+      return { success: true, data: locations };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/locations')
+  @RequirePermission('inventory:write')
+  async createLocation(@Body() locationData: Partial<Location>) {
+    try {
+      const location = await this.warehouseService.createLocation(locationData);
+
+      return { success: true, data: location };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/locations/:id/stock')
+  @RequirePermission('inventory:read')
+  async getLocationStock(@Param('id') id: string) {
+    try {
+      const location = await this.databaseService.findById<Location>('locations', id);
+      if (!location) {
+        return { success: false, error: 'Location not found' };
+      }
+
+      const stock = await this.databaseService.find('inventory', { locationId: id }, {
+        sort: { productName: 1 }
+      });
+
+      return { success: true, data: { location, stock } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/locations/:id/bins')
+  @RequirePermission('inventory:write')
+  async addBin(@Param('id') id: string, @Body() bin: Partial<Bin>) {
+    try {
+      const location = await this.warehouseService.addBin(id, bin);
+
+      return { success: true, data: location };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/picks')
+  @RequirePermission('inventory:read')
+  async suggestPicks(@Query() query: any) {
+    try {
+      const { productId, quantity, locationId } = query;
+      if (!productId || !quantity) {
+        return { success: false, error: 'productId and quantity are required' };
+      }
+
+      const suggestion = await this.warehouseService.suggestPicks(productId, Number(quantity), locationId);
+
+      return {
+        success: true,
+        data: suggestion,
+        ...(suggestion.shortfall > 0 && {
+          message: `Only ${Number(quantity) - suggestion.shortfall} of ${quantity} can be picked from unexpired, unreserved stock`
+        })
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/lots/expiring')
+  @RequirePermission('inventory:read')
+  async getExpiringLots(@Query() query: any) {
+    try {
+      const lots = await this.warehouseService.getExpiringLots(query.days ? Number(query.days) : 30);
+
+      return { success: true, data: lots };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/transfers')
+  @RequirePermission('inventory:read')
+  async getTransfers(@Query() query: any) {
+    try {
+      const { status, fromLocationId, toLocationId, page = 1, limit = 50 } = query;
+
+      const filters: any = {};
+      if (status) filters.status = status;
+      if (fromLocationId) filters.fromLocationId = fromLocationId;
+      if (toLocationId) filters.toLocationId = toLocationId;
+
+      const transfers = await this.databaseService.find<TransferOrder>('transfer_orders', filters, {
+        sort: { createdAt: -1 },
+        skip: (page - 1) * limit,
+        limit: parseInt(limit)
+      });
+      const total = await this.databaseService.count('transfer_orders', filters);
+
+      return {
+        success: true,
+        data: transfers,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/transfers/in-transit')
+  @RequirePermission('inventory:read')
+  async getInTransit() {
+    try {
+      const inTransit = await this.warehouseService.getInTransit();
+
+      return { success: true, data: inTransit };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/transfers')
+  @RequirePermission('inventory:write')
+  async createTransfer(@Body() request: TransferRequest) {
+    try {
+      const requiredFields: Array<keyof TransferRequest> = ['fromLocationId', 'toLocationId', 'items'];
+      for (const field of requiredFields) {
+        if (!request?.[field]) {
+          return { success: false, error: `${field} is required` };
+        }
+      }
+
+      const transfer = await this.warehouseService.createTransfer(request);
+
+      return { success: true, data: transfer };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/transfers/:id/ship')
+  @RequirePermission('inventory:write')
+  async shipTransfer(@Param('id') id: string) {
+    try {
+      const transfer = await this.warehouseService.shipTransfer(id);
+
+      return { success: true, data: transfer };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/transfers/:id/receive')
+  @RequirePermission('inventory:write')
+  async receiveTransfer(@Param('id') id: string, @Body() receipt: TransferReceipt) {
+    try {
+      const transfer = await this.warehouseService.receiveTransfer(id, receipt || {});
+
+      // Stock arriving at the destination may fill waiting backorders
+      for (const productId of new Set(transfer.items.map(item => item.productId))) {
+        await this.fulfillmentService.allocateBackorders(productId);
+      }
+
+      return { success: true, data: transfer };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/transfers/:id/cancel')
+  @RequirePermission('inventory:write')
+  async cancelTransfer(@Param('id') id: string) {
+    try {
+      const transfer = await this.warehouseService.cancelTransfer(id);
+
+      return { success: true, data: transfer };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
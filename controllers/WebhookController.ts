@@ -0,0 +1,172 @@
+// controllers/WebhookController.ts
+import { Controller, Get, Post, Put, Delete, Injectable, Body, Param, Query } from '@varld/warp';
+import { WebhookService, SubscriptionInput } from '../services/WebhookService';
+import { describeCatalog } from '../services/webhooks/EventCatalog';
+import { RequirePermission } from '../services/auth/guards';
+
+// Outbound webhook subscriptions, the event catalog they choose from, and the delivery
+// log with its dead-letter queue
+@Injectable()
+@Controller('/api/webhooks')
+export class WebhookController {
+  constructor(private webhookService: WebhookService) {}
+
+  // Every event with its payload schema per version
+  @Get('/events')
+  @RequirePermission()
+  async getEventCatalog() {
+    return { success: true, data: describeCatalog() };
+  }
+
+  @Get('/subscriptions')
+  @RequirePermission('webhooks:manage')
+  async getSubscriptions() {
+    try {
+      const subscriptions = await this.webhookService.listSubscriptions();
+      return { success: true, data: subscriptions };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Body: { url, events: ['order.confirmed', ...], versions?: { 'order.confirmed': 1 }, description? }.
+  // The response carries the signing secret, which is not shown again.
+  @Post('/subscriptions')
+  @RequirePermission('webhooks:manage')
+  async createSubscription(@Body() input: SubscriptionInput) {
+    try {
+      const subscription = await this.webhookService.createSubscription(input || {});
+      return { success: true, data: subscription, message: 'Store the secret now; it is not shown again' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/subscriptions/:id')
+  @RequirePermission('webhooks:manage')
+  async getSubscription(@Param('id') id: string) {
+    try {
+      const subscription = await this.webhookService.getSubscription(id);
+      if (!subscription) {
+        return { success: false, error: 'Webhook subscription not found' };
+      }
+      return { success: true, data: subscription };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Put('/subscriptions/:id')
+  @RequirePermission('webhooks:manage')
+  async updateSubscription(@Param('id') id: string, @Body() input: SubscriptionInput) {
+    try {
+      const subscription = await this.webhookService.updateSubscription(id, input || {});
+      return { success: true, data: subscription };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Delete('/subscriptions/:id')
+  @RequirePermission('webhooks:manage')
+  async deleteSubscription(@Param('id') id: string) {
+    try {
+      await this.webhookService.deleteSubscription(id);
+      return { success: true, message: 'Webhook subscription deleted' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/subscriptions/:id/rotate-secret')
+  @RequirePermission('webhooks:manage')
+  async rotateSecret(@Param('id') id: string) {
+    try {
+      const subscription = await this.webhookService.rotateSecret(id);
+      return { success: true, data: subscription, message: 'Deliveries are now signed with the new secret' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/subscriptions/:id/ping')
+  @RequirePermission('webhooks:manage')
+  async ping(@Param('id') id: string) {
+    try {
+      const delivery = await this.webhookService.ping(id);
+      return { success: true, data: delivery };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/deliveries')
+  @RequirePermission('webhooks:manage')
+  async getDeliveries(@Query() query: any) {
+    try {
+      const deliveries = await this.webhookService.listDeliveries({
+        subscriptionId: query.subscriptionId,
+        eventType: query.eventType,
+        eventId: query.eventId,
+        status: query.status,
+        limit: query.limit ? parseInt(query.limit) : undefined
+      });
+      return { success: true, data: deliveries };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/deliveries/:id')
+  @RequirePermission('webhooks:manage')
+  async getDelivery(@Param('id') id: string) {
+    try {
+      const delivery = await this.webhookService.getDelivery(id);
+      if (!delivery) {
+        return { success: false, error: 'Delivery not found' };
+      }
+      return { success: true, data: delivery };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Post('/deliveries/:id/redeliver')
+  @RequirePermission('webhooks:manage')
+  async redeliver(@Param('id') id: string) {
+    try {
+      const delivery = await this.webhookService.redeliver(id);
+      return { success: true, data: delivery };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  @Get('/dead-letters')
+  @RequirePermission('webhooks:manage')
+  async getDeadLetters(@Query() query: any) {
+    try {
+      const deliveries = await this.webhookService.listDeliveries({
+        subscriptionId: query.subscriptionId,
+        eventType: query.eventType,
+        status: 'dead_letter',
+        limit: query.limit ? parseInt(query.limit) : undefined
+      });
+      return { success: true, data: deliveries };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Requeues the dead-letter queue, or one subscription's part of it
+  @Post('/dead-letters/redeliver')
+  @RequirePermission('webhooks:manage')
+  async redeliverDeadLetters(@Body() body: { subscriptionId?: string }) {
+    try {
+      const count = await this.webhookService.redeliverDeadLetters({ subscriptionId: body?.subscriptionId });
+      return { success: true, data: { count }, message: `${count} deliveries requeued` };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
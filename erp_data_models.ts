@@ -44,6 +44,7 @@ export interface Product {
   costPrice: number;
   sellingPrice: number;
   markup: number;
+  taxCategory?: string; // taxability category in the sales tax rate table; general when unset
   weight?: number;
   dimensions?: Dimensions;
   hazmatInfo?: HazmatInfo;
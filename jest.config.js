@@ -0,0 +1,10 @@
+module.exports = {
+  preset: 'ts-jest',
+  testEnvironment: 'node',
+  testMatch: ['**/*.spec.ts'],
+  testPathIgnorePatterns: ['/node_modules/', '/dist/'],
+  transform: {
+    // tsconfig.spec.json transpiles each file on its own; type checking is left to tsc
+    '^.+\\.ts$': ['ts-jest', { tsconfig: 'tsconfig.spec.json' }]
+  }
+};
@@ -8,23 +8,64 @@ import path from 'path';
 // Controllers
 import { ProductController } from './controllers/ProductController';
 import { InventoryController } from './controllers/InventoryController';
+import { WarehouseController } from './controllers/WarehouseController';
+import { CycleCountController } from './controllers/CycleCountController';
 import { CustomerController } from './controllers/CustomerController';
 import { OrderController } from './controllers/OrderController';
+import { InvoiceController } from './controllers/InvoiceController';
 import { PurchaseController } from './controllers/PurchaseController';
+import { SupplierInvoiceController } from './controllers/SupplierInvoiceController';
 import { ProjectController } from './controllers/ProjectController';
 import { AIInsightController } from './controllers/AIInsightController';
 import { AnalyticsController } from './controllers/AnalyticsController';
 import { SupplyChainController } from './controllers/SupplyChainController';
 import { VoiceAIController } from './controllers/VoiceAIController';
 import { PredictiveMaintenanceController } from './src/controllers/PredictiveMaintenanceController';
+import { AuthController } from './controllers/AuthController';
+import { UserController } from './controllers/UserController';
+import { PricingController } from './controllers/PricingController';
+import { TaxController } from './controllers/TaxController';
+import { QuoteController } from './controllers/QuoteController';
+import { CompanyController } from './controllers/CompanyController';
+import { DispatchController } from './controllers/DispatchController';
+import { ReturnController } from './controllers/ReturnController';
+import { EdiController } from './controllers/EdiController';
+import { ImportController } from './controllers/ImportController';
+import { ApprovalController } from './controllers/ApprovalController';
+import { NotificationController } from './controllers/NotificationController';
+import { WebhookController } from './controllers/WebhookController';
 
 // Services
 import { DatabaseService } from './services/DatabaseService';
 import { AIService } from './services/AIService';
 import { NotificationService } from './services/NotificationService';
+import { AuthService } from './services/AuthService';
+import { OrderFulfillmentService } from './services/OrderFulfillmentService';
+import { WarehouseService } from './services/WarehouseService';
+import { CompanyService } from './services/CompanyService';
+import { CostingService } from './services/CostingService';
+import { PricingService } from './services/PricingService';
+import { TaxService } from './services/TaxService';
+import { QuoteService } from './services/QuoteService';
+import { ProjectService } from './services/ProjectService';
+import { RequisitionService } from './services/RequisitionService';
+import { DispatchService } from './services/DispatchService';
+import { ReturnService } from './services/ReturnService';
+import { EdiService } from './services/EdiService';
+import { ImportService } from './services/ImportService';
+import { ApprovalService } from './services/ApprovalService';
+import { WebhookService } from './services/WebhookService';
+import { CycleCountService } from './services/CycleCountService';
+import { AccountsReceivableService } from './services/AccountsReceivableService';
+import { AccountsPayableService } from './services/AccountsPayableService';
+import { guardHandler, assertPermission } from './services/auth/guards';
+import { getCurrentUser, runAsCompany } from './services/auth/RequestContext';
+import { DEFAULT_COMPANY_ID } from './services/storage/TenantScope';
 import { AIOrchestrator } from './src/services/AIOrchestrator';
+import { AIDocumentProcessor } from './src/services/AIDocumentProcessor';
 import { RealTimeService } from './src/services/RealTimeService';
 import { AutomationService } from './src/services/AutomationService';
+import { InvalidDefinitionError, describeSchema, formatDefinition } from './services/automation/WorkflowDefinitions';
 import { ConstructionAIService } from './src/services/ConstructionAIService';
 import { SensorDataService } from './src/services/SensorDataService';
 import { AnomalyDetectionService } from './src/services/AnomalyDetectionService';
@@ -35,6 +76,10 @@ import { EquipmentMonitoringEngine } from './src/services/EquipmentMonitoringEng
 class ConstructionERPApplication {
   private app: Warp;
   private httpServer: any;
+  private databaseService: DatabaseService;
+  private authService: AuthService;
+  private pricingService: PricingService;
+  private webhookService: WebhookService;
   private aiOrchestrator: AIOrchestrator;
   private realTimeService: RealTimeService;
   private automationService: AutomationService;
@@ -56,11 +101,20 @@ class ConstructionERPApplication {
     expressApp.use(express.static(path.join(__dirname, '../public')));
     this.httpServer = createServer(expressApp);
 
+    // Core services shared by the HTTP API and the WebSocket server
+    this.databaseService = new DatabaseService();
+    this.authService = new AuthService(this.databaseService);
+    this.pricingService = new PricingService(this.databaseService);
+    this.webhookService = new WebhookService(this.databaseService);
+
+    // Resolve the bearer token (if any) into the request context before any route runs
+    this.app.use(this.authService.middleware());
+
     // Initialize AI services
     this.aiOrchestrator = new AIOrchestrator();
-    this.constructionAI = new ConstructionAIService();
-    this.realTimeService = new RealTimeService(this.aiOrchestrator, this.httpServer);
-    this.automationService = new AutomationService(this.aiOrchestrator, this.realTimeService);
+    this.constructionAI = new ConstructionAIService(this.pricingService);
+    this.realTimeService = new RealTimeService(this.aiOrchestrator, this.httpServer, this.authService);
+    this.automationService = new AutomationService(this.aiOrchestrator, this.realTimeService, this.databaseService);
 
     this.setupServices();
     this.setupControllers();
@@ -70,9 +124,29 @@ class ConstructionERPApplication {
 
   private setupServices() {
     // Register core services
-    this.app.register('database', DatabaseService);
+    this.app.register('database', () => this.databaseService);
+    this.app.register('auth', () => this.authService);
     this.app.register('ai', AIService);
     this.app.register('notifications', NotificationService);
+    this.app.register('approvals', ApprovalService);
+    this.app.register('webhooks', () => this.webhookService);
+    this.app.register('companies', CompanyService);
+    this.app.register('pricing', () => this.pricingService);
+    this.app.register('tax', TaxService);
+    this.app.register('costing', CostingService);
+    this.app.register('warehouse', WarehouseService);
+    this.app.register('orderFulfillment', OrderFulfillmentService);
+    this.app.register('dispatch', DispatchService);
+    this.app.register('projects', ProjectService);
+    this.app.register('requisitions', RequisitionService);
+    this.app.register('cycleCounts', CycleCountService);
+    this.app.register('receivables', AccountsReceivableService);
+    this.app.register('quotes', QuoteService);
+    this.app.register('documentProcessor', AIDocumentProcessor);
+    this.app.register('payables', AccountsPayableService);
+    this.app.register('returns', ReturnService);
+    this.app.register('edi', EdiService);
+    this.app.register('imports', ImportService);
     
     // Register advanced AI services
     this.app.register('aiOrchestrator', () => this.aiOrchestrator);
@@ -90,11 +164,28 @@ class ConstructionERPApplication {
 
   private setupControllers() {
     // Register all controllers
+    this.app.controller(AuthController);
+    this.app.controller(UserController);
+    this.app.controller(CompanyController);
     this.app.controller(ProductController);
     this.app.controller(InventoryController);
+    this.app.controller(WarehouseController);
+    this.app.controller(CycleCountController);
     this.app.controller(CustomerController);
+    this.app.controller(PricingController);
+    this.app.controller(TaxController);
+    this.app.controller(QuoteController);
     this.app.controller(OrderController);
+    this.app.controller(DispatchController);
+    this.app.controller(ReturnController);
+    this.app.controller(InvoiceController);
     this.app.controller(PurchaseController);
+    this.app.controller(SupplierInvoiceController);
+    this.app.controller(EdiController);
+    this.app.controller(ImportController);
+    this.app.controller(ApprovalController);
+    this.app.controller(NotificationController);
+    this.app.controller(WebhookController);
     this.app.controller(ProjectController);
     this.app.controller(AIInsightController);
     this.app.controller(AnalyticsController);
@@ -109,6 +200,13 @@ class ConstructionERPApplication {
       console.log(`📡 Real-time event: ${event.type}`, event.data);
     });
 
+    // Alerts go to webhook subscribers of the company they were raised in
+    this.realTimeService.on('event_broadcasted', (event) => {
+      if (event.type !== 'alert') return;
+      runAsCompany(event.companyId || DEFAULT_COMPANY_ID, () => this.webhookService.publish('alert.raised', event))
+        .catch(error => console.error('Error publishing alert webhook:', error));
+    });
+
     this.automationService.on('workflow_executed', (execution) => {
       console.log(`🔄 Workflow executed: ${execution.workflowId}`);
       this.realTimeService.broadcastEvent({
@@ -171,10 +269,10 @@ class ConstructionERPApplication {
     });
 
     // AI insights endpoint
-    this.app.get('/api/ai/comprehensive-insights', async (req, res) => {
+    this.app.get('/api/ai/comprehensive-insights', guardHandler('ai:read', async (req, res) => {
       try {
         const context = {
-          userRole: req.query.role as string || 'user',
+          userRole: getCurrentUser()!.role,
           companySize: req.query.size as 'small' | 'midsize' | 'enterprise' || 'midsize',
           industry: 'construction' as const,
           preferences: req.query.preferences ? JSON.parse(req.query.preferences as string) : {}
@@ -185,20 +283,27 @@ class ConstructionERPApplication {
       } catch (error) {
         res.status(500).json({ success: false, error: error.message });
       }
-    });
+    }));
 
     // Construction-specific AI endpoints
-    this.app.post('/api/ai/smart-pricing', async (req, res) => {
+    this.app.post('/api/ai/smart-pricing', guardHandler('ai:write', async (req, res) => {
       try {
-        const { productIds } = req.body;
-        const recommendations = await this.constructionAI.generateSmartPricingRecommendations(productIds);
-        res.json({ success: true, recommendations });
+        const { productIds, priceListId, minConfidence } = req.body;
+        if (!priceListId) {
+          const recommendations = await this.constructionAI.generateSmartPricingRecommendations(productIds);
+          return res.json({ success: true, recommendations });
+        }
+
+        // With a price list the recommendations become proposals awaiting approval
+        assertPermission('pricing:propose');
+        const result = await this.constructionAI.proposePricingChanges(priceListId, productIds, minConfidence);
+        res.json({ success: true, ...result });
       } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
       }
-    });
+    }));
 
-    this.app.post('/api/ai/seasonal-forecast', async (req, res) => {
+    this.app.post('/api/ai/seasonal-forecast', guardHandler('ai:read', async (req, res) => {
       try {
         const { category, horizon } = req.body;
         const forecast = await this.constructionAI.generateSeasonalDemandForecast(category, horizon);
@@ -206,9 +311,9 @@ class ConstructionERPApplication {
       } catch (error) {
         res.status(500).json({ success: false, error: error.message });
       }
-    });
+    }));
 
-    this.app.post('/api/ai/supplier-risk', async (req, res) => {
+    this.app.post('/api/ai/supplier-risk', guardHandler('ai:read', async (req, res) => {
       try {
         const { supplierId } = req.body;
         const analysis = await this.constructionAI.analyzeSupplierRisk(supplierId);
@@ -216,25 +321,182 @@ class ConstructionERPApplication {
       } catch (error) {
         res.status(500).json({ success: false, error: error.message });
       }
-    });
+    }));
 
     // Automation management endpoints
-    this.app.get('/api/automation/workflows', async (req, res) => {
-      const workflows = this.automationService.getWorkflows();
-      res.json({ success: true, workflows });
-    });
+    this.app.get('/api/automation/workflows', guardHandler('automation:read', async (req, res) => {
+      try {
+        const workflows = await this.automationService.getWorkflows();
+        res.json({ success: true, workflows });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    }));
 
-    this.app.post('/api/automation/workflows/:id/toggle', async (req, res) => {
-      const { id } = req.params;
-      const isActive = this.automationService.toggleWorkflow(id);
-      res.json({ success: true, workflowId: id, isActive });
-    });
+    this.app.post('/api/automation/workflows/:id/toggle', guardHandler('automation:write', async (req, res) => {
+      try {
+        const { id } = req.params;
+        const isActive = await this.automationService.toggleWorkflow(id);
+        if (isActive === null) {
+          return res.status(404).json({ success: false, error: 'Workflow not found' });
+        }
+        res.json({ success: true, workflowId: id, isActive });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    }));
+
+    // Workflow definitions: versioned JSON or YAML documents checked against this schema
+    const definitionFailed = (res: any, error: any) =>
+      res.status(error instanceof InvalidDefinitionError ? 400 : 500).json({
+        success: false,
+        error: error.message,
+        ...(error instanceof InvalidDefinitionError && { errors: error.errors })
+      });
+
+    this.app.get('/api/automation/schema', guardHandler('automation:read', async (req, res) => {
+      res.json({ success: true, schema: describeSchema() });
+    }));
+
+    this.app.get('/api/automation/definitions', guardHandler('automation:read', async (req, res) => {
+      try {
+        const definitions = await this.automationService.listDefinitions({
+          includeArchived: req.query.includeArchived === 'true'
+        });
+        res.json({ success: true, definitions });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    }));
+
+    // Body: { definition } as JSON, or { source, format: 'json' | 'yaml' }, plus an optional changeNote
+    this.app.post('/api/automation/definitions', guardHandler('automation:write', async (req, res) => {
+      try {
+        const definition = await this.automationService.createDefinition(req.body || {});
+        res.status(201).json({ success: true, definition, message: `Workflow ${definition.workflowId} created` });
+      } catch (error) {
+        definitionFailed(res, error);
+      }
+    }));
+
+    // Replays { from, to } through an unsaved definition; nothing is executed
+    this.app.post('/api/automation/definitions/dry-run', guardHandler('automation:read', async (req, res) => {
+      try {
+        const report = await this.automationService.dryRun(req.body || {});
+        res.json({ success: true, report });
+      } catch (error) {
+        definitionFailed(res, error);
+      }
+    }));
+
+    // ?version= for an older version, ?format=yaml|json for the document as text
+    this.app.get('/api/automation/definitions/:workflowId', guardHandler('automation:read', async (req, res) => {
+      try {
+        const { version, format } = req.query;
+        const definition = await this.automationService.getDefinition(
+          req.params.workflowId,
+          version ? Number(version) : undefined
+        );
+        if (!definition) {
+          return res.status(404).json({ success: false, error: 'Workflow definition not found' });
+        }
+        const document = format === 'json' || format === 'yaml'
+          ? format === definition.format ? definition.source : formatDefinition(definition.definition, format)
+          : undefined;
+        res.json({ success: true, definition, ...(document !== undefined && { document }) });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    }));
+
+    this.app.get('/api/automation/definitions/:workflowId/versions', guardHandler('automation:read', async (req, res) => {
+      try {
+        const versions = await this.automationService.listDefinitionVersions(req.params.workflowId);
+        res.json({ success: true, versions });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    }));
+
+    // Saves the next version; saving an archived workflow restores it
+    this.app.put('/api/automation/definitions/:workflowId', guardHandler('automation:write', async (req, res) => {
+      try {
+        const definition = await this.automationService.updateDefinition(req.params.workflowId, req.body || {});
+        res.json({ success: true, definition, message: `Workflow ${definition.workflowId} is now at version ${definition.version}` });
+      } catch (error) {
+        definitionFailed(res, error);
+      }
+    }));
+
+    this.app.delete('/api/automation/definitions/:workflowId', guardHandler('automation:write', async (req, res) => {
+      try {
+        const definition = await this.automationService.archiveDefinition(req.params.workflowId);
+        if (!definition) {
+          return res.status(404).json({ success: false, error: 'Workflow definition not found' });
+        }
+        res.json({ success: true, definition, message: `Workflow ${definition.workflowId} archived` });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    }));
+
+    // Replays { from, to } through the current version, or { version } if given
+    this.app.post('/api/automation/definitions/:workflowId/dry-run', guardHandler('automation:read', async (req, res) => {
+      try {
+        const report = await this.automationService.dryRun({ ...(req.body || {}), workflowId: req.params.workflowId });
+        res.json({ success: true, report });
+      } catch (error) {
+        definitionFailed(res, error);
+      }
+    }));
+
+    // When each scheduled workflow last ran and runs next, on the company's clock
+    this.app.get('/api/automation/schedules', guardHandler('automation:read', async (req, res) => {
+      try {
+        const schedules = await this.automationService.getSchedules();
+        res.json({ success: true, schedules });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    }));
+
+    // Execution history: what triggered each run, its inputs and every action's result
+    this.app.get('/api/automation/executions', guardHandler('automation:read', async (req, res) => {
+      try {
+        const { workflowId, status, from, to, limit } = req.query;
+        const executions = await this.automationService.listExecutions({
+          workflowId: workflowId as string,
+          status: status as string,
+          from: from ? new Date(from as string) : undefined,
+          to: to ? new Date(to as string) : undefined,
+          limit: limit ? Number(limit) : undefined
+        });
+        res.json({ success: true, executions });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    }));
+
+    this.app.get('/api/automation/executions/:id', guardHandler('automation:read', async (req, res) => {
+      try {
+        const execution = await this.automationService.getExecution(req.params.id);
+        if (!execution) {
+          return res.status(404).json({ success: false, error: 'Execution not found' });
+        }
+        res.json({ success: true, execution });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    }));
   }
 
   public async start() {
     try {
       console.log('🚀 Starting AI-Powered Construction ERP System...');
       
+      await this.databaseService.whenReady();
+      await this.authService.ensureBootstrapAdmin();
+
       // Start the HTTP server for WebSockets
       const port = process.env.PORT || 3000;
       this.httpServer.listen(port, () => {
@@ -20,7 +20,8 @@ export class AIService {
     return `${categoryCode}-${supplierCode}-${randomSuffix}`;
   }
 
-  async suggestPrice(productData: Partial<Product>): Promise<number> {
+  // markupPercent is the company's default markup over cost
+  async suggestPrice(productData: Partial<Product>, markupPercent: number = 25): Promise<number> {
     // ML-based price suggestion considering:
     // - Cost price
     // - Market conditions  
@@ -28,10 +29,9 @@ export class AIService {
     // - Historical data
 
     const baseCost = productData.costPrice || 0;
-    const defaultMarkup = 0.25; // 25% markup as default
 
     // TODO: Implement actual ML model for price prediction
-    const suggestedPrice = baseCost * (1 + defaultMarkup);
+    const suggestedPrice = baseCost * (1 + markupPercent / 100);
 
     return Math.round(suggestedPrice * 100) / 100;
   }
@@ -0,0 +1,518 @@
+// services/AccountsPayableService.ts
+import { Injectable } from '@varld/warp';
+import { DatabaseService } from './DatabaseService';
+import { NotificationService } from './NotificationService';
+import { Transaction } from './storage/Transaction';
+import { currentUserId } from './auth/RequestContext';
+import { AIDocumentProcessor } from '../src/services/AIDocumentProcessor';
+import { resolvePaymentTerms, dueDateFor, roundCurrency } from './invoicing/PaymentTerms';
+import {
+  MatchException,
+  MatchInvoiceLine,
+  MatchReceiptLine,
+  MatchResult,
+  matchInvoice,
+  resolveTolerances,
+  carryOverResolutions
+} from './payables/ThreeWayMatch';
+import { VendorReturn } from './returns/Returns';
+
+export type SupplierInvoiceStatus =
+  | 'pending_match'
+  | 'matched'
+  | 'exception'
+  | 'approved'
+  | 'disputed'
+  | 'partially_paid'
+  | 'paid'
+  | 'void';
+
+export interface SupplierPayment {
+  id: string;
+  amount: number;
+  method: 'check' | 'ach' | 'wire' | 'credit_card';
+  reference: string;
+  date: Date;
+  releasedBy: string;
+}
+
+export interface SupplierDebit {
+  vendorReturnId: string;
+  debitMemoNumber: string;
+  amount: number;
+  appliedAt: Date;
+}
+
+export interface SupplierInvoice {
+  id: string;
+  voucherNumber: string;
+  invoiceNumber: string; // the supplier's own number
+  supplierId: string;
+  supplierName: string;
+  purchaseId: string;
+  purchaseNumber: string;
+  invoiceDate: Date;
+  dueDate: Date;
+  items: MatchInvoiceLine[];
+  subtotal: number; // subtotal and total are worked out from the lines, tax and freight
+  tax: number;
+  shipping: number;
+  total: number;
+  statedSubtotal?: number; // as printed on the supplier's invoice; a difference needs sign-off
+  statedTotal?: number;
+  status: SupplierInvoiceStatus;
+  match?: MatchResult;
+  exceptions: MatchException[];
+  paidAmount: number;
+  payments: SupplierPayment[];
+  debitedAmount?: number; // return-to-vendor debit memos taken off what we owe
+  debits?: SupplierDebit[];
+  sourceDocumentId?: string;
+  notes?: string;
+  createdAt: Date;
+  updatedAt: Date;
+  createdBy: string;
+}
+
+export interface SupplierInvoiceRequest {
+  purchaseId: string;
+  invoiceNumber: string;
+  invoiceDate?: Date;
+  dueDate?: Date;
+  items: Array<Partial<MatchInvoiceLine>>; // lineTotal is taken as the supplier's stated amount
+  subtotal?: number;
+  tax?: number;
+  shipping?: number;
+  total?: number;
+  sourceDocumentId?: string;
+  notes?: string;
+}
+
+export class PaymentBlockedError extends Error {
+  constructor(public invoice: SupplierInvoice) {
+    super(`Payment for supplier invoice ${invoice.invoiceNumber} is blocked: ` +
+      (invoice.status === 'exception'
+        ? `${invoice.exceptions.filter(e => e.status === 'open').length} match exception(s) need sign-off`
+        : `invoice is ${invoice.status}`));
+    this.name = 'PaymentBlockedError';
+  }
+}
+
+const PAYABLE_STATUSES: SupplierInvoiceStatus[] = ['matched', 'approved', 'partially_paid'];
+const REMATCHABLE_STATUSES: SupplierInvoiceStatus[] = ['pending_match', 'exception'];
+const INACTIVE_STATUSES: SupplierInvoiceStatus[] = ['void', 'disputed'];
+
+// Supplier invoices (accounts payable) and the three-way match against the purchase
+// order and its receipts. An invoice can only be paid once it matches, or once every
+// exception raised by the match has been signed off.
+@Injectable()
+export class AccountsPayableService {
+  constructor(
+    private databaseService: DatabaseService,
+    private notificationService: NotificationService,
+    private documentProcessor: AIDocumentProcessor
+  ) {}
+
+  async enterInvoice(request: SupplierInvoiceRequest): Promise<SupplierInvoice> {
+    if (!request.purchaseId || !request.invoiceNumber) {
+      throw new Error('purchaseId and invoiceNumber are required');
+    }
+    if (!Array.isArray(request.items) || request.items.length === 0) {
+      throw new Error('Supplier invoice must contain at least one line');
+    }
+
+    const invoice = await this.databaseService.transaction(async tx => {
+      const purchase = await tx.findById<any>('purchases', request.purchaseId);
+      if (!purchase) {
+        throw new Error('Purchase not found');
+      }
+      if (['draft', 'pending', 'cancelled'].includes(purchase.status)) {
+        throw new Error(`Purchase ${purchase.purchaseNumber} is ${purchase.status} and cannot be invoiced`);
+      }
+
+      const duplicate = await tx.findOne<SupplierInvoice>('supplier_invoices', {
+        supplierId: purchase.supplierId,
+        invoiceNumber: request.invoiceNumber
+      });
+      if (duplicate) {
+        throw new Error(`Invoice ${request.invoiceNumber} from ${purchase.supplierName} was already entered as ${duplicate.voucherNumber}`);
+      }
+
+      // We pay what the lines come to; amounts the supplier states are kept to match against
+      const items: MatchInvoiceLine[] = request.items.map(item => {
+        const quantity = Number(item.quantity) || 0;
+        const unitPrice = Number(item.unitPrice) || 0;
+        return {
+          id: this.generateId('apl'),
+          purchaseItemId: item.purchaseItemId,
+          productId: item.productId,
+          description: item.description || '',
+          quantity,
+          unitPrice,
+          lineTotal: roundCurrency(quantity * unitPrice),
+          ...(item.lineTotal !== undefined && { statedLineTotal: Number(item.lineTotal) })
+        };
+      });
+
+      const subtotal = roundCurrency(items.reduce((sum, item) => sum + item.lineTotal, 0));
+      const tax = Number(request.tax) || 0;
+      const shipping = Number(request.shipping) || 0;
+      const invoiceDate = request.invoiceDate ? new Date(request.invoiceDate) : new Date();
+      const supplier = await tx.findById<any>('suppliers', purchase.supplierId);
+
+      return tx.create<SupplierInvoice>('supplier_invoices', {
+        id: this.generateId('apinv'),
+        voucherNumber: await this.generateVoucherNumber(tx),
+        invoiceNumber: request.invoiceNumber,
+        supplierId: purchase.supplierId,
+        supplierName: purchase.supplierName,
+        purchaseId: purchase.id,
+        purchaseNumber: purchase.purchaseNumber,
+        invoiceDate,
+        dueDate: request.dueDate
+          ? new Date(request.dueDate)
+          : dueDateFor(invoiceDate, resolvePaymentTerms(supplier?.paymentTerms || purchase.paymentTerms)),
+        items,
+        subtotal,
+        tax,
+        shipping,
+        total: roundCurrency(subtotal + tax + shipping),
+        ...(request.subtotal !== undefined && { statedSubtotal: Number(request.subtotal) }),
+        ...(request.total !== undefined && { statedTotal: Number(request.total) }),
+        status: 'pending_match',
+        exceptions: [],
+        paidAmount: 0,
+        payments: [],
+        sourceDocumentId: request.sourceDocumentId,
+        notes: request.notes,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        createdBy: currentUserId()
+      });
+    });
+
+    console.log(`📥 Supplier invoice ${invoice.invoiceNumber} entered as ${invoice.voucherNumber}`);
+    const matched = await this.matchInvoice(invoice.id);
+    await this.applyPurchaseDebits(matched.purchaseId);
+    return (await this.databaseService.findById<SupplierInvoice>('supplier_invoices', matched.id)) || matched;
+  }
+
+  // Reads a scanned or emailed supplier invoice and enters it against the purchase
+  async enterInvoiceFromDocument(purchaseId: string, documentPath: string): Promise<SupplierInvoice> {
+    const result = await this.documentProcessor.processDocument(documentPath, 'invoice');
+    const data = result.extractedData;
+
+    if (!data.documentNumber) {
+      throw new Error('Could not read an invoice number from the document');
+    }
+    if (!data.lineItems || data.lineItems.length === 0) {
+      throw new Error('Could not read any invoice lines from the document');
+    }
+
+    const subtotal = roundCurrency(data.lineItems.reduce((sum, line) => sum + line.totalPrice, 0));
+    return this.enterInvoice({
+      purchaseId,
+      invoiceNumber: data.documentNumber,
+      invoiceDate: data.date,
+      dueDate: data.dueDate,
+      items: data.lineItems.map(line => ({
+        productId: line.productCode,
+        description: line.description,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        lineTotal: line.totalPrice
+      })),
+      subtotal,
+      total: data.totalAmount,
+      tax: data.totalAmount !== undefined ? Math.max(0, roundCurrency(data.totalAmount - subtotal)) : 0,
+      sourceDocumentId: result.documentId
+    });
+  }
+
+  // Runs (or re-runs) the three-way match. Exceptions that were already signed off
+  // stay signed off if the same discrepancy is found again.
+  async matchInvoice(invoiceId: string): Promise<SupplierInvoice> {
+    let previousStatus = 'pending_match' as SupplierInvoiceStatus;
+    const invoice = await this.databaseService.transaction(async tx => {
+      const current = await tx.findById<SupplierInvoice>('supplier_invoices', invoiceId);
+      if (!current) {
+        throw new Error('Supplier invoice not found');
+      }
+      if (!REMATCHABLE_STATUSES.includes(current.status) && current.status !== 'matched' && current.status !== 'approved') {
+        throw new Error(`A ${current.status} supplier invoice cannot be re-matched`);
+      }
+      if (current.paidAmount > 0) {
+        throw new Error('A supplier invoice with payments cannot be re-matched');
+      }
+      previousStatus = current.status;
+
+      const purchase = await tx.findById<any>('purchases', current.purchaseId);
+      if (!purchase) {
+        throw new Error('Purchase not found');
+      }
+      const supplier = await tx.findById<any>('suppliers', current.supplierId);
+
+      const receipts = await tx.find<any>('purchase_receipts', { purchaseId: purchase.id });
+      const receiptLines: MatchReceiptLine[] = receipts.flatMap(receipt => receipt.items);
+
+      // Only invoices entered before this one count as already billed, so re-matching
+      // an older invoice isn't affected by a newer one
+      const others = await tx.find<SupplierInvoice>('supplier_invoices', {
+        purchaseId: purchase.id,
+        createdAt: { $lt: current.createdAt }
+      });
+      const previouslyInvoiced: Record<string, number> = {};
+      for (const other of others) {
+        if (INACTIVE_STATUSES.includes(other.status) || !other.match) continue;
+        for (const line of other.match.lines) {
+          if (!line.purchaseItemId) continue;
+          previouslyInvoiced[line.purchaseItemId] = (previouslyInvoiced[line.purchaseItemId] || 0) + line.invoicedQuantity;
+        }
+      }
+
+      const match = matchInvoice({
+        lines: current.items,
+        tax: current.tax,
+        shipping: current.shipping,
+        // Invoices entered before our own totals were kept hold the supplier's figures
+        statedSubtotal: current.statedSubtotal ?? current.subtotal,
+        statedTotal: current.statedTotal ?? current.total,
+        purchaseLines: purchase.items,
+        receipts: receiptLines,
+        previouslyInvoiced,
+        tolerances: resolveTolerances(supplier?.matchTolerances),
+        generateId: () => this.generateId('apx')
+      });
+      const exceptions = carryOverResolutions(current.exceptions, match.exceptions);
+
+      return tx.update<SupplierInvoice>('supplier_invoices', invoiceId, {
+        match,
+        exceptions,
+        status: this.statusFor(exceptions)
+      });
+    });
+
+    // Only announce exceptions when an invoice first needs sign-off, not on every re-match
+    if (invoice.status === 'exception' && previousStatus !== 'exception') {
+      const open = invoice.exceptions.filter(e => e.status === 'open');
+      console.log(`⚠️ Supplier invoice ${invoice.invoiceNumber} has ${open.length} match exception(s)`);
+      await this.notificationService.send({
+        type: 'ap_match_exception',
+        title: 'Supplier invoice needs sign-off',
+        message: `${invoice.supplierName} invoice ${invoice.invoiceNumber} (${invoice.purchaseNumber}): ` +
+          open.map(e => e.message).join('; '),
+        priority: 'medium',
+        data: { invoiceId: invoice.id, exceptions: open }
+      });
+    } else if (invoice.status !== previousStatus) {
+      console.log(`✅ Supplier invoice ${invoice.invoiceNumber} is ${invoice.status}`);
+    }
+    return invoice;
+  }
+
+  // Re-matches invoices still waiting on goods once more of the purchase has arrived
+  async rematchPurchase(purchaseId: string): Promise<SupplierInvoice[]> {
+    const invoices = await this.databaseService.find<SupplierInvoice>('supplier_invoices', {
+      purchaseId,
+      status: { $in: REMATCHABLE_STATUSES }
+    });
+
+    const results: SupplierInvoice[] = [];
+    for (const invoice of invoices) {
+      results.push(await this.matchInvoice(invoice.id));
+    }
+    return results;
+  }
+
+  async resolveException(
+    invoiceId: string,
+    exceptionId: string,
+    decision: { approved: boolean; notes?: string }
+  ): Promise<SupplierInvoice> {
+    return this.databaseService.transaction(async tx => {
+      const invoice = await tx.findById<SupplierInvoice>('supplier_invoices', invoiceId);
+      if (!invoice) {
+        throw new Error('Supplier invoice not found');
+      }
+      if (invoice.status !== 'exception') {
+        throw new Error(`Supplier invoice is ${invoice.status}; only exceptions awaiting sign-off can be resolved`);
+      }
+
+      const exception = invoice.exceptions.find(e => e.id === exceptionId);
+      if (!exception) {
+        throw new Error('Exception not found');
+      }
+      if (exception.status !== 'open') {
+        throw new Error(`Exception was already ${exception.status}`);
+      }
+      if (!decision.approved && !decision.notes) {
+        throw new Error('A reason is required to reject an exception');
+      }
+
+      const exceptions = invoice.exceptions.map(e => e.id !== exceptionId ? e : {
+        ...e,
+        status: decision.approved ? 'approved' as const : 'rejected' as const,
+        resolvedBy: currentUserId(),
+        resolvedAt: new Date(),
+        resolutionNotes: decision.notes
+      });
+
+      return tx.update<SupplierInvoice>('supplier_invoices', invoiceId, {
+        exceptions,
+        status: this.statusFor(exceptions)
+      });
+    });
+  }
+
+  async releasePayment(
+    invoiceId: string,
+    paymentData: { amount?: number; method?: SupplierPayment['method']; reference?: string; date?: Date }
+  ): Promise<SupplierInvoice> {
+    const invoice = await this.databaseService.transaction(async tx => {
+      const current = await tx.findById<SupplierInvoice>('supplier_invoices', invoiceId);
+      if (!current) {
+        throw new Error('Supplier invoice not found');
+      }
+      if (!PAYABLE_STATUSES.includes(current.status)) {
+        throw new PaymentBlockedError(current);
+      }
+
+      const balance = roundCurrency(current.total - current.paidAmount - (current.debitedAmount || 0));
+      const amount = paymentData.amount !== undefined ? roundCurrency(Number(paymentData.amount)) : balance;
+      if (!(amount > 0)) {
+        throw new Error('Payment amount must be positive');
+      }
+      if (amount > balance) {
+        throw new Error(`Payment of $${amount} exceeds the open balance of $${balance}`);
+      }
+
+      const paidAmount = roundCurrency(current.paidAmount + amount);
+      const updated = await tx.update<SupplierInvoice>('supplier_invoices', invoiceId, {
+        payments: [...current.payments, {
+          id: this.generateId('appay'),
+          amount,
+          method: paymentData.method || 'ach',
+          reference: paymentData.reference || '',
+          date: paymentData.date ? new Date(paymentData.date) : new Date(),
+          releasedBy: currentUserId()
+        }],
+        paidAmount,
+        status: paidAmount + (current.debitedAmount || 0) >= current.total - 0.005 ? 'paid' : 'partially_paid'
+      });
+
+      await this.updatePurchasePaymentStatus(tx, updated.purchaseId);
+      return updated;
+    });
+
+    console.log(`💸 Released $${invoice.payments[invoice.payments.length - 1].amount} to ${invoice.supplierName} for ${invoice.invoiceNumber}`);
+    return invoice;
+  }
+
+  // Takes shipped return-to-vendor debits for a purchase off its open supplier invoices,
+  // oldest first. Debits with no invoice to go against wait for the next one entered.
+  async applyPurchaseDebits(purchaseId: string): Promise<number> {
+    const applied = await this.databaseService.transaction(async tx => {
+      const returns = (await tx.find<VendorReturn>('vendor_returns', { purchaseId, status: 'shipped' }))
+        .filter(entry => (entry.debitAmount || 0) - (entry.appliedAmount || 0) > 0.005);
+      if (returns.length === 0) return 0;
+
+      const invoices = (await tx.find<SupplierInvoice>('supplier_invoices', { purchaseId }))
+        .filter(invoice => ![...INACTIVE_STATUSES, 'paid'].includes(invoice.status))
+        .sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+
+      let total = 0;
+      for (const invoice of invoices) {
+        let balance = roundCurrency(invoice.total - invoice.paidAmount - (invoice.debitedAmount || 0));
+        const debits = [...(invoice.debits || [])];
+        for (const vendorReturn of returns) {
+          const open = roundCurrency((vendorReturn.debitAmount || 0) - (vendorReturn.appliedAmount || 0));
+          const amount = Math.min(open, balance);
+          if (amount <= 0) continue;
+
+          debits.push({
+            vendorReturnId: vendorReturn.id,
+            debitMemoNumber: vendorReturn.debitMemoNumber || vendorReturn.returnNumber,
+            amount,
+            appliedAt: new Date()
+          });
+          vendorReturn.appliedAmount = roundCurrency((vendorReturn.appliedAmount || 0) + amount);
+          balance = roundCurrency(balance - amount);
+          total = roundCurrency(total + amount);
+        }
+        if (debits.length === (invoice.debits || []).length) continue;
+
+        // Settled by debits alone counts as paid once the invoice is cleared to pay
+        await tx.update<SupplierInvoice>('supplier_invoices', invoice.id, {
+          debits,
+          debitedAmount: roundCurrency(debits.reduce((sum, debit) => sum + debit.amount, 0)),
+          ...(balance <= 0 && PAYABLE_STATUSES.includes(invoice.status) && { status: 'paid' as SupplierInvoiceStatus })
+        });
+      }
+
+      for (const vendorReturn of returns) {
+        await tx.update<VendorReturn>('vendor_returns', vendorReturn.id, { appliedAmount: vendorReturn.appliedAmount });
+      }
+      await this.updatePurchasePaymentStatus(tx, purchaseId);
+      return total;
+    });
+
+    if (applied > 0) {
+      console.log(`↩️ Applied $${applied} of vendor return debits to supplier invoices`);
+    }
+    return applied;
+  }
+
+  async voidInvoice(invoiceId: string, reason: string): Promise<SupplierInvoice> {
+    const invoice = await this.databaseService.findById<SupplierInvoice>('supplier_invoices', invoiceId);
+    if (!invoice) {
+      throw new Error('Supplier invoice not found');
+    }
+    if (invoice.paidAmount > 0) {
+      throw new Error('Supplier invoices with payments cannot be voided');
+    }
+    if ((invoice.debits || []).length > 0) {
+      throw new Error('Supplier invoices with vendor return debits applied cannot be voided');
+    }
+
+    return this.databaseService.update<SupplierInvoice>('supplier_invoices', invoiceId, {
+      status: 'void',
+      notes: [invoice.notes, `Void: ${reason}`].filter(Boolean).join('\n')
+    });
+  }
+
+  private statusFor(exceptions: MatchException[]): SupplierInvoiceStatus {
+    if (exceptions.length === 0) return 'matched';
+    if (exceptions.some(e => e.status === 'rejected')) return 'disputed';
+    if (exceptions.some(e => e.status === 'open')) return 'exception';
+    return 'approved';
+  }
+
+  private async updatePurchasePaymentStatus(tx: Transaction, purchaseId: string): Promise<void> {
+    const purchase = await tx.findById<any>('purchases', purchaseId);
+    if (!purchase) return;
+
+    const invoices = await tx.find<SupplierInvoice>('supplier_invoices', { purchaseId });
+    const paid = invoices
+      .filter(invoice => !INACTIVE_STATUSES.includes(invoice.status))
+      .reduce((sum, invoice) => sum + invoice.paidAmount + (invoice.debitedAmount || 0), 0);
+
+    await tx.update('purchases', purchaseId, {
+      paymentStatus: paid >= purchase.total - 0.005 ? 'paid' : paid > 0 ? 'partial' : purchase.paymentStatus
+    });
+  }
+
+  private async generateVoucherNumber(tx: Transaction): Promise<string> {
+    const year = new Date().getFullYear();
+    const month = String(new Date().getMonth() + 1).padStart(2, '0');
+    const vouchersThisMonth = await tx.find('supplier_invoices', {
+      voucherNumber: { $regex: `^AP-${year}${month}` }
+    });
+
+    const sequence = String(vouchersThisMonth.length + 1).padStart(4, '0');
+    return `AP-${year}${month}-${sequence}`;
+  }
+
+  private generateId(prefix: string): string {
+    return prefix + '_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  }
+}
@@ -0,0 +1,81 @@
+// services/AccountsReceivableService.spec.ts
+import { AccountsReceivableService } from './AccountsReceivableService';
+import { DatabaseService } from './DatabaseService';
+import { NotificationService } from './NotificationService';
+import { MemoryStorageAdapter } from './storage/MemoryStorageAdapter';
+import { Order } from './orders/OrderLifecycle';
+
+jest.mock('@varld/warp', () => ({ Injectable: () => () => undefined }), { virtual: true });
+
+describe('AccountsReceivableService', () => {
+  let db: DatabaseService;
+  let receivables: AccountsReceivableService;
+
+  beforeAll(() => {
+    process.env.DATABASE_FIXTURES = '';
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(async () => {
+    db = new DatabaseService(new MemoryStorageAdapter());
+    await db.whenReady();
+    const notifications = { send: jest.fn() } as unknown as NotificationService;
+    receivables = new AccountsReceivableService(db, notifications);
+
+    await db.create('customers', { id: 'cust_1', companyName: 'Acme Builders', status: 'active', creditLimit: 10000, paymentTerms: 'Net 30' });
+    // 10 @ $20 shipped, taxed at 8%, $50 freight and a $10 discount: $256 in all
+    await db.create<Partial<Order>>('orders', {
+      id: 'order_1',
+      orderNumber: 'ORD-202605-0001',
+      customerId: 'cust_1',
+      status: 'shipped',
+      items: [{ id: 'line_1', productId: 'prod_rebar', productName: 'Rebar #4', quantity: 10, unitPrice: 20, totalPrice: 200, quantityShipped: 10 }],
+      subtotal: 200,
+      tax: 16,
+      shipping: 50,
+      discount: 10,
+      total: 256
+    });
+  });
+
+  afterEach(() => {
+    receivables.stopOverdueSweep();
+  });
+
+  it('bills the shipped lines with freight and discount, then counts the invoice instead of the order', async () => {
+    expect(await receivables.getCreditStatus('cust_1')).toMatchObject({ openBalance: 0, uninvoicedOrders: 256 });
+
+    const invoice = await receivables.generateInvoice(['order_1']);
+    expect(invoice).toMatchObject({ subtotal: 200, taxAmount: 16, shippingAmount: 50, discountAmount: 10, totalAmount: 256 });
+    expect(await db.findById('orders', 'order_1')).toMatchObject({ freightInvoiceId: invoice.id, fullyInvoiced: true });
+    expect(await receivables.getCreditStatus('cust_1')).toMatchObject({ openBalance: 256, uninvoicedOrders: 0, exposure: 256 });
+
+    await expect(receivables.generateInvoice(['order_1'])).rejects.toThrow('Nothing left to invoice');
+  });
+
+  it('hands lines, freight and discount back when the invoice is cancelled, so the next invoice bills them', async () => {
+    const first = await receivables.generateInvoice(['order_1']);
+    await receivables.cancelInvoice(first.id, 'Wrong address');
+    expect(await db.findById('orders', 'order_1')).toMatchObject({ freightInvoiceId: null, fullyInvoiced: false, invoiceIds: [] });
+    expect(await receivables.getCreditStatus('cust_1')).toMatchObject({ openBalance: 0, uninvoicedOrders: 256 });
+
+    const second = await receivables.generateInvoice(['order_1']);
+    expect(second).toMatchObject({ shippingAmount: 50, discountAmount: 10, totalAmount: 256 });
+  });
+
+  it('counts the unbilled rest of a partly invoiced order against the limit', async () => {
+    // The first 4 were billed on an earlier invoice that also carried the freight
+    await db.update('orders', 'order_1', {
+      items: [{ id: 'line_1', productId: 'prod_rebar', productName: 'Rebar #4', quantity: 10, unitPrice: 20, totalPrice: 200, quantityShipped: 10, quantityInvoiced: 4 }],
+      invoiceIds: ['inv_earlier'],
+      freightInvoiceId: 'inv_earlier'
+    });
+
+    // 6 @ $20 plus 8% tax
+    expect((await receivables.getCreditStatus('cust_1')).uninvoicedOrders).toBe(129.6);
+  });
+});
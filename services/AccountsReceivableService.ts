@@ -0,0 +1,903 @@
+// services/AccountsReceivableService.ts
+import { Injectable } from '@varld/warp';
+import { DatabaseService } from './DatabaseService';
+import { NotificationService } from './NotificationService';
+import { Transaction } from './storage/Transaction';
+import { currentUserId, runAsCompany } from './auth/RequestContext';
+import { DEFAULT_COMPANY_ID } from './storage/TenantScope';
+import { Order, outstandingQuantity } from './orders/OrderLifecycle';
+import { LineTax, prorateLineTax } from './tax/TaxRates';
+import { CreditLine } from './returns/Returns';
+import {
+  PaymentTerms,
+  resolvePaymentTerms,
+  dueDateFor,
+  discountDateFor,
+  daysBetween,
+  roundCurrency
+} from './invoicing/PaymentTerms';
+
+export type InvoiceStatus =
+  | 'draft'
+  | 'sent'
+  | 'viewed'
+  | 'partial_payment'
+  | 'paid'
+  | 'overdue'
+  | 'cancelled';
+
+export interface InvoiceItem {
+  id: string;
+  orderId: string;
+  orderItemId: string;
+  productId: string;
+  description: string;
+  quantity: number;
+  unitPrice: number;
+  lineTotal: number;
+  taxCode?: string;
+  tax?: LineTax; // the order line's tax for the quantity billed
+}
+
+export interface Payment {
+  id: string;
+  type: 'cash' | 'check' | 'credit_card' | 'ach' | 'wire';
+  amount: number;
+  discountTaken: number;
+  date: Date;
+  reference: string;
+  status: 'pending' | 'cleared' | 'failed';
+  recordedBy: string;
+}
+
+export interface Invoice {
+  id: string;
+  companyId?: string; // stamped by the storage layer
+  invoiceNumber: string;
+  customerId: string;
+  customerName: string;
+  orderIds: string[];
+  status: InvoiceStatus;
+  invoiceDate: Date;
+  dueDate: Date;
+  paymentTerms: PaymentTerms;
+  discountDate?: Date;
+  subtotal: number;
+  taxAmount: number;
+  freightTax?: LineTax[]; // tax on the freight billed, one per order
+  shippingAmount: number;
+  discountAmount: number;
+  totalAmount: number;
+  paidAmount: number;
+  discountTaken: number;
+  balanceAmount: number;
+  creditedAmount?: number; // credit memos applied
+  credits?: CreditApplication[];
+  items: InvoiceItem[];
+  payments: Payment[];
+  notes?: string;
+  createdAt: Date;
+  updatedAt: Date;
+  createdBy: string;
+}
+
+export interface CreditApplication {
+  creditMemoId: string;
+  creditMemoNumber: string;
+  invoiceId: string;
+  invoiceNumber: string;
+  amount: number;
+  appliedAt: Date;
+  appliedBy: string;
+}
+
+// Money owed back to a customer, e.g. for returned material. Applied to open invoices;
+// anything unapplied stays on account and counts against the customer's exposure.
+export interface CreditMemo {
+  id: string;
+  creditMemoNumber: string;
+  customerId: string;
+  customerName: string;
+  orderId?: string;
+  rmaId?: string;
+  rmaNumber?: string;
+  reason: string;
+  lines: CreditLine[];
+  subtotal: number;
+  restockingFee: number;
+  taxAmount: number;
+  totalAmount: number;
+  appliedAmount: number;
+  unappliedAmount: number;
+  applications: CreditApplication[];
+  status: 'open' | 'partially_applied' | 'applied';
+  createdAt: Date;
+  createdBy: string;
+}
+
+export interface AgingBuckets {
+  current: number;
+  days1to30: number;
+  days31to60: number;
+  days61to90: number;
+  over90: number;
+  total: number;
+}
+
+export interface CustomerAging extends AgingBuckets {
+  customerId: string;
+  customerName: string;
+  invoiceCount: number;
+  oldestDaysPastDue: number;
+}
+
+export interface CreditStatus {
+  customerId: string;
+  creditLimit: number;
+  openBalance: number;
+  uninvoicedOrders: number;
+  unappliedCredits: number;
+  exposure: number;
+  availableCredit: number;
+  overdueBalance: number;
+  onHold: boolean;
+  holdReason?: string;
+}
+
+export interface CreditCheck {
+  allowed: boolean;
+  reason?: string;
+  onHold: boolean;
+  excess: number; // how far the order goes over the limit; the whole order while on hold
+}
+
+const OPEN_STATUSES: InvoiceStatus[] = ['sent', 'viewed', 'partial_payment', 'overdue'];
+const INVOICEABLE_ORDER_STATUSES = ['shipped', 'delivered'];
+const OVERDUE_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// The invoice that billed an order's freight, freight tax and discount, if one has.
+// Orders invoiced before this was recorded on them billed those on their first invoice.
+function freightInvoiceOf(order: Order): string | undefined {
+  const recorded = order.freightInvoiceId;
+  return recorded === undefined ? order.invoiceIds?.[0] : recorded || undefined;
+}
+
+// What an open order has yet to add to the customer's invoices: the lines not cancelled
+// or billed with their tax, and the freight less discount until an invoice carries them
+function uninvoicedValue(order: Order): number {
+  const legacyTaxRate = order.subtotal > 0 ? order.tax / order.subtotal : 0;
+  let value = 0;
+  for (const line of order.items) {
+    const quantity = line.quantity - (line.quantityCancelled || 0) - (line.quantityInvoiced || 0);
+    if (quantity <= 0) continue;
+    const amount = quantity * line.unitPrice;
+    value += amount + (line.tax ? line.tax.tax * quantity / line.quantity : amount * legacyTaxRate);
+  }
+  if (!freightInvoiceOf(order)) {
+    value += (order.shipping || 0) + (order.taxDetail?.shipping.tax || 0) - (order.discount || 0);
+  }
+  return Math.max(0, value);
+}
+
+// Invoicing, cash application, receivables aging and customer credit control.
+// Credit holds placed here are automatic and lift themselves once the customer is
+// back under the limit with nothing overdue; holds placed by hand stay until released.
+@Injectable()
+export class AccountsReceivableService {
+  private sweepTimer: NodeJS.Timeout | null = null;
+
+  constructor(
+    private databaseService: DatabaseService,
+    private notificationService: NotificationService
+  ) {
+    this.startOverdueSweep();
+  }
+
+  // Bills the shipped, not yet invoiced quantities of one or more orders for one customer
+  async generateInvoice(
+    orderIds: string[],
+    options: { draft?: boolean; notes?: string } = {}
+  ): Promise<Invoice> {
+    if (!Array.isArray(orderIds) || orderIds.length === 0) {
+      throw new Error('At least one order is required');
+    }
+
+    const invoice = await this.databaseService.transaction(async tx => {
+      const orders: Order[] = [];
+      for (const orderId of orderIds) {
+        const order = await tx.findById<Order>('orders', orderId);
+        if (!order) {
+          throw new Error(`Order ${orderId} not found`);
+        }
+        if (!INVOICEABLE_ORDER_STATUSES.includes(order.status)) {
+          throw new Error(`Order ${order.orderNumber} is ${order.status}; only shipped or delivered orders can be invoiced`);
+        }
+        orders.push(order);
+      }
+
+      const customerIds = new Set(orders.map(order => order.customerId));
+      if (customerIds.size > 1) {
+        throw new Error('All orders on an invoice must belong to the same customer');
+      }
+
+      const customer = await tx.findById<any>('customers', orders[0].customerId);
+      if (!customer) {
+        throw new Error('Customer not found');
+      }
+
+      const items: InvoiceItem[] = [];
+      const freightTax: LineTax[] = [];
+      let taxAmount = 0;
+      let shippingAmount = 0;
+      let discountAmount = 0;
+      const billsFreight = new Set<string>();
+
+      for (const order of orders) {
+        // Orders priced before per-line tax detail are taxed at their effective rate
+        const legacyTaxRate = order.subtotal > 0 ? order.tax / order.subtotal : 0;
+        let orderSubtotal = 0;
+        for (const line of order.items) {
+          const quantity = (line.quantityShipped || 0) - (line.quantityInvoiced || 0);
+          if (quantity <= 0) continue;
+
+          const lineTotal = roundCurrency(quantity * line.unitPrice);
+          const tax = line.tax ? prorateLineTax(line.tax, quantity / line.quantity) : undefined;
+          items.push({
+            id: this.generateId('invl'),
+            orderId: order.id,
+            orderItemId: line.id,
+            productId: line.productId,
+            description: line.productName,
+            quantity,
+            unitPrice: line.unitPrice,
+            lineTotal,
+            ...(tax && { taxCode: tax.category, tax })
+          });
+          line.quantityInvoiced = (line.quantityInvoiced || 0) + quantity;
+          orderSubtotal += lineTotal;
+          taxAmount += tax ? tax.tax : lineTotal * legacyTaxRate;
+        }
+
+        if (orderSubtotal === 0) continue;
+
+        // Freight, its tax and order discounts are billed once, on the first invoice
+        // for the order, or the next one if that invoice is cancelled
+        if (!freightInvoiceOf(order)) {
+          billsFreight.add(order.id);
+          shippingAmount += order.shipping || 0;
+          discountAmount += order.discount || 0;
+          if (order.taxDetail && order.taxDetail.shipping.amount > 0) {
+            freightTax.push(order.taxDetail.shipping);
+            taxAmount += order.taxDetail.shipping.tax;
+          }
+        }
+      }
+
+      if (items.length === 0) {
+        throw new Error('Nothing left to invoice on the selected orders');
+      }
+
+      const terms = resolvePaymentTerms(customer.paymentTerms);
+      const invoiceDate = new Date();
+      const subtotal = roundCurrency(items.reduce((sum, item) => sum + item.lineTotal, 0));
+      const totalAmount = roundCurrency(subtotal + taxAmount + shippingAmount - discountAmount);
+      const discountDate = discountDateFor(invoiceDate, terms);
+
+      const created = await tx.create<Invoice>('invoices', {
+        id: this.generateId('inv'),
+        invoiceNumber: await this.generateInvoiceNumber(tx),
+        customerId: customer.id,
+        customerName: customer.companyName || customer.name,
+        orderIds: orders.map(order => order.id),
+        status: options.draft ? 'draft' : 'sent',
+        invoiceDate,
+        dueDate: dueDateFor(invoiceDate, terms),
+        paymentTerms: terms,
+        ...(discountDate && { discountDate }),
+        subtotal,
+        taxAmount: roundCurrency(taxAmount),
+        ...(freightTax.length > 0 && { freightTax }),
+        shippingAmount: roundCurrency(shippingAmount),
+        discountAmount: roundCurrency(discountAmount),
+        totalAmount,
+        paidAmount: 0,
+        discountTaken: 0,
+        balanceAmount: totalAmount,
+        items,
+        payments: [],
+        notes: options.notes,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        createdBy: currentUserId()
+      });
+
+      for (const order of orders) {
+        await tx.update<Order>('orders', order.id, {
+          items: order.items,
+          invoiceIds: [...(order.invoiceIds || []), created.id],
+          ...(billsFreight.has(order.id) && { freightInvoiceId: created.id }),
+          fullyInvoiced: order.items.every(line =>
+            outstandingQuantity(line) === 0 &&
+            (line.quantityInvoiced || 0) >= (line.quantityShipped || 0))
+        });
+      }
+
+      return created;
+    });
+
+    console.log(`🧾 Invoice ${invoice.invoiceNumber} generated for ${invoice.customerName}: $${invoice.totalAmount}`);
+    await this.evaluateCreditHold(invoice.customerId);
+    return invoice;
+  }
+
+  // Issues a draft invoice. Dates restart from the day it is sent.
+  async sendInvoice(invoiceId: string): Promise<Invoice> {
+    const invoice = await this.getInvoiceOrThrow(invoiceId);
+    if (invoice.status !== 'draft') {
+      throw new Error(`Only draft invoices can be sent; this one is ${invoice.status}`);
+    }
+
+    const invoiceDate = new Date();
+    const discountDate = discountDateFor(invoiceDate, invoice.paymentTerms);
+    const sent = await this.databaseService.update<Invoice>('invoices', invoiceId, {
+      status: 'sent',
+      invoiceDate,
+      dueDate: dueDateFor(invoiceDate, invoice.paymentTerms),
+      ...(discountDate && { discountDate })
+    });
+
+    const customer = await this.databaseService.findById<any>('customers', invoice.customerId);
+    if (customer) {
+      await this.notificationService.send({
+        type: 'invoice_sent',
+        title: 'Invoice',
+        message: `Invoice ${invoice.invoiceNumber} for $${invoice.totalAmount} is due ${sent.dueDate.toDateString()}`,
+        data: sent,
+        recipientId: customer.id,
+        recipientEmail: customer.email
+      });
+    }
+    return sent;
+  }
+
+  // Applies a payment. If it arrives by the discount date and, together with the
+  // early-pay discount, settles the invoice, the discount is taken and the invoice closes.
+  async applyPayment(
+    invoiceId: string,
+    paymentData: { amount: number; type?: Payment['type']; reference?: string; date?: Date }
+  ): Promise<Invoice> {
+    const amount = roundCurrency(Number(paymentData.amount));
+    if (!(amount > 0)) {
+      throw new Error('Payment amount must be positive');
+    }
+
+    const invoice = await this.databaseService.transaction(async tx => {
+      const current = await tx.findById<Invoice>('invoices', invoiceId);
+      if (!current) {
+        throw new Error('Invoice not found');
+      }
+      if (!OPEN_STATUSES.includes(current.status)) {
+        throw new Error(`Cannot apply a payment to a ${current.status} invoice`);
+      }
+
+      const paymentDate = paymentData.date ? new Date(paymentData.date) : new Date();
+      const discountAvailable = this.discountAvailable(current, paymentDate);
+
+      let discountTaken = 0;
+      if (discountAvailable > 0 && amount >= roundCurrency(current.balanceAmount - discountAvailable)) {
+        discountTaken = roundCurrency(Math.max(0, current.balanceAmount - amount));
+      }
+      if (amount + discountTaken > current.balanceAmount + 0.005) {
+        throw new Error(`Payment of $${amount} exceeds the open balance of $${current.balanceAmount}`);
+      }
+
+      const payment: Payment = {
+        id: this.generateId('pay'),
+        type: paymentData.type || 'check',
+        amount,
+        discountTaken,
+        date: paymentDate,
+        reference: paymentData.reference || '',
+        status: 'cleared',
+        recordedBy: currentUserId()
+      };
+
+      const paidAmount = roundCurrency(current.paidAmount + amount);
+      const totalDiscount = roundCurrency(current.discountTaken + discountTaken);
+      const balanceAmount = roundCurrency(current.totalAmount - paidAmount - totalDiscount - (current.creditedAmount || 0));
+      const status: InvoiceStatus = balanceAmount <= 0
+        ? 'paid'
+        : (current.status === 'overdue' ? 'overdue' : 'partial_payment');
+
+      const updated = await tx.update<Invoice>('invoices', invoiceId, {
+        payments: [...current.payments, payment],
+        paidAmount,
+        discountTaken: totalDiscount,
+        balanceAmount: Math.max(0, balanceAmount),
+        status
+      });
+
+      await this.updateOrderPaymentStatus(tx, updated);
+      return updated;
+    });
+
+    console.log(`💵 Payment of $${amount} applied to ${invoice.invoiceNumber} (balance $${invoice.balanceAmount})`);
+    await this.evaluateCreditHold(invoice.customerId);
+    return invoice;
+  }
+
+  async cancelInvoice(invoiceId: string, reason?: string): Promise<Invoice> {
+    return this.databaseService.transaction(async tx => {
+      const invoice = await tx.findById<Invoice>('invoices', invoiceId);
+      if (!invoice) {
+        throw new Error('Invoice not found');
+      }
+      if (invoice.payments.length > 0) {
+        throw new Error('Invoices with payments cannot be cancelled');
+      }
+      if ((invoice.credits || []).length > 0) {
+        throw new Error('Invoices with credit memos applied cannot be cancelled');
+      }
+      if (invoice.status === 'cancelled') {
+        return invoice;
+      }
+
+      // Hand the billed quantities, freight and discount back so the orders can be
+      // invoiced again
+      for (const orderId of invoice.orderIds) {
+        const order = await tx.findById<Order>('orders', orderId);
+        if (!order) continue;
+        for (const line of order.items) {
+          const billed = invoice.items
+            .filter(item => item.orderItemId === line.id)
+            .reduce((sum, item) => sum + item.quantity, 0);
+          line.quantityInvoiced = Math.max(0, (line.quantityInvoiced || 0) - billed);
+        }
+        await tx.update<Order>('orders', orderId, {
+          items: order.items,
+          invoiceIds: (order.invoiceIds || []).filter(id => id !== invoiceId),
+          // Freight and discount billed here go on the order's next invoice
+          ...(freightInvoiceOf(order) === invoiceId && { freightInvoiceId: null }),
+          fullyInvoiced: false
+        });
+      }
+
+      return tx.update<Invoice>('invoices', invoiceId, {
+        status: 'cancelled',
+        balanceAmount: 0,
+        notes: [invoice.notes, reason && `Cancelled: ${reason}`].filter(Boolean).join('\n')
+      });
+    });
+  }
+
+  // Raises a credit memo and applies it straight away: to the open invoices for the
+  // order it relates to first, then the customer's oldest open invoices
+  async issueCreditMemoIn(tx: Transaction, data: {
+    customerId: string;
+    customerName: string;
+    orderId?: string;
+    rmaId?: string;
+    rmaNumber?: string;
+    reason: string;
+    lines: CreditLine[];
+  }): Promise<CreditMemo> {
+    const subtotal = roundCurrency(data.lines.reduce((sum, line) => sum + line.lineTotal, 0));
+    const restockingFee = roundCurrency(data.lines.reduce((sum, line) => sum + line.restockingFee, 0));
+    const taxAmount = roundCurrency(data.lines.reduce((sum, line) => sum + (line.tax?.tax || 0), 0));
+    const totalAmount = roundCurrency(subtotal - restockingFee + taxAmount);
+    if (!(totalAmount > 0)) {
+      throw new Error('Nothing to credit');
+    }
+
+    let memo = await tx.create<CreditMemo>('credit_memos', {
+      id: this.generateId('cm'),
+      creditMemoNumber: await this.generateCreditMemoNumber(tx),
+      customerId: data.customerId,
+      customerName: data.customerName,
+      orderId: data.orderId,
+      rmaId: data.rmaId,
+      rmaNumber: data.rmaNumber,
+      reason: data.reason,
+      lines: data.lines,
+      subtotal,
+      restockingFee,
+      taxAmount,
+      totalAmount,
+      appliedAmount: 0,
+      unappliedAmount: totalAmount,
+      applications: [],
+      status: 'open',
+      createdAt: new Date(),
+      createdBy: currentUserId()
+    });
+
+    const open = await tx.find<Invoice>('invoices', {
+      customerId: data.customerId,
+      status: { $in: OPEN_STATUSES }
+    });
+    const ordered = open
+      .filter(invoice => invoice.balanceAmount > 0)
+      .sort((a, b) => {
+        const related = Number(b.orderIds.includes(data.orderId || '')) - Number(a.orderIds.includes(data.orderId || ''));
+        return related || new Date(a.dueDate).getTime() - new Date(b.dueDate).getTime();
+      });
+    for (const invoice of ordered) {
+      if (memo.unappliedAmount <= 0) break;
+      memo = await this.applyCreditIn(tx, memo, invoice, Math.min(memo.unappliedAmount, invoice.balanceAmount));
+    }
+
+    console.log(`🧾 Credit memo ${memo.creditMemoNumber} for ${memo.customerName}: $${totalAmount}` +
+      (memo.appliedAmount > 0 ? ` ($${memo.appliedAmount} applied)` : ''));
+    return memo;
+  }
+
+  // Applies what is left on a credit memo (or part of it) to one of the customer's invoices
+  async applyCreditMemo(creditMemoId: string, invoiceId: string, amount?: number): Promise<CreditMemo> {
+    const memo = await this.databaseService.transaction(async tx => {
+      const current = await tx.findById<CreditMemo>('credit_memos', creditMemoId);
+      if (!current) {
+        throw new Error('Credit memo not found');
+      }
+      const invoice = await tx.findById<Invoice>('invoices', invoiceId);
+      if (!invoice) {
+        throw new Error('Invoice not found');
+      }
+      if (invoice.customerId !== current.customerId) {
+        throw new Error('Credit memos can only be applied to the same customer\'s invoices');
+      }
+      if (!OPEN_STATUSES.includes(invoice.status)) {
+        throw new Error(`Cannot apply a credit to a ${invoice.status} invoice`);
+      }
+
+      const applied = amount !== undefined
+        ? roundCurrency(Number(amount))
+        : Math.min(current.unappliedAmount, invoice.balanceAmount);
+      if (!(applied > 0)) {
+        throw new Error('Credit amount must be positive');
+      }
+      if (applied > current.unappliedAmount + 0.005) {
+        throw new Error(`Only $${current.unappliedAmount} is left on credit memo ${current.creditMemoNumber}`);
+      }
+      if (applied > invoice.balanceAmount + 0.005) {
+        throw new Error(`Credit of $${applied} exceeds the open balance of $${invoice.balanceAmount}`);
+      }
+      return this.applyCreditIn(tx, current, invoice, applied);
+    });
+
+    await this.evaluateCreditHold(memo.customerId);
+    return memo;
+  }
+
+  async listCreditMemos(filters: { customerId?: string; status?: string } = {}): Promise<CreditMemo[]> {
+    const query: any = {};
+    if (filters.customerId) query.customerId = filters.customerId;
+    if (filters.status) query.status = filters.status;
+    return this.databaseService.find<CreditMemo>('credit_memos', query, { sort: { createdAt: -1 } });
+  }
+
+  // Flags invoices past their due date and re-evaluates credit for affected customers
+  async refreshOverdueInvoices(asOf: Date = new Date()): Promise<number> {
+    const pastDue = await this.databaseService.find<Invoice>('invoices', {
+      status: { $in: ['sent', 'viewed', 'partial_payment'] },
+      dueDate: { $lt: asOf }
+    });
+
+    for (const invoice of pastDue) {
+      await this.databaseService.update<Invoice>('invoices', invoice.id, { status: 'overdue' });
+    }
+
+    // The sweep runs across every company; each hold is decided (and notified) in the
+    // customer's own company
+    const customers = new Map(pastDue.map(invoice => [invoice.customerId, invoice.companyId]));
+    for (const [customerId, companyId] of customers) {
+      await runAsCompany(companyId || DEFAULT_COMPANY_ID, () => this.evaluateCreditHold(customerId, asOf));
+    }
+
+    if (pastDue.length > 0) {
+      console.log(`⏰ Marked ${pastDue.length} invoices overdue`);
+    }
+    return pastDue.length;
+  }
+
+  async getAging(asOf: Date = new Date()): Promise<{ asOf: Date; totals: AgingBuckets; customers: CustomerAging[] }> {
+    const invoices = await this.databaseService.find<Invoice>('invoices', { status: { $in: OPEN_STATUSES } });
+    const byCustomer = new Map<string, CustomerAging>();
+    const totals = this.emptyBuckets();
+
+    for (const invoice of invoices) {
+      if (invoice.balanceAmount <= 0) continue;
+
+      let entry = byCustomer.get(invoice.customerId);
+      if (!entry) {
+        entry = {
+          customerId: invoice.customerId,
+          customerName: invoice.customerName,
+          invoiceCount: 0,
+          oldestDaysPastDue: 0,
+          ...this.emptyBuckets()
+        };
+        byCustomer.set(invoice.customerId, entry);
+      }
+
+      const daysPastDue = daysBetween(invoice.dueDate, asOf);
+      const bucket = this.bucketFor(daysPastDue);
+      entry[bucket] = roundCurrency(entry[bucket] + invoice.balanceAmount);
+      entry.total = roundCurrency(entry.total + invoice.balanceAmount);
+      entry.invoiceCount++;
+      entry.oldestDaysPastDue = Math.max(entry.oldestDaysPastDue, daysPastDue);
+
+      totals[bucket] = roundCurrency(totals[bucket] + invoice.balanceAmount);
+      totals.total = roundCurrency(totals.total + invoice.balanceAmount);
+    }
+
+    const customers = Array.from(byCustomer.values()).sort((a, b) => b.total - a.total);
+    return { asOf, totals, customers };
+  }
+
+  async getCreditStatus(customerId: string, asOf: Date = new Date()): Promise<CreditStatus> {
+    const customer = await this.databaseService.findById<any>('customers', customerId);
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+
+    const invoices = await this.databaseService.find<Invoice>('invoices', {
+      customerId,
+      status: { $in: OPEN_STATUSES }
+    });
+    const openBalance = roundCurrency(invoices.reduce((sum, invoice) => sum + invoice.balanceAmount, 0));
+    const overdueBalance = roundCurrency(invoices
+      .filter(invoice => invoice.status === 'overdue' || new Date(invoice.dueDate) < asOf)
+      .reduce((sum, invoice) => sum + invoice.balanceAmount, 0));
+
+    // Whatever committed orders have not been billed yet counts against the limit too,
+    // including the rest of orders that are partly invoiced
+    const openOrders = await this.databaseService.find<Order>('orders', {
+      customerId,
+      status: { $nin: ['draft', 'cancelled'] },
+      fullyInvoiced: { $ne: true }
+    });
+    const uninvoicedOrders = roundCurrency(openOrders.reduce((sum, order) => sum + uninvoicedValue(order), 0));
+
+    const credits = await this.databaseService.find<CreditMemo>('credit_memos', {
+      customerId,
+      status: { $in: ['open', 'partially_applied'] }
+    });
+    const unappliedCredits = roundCurrency(credits.reduce((sum, memo) => sum + memo.unappliedAmount, 0));
+
+    const creditLimit = customer.creditLimit || 0;
+    const exposure = roundCurrency(openBalance + uninvoicedOrders - unappliedCredits);
+
+    return {
+      customerId,
+      creditLimit,
+      openBalance,
+      uninvoicedOrders,
+      unappliedCredits,
+      exposure,
+      availableCredit: roundCurrency(creditLimit - exposure),
+      overdueBalance,
+      onHold: customer.status === 'credit_hold',
+      holdReason: customer.creditHold?.reason
+    };
+  }
+
+  // Places or lifts the automatic credit hold for a customer
+  async evaluateCreditHold(customerId: string, asOf: Date = new Date()): Promise<CreditStatus> {
+    const status = await this.getCreditStatus(customerId, asOf);
+    const customer = await this.databaseService.findById<any>('customers', customerId);
+
+    const reasons: string[] = [];
+    if (status.creditLimit > 0 && status.exposure > status.creditLimit) {
+      reasons.push(`exposure $${status.exposure} exceeds credit limit $${status.creditLimit}`);
+    }
+    if (status.overdueBalance > 0) {
+      reasons.push(`$${status.overdueBalance} overdue`);
+    }
+
+    if (reasons.length > 0 && customer.status !== 'credit_hold') {
+      await this.placeCreditHold(customerId, reasons.join('; '), true);
+      return { ...status, onHold: true, holdReason: reasons.join('; ') };
+    }
+
+    if (reasons.length === 0 && customer.status === 'credit_hold' && customer.creditHold?.automatic) {
+      await this.releaseCreditHold(customerId);
+      return { ...status, onHold: false, holdReason: undefined };
+    }
+
+    return status;
+  }
+
+  async placeCreditHold(customerId: string, reason: string, automatic: boolean = false): Promise<void> {
+    const customer = await this.databaseService.findById<any>('customers', customerId);
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+
+    await this.databaseService.update('customers', customerId, {
+      status: 'credit_hold',
+      creditHold: {
+        reason,
+        automatic,
+        previousStatus: customer.status === 'credit_hold' ? 'active' : customer.status,
+        placedAt: new Date(),
+        placedBy: currentUserId()
+      }
+    });
+
+    console.log(`🚫 Customer ${customer.companyName || customerId} placed on credit hold: ${reason}`);
+    await this.notificationService.send({
+      type: 'credit_hold',
+      title: 'Customer placed on credit hold',
+      message: `${customer.companyName || customerId}: ${reason}`,
+      priority: 'high',
+      data: { customerId, reason, automatic }
+    });
+  }
+
+  async releaseCreditHold(customerId: string): Promise<void> {
+    const customer = await this.databaseService.findById<any>('customers', customerId);
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+    if (customer.status !== 'credit_hold') return;
+
+    await this.databaseService.update('customers', customerId, {
+      status: customer.creditHold?.previousStatus || 'active',
+      creditHold: undefined
+    });
+    console.log(`✅ Credit hold released for ${customer.companyName || customerId}`);
+  }
+
+  // Whether the customer may place this order and, when not, why and by how much it
+  // goes over the limit. Re-evaluates the hold first so a payment made since the last
+  // check is taken into account.
+  async checkCredit(customerId: string, orderTotal: number = 0): Promise<CreditCheck> {
+    const status = await this.evaluateCreditHold(customerId);
+    if (status.onHold) {
+      return {
+        allowed: false,
+        reason: `Customer is on credit hold${status.holdReason ? `: ${status.holdReason}` : ''}`,
+        onHold: true,
+        excess: roundCurrency(orderTotal)
+      };
+    }
+    const excess = roundCurrency(status.exposure + orderTotal - status.creditLimit);
+    if (status.creditLimit > 0 && excess > 0) {
+      return {
+        allowed: false,
+        reason: `Order of $${roundCurrency(orderTotal)} would exceed the customer's available credit of $${status.availableCredit}`,
+        onHold: false,
+        excess
+      };
+    }
+    return { allowed: true, onHold: false, excess: 0 };
+  }
+
+  // Throws when the customer may not place this order
+  async assertCanOrder(customerId: string, orderTotal: number = 0): Promise<void> {
+    const check = await this.checkCredit(customerId, orderTotal);
+    if (!check.allowed) {
+      throw new Error(check.reason);
+    }
+  }
+
+  stopOverdueSweep(): void {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  private startOverdueSweep(): void {
+    this.sweepTimer = setInterval(() => {
+      this.refreshOverdueInvoices().catch(error =>
+        console.error('Error refreshing overdue invoices:', error)
+      );
+    }, OVERDUE_SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref?.();
+  }
+
+  private discountAvailable(invoice: Invoice, paymentDate: Date): number {
+    const percent = invoice.paymentTerms?.discountPercent || 0;
+    if (!percent || !invoice.discountDate || paymentDate > new Date(invoice.discountDate)) {
+      return 0;
+    }
+    // The discount is earned once per invoice, on the goods and tax billed
+    return roundCurrency(invoice.totalAmount * percent / 100 - invoice.discountTaken);
+  }
+
+  private async updateOrderPaymentStatus(tx: Transaction, invoice: Invoice): Promise<void> {
+    for (const orderId of invoice.orderIds) {
+      const order = await tx.findById<any>('orders', orderId);
+      if (!order) continue;
+
+      const invoices = await Promise.all(
+        (order.invoiceIds || []).map((id: string) => tx.findById<Invoice>('invoices', id))
+      );
+      const open = invoices.filter(Boolean).filter((inv: any) => inv.status !== 'cancelled') as Invoice[];
+      const allPaid = open.length > 0 && open.every(inv => inv.status === 'paid') && order.fullyInvoiced;
+      const anyPaid = open.some(inv => inv.paidAmount > 0);
+
+      await tx.update('orders', orderId, {
+        paymentStatus: allPaid ? 'paid' : anyPaid ? 'partial' : order.paymentStatus
+      });
+    }
+  }
+
+  private async applyCreditIn(tx: Transaction, memo: CreditMemo, invoice: Invoice, amount: number): Promise<CreditMemo> {
+    const application: CreditApplication = {
+      creditMemoId: memo.id,
+      creditMemoNumber: memo.creditMemoNumber,
+      invoiceId: invoice.id,
+      invoiceNumber: invoice.invoiceNumber,
+      amount: roundCurrency(amount),
+      appliedAt: new Date(),
+      appliedBy: currentUserId()
+    };
+
+    const creditedAmount = roundCurrency((invoice.creditedAmount || 0) + application.amount);
+    const balanceAmount = roundCurrency(invoice.totalAmount - invoice.paidAmount - invoice.discountTaken - creditedAmount);
+    const updated = await tx.update<Invoice>('invoices', invoice.id, {
+      credits: [...(invoice.credits || []), application],
+      creditedAmount,
+      balanceAmount: Math.max(0, balanceAmount),
+      ...(balanceAmount <= 0 && { status: 'paid' as InvoiceStatus })
+    });
+    await this.updateOrderPaymentStatus(tx, updated);
+
+    const appliedAmount = roundCurrency(memo.appliedAmount + application.amount);
+    const unappliedAmount = roundCurrency(memo.totalAmount - appliedAmount);
+    return tx.update<CreditMemo>('credit_memos', memo.id, {
+      applications: [...memo.applications, application],
+      appliedAmount,
+      unappliedAmount,
+      status: unappliedAmount <= 0 ? 'applied' : 'partially_applied'
+    });
+  }
+
+  private bucketFor(daysPastDue: number): keyof Omit<AgingBuckets, 'total'> {
+    if (daysPastDue <= 0) return 'current';
+    if (daysPastDue <= 30) return 'days1to30';
+    if (daysPastDue <= 60) return 'days31to60';
+    if (daysPastDue <= 90) return 'days61to90';
+    return 'over90';
+  }
+
+  private emptyBuckets(): AgingBuckets {
+    return { current: 0, days1to30: 0, days31to60: 0, days61to90: 0, over90: 0, total: 0 };
+  }
+
+  private async getInvoiceOrThrow(invoiceId: string): Promise<Invoice> {
+    const invoice = await this.databaseService.findById<Invoice>('invoices', invoiceId);
+    if (!invoice) {
+      throw new Error('Invoice not found');
+    }
+    return invoice;
+  }
+
+  private async generateInvoiceNumber(tx: Transaction): Promise<string> {
+    const year = new Date().getFullYear();
+    const month = String(new Date().getMonth() + 1).padStart(2, '0');
+    const invoicesThisMonth = await tx.find('invoices', {
+      invoiceNumber: { $regex: `^INV-${year}${month}` }
+    });
+
+    const sequence = String(invoicesThisMonth.length + 1).padStart(4, '0');
+    return `INV-${year}${month}-${sequence}`;
+  }
+
+  private async generateCreditMemoNumber(tx: Transaction): Promise<string> {
+    const year = new Date().getFullYear();
+    const month = String(new Date().getMonth() + 1).padStart(2, '0');
+    const memosThisMonth = await tx.find('credit_memos', {
+      creditMemoNumber: { $regex: `^CM-${year}${month}` }
+    });
+
+    const sequence = String(memosThisMonth.length + 1).padStart(4, '0');
+    return `CM-${year}${month}-${sequence}`;
+  }
+
+  private generateId(prefix: string): string {
+    return prefix + '_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  }
+}
@@ -0,0 +1,142 @@
+// services/ApprovalService.spec.ts
+import { ApprovalService } from './ApprovalService';
+import { DatabaseService } from './DatabaseService';
+import { NotificationService } from './NotificationService';
+import { MemoryStorageAdapter } from './storage/MemoryStorageAdapter';
+import { runWithContext } from './auth/RequestContext';
+import { Role } from './auth/permissions';
+import { ApprovalRequest } from './approvals/ApprovalChains';
+
+jest.mock('@varld/warp', () => ({ Injectable: () => () => undefined }), { virtual: true });
+
+const HOUR = 60 * 60 * 1000;
+
+const USERS: Array<[string, Role]> = [
+  ['user_buyer', 'purchasing'],
+  ['user_lead', 'purchasing'],
+  ['user_pat', 'viewer'],
+  ['user_sam', 'viewer'],
+  ['user_admin', 'admin']
+];
+
+describe('ApprovalService', () => {
+  let db: DatabaseService;
+  let approvals: ApprovalService;
+  let notifications: { send: jest.Mock };
+
+  const as = <T>(userId: string, work: () => Promise<T>) => {
+    const role = USERS.find(([id]) => id === userId)![1];
+    return runWithContext({ user: { id: userId, email: `${userId}@example.com`, name: userId, role, companyId: 'company_default' } }, work);
+  };
+  const requestPurchase = (amount: number, categories: string[] = ['Lumber']) => as('user_buyer', () =>
+    approvals.request('purchase', { id: 'purchase_1', number: 'PO-202605-0001', summary: 'Lumber for Main St' }, { amount, categories }));
+  const approve = (userId: string, request: ApprovalRequest) => as(userId, () => approvals.decide(request.id, { approved: true }));
+
+  beforeAll(() => {
+    process.env.DATABASE_FIXTURES = '';
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(async () => {
+    db = new DatabaseService(new MemoryStorageAdapter());
+    await db.whenReady();
+    notifications = { send: jest.fn() };
+    approvals = new ApprovalService(db, notifications as unknown as NotificationService);
+
+    for (const [id, role] of USERS) {
+      await db.create('users', { id, email: `${id}@example.com`, name: id, role, status: 'active' });
+    }
+    await db.create('purchases', { id: 'purchase_1', purchaseNumber: 'PO-202605-0001', status: 'pending', total: 8000 });
+
+    // Lead then both of finance over $5,000; any steel goes to Pat alone
+    await approvals.createPolicy({
+      name: 'Large purchases',
+      documentType: 'purchase',
+      criteria: { minAmount: 5000 },
+      steps: [
+        { name: 'Purchasing lead', approvers: [{ role: 'purchasing' }], escalateAfterHours: 24 },
+        { name: 'Finance', approvers: [{ userId: 'user_pat' }, { userId: 'user_sam' }], mode: 'all' }
+      ]
+    });
+    await approvals.createPolicy({
+      name: 'Steel',
+      documentType: 'purchase',
+      criteria: { categories: ['Steel'] },
+      priority: 10,
+      steps: [{ approvers: [{ userId: 'user_pat' }] }]
+    });
+  });
+
+  afterEach(() => {
+    approvals.stopEscalationSweep();
+  });
+
+  describe('routing', () => {
+    it('applies the highest-priority matching policy, and none when nothing matches', async () => {
+      expect(await requestPurchase(2000)).toBeNull();
+      expect(await requestPurchase(8000)).toMatchObject({ policyName: 'Large purchases', status: 'pending', currentStep: 0 });
+      expect(await requestPurchase(8000, ['Steel'])).toMatchObject({ policyName: 'Steel' });
+    });
+
+    it('replaces the pending request when approval is asked for again', async () => {
+      const first = await requestPurchase(8000);
+      await requestPurchase(9000);
+      expect(await db.findById('approval_requests', first!.id)).toMatchObject({ status: 'cancelled' });
+      expect(await db.count('approval_requests', { status: 'pending' })).toBe(1);
+    });
+  });
+
+  describe('decisions', () => {
+    it('runs the steps in order, needing every approver of an all step, and mirrors the result onto the purchase', async () => {
+      const request = (await requestPurchase(8000))!;
+      await expect(approve('user_buyer', request)).rejects.toThrow('You cannot approve your own request');
+
+      expect(await approve('user_lead', request)).toMatchObject({ currentStep: 1, status: 'pending' });
+      await expect(approve('user_lead', request)).rejects.toThrow(/not an approver/);
+      expect(await approve('user_pat', request)).toMatchObject({ currentStep: 1, status: 'pending' });
+      expect(await approve('user_sam', request)).toMatchObject({ status: 'approved' });
+
+      expect(await db.findById('purchases', 'purchase_1')).toMatchObject({ approvalStatus: 'approved' });
+    });
+
+    it('rejects the request on any rejection', async () => {
+      const request = (await requestPurchase(8000))!;
+      const decided = await as('user_lead', () => approvals.decide(request.id, { approved: false, comments: 'Over budget' }));
+      expect(decided).toMatchObject({ status: 'rejected' });
+      expect(await db.findById('purchases', 'purchase_1')).toMatchObject({ approvalStatus: 'rejected' });
+    });
+  });
+
+  describe('escalation', () => {
+    it('hands an overdue step to the admins once, who can then decide it outright', async () => {
+      const request = (await requestPurchase(8000))!;
+      expect(await approvals.escalateOverdue(new Date(Date.now() + 23 * HOUR))).toEqual([]);
+
+      const later = new Date(Date.now() + 25 * HOUR);
+      const [escalated] = await approvals.escalateOverdue(later);
+      expect(escalated.steps[0]).toMatchObject({ escalatedTo: [{ role: 'admin' }] });
+      expect(notifications.send).toHaveBeenCalledWith(expect.objectContaining({ title: 'Approval escalated', recipientId: 'user_admin' }));
+      expect(await approvals.escalateOverdue(later)).toEqual([]);
+
+      expect(await approve('user_admin', request)).toMatchObject({ currentStep: 1, status: 'pending' });
+    });
+
+    it('leaves a request alone when it was decided after the sweep read it', async () => {
+      const request = (await requestPurchase(8000))!;
+      const stale = await db.findById<ApprovalRequest>('approval_requests', request.id);
+      await approve('user_lead', request);
+
+      jest.spyOn(db, 'find').mockResolvedValueOnce([stale]);
+      expect(await approvals.escalateOverdue(new Date(Date.now() + 25 * HOUR))).toEqual([]);
+
+      const saved = await db.findById<ApprovalRequest>('approval_requests', request.id);
+      expect(saved).toMatchObject({ currentStep: 1, status: 'pending' });
+      expect(saved!.steps[0].escalatedAt).toBeUndefined();
+      expect(saved!.history.map(event => event.action)).not.toContain('escalated');
+    });
+  });
+});
@@ -0,0 +1,536 @@
+// services/ApprovalService.ts
+import { Injectable } from '@varld/warp';
+import { DatabaseService } from './DatabaseService';
+import { NotificationService } from './NotificationService';
+import { Transaction } from './storage/Transaction';
+import { currentUserId, getCurrentUser, runAsCompany } from './auth/RequestContext';
+import {
+  APPROVAL_COLLECTIONS,
+  APPROVAL_DOCUMENT_TYPES,
+  Actor,
+  ApprovalDelegation,
+  ApprovalDocumentType,
+  ApprovalFacts,
+  ApprovalPolicy,
+  ApprovalRequest,
+  ApproverRef,
+  applyDecision,
+  approvalStatusOf,
+  authorityFor,
+  describeApprovers,
+  escalateIfDue,
+  isDelegationActive,
+  outstandingApprovers,
+  selectPolicy,
+  startSteps,
+  toApprovals,
+  validatePolicy
+} from './approvals/ApprovalChains';
+
+const ESCALATION_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+export interface ApprovalDocument {
+  id: string;
+  number?: string;
+  summary: string;
+  requestedBy?: string; // defaults to the signed-in user
+}
+
+export interface ApprovalInput {
+  approved: boolean;
+  comments?: string;
+}
+
+// Approval chains for purchases, price overrides, inventory adjustments and credit
+// exceptions. The highest-priority active policy matching the document's amount,
+// categories, supplier and project sets the steps; with no matching policy nothing
+// needs approving. Approvers are notified as each step opens, may hand their approvals
+// to a delegate while away, and a step left waiting past its deadline is escalated.
+// Every decision is kept on the request and mirrored onto the document's approvals.
+@Injectable()
+export class ApprovalService {
+  private escalationTimer: NodeJS.Timeout | null = null;
+
+  constructor(
+    private databaseService: DatabaseService,
+    private notificationService: NotificationService
+  ) {
+    this.startEscalationSweep();
+  }
+
+  async listPolicies(filters: { documentType?: string; includeInactive?: boolean } = {}): Promise<ApprovalPolicy[]> {
+    const query: any = {};
+    if (filters.documentType) query.documentType = filters.documentType;
+    if (!filters.includeInactive) query.isActive = true;
+    return this.databaseService.find<ApprovalPolicy>('approval_policies', query, { sort: { documentType: 1, priority: -1 } });
+  }
+
+  async createPolicy(input: any): Promise<ApprovalPolicy> {
+    const fields = validatePolicy(input);
+    await this.assertApproversExist(fields.steps.flatMap(step => [...step.approvers, ...(step.escalateTo || [])]));
+    return this.databaseService.create<ApprovalPolicy>('approval_policies', {
+      id: this.generateId('apol'),
+      ...fields,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      createdBy: currentUserId()
+    });
+  }
+
+  // Requests already open keep the steps they started with
+  async updatePolicy(id: string, input: any): Promise<ApprovalPolicy> {
+    const existing = await this.databaseService.findById<ApprovalPolicy>('approval_policies', id);
+    if (!existing) {
+      throw new Error('Approval policy not found');
+    }
+    const fields = validatePolicy({ ...existing, ...input });
+    await this.assertApproversExist(fields.steps.flatMap(step => [...step.approvers, ...(step.escalateTo || [])]));
+    return this.databaseService.update<ApprovalPolicy>('approval_policies', id, { ...fields, updatedAt: new Date() });
+  }
+
+  async deactivatePolicy(id: string): Promise<ApprovalPolicy> {
+    const existing = await this.databaseService.findById<ApprovalPolicy>('approval_policies', id);
+    if (!existing) {
+      throw new Error('Approval policy not found');
+    }
+    return this.databaseService.update<ApprovalPolicy>('approval_policies', id, { isActive: false, updatedAt: new Date() });
+  }
+
+  // The policy that would apply, without opening a request
+  async policyFor(documentType: ApprovalDocumentType, facts: ApprovalFacts): Promise<ApprovalPolicy | null> {
+    return selectPolicy(await this.listPolicies({ documentType }), facts);
+  }
+
+  // Delegations the user gave or was given; all of them when userId is left out
+  async listDelegations(userId?: string): Promise<ApprovalDelegation[]> {
+    const delegations = await this.databaseService.find<ApprovalDelegation>('approval_delegations', {}, {
+      sort: { startsAt: -1 }
+    });
+    return userId
+      ? delegations.filter(delegation => delegation.userId === userId || delegation.delegateId === userId)
+      : delegations;
+  }
+
+  async createDelegation(input: {
+    userId?: string;
+    delegateId: string;
+    startsAt?: Date;
+    endsAt: Date;
+    documentTypes?: ApprovalDocumentType[];
+    reason?: string;
+  }): Promise<ApprovalDelegation> {
+    const userId = input.userId || currentUserId();
+    const startsAt = input.startsAt ? new Date(input.startsAt) : new Date();
+    const endsAt = new Date(input.endsAt);
+    if (!input.delegateId) {
+      throw new Error('delegateId is required');
+    }
+    if (input.delegateId === userId) {
+      throw new Error('Approvals cannot be delegated to yourself');
+    }
+    if (isNaN(startsAt.getTime()) || isNaN(endsAt.getTime()) || endsAt <= startsAt) {
+      throw new Error('endsAt must be a date after startsAt');
+    }
+    if (input.documentTypes && input.documentTypes.some(type => !APPROVAL_DOCUMENT_TYPES.includes(type))) {
+      throw new Error(`documentTypes must be from ${APPROVAL_DOCUMENT_TYPES.join(', ')}`);
+    }
+    const delegate = await this.databaseService.findById<any>('users', input.delegateId);
+    if (!delegate || delegate.status === 'disabled') {
+      throw new Error('Delegate not found or disabled');
+    }
+
+    const delegation = await this.databaseService.create<ApprovalDelegation>('approval_delegations', {
+      id: this.generateId('adel'),
+      userId,
+      delegateId: input.delegateId,
+      startsAt,
+      endsAt,
+      ...(input.documentTypes?.length && { documentTypes: input.documentTypes }),
+      reason: input.reason,
+      createdAt: new Date(),
+      createdBy: currentUserId()
+    });
+    console.log(`🔁 Approvals for ${userId} delegated to ${input.delegateId} until ${endsAt.toISOString()}`);
+    return delegation;
+  }
+
+  async revokeDelegation(id: string): Promise<ApprovalDelegation> {
+    const delegation = await this.databaseService.findById<ApprovalDelegation>('approval_delegations', id);
+    if (!delegation) {
+      throw new Error('Delegation not found');
+    }
+    return this.databaseService.update<ApprovalDelegation>('approval_delegations', id, { revokedAt: new Date() });
+  }
+
+  // Opens an approval request for the document under the matching policy, replacing
+  // any still pending for it. Null when no policy applies, meaning none is needed.
+  async request(
+    documentType: ApprovalDocumentType,
+    document: ApprovalDocument,
+    facts: ApprovalFacts,
+    payload?: any
+  ): Promise<ApprovalRequest | null> {
+    const policy = await this.policyFor(documentType, facts);
+    if (!policy) {
+      await this.cancel(documentType, document.id, 'No approval needed any more');
+      return null;
+    }
+
+    const now = new Date();
+    const requestedBy = document.requestedBy || currentUserId();
+    const request = await this.databaseService.transaction(async tx => {
+      await this.cancelPending(tx, documentType, document.id, 'Replaced by a new request', now);
+      return tx.create<ApprovalRequest>('approval_requests', {
+        id: this.generateId('apr'),
+        requestNumber: await this.generateRequestNumber(tx),
+        documentType,
+        documentId: document.id,
+        documentNumber: document.number,
+        summary: document.summary,
+        facts,
+        policyId: policy.id,
+        policyName: policy.name,
+        status: 'pending',
+        currentStep: 0,
+        steps: startSteps(policy, now),
+        history: [{ at: now, action: 'requested', userId: requestedBy, comments: `Policy ${policy.name}` }],
+        ...(payload !== undefined && { payload }),
+        requestedBy,
+        requestedAt: now
+      });
+    });
+
+    console.log(`📝 Approval ${request.requestNumber} requested for ${documentType} ${document.number || document.id} under ${policy.name}`);
+    await this.syncDocument(request);
+    await this.notifyApprovers(request, outstandingApprovers(request), 'Approval requested');
+    return request;
+  }
+
+  // Records the signed-in user's decision on the request's current step
+  async decide(requestId: string, input: ApprovalInput): Promise<ApprovalRequest> {
+    const actor = this.actor();
+    const now = new Date();
+    let stepBefore = 0;
+
+    const decided = await this.databaseService.transaction(async tx => {
+      const request = await tx.findById<ApprovalRequest>('approval_requests', requestId);
+      if (!request) {
+        throw new Error('Approval request not found');
+      }
+      if (request.status !== 'pending') {
+        throw new Error(`Approval ${request.requestNumber} is already ${request.status}`);
+      }
+      if (request.requestedBy === actor.id) {
+        throw new Error('You cannot approve your own request');
+      }
+      stepBefore = request.currentStep;
+
+      const authority = authorityFor(request, actor, { delegators: await this.delegatorsFor(tx, actor.id, request.documentType, now) });
+      if (!authority) {
+        throw new Error(
+          `You are not an approver for ${request.requestNumber} at this step; waiting on ${describeApprovers(outstandingApprovers(request))}`
+        );
+      }
+
+      const updated = applyDecision(request, {
+        approverId: actor.id,
+        ...(authority.onBehalfOf && { onBehalfOf: authority.onBehalfOf }),
+        ...(authority.slot !== undefined && { slot: authority.slot }),
+        decision: input.approved ? 'approved' : 'rejected',
+        comments: input.comments,
+        at: now
+      }, Boolean(authority.escalation), now);
+      return tx.update<ApprovalRequest>('approval_requests', request.id, updated);
+    });
+
+    await this.syncDocument(decided);
+    if (decided.status === 'pending' && decided.currentStep !== stepBefore) {
+      await this.notifyApprovers(decided, outstandingApprovers(decided), 'Approval requested');
+    } else if (decided.status !== 'pending') {
+      await this.notifyRequester(decided);
+    }
+    return decided;
+  }
+
+  // Decides every pending request on the document the user can act on, e.g. both the
+  // price override and the credit exception on an order
+  async decideForDocument(
+    documentTypes: ApprovalDocumentType[],
+    documentId: string,
+    input: ApprovalInput
+  ): Promise<ApprovalRequest[]> {
+    const actor = this.actor();
+    const pending = await this.databaseService.find<ApprovalRequest>('approval_requests', {
+      documentType: { $in: documentTypes },
+      documentId,
+      status: 'pending'
+    });
+    if (pending.length === 0) {
+      throw new Error('Nothing on this document is waiting for approval');
+    }
+
+    const now = new Date();
+    const actionable = [];
+    for (const request of pending) {
+      const delegators = await this.delegatorsFor(this.databaseService, actor.id, request.documentType, now);
+      if (request.requestedBy !== actor.id && authorityFor(request, actor, { delegators })) {
+        actionable.push(request);
+      }
+    }
+    if (actionable.length === 0) {
+      throw new Error(`You are not an approver at this step; waiting on ${pending
+        .map(request => `${request.requestNumber}: ${describeApprovers(outstandingApprovers(request))}`)
+        .join('; ')}`);
+    }
+
+    const decided = [];
+    for (const request of actionable) {
+      decided.push(await this.decide(request.id, input));
+    }
+    return decided;
+  }
+
+  async cancel(documentType: ApprovalDocumentType, documentId: string, reason: string): Promise<void> {
+    const cancelled = await this.databaseService.transaction(tx =>
+      this.cancelPending(tx, documentType, documentId, reason, new Date()));
+    for (const request of cancelled) {
+      await this.syncDocument(request);
+    }
+  }
+
+  // The latest request for the document that wasn't cancelled
+  async latestFor(documentType: ApprovalDocumentType, documentId: string): Promise<ApprovalRequest | null> {
+    const requests = await this.databaseService.find<ApprovalRequest>('approval_requests', {
+      documentType,
+      documentId,
+      status: { $ne: 'cancelled' }
+    }, { sort: { requestedAt: -1 }, limit: 1 });
+    return requests[0] || null;
+  }
+
+  // The document's full approval history, oldest request first
+  async forDocument(documentId: string, documentType?: ApprovalDocumentType): Promise<ApprovalRequest[]> {
+    return this.databaseService.find<ApprovalRequest>('approval_requests', {
+      documentId,
+      ...(documentType && { documentType })
+    }, { sort: { requestedAt: 1 } });
+  }
+
+  async getRequest(id: string): Promise<ApprovalRequest | null> {
+    return this.databaseService.findById<ApprovalRequest>('approval_requests', id);
+  }
+
+  async listRequests(filters: { documentType?: string; status?: string; limit?: number } = {}): Promise<ApprovalRequest[]> {
+    const query: any = {};
+    if (filters.documentType) query.documentType = filters.documentType;
+    if (filters.status) query.status = filters.status;
+    return this.databaseService.find<ApprovalRequest>('approval_requests', query, {
+      sort: { requestedAt: -1 },
+      limit: Math.min(filters.limit || 100, 500)
+    });
+  }
+
+  // Pending requests the signed-in user can decide now, as approver, delegate or
+  // escalation approver
+  async inbox(): Promise<ApprovalRequest[]> {
+    const actor = this.actor();
+    const now = new Date();
+    const pending = await this.databaseService.find<ApprovalRequest>('approval_requests', { status: 'pending' }, {
+      sort: { requestedAt: 1 }
+    });
+
+    const inbox = [];
+    for (const request of pending) {
+      const delegators = await this.delegatorsFor(this.databaseService, actor.id, request.documentType, now);
+      if (request.requestedBy !== actor.id && authorityFor(request, actor, { delegators })) {
+        inbox.push(request);
+      }
+    }
+    return inbox;
+  }
+
+  // Distinct categories of the products, for routing by category
+  async productCategories(productIds: string[]): Promise<string[]> {
+    const products = await this.databaseService.find<any>('products', { id: { $in: Array.from(new Set(productIds)) } });
+    return Array.from(new Set(products.map(product => product.category).filter(Boolean)));
+  }
+
+  // Hands steps that have waited too long to their escalation approvers
+  async escalateOverdue(now: Date = new Date()): Promise<ApprovalRequest[]> {
+    const pending = await this.databaseService.find<ApprovalRequest>('approval_requests', { status: 'pending' });
+    const escalated: ApprovalRequest[] = [];
+    for (const { id } of pending) {
+      // Re-read in the transaction so a decision made since the sweep started is not
+      // overwritten, and a request decided meanwhile is left alone
+      const saved = await this.databaseService.transaction(async tx => {
+        const request = await tx.findById<ApprovalRequest>('approval_requests', id);
+        const due = request && request.status === 'pending' ? escalateIfDue(request, now) : null;
+        return due ? tx.update<ApprovalRequest>('approval_requests', id, { steps: due.steps, history: due.history }) : null;
+      });
+      if (!saved) continue;
+
+      console.log(`⏫ Approval ${saved.requestNumber} escalated at step ${saved.currentStep + 1}`);
+      await this.syncDocument(saved);
+      await this.notifyApprovers(saved, saved.steps[saved.currentStep].escalatedTo || [], 'Approval escalated', 'high');
+      escalated.push(saved);
+    }
+    return escalated;
+  }
+
+  stopEscalationSweep(): void {
+    if (this.escalationTimer) {
+      clearInterval(this.escalationTimer);
+      this.escalationTimer = null;
+    }
+  }
+
+  private startEscalationSweep(): void {
+    this.escalationTimer = setInterval(() => {
+      this.escalateAllCompanies().catch(error => console.error('Error escalating approvals:', error));
+    }, ESCALATION_SWEEP_INTERVAL_MS);
+    this.escalationTimer.unref?.();
+  }
+
+  private async escalateAllCompanies(): Promise<void> {
+    const companies = await this.databaseService.find<any>('companies', { isActive: true });
+    for (const company of companies) {
+      await runAsCompany(company.id, () => this.escalateOverdue());
+    }
+  }
+
+  private async cancelPending(
+    tx: Transaction,
+    documentType: ApprovalDocumentType,
+    documentId: string,
+    reason: string,
+    now: Date
+  ): Promise<ApprovalRequest[]> {
+    const pending = await tx.find<ApprovalRequest>('approval_requests', { documentType, documentId, status: 'pending' });
+    const cancelled = [];
+    for (const request of pending) {
+      cancelled.push(await tx.update<ApprovalRequest>('approval_requests', request.id, {
+        status: 'cancelled',
+        completedAt: now,
+        history: [...request.history, { at: now, action: 'cancelled', userId: currentUserId(), comments: reason }]
+      }));
+    }
+    return cancelled;
+  }
+
+  // Users who handed this delegate their approvals of the document type, as of now
+  private async delegatorsFor(
+    source: Pick<Transaction, 'find' | 'findById'>,
+    delegateId: string,
+    documentType: ApprovalDocumentType,
+    at: Date
+  ): Promise<Actor[]> {
+    const delegations = await source.find<ApprovalDelegation>('approval_delegations', { delegateId });
+    const delegators: Actor[] = [];
+    for (const delegation of delegations.filter(entry => isDelegationActive(entry, documentType, at))) {
+      const user = await source.findById<any>('users', delegation.userId);
+      if (user && user.status !== 'disabled') {
+        delegators.push({ id: user.id, role: user.role });
+      }
+    }
+    return delegators;
+  }
+
+  // Mirrors the requests onto the document so its own record carries the history
+  private async syncDocument(request: ApprovalRequest): Promise<void> {
+    const collection = APPROVAL_COLLECTIONS[request.documentType];
+    if (!collection) return;
+
+    const sharing = APPROVAL_DOCUMENT_TYPES.filter(type => APPROVAL_COLLECTIONS[type] === collection);
+    const requests = await this.databaseService.find<ApprovalRequest>('approval_requests', {
+      documentType: { $in: sharing },
+      documentId: request.documentId
+    }, { sort: { requestedAt: 1 } });
+    const document = await this.databaseService.findById<any>(collection, request.documentId);
+    if (!document) return;
+
+    await this.databaseService.update(collection, request.documentId, {
+      approvals: toApprovals(requests),
+      approvalStatus: approvalStatusOf(requests)
+    });
+  }
+
+  private async notifyApprovers(
+    request: ApprovalRequest,
+    refs: ApproverRef[],
+    title: string,
+    priority: 'medium' | 'high' = 'medium'
+  ): Promise<void> {
+    const users = new Map<string, any>();
+    for (const ref of refs) {
+      const matches = ref.userId
+        ? [await this.databaseService.findById<any>('users', ref.userId)]
+        : await this.databaseService.find<any>('users', { role: ref.role });
+      matches.filter(user => user && user.status !== 'disabled').forEach(user => users.set(user.id, user));
+    }
+
+    // Whoever is standing in for an absent approver hears about it too
+    const now = new Date();
+    const delegations = await this.databaseService.find<ApprovalDelegation>('approval_delegations', {
+      userId: { $in: Array.from(users.keys()) }
+    });
+    for (const delegation of delegations.filter(entry => isDelegationActive(entry, request.documentType, now))) {
+      const delegate = await this.databaseService.findById<any>('users', delegation.delegateId);
+      if (delegate && delegate.status !== 'disabled') users.set(delegate.id, delegate);
+    }
+
+    users.delete(request.requestedBy);
+    for (const user of users.values()) {
+      await this.notificationService.send({
+        type: 'approval_requested',
+        title,
+        message: `${request.requestNumber}: ${request.summary} (step ${request.currentStep + 1} of ${request.steps.length}, ${request.steps[request.currentStep].name})`,
+        priority,
+        data: { requestId: request.id, documentType: request.documentType, documentId: request.documentId },
+        recipientId: user.id,
+        recipientEmail: user.email
+      });
+    }
+  }
+
+  private async notifyRequester(request: ApprovalRequest): Promise<void> {
+    const requester = await this.databaseService.findById<any>('users', request.requestedBy);
+    if (!requester) return;
+    await this.notificationService.send({
+      type: `approval_${request.status}`,
+      title: `Approval ${request.status}`,
+      message: `${request.requestNumber}: ${request.summary} was ${request.status}`,
+      data: { requestId: request.id, documentType: request.documentType, documentId: request.documentId },
+      recipientId: requester.id,
+      recipientEmail: requester.email
+    });
+  }
+
+  private async assertApproversExist(refs: ApproverRef[]): Promise<void> {
+    for (const ref of refs.filter(entry => entry.userId)) {
+      if (!(await this.databaseService.findById('users', ref.userId!))) {
+        throw new Error(`Approver ${ref.userId} not found`);
+      }
+    }
+  }
+
+  private actor(): Actor {
+    const user = getCurrentUser();
+    if (!user) {
+      throw new Error('Sign in to decide approvals');
+    }
+    return { id: user.id, role: user.role };
+  }
+
+  private async generateRequestNumber(tx: Transaction): Promise<string> {
+    const year = new Date().getFullYear();
+    const month = String(new Date().getMonth() + 1).padStart(2, '0');
+    const thisMonth = await tx.find('approval_requests', {
+      requestNumber: { $regex: `^APR-${year}${month}` }
+    });
+    return `APR-${year}${month}-${String(thisMonth.length + 1).padStart(4, '0')}`;
+  }
+
+  private generateId(prefix: string): string {
+    return prefix + '_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  }
+}
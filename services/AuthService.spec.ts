@@ -0,0 +1,54 @@
+// services/AuthService.spec.ts
+import { AuthService } from './AuthService';
+import { DatabaseService } from './DatabaseService';
+import { MemoryStorageAdapter } from './storage/MemoryStorageAdapter';
+import { runAsCompany } from './auth/RequestContext';
+
+jest.mock('@varld/warp', () => ({ Injectable: () => () => undefined }), { virtual: true });
+
+describe('AuthService', () => {
+  let db: DatabaseService;
+  let auth: AuthService;
+  const account = { email: ' Pat@Example.com ', name: 'Pat', password: 'correct horse', role: 'sales' as const };
+
+  beforeAll(() => {
+    process.env.DATABASE_FIXTURES = '';
+    process.env.JWT_SECRET = 'test-secret';
+    for (const method of ['log', 'error'] as const) {
+      jest.spyOn(console, method).mockImplementation(() => undefined);
+    }
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(async () => {
+    db = new DatabaseService(new MemoryStorageAdapter());
+    await db.whenReady();
+    auth = new AuthService(db);
+  });
+
+  it('creates users in the current company without exposing credentials', async () => {
+    const user = await runAsCompany('company_a', () => auth.createUser(account));
+    expect(user).toMatchObject({ email: 'pat@example.com', companyId: 'company_a', status: 'active' });
+    expect(user).not.toHaveProperty('passwordHash');
+    expect(user).not.toHaveProperty('tokenVersion');
+  });
+
+  it('keeps an email unique across companies, since login finds the account by email alone', async () => {
+    await runAsCompany('company_a', () => auth.createUser(account));
+    await expect(runAsCompany('company_a', () => auth.createUser(account)))
+      .rejects.toThrow('A user with email pat@example.com already exists');
+    await expect(runAsCompany('company_b', () => auth.createUser({ ...account, email: 'PAT@example.com' })))
+      .rejects.toThrow('A user with email pat@example.com already exists');
+  });
+
+  it('logs in by email and rejects a wrong password', async () => {
+    await runAsCompany('company_a', () => auth.createUser(account));
+    const tokens = await auth.login('pat@example.com', 'correct horse');
+    expect(tokens.user).toMatchObject({ email: 'pat@example.com', companyId: 'company_a' });
+    expect(await auth.authenticateToken(tokens.accessToken)).toMatchObject({ email: 'pat@example.com', role: 'sales' });
+    await expect(auth.login('pat@example.com', 'wrong password')).rejects.toThrow('Invalid email or password');
+  });
+});
@@ -0,0 +1,364 @@
+// services/AuthService.ts
+import { Injectable } from '@varld/warp';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import { DatabaseService } from './DatabaseService';
+import { Role, isRole, hasPermission } from './auth/permissions';
+import { AuthenticatedUser, runWithContext, runAsCompany, currentCompanyId } from './auth/RequestContext';
+import { DEFAULT_COMPANY_ID } from './storage/TenantScope';
+import { DuplicateKeyError } from './storage/Transaction';
+import { AuthenticationError } from './auth/guards';
+
+export interface User {
+  id: string;
+  email: string;
+  name: string;
+  role: Role;
+  companyId: string; // the company the user was created in; they only ever see its data
+  passwordHash: string;
+  status: 'active' | 'disabled';
+  // Bumped on logout, password change, role change or deactivation. Tokens carry the
+  // version they were issued under and stop working once it moves on.
+  tokenVersion: number;
+  lastLoginAt?: Date;
+  createdAt: Date;
+  updatedAt: Date;
+  createdBy: string;
+}
+
+export type PublicUser = Omit<User, 'passwordHash' | 'tokenVersion'>;
+
+export interface AuthTokens {
+  accessToken: string;
+  refreshToken: string;
+  tokenType: 'Bearer';
+  expiresIn: string;
+  user: PublicUser;
+}
+
+interface TokenClaims {
+  sub: string;
+  type: 'access' | 'refresh';
+  role: Role;
+  ver: number;
+}
+
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 8;
+
+@Injectable()
+export class AuthService {
+  private jwtSecret: string;
+  private accessTokenTtl: string;
+  private refreshTokenTtl: string;
+  private dummyHash: Promise<string> | null = null;
+
+  constructor(private databaseService: DatabaseService) {
+    this.jwtSecret = this.resolveSecret();
+    this.accessTokenTtl = process.env.JWT_ACCESS_TTL || '15m';
+    this.refreshTokenTtl = process.env.JWT_REFRESH_TTL || '7d';
+  }
+
+  async login(email: string, password: string): Promise<AuthTokens> {
+    const user = await this.databaseService.findOne<User>('users', { email: this.normalizeEmail(email) });
+
+    // Compare against a dummy hash when the user is unknown so timing does not reveal it
+    const passwordMatches = await bcrypt.compare(
+      password || '',
+      user ? user.passwordHash : await this.getDummyHash()
+    );
+
+    if (!user || !passwordMatches) {
+      throw new AuthenticationError('Invalid email or password');
+    }
+    if (user.status !== 'active') {
+      throw new AuthenticationError('Account is disabled');
+    }
+
+    const updated = await this.databaseService.update<User>('users', user.id, { lastLoginAt: new Date() });
+    console.log(`🔐 User logged in: ${user.email} (${user.role})`);
+    return this.issueTokens(updated);
+  }
+
+  // Exchanges a refresh token for a new pair. The old refresh token keeps working until
+  // it expires or the user's token version changes.
+  async refresh(refreshToken: string): Promise<AuthTokens> {
+    const claims = this.verifyToken(refreshToken, 'refresh');
+    const user = await this.loadActiveUser(claims);
+    return this.issueTokens(user);
+  }
+
+  async logout(userId: string): Promise<void> {
+    await this.revokeTokens(userId);
+    console.log(`🔐 User logged out: ${userId}`);
+  }
+
+  // Resolves an access token to the user it was issued for, rejecting disabled accounts
+  async authenticateToken(accessToken: string): Promise<AuthenticatedUser> {
+    const claims = this.verifyToken(accessToken, 'access');
+    const user = await this.loadActiveUser(claims);
+    return this.toAuthenticatedUser(user);
+  }
+
+  // Express-style middleware that puts the bearer token's user into the request context.
+  // Requests without a token continue anonymously; route guards decide whether that is allowed.
+  middleware() {
+    return async (req: any, res: any, next: (error?: any) => void) => {
+      const header: string = req.headers?.authorization || '';
+      const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+      if (!token) {
+        runWithContext({ user: null, response: res }, () => next());
+        return;
+      }
+
+      let user: AuthenticatedUser;
+      try {
+        user = await this.authenticateToken(token);
+      } catch (error) {
+        res.status(401).json({ success: false, error: error.message });
+        return;
+      }
+      runWithContext({ user, response: res }, () => next());
+    };
+  }
+
+  async createUser(
+    userData: { email: string; name: string; password: string; role: Role },
+    createdBy: string = 'system'
+  ): Promise<PublicUser> {
+    const requiredFields = ['email', 'name', 'password', 'role'];
+    for (const field of requiredFields) {
+      if (!userData[field as keyof typeof userData]) {
+        throw new Error(`${field} is required`);
+      }
+    }
+    if (!isRole(userData.role)) {
+      throw new Error(`Unknown role: ${userData.role}`);
+    }
+    this.validatePassword(userData.password);
+
+    const email = this.normalizeEmail(userData.email);
+
+    const user: User = {
+      id: this.generateId(),
+      email,
+      name: userData.name,
+      role: userData.role,
+      companyId: currentCompanyId() || DEFAULT_COMPANY_ID,
+      passwordHash: await bcrypt.hash(userData.password, BCRYPT_ROUNDS),
+      status: 'active',
+      tokenVersion: 0,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      createdBy
+    };
+
+    // Login finds the account by email alone, so an email is unique across every company.
+    // Reads here only see this company's users; the global unique index catches the rest.
+    let saved: User;
+    try {
+      saved = await this.databaseService.create<User>('users', user);
+    } catch (error) {
+      if (error instanceof DuplicateKeyError) {
+        throw new Error(`A user with email ${email} already exists`);
+      }
+      throw error;
+    }
+    console.log(`✅ User created: ${email} (${user.role})`);
+    return this.toPublicUser(saved);
+  }
+
+  async updateUser(
+    id: string,
+    updateData: { name?: string; role?: Role; status?: 'active' | 'disabled' }
+  ): Promise<PublicUser> {
+    const user = await this.databaseService.findById<User>('users', id);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (updateData.role !== undefined && !isRole(updateData.role)) {
+      throw new Error(`Unknown role: ${updateData.role}`);
+    }
+
+    const changes: Partial<User> = {};
+    if (updateData.name !== undefined) changes.name = updateData.name;
+    if (updateData.role !== undefined) changes.role = updateData.role;
+    if (updateData.status !== undefined) changes.status = updateData.status;
+
+    if (changes.role !== undefined && changes.role !== user.role ||
+        changes.status !== undefined && changes.status !== user.status) {
+      await this.assertAdminRemains(user, changes);
+      // Role and status are baked into issued tokens, so force a fresh login
+      changes.tokenVersion = user.tokenVersion + 1;
+    }
+
+    const updated = await this.databaseService.update<User>('users', id, changes);
+    return this.toPublicUser(updated);
+  }
+
+  async changePassword(userId: string, currentPassword: string, newPassword: string): Promise<void> {
+    const user = await this.databaseService.findById<User>('users', userId);
+    if (!user || !(await bcrypt.compare(currentPassword || '', user.passwordHash))) {
+      throw new AuthenticationError('Current password is incorrect');
+    }
+    await this.setPassword(userId, newPassword);
+  }
+
+  async setPassword(userId: string, newPassword: string): Promise<void> {
+    this.validatePassword(newPassword);
+    const user = await this.databaseService.findById<User>('users', userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await this.databaseService.update<User>('users', userId, {
+      passwordHash: await bcrypt.hash(newPassword, BCRYPT_ROUNDS),
+      tokenVersion: user.tokenVersion + 1
+    });
+    console.log(`🔐 Password changed for user: ${user.email}`);
+  }
+
+  async getUser(id: string): Promise<PublicUser | null> {
+    const user = await this.databaseService.findById<User>('users', id);
+    return user ? this.toPublicUser(user) : null;
+  }
+
+  async listUsers(filter: { role?: Role; status?: string } = {}): Promise<PublicUser[]> {
+    const query: any = {};
+    if (filter.role) query.role = filter.role;
+    if (filter.status) query.status = filter.status;
+
+    const users = await this.databaseService.find<User>('users', query, { sort: { email: 1 } });
+    return users.map(user => this.toPublicUser(user));
+  }
+
+  // Creates the first administrator of the default company from ADMIN_EMAIL /
+  // ADMIN_PASSWORD when no users exist
+  async ensureBootstrapAdmin(): Promise<void> {
+    const userCount = await this.databaseService.count('users');
+    if (userCount > 0) return;
+
+    const email = process.env.ADMIN_EMAIL;
+    const password = process.env.ADMIN_PASSWORD;
+    if (!email || !password) {
+      console.warn('⚠️ No users exist. Set ADMIN_EMAIL and ADMIN_PASSWORD to create the first administrator.');
+      return;
+    }
+
+    await runAsCompany(DEFAULT_COMPANY_ID, () =>
+      this.createUser({ email, password, name: process.env.ADMIN_NAME || 'Administrator', role: 'admin' }));
+  }
+
+  can(user: AuthenticatedUser, permission: string): boolean {
+    return hasPermission(user.role, permission);
+  }
+
+  toPublicUser(user: User): PublicUser {
+    const publicUser: Partial<User> = { ...user };
+    delete publicUser.passwordHash;
+    delete publicUser.tokenVersion;
+    return publicUser as PublicUser;
+  }
+
+  private issueTokens(user: User): AuthTokens {
+    const base = { sub: user.id, role: user.role, ver: user.tokenVersion };
+
+    return {
+      accessToken: jwt.sign({ ...base, type: 'access' }, this.jwtSecret, {
+        expiresIn: this.accessTokenTtl
+      } as jwt.SignOptions),
+      refreshToken: jwt.sign({ ...base, type: 'refresh' }, this.jwtSecret, {
+        expiresIn: this.refreshTokenTtl,
+        jwtid: crypto.randomUUID()
+      } as jwt.SignOptions),
+      tokenType: 'Bearer',
+      expiresIn: this.accessTokenTtl,
+      user: this.toPublicUser(user)
+    };
+  }
+
+  private verifyToken(token: string, expectedType: TokenClaims['type']): TokenClaims {
+    let claims: TokenClaims;
+    try {
+      claims = jwt.verify(token, this.jwtSecret) as unknown as TokenClaims;
+    } catch (error) {
+      throw new AuthenticationError(
+        error instanceof jwt.TokenExpiredError ? 'Token has expired' : 'Invalid token'
+      );
+    }
+
+    if (claims.type !== expectedType) {
+      throw new AuthenticationError('Invalid token');
+    }
+    return claims;
+  }
+
+  private async loadActiveUser(claims: TokenClaims): Promise<User> {
+    const user = await this.databaseService.findById<User>('users', claims.sub);
+    if (!user || user.status !== 'active') {
+      throw new AuthenticationError('Account is disabled or no longer exists');
+    }
+    if (user.tokenVersion !== claims.ver) {
+      throw new AuthenticationError('Token has been revoked');
+    }
+    return user;
+  }
+
+  private async revokeTokens(userId: string): Promise<void> {
+    const user = await this.databaseService.findById<User>('users', userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    await this.databaseService.update<User>('users', userId, { tokenVersion: user.tokenVersion + 1 });
+  }
+
+  // Refuses changes that would leave no active administrator to manage users
+  private async assertAdminRemains(user: User, changes: Partial<User>): Promise<void> {
+    const losesAdmin = user.role === 'admin' && user.status === 'active' &&
+      ((changes.role !== undefined && changes.role !== 'admin') || changes.status === 'disabled');
+    if (!losesAdmin) return;
+
+    const activeAdmins = await this.databaseService.count('users', { role: 'admin', status: 'active' });
+    if (activeAdmins <= 1) {
+      throw new Error('Cannot remove the last active administrator');
+    }
+  }
+
+  private toAuthenticatedUser(user: User): AuthenticatedUser {
+    return { id: user.id, email: user.email, name: user.name, role: user.role, companyId: user.companyId || DEFAULT_COMPANY_ID };
+  }
+
+  private getDummyHash(): Promise<string> {
+    if (!this.dummyHash) {
+      this.dummyHash = bcrypt.hash(crypto.randomBytes(16).toString('hex'), BCRYPT_ROUNDS);
+    }
+    return this.dummyHash;
+  }
+
+  private validatePassword(password: string): void {
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  private normalizeEmail(email: string): string {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  private resolveSecret(): string {
+    const secret = process.env.JWT_SECRET;
+    if (secret) return secret;
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('JWT_SECRET must be set in production');
+    }
+    console.warn('⚠️ JWT_SECRET is not set; using a random secret. Tokens will not survive a restart.');
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  private generateId(): string {
+    return 'user_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  }
+}
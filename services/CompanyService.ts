@@ -0,0 +1,119 @@
+// services/CompanyService.ts
+import { Injectable } from '@varld/warp';
+import { DatabaseService } from './DatabaseService';
+import { AuthService, PublicUser } from './AuthService';
+import { Transaction } from './storage/Transaction';
+import { DEFAULT_COMPANY_ID } from './storage/TenantScope';
+import { currentCompanyId, currentUserId, runAsCompany } from './auth/RequestContext';
+import {
+  Company,
+  CompanySettings,
+  DEFAULT_COMPANY_SETTINGS,
+  resolveSettings,
+  validateSettings
+} from './companies/CompanySettings';
+
+// Business units sharing this installation. Each company's data is kept apart by the
+// storage layer; this service owns the company records and their settings.
+@Injectable()
+export class CompanyService {
+  constructor(
+    private databaseService: DatabaseService,
+    private authService: AuthService
+  ) {}
+
+  async getCurrentCompany(): Promise<Company> {
+    const company = await this.databaseService.findById<Company>('companies', this.currentId());
+    if (!company) {
+      throw new Error('Company not found');
+    }
+    return company;
+  }
+
+  async getSettings(): Promise<CompanySettings> {
+    return resolveSettings(await this.databaseService.findById<Company>('companies', this.currentId()));
+  }
+
+  async settingsIn(tx: Transaction): Promise<CompanySettings> {
+    return resolveSettings(await tx.findById<Company>('companies', this.currentId()));
+  }
+
+  async updateSettings(changes: Partial<CompanySettings>): Promise<Company> {
+    return this.databaseService.transaction(tx => this.updateSettingsIn(tx, changes));
+  }
+
+  async updateSettingsIn(tx: Transaction, changes: Partial<CompanySettings>): Promise<Company> {
+    const valid = validateSettings(changes || {});
+    if (Object.keys(valid).length === 0) {
+      throw new Error('No recognised settings to change');
+    }
+
+    const company = await tx.findById<Company>('companies', this.currentId());
+    if (!company) {
+      throw new Error('Company not found');
+    }
+    return tx.update<Company>('companies', company.id, {
+      settings: { ...resolveSettings(company), ...valid }
+    });
+  }
+
+  // Sets up a new business unit with its first administrator, who signs in to it
+  async createCompany(data: {
+    name: string;
+    code: string;
+    type?: Company['type'];
+    settings?: Partial<CompanySettings>;
+    admin: { email: string; name: string; password: string };
+  }): Promise<{ company: Company; admin: PublicUser }> {
+    // Business units are set up from the operating company, not from inside one another
+    if (this.currentId() !== DEFAULT_COMPANY_ID) {
+      throw new Error('Companies can only be created from the default company');
+    }
+
+    const requiredFields = ['name', 'code', 'admin'];
+    for (const field of requiredFields) {
+      if (!data?.[field as keyof typeof data]) {
+        throw new Error(`${field} is required`);
+      }
+    }
+
+    const code = String(data.code).trim().toUpperCase();
+    const existing = await this.databaseService.findOne<Company>('companies', { code });
+    if (existing) {
+      throw new Error(`A company with code ${code} already exists`);
+    }
+
+    const company = await this.databaseService.create<Company>('companies', {
+      id: this.generateId('company'),
+      name: data.name,
+      code,
+      type: data.type,
+      settings: { ...DEFAULT_COMPANY_SETTINGS, ...validateSettings(data.settings || {}) },
+      isActive: true,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      createdBy: currentUserId()
+    });
+
+    let admin: PublicUser;
+    try {
+      admin = await runAsCompany(company.id, () =>
+        this.authService.createUser({ ...data.admin, role: 'admin' }, currentUserId()));
+    } catch (error) {
+      // A company nobody can sign in to is of no use
+      await this.databaseService.delete('companies', company.id);
+      throw error;
+    }
+
+    console.log(`🏢 Company created: ${company.name} (${company.code})`);
+    return { company, admin };
+  }
+
+  private currentId(): string {
+    return currentCompanyId() || DEFAULT_COMPANY_ID;
+  }
+
+  private generateId(prefix: string): string {
+    return prefix + '_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  }
+}
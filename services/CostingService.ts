@@ -0,0 +1,307 @@
+// services/CostingService.ts
+import { Injectable } from '@varld/warp';
+import { DatabaseService } from './DatabaseService';
+import { CompanyService } from './CompanyService';
+import { Transaction } from './storage/Transaction';
+import { currentUserId } from './auth/RequestContext';
+import { Order, Shipment } from './orders/OrderLifecycle';
+import { ReturnAuthorization, RmaLine } from './returns/Returns';
+import {
+  CostingMethod,
+  CostLayer,
+  isCostingMethod,
+  layersOf,
+  layersQuantity,
+  layersValue,
+  averageCost,
+  receiveCost,
+  issueCost,
+  convertLayers
+} from './inventory/Costing';
+
+export interface CostOfGoodsEntry {
+  id: string;
+  orderId: string;
+  orderNumber: string;
+  customerId: string;
+  shipmentId?: string;
+  shipmentNumber?: string;
+  rmaId?: string; // a reversal for material the customer returned
+  rmaNumber?: string;
+  orderItemId: string;
+  productId: string;
+  productName: string;
+  quantity: number;
+  revenue: number;
+  cost: number;
+  costingMethod: CostingMethod;
+  postedAt: Date;
+  postedBy: string;
+}
+
+export interface ValuationLine {
+  inventoryId: string;
+  productId: string;
+  productName: string;
+  category?: string;
+  locationId?: string;
+  location?: string;
+  quantity: number;
+  value: number;
+  unitCost: number;
+}
+
+export interface OrderMargin {
+  orderId: string;
+  orderNumber: string;
+  customerId: string;
+  quantityShipped: number;
+  revenue: number;
+  costOfGoods: number;
+  grossMargin: number;
+  marginPercent: number;
+}
+
+// Owns the company's inventory costing method and the cost side of stock movements. Every
+// receipt adds cost at the receipt's unit cost, every issue takes cost out of the
+// layers, and shipments post what they took as cost of goods sold.
+@Injectable()
+export class CostingService {
+  constructor(
+    private databaseService: DatabaseService,
+    private companyService: CompanyService
+  ) {}
+
+  async getCostingMethod(): Promise<CostingMethod> {
+    return (await this.companyService.getSettings()).costingMethod;
+  }
+
+  async costingMethodIn(tx: Transaction): Promise<CostingMethod> {
+    return (await this.companyService.settingsIn(tx)).costingMethod;
+  }
+
+  // Changing method re-lays every record's existing cost so valuation is unchanged
+  // at the moment of the switch
+  async setCostingMethod(method: CostingMethod): Promise<{ method: CostingMethod; recordsConverted: number }> {
+    if (!isCostingMethod(method)) {
+      throw new Error('costingMethod must be fifo or weighted_average');
+    }
+
+    return this.databaseService.transaction(async tx => {
+      if (await this.costingMethodIn(tx) === method) {
+        return { method, recordsConverted: 0 };
+      }
+      await this.companyService.updateSettingsIn(tx, { costingMethod: method });
+
+      let recordsConverted = 0;
+      for (const inventory of await tx.find<any>('inventory', {})) {
+        const layers = convertLayers(layersOf(inventory), method);
+        await tx.update('inventory', inventory.id, this.costFields(inventory, layers));
+        recordsConverted++;
+      }
+
+      console.log(`💲 Inventory costing switched to ${method} (${recordsConverted} records re-layered)`);
+      return { method, recordsConverted };
+    });
+  }
+
+  // Inventory fields for a receipt; without a unit cost the stock comes in at the
+  // record's current average
+  async receive(
+    tx: Transaction,
+    inventory: any,
+    quantity: number,
+    unitCost: number | undefined,
+    reference?: string
+  ): Promise<{ updates: Record<string, any>; unitCost: number }> {
+    const layers = layersOf(inventory);
+    const cost = unitCost ?? averageCost(layers, inventory.avgCost ?? inventory.unitCost ?? 0);
+    const method = await this.costingMethodIn(tx);
+
+    return {
+      updates: this.costFields(inventory, receiveCost(layers, method, quantity, cost, reference)),
+      unitCost: cost
+    };
+  }
+
+  // Takes cost for each quantity in turn, so each gets the layers it consumed
+  issue(inventory: any, quantities: number[]): { updates: Record<string, any>; costs: number[] } {
+    let layers = layersOf(inventory);
+    const costs: number[] = [];
+
+    for (const quantity of quantities) {
+      const result = issueCost(layers, quantity, averageCost(layers, inventory.avgCost ?? inventory.unitCost ?? 0));
+      layers = result.layers;
+      costs.push(result.cost);
+    }
+
+    return { updates: this.costFields(inventory, layers), costs };
+  }
+
+  async postCostOfGoods(
+    tx: Transaction,
+    order: Order,
+    shipment: Shipment
+  ): Promise<CostOfGoodsEntry[]> {
+    const method = await this.costingMethodIn(tx);
+    const entries: CostOfGoodsEntry[] = [];
+
+    for (const shipped of shipment.items) {
+      const item = order.items.find(line => line.id === shipped.orderItemId);
+      entries.push(await tx.create<CostOfGoodsEntry>('cost_of_goods', {
+        id: this.generateId('cogs'),
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        customerId: order.customerId,
+        shipmentId: shipment.id,
+        shipmentNumber: shipment.shipmentNumber,
+        orderItemId: shipped.orderItemId,
+        productId: shipped.productId,
+        productName: item?.productName || shipped.productId,
+        quantity: shipped.quantityShipped,
+        revenue: Math.round(shipped.quantityShipped * (item?.unitPrice || 0) * 100) / 100,
+        cost: shipped.costOfGoods || 0,
+        costingMethod: method,
+        postedAt: new Date(),
+        postedBy: currentUserId()
+      }));
+    }
+    return entries;
+  }
+
+  // Reverses a returned line's share of revenue and cost, so order margins reflect what
+  // the customer kept. Cost only comes back for material that is recovered.
+  async postReturn(
+    tx: Transaction,
+    rma: ReturnAuthorization,
+    line: RmaLine,
+    revenue: number,
+    recoveredQuantity: number
+  ): Promise<CostOfGoodsEntry> {
+    return tx.create<CostOfGoodsEntry>('cost_of_goods', {
+      id: this.generateId('cogs'),
+      orderId: rma.orderId,
+      orderNumber: rma.orderNumber,
+      customerId: rma.customerId,
+      rmaId: rma.id,
+      rmaNumber: rma.rmaNumber,
+      orderItemId: line.orderItemId,
+      productId: line.productId,
+      productName: line.productName,
+      quantity: -line.receivedQuantity,
+      revenue: -Math.round(revenue * 100) / 100,
+      cost: -Math.round(recoveredQuantity * line.unitCost * 100) / 100,
+      costingMethod: await this.costingMethodIn(tx),
+      postedAt: new Date(),
+      postedBy: currentUserId()
+    });
+  }
+
+  // Stock value per inventory record. For a past date the current value is rolled
+  // back through the costed movements made since.
+  async getValuation(asOf?: Date): Promise<{
+    asOf: Date;
+    method: CostingMethod;
+    currency: string;
+    totalQuantity: number;
+    totalValue: number;
+    lines: ValuationLine[];
+  }> {
+    const at = asOf || new Date();
+    const inventory = await this.databaseService.find<any>('inventory', {});
+    const later = asOf
+      ? await this.databaseService.find<any>('stock_movements', { timestamp: { $gt: asOf } })
+      : [];
+
+    const rollback = new Map<string, { quantity: number; value: number }>();
+    for (const movement of later) {
+      if (movement.quantityChange === undefined) continue;
+      const entry = rollback.get(movement.inventoryId) || { quantity: 0, value: 0 };
+      entry.quantity += movement.quantityChange;
+      entry.value += movement.valueChange || 0;
+      rollback.set(movement.inventoryId, entry);
+    }
+
+    const lines: ValuationLine[] = inventory.map(item => {
+      const layers = layersOf(item);
+      const changes = rollback.get(item.id) || { quantity: 0, value: 0 };
+      const quantity = layersQuantity(layers) - changes.quantity;
+      const value = Math.round((layersValue(layers) - changes.value) * 100) / 100;
+      return {
+        inventoryId: item.id,
+        productId: item.productId,
+        productName: item.productName,
+        category: item.category,
+        locationId: item.locationId,
+        location: item.location,
+        quantity,
+        value,
+        unitCost: quantity > 0 ? Math.round((value / quantity) * 10000) / 10000 : 0
+      };
+    }).filter(line => line.quantity !== 0 || line.value !== 0);
+
+    const settings = await this.companyService.getSettings();
+    return {
+      asOf: at,
+      method: settings.costingMethod,
+      currency: settings.currency,
+      totalQuantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+      totalValue: Math.round(lines.reduce((sum, line) => sum + line.value, 0) * 100) / 100,
+      lines
+    };
+  }
+
+  // Gross margin per order on what has shipped, from the posted cost of goods
+  async getOrderMargins(filters: { orderId?: string; customerId?: string; startDate?: Date; endDate?: Date } = {}): Promise<OrderMargin[]> {
+    const query: any = {};
+    if (filters.orderId) query.orderId = filters.orderId;
+    if (filters.customerId) query.customerId = filters.customerId;
+    if (filters.startDate || filters.endDate) {
+      query.postedAt = {
+        ...(filters.startDate && { $gte: filters.startDate }),
+        ...(filters.endDate && { $lte: filters.endDate })
+      };
+    }
+
+    const entries = await this.databaseService.find<CostOfGoodsEntry>('cost_of_goods', query);
+    const byOrder = new Map<string, OrderMargin>();
+    for (const entry of entries) {
+      const margin = byOrder.get(entry.orderId) || {
+        orderId: entry.orderId,
+        orderNumber: entry.orderNumber,
+        customerId: entry.customerId,
+        quantityShipped: 0,
+        revenue: 0,
+        costOfGoods: 0,
+        grossMargin: 0,
+        marginPercent: 0
+      };
+      margin.quantityShipped += entry.quantity;
+      margin.revenue += entry.revenue;
+      margin.costOfGoods += entry.cost;
+      byOrder.set(entry.orderId, margin);
+    }
+
+    return Array.from(byOrder.values()).map(margin => {
+      const revenue = Math.round(margin.revenue * 100) / 100;
+      const costOfGoods = Math.round(margin.costOfGoods * 100) / 100;
+      const grossMargin = Math.round((revenue - costOfGoods) * 100) / 100;
+      return {
+        ...margin,
+        revenue,
+        costOfGoods,
+        grossMargin,
+        marginPercent: revenue > 0 ? Math.round((grossMargin / revenue) * 10000) / 100 : 0
+      };
+    });
+  }
+
+  private costFields(inventory: any, layers: CostLayer[]): Record<string, any> {
+    const avgCost = averageCost(layers, inventory.avgCost ?? inventory.unitCost ?? 0);
+    return { costLayers: layers, avgCost, unitCost: avgCost };
+  }
+
+  private generateId(prefix: string): string {
+    return prefix + '_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  }
+}
@@ -0,0 +1,490 @@
+// services/CycleCountService.ts
+import { Injectable } from '@varld/warp';
+import { DatabaseService } from './DatabaseService';
+import { NotificationService } from './NotificationService';
+import { WarehouseService, Location } from './WarehouseService';
+import { Transaction } from './storage/Transaction';
+import { currentUserId } from './auth/RequestContext';
+import { UNASSIGNED_BIN, balancesOf } from './inventory/StockBalances';
+import {
+  AbcClass,
+  VarianceThresholds,
+  DEFAULT_VARIANCE_THRESHOLDS,
+  classifyAbc,
+  isCountDue,
+  computeVariance
+} from './inventory/CycleCounting';
+
+export type CountMethod = 'abc' | 'zone' | 'schedule' | 'location';
+
+export interface CountLine {
+  id: string;
+  inventoryId: string;
+  productId: string;
+  productName: string;
+  binCode: string;
+  lotNumber?: string;
+  unitCost: number;
+  expectedQuantity: number;
+  countedQuantity?: number;
+  countedBy?: string;
+  countedAt?: Date;
+  varianceUnits?: number;
+  varianceValue?: number;
+  variancePercent?: number;
+  approval?: {
+    status: 'not_required' | 'pending' | 'approved' | 'rejected';
+    by?: string;
+    at?: Date;
+    notes?: string;
+  };
+}
+
+export interface CycleCount {
+  id: string;
+  countNumber: string;
+  locationId: string;
+  locationName: string;
+  method: CountMethod;
+  criteria: { abcClass?: AbcClass; zone?: string; dueOnly?: boolean };
+  blind: boolean;
+  thresholds: VarianceThresholds;
+  status: 'open' | 'counting' | 'review' | 'posted' | 'cancelled';
+  lines: CountLine[];
+  summary?: CountSummary;
+  snapshotAt: Date;
+  submittedAt?: Date;
+  postedAt?: Date;
+  postedBy?: string;
+  createdAt: Date;
+  updatedAt: Date;
+  createdBy: string;
+}
+
+export interface CountSummary {
+  linesCounted: number;
+  linesAccurate: number;
+  expectedValue: number;
+  absoluteVarianceValue: number;
+  netVarianceValue: number;
+  linesAdjusted: number;
+}
+
+export interface CountSessionRequest {
+  locationId: string;
+  method: CountMethod;
+  abcClass?: AbcClass;
+  zone?: string;
+  dueOnly?: boolean;
+  blind?: boolean;
+  thresholds?: Partial<VarianceThresholds>;
+}
+
+const USAGE_WINDOW_DAYS = 365;
+
+// Cycle counts: a sheet freezes the expected quantity of each bin/lot when it is
+// generated, counters record what they find (without seeing the expected figure
+// on blind counts), and variances above the thresholds wait for approval before
+// they are posted as adjustment movements. Posting applies the variance as a
+// delta, so stock that moved while the count was under way is not overwritten.
+@Injectable()
+export class CycleCountService {
+  constructor(
+    private databaseService: DatabaseService,
+    private warehouseService: WarehouseService,
+    private notificationService: NotificationService
+  ) {}
+
+  // Classifies every inventory record by its usage value over the last year
+  async refreshAbcClasses(): Promise<Record<AbcClass, number>> {
+    const since = new Date(Date.now() - USAGE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const inventory = await this.databaseService.find<any>('inventory', {});
+    const issues = await this.databaseService.find<any>('stock_movements', {
+      type: 'out',
+      timestamp: { $gte: since }
+    });
+
+    const usage = new Map<string, number>();
+    for (const movement of issues) {
+      usage.set(movement.inventoryId, (usage.get(movement.inventoryId) || 0) + movement.quantity);
+    }
+
+    const classes = classifyAbc(inventory.map(item => ({
+      id: item.id,
+      usageValue: (usage.get(item.id) || 0) * (item.unitCost || 0)
+    })));
+
+    const counts: Record<AbcClass, number> = { A: 0, B: 0, C: 0 };
+    for (const item of inventory) {
+      const abcClass = classes.get(item.id) || 'C';
+      counts[abcClass]++;
+      if (item.abcClass !== abcClass) {
+        await this.databaseService.update('inventory', item.id, { abcClass });
+      }
+    }
+
+    console.log(`🔤 ABC classes refreshed: ${counts.A} A, ${counts.B} B, ${counts.C} C`);
+    return counts;
+  }
+
+  async generateSession(request: CountSessionRequest): Promise<CycleCount> {
+    if (!request.locationId || !request.method) {
+      throw new Error('locationId and method are required');
+    }
+    if (request.method === 'abc' && !request.abcClass) {
+      throw new Error('abcClass is required for ABC counts');
+    }
+    if (request.method === 'zone' && !request.zone) {
+      throw new Error('zone is required for zone counts');
+    }
+
+    const location = await this.databaseService.findById<Location>('locations', request.locationId);
+    if (!location) {
+      throw new Error('Location not found');
+    }
+
+    // Classify on first use so ABC and scheduled counts work before anyone refreshes
+    let records = await this.databaseService.find<any>('inventory', { locationId: location.id });
+    if (records.some(item => !item.abcClass) && ['abc', 'schedule'].includes(request.method)) {
+      await this.refreshAbcClasses();
+      records = await this.databaseService.find<any>('inventory', { locationId: location.id });
+    }
+
+    const zoneBins = new Set(location.bins.filter(bin => bin.zone === request.zone).map(bin => bin.code));
+    const lines: CountLine[] = [];
+
+    for (const item of records) {
+      if (request.method === 'abc' && item.abcClass !== request.abcClass) continue;
+      if ((request.method === 'schedule' || request.dueOnly) && !isCountDue(item.abcClass, item.lastCountDate)) continue;
+
+      const balances = balancesOf(item)
+        .filter(balance => request.method !== 'zone' || zoneBins.has(balance.binCode));
+
+      // Count the record's single location even when it is empty, so stock found
+      // in an empty location gets recorded
+      if (balances.length === 0 && request.method !== 'zone') {
+        balances.push({ binCode: UNASSIGNED_BIN, quantity: 0, receivedDate: new Date() });
+      }
+
+      for (const balance of balances) {
+        lines.push({
+          id: this.generateId('ccl'),
+          inventoryId: item.id,
+          productId: item.productId,
+          productName: item.productName,
+          binCode: balance.binCode,
+          lotNumber: balance.lotNumber,
+          unitCost: balance.unitCost ?? item.unitCost ?? 0,
+          expectedQuantity: balance.quantity
+        });
+      }
+    }
+
+    if (lines.length === 0) {
+      throw new Error('Nothing matches the count criteria at this location');
+    }
+    lines.sort((a, b) => a.binCode.localeCompare(b.binCode) || a.productName.localeCompare(b.productName));
+
+    const session = await this.databaseService.transaction(async tx => tx.create<CycleCount>('cycle_counts', {
+      id: this.generateId('cc'),
+      countNumber: await this.generateCountNumber(tx),
+      locationId: location.id,
+      locationName: location.name,
+      method: request.method,
+      criteria: { abcClass: request.abcClass, zone: request.zone, dueOnly: request.dueOnly },
+      blind: request.blind !== false,
+      thresholds: { ...DEFAULT_VARIANCE_THRESHOLDS, ...(request.thresholds || {}) },
+      status: 'open',
+      lines,
+      snapshotAt: new Date(),
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      createdBy: currentUserId()
+    }));
+
+    console.log(`📋 Cycle count ${session.countNumber} generated for ${location.name}: ${lines.length} lines`);
+    return session;
+  }
+
+  // What a counter sees: on blind counts the expected quantities are withheld
+  toCountSheet(session: CycleCount): CycleCount {
+    if (!session.blind || ['review', 'posted'].includes(session.status)) {
+      return session;
+    }
+    return {
+      ...session,
+      lines: session.lines.map(line => {
+        const sheetLine: Partial<CountLine> = { ...line };
+        delete sheetLine.expectedQuantity;
+        return sheetLine as CountLine;
+      })
+    };
+  }
+
+  async recordCounts(
+    sessionId: string,
+    counts: Array<{ lineId: string; countedQuantity: number }>
+  ): Promise<CycleCount> {
+    if (!Array.isArray(counts) || counts.length === 0) {
+      throw new Error('At least one count is required');
+    }
+
+    return this.databaseService.transaction(async tx => {
+      const session = await this.loadSession(tx, sessionId);
+      if (!['open', 'counting'].includes(session.status)) {
+        throw new Error(`Cycle count ${session.countNumber} is ${session.status}`);
+      }
+
+      for (const count of counts) {
+        const line = session.lines.find(entry => entry.id === count.lineId);
+        if (!line) {
+          throw new Error(`Cycle count ${session.countNumber} has no line ${count.lineId}`);
+        }
+        const quantity = Number(count.countedQuantity);
+        if (!(quantity >= 0)) {
+          throw new Error(`Counted quantity for ${line.productName} must be zero or more`);
+        }
+        line.countedQuantity = quantity;
+        line.countedBy = currentUserId();
+        line.countedAt = new Date();
+      }
+
+      return tx.update<CycleCount>('cycle_counts', sessionId, {
+        lines: session.lines,
+        status: 'counting'
+      });
+    });
+  }
+
+  // Computes variances. Lines within the thresholds are approved automatically;
+  // the rest wait for a reviewer.
+  async submitForReview(sessionId: string): Promise<CycleCount> {
+    const session = await this.databaseService.transaction(async tx => {
+      const session = await this.loadSession(tx, sessionId);
+      if (session.status !== 'counting') {
+        throw new Error(`Cycle count ${session.countNumber} is ${session.status}; record counts first`);
+      }
+
+      const uncounted = session.lines.filter(line => line.countedQuantity === undefined);
+      if (uncounted.length > 0) {
+        throw new Error(`${uncounted.length} line(s) have not been counted`);
+      }
+
+      for (const line of session.lines) {
+        const variance = computeVariance(line.expectedQuantity, line.countedQuantity!, line.unitCost, session.thresholds);
+        line.varianceUnits = variance.varianceUnits;
+        line.varianceValue = variance.varianceValue;
+        line.variancePercent = variance.variancePercent;
+        line.approval = { status: variance.requiresApproval ? 'pending' : 'not_required' };
+      }
+
+      return tx.update<CycleCount>('cycle_counts', sessionId, {
+        lines: session.lines,
+        status: 'review',
+        submittedAt: new Date()
+      });
+    });
+
+    const pending = session.lines.filter(line => line.approval?.status === 'pending');
+    if (pending.length > 0) {
+      await this.notificationService.send({
+        type: 'cycle_count_review',
+        title: 'Cycle count variances need approval',
+        message: `${session.countNumber} at ${session.locationName}: ${pending.length} line(s) over the variance threshold ` +
+          `($${pending.reduce((sum, line) => sum + Math.abs(line.varianceValue || 0), 0).toFixed(2)})`,
+        priority: 'medium',
+        data: { cycleCountId: session.id }
+      });
+    }
+    return session;
+  }
+
+  // Rejected variances are not posted; the book quantity stands for that line
+  async reviewLine(
+    sessionId: string,
+    lineId: string,
+    decision: { approved: boolean; notes?: string }
+  ): Promise<CycleCount> {
+    return this.databaseService.transaction(async tx => {
+      const session = await this.loadSession(tx, sessionId);
+      if (session.status !== 'review') {
+        throw new Error(`Cycle count ${session.countNumber} is ${session.status}`);
+      }
+
+      const line = session.lines.find(entry => entry.id === lineId);
+      if (!line) {
+        throw new Error(`Cycle count ${session.countNumber} has no line ${lineId}`);
+      }
+      if (line.approval?.status !== 'pending') {
+        throw new Error(`Line for ${line.productName} does not need approval`);
+      }
+      if (!decision.approved && !decision.notes) {
+        throw new Error('A reason is required to reject a variance');
+      }
+
+      line.approval = {
+        status: decision.approved ? 'approved' : 'rejected',
+        by: currentUserId(),
+        at: new Date(),
+        notes: decision.notes
+      };
+
+      return tx.update<CycleCount>('cycle_counts', sessionId, { lines: session.lines });
+    });
+  }
+
+  // Posts approved variances as adjustment movements and stamps lastCountDate
+  async post(sessionId: string): Promise<{ session: CycleCount; increasedProducts: string[] }> {
+    const increasedProducts = new Set<string>();
+
+    const session = await this.databaseService.transaction(async tx => {
+      const session = await this.loadSession(tx, sessionId);
+      if (session.status !== 'review') {
+        throw new Error(`Cycle count ${session.countNumber} is ${session.status}; submit it for review first`);
+      }
+
+      const pending = session.lines.filter(line => line.approval?.status === 'pending');
+      if (pending.length > 0) {
+        throw new Error(`${pending.length} variance(s) still need approval`);
+      }
+
+      let linesAdjusted = 0;
+      for (const line of session.lines) {
+        const delta = line.varianceUnits || 0;
+        if (delta === 0 || line.approval?.status === 'rejected') continue;
+
+        const inventory = await tx.findById<any>('inventory', line.inventoryId);
+        if (!inventory) {
+          throw new Error(`Inventory record for ${line.productName} no longer exists`);
+        }
+
+        const movement = {
+          type: 'adjustment' as const,
+          reason: `Cycle count variance (${line.binCode}${line.lotNumber ? `, lot ${line.lotNumber}` : ''})`,
+          reference: session.countNumber
+        };
+        if (delta > 0) {
+          await this.warehouseService.receiveInto(tx, inventory, delta, {
+            binCode: line.binCode,
+            lotNumber: line.lotNumber,
+            unitCost: line.unitCost
+          }, movement);
+          increasedProducts.add(line.productId);
+        } else {
+          await this.warehouseService.issueFrom(tx, inventory, -delta, {
+            binCode: line.binCode,
+            lotNumber: line.lotNumber
+          }, movement);
+        }
+        linesAdjusted++;
+      }
+
+      const countedAt = new Date();
+      for (const inventoryId of new Set(session.lines.map(line => line.inventoryId))) {
+        await tx.update('inventory', inventoryId, { lastCountDate: countedAt });
+      }
+
+      return tx.update<CycleCount>('cycle_counts', sessionId, {
+        status: 'posted',
+        postedAt: countedAt,
+        postedBy: currentUserId(),
+        summary: this.summarize(session.lines, linesAdjusted)
+      });
+    });
+
+    console.log(`✅ Cycle count ${session.countNumber} posted: ${session.summary!.linesAdjusted} adjustment(s)`);
+    return { session, increasedProducts: Array.from(increasedProducts) };
+  }
+
+  async cancel(sessionId: string): Promise<CycleCount> {
+    const session = await this.databaseService.findById<CycleCount>('cycle_counts', sessionId);
+    if (!session) {
+      throw new Error('Cycle count not found');
+    }
+    if (session.status === 'posted') {
+      throw new Error('Posted cycle counts cannot be cancelled');
+    }
+    return this.databaseService.update<CycleCount>('cycle_counts', sessionId, { status: 'cancelled' });
+  }
+
+  // Count accuracy per location from posted counts. A line is accurate when the count
+  // matched the book quantity exactly.
+  async getAccuracy(since?: Date): Promise<Array<{
+    locationId: string;
+    locationName: string;
+    counts: number;
+    linesCounted: number;
+    lineAccuracy: number;
+    valueAccuracy: number;
+    netVarianceValue: number;
+  }>> {
+    const query: any = { status: 'posted' };
+    if (since) query.postedAt = { $gte: since };
+    const sessions = await this.databaseService.find<CycleCount>('cycle_counts', query);
+
+    const byLocation = new Map<string, { locationName: string; counts: number; summary: CountSummary }>();
+    for (const session of sessions) {
+      if (!session.summary) continue;
+      const entry = byLocation.get(session.locationId) || {
+        locationName: session.locationName,
+        counts: 0,
+        summary: { linesCounted: 0, linesAccurate: 0, expectedValue: 0, absoluteVarianceValue: 0, netVarianceValue: 0, linesAdjusted: 0 }
+      };
+      entry.counts++;
+      for (const key of Object.keys(entry.summary) as Array<keyof CountSummary>) {
+        entry.summary[key] += session.summary[key];
+      }
+      byLocation.set(session.locationId, entry);
+    }
+
+    return Array.from(byLocation.entries()).map(([locationId, entry]) => ({
+      locationId,
+      locationName: entry.locationName,
+      counts: entry.counts,
+      linesCounted: entry.summary.linesCounted,
+      lineAccuracy: entry.summary.linesCounted > 0
+        ? Math.round((entry.summary.linesAccurate / entry.summary.linesCounted) * 10000) / 100
+        : 100,
+      valueAccuracy: entry.summary.expectedValue > 0
+        ? Math.round(Math.max(0, 1 - entry.summary.absoluteVarianceValue / entry.summary.expectedValue) * 10000) / 100
+        : 100,
+      netVarianceValue: Math.round(entry.summary.netVarianceValue * 100) / 100
+    }));
+  }
+
+  private summarize(lines: CountLine[], linesAdjusted: number): CountSummary {
+    return {
+      linesCounted: lines.length,
+      linesAccurate: lines.filter(line => (line.varianceUnits || 0) === 0).length,
+      expectedValue: Math.round(lines.reduce((sum, line) => sum + line.expectedQuantity * line.unitCost, 0) * 100) / 100,
+      absoluteVarianceValue: Math.round(lines.reduce((sum, line) => sum + Math.abs(line.varianceValue || 0), 0) * 100) / 100,
+      netVarianceValue: Math.round(lines
+        .filter(line => line.approval?.status !== 'rejected')
+        .reduce((sum, line) => sum + (line.varianceValue || 0), 0) * 100) / 100,
+      linesAdjusted
+    };
+  }
+
+  private async loadSession(tx: Transaction, sessionId: string): Promise<CycleCount> {
+    const session = await tx.findById<CycleCount>('cycle_counts', sessionId);
+    if (!session) {
+      throw new Error('Cycle count not found');
+    }
+    return session;
+  }
+
+  private async generateCountNumber(tx: Transaction): Promise<string> {
+    const year = new Date().getFullYear();
+    const month = String(new Date().getMonth() + 1).padStart(2, '0');
+    const countsThisMonth = await tx.find('cycle_counts', {
+      countNumber: { $regex: `^CC-${year}${month}` }
+    });
+
+    const sequence = String(countsThisMonth.length + 1).padStart(4, '0');
+    return `CC-${year}${month}-${sequence}`;
+  }
+
+  private generateId(prefix: string): string {
+    return prefix + '_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  }
+}
@@ -0,0 +1,278 @@
+// services/DatabaseService.spec.ts
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { DatabaseService } from './DatabaseService';
+import { StorageAdapter } from './storage/StorageAdapter';
+import { MemoryStorageAdapter } from './storage/MemoryStorageAdapter';
+import { JsonLogStorageAdapter } from './storage/JsonLogStorageAdapter';
+import { DuplicateKeyError, Transaction, WriteConflictError } from './storage/Transaction';
+import { migrations, MIGRATIONS_COLLECTION } from './storage/migrations';
+import { DEFAULT_COMPANY_ID, TENANT_FIELD } from './storage/TenantScope';
+import { runAsCompany } from './auth/RequestContext';
+
+// The DI decorators only register the class; nothing here needs the container
+jest.mock('@varld/warp', () => ({ Injectable: () => () => undefined }), { virtual: true });
+
+const LATEST_VERSION = Math.max(...migrations.map(migration => migration.version));
+
+async function openDatabase(adapter: StorageAdapter = new MemoryStorageAdapter()): Promise<DatabaseService> {
+  const db = new DatabaseService(adapter);
+  await db.whenReady();
+  return db;
+}
+
+// Numbers documents the way the services do: from what the transaction can see
+async function nextCode(tx: Transaction): Promise<string> {
+  const existing = await tx.find('widgets', { code: { $regex: '^W-' } });
+  return `W-${existing.length + 1}`;
+}
+
+describe('DatabaseService', () => {
+  const fixtures = process.env.DATABASE_FIXTURES;
+
+  beforeAll(() => {
+    process.env.DATABASE_FIXTURES = '';
+    for (const method of ['log', 'warn', 'error'] as const) {
+      jest.spyOn(console, method).mockImplementation(() => undefined);
+    }
+  });
+
+  afterAll(() => {
+    process.env.DATABASE_FIXTURES = fixtures;
+    jest.restoreAllMocks();
+  });
+
+  describe('migrations', () => {
+    it('brings a new database to the latest schema version', async () => {
+      const db = await openDatabase();
+      expect(await db.getSchemaVersion()).toBe(LATEST_VERSION);
+
+      const applied = await db.find<any>(MIGRATIONS_COLLECTION, {});
+      expect(applied.map(record => record.version).sort((a, b) => a - b))
+        .toEqual(migrations.map(migration => migration.version).sort((a, b) => a - b));
+      expect(await db.getIndexes('orders')).toEqual(expect.arrayContaining([
+        expect.objectContaining({ name: `${TENANT_FIELD}_1_orderNumber_1`, unique: true })
+      ]));
+    });
+
+    it('runs each migration once and keeps data across restarts on disk', async () => {
+      const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'erp-db-'));
+      try {
+        const adapter = () => new JsonLogStorageAdapter({ directory, database: 'test', fsync: false });
+        const first = await openDatabase(adapter());
+        await first.create('customers', { id: 'cust_1', companyName: 'Acme Builders' });
+        await first.close();
+
+        const log = console.log as jest.Mock;
+        log.mockClear();
+        const second = await openDatabase(adapter());
+        expect(log.mock.calls.some(call => String(call[0]).includes('Running migration'))).toBe(false);
+        expect(await second.getSchemaVersion()).toBe(LATEST_VERSION);
+        expect(await second.findById('customers', 'cust_1')).toMatchObject({ companyName: 'Acme Builders' });
+        await second.close();
+      } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+      }
+    });
+
+    it('gives repeated order numbers a suffix before making them unique', async () => {
+      const order = (id: string, orderNumber: string, companyId = DEFAULT_COMPANY_ID) =>
+        ({ id, orderNumber, [TENANT_FIELD]: companyId, status: 'draft' });
+      const db = await openDatabase(new MemoryStorageAdapter({
+        [MIGRATIONS_COLLECTION]: migrations
+          .filter(migration => migration.name !== 'unique_order_numbers')
+          .map(migration => ({ id: `migration_${migration.version}`, version: migration.version, name: migration.name })),
+        schema_indexes: [
+          { id: 'orders:orderNumber_1', collection: 'orders', name: 'orderNumber_1', keys: { orderNumber: 1 }, unique: false }
+        ],
+        orders: [
+          order('order_1', 'ORD-202601-0001'),
+          order('order_2', 'ORD-202601-0002'),
+          order('order_3', 'ORD-202601-0001'),
+          order('order_4', 'ORD-202601-0001', 'company_other')
+        ]
+      }));
+
+      const numbers = await Promise.all(['order_1', 'order_2', 'order_3', 'order_4']
+        .map(async id => (await db.findById<any>('orders', id))?.orderNumber));
+      expect(numbers).toEqual(['ORD-202601-0001', 'ORD-202601-0002', 'ORD-202601-0001-2', 'ORD-202601-0001']);
+      expect((await db.getIndexes('orders')).map(index => index.name)).toEqual([`${TENANT_FIELD}_1_orderNumber_1`]);
+    });
+
+    it('numbers unnumbered purchases and suffixes repeated ones before making them unique', async () => {
+      const purchase = (id: string, purchaseNumber?: string, companyId = DEFAULT_COMPANY_ID) =>
+        ({ id, purchaseNumber, [TENANT_FIELD]: companyId, status: 'pending', createdAt: new Date(2026, 0, 15) });
+      const db = await openDatabase(new MemoryStorageAdapter({
+        [MIGRATIONS_COLLECTION]: migrations
+          .filter(migration => migration.name !== 'unique_purchase_numbers')
+          .map(migration => ({ id: `migration_${migration.version}`, version: migration.version, name: migration.name })),
+        purchases: [
+          purchase('purchase_1', 'PO-202601-0001'),
+          purchase('purchase_2', 'PO-202601-0003'),
+          purchase('purchase_3', 'PO-202601-0001'),
+          purchase('purchase_4'),
+          purchase('purchase_5', 'PO-202601-0001', 'company_other'),
+          purchase('purchase_6', undefined, 'company_other')
+        ]
+      }));
+
+      const numbers = await Promise.all(['purchase_1', 'purchase_2', 'purchase_3', 'purchase_4', 'purchase_5', 'purchase_6']
+        .map(async id => (await db.findById<any>('purchases', id))?.purchaseNumber));
+      expect(numbers).toEqual(['PO-202601-0001', 'PO-202601-0003', 'PO-202601-0001-2', 'PO-202601-0004', 'PO-202601-0001', 'PO-202601-0002']);
+      expect(await db.getIndexes('purchases')).toEqual(expect.arrayContaining([
+        expect.objectContaining({ name: `${TENANT_FIELD}_1_purchaseNumber_1`, unique: true })
+      ]));
+    });
+  });
+
+  describe('transactions', () => {
+    let db: DatabaseService;
+
+    beforeEach(async () => {
+      db = await openDatabase();
+      await db.create('stock', { id: 'stock_1', quantity: 10 });
+    });
+
+    it('commits every write together', async () => {
+      await db.transaction(async tx => {
+        await tx.update('stock', 'stock_1', { quantity: 7 });
+        await tx.create('stock_movements', { id: 'move_1', stockId: 'stock_1', quantity: -3 });
+
+        // Visible inside the transaction, not outside it until commit
+        expect(await tx.findById<any>('stock', 'stock_1')).toMatchObject({ quantity: 7 });
+        expect(await tx.find('stock_movements', { stockId: 'stock_1' })).toHaveLength(1);
+        expect(await db.findById('stock_movements', 'move_1')).toBeNull();
+      });
+
+      expect(await db.findById('stock', 'stock_1')).toMatchObject({ quantity: 7 });
+      expect(await db.findById('stock_movements', 'move_1')).toMatchObject({ quantity: -3 });
+    });
+
+    it('writes nothing when the work throws', async () => {
+      await expect(db.transaction(async tx => {
+        await tx.update('stock', 'stock_1', { quantity: 0 });
+        await tx.create('stock_movements', { id: 'move_1', stockId: 'stock_1', quantity: -10 });
+        throw new Error('Not enough stock');
+      })).rejects.toThrow('Not enough stock');
+
+      expect(await db.findById('stock', 'stock_1')).toMatchObject({ quantity: 10 });
+      expect(await db.findById('stock_movements', 'move_1')).toBeNull();
+    });
+
+    it('re-runs the work when another writer changed what it read', async () => {
+      let attempts = 0;
+      await db.transaction(async tx => {
+        attempts++;
+        const stock = await tx.findById<any>('stock', 'stock_1');
+        if (attempts === 1) {
+          await db.update('stock', 'stock_1', { quantity: stock.quantity + 5 });
+        }
+        await tx.update('stock', 'stock_1', { quantity: stock.quantity - 1 });
+      });
+
+      expect(attempts).toBe(2);
+      expect(await db.findById('stock', 'stock_1')).toMatchObject({ quantity: 14 });
+    });
+
+    it('gives up once the retries are used', async () => {
+      let attempts = 0;
+      await expect(db.transaction(async tx => {
+        attempts++;
+        const stock = await tx.findById<any>('stock', 'stock_1');
+        await db.update('stock', 'stock_1', { quantity: stock.quantity + 1 });
+        await tx.update('stock', 'stock_1', { quantity: 0 });
+      }, { retries: 1 })).rejects.toBeInstanceOf(WriteConflictError);
+
+      expect(attempts).toBe(2);
+      expect(await db.findById('stock', 'stock_1')).toMatchObject({ quantity: 12 });
+    });
+
+    it('retries a unique key collision, so a generated number moves on', async () => {
+      await db.createIndex('widgets', { code: 1 }, { unique: true });
+      let attempts = 0;
+      const created = await db.transaction(async tx => {
+        attempts++;
+        const code = await nextCode(tx);
+        if (attempts === 1) {
+          // Someone else takes the same number first
+          await db.create('widgets', { id: 'widget_a', code });
+        }
+        return tx.create<any>('widgets', { id: 'widget_b', code });
+      });
+
+      expect(attempts).toBe(2);
+      expect(created.code).toBe('W-2');
+      await expect(db.create('widgets', { id: 'widget_c', code: 'W-1' })).rejects.toBeInstanceOf(DuplicateKeyError);
+    });
+
+    it('rejects an update made against an outdated version', async () => {
+      const stock = await db.findById<any>('stock', 'stock_1');
+      await db.update('stock', 'stock_1', { quantity: 9 }, { expectedVersion: stock._version });
+      await expect(db.update('stock', 'stock_1', { quantity: 8 }, { expectedVersion: stock._version }))
+        .rejects.toBeInstanceOf(WriteConflictError);
+    });
+  });
+
+  describe('queries', () => {
+    it('filters, sorts and pages through the query engine', async () => {
+      const db = await openDatabase();
+      await db.createIndex('orders_test', { status: 1 });
+      for (const [index, status] of ['draft', 'confirmed', 'confirmed', 'shipped', 'confirmed'].entries()) {
+        await db.create('orders_test', { id: `o_${index}`, status, total: (index + 1) * 100 });
+      }
+
+      const confirmed = await db.find<any>('orders_test', { status: 'confirmed' }, { sort: { total: -1 }, limit: 2 });
+      expect(confirmed.map(order => order.id)).toEqual(['o_4', 'o_2']);
+      expect(await db.count('orders_test', { total: { $gte: 300 } })).toBe(3);
+      expect(await db.findOne<any>('orders_test', { status: { $in: ['shipped'] } })).toMatchObject({ id: 'o_3' });
+
+      const counts = await db.aggregate<any>('orders_test', [
+        { $match: { status: { $ne: 'draft' } } },
+        { $group: { _id: '$status', orders: { $sum: 1 } } },
+        { $sort: { orders: -1 } }
+      ]);
+      expect(counts).toEqual([{ _id: 'confirmed', orders: 3 }, { _id: 'shipped', orders: 1 }]);
+    });
+  });
+
+  describe('companies', () => {
+    async function seedTwoCompanies(): Promise<DatabaseService> {
+      const db = await openDatabase();
+      await runAsCompany('company_a', () => db.create('customers', { id: 'cust_a', companyName: 'Acme Builders' }));
+      await runAsCompany('company_b', () => db.create('customers', { id: 'cust_b', companyName: 'Bolt Homes' }));
+      return db;
+    }
+
+    it('stamps new documents with the current company, and keeps that company on update', async () => {
+      const db = await seedTwoCompanies();
+      expect(await db.findById<any>('customers', 'cust_a')).toMatchObject({ [TENANT_FIELD]: 'company_a' });
+
+      await runAsCompany('company_a', () => db.update('customers', 'cust_a', { [TENANT_FIELD]: 'company_b' }));
+      expect(await db.findById<any>('customers', 'cust_a')).toMatchObject({ [TENANT_FIELD]: 'company_a' });
+
+      expect(await db.create<any>('customers', { id: 'cust_legacy' })).toMatchObject({ [TENANT_FIELD]: DEFAULT_COMPANY_ID });
+    });
+
+    it('only lets a company read its own documents, even when the query names another company', async () => {
+      const db = await seedTwoCompanies();
+      await runAsCompany('company_a', async () => {
+        expect((await db.find<any>('customers', {})).map(customer => customer.id)).toEqual(['cust_a']);
+        const asked = await db.find<any>('customers', { [TENANT_FIELD]: 'company_b' });
+        expect(asked.map(customer => customer.id)).toEqual(['cust_a']);
+        expect(await db.count('customers', {})).toBe(1);
+        expect(await db.findById('customers', 'cust_b')).toBeNull();
+      });
+    });
+
+    it('does not let a company change or delete another company\'s documents', async () => {
+      const db = await seedTwoCompanies();
+      await runAsCompany('company_a', async () => {
+        await expect(db.update('customers', 'cust_b', { companyName: 'Taken' })).rejects.toThrow('not found');
+        await expect(db.delete('customers', 'cust_b')).rejects.toThrow('not found');
+        expect(await db.deleteMany('customers', {})).toBe(1);
+      });
+      expect(await db.findById<any>('customers', 'cust_b')).toMatchObject({ companyName: 'Bolt Homes' });
+    });
+  });
+});
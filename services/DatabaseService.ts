@@ -1,5 +1,18 @@
 // services/DatabaseService.ts
 import { Injectable } from '@varld/warp';
+import path from 'path';
+import { StorageAdapter, StorageOperation, StorageSnapshot } from './storage/StorageAdapter';
+import { MemoryStorageAdapter } from './storage/MemoryStorageAdapter';
+import { JsonLogStorageAdapter } from './storage/JsonLogStorageAdapter';
+import { migrations, MigrationRecord, MIGRATIONS_COLLECTION } from './storage/migrations';
+import { fixtures } from './storage/fixtures';
+import { Transaction, WriteConflictError, DuplicateKeyError, VERSION_FIELD } from './storage/Transaction';
+import { matchesQuery, getPathValue, compareValues } from './storage/QueryEngine';
+import { CollectionIndex, IndexDefinition } from './storage/CollectionIndex';
+import { TENANT_FIELD, DEFAULT_COMPANY_ID, isTenantScoped, scopeQuery, belongsTo } from './storage/TenantScope';
+import { currentCompanyId } from './auth/RequestContext';
+
+const INDEXES_COLLECTION = 'schema_indexes';
 
 interface DatabaseOptions {
   skip?: number;
@@ -12,61 +25,76 @@ interface DatabaseConnection {
   connected: boolean;
   url: string;
   database: string;
+  adapter: string;
+  schemaVersion: number;
 }
 
+// Every collection except the shared ones is partitioned by company. Inside a request
+// (or runAsCompany) reads only see the current company's documents, new documents are
+// tagged with it, and updates and deletes cannot reach another company's documents.
+// Background work outside any company reads across companies.
 @Injectable()
 export class DatabaseService {
   private connection: DatabaseConnection;
-  private collections: Map<string, any[]> = new Map();
+  // collection -> id -> document; Maps keep insertion order, which is the natural order of find()
+  private collections: Map<string, Map<string, any>> = new Map();
+  private indexes: Map<string, CollectionIndex[]> = new Map();
   private isConnected: boolean = false;
+  private adapter: StorageAdapter;
+  private ready: Promise<void>;
+  private writeQueue: Promise<void> = Promise.resolve();
 
-  constructor() {
+  constructor(adapter?: StorageAdapter) {
+    this.adapter = adapter || this.createDefaultAdapter();
     this.connection = {
       connected: false,
       url: process.env.DATABASE_URL || 'mongodb://localhost:27017',
-      database: process.env.DATABASE_NAME || 'construction_erp'
+      database: process.env.DATABASE_NAME || 'construction_erp',
+      adapter: this.adapter.name,
+      schemaVersion: 0
     };
-    this.initializeDatabase();
+    this.ready = this.initializeDatabase();
+    // Surface failures through whenReady()/queries instead of an unhandled rejection
+    this.ready.catch(() => undefined);
   }
 
   private async initializeDatabase() {
     try {
-      // Initialize in-memory collections for development
-      // In production, this would connect to actual MongoDB/PostgreSQL
-      this.collections.set('products', []);
-      this.collections.set('inventory', []);
-      this.collections.set('customers', []);
-      this.collections.set('orders', []);
-      this.collections.set('purchases', []);
-      this.collections.set('projects', []);
-      this.collections.set('suppliers', []);
-      this.collections.set('stock_movements', []);
-      this.collections.set('customer_contacts', []);
-      this.collections.set('ai_insights', []);
-      this.collections.set('notifications', []);
-      this.collections.set('users', []);
-      this.collections.set('analytics', []);
-
-      // Seed some initial data
-      await this.seedInitialData();
+      const snapshot = await this.adapter.open();
+      for (const [collection, docs] of Object.entries(snapshot)) {
+        this.collections.set(collection, new Map(docs.map(doc => [doc.id, doc])));
+      }
+      this.rebuildIndexes();
+
+      await this.runMigrations();
+
+      const fixtureSet = process.env.DATABASE_FIXTURES ??
+        (process.env.NODE_ENV === 'production' ? '' : 'sample');
+      if (fixtureSet) {
+        await this.loadFixtures(fixtureSet);
+      }
+
+      if (this.adapter instanceof JsonLogStorageAdapter && this.adapter.needsCompaction()) {
+        await this.adapter.compact(this.toSnapshot());
+      }
 
       this.isConnected = true;
       this.connection.connected = true;
-      console.log('✅ Database initialized successfully');
+      console.log(`✅ Database initialized successfully (${this.adapter.name} storage)`);
     } catch (error) {
       console.error('❌ Database initialization failed:', error);
       throw error;
     }
   }
 
+  async whenReady(): Promise<void> {
+    await this.ready;
+  }
+
   async find<T>(collection: string, query: any = {}, options: DatabaseOptions = {}): Promise<T[]> {
     try {
-      let data = this.collections.get(collection) || [];
-      
-      // Apply filters
-      if (Object.keys(query).length > 0) {
-        data = data.filter(item => this.matchesQuery(item, query));
-      }
+      await this.ready;
+      let data = this.scopedDocuments(collection, query);
 
       // Apply sorting
       if (options.sort) {
@@ -114,47 +142,71 @@ export class DatabaseService {
 
   async create<T>(collection: string, data: T): Promise<T> {
     try {
-      const collectionData = this.collections.get(collection) || [];
-      
+      await this.ready;
+      return await this.insertDocument<T>(collection, data);
+    } catch (error) {
+      console.error(`Error creating document in ${collection}:`, error);
+      throw error;
+    }
+  }
+
+  private async insertDocument<T>(collection: string, data: T): Promise<T> {
+    return this.withWriteLock(async () => {
       // Ensure data has an ID
-      const newItem = {
+      const newItem = this.withTenant(collection, {
         ...data,
         id: (data as any).id || this.generateId(),
         createdAt: new Date(),
-        updatedAt: new Date()
-      };
+        updatedAt: new Date(),
+        [VERSION_FIELD]: 1
+      }, null);
+
+      if (this.readCommitted(collection, newItem.id)) {
+        throw new Error(`Document with ID ${newItem.id} already exists in ${collection}`);
+      }
 
-      collectionData.push(newItem);
-      this.collections.set(collection, collectionData);
+      await this.commitOperations([{ op: 'insert', collection, doc: newItem }]);
 
       console.log(`✅ Created document in ${collection}:`, newItem.id);
       return newItem as T;
-    } catch (error) {
-      console.error(`Error creating document in ${collection}:`, error);
-      throw error;
-    }
+    });
   }
 
-  async update<T>(collection: string, id: string, updateData: Partial<T>): Promise<T> {
+  // Pass expectedVersion to reject the update if someone else changed the document first
+  async update<T>(
+    collection: string,
+    id: string,
+    updateData: Partial<T>,
+    options: { expectedVersion?: number } = {}
+  ): Promise<T> {
     try {
-      const collectionData = this.collections.get(collection) || [];
-      const index = collectionData.findIndex(item => item.id === id);
+      await this.ready;
+      return await this.withWriteLock(async () => {
+        const existing = this.readVisible(collection, id);
 
-      if (index === -1) {
-        throw new Error(`Document with ID ${id} not found in ${collection}`);
-      }
+        if (!existing) {
+          throw new Error(`Document with ID ${id} not found in ${collection}`);
+        }
 
-      const updatedItem = {
-        ...collectionData[index],
-        ...updateData,
-        updatedAt: new Date()
-      };
+        const currentVersion = existing[VERSION_FIELD] || 0;
+        if (options.expectedVersion !== undefined && options.expectedVersion !== currentVersion) {
+          throw new WriteConflictError(collection, id,
+            `Document ${id} in ${collection} is at version ${currentVersion}, expected ${options.expectedVersion}`);
+        }
 
-      collectionData[index] = updatedItem;
-      this.collections.set(collection, collectionData);
+        const updatedItem = this.withTenant(collection, {
+          ...existing,
+          ...updateData,
+          id,
+          updatedAt: new Date(),
+          [VERSION_FIELD]: currentVersion + 1
+        }, existing);
 
-      console.log(`✅ Updated document in ${collection}:`, id);
-      return updatedItem as T;
+        await this.commitOperations([{ op: 'update', collection, doc: updatedItem }]);
+
+        console.log(`✅ Updated document in ${collection}:`, id);
+        return updatedItem as T;
+      });
     } catch (error) {
       console.error(`Error updating document in ${collection}:`, error);
       throw error;
@@ -163,18 +215,17 @@ export class DatabaseService {
 
   async delete(collection: string, id: string): Promise<boolean> {
     try {
-      const collectionData = this.collections.get(collection) || [];
-      const index = collectionData.findIndex(item => item.id === id);
-
-      if (index === -1) {
-        throw new Error(`Document with ID ${id} not found in ${collection}`);
-      }
+      await this.ready;
+      return await this.withWriteLock(async () => {
+        if (!this.readVisible(collection, id)) {
+          throw new Error(`Document with ID ${id} not found in ${collection}`);
+        }
 
-      collectionData.splice(index, 1);
-      this.collections.set(collection, collectionData);
+        await this.commitOperations([{ op: 'delete', collection, id }]);
 
-      console.log(`✅ Deleted document from ${collection}:`, id);
-      return true;
+        console.log(`✅ Deleted document from ${collection}:`, id);
+        return true;
+      });
     } catch (error) {
       console.error(`Error deleting document from ${collection}:`, error);
       throw error;
@@ -183,25 +234,61 @@ export class DatabaseService {
 
   async deleteMany(collection: string, query: any): Promise<number> {
     try {
-      const collectionData = this.collections.get(collection) || [];
-      const initialLength = collectionData.length;
+      await this.ready;
+      return await this.withWriteLock(async () => {
+        const removed = this.scopedDocuments(collection, query);
 
-      const filteredData = collectionData.filter(item => !this.matchesQuery(item, query));
-      this.collections.set(collection, filteredData);
+        await this.commitOperations(
+          removed.map(item => ({ op: 'delete' as const, collection, id: item.id }))
+        );
 
-      const deletedCount = initialLength - filteredData.length;
-      console.log(`✅ Deleted ${deletedCount} documents from ${collection}`);
-      return deletedCount;
+        console.log(`✅ Deleted ${removed.length} documents from ${collection}`);
+        return removed.length;
+      });
     } catch (error) {
       console.error(`Error deleting documents from ${collection}:`, error);
       throw error;
     }
   }
 
+  // Runs work as one unit: reads see the transaction's own writes, and everything it
+  // wrote is committed in a single storage batch or not at all. If another writer
+  // touched the same documents first, the work is re-run up to `retries` times.
+  async transaction<T>(
+    work: (tx: Transaction) => Promise<T>,
+    options: { retries?: number } = {}
+  ): Promise<T> {
+    await this.ready;
+    const maxAttempts = (options.retries ?? 3) + 1;
+
+    for (let attempt = 1; ; attempt++) {
+      const tx = new Transaction({
+        readCommitted: (collection, id) => this.readVisible(collection, id),
+        queryCommitted: (collection, query) => this.scopedDocuments(collection, query),
+        matches: (doc, query) => matchesQuery(doc, query),
+        prepareWrite: (collection, doc, existing) => this.withTenant(collection, doc, existing),
+        generateId: () => this.generateId()
+      });
+
+      try {
+        const result = await work(tx);
+        await this.commitTransaction(tx);
+        return result;
+      } catch (error) {
+        tx.rollback();
+        if (error instanceof WriteConflictError && attempt < maxAttempts) {
+          console.warn(`🔁 Retrying transaction after conflict (attempt ${attempt}):`, error.message);
+          continue;
+        }
+        throw error;
+      }
+    }
+  }
+
   async count(collection: string, query: any = {}): Promise<number> {
     try {
-      const data = await this.find(collection, query);
-      return data.length;
+      await this.ready;
+      return this.scopedDocuments(collection, query).length;
     } catch (error) {
       console.error(`Error counting documents in ${collection}:`, error);
       throw error;
@@ -210,13 +297,19 @@ export class DatabaseService {
 
   async aggregate<T>(collection: string, pipeline: any[]): Promise<T[]> {
     try {
-      // Simple aggregation implementation
-      let data = this.collections.get(collection) || [];
+      await this.ready;
+      let data: any[] | null = null;
 
       for (const stage of pipeline) {
         if (stage.$match) {
-          data = data.filter(item => this.matchesQuery(item, stage.$match));
+          // A leading $match can use the collection's indexes; later ones filter the stream
+          data = data === null
+            ? this.scopedDocuments(collection, stage.$match)
+            : data.filter(item => matchesQuery(item, stage.$match));
+          continue;
         }
+        data = data ?? this.scopedDocuments(collection);
+
         if (stage.$sort) {
           data = this.applySorting(data, stage.$sort);
         }
@@ -231,16 +324,36 @@ export class DatabaseService {
         }
       }
 
-      return data as T[];
+      return (data ?? this.scopedDocuments(collection)) as T[];
     } catch (error) {
       console.error(`Error aggregating documents in ${collection}:`, error);
       throw error;
     }
   }
 
-  async createIndex(collection: string, keys: Record<string, 1 | -1>): Promise<void> {
+  // Builds a secondary index and records its definition so it is rebuilt on every start.
+  // Migrations call this during initialization, so it must not wait on this.ready.
+  async createIndex(
+    collection: string,
+    keys: Record<string, 1 | -1>,
+    options: { unique?: boolean } = {}
+  ): Promise<void> {
     try {
-      // In a real implementation, this would create database indexes
+      const name = Object.entries(keys).map(([field, direction]) => `${field}_${direction}`).join('_');
+      const id = `${collection}:${name}`;
+      const existing = this.readCommitted(INDEXES_COLLECTION, id) as IndexDefinition | null;
+
+      if (existing) {
+        if (Boolean(existing.unique) !== Boolean(options.unique)) {
+          throw new Error(`Index ${name} on ${collection} already exists with different options`);
+        }
+        return;
+      }
+
+      const definition: IndexDefinition = { id, collection, name, keys, unique: Boolean(options.unique) };
+      this.addIndex(this.buildIndex(definition));
+      await this.insertDocument<IndexDefinition>(INDEXES_COLLECTION, definition);
+
       console.log(`✅ Index created for ${collection}:`, keys);
     } catch (error) {
       console.error(`Error creating index for ${collection}:`, error);
@@ -252,6 +365,94 @@ export class DatabaseService {
     return this.connection;
   }
 
+  async getIndexes(collection: string): Promise<IndexDefinition[]> {
+    await this.ready;
+    return (this.indexes.get(collection) || []).map(index => index.definition);
+  }
+
+  ensureCollection(collection: string): void {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+  }
+
+  // Drops a secondary index, e.g. to replace it with one that includes more keys.
+  // Migrations call this during initialization, so it must not wait on this.ready.
+  async dropIndex(collection: string, keys: Record<string, 1 | -1>): Promise<void> {
+    const name = Object.entries(keys).map(([field, direction]) => `${field}_${direction}`).join('_');
+    const id = `${collection}:${name}`;
+    if (!this.readCommitted(INDEXES_COLLECTION, id)) return;
+
+    await this.withWriteLock(() => this.commitOperations([{ op: 'delete', collection: INDEXES_COLLECTION, id }]));
+    this.indexes.set(collection, (this.indexes.get(collection) || []).filter(index => index.definition.id !== id));
+    console.log(`✅ Index dropped for ${collection}:`, keys);
+  }
+
+  // Rewrites every document in a collection for a data migration: transform returns the
+  // new document, the same one to leave it alone, or null to delete it. Runs during
+  // initialization, so it must not wait on this.ready.
+  async rewriteDocuments(collection: string, transform: (doc: any) => any | null): Promise<number> {
+    const operations: StorageOperation[] = [];
+    for (const doc of this.allDocuments(collection)) {
+      const next = transform(doc);
+      if (next === null) {
+        operations.push({ op: 'delete', collection, id: doc.id });
+      } else if (next !== doc) {
+        operations.push({ op: 'update', collection, doc: { ...next, id: doc.id } });
+      }
+    }
+
+    await this.withWriteLock(() => this.commitOperations(operations));
+    return operations.length;
+  }
+
+  // Inserts a document unless one with its id exists. Runs during initialization as well.
+  async insertIfMissing<T>(collection: string, doc: T & { id: string }): Promise<boolean> {
+    if (this.readCommitted(collection, doc.id)) return false;
+    await this.insertDocument(collection, doc);
+    return true;
+  }
+
+  collectionNames(): string[] {
+    return Array.from(this.collections.keys());
+  }
+
+  async getSchemaVersion(): Promise<number> {
+    await this.ready;
+    return this.connection.schemaVersion;
+  }
+
+  // Runs during initialization as well, so it must not wait on this.ready
+  async loadFixtures(name: string): Promise<{ inserted: number; skipped: number }> {
+    const fixtureSet = fixtures[name];
+    if (!fixtureSet) {
+      throw new Error(`Unknown fixture set: ${name}`);
+    }
+
+    let inserted = 0;
+    let skipped = 0;
+
+    for (const [collection, docs] of Object.entries(fixtureSet)) {
+      for (const doc of docs) {
+        if (this.readCommitted(collection, doc.id)) {
+          skipped++;
+          continue;
+        }
+        await this.insertDocument(collection, { ...doc });
+        inserted++;
+      }
+    }
+
+    console.log(`✅ Fixtures "${name}" loaded: ${inserted} inserted, ${skipped} already present`);
+    return { inserted, skipped };
+  }
+
+  async close(): Promise<void> {
+    await this.adapter.close();
+    this.isConnected = false;
+    this.connection.connected = false;
+  }
+
   async healthCheck(): Promise<{ status: string; latency: number; collections: number }> {
     const start = Date.now();
     
@@ -274,50 +475,21 @@ export class DatabaseService {
     }
   }
 
-  private matchesQuery(item: any, query: any): boolean {
-    for (const [key, value] of Object.entries(query)) {
-      if (key === '$or') {
-        const orConditions = value as any[];
-        const matches = orConditions.some(condition => this.matchesQuery(item, condition));
-        if (!matches) return false;
-      } else if (key === '$and') {
-        const andConditions = value as any[];
-        const matches = andConditions.every(condition => this.matchesQuery(item, condition));
-        if (!matches) return false;
-      } else if (typeof value === 'object' && value !== null) {
-        if (value.$regex) {
-          const regex = new RegExp(value.$regex, value.$options || '');
-          if (!regex.test(item[key])) return false;
-        } else if (value.$in) {
-          if (!value.$in.includes(item[key])) return false;
-        } else if (value.$gte !== undefined) {
-          if (item[key] < value.$gte) return false;
-        } else if (value.$lte !== undefined) {
-          if (item[key] > value.$lte) return false;
-        } else if (value.$gt !== undefined) {
-          if (item[key] <= value.$gt) return false;
-        } else if (value.$lt !== undefined) {
-          if (item[key] >= value.$lt) return false;
-        } else if (value.$ne !== undefined) {
-          if (item[key] === value.$ne) return false;
+  // Missing values sort before present ones, as in Mongo; mixed types fall back to string order
+  private applySorting(data: any[], sort: Record<string, 1 | -1>): any[] {
+    return [...data].sort((a, b) => {
+      for (const [key, direction] of Object.entries(sort)) {
+        const aVal = getPathValue(a, key);
+        const bVal = getPathValue(b, key);
+
+        let comparison: number;
+        if (aVal == null || bVal == null) {
+          comparison = (aVal == null ? 0 : 1) - (bVal == null ? 0 : 1);
         } else {
-          if (!this.deepEqual(item[key], value)) return false;
+          comparison = compareValues(aVal, bVal) ?? String(aVal).localeCompare(String(bVal));
         }
-      } else {
-        if (item[key] !== value) return false;
-      }
-    }
-    return true;
-  }
 
-  private applySorting(data: any[], sort: Record<string, 1 | -1>): any[] {
-    return data.sort((a, b) => {
-      for (const [key, direction] of Object.entries(sort)) {
-        const aVal = a[key];
-        const bVal = b[key];
-        
-        if (aVal < bVal) return direction === 1 ? -1 : 1;
-        if (aVal > bVal) return direction === 1 ? 1 : -1;
+        if (comparison !== 0) return direction === 1 ? comparison : -comparison;
       }
       return 0;
     });
@@ -405,11 +577,11 @@ export class DatabaseService {
 
   private getGroupKey(item: any, groupId: any): string {
     if (typeof groupId === 'string') {
-      return String(item[groupId.replace('$', '')] || 'null');
+      return String(getPathValue(item, groupId.replace('$', '')) || 'null');
     }
     if (typeof groupId === 'object') {
       const keys = Object.entries(groupId).map(([key, value]) => {
-        const fieldValue = item[(value as string).replace('$', '')] || 'null';
+        const fieldValue = getPathValue(item, (value as string).replace('$', '')) || 'null';
         return `${key}:${fieldValue}`;
       });
       return keys.join('|');
@@ -417,103 +589,219 @@ export class DatabaseService {
     return 'default';
   }
 
-  private deepEqual(a: any, b: any): boolean {
-    if (a === b) return true;
-    if (a == null || b == null) return false;
-    if (typeof a !== typeof b) return false;
-    
-    if (typeof a === 'object') {
-      const keysA = Object.keys(a);
-      const keysB = Object.keys(b);
-      if (keysA.length !== keysB.length) return false;
-      
-      for (const key of keysA) {
-        if (!keysB.includes(key)) return false;
-        if (!this.deepEqual(a[key], b[key])) return false;
+  private generateId(): string {
+    return 'doc_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  }
+
+  private async commitTransaction(tx: Transaction): Promise<void> {
+    await this.withWriteLock(async () => {
+      for (const write of tx.getWrites()) {
+        const current = this.readCommitted(write.collection, write.id);
+        const currentVersion = current ? (current[VERSION_FIELD] || 0) : null;
+        if (currentVersion !== write.baseVersion) {
+          throw new WriteConflictError(write.collection, write.id);
+        }
+      }
+
+      const operations = tx.buildOperations();
+      await this.commitOperations(operations);
+      tx.markCommitted();
+
+      if (operations.length > 0) {
+        console.log(`✅ Committed transaction ${tx.id} (${operations.length} operations)`);
+      }
+    });
+  }
+
+  // Persist first, then apply to the working set, so a failed write leaves memory untouched
+  private async commitOperations(operations: StorageOperation[]): Promise<void> {
+    if (operations.length === 0) return;
+    this.checkUniqueIndexes(operations);
+    await this.adapter.apply(operations);
+
+    for (const operation of operations) {
+      this.ensureCollection(operation.collection);
+      const docs = this.collections.get(operation.collection)!;
+      const id = operation.op === 'delete' ? operation.id : operation.doc.id;
+      const previous = docs.get(id);
+      const indexes = this.indexes.get(operation.collection) || [];
+
+      if (previous) {
+        indexes.forEach(index => index.remove(previous));
+      }
+      if (operation.op === 'delete') {
+        docs.delete(id);
+      } else {
+        docs.set(id, operation.doc);
+        indexes.forEach(index => index.add(operation.doc));
       }
-      return true;
     }
-    
-    return false;
   }
 
-  private generateId(): string {
-    return 'doc_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  // Rejects a batch that would give two documents the same key in a unique index.
+  // Documents the batch itself replaces or deletes do not count as duplicates.
+  private checkUniqueIndexes(operations: StorageOperation[]): void {
+    const touched = new Set(operations.map(operation =>
+      `${operation.collection}:${operation.op === 'delete' ? operation.id : operation.doc.id}`
+    ));
+
+    for (const operation of operations) {
+      if (operation.op === 'delete') continue;
+      for (const index of this.indexes.get(operation.collection) || []) {
+        if (!index.definition.unique) continue;
+
+        const duplicateId = index.findDuplicate(operation.doc);
+        const batchDuplicate = operations.some(other =>
+          other !== operation && other.op !== 'delete' && other.collection === operation.collection &&
+          other.doc.id !== operation.doc.id && index.conflicts(operation.doc, other.doc)
+        );
+        if ((duplicateId && !touched.has(`${operation.collection}:${duplicateId}`)) || batchDuplicate) {
+          throw new DuplicateKeyError(operation.collection, operation.doc.id, index.definition.name);
+        }
+      }
+    }
   }
 
-  private async seedInitialData(): Promise<void> {
-    // Seed some sample products
-    const sampleProducts = [
-      {
-        id: 'prod_001',
-        name: 'Portland Cement',
-        category: 'Cement',
-        description: 'High-quality Portland cement for construction projects',
-        unit: 'bag',
-        price: 12.50,
-        supplier: 'CemCorp',
-        status: 'active'
-      },
-      {
-        id: 'prod_002',
-        name: 'Steel Rebar #4',
-        category: 'Steel',
-        description: '1/2 inch steel reinforcement bar',
-        unit: 'piece',
-        price: 8.75,
-        supplier: 'SteelMax',
-        status: 'active'
-      },
-      {
-        id: 'prod_003',
-        name: 'Concrete Blocks',
-        category: 'Masonry',
-        description: '8x8x16 concrete masonry units',
-        unit: 'piece',
-        price: 2.25,
-        supplier: 'BlockCo',
-        status: 'active'
+  // Resolves a query through the most selective usable index, falling back to a scan.
+  // Index hits are only candidates; every document is still checked against the full query.
+  private queryDocuments(collection: string, query: any = {}): any[] {
+    const docs = this.collections.get(collection);
+    if (!docs) return [];
+    if (!query || Object.keys(query).length === 0) return Array.from(docs.values());
+
+    let candidates: Set<string> | null = null;
+    for (const index of this.indexes.get(collection) || []) {
+      const ids = index.lookup(query);
+      if (ids && (candidates === null || ids.size < candidates.size)) {
+        candidates = ids;
       }
-    ];
-
-    this.collections.set('products', sampleProducts);
-
-    // Seed sample inventory
-    const sampleInventory = [
-      {
-        id: 'inv_001',
-        productId: 'prod_001',
-        productName: 'Portland Cement',
-        category: 'Cement',
-        quantity: 150,
-        minimumStock: 50,
-        maximumStock: 500,
-        unit: 'bag',
-        unitCost: 12.50,
-        location: 'Warehouse A',
-        supplier: 'CemCorp',
-        status: 'in_stock',
-        lastUpdated: new Date()
-      },
-      {
-        id: 'inv_002',
-        productId: 'prod_002',
-        productName: 'Steel Rebar #4',
-        category: 'Steel',
-        quantity: 25,
-        minimumStock: 30,
-        maximumStock: 200,
-        unit: 'piece',
-        unitCost: 8.75,
-        location: 'Warehouse B',
-        supplier: 'SteelMax',
-        status: 'low_stock',
-        lastUpdated: new Date()
+    }
+
+    if (candidates === null) {
+      return Array.from(docs.values()).filter(doc => matchesQuery(doc, query));
+    }
+
+    // Unsorted results come back in index order, which need not match insertion order
+    return Array.from(candidates)
+      .map(id => docs.get(id))
+      .filter(doc => doc && matchesQuery(doc, query));
+  }
+
+  // queryDocuments confined to the current company, when there is one
+  private scopedDocuments(collection: string, query: any = {}): any[] {
+    const companyId = this.tenantOf(collection);
+    return this.queryDocuments(collection, companyId ? scopeQuery(query, companyId) : query);
+  }
+
+  private readVisible(collection: string, id: string): any | null {
+    const doc = this.readCommitted(collection, id);
+    const companyId = this.tenantOf(collection);
+    return doc && (!companyId || belongsTo(doc, companyId)) ? doc : null;
+  }
+
+  // New documents belong to the current company (the default one for work outside any
+  // company, unless the document names its own); existing ones never change company
+  private withTenant(collection: string, doc: any, existing: any | null): any {
+    if (!isTenantScoped(collection)) return doc;
+    if (existing && existing[TENANT_FIELD] !== undefined) {
+      return { ...doc, [TENANT_FIELD]: existing[TENANT_FIELD] };
+    }
+    const companyId = currentCompanyId() || doc[TENANT_FIELD] || DEFAULT_COMPANY_ID;
+    return { ...doc, [TENANT_FIELD]: companyId };
+  }
+
+  private tenantOf(collection: string): string | null {
+    return isTenantScoped(collection) ? currentCompanyId() : null;
+  }
+
+  private allDocuments(collection: string): any[] {
+    return Array.from((this.collections.get(collection) || new Map()).values());
+  }
+
+  private buildIndex(definition: IndexDefinition): CollectionIndex {
+    const index = new CollectionIndex(definition);
+    for (const doc of this.allDocuments(definition.collection)) {
+      const duplicateId = index.findDuplicate(doc);
+      if (duplicateId) {
+        throw new Error(
+          `Cannot build unique index ${definition.name} on ${definition.collection}: ${doc.id} duplicates ${duplicateId}`
+        );
       }
-    ];
+      index.add(doc);
+    }
+    return index;
+  }
+
+  private addIndex(index: CollectionIndex): void {
+    const collection = index.definition.collection;
+    const existing = (this.indexes.get(collection) || [])
+      .filter(other => other.definition.id !== index.definition.id);
+    this.indexes.set(collection, [...existing, index]);
+  }
+
+  private rebuildIndexes(): void {
+    this.indexes.clear();
+    for (const definition of this.allDocuments(INDEXES_COLLECTION) as IndexDefinition[]) {
+      this.addIndex(this.buildIndex(definition));
+    }
+  }
+
+  private toSnapshot(): StorageSnapshot {
+    const snapshot: StorageSnapshot = {};
+    for (const [collection, docs] of this.collections) {
+      snapshot[collection] = Array.from(docs.values());
+    }
+    return snapshot;
+  }
 
-    this.collections.set('inventory', sampleInventory);
+  private withWriteLock<T>(task: () => Promise<T>): Promise<T> {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.then(() => undefined, () => undefined);
+    return run;
+  }
+
+  private readCommitted(collection: string, id: string): any | null {
+    return this.collections.get(collection)?.get(id) || null;
+  }
 
-    console.log('✅ Sample data seeded successfully');
+  private async runMigrations(): Promise<void> {
+    const applied = this.allDocuments(MIGRATIONS_COLLECTION) as MigrationRecord[];
+    const appliedVersions = new Set(applied.map(record => record.version));
+
+    const pending = migrations
+      .filter(migration => !appliedVersions.has(migration.version))
+      .sort((a, b) => a.version - b.version);
+
+    for (const migration of pending) {
+      console.log(`🔧 Running migration ${migration.version}: ${migration.name}`);
+      await migration.up(this);
+      await this.insertDocument<MigrationRecord>(MIGRATIONS_COLLECTION, {
+        id: `migration_${String(migration.version).padStart(4, '0')}`,
+        version: migration.version,
+        name: migration.name,
+        appliedAt: new Date()
+      });
+      appliedVersions.add(migration.version);
+    }
+
+    this.connection.schemaVersion = appliedVersions.size > 0 ? Math.max(...appliedVersions) : 0;
+  }
+
+  private createDefaultAdapter(): StorageAdapter {
+    const adapterName = process.env.DATABASE_ADAPTER || 'jsonlog';
+
+    switch (adapterName) {
+      case 'memory':
+        return new MemoryStorageAdapter();
+      case 'jsonlog':
+        return new JsonLogStorageAdapter({
+          directory: process.env.DATABASE_PATH || path.join(process.cwd(), 'data'),
+          database: process.env.DATABASE_NAME || 'construction_erp',
+          compactAfterEntries: parseInt(process.env.DATABASE_COMPACT_AFTER || '5000'),
+          fsync: process.env.DATABASE_FSYNC !== 'false'
+        });
+      default:
+        throw new Error(`Unknown database adapter: ${adapterName}`);
+    }
   }
 }
@@ -0,0 +1,455 @@
+// services/DispatchService.ts
+import { Injectable } from '@varld/warp';
+import { DatabaseService } from './DatabaseService';
+import { OrderFulfillmentService } from './OrderFulfillmentService';
+import { CompanyService } from './CompanyService';
+import { Location } from './WarehouseService';
+import { Transaction } from './storage/Transaction';
+import { currentUserId } from './auth/RequestContext';
+import { Order, ProofOfDelivery, Shipment, Address } from './orders/OrderLifecycle';
+import { Project } from './projects/Projects';
+import { findHazmatConflicts, placardsFor } from './dispatch/Hazmat';
+import {
+  DISPATCH_START_HOUR,
+  DeliveryLoad,
+  DeliveryStop,
+  DeliveryWindow,
+  LoadLine,
+  Truck,
+  UnassignedStop,
+  hazmatLines,
+  measureLines,
+  packLoads,
+  sequenceStops,
+  unitMeasures
+} from './dispatch/Loads';
+import {
+  renderBillOfLading,
+  renderHazmatShippingPapers,
+  shippingDocumentFileName
+} from './dispatch/ShippingDocuments';
+
+const DISPATCH_END_HOUR = 17;
+const OWN_FLEET_CARRIER = 'Own fleet';
+
+export interface LoadPlan {
+  date: Date;
+  loads: DeliveryLoad[];
+  unassigned: UnassignedStop[];
+  saved: boolean;
+}
+
+// Plans deliveries on our own trucks. Confirmed orders due by the delivery date are
+// turned into stops for their reserved stock, packed onto the fleet by weight, volume
+// and hazmat compatibility, and sequenced by delivery window and distance. Dispatching
+// a load ships each stop through order fulfillment; proof of delivery closes the
+// shipment and, once every stop is done, the load.
+@Injectable()
+export class DispatchService {
+  constructor(
+    private databaseService: DatabaseService,
+    private fulfillmentService: OrderFulfillmentService,
+    private companyService: CompanyService
+  ) {}
+
+  async listTrucks(includeInactive: boolean = false): Promise<Truck[]> {
+    return this.databaseService.find<Truck>('trucks', includeInactive ? {} : { isActive: true }, {
+      sort: { name: 1 }
+    });
+  }
+
+  async createTruck(data: Partial<Truck>): Promise<Truck> {
+    if (!data.name) {
+      throw new Error('name is required');
+    }
+    if (!(Number(data.maxWeight) > 0) || !(Number(data.maxVolume) > 0)) {
+      throw new Error('maxWeight and maxVolume must be positive');
+    }
+    if (data.homeLocationId && !(await this.databaseService.findById('locations', data.homeLocationId))) {
+      throw new Error('Home location not found');
+    }
+
+    return this.databaseService.create<Truck>('trucks', {
+      id: this.generateId('truck'),
+      name: data.name,
+      maxWeight: Number(data.maxWeight),
+      maxVolume: Number(data.maxVolume),
+      hazmatCertified: Boolean(data.hazmatCertified),
+      homeLocationId: data.homeLocationId,
+      isActive: true,
+      createdAt: new Date()
+    });
+  }
+
+  async updateTruck(id: string, changes: Partial<Truck>): Promise<Truck> {
+    const truck = await this.databaseService.findById<Truck>('trucks', id);
+    if (!truck) {
+      throw new Error('Truck not found');
+    }
+    const allowed = { ...changes };
+    delete allowed.id;
+    delete allowed.createdAt;
+    if (allowed.maxWeight !== undefined && !(Number(allowed.maxWeight) > 0)) {
+      throw new Error('maxWeight must be positive');
+    }
+    if (allowed.maxVolume !== undefined && !(Number(allowed.maxVolume) > 0)) {
+      throw new Error('maxVolume must be positive');
+    }
+    return this.databaseService.update<Truck>('trucks', id, allowed);
+  }
+
+  // Builds the loads for a delivery date. Without save the plan is only a preview;
+  // saved loads hold their stock until dispatched or cancelled.
+  async planLoads(date: Date, options: { save?: boolean } = {}): Promise<LoadPlan> {
+    const day = new Date(date);
+    if (isNaN(day.getTime())) {
+      throw new Error('A valid delivery date is required');
+    }
+    day.setHours(0, 0, 0, 0);
+    const dayEnd = new Date(day.getTime() + 24 * 60 * 60 * 1000);
+
+    const [trucks, openLoads] = await Promise.all([
+      this.listTrucks(),
+      this.databaseService.find<DeliveryLoad>('delivery_loads', { status: { $in: ['planned', 'dispatched'] } })
+    ]);
+    if (trucks.length === 0) {
+      throw new Error('Add a truck before planning loads');
+    }
+    const busy = new Set(openLoads
+      .filter(load => new Date(load.date) >= day && new Date(load.date) < dayEnd)
+      .map(load => load.truckId));
+    const available = trucks.filter(truck => !busy.has(truck.id));
+
+    const stops = await this.candidateStops(day, dayEnd, openLoads);
+    const packed = packLoads(stops, available);
+
+    const locations = await this.databaseService.find<Location>('locations', {});
+    const loads: DeliveryLoad[] = [];
+    for (const [index, packedLoad] of packed.loads.entries()) {
+      const origin = locations.find(location => location.id === packedLoad.truck.homeLocationId)?.coordinates;
+      const sequenced = sequenceStops(packedLoad.stops, origin, day);
+      const hazmat = sequenced.flatMap(stop => hazmatLines(stop.orderNumber, stop.lines));
+      const totals = measureLines(sequenced.flatMap(stop => stop.lines));
+
+      loads.push({
+        id: options.save ? this.generateId('load') : `preview_${index + 1}`,
+        loadNumber: '', // numbered when saved
+        billOfLadingNumber: '',
+        date: day,
+        truckId: packedLoad.truck.id,
+        truckName: packedLoad.truck.name,
+        stops: sequenced,
+        ...totals,
+        utilization: {
+          weight: Math.round((totals.weight / packedLoad.truck.maxWeight) * 1000) / 10,
+          volume: Math.round((totals.volume / packedLoad.truck.maxVolume) * 1000) / 10
+        },
+        hazmat,
+        placards: placardsFor(hazmat),
+        status: 'planned',
+        createdAt: new Date(),
+        createdBy: currentUserId()
+      });
+    }
+
+    if (options.save && loads.length > 0) {
+      await this.databaseService.transaction(async tx => {
+        for (const load of loads) {
+          load.loadNumber = await this.generateNumber(tx, 'LOAD', 'loadNumber');
+          load.billOfLadingNumber = await this.generateNumber(tx, 'BOL', 'billOfLadingNumber');
+          await tx.create<DeliveryLoad>('delivery_loads', load);
+        }
+      });
+      console.log(`🚛 Planned ${loads.length} load(s) for ${day.toISOString().slice(0, 10)}` +
+        (packed.unassigned.length > 0 ? `, ${packed.unassigned.length} stop(s) unassigned` : ''));
+    }
+
+    return { date: day, loads, unassigned: packed.unassigned, saved: Boolean(options.save) };
+  }
+
+  async getLoad(id: string): Promise<DeliveryLoad | null> {
+    return this.databaseService.findById<DeliveryLoad>('delivery_loads', id);
+  }
+
+  async listLoads(filters: { date?: string; status?: string; truckId?: string } = {}): Promise<DeliveryLoad[]> {
+    const query: any = {};
+    if (filters.status) query.status = filters.status;
+    if (filters.truckId) query.truckId = filters.truckId;
+    if (filters.date) {
+      const day = new Date(filters.date);
+      day.setHours(0, 0, 0, 0);
+      query.date = { $gte: day, $lt: new Date(day.getTime() + 24 * 60 * 60 * 1000) };
+    }
+    return this.databaseService.find<DeliveryLoad>('delivery_loads', query, { sort: { date: -1, loadNumber: 1 } });
+  }
+
+  // Sends the truck out: one shipment per stop, tracked by the load number. Stops that
+  // already shipped on an earlier attempt are skipped, so a failed dispatch can be retried.
+  async dispatchLoad(id: string, options: { driverName?: string } = {}): Promise<DeliveryLoad> {
+    const load = await this.requireLoad(id);
+    if (load.status !== 'planned') {
+      throw new Error(`Cannot dispatch a load that is ${load.status}`);
+    }
+
+    if (load.hazmat.length > 0) {
+      const conflicts = findHazmatConflicts(load.hazmat);
+      if (conflicts.length > 0) {
+        throw new Error(`Load ${load.loadNumber} has incompatible hazmat: ${conflicts[0].reason}`);
+      }
+      const truck = await this.databaseService.findById<Truck>('trucks', load.truckId);
+      if (!truck?.hazmatCertified) {
+        throw new Error(`${load.truckName} is not certified to carry hazardous materials`);
+      }
+      const settings = await this.companyService.getSettings();
+      if (!settings.emergencyResponsePhone) {
+        throw new Error('Set the company emergencyResponsePhone before dispatching hazardous materials');
+      }
+    }
+
+    const driverName = options.driverName || load.driverName;
+    for (const stop of load.stops) {
+      if (stop.shipmentId) continue;
+
+      const { shipment } = await this.fulfillmentService.createShipment(stop.orderId, {
+        carrier: OWN_FLEET_CARRIER,
+        service: 'delivery',
+        trackingNumber: load.loadNumber,
+        weight: stop.weight,
+        estimatedDelivery: stop.plannedArrival,
+        items: stop.lines.map(line => ({ orderItemId: line.orderItemId, quantity: line.quantity }))
+      });
+      await this.databaseService.update<Shipment>('shipments', shipment.id, { loadId: load.id });
+
+      stop.shipmentId = shipment.id;
+      stop.status = 'in_transit';
+      await this.databaseService.update<DeliveryLoad>('delivery_loads', load.id, { stops: load.stops, driverName });
+    }
+
+    const dispatched = await this.databaseService.update<DeliveryLoad>('delivery_loads', load.id, {
+      status: 'dispatched',
+      driverName,
+      dispatchedAt: new Date()
+    });
+    console.log(`🚚 Load ${load.loadNumber} dispatched on ${load.truckName} with ${load.stops.length} stop(s)`);
+    return dispatched;
+  }
+
+  // Records who took delivery at a stop. The shipment keeps the proof and is marked
+  // delivered; the load completes with its last stop.
+  async recordProofOfDelivery(
+    loadId: string,
+    stopId: string,
+    proof: Omit<ProofOfDelivery, 'recordedBy'>
+  ): Promise<DeliveryLoad> {
+    const load = await this.requireLoad(loadId);
+    if (load.status !== 'dispatched') {
+      throw new Error(`Cannot record delivery on a load that is ${load.status}`);
+    }
+    const stop = load.stops.find(entry => entry.id === stopId);
+    if (!stop) {
+      throw new Error('Stop not found on this load');
+    }
+    if (stop.status !== 'in_transit' || !stop.shipmentId) {
+      throw new Error(`Stop ${stop.sequence} is ${stop.status}`);
+    }
+    if (!proof?.receivedBy) {
+      throw new Error('receivedBy is required');
+    }
+
+    const exceptions = (proof.exceptions || []).map(exception => {
+      const line = stop.lines.find(entry => entry.orderItemId === exception.orderItemId);
+      if (!line) {
+        throw new Error(`Line ${exception.orderItemId} is not on stop ${stop.sequence}`);
+      }
+      if (!['short', 'damaged', 'refused'].includes(exception.reason)) {
+        throw new Error('Exception reason must be short, damaged or refused');
+      }
+      const quantity = Number(exception.quantity);
+      if (!(quantity > 0) || quantity > line.quantity) {
+        throw new Error(`Exception quantity for ${line.productName} must be between 1 and ${line.quantity}`);
+      }
+      return { orderItemId: line.orderItemId, quantity, reason: exception.reason, notes: exception.notes };
+    });
+
+    const deliveredAt = proof.deliveredAt ? new Date(proof.deliveredAt) : new Date();
+    if (isNaN(deliveredAt.getTime())) {
+      throw new Error('deliveredAt must be a valid date');
+    }
+
+    await this.databaseService.update<Shipment>('shipments', stop.shipmentId, {
+      proofOfDelivery: {
+        receivedBy: proof.receivedBy,
+        deliveredAt,
+        signature: proof.signature,
+        photos: proof.photos,
+        notes: proof.notes,
+        exceptions: exceptions.length > 0 ? exceptions : undefined,
+        recordedBy: currentUserId()
+      }
+    });
+    await this.fulfillmentService.markDelivered(stop.orderId, stop.shipmentId);
+
+    stop.status = 'delivered';
+    const completed = load.stops.every(entry => entry.status === 'delivered');
+    const updated = await this.databaseService.update<DeliveryLoad>('delivery_loads', load.id, {
+      stops: load.stops,
+      ...(completed && { status: 'completed', completedAt: new Date() })
+    });
+
+    console.log(`📦 Stop ${stop.sequence} of load ${load.loadNumber} delivered to ${proof.receivedBy}` +
+      (exceptions.length > 0 ? ` with ${exceptions.length} exception(s)` : ''));
+    return updated;
+  }
+
+  // Only planned loads can be cancelled; their stops go back into the next plan
+  async cancelLoad(id: string): Promise<DeliveryLoad> {
+    const load = await this.requireLoad(id);
+    if (load.status !== 'planned') {
+      throw new Error(`Cannot cancel a load that is ${load.status}`);
+    }
+    if (load.stops.some(stop => stop.shipmentId)) {
+      throw new Error('Some stops have already shipped; finish dispatching the load');
+    }
+    return this.databaseService.update<DeliveryLoad>('delivery_loads', id, { status: 'cancelled' });
+  }
+
+  async renderDocument(id: string, document: 'bol' | 'hazmat'): Promise<{
+    fileName: string;
+    contentType: string;
+    encoding: 'base64';
+    content: string;
+  }> {
+    const load = await this.requireLoad(id);
+    if (load.status === 'cancelled') {
+      throw new Error('Load is cancelled');
+    }
+    if (!load.loadNumber) {
+      throw new Error('Save the load plan before printing documents');
+    }
+
+    const company = await this.companyService.getCurrentCompany();
+    const settings = await this.companyService.getSettings();
+    const shipper = { name: company.name, emergencyResponsePhone: settings.emergencyResponsePhone };
+
+    if (document === 'hazmat') {
+      if (load.hazmat.length === 0) {
+        throw new Error(`Load ${load.loadNumber} carries no hazardous materials`);
+      }
+      if (!shipper.emergencyResponsePhone) {
+        throw new Error('Set the company emergencyResponsePhone before printing hazmat shipping papers');
+      }
+    }
+
+    const pdf = document === 'hazmat'
+      ? renderHazmatShippingPapers(load, shipper)
+      : renderBillOfLading(load, shipper);
+    return {
+      fileName: shippingDocumentFileName(load, document),
+      contentType: 'application/pdf',
+      encoding: 'base64',
+      content: pdf.toString('base64')
+    };
+  }
+
+  // One stop per order due by the end of the day, for its reserved quantity less
+  // what is already on a planned load
+  private async candidateStops(day: Date, dayEnd: Date, openLoads: DeliveryLoad[]): Promise<DeliveryStop[]> {
+    const orders = (await this.databaseService.find<Order>('orders', {
+      status: { $in: ['confirmed', 'processing', 'partially_shipped'] }
+    })).filter(order => {
+      const due = order.deliveryWindow?.start || order.expectedDelivery;
+      return !due || new Date(due) < dayEnd;
+    });
+
+    const onLoads = new Map<string, number>();
+    for (const load of openLoads.filter(entry => entry.status === 'planned')) {
+      for (const stop of load.stops.filter(entry => !entry.shipmentId)) {
+        for (const line of stop.lines) {
+          onLoads.set(line.orderItemId, (onLoads.get(line.orderItemId) || 0) + line.quantity);
+        }
+      }
+    }
+
+    const productIds = Array.from(new Set(orders.flatMap(order => order.items.map(item => item.productId))));
+    const products = await this.databaseService.find<any>('products', { id: { $in: productIds } });
+    const projectIds = Array.from(new Set(orders.filter(order => order.deliverToJobsite && order.projectId)
+      .map(order => order.projectId!)));
+    const projects = projectIds.length > 0
+      ? await this.databaseService.find<Project>('projects', { id: { $in: projectIds } })
+      : [];
+
+    const stops: DeliveryStop[] = [];
+    for (const order of orders) {
+      const lines: LoadLine[] = order.items
+        .map(item => {
+          const product = products.find(entry => entry.id === item.productId) || null;
+          return {
+            orderItemId: item.id,
+            productId: item.productId,
+            productName: item.productName,
+            quantity: (item.quantityReserved || 0) - (onLoads.get(item.id) || 0),
+            ...unitMeasures(product),
+            hazmat: product?.hazmat?.isHazardous ? product.hazmat : undefined
+          };
+        })
+        .filter(line => line.quantity > 0);
+      if (lines.length === 0) continue;
+
+      const jobsite = order.deliverToJobsite
+        ? projects.find(project => project.id === order.projectId)?.jobsiteAddress
+        : undefined;
+      stops.push({
+        id: this.generateId('stop'),
+        sequence: 0,
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        customerId: order.customerId,
+        customerName: order.customerName,
+        projectId: order.projectId,
+        address: (jobsite || order.shippingAddress) as Address,
+        window: this.windowFor(order, day),
+        lines,
+        ...measureLines(lines),
+        status: 'planned'
+      });
+    }
+    return stops;
+  }
+
+  // The order's own window when it falls on the day, otherwise the whole working day
+  private windowFor(order: Order, day: Date): DeliveryWindow {
+    const start = new Date(day);
+    start.setHours(DISPATCH_START_HOUR, 0, 0, 0);
+    const end = new Date(day);
+    end.setHours(DISPATCH_END_HOUR, 0, 0, 0);
+
+    const window = order.deliveryWindow;
+    if (window && new Date(window.start).toDateString() === day.toDateString()) {
+      return { start: new Date(window.start), end: new Date(window.end) };
+    }
+    return { start, end };
+  }
+
+  private async requireLoad(id: string): Promise<DeliveryLoad> {
+    const load = await this.getLoad(id);
+    if (!load) {
+      throw new Error('Load not found');
+    }
+    return load;
+  }
+
+  // Loads created earlier in the same transaction are visible to tx.find, so a plan's
+  // loads number consecutively
+  private async generateNumber(tx: Transaction, prefix: string, field: string): Promise<string> {
+    const year = new Date().getFullYear();
+    const month = String(new Date().getMonth() + 1).padStart(2, '0');
+    const thisMonth = await tx.find('delivery_loads', {
+      [field]: { $regex: `^${prefix}-${year}${month}` }
+    });
+    return `${prefix}-${year}${month}-${String(thisMonth.length + 1).padStart(4, '0')}`;
+  }
+
+  private generateId(prefix: string): string {
+    return prefix + '_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  }
+}
@@ -0,0 +1,556 @@
+// services/EdiService.ts
+import { Injectable } from '@varld/warp';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { DatabaseService } from './DatabaseService';
+import { CompanyService } from './CompanyService';
+import { AccountsPayableService } from './AccountsPayableService';
+import { Transaction } from './storage/Transaction';
+import { currentCompanyId, currentUserId, runAsCompany } from './auth/RequestContext';
+import { DEFAULT_COMPANY_ID } from './storage/TenantScope';
+import { FUNCTIONAL_IDS, Interchange, TransactionSet, buildInterchange, parseInterchange } from './edi/X12';
+import {
+  EdiShipNotice,
+  SupplierEdiProfile,
+  build850,
+  parse810,
+  parse855,
+  parse856
+} from './edi/Documents';
+
+const DROP_FOLDER = process.env.EDI_DROP_FOLDER || path.join(process.cwd(), 'data', 'edi');
+const POLL_INTERVAL_MS = Number(process.env.EDI_POLL_INTERVAL_MINUTES ?? 5) * 60 * 1000;
+const INBOUND_TYPES = ['855', '856', '810'];
+
+export type InterchangeStatus = 'sent' | 'processed' | 'partially_processed' | 'failed' | 'duplicate';
+
+export interface InterchangeTransaction {
+  type: string;
+  controlNumber: string;
+  reference?: string; // the purchase, ship notice or invoice number it carried
+  purchaseId?: string;
+  status: 'sent' | 'processed' | 'failed';
+  result?: string;
+  error?: string;
+}
+
+// Every file exchanged with a trading partner, kept with its content
+export interface EdiInterchange {
+  id: string;
+  direction: 'outbound' | 'inbound';
+  controlNumber: string;
+  supplierId?: string;
+  supplierName?: string;
+  senderId?: string;
+  receiverId?: string;
+  fileName: string;
+  status: InterchangeStatus;
+  transactions: InterchangeTransaction[];
+  error?: string;
+  content: string;
+  createdAt: Date;
+  createdBy: string;
+}
+
+// Goods a supplier has told us (by 856) are on their way; receiving against it
+// fills in the receipt
+export interface ExpectedReceipt {
+  id: string;
+  asnNumber: string; // the supplier's shipment ID
+  supplierId: string;
+  supplierName: string;
+  purchaseId: string;
+  purchaseNumber: string;
+  status: 'expected' | 'received' | 'cancelled';
+  carrier?: string;
+  trackingNumber?: string;
+  billOfLading?: string;
+  shippedAt: Date;
+  expectedAt?: Date;
+  items: Array<{
+    poItemId: string;
+    productId: string;
+    productName: string;
+    quantity: number;
+    lotNumber?: string;
+  }>;
+  interchangeId: string;
+  receiptId?: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface InboundResult {
+  fileName: string;
+  interchangeId: string;
+  status: InterchangeStatus;
+  error?: string;
+}
+
+// X12 EDI with suppliers that trade it, through a drop folder per company that a
+// VAN or AS2 client keeps in sync: 850 purchase orders go out to outbound/, and
+// 855 acknowledgements, 856 ship notices and 810 invoices are read from inbound/ and
+// then filed under archive/ or failed/.
+@Injectable()
+export class EdiService {
+  private pollTimer: NodeJS.Timeout | null = null;
+
+  constructor(
+    private databaseService: DatabaseService,
+    private companyService: CompanyService,
+    private payablesService: AccountsPayableService
+  ) {
+    this.startPolling();
+  }
+
+  // EDI trading partner, or null when the supplier is sent purchase orders by email
+  async partnerFor(supplierId: string): Promise<SupplierEdiProfile | null> {
+    const supplier = await this.databaseService.findById<any>('suppliers', supplierId);
+    const profile: SupplierEdiProfile | undefined = supplier?.edi;
+    return profile?.enabled && profile.interchangeId ? profile : null;
+  }
+
+  // Writes the purchase as an 850 for the supplier to pick up, and marks it ordered
+  async sendPurchaseOrder(purchaseId: string): Promise<EdiInterchange> {
+    const settings = await this.companyService.getSettings();
+    if (!settings.ediInterchangeId) {
+      throw new Error('Set the company ediInterchangeId before sending EDI');
+    }
+
+    const interchange = await this.databaseService.transaction(async tx => {
+      const purchase = await tx.findById<any>('purchases', purchaseId);
+      if (!purchase) {
+        throw new Error('Purchase not found');
+      }
+      if (!['approved', 'ordered'].includes(purchase.status)) {
+        throw new Error(`Purchase ${purchase.purchaseNumber} is ${purchase.status}; only approved purchases can be sent`);
+      }
+      const supplier = await tx.findById<any>('suppliers', purchase.supplierId);
+      const partner: SupplierEdiProfile | undefined = supplier?.edi;
+      if (!partner?.enabled || !partner.interchangeId) {
+        throw new Error(`${purchase.supplierName} does not trade EDI`);
+      }
+
+      const company = await tx.findById<any>('companies', currentCompanyId() || DEFAULT_COMPANY_ID);
+      const controlNumber = await this.nextControlNumber(tx);
+      const transaction: TransactionSet = {
+        type: '850',
+        controlNumber: '0001',
+        segments: build850({
+          purchaseNumber: purchase.purchaseNumber,
+          orderDate: new Date(purchase.approvedAt || purchase.createdAt),
+          requestedDelivery: purchase.expectedDelivery ? new Date(purchase.expectedDelivery) : undefined,
+          shipTo: { name: company?.name || 'Receiving' },
+          paymentTerms: purchase.paymentTerms,
+          notes: purchase.notes,
+          items: purchase.items,
+          total: purchase.total
+        })
+      };
+      const content = buildInterchange(this.envelope(settings, partner, controlNumber, transaction));
+      const fileName = `${purchase.purchaseNumber}_850_${controlNumber}.x12`;
+
+      const logged = await tx.create<EdiInterchange>('edi_interchanges', {
+        id: this.generateId('edi'),
+        direction: 'outbound',
+        controlNumber,
+        supplierId: supplier.id,
+        supplierName: supplier.name,
+        senderId: settings.ediInterchangeId,
+        receiverId: partner.interchangeId,
+        fileName,
+        status: 'sent',
+        transactions: [{
+          type: '850',
+          controlNumber: transaction.controlNumber,
+          reference: purchase.purchaseNumber,
+          purchaseId: purchase.id,
+          status: 'sent'
+        }],
+        content,
+        createdAt: new Date(),
+        createdBy: currentUserId()
+      });
+      await tx.update('purchases', purchase.id, {
+        status: 'ordered',
+        orderedVia: 'edi',
+        orderedAt: purchase.orderedAt || new Date(),
+        updatedAt: new Date()
+      });
+
+      // Last, so a failed write rolls the log and status back with it
+      await this.writeFile('outbound', fileName, content);
+      return logged;
+    });
+
+    console.log(`📤 EDI 850 for ${interchange.transactions[0].reference} written to ${interchange.supplierName}'s outbound folder`);
+    return interchange;
+  }
+
+  // Reads every file waiting in the company's inbound folder
+  async processInbound(): Promise<InboundResult[]> {
+    const inbound = this.folder('inbound');
+    await fs.mkdir(inbound, { recursive: true });
+
+    const results: InboundResult[] = [];
+    const fileNames = (await fs.readdir(inbound)).filter(name => !name.startsWith('.')).sort();
+    for (const fileName of fileNames) {
+      const source = path.join(inbound, fileName);
+      if (!(await fs.stat(source)).isFile()) continue;
+
+      const interchange = await this.processFile(fileName, await fs.readFile(source, 'utf8'));
+      // Failed files can be moved back to inbound once the cause is fixed
+      const destination = interchange.status === 'failed' ? 'failed' : 'archive';
+      await fs.mkdir(this.folder(destination), { recursive: true });
+      await fs.rename(source, path.join(this.folder(destination), `${Date.now()}_${fileName}`));
+
+      results.push({
+        fileName,
+        interchangeId: interchange.id,
+        status: interchange.status,
+        error: interchange.error || interchange.transactions.find(transaction => transaction.error)?.error
+      });
+    }
+
+    if (results.length > 0) {
+      console.log(`📥 Processed ${results.length} inbound EDI file(s)`);
+    }
+    return results;
+  }
+
+  async listInterchanges(filters: { direction?: string; status?: string; supplierId?: string; purchaseId?: string } = {}): Promise<EdiInterchange[]> {
+    const query: any = {};
+    if (filters.direction) query.direction = filters.direction;
+    if (filters.status) query.status = filters.status;
+    if (filters.supplierId) query.supplierId = filters.supplierId;
+    if (filters.purchaseId) query['transactions.purchaseId'] = filters.purchaseId;
+    return this.databaseService.find<EdiInterchange>('edi_interchanges', query, { sort: { createdAt: -1 } });
+  }
+
+  async getInterchange(id: string): Promise<EdiInterchange | null> {
+    return this.databaseService.findById<EdiInterchange>('edi_interchanges', id);
+  }
+
+  async listExpectedReceipts(filters: { purchaseId?: string; status?: string } = {}): Promise<ExpectedReceipt[]> {
+    const query: any = {};
+    if (filters.purchaseId) query.purchaseId = filters.purchaseId;
+    if (filters.status) query.status = filters.status;
+    return this.databaseService.find<ExpectedReceipt>('expected_receipts', query, { sort: { expectedAt: 1 } });
+  }
+
+  // Parses one inbound file and applies each transaction set in it on its own, so one
+  // bad invoice doesn't hold up the acknowledgements that came with it
+  private async processFile(fileName: string, content: string): Promise<EdiInterchange> {
+    const log = (fields: Partial<EdiInterchange>) => this.databaseService.create<EdiInterchange>('edi_interchanges', {
+      id: this.generateId('edi'),
+      direction: 'inbound',
+      controlNumber: '',
+      fileName,
+      status: 'failed',
+      transactions: [],
+      content,
+      createdAt: new Date(),
+      createdBy: currentUserId(),
+      ...fields
+    });
+
+    let interchange: Interchange;
+    try {
+      interchange = parseInterchange(content);
+    } catch (error) {
+      console.warn(`⚠️ EDI file ${fileName} could not be read: ${error.message}`);
+      return log({ error: error.message });
+    }
+
+    const header = {
+      controlNumber: interchange.controlNumber,
+      senderId: interchange.sender.id,
+      receiverId: interchange.receiver.id
+    };
+    const settings = await this.companyService.getSettings();
+    if (!settings.ediInterchangeId || interchange.receiver.id.toUpperCase() !== settings.ediInterchangeId.toUpperCase()) {
+      return log({ ...header, error: `Interchange is addressed to ${interchange.receiver.id}, not to us` });
+    }
+    const supplier = await this.databaseService.findOne<any>('suppliers', { 'edi.interchangeId': interchange.sender.id });
+    if (!supplier) {
+      return log({ ...header, error: `No supplier trades EDI as ${interchange.sender.id}` });
+    }
+
+    const partner = { ...header, supplierId: supplier.id, supplierName: supplier.name };
+    const earlier = await this.databaseService.findOne<EdiInterchange>('edi_interchanges', {
+      direction: 'inbound',
+      supplierId: supplier.id,
+      controlNumber: interchange.controlNumber,
+      status: { $in: ['processed', 'partially_processed'] }
+    });
+    if (earlier) {
+      return log({ ...partner, status: 'duplicate', error: `Interchange ${interchange.controlNumber} was already processed` });
+    }
+
+    const id = this.generateId('edi');
+    const transactions: InterchangeTransaction[] = [];
+    for (const group of interchange.groups) {
+      for (const transaction of group.transactions) {
+        const entry: InterchangeTransaction = {
+          type: transaction.type,
+          controlNumber: transaction.controlNumber,
+          status: 'processed'
+        };
+        try {
+          if (!INBOUND_TYPES.includes(transaction.type)) {
+            throw new Error(`Transaction set ${transaction.type} is not accepted`);
+          }
+          Object.assign(entry, await this.applyTransaction(supplier, transaction, id));
+        } catch (error) {
+          entry.status = 'failed';
+          entry.error = error.message;
+        }
+        transactions.push(entry);
+      }
+    }
+
+    const failed = transactions.filter(transaction => transaction.status === 'failed').length;
+    const status: InterchangeStatus = failed === 0 ? 'processed' : failed === transactions.length ? 'failed' : 'partially_processed';
+    if (failed > 0) {
+      console.warn(`⚠️ ${failed} of ${transactions.length} transaction set(s) from ${supplier.name} failed (${fileName})`);
+    }
+    return log({ id, ...partner, status, transactions });
+  }
+
+  private async applyTransaction(supplier: any, transaction: TransactionSet, interchangeId: string): Promise<Partial<InterchangeTransaction>> {
+    switch (transaction.type) {
+      case '855': {
+        const ack = parse855(transaction.segments);
+        const purchase = await this.databaseService.transaction(async tx => {
+          const current = await this.purchaseFor(tx, supplier, ack.purchaseNumber);
+          const items = current.items.map((item: any, index: number) => {
+            const line = ack.lines.find(entry => entry.lineNumber === index + 1);
+            if (!line) return item;
+            return {
+              ...item,
+              acknowledgement: line.status,
+              confirmedQuantity: line.status === 'rejected' ? 0 : line.quantity ?? item.quantity,
+              ...(line.date && { confirmedDate: line.date })
+            };
+          });
+          const dates = items.filter((item: any) => item.confirmedDate).map((item: any) => new Date(item.confirmedDate).getTime());
+
+          return tx.update<any>('purchases', current.id, {
+            items,
+            acknowledgement: { status: ack.status, date: ack.date, interchangeId },
+            ...(current.status === 'approved' && ack.status !== 'rejected' && { status: 'ordered' }),
+            ...(dates.length > 0 && { expectedDelivery: new Date(Math.max(...dates)) }),
+            updatedAt: new Date()
+          });
+        });
+        if (ack.status === 'rejected') {
+          console.warn(`⚠️ ${supplier.name} rejected purchase order ${purchase.purchaseNumber}`);
+        }
+        return { reference: purchase.purchaseNumber, purchaseId: purchase.id, result: ack.status };
+      }
+
+      case '856': {
+        const notice = parse856(transaction.segments);
+        const receipts = await this.databaseService.transaction(async tx => {
+          const created: ExpectedReceipt[] = [];
+          for (const shipped of notice.orders) {
+            created.push(await this.expectReceipt(tx, supplier, notice, shipped, interchangeId));
+          }
+          return created;
+        });
+        return {
+          reference: notice.shipmentId,
+          purchaseId: receipts[0]?.purchaseId,
+          result: notice.purpose === 'cancel'
+            ? 'cancelled'
+            : `${receipts.length} expected receipt(s), due ${receipts[0]?.expectedAt ? new Date(receipts[0].expectedAt).toDateString() : 'unknown'}`
+        };
+      }
+
+      case '810': {
+        const invoice = parse810(transaction.segments);
+        const purchase = await this.purchaseFor(this.databaseService, supplier, invoice.purchaseNumber);
+        const entered = await this.payablesService.enterInvoice({
+          purchaseId: purchase.id,
+          invoiceNumber: invoice.invoiceNumber,
+          invoiceDate: invoice.invoiceDate,
+          dueDate: invoice.dueDate,
+          items: invoice.lines.map(line => {
+            const item = this.purchaseItemFor(purchase, line);
+            return {
+              purchaseItemId: item?.id,
+              productId: item?.productId || line.productId,
+              description: item?.productName || line.description,
+              quantity: line.quantity,
+              unitPrice: line.unitPrice
+            };
+          }),
+          tax: invoice.tax,
+          shipping: invoice.shipping,
+          total: invoice.total,
+          notes: `Received by EDI from ${supplier.name}`
+        });
+        return { reference: invoice.invoiceNumber, purchaseId: purchase.id, result: `${entered.voucherNumber} (${entered.status})` };
+      }
+    }
+    return {};
+  }
+
+  // One expected receipt per purchase on the ship notice. A replacement notice updates
+  // it while the goods are still due; a cancellation withdraws it.
+  private async expectReceipt(
+    tx: Transaction,
+    supplier: any,
+    notice: EdiShipNotice,
+    shipped: EdiShipNotice['orders'][number],
+    interchangeId: string
+  ): Promise<ExpectedReceipt> {
+    const purchase = await this.purchaseFor(tx, supplier, shipped.purchaseNumber);
+    const existing = await tx.findOne<ExpectedReceipt>('expected_receipts', {
+      supplierId: supplier.id,
+      asnNumber: notice.shipmentId,
+      purchaseId: purchase.id
+    });
+
+    if (notice.purpose === 'cancel') {
+      if (!existing || existing.status !== 'expected') {
+        throw new Error(`No expected receipt ${notice.shipmentId} to cancel`);
+      }
+      return tx.update<ExpectedReceipt>('expected_receipts', existing.id, { status: 'cancelled', updatedAt: new Date() });
+    }
+    if (existing && existing.status !== 'expected') {
+      throw new Error(`Ship notice ${notice.shipmentId} for ${purchase.purchaseNumber} is already ${existing.status}`);
+    }
+    if (existing && notice.purpose === 'original') {
+      throw new Error(`Ship notice ${notice.shipmentId} for ${purchase.purchaseNumber} was already processed`);
+    }
+
+    const items = shipped.lines.map(line => {
+      const item = this.purchaseItemFor(purchase, line);
+      if (!item) {
+        throw new Error(`Ship notice line ${line.lineNumber ?? line.productId ?? line.supplierSku} is not on ${purchase.purchaseNumber}`);
+      }
+      return {
+        poItemId: item.id,
+        productId: item.productId,
+        productName: item.productName,
+        quantity: line.quantity,
+        ...(line.lotNumber && { lotNumber: line.lotNumber })
+      };
+    });
+
+    const fields = {
+      status: 'expected' as const,
+      carrier: notice.carrier,
+      trackingNumber: notice.trackingNumber,
+      billOfLading: notice.billOfLading,
+      shippedAt: notice.shippedAt,
+      expectedAt: notice.estimatedDelivery || purchase.expectedDelivery,
+      items,
+      interchangeId,
+      updatedAt: new Date()
+    };
+    if (purchase.status === 'approved') {
+      await tx.update('purchases', purchase.id, { status: 'ordered', updatedAt: new Date() });
+    }
+    if (existing) {
+      return tx.update<ExpectedReceipt>('expected_receipts', existing.id, fields);
+    }
+    return tx.create<ExpectedReceipt>('expected_receipts', {
+      id: this.generateId('asn'),
+      asnNumber: notice.shipmentId,
+      supplierId: supplier.id,
+      supplierName: supplier.name,
+      purchaseId: purchase.id,
+      purchaseNumber: purchase.purchaseNumber,
+      createdAt: new Date(),
+      ...fields
+    });
+  }
+
+  private async purchaseFor(tx: Pick<Transaction, 'findOne'>, supplier: any, purchaseNumber: string): Promise<any> {
+    const purchase = await tx.findOne<any>('purchases', { purchaseNumber, supplierId: supplier.id });
+    if (!purchase) {
+      throw new Error(`${supplier.name} has no purchase order ${purchaseNumber}`);
+    }
+    if (['draft', 'pending', 'cancelled'].includes(purchase.status)) {
+      throw new Error(`Purchase order ${purchaseNumber} is ${purchase.status}`);
+    }
+    return purchase;
+  }
+
+  // By the PO1 line number the supplier echoes back, else by our product ID or their part number
+  private purchaseItemFor(purchase: any, line: { lineNumber?: number; productId?: string; supplierSku?: string }): any {
+    const items: any[] = purchase.items;
+    return (line.lineNumber && items[line.lineNumber - 1]) ||
+      items.find(item => line.productId && item.productId === line.productId) ||
+      items.find(item => line.supplierSku && item.supplierSku === line.supplierSku);
+  }
+
+  private envelope(
+    settings: { ediInterchangeId: string; ediQualifier: string },
+    partner: SupplierEdiProfile,
+    controlNumber: string,
+    transaction: TransactionSet
+  ): Interchange {
+    return {
+      sender: { qualifier: settings.ediQualifier, id: settings.ediInterchangeId },
+      receiver: { qualifier: partner.qualifier || 'ZZ', id: partner.interchangeId },
+      date: new Date(),
+      controlNumber,
+      usage: partner.testMode ? 'T' : 'P',
+      groups: [{
+        functionalId: FUNCTIONAL_IDS[transaction.type],
+        senderCode: settings.ediInterchangeId,
+        receiverCode: partner.groupCode || partner.interchangeId,
+        controlNumber: String(Number(controlNumber)),
+        transactions: [transaction]
+      }]
+    };
+  }
+
+  // ISA13 runs on per company across everything we send
+  private async nextControlNumber(tx: Transaction): Promise<string> {
+    const sent = await tx.find('edi_interchanges', { direction: 'outbound' });
+    return String(sent.length + 1).padStart(9, '0');
+  }
+
+  private folder(kind: 'outbound' | 'inbound' | 'archive' | 'failed'): string {
+    return path.join(DROP_FOLDER, currentCompanyId() || DEFAULT_COMPANY_ID, kind);
+  }
+
+  private async writeFile(kind: 'outbound', fileName: string, content: string): Promise<void> {
+    const folder = this.folder(kind);
+    await fs.mkdir(folder, { recursive: true });
+    // Written under a temporary name so the partner's client never picks up half a file
+    const temporary = path.join(folder, `.${fileName}.tmp`);
+    await fs.writeFile(temporary, content, 'utf8');
+    await fs.rename(temporary, path.join(folder, fileName));
+  }
+
+  stopPolling(): void {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  private startPolling(): void {
+    if (!(POLL_INTERVAL_MS > 0)) return;
+    this.pollTimer = setInterval(() => {
+      this.pollAllCompanies().catch(error => console.error('Error processing inbound EDI:', error));
+    }, POLL_INTERVAL_MS);
+    this.pollTimer.unref?.();
+  }
+
+  private async pollAllCompanies(): Promise<void> {
+    const companies = await this.databaseService.find<any>('companies', { isActive: true });
+    for (const company of companies) {
+      await runAsCompany(company.id, () => this.processInbound());
+    }
+  }
+
+  private generateId(prefix: string): string {
+    return prefix + '_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  }
+}
@@ -0,0 +1,95 @@
+// services/ImportService.spec.ts
+import { ImportService } from './ImportService';
+import { DatabaseService } from './DatabaseService';
+import { WarehouseService } from './WarehouseService';
+import { OrderFulfillmentService } from './OrderFulfillmentService';
+import { MemoryStorageAdapter } from './storage/MemoryStorageAdapter';
+import { Transaction } from './storage/Transaction';
+
+jest.mock('@varld/warp', () => ({ Injectable: () => () => undefined }), { virtual: true });
+
+// Product imports do not move stock, so the stock services are only passed in as stubs
+jest.mock('./WarehouseService', () => ({ WarehouseService: class {} }));
+jest.mock('./OrderFulfillmentService', () => ({ OrderFulfillmentService: class {} }));
+
+const csv = (...lines: string[]) => ({ fileName: 'products.csv', content: Buffer.from(lines.join('\n')) });
+
+describe('ImportService', () => {
+  let db: DatabaseService;
+  let imports: ImportService;
+
+  const productsBySku = async () => Object.fromEntries(
+    (await db.find<any>('products', {})).map(product => [product.sku, product.price])
+  );
+
+  beforeAll(() => {
+    process.env.DATABASE_FIXTURES = '';
+    for (const method of ['log', 'error'] as const) {
+      jest.spyOn(console, method).mockImplementation(() => undefined);
+    }
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(async () => {
+    db = new DatabaseService(new MemoryStorageAdapter());
+    await db.whenReady();
+    imports = new ImportService(db, {} as WarehouseService, {} as OrderFulfillmentService);
+    await db.create('products', { id: 'prod_rebar', sku: 'RB-4', name: 'Rebar #4', category: 'Steel', price: 12, status: 'active' });
+  });
+
+  it('previews what each row would do without writing anything', async () => {
+    const result = await imports.importSheet('products', csv('SKU,Name,Category,Price', 'RB-4,Rebar #4,Steel,13', 'LB-2,Lumber 2x4,Lumber,6'));
+
+    expect(result).toMatchObject({ committed: false, totals: { rows: 2, create: 1, update: 1, errors: 0 } });
+    expect(result.rows[0].changes).toEqual([{ field: 'price', from: 12, to: 13 }]);
+    expect(await productsBySku()).toEqual({ 'RB-4': 12 });
+  });
+
+  it('writes nothing when any row is invalid, and returns the sheet with the errors', async () => {
+    const result = await imports.importSheet('products', {
+      ...csv('SKU,Name,Category,Price', 'RB-4,Rebar #4,Steel,13', 'LB-2,Lumber 2x4,Lumber,-6'),
+      commit: true
+    });
+
+    expect(result).toMatchObject({ committed: false, totals: { update: 1, errors: 1 } });
+    expect(result.rows[1]).toMatchObject({ row: 3, action: 'error' });
+    expect(Buffer.from(result.errorReport!.content, 'base64').toString()).toContain('Errors');
+    expect(await productsBySku()).toEqual({ 'RB-4': 12 });
+    expect(await db.count('import_batches', {})).toBe(0);
+  });
+
+  it('commits every row and records the batch when the sheet is valid', async () => {
+    const result = await imports.importSheet('products', {
+      ...csv('SKU,Name,Category,Price', 'RB-4,Rebar #4,Steel,13', 'LB-2,Lumber 2x4,Lumber,6'),
+      commit: true
+    });
+
+    expect(result).toMatchObject({ committed: true, importNumber: expect.stringMatching(/^IMP-\d{6}-0001$/) });
+    expect(await productsBySku()).toEqual({ 'RB-4': 13, 'LB-2': 6 });
+    expect(await db.findOne('import_batches', {})).toMatchObject({ importNumber: result.importNumber, totals: { create: 1, update: 1 } });
+  });
+
+  it('rolls back the rows already written when a later write fails', async () => {
+    const create = Transaction.prototype.create;
+    const failing = jest.spyOn(Transaction.prototype, 'create').mockImplementation(function (this: Transaction, collection, data) {
+      if (collection === 'import_batches') {
+        return Promise.reject(new Error('Disk full'));
+      }
+      return create.call(this, collection, data);
+    });
+
+    try {
+      await expect(imports.importSheet('products', {
+        ...csv('SKU,Name,Category,Price', 'RB-4,Rebar #4,Steel,13', 'LB-2,Lumber 2x4,Lumber,6'),
+        commit: true
+      })).rejects.toThrow('Disk full');
+    } finally {
+      failing.mockRestore();
+    }
+
+    expect(await productsBySku()).toEqual({ 'RB-4': 12 });
+  });
+});
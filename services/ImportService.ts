@@ -0,0 +1,811 @@
+// services/ImportService.ts
+import { Injectable } from '@varld/warp';
+import { DatabaseService } from './DatabaseService';
+import { WarehouseService, Location, MovementDetails } from './WarehouseService';
+import { OrderFulfillmentService } from './OrderFulfillmentService';
+import { Transaction } from './storage/Transaction';
+import { currentUserId } from './auth/RequestContext';
+import { resolvePaymentTerms } from './invoicing/PaymentTerms';
+import { PriceList, PriceListEntry, validateEntries } from './pricing/PriceRules';
+import { balancesOf, takeStock, stockStatus, UNASSIGNED_BIN } from './inventory/StockBalances';
+import {
+  CellValue,
+  SpreadsheetFormat,
+  SPREADSHEET_CONTENT_TYPES,
+  formatOf,
+  readSheet,
+  writeSheet
+} from './imports/Spreadsheets';
+import {
+  ColumnSpec,
+  EntitySpec,
+  IMPORT_ENTITIES,
+  ImportEntity,
+  RowError,
+  formatBreaks,
+  getPath,
+  mapColumns,
+  missingForCreate,
+  parseBreaks,
+  parseRow,
+  setPath
+} from './imports/ImportSchemas';
+
+export interface ImportRequest {
+  content: Buffer;
+  fileName?: string;
+  format?: string;
+  // Sheet header to field (or our header), for sheets that don't use our headers
+  mapping?: Record<string, string>;
+  commit?: boolean;
+}
+
+export interface FieldChange {
+  field: string;
+  from: any;
+  to: any;
+}
+
+export interface ImportRowResult {
+  row: number;
+  key: string;
+  action: 'create' | 'update' | 'unchanged' | 'error';
+  id?: string;
+  changes: FieldChange[];
+  errors: RowError[];
+}
+
+export interface ImportResult {
+  entity: ImportEntity;
+  fileName?: string;
+  format: SpreadsheetFormat;
+  committed: boolean;
+  importNumber?: string;
+  columns: { mapped: Record<string, string>; ignored: string[] };
+  totals: { rows: number; create: number; update: number; unchanged: number; errors: number };
+  rows: ImportRowResult[];
+  // The sheet back with an Errors column, to fix and upload again
+  errorReport?: SpreadsheetDocument;
+}
+
+export interface SpreadsheetDocument {
+  fileName: string;
+  contentType: string;
+  encoding: 'base64';
+  content: string;
+}
+
+export interface ImportBatch {
+  id: string;
+  importNumber: string;
+  entity: ImportEntity;
+  fileName?: string;
+  format: SpreadsheetFormat;
+  totals: ImportResult['totals'];
+  rows: Array<{ row: number; key: string; action: ImportRowResult['action']; id?: string }>;
+  importedAt: Date;
+  importedBy: string;
+}
+
+// One row's outcome, with the writes to make if the import is committed
+interface PlannedRow extends ImportRowResult {
+  apply?: (tx: Transaction, movement: MovementDetails) => Promise<any>;
+}
+
+// What the caller sees of a planned row: everything but the write it would make
+function rowResult(row: PlannedRow): ImportRowResult {
+  return { row: row.row, key: row.key, action: row.action, id: row.id, changes: row.changes, errors: row.errors };
+}
+
+interface ParsedRow {
+  row: number;
+  values: Record<string, any>;
+  errors: RowError[];
+}
+
+// Bulk loading of products, stock, customers, suppliers and price lists from CSV or
+// XLSX. Every row is checked and compared with what is on file first; the result
+// lists the records each row would create or change. Nothing is written unless the
+// caller commits and every row is valid, and then the whole sheet is written in one
+// transaction. Exports use the same columns so a sheet can go out and come back in.
+@Injectable()
+export class ImportService {
+  constructor(
+    private databaseService: DatabaseService,
+    private warehouseService: WarehouseService,
+    private fulfillmentService: OrderFulfillmentService
+  ) {}
+
+  async importSheet(entity: ImportEntity, request: ImportRequest): Promise<ImportResult> {
+    const spec = IMPORT_ENTITIES[entity];
+    const format = formatOf(request.fileName, request.format);
+    const sheet = await readSheet(request.content, format);
+    if (sheet.rows.length === 0) {
+      throw new Error('The sheet has no rows to import');
+    }
+
+    const { columns, ignored, missing } = mapColumns(sheet.headers, spec, request.mapping);
+    if (missing.length > 0) {
+      throw new Error(`Missing column(s): ${missing.join(', ')}`);
+    }
+
+    const parsed: ParsedRow[] = sheet.rows.map((row, index) => ({
+      row: index + 2,
+      ...parseRow(row, index + 2, columns, spec)
+    }));
+
+    return this.databaseService.transaction(async tx => {
+      const planned = await this.plan(tx, entity, parsed, spec);
+      const totals = {
+        rows: planned.length,
+        create: planned.filter(row => row.action === 'create').length,
+        update: planned.filter(row => row.action === 'update').length,
+        unchanged: planned.filter(row => row.action === 'unchanged').length,
+        errors: planned.filter(row => row.action === 'error').length
+      };
+
+      const result: ImportResult = {
+        entity,
+        fileName: request.fileName,
+        format,
+        committed: false,
+        columns: {
+          mapped: Object.fromEntries(Object.entries(columns).map(([header, column]) => [header, column.field])),
+          ignored
+        },
+        totals,
+        rows: planned.map(rowResult)
+      };
+
+      if (totals.errors > 0) {
+        result.errorReport = this.errorReport(sheet.headers, sheet.rows, planned, format, request.fileName || `${entity}.${format}`);
+        return result;
+      }
+      if (!request.commit) {
+        return result;
+      }
+
+      const importNumber = await this.generateNumber(tx);
+      const movement: MovementDetails = { type: 'adjustment', reason: 'Spreadsheet import', reference: importNumber };
+      for (const row of planned) {
+        if (row.apply) {
+          const saved = await row.apply(tx, movement);
+          row.id = row.id || saved?.id;
+        }
+      }
+
+      await tx.create<ImportBatch>('import_batches', {
+        id: this.generateId('imp'),
+        importNumber,
+        entity,
+        fileName: request.fileName,
+        format,
+        totals,
+        rows: planned.map(row => ({ row: row.row, key: row.key, action: row.action, id: row.id })),
+        importedAt: new Date(),
+        importedBy: currentUserId()
+      });
+
+      console.log(`📥 Import ${importNumber}: ${spec.label} - ${totals.create} created, ${totals.update} updated`);
+      return {
+        ...result,
+        committed: true,
+        importNumber,
+        rows: planned.map(rowResult)
+      };
+    });
+  }
+
+  // Every record of the type, in the columns the import reads
+  async exportSheet(entity: ImportEntity, format: SpreadsheetFormat): Promise<SpreadsheetDocument> {
+    const spec = IMPORT_ENTITIES[entity];
+    const records = await this.exportRows(entity);
+    const rows = records.map(record =>
+      Object.fromEntries(spec.columns.map(column => [column.header, this.exportValue(getPath(record, column.field), column)])));
+
+    const content = writeSheet(spec.columns.map(column => column.header), rows, format, spec.label);
+    return {
+      fileName: `${entity}-${new Date().toISOString().slice(0, 10)}.${format}`,
+      contentType: SPREADSHEET_CONTENT_TYPES[format],
+      encoding: 'base64',
+      content: content.toString('base64')
+    };
+  }
+
+  async listBatches(filters: { entity?: string } = {}): Promise<ImportBatch[]> {
+    return this.databaseService.find<ImportBatch>('import_batches', filters.entity ? { entity: filters.entity } : {}, {
+      sort: { importedAt: -1 }
+    });
+  }
+
+  private async plan(tx: Transaction, entity: ImportEntity, parsed: ParsedRow[], spec: EntitySpec): Promise<PlannedRow[]> {
+    const planned = await {
+      products: () => this.planProducts(tx, parsed, spec),
+      inventory: () => this.planInventory(tx, parsed),
+      customers: () => this.planContacts(tx, parsed, spec, 'customers'),
+      suppliers: () => this.planContacts(tx, parsed, spec, 'suppliers'),
+      price_lists: () => this.planPriceLists(tx, parsed, spec)
+    }[entity]();
+
+    for (const row of planned) {
+      if (row.errors.length > 0) {
+        row.action = 'error';
+        row.changes = [];
+        delete row.apply;
+      }
+    }
+    return planned;
+  }
+
+  // Matched on SKU; products that have never had one are matched on name
+  private async planProducts(tx: Transaction, parsed: ParsedRow[], spec: EntitySpec): Promise<PlannedRow[]> {
+    const products = await tx.find<any>('products', {});
+    const bySku = new Map(products.filter(product => product.sku).map(product => [normalize(product.sku), product]));
+    const byName = new Map(products.filter(product => !product.sku).map(product => [normalize(product.name), product]));
+    const seen = new Set<string>();
+
+    return parsed.map(({ row, values, errors }) => {
+      const key = values.sku || values.name || '';
+      const planned = this.rowResult(row, key, errors);
+      if (!values.sku && !values.name) {
+        planned.errors.push({ row, message: 'Either SKU or Name is required' });
+      }
+      this.assertUnique(planned, seen, normalize(key));
+
+      const existing = (values.sku && bySku.get(normalize(values.sku))) ||
+        (values.name ? byName.get(normalize(values.name)) : undefined);
+
+      return this.upsert(planned, spec, 'products', existing, values, () => ({
+        id: this.generateId('prod'),
+        status: 'active',
+        unit: 'each',
+        description: '',
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }), async (tx, saved, changes) => {
+        // Stock records carry a copy of the product's name and category
+        const copied = changes.filter(change => ['name', 'category', 'unit'].includes(change.field));
+        if (existing && copied.length > 0) {
+          for (const inventory of await tx.find<any>('inventory', { productId: saved.id })) {
+            await tx.update('inventory', inventory.id, {
+              ...(saved.name !== inventory.productName && { productName: saved.name }),
+              category: saved.category,
+              unit: saved.unit
+            });
+          }
+        }
+      });
+    });
+  }
+
+  // Sets the quantity on hand of a product at a location. Differences are received
+  // into (or issued from) the row's bin and lot and written as adjustments, so the
+  // stock movements and cost layers stay complete.
+  private async planInventory(tx: Transaction, parsed: ParsedRow[]): Promise<PlannedRow[]> {
+    const products = await tx.find<any>('products', {});
+    const locations = await tx.find<Location>('locations', {});
+    const seen = new Set<string>();
+    const planned: PlannedRow[] = [];
+
+    for (const { row, values, errors } of parsed) {
+      const key = `${values.sku ?? ''} @ ${values.location ?? ''}`;
+      const result = this.rowResult(row, key, errors);
+      planned.push(result);
+
+      const product = values.sku && (
+        products.find(candidate => candidate.sku && normalize(candidate.sku) === normalize(values.sku)) ||
+        products.find(candidate => candidate.id === values.sku));
+      const location = values.location ? locations.find(candidate =>
+        normalize(candidate.code) === normalize(values.location) || candidate.id === values.location) : undefined;
+      if (values.sku && !product) {
+        result.errors.push({ row, column: 'SKU', value: values.sku, message: `No product with SKU or ID ${values.sku}` });
+      }
+      if (values.location && !location) {
+        result.errors.push({ row, column: 'Location', value: values.location, message: `No location ${values.location}` });
+      } else if (location && !location.isActive) {
+        result.errors.push({ row, column: 'Location', message: `Location ${location.name} is inactive` });
+      }
+      if (!product || !location || result.errors.length > 0) {
+        continue;
+      }
+      this.assertUnique(result, seen, `${product.id}@${location.id}`);
+
+      const binCode = values.binCode || UNASSIGNED_BIN;
+      if (values.binCode && !location.bins.some(bin => bin.code === values.binCode && bin.isActive)) {
+        result.errors.push({ row, column: 'Bin', value: values.binCode, message: `No active bin ${values.binCode} at ${location.name}` });
+      }
+
+      const existing = await tx.findOne<any>('inventory', { productId: product.id, locationId: location.id })
+        || await tx.findOne<any>('inventory', { productId: product.id, location: location.name, locationId: { $exists: false } });
+      const current = existing?.quantity || 0;
+      const difference = values.quantity - current;
+
+      if (existing && values.quantity < (existing.reservedQuantity || 0)) {
+        result.errors.push({
+          row,
+          column: 'Quantity',
+          value: values.quantity,
+          message: `Cannot go below the ${existing.reservedQuantity} units reserved for open orders`
+        });
+      }
+      if (existing && difference < 0) {
+        try {
+          takeStock(balancesOf(existing), -difference, { binCode: values.binCode, lotNumber: values.lotNumber });
+        } catch (error) {
+          result.errors.push({ row, column: 'Quantity', value: values.quantity, message: error.message });
+        }
+      }
+      if (result.errors.length > 0) {
+        continue;
+      }
+
+      const levels: Record<string, number> = {};
+      for (const field of ['minimumStock', 'maximumStock']) {
+        if (values[field] !== undefined && values[field] !== existing?.[field]) {
+          levels[field] = values[field];
+        }
+      }
+      const minimum = levels.minimumStock ?? existing?.minimumStock;
+      const maximum = levels.maximumStock ?? existing?.maximumStock;
+      if (minimum !== undefined && maximum !== undefined && minimum > maximum) {
+        result.errors.push({ row, column: 'Minimum Stock', message: 'Minimum stock is above maximum stock' });
+        continue;
+      }
+
+      result.id = existing?.id;
+      result.changes = [
+        ...(difference !== 0 || !existing ? [{ field: 'quantity', from: existing ? current : null, to: values.quantity }] : []),
+        ...Object.entries(levels).map(([field, to]) => ({ field, from: existing?.[field] ?? null, to }))
+      ];
+      result.action = !existing ? 'create' : result.changes.length > 0 ? 'update' : 'unchanged';
+      if (result.action === 'unchanged') {
+        continue;
+      }
+
+      result.apply = async (tx, movement) => {
+        const inventory = existing || await this.warehouseService.ensureInventoryAt(tx, product.id, location.id);
+        if (difference > 0) {
+          await this.warehouseService.receiveInto(tx, inventory, difference, {
+            binCode,
+            lotNumber: values.lotNumber,
+            expirationDate: values.expirationDate,
+            unitCost: values.unitCost
+          }, movement, levels);
+        } else if (difference < 0) {
+          await this.warehouseService.issueFrom(tx, inventory, -difference, {
+            binCode: values.binCode,
+            lotNumber: values.lotNumber
+          }, movement, levels);
+        } else if (Object.keys(levels).length > 0) {
+          await tx.update('inventory', inventory.id, { ...levels, lastUpdated: new Date() });
+        }
+
+        const updated = await tx.findById<any>('inventory', inventory.id);
+        await tx.update('inventory', inventory.id, { status: stockStatus(updated) });
+        if (difference > 0) {
+          await this.fulfillmentService.allocateBackordersIn(tx, product.id);
+        }
+        return updated;
+      };
+    }
+    return planned;
+  }
+
+  // Customers and suppliers are matched on their code, or on email for records
+  // without one; a matched record without a code takes the sheet's
+  private async planContacts(
+    tx: Transaction,
+    parsed: ParsedRow[],
+    spec: EntitySpec,
+    collection: 'customers' | 'suppliers'
+  ): Promise<PlannedRow[]> {
+    const records = await tx.find<any>(collection, {});
+    const seen = new Set<string>();
+
+    return parsed.map(({ row, values, errors }) => {
+      const key = values.code || values.email || '';
+      const planned = this.rowResult(row, key, errors);
+      if (!values.code && !values.email) {
+        planned.errors.push({ row, message: 'Either Code or Email is required' });
+      }
+      this.assertUnique(planned, seen, normalize(key));
+
+      const byCode = values.code ? records.find(record => record.code && normalize(record.code) === normalize(values.code)) : undefined;
+      const byEmail = values.email ? records.find(record => normalize(record.email) === normalize(values.email)) : undefined;
+      const existing = byCode || (byEmail && (!values.code || !byEmail.code) ? byEmail : undefined);
+      if (byEmail && byEmail !== existing) {
+        planned.errors.push({ row, column: 'Email', value: values.email, message: `${values.email} is already used by ${byEmail.code || byEmail.id}` });
+      }
+
+      if (values.paymentTerms && !sameValue(existing?.paymentTerms, values.paymentTerms)) {
+        try {
+          resolvePaymentTerms(values.paymentTerms);
+        } catch (error) {
+          planned.errors.push({ row, column: 'Payment Terms', value: values.paymentTerms, message: error.message });
+        }
+      }
+      // Credit holds come and go with the customer's balance, not by import
+      if (values.status === 'credit_hold' && existing?.status !== 'credit_hold') {
+        planned.errors.push({ row, column: 'Status', value: values.status, message: 'Credit holds are placed by the credit check' });
+      }
+      if (existing?.status === 'credit_hold' && values.status && values.status !== 'credit_hold') {
+        planned.errors.push({ row, column: 'Status', value: values.status, message: 'Release the credit hold from the customer record' });
+      }
+
+      return this.upsert(planned, spec, collection, existing, values, () => collection === 'customers'
+        ? {
+          id: this.generateId('cust'),
+          creditLimit: 10000,
+          paymentTerms: 'Net 30',
+          status: 'active',
+          createdAt: new Date(),
+          totalOrders: 0,
+          totalSpent: 0,
+          riskScore: 0.5,
+          loyaltyTier: 'bronze',
+          address: { street: '', city: '', state: '', zipCode: '', country: 'USA' }
+        }
+        : {
+          id: this.generateId('sup'),
+          paymentTerms: 'Net 30',
+          creditLimit: 50000,
+          status: 'active',
+          rating: 3.0,
+          address: ''
+        });
+    });
+  }
+
+  // One row per price list entry. Rows are grouped into lists by name; the list's
+  // type and who it applies to are read from its rows and fixed once it exists.
+  // Entries the sheet leaves out are kept.
+  private async planPriceLists(tx: Transaction, parsed: ParsedRow[], spec: EntitySpec): Promise<PlannedRow[]> {
+    const products = await tx.find<any>('products', {});
+    const priceLists = await tx.find<PriceList>('price_lists', {});
+    const planned: PlannedRow[] = [];
+    const groups = new Map<string, Array<{ parsed: ParsedRow; result: PlannedRow }>>();
+
+    for (const current of parsed) {
+      const { row, values, errors } = current;
+      const result = this.rowResult(row, `${values.priceList ?? ''} / ${values.sku ?? ''}`, errors);
+      planned.push(result);
+      if (values.priceList) {
+        const name = normalize(values.priceList);
+        groups.set(name, [...(groups.get(name) || []), { parsed: current, result }]);
+      }
+    }
+
+    for (const rows of groups.values()) {
+      const first = rows[0];
+      const existing = priceLists.find(list => normalize(list.name) === normalize(first.parsed.values.priceList));
+
+      // The list's own settings, which every row of the list has to agree on
+      const settings: Record<string, any> = {};
+      for (const { parsed: { row, values }, result } of rows) {
+        for (const field of ['type', 'priceLevel', 'customer', 'project', 'effectiveFrom', 'effectiveTo']) {
+          if (values[field] === undefined) continue;
+          if (settings[field] !== undefined && !sameValue(settings[field], values[field])) {
+            const column = spec.columns.find(candidate => candidate.field === field)!;
+            result.errors.push({ row, column: column.header, value: values[field], message: `Differs from earlier rows of ${values.priceList}` });
+          } else {
+            settings[field] = values[field];
+          }
+        }
+      }
+
+      const target = await this.priceListTarget(tx, settings, existing);
+      if (target.error) {
+        first.result.errors.push({ row: first.parsed.row, message: target.error });
+      }
+
+      const entries: PriceListEntry[] = (existing?.entries || []).map(entry => ({ ...entry }));
+      const seen = new Set<string>();
+      for (const { parsed: { row, values }, result } of rows) {
+        const product = values.sku && (
+          products.find(candidate => candidate.sku && normalize(candidate.sku) === normalize(values.sku)) ||
+          products.find(candidate => candidate.id === values.sku));
+        if (values.sku && !product) {
+          result.errors.push({ row, column: 'SKU', value: values.sku, message: `No product with SKU or ID ${values.sku}` });
+          continue;
+        }
+        if (!product) continue;
+        this.assertUnique(result, seen, product.id);
+
+        let breaks: PriceListEntry['breaks'];
+        if (values.breaks !== undefined) {
+          try {
+            breaks = parseBreaks(values.breaks);
+          } catch (error) {
+            result.errors.push({ row, column: 'Quantity Breaks', value: values.breaks, message: error.message });
+          }
+        }
+
+        const entry = entries.find(candidate => candidate.productId === product.id);
+        result.changes = [];
+        if (!entry || !sameValue(entry.unitPrice, values.unitPrice)) {
+          result.changes.push({ field: 'unitPrice', from: entry?.unitPrice ?? null, to: values.unitPrice });
+        }
+        if (breaks && formatBreaks(entry?.breaks) !== formatBreaks(breaks)) {
+          result.changes.push({ field: 'breaks', from: formatBreaks(entry?.breaks) || null, to: formatBreaks(breaks) || null });
+        }
+        result.action = entry ? (result.changes.length > 0 ? 'update' : 'unchanged') : 'create';
+
+        if (entry) {
+          entry.unitPrice = values.unitPrice;
+          if (breaks) entry.breaks = breaks.length > 0 ? breaks : undefined;
+        } else {
+          entries.push({ productId: product.id, unitPrice: values.unitPrice, ...(breaks && breaks.length > 0 && { breaks }) });
+        }
+      }
+
+      // Dates belong to the list; a changed date shows against the list's first row
+      const dates: Partial<PriceList> = {};
+      for (const field of ['effectiveFrom', 'effectiveTo'] as const) {
+        if (existing && settings[field] !== undefined && !sameValue(existing[field], settings[field])) {
+          dates[field] = settings[field];
+          first.result.changes.push({ field, from: existing[field] ?? null, to: settings[field] });
+          if (first.result.action === 'unchanged') first.result.action = 'update';
+        }
+      }
+
+      let validated: PriceListEntry[] = [];
+      try {
+        validated = validateEntries(entries);
+      } catch (error) {
+        first.result.errors.push({ row: first.parsed.row, message: error.message });
+      }
+      if (rows.some(({ result }) => result.errors.length > 0)) {
+        continue;
+      }
+
+      const writes = rows.filter(({ result }) => result.action !== 'unchanged');
+      if (writes.length === 0) continue;
+      const listId = existing?.id || this.generateId('pl');
+      for (const { result } of rows) result.id = listId;
+
+      // The list is written once, by the first of its rows that changes anything
+      writes[0].result.apply = async tx => existing
+        ? tx.update<PriceList>('price_lists', existing.id, { ...dates, entries: validated, updatedAt: new Date() })
+        : tx.create<PriceList>('price_lists', {
+          id: listId,
+          name: first.parsed.values.priceList,
+          type: settings.type,
+          priceLevel: settings.priceLevel,
+          customerId: target.customerId,
+          projectId: target.projectId,
+          effectiveFrom: settings.effectiveFrom,
+          effectiveTo: settings.effectiveTo,
+          status: 'active',
+          entries: validated,
+          createdAt: new Date(),
+          updatedAt: new Date(),
+          createdBy: currentUserId()
+        });
+    }
+
+    return planned;
+  }
+
+  // Who a new list applies to, or why an existing list can't take the sheet's settings
+  private async priceListTarget(
+    tx: Transaction,
+    settings: Record<string, any>,
+    existing?: PriceList
+  ): Promise<{ customerId?: string; projectId?: string; error?: string }> {
+    const customer = settings.customer
+      ? await tx.findOne<any>('customers', { code: settings.customer }) || await tx.findById<any>('customers', settings.customer)
+      : null;
+    const project = settings.project
+      ? await tx.findOne<any>('projects', { projectNumber: settings.project }) || await tx.findById<any>('projects', settings.project)
+      : null;
+    if (settings.customer && !customer) return { error: `No customer ${settings.customer}` };
+    if (settings.project && !project) return { error: `No project ${settings.project}` };
+
+    if (existing) {
+      if ((settings.type && settings.type !== existing.type) ||
+          (customer && customer.id !== existing.customerId) ||
+          (project && project.id !== existing.projectId) ||
+          (settings.priceLevel && settings.priceLevel !== existing.priceLevel)) {
+        return { error: `Price list ${existing.name} cannot be moved to another type, customer, project or price level` };
+      }
+      return {};
+    }
+
+    switch (settings.type) {
+      case undefined:
+        return { error: 'Type is required for new price lists' };
+      case 'price_level':
+        return settings.priceLevel ? {} : { error: 'Price Level is required for a price level list' };
+      case 'customer':
+        return customer ? { customerId: customer.id } : { error: 'Customer Code is required for a customer price list' };
+      case 'contract':
+        if (!customer || !project) return { error: 'Contract price lists need a Customer Code and Project Number' };
+        if (project.customerId !== customer.id) return { error: 'Contract prices must be for one of the customer\'s own projects' };
+        return { customerId: customer.id, projectId: project.id };
+      case 'promotion':
+        if (!settings.effectiveFrom || !settings.effectiveTo) return { error: 'Promotions need Effective From and Effective To' };
+        if (settings.effectiveTo < settings.effectiveFrom) return { error: 'Effective To must be after Effective From' };
+        return {};
+    }
+    return {};
+  }
+
+  // Creates a record from the row, or works out which of its filled-in fields differ
+  private upsert(
+    planned: PlannedRow,
+    spec: EntitySpec,
+    collection: string,
+    existing: any,
+    values: Record<string, any>,
+    defaults: () => Record<string, any>,
+    afterSave?: (tx: Transaction, saved: any, changes: FieldChange[]) => Promise<void>
+  ): PlannedRow {
+    if (!existing) {
+      // Cells that failed to parse are already reported
+      const missing = missingForCreate(values, spec).filter(header => !planned.errors.some(error => error.column === header));
+      if (missing.length > 0) {
+        planned.errors.push({ row: planned.row, message: `${missing.join(', ')} required for a new record` });
+      }
+    }
+    if (planned.errors.length > 0) {
+      planned.action = 'error';
+      return planned;
+    }
+
+    planned.changes = spec.columns
+      .filter(column => values[column.field] !== undefined && !sameValue(getPath(existing, column.field), values[column.field]))
+      .map(column => ({ field: column.field, from: getPath(existing, column.field) ?? null, to: values[column.field] }));
+    planned.id = existing?.id;
+    planned.action = !existing ? 'create' : planned.changes.length > 0 ? 'update' : 'unchanged';
+    if (planned.action === 'unchanged') {
+      return planned;
+    }
+
+    planned.apply = async tx => {
+      let saved;
+      if (existing) {
+        const updates: Record<string, any> = { updatedAt: new Date() };
+        for (const change of planned.changes) {
+          const [top] = change.field.split('.');
+          if (top !== change.field && updates[top] === undefined) {
+            updates[top] = { ...existing[top] };
+          }
+          setPath(updates, change.field, change.to);
+        }
+        saved = await tx.update(collection, existing.id, updates);
+      } else {
+        const record = defaults();
+        for (const [field, value] of Object.entries(values)) {
+          setPath(record, field, value);
+        }
+        saved = await tx.create(collection, record);
+      }
+      await afterSave?.(tx, saved, planned.changes);
+      return saved;
+    };
+    return planned;
+  }
+
+  private async exportRows(entity: ImportEntity): Promise<any[]> {
+    switch (entity) {
+      case 'products':
+        return this.databaseService.find('products', {}, { sort: { name: 1 } });
+      case 'customers':
+        return this.databaseService.find('customers', {}, { sort: { companyName: 1 } });
+      case 'suppliers':
+        return this.databaseService.find('suppliers', {}, { sort: { name: 1 } });
+      case 'inventory': {
+        const products = new Map((await this.databaseService.find<any>('products', {})).map(product => [product.id, product]));
+        const locations = await this.databaseService.find<Location>('locations', {});
+        const inventory = await this.databaseService.find<any>('inventory', {}, { sort: { productName: 1 } });
+        return inventory.map(item => {
+          const location = locations.find(candidate => candidate.id === item.locationId || (!item.locationId && candidate.name === item.location));
+          // Bin and lot are only unambiguous when everything sits in one place
+          const balances = balancesOf(item);
+          const only = balances.length === 1 ? balances[0] : undefined;
+          return {
+            ...item,
+            sku: products.get(item.productId)?.sku || item.productId,
+            location: location?.code || item.location,
+            binCode: only && only.binCode !== UNASSIGNED_BIN ? only.binCode : undefined,
+            lotNumber: only?.lotNumber,
+            expirationDate: only?.expirationDate
+          };
+        });
+      }
+      case 'price_lists': {
+        const products = new Map((await this.databaseService.find<any>('products', {})).map(product => [product.id, product]));
+        const customers = new Map((await this.databaseService.find<any>('customers', {})).map(customer => [customer.id, customer]));
+        const projects = new Map((await this.databaseService.find<any>('projects', {})).map(project => [project.id, project]));
+        const priceLists = await this.databaseService.find<PriceList>('price_lists', {}, { sort: { name: 1 } });
+        return priceLists.flatMap(list => list.entries.map(entry => ({
+          priceList: list.name,
+          type: list.type,
+          priceLevel: list.priceLevel,
+          customer: list.customerId && (customers.get(list.customerId)?.code || list.customerId),
+          project: list.projectId && (projects.get(list.projectId)?.projectNumber || list.projectId),
+          effectiveFrom: list.effectiveFrom,
+          effectiveTo: list.effectiveTo,
+          sku: products.get(entry.productId)?.sku || entry.productId,
+          unitPrice: entry.unitPrice,
+          breaks: formatBreaks(entry.breaks) || undefined
+        })));
+      }
+    }
+  }
+
+  private exportValue(value: any, column: ColumnSpec): CellValue | undefined {
+    if (value === null || value === undefined) return undefined;
+    if (column.type === 'date') return new Date(value);
+    if (typeof value === 'object') return JSON.stringify(value); // e.g. structured payment terms
+    return value;
+  }
+
+  private errorReport(
+    headers: string[],
+    rows: Array<Record<string, CellValue>>,
+    planned: PlannedRow[],
+    format: SpreadsheetFormat,
+    fileName: string
+  ): SpreadsheetDocument {
+    const withErrors = rows.map((row, index) => ({
+      ...row,
+      Errors: planned[index].errors.map(error => error.column ? `${error.column}: ${error.message}` : error.message).join('; ')
+    }));
+    const content = writeSheet([...headers.filter(header => header !== 'Errors'), 'Errors'], withErrors, format, 'Errors');
+    return {
+      fileName: fileName.replace(/(\.[^.]*)?$/, `-errors.${format}`),
+      contentType: SPREADSHEET_CONTENT_TYPES[format],
+      encoding: 'base64',
+      content: content.toString('base64')
+    };
+  }
+
+  private rowResult(row: number, key: string, errors: RowError[]): PlannedRow {
+    return { row, key: String(key), action: errors.length > 0 ? 'error' : 'unchanged', changes: [], errors: [...errors] };
+  }
+
+  // Two rows for the same record would overwrite each other
+  private assertUnique(planned: PlannedRow, seen: Set<string>, key: string): void {
+    if (!key) return;
+    if (seen.has(key)) {
+      planned.errors.push({ row: planned.row, message: `${planned.key} appears more than once in the sheet` });
+    }
+    seen.add(key);
+  }
+
+  private async generateNumber(tx: Transaction): Promise<string> {
+    const year = new Date().getFullYear();
+    const month = String(new Date().getMonth() + 1).padStart(2, '0');
+    const thisMonth = await tx.find('import_batches', {
+      importNumber: { $regex: `^IMP-${year}${month}` }
+    });
+    return `IMP-${year}${month}-${String(thisMonth.length + 1).padStart(4, '0')}`;
+  }
+
+  private generateId(prefix: string): string {
+    return prefix + '_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  }
+}
+
+function normalize(value: any): string {
+  return String(value ?? '').trim().toLowerCase();
+}
+
+// Blank and missing are the same, dates compare by day and money to the cent
+function sameValue(current: any, next: any): boolean {
+  if (current === undefined || current === null || current === '') {
+    return next === undefined || next === null || next === '';
+  }
+  if (next instanceof Date || current instanceof Date) {
+    const day = (value: any) => isNaN(new Date(value).getTime()) ? String(value) : new Date(value).toISOString().slice(0, 10);
+    return day(current) === day(next);
+  }
+  if (typeof next === 'number') {
+    return Math.abs(Number(current) - next) < 0.005;
+  }
+  if (typeof current === 'object') {
+    return JSON.stringify(current) === String(next);
+  }
+  return String(current).trim() === String(next).trim();
+}
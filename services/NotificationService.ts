@@ -1,9 +1,42 @@
 // services/NotificationService.ts
 import { Injectable } from '@varld/warp';
 import { DatabaseService } from './DatabaseService';
+import { currentCompanyId, runAsCompany } from './auth/RequestContext';
+import { DEFAULT_COMPANY_ID } from './storage/TenantScope';
+import { Company, resolveSettings } from './companies/CompanySettings';
+import {
+  DeliveryChannel,
+  EmailMessage,
+  NotificationTransports,
+  PermanentDeliveryError,
+  PushMessage,
+  SmsMessage,
+  TransportResult,
+  WebPushSubscription
+} from './notifications/Transports';
+import { CaptureTransport } from './notifications/CaptureTransport';
+import { SmtpEmailTransport } from './notifications/SmtpEmailTransport';
+import { HttpSmsGateway } from './notifications/HttpSmsGateway';
+import { WebPushTransport } from './notifications/WebPushTransport';
+import { escapeHtml, renderTemplate } from './notifications/Templates';
+import { sendWebhookRequest } from './webhooks/Signing';
+import {
+  DEFAULT_PREFERENCES,
+  DeliveryPreferences,
+  belongsInDigest,
+  buildDigestEmail,
+  bypassesQuietHours,
+  nextDigestAt,
+  quietUntil,
+  validatePreferences
+} from './notifications/DeliveryRules';
+
+const DELIVERY_SWEEP_INTERVAL_MS = 60 * 1000;
+const RETRY_BACKOFF_MS = 5 * 60 * 1000;
 
 interface Notification {
   id: string;
+  companyId: string;
   type: string;
   title: string;
   message: string;
@@ -53,26 +86,72 @@ interface PushTemplate {
 }
 
 interface NotificationSubscription {
+  id: string; // the user's id
   userId: string;
   email?: string;
   phone?: string;
-  preferences: {
-    email: boolean;
-    sms: boolean;
-    push: boolean;
-    categories: string[];
-  };
+  preferences: DeliveryPreferences;
+  pushSubscriptions?: WebPushSubscription[];
+  updatedAt?: Date;
 }
 
+// One message to one address on one channel. Held deliveries wait for the end of
+// quiet hours, the user's next digest, or their next retry.
+export interface NotificationDelivery {
+  id: string;
+  notificationId: string;
+  notificationType: string;
+  userId?: string;
+  channel: DeliveryChannel;
+  to: string;
+  content: EmailMessage | SmsMessage | PushMessage;
+  status: 'held' | 'sent' | 'delivered' | 'failed';
+  heldFor?: 'quiet_hours' | 'digest' | 'retry'; // kept after sending, for analytics
+  holdUntil?: Date;
+  attempts: number;
+  maxAttempts: number;
+  transport?: string;
+  messageId?: string;
+  digestId?: string;
+  error?: string;
+  receipts: Array<{ status: string; at: Date; detail?: string }>;
+  createdAt: Date;
+  sentAt?: Date;
+  deliveredAt?: Date;
+}
+
+interface Recipient {
+  userId?: string;
+  email?: string;
+  phone?: string;
+  subscription?: NotificationSubscription | null;
+}
+
+// Notifications go to the in-app inbox and, through pluggable transports, out by
+// email, SMS and web push. Each message is rendered from the notification type's
+// template and recorded as a delivery, which is held for the user's digest or quiet
+// hours, retried with backoff when the transport fails, and updated by receipts.
+// Without configured transports everything is captured locally (see
+// createDefaultTransports).
 @Injectable()
 export class NotificationService {
   private templates: Map<string, NotificationTemplate> = new Map();
-  private subscriptions: Map<string, NotificationSubscription> = new Map();
-  private retryQueue: Notification[] = [];
+  private transports: NotificationTransports;
+  private deliveryTimer: NodeJS.Timeout | null = null;
 
   constructor(private databaseService: DatabaseService) {
+    this.transports = this.createDefaultTransports();
     this.initializeTemplates();
-    this.startRetryProcessor();
+    this.startDeliverySweep();
+  }
+
+  // Replaces some or all transports, e.g. with a CaptureTransport in tests
+  setTransports(transports: Partial<NotificationTransports>): void {
+    this.transports = { ...this.transports, ...transports };
+  }
+
+  getTransports(): NotificationTransports {
+    return this.transports;
   }
 
   async send(notificationData: {
@@ -89,12 +168,13 @@ export class NotificationService {
     try {
       const notification: Notification = {
         id: this.generateId(),
+        companyId: currentCompanyId() || DEFAULT_COMPANY_ID,
         type: notificationData.type,
         title: notificationData.title,
         message: notificationData.message,
         data: notificationData.data,
         priority: notificationData.priority || 'medium',
-        channels: notificationData.channels || this.getDefaultChannels(notificationData.type),
+        channels: notificationData.channels || this.getDefaultChannels(notificationData.type, notificationData.recipientEmail),
         recipientId: notificationData.recipientId,
         recipientEmail: notificationData.recipientEmail,
         recipientPhone: notificationData.recipientPhone,
@@ -144,7 +224,7 @@ export class NotificationService {
         }
       }
 
-      return results.filter(r => !r.error) as Notification[];
+      return results.filter((r): r is Notification => !('error' in r));
     } catch (error) {
       console.error('Error sending bulk notifications:', error);
       throw error;
@@ -182,8 +262,15 @@ export class NotificationService {
     }
   }
 
-  async markAsRead(notificationId: string): Promise<void> {
+  // With recipientId, only that recipient's notification can be marked
+  async markAsRead(notificationId: string, recipientId?: string): Promise<void> {
     try {
+      if (recipientId) {
+        const notification = await this.databaseService.findById<Notification>('notifications', notificationId);
+        if (!notification || notification.recipientId !== recipientId) {
+          throw new Error('Notification not found');
+        }
+      }
       await this.databaseService.update('notifications', notificationId, {
         status: 'read',
         readAt: new Date()
@@ -217,11 +304,16 @@ export class NotificationService {
     }
   }
 
-  async subscribe(subscription: NotificationSubscription): Promise<void> {
+  async subscribe(subscription: Omit<NotificationSubscription, 'id'>): Promise<void> {
     try {
-      this.subscriptions.set(subscription.userId, subscription);
-      await this.databaseService.create('notification_subscriptions', subscription);
-      
+      const existing = await this.getSubscription(subscription.userId);
+      const record = { ...subscription, id: subscription.userId, updatedAt: new Date() };
+      if (existing) {
+        await this.databaseService.update('notification_subscriptions', subscription.userId, record);
+      } else {
+        await this.databaseService.create('notification_subscriptions', record);
+      }
+
       console.log(`🔔 User subscribed to notifications: ${subscription.userId}`);
     } catch (error) {
       console.error('Error subscribing to notifications:', error);
@@ -231,7 +323,7 @@ export class NotificationService {
 
   async unsubscribe(userId: string, channels?: string[]): Promise<void> {
     try {
-      const subscription = this.subscriptions.get(userId);
+      const subscription = await this.getSubscription(userId);
       
       if (subscription) {
         if (channels) {
@@ -251,8 +343,10 @@ export class NotificationService {
           };
         }
 
-        this.subscriptions.set(userId, subscription);
-        await this.databaseService.update('notification_subscriptions', userId, subscription);
+        await this.databaseService.update('notification_subscriptions', userId, {
+          preferences: subscription.preferences,
+          updatedAt: new Date()
+        });
       }
 
       console.log(`🔕 User unsubscribed from notifications: ${userId}`);
@@ -262,6 +356,116 @@ export class NotificationService {
     }
   }
 
+  async getPreferences(userId: string): Promise<DeliveryPreferences> {
+    return (await this.getSubscription(userId))?.preferences || { ...DEFAULT_PREFERENCES };
+  }
+
+  // Channels, digest and quiet hours; also where SMS goes, via phone
+  async updatePreferences(userId: string, input: any): Promise<DeliveryPreferences> {
+    const existing = await this.getSubscription(userId);
+    const preferences = validatePreferences(input || {}, existing?.preferences || DEFAULT_PREFERENCES);
+    const phone = input?.phone !== undefined ? String(input.phone || '') || undefined : existing?.phone;
+    await this.subscribe({ ...existing, userId, phone, preferences });
+    return preferences;
+  }
+
+  async addPushSubscription(userId: string, pushSubscription: WebPushSubscription): Promise<void> {
+    if (!pushSubscription?.endpoint || !pushSubscription.keys?.p256dh || !pushSubscription.keys?.auth) {
+      throw new Error('A push subscription needs an endpoint and p256dh and auth keys');
+    }
+    const existing = await this.getSubscription(userId);
+    const pushSubscriptions = (existing?.pushSubscriptions || []).filter(entry => entry.endpoint !== pushSubscription.endpoint);
+    await this.subscribe({
+      ...existing,
+      userId,
+      preferences: existing?.preferences || { ...DEFAULT_PREFERENCES, push: true },
+      pushSubscriptions: [...pushSubscriptions, { endpoint: pushSubscription.endpoint, keys: pushSubscription.keys }]
+    });
+  }
+
+  async removePushSubscription(userId: string, endpoint: string): Promise<void> {
+    const existing = await this.getSubscription(userId);
+    if (!existing?.pushSubscriptions?.some(entry => entry.endpoint === endpoint)) return;
+    await this.databaseService.update('notification_subscriptions', userId, {
+      pushSubscriptions: existing.pushSubscriptions.filter(entry => entry.endpoint !== endpoint),
+      updatedAt: new Date()
+    });
+  }
+
+  async listDeliveries(filters: { notificationId?: string; status?: string; channel?: string; limit?: number } = {}): Promise<NotificationDelivery[]> {
+    const query: any = {};
+    if (filters.notificationId) query.notificationId = filters.notificationId;
+    if (filters.status) query.status = filters.status;
+    if (filters.channel) query.channel = filters.channel;
+    return this.databaseService.find<NotificationDelivery>('notification_deliveries', query, {
+      sort: { createdAt: -1 },
+      limit: Math.min(filters.limit || 100, 500)
+    });
+  }
+
+  // A delivery receipt from a transport's callback. A delivered message never goes
+  // back to sent; a bounce after delivery is still recorded as failed.
+  async recordReceipt(deliveryId: string, receipt: { status: string; detail?: string }): Promise<NotificationDelivery> {
+    const delivery = await this.databaseService.findById<NotificationDelivery>('notification_deliveries', deliveryId);
+    if (!delivery) {
+      throw new Error('Delivery not found');
+    }
+    const now = new Date();
+    const status = ['delivered', 'read'].includes(receipt.status)
+      ? 'delivered'
+      : ['failed', 'bounced', 'undelivered', 'rejected'].includes(receipt.status) ? 'failed' : delivery.status;
+
+    const updated = await this.databaseService.update<NotificationDelivery>('notification_deliveries', deliveryId, {
+      status,
+      ...(status === 'delivered' && !delivery.deliveredAt && { deliveredAt: now }),
+      ...(status === 'failed' && { error: receipt.detail || receipt.status }),
+      receipts: [...delivery.receipts, { status: receipt.status, at: now, ...(receipt.detail && { detail: receipt.detail }) }]
+    });
+    if (status === 'delivered') {
+      const notification = await this.databaseService.findById<Notification>('notifications', delivery.notificationId);
+      if (notification?.status === 'sent') {
+        await this.databaseService.update('notifications', notification.id, { status: 'delivered' });
+      }
+    }
+    return updated;
+  }
+
+  // Sends what has waited long enough: digests that are due, messages held through
+  // quiet hours, and retries
+  async processDueDeliveries(now: Date = new Date()): Promise<number> {
+    const due = await this.databaseService.find<NotificationDelivery>('notification_deliveries', {
+      status: 'held',
+      holdUntil: { $lte: now }
+    });
+
+    const digests = new Map<string, NotificationDelivery[]>();
+    for (const delivery of due) {
+      if (delivery.heldFor === 'digest') {
+        const key = `${delivery.userId}|${delivery.to}`;
+        digests.set(key, [...(digests.get(key) || []), delivery]);
+        continue;
+      }
+      const notification = await this.databaseService.findById<Notification>('notifications', delivery.notificationId);
+      if (!bypassesQuietHours({ priority: notification?.priority || 'medium' }) && await this.holdForQuietHours([delivery], now)) {
+        continue;
+      }
+      await this.attempt(delivery);
+    }
+
+    for (const entries of digests.values()) {
+      if (await this.holdForQuietHours(entries, now)) continue;
+      await this.sendDigest(entries);
+    }
+    return due.length;
+  }
+
+  stopDeliverySweep(): void {
+    if (this.deliveryTimer) {
+      clearInterval(this.deliveryTimer);
+      this.deliveryTimer = null;
+    }
+  }
+
   async createTemplate(template: Omit<NotificationTemplate, 'id'>): Promise<NotificationTemplate> {
     try {
       const newTemplate: NotificationTemplate = {
@@ -283,7 +487,7 @@ export class NotificationService {
   async getTemplate(type: string): Promise<NotificationTemplate | null> {
     try {
       // First check in-memory cache
-      for (const [_, template] of this.templates) {
+      for (const template of this.templates.values()) {
         if (template.type === type) {
           return template;
         }
@@ -303,6 +507,8 @@ export class NotificationService {
     }
   }
 
+  // Delivery rate counts what reached an email, SMS or push transport, using their
+  // receipts; notifications that only went to the in-app inbox count as delivered
   async getAnalytics(timeRange: { start: Date; end: Date }): Promise<{
     total: number;
     byStatus: Record<string, number>;
@@ -310,22 +516,43 @@ export class NotificationService {
     byChannel: Record<string, number>;
     deliveryRate: number;
     readRate: number;
+    deliveries: {
+      total: number;
+      byStatus: Record<string, number>;
+      byChannel: Record<string, Record<string, number>>;
+      byTransport: Record<string, number>;
+      digests: number;
+      heldForQuietHours: number;
+      retried: number;
+    };
   }> {
     try {
-      const notifications = await this.databaseService.find<Notification>('notifications', {
-        createdAt: {
-          $gte: timeRange.start,
-          $lte: timeRange.end
-        }
-      });
+      const range = { $gte: timeRange.start, $lte: timeRange.end };
+      const notifications = await this.databaseService.find<Notification>('notifications', { createdAt: range });
+      const deliveries = await this.databaseService.find<NotificationDelivery>('notification_deliveries', { createdAt: range });
+
+      const byChannel: Record<string, Record<string, number>> = {};
+      for (const delivery of deliveries) {
+        const counts = byChannel[delivery.channel] || (byChannel[delivery.channel] = {});
+        counts[delivery.status] = (counts[delivery.status] || 0) + 1;
+      }
 
       const analytics = {
         total: notifications.length,
         byStatus: this.groupBy(notifications, 'status'),
         byType: this.groupBy(notifications, 'type'),
         byChannel: this.getChannelStats(notifications),
-        deliveryRate: this.calculateDeliveryRate(notifications),
-        readRate: this.calculateReadRate(notifications)
+        deliveryRate: this.calculateDeliveryRate(notifications, deliveries),
+        readRate: this.calculateReadRate(notifications),
+        deliveries: {
+          total: deliveries.length,
+          byStatus: this.groupBy(deliveries, 'status'),
+          byChannel,
+          byTransport: this.groupBy(deliveries.filter(delivery => delivery.transport), 'transport'),
+          digests: new Set(deliveries.map(delivery => delivery.digestId).filter(Boolean)).size,
+          heldForQuietHours: deliveries.filter(delivery => delivery.heldFor === 'quiet_hours').length,
+          retried: deliveries.filter(delivery => delivery.attempts > 1).length
+        }
       };
 
       return analytics;
@@ -338,25 +565,16 @@ export class NotificationService {
   private async processNotification(notification: Notification): Promise<void> {
     try {
       const template = await this.getTemplate(notification.type);
-      const subscription = this.subscriptions.get(notification.recipientId || 'anonymous');
+      const external: DeliveryChannel[] = [];
 
       for (const channel of notification.channels) {
         if (!channel.enabled) continue;
 
-        // Check user preferences
-        if (subscription && !this.isChannelAllowed(channel.type, subscription.preferences)) {
-          continue;
-        }
-
         switch (channel.type) {
           case 'email':
-            await this.sendEmail(notification, template?.emailTemplate);
-            break;
           case 'sms':
-            await this.sendSMS(notification, template?.smsTemplate);
-            break;
           case 'push':
-            await this.sendPush(notification, template?.pushTemplate);
+            external.push(channel.type);
             break;
           case 'in_app':
             await this.sendInApp(notification);
@@ -367,6 +585,20 @@ export class NotificationService {
         }
       }
 
+      if (external.length > 0) {
+        for (const recipient of await this.recipientsFor(notification)) {
+          for (const channel of external) {
+            // Check user preferences
+            if (recipient.subscription && !this.isChannelAllowed(channel, recipient.subscription.preferences)) {
+              continue;
+            }
+            for (const { to, content } of this.render(channel, notification, recipient, template)) {
+              await this.queueDelivery(notification, recipient, channel, to, content);
+            }
+          }
+        }
+      }
+
       // Update notification status
       await this.databaseService.update('notifications', notification.id, {
         status: 'sent',
@@ -374,66 +606,260 @@ export class NotificationService {
       });
     } catch (error) {
       console.error('Error processing notification:', error);
-      
-      // Add to retry queue if not exceeded max retries
-      if (notification.retryCount < notification.maxRetries) {
-        notification.retryCount++;
-        this.retryQueue.push(notification);
-      } else {
-        await this.databaseService.update('notifications', notification.id, {
-          status: 'failed'
-        });
+      await this.databaseService.update('notifications', notification.id, {
+        status: 'failed'
+      });
+    }
+  }
+
+  // Who the notification goes out to. Addressed notifications go to that person;
+  // one addressed to no one goes to every user subscribed to its type.
+  private async recipientsFor(notification: Notification): Promise<Recipient[]> {
+    if (notification.recipientId || notification.recipientEmail || notification.recipientPhone) {
+      const subscription = notification.recipientId ? await this.getSubscription(notification.recipientId) : null;
+      const user = notification.recipientId ? await this.databaseService.findById<any>('users', notification.recipientId) : null;
+      return [{
+        userId: user?.id,
+        email: notification.recipientEmail || subscription?.email || user?.email,
+        phone: notification.recipientPhone || subscription?.phone,
+        subscription
+      }];
+    }
+
+    const subscriptions = await this.databaseService.find<NotificationSubscription>('notification_subscriptions', {
+      'preferences.categories': notification.type
+    });
+    const recipients: Recipient[] = [];
+    for (const subscription of subscriptions) {
+      const user = await this.databaseService.findById<any>('users', subscription.userId);
+      if (!user || user.status === 'disabled') continue;
+      recipients.push({ userId: user.id, email: subscription.email || user.email, phone: subscription.phone, subscription });
+    }
+    return recipients;
+  }
+
+  // The messages for one recipient on one channel, filled in from the template
+  private render(
+    channel: DeliveryChannel,
+    notification: Notification,
+    recipient: Recipient,
+    template: NotificationTemplate | null
+  ): Array<{ to: string; content: EmailMessage | SmsMessage | PushMessage }> {
+    const context = {
+      ...(notification.data && typeof notification.data === 'object' ? notification.data : {}),
+      notification: { type: notification.type, title: notification.title, message: notification.message, priority: notification.priority }
+    };
+    const fill = (text: string | undefined, fallback: string, html = false) =>
+      text ? renderTemplate(text, context, { html }) : fallback;
+
+    switch (channel) {
+      case 'email': {
+        if (!recipient.email) return [];
+        const email = template?.emailTemplate;
+        return [{
+          to: recipient.email,
+          content: {
+            to: recipient.email,
+            subject: fill(email?.subject, notification.title),
+            text: fill(email?.textBody, notification.message),
+            html: fill(email?.htmlBody, `<p>${escapeHtml(notification.message)}</p>`, true)
+          }
+        }];
       }
+      case 'sms':
+        if (!recipient.phone) return [];
+        return [{ to: recipient.phone, content: { to: recipient.phone, body: fill(template?.smsTemplate, notification.message) } }];
+      case 'push':
+        return (recipient.subscription?.pushSubscriptions || []).map(subscription => ({
+          to: subscription.endpoint,
+          content: {
+            subscription,
+            title: fill(template?.pushTemplate?.title, notification.title),
+            body: fill(template?.pushTemplate?.body, notification.message),
+            icon: template?.pushTemplate?.icon,
+            data: { notificationId: notification.id, type: notification.type }
+          }
+        }));
     }
   }
 
-  private async sendEmail(notification: Notification, template?: EmailTemplate): Promise<void> {
-    try {
-      const subject = template?.subject || notification.title;
-      const body = template?.htmlBody || notification.message;
-      
-      // In a real implementation, this would use nodemailer or similar
-      console.log(`📧 Email sent to ${notification.recipientEmail}: ${subject}`);
-      
-      // Simulate email sending delay
-      await new Promise(resolve => setTimeout(resolve, 100));
-    } catch (error) {
-      console.error('Error sending email:', error);
-      throw error;
+  private async queueDelivery(
+    notification: Notification,
+    recipient: Recipient,
+    channel: DeliveryChannel,
+    to: string,
+    content: EmailMessage | SmsMessage | PushMessage
+  ): Promise<void> {
+    const now = new Date();
+    const preferences = recipient.subscription?.preferences;
+    let hold: Pick<NotificationDelivery, 'heldFor' | 'holdUntil'> | null = null;
+    if (preferences && channel === 'email' && belongsInDigest(preferences.digest, notification)) {
+      hold = { heldFor: 'digest', holdUntil: nextDigestAt(preferences.digest!, now, await this.timezoneFor(recipient.subscription)) };
+    } else if (preferences?.quietHours && !bypassesQuietHours(notification)) {
+      const until = quietUntil(preferences.quietHours, now, await this.timezoneFor(recipient.subscription));
+      if (until) hold = { heldFor: 'quiet_hours', holdUntil: until };
+    }
+
+    const delivery = await this.databaseService.create<NotificationDelivery>('notification_deliveries', {
+      id: this.generateId('dlv'),
+      notificationId: notification.id,
+      notificationType: notification.type,
+      ...(recipient.userId && { userId: recipient.userId }),
+      channel,
+      to,
+      content,
+      status: 'held',
+      ...(hold || { holdUntil: now }),
+      attempts: 0,
+      maxAttempts: notification.maxRetries + 1,
+      receipts: [],
+      createdAt: now
+    });
+    if (!hold) {
+      await this.attempt(delivery);
     }
   }
 
-  private async sendSMS(notification: Notification, template?: string): Promise<void> {
+  private async attempt(delivery: NotificationDelivery): Promise<NotificationDelivery> {
+    const now = new Date();
     try {
-      const message = template || notification.message;
-      
-      // In a real implementation, this would use Twilio or similar
-      console.log(`📱 SMS sent to ${notification.recipientPhone}: ${message}`);
-      
-      // Simulate SMS sending delay
-      await new Promise(resolve => setTimeout(resolve, 50));
+      const result = await this.dispatch(delivery);
+      return await this.databaseService.update<NotificationDelivery>('notification_deliveries', delivery.id, {
+        ...this.sentFields(delivery, result, now),
+        attempts: delivery.attempts + 1
+      });
     } catch (error) {
-      console.error('Error sending SMS:', error);
-      throw error;
+      return this.failAttempt(delivery, error, now);
     }
   }
 
-  private async sendPush(notification: Notification, template?: PushTemplate): Promise<void> {
+  private async dispatch(delivery: NotificationDelivery): Promise<TransportResult> {
+    switch (delivery.channel) {
+      case 'email':
+        return this.sendEmail(delivery.content as EmailMessage);
+      case 'sms':
+        return this.sendSMS({ ...(delivery.content as SmsMessage), statusCallback: this.receiptUrl(delivery) });
+      case 'push':
+        return this.sendPush(delivery.content as PushMessage);
+    }
+  }
+
+  private async failAttempt(delivery: NotificationDelivery, error: any, now: Date): Promise<NotificationDelivery> {
+    const attempts = delivery.attempts + 1;
+    const permanent = error instanceof PermanentDeliveryError || attempts >= delivery.maxAttempts;
+    console.error(`❌ ${delivery.channel} to ${delivery.to} failed (attempt ${attempts}): ${error.message}`);
+
+    if (permanent && delivery.channel === 'push' && error instanceof PermanentDeliveryError && delivery.userId) {
+      await this.removePushSubscription(delivery.userId, delivery.to);
+    }
+    return this.databaseService.update<NotificationDelivery>('notification_deliveries', delivery.id, {
+      status: permanent ? 'failed' : 'held',
+      ...(!permanent && { heldFor: 'retry', holdUntil: new Date(now.getTime() + attempts * RETRY_BACKOFF_MS) }),
+      attempts,
+      error: error.message,
+      transport: this.transports[delivery.channel].name,
+      receipts: [...delivery.receipts, { status: 'failed', at: now, detail: error.message }]
+    });
+  }
+
+  private sentFields(delivery: NotificationDelivery, result: TransportResult, now: Date): Partial<NotificationDelivery> {
+    return {
+      status: result.status,
+      transport: this.transports[delivery.channel].name,
+      ...(result.messageId && { messageId: result.messageId }),
+      sentAt: now,
+      ...(result.status === 'delivered' && { deliveredAt: now }),
+      error: undefined,
+      receipts: [...delivery.receipts, { status: result.status, at: now }]
+    };
+  }
+
+  // One email for everything gathered for the user since their last digest
+  private async sendDigest(entries: NotificationDelivery[]): Promise<void> {
+    const now = new Date();
+    const notifications = await this.databaseService.find<Notification>('notifications', {
+      id: { $in: entries.map(entry => entry.notificationId) }
+    });
+    const subscription = entries[0].userId ? await this.getSubscription(entries[0].userId) : null;
+    const timezone = await this.timezoneFor(subscription);
+    const digest = buildDigestEmail(notifications, subscription?.preferences.digest?.frequency || 'daily', timezone);
+    const digestId = this.generateId('dgst');
+
     try {
-      const title = template?.title || notification.title;
-      const body = template?.body || notification.message;
-      
-      // In a real implementation, this would use Firebase or similar
-      console.log(`🔔 Push notification sent: ${title} - ${body}`);
-      
-      // Simulate push sending delay
-      await new Promise(resolve => setTimeout(resolve, 30));
+      const result = await this.sendEmail({ to: entries[0].to, ...digest });
+      for (const entry of entries) {
+        await this.databaseService.update('notification_deliveries', entry.id, {
+          ...this.sentFields(entry, result, now),
+          attempts: entry.attempts + 1,
+          digestId
+        });
+      }
+      console.log(`📬 Digest of ${entries.length} sent to ${entries[0].to}`);
     } catch (error) {
-      console.error('Error sending push notification:', error);
-      throw error;
+      for (const entry of entries) {
+        // Retried entries stay digest entries so they go out together again
+        const failed = await this.failAttempt(entry, error, now);
+        if (failed.status === 'held') {
+          await this.databaseService.update('notification_deliveries', entry.id, { heldFor: 'digest' });
+        }
+      }
     }
   }
 
+  // Pushes the deliveries back to the end of their recipient's quiet hours, if now
+  // falls inside them
+  private async holdForQuietHours(deliveries: NotificationDelivery[], now: Date): Promise<boolean> {
+    const userId = deliveries[0].userId;
+    if (!userId) return false;
+    const subscription = await this.getSubscription(userId);
+    const until = quietUntil(subscription?.preferences.quietHours, now, await this.timezoneFor(subscription));
+    if (!until) return false;
+
+    for (const delivery of deliveries) {
+      await this.databaseService.update('notification_deliveries', delivery.id, { holdUntil: until });
+    }
+    return true;
+  }
+
+  private async getSubscription(userId: string): Promise<NotificationSubscription | null> {
+    return this.databaseService.findById<NotificationSubscription>('notification_subscriptions', userId);
+  }
+
+  private async timezoneFor(subscription?: NotificationSubscription | null): Promise<string> {
+    if (subscription?.preferences.quietHours?.timezone) {
+      return subscription.preferences.quietHours.timezone;
+    }
+    const companyId = currentCompanyId() || DEFAULT_COMPANY_ID;
+    return resolveSettings(await this.databaseService.findById<Company>('companies', companyId)).timezone;
+  }
+
+  // Where the SMS gateway posts receipts, when the server's public address is known
+  private receiptUrl(delivery: NotificationDelivery): string | undefined {
+    const baseUrl = process.env.NOTIFY_RECEIPT_BASE_URL;
+    if (!baseUrl) return undefined;
+    const companyId = currentCompanyId() || DEFAULT_COMPANY_ID;
+    const token = process.env.NOTIFY_RECEIPT_TOKEN;
+    return `${baseUrl.replace(/\/$/, '')}/api/notifications/receipts/${companyId}/${delivery.id}${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+  }
+
+  private async sendEmail(message: EmailMessage): Promise<TransportResult> {
+    const result = await this.transports.email.sendEmail(message);
+    console.log(`📧 Email sent to ${message.to}: ${message.subject}`);
+    return result;
+  }
+
+  private async sendSMS(message: SmsMessage): Promise<TransportResult> {
+    const result = await this.transports.sms.sendSms(message);
+    console.log(`📱 SMS sent to ${message.to}`);
+    return result;
+  }
+
+  private async sendPush(message: PushMessage): Promise<TransportResult> {
+    const result = await this.transports.push.sendPush(message);
+    console.log(`🔔 Push notification sent: ${message.title}`);
+    return result;
+  }
+
   private async sendInApp(notification: Notification): Promise<void> {
     try {
       // Store in-app notification in database for real-time display
@@ -449,22 +875,22 @@ export class NotificationService {
     }
   }
 
+  // A webhook channel is a single POST to config.url, signed when config.secret is set.
+  // Integrations that need retries subscribe through WebhookService.
   private async sendWebhook(notification: Notification, config: any): Promise<void> {
-    try {
-      const payload = {
-        notification,
-        timestamp: new Date().toISOString()
-      };
-      
-      // In a real implementation, this would make HTTP request
-      console.log(`🔗 Webhook sent to ${config?.url}: ${notification.type}`);
-      
-      // Simulate webhook delay
-      await new Promise(resolve => setTimeout(resolve, 200));
-    } catch (error) {
-      console.error('Error sending webhook:', error);
-      throw error;
+    if (!config?.url) {
+      throw new Error('Webhook channel has no url');
     }
+    const response = await sendWebhookRequest({
+      url: config.url,
+      secret: config.secret,
+      body: JSON.stringify({ notification, timestamp: new Date().toISOString() }),
+      headers: { 'X-Webhook-Event': `notification.${notification.type}` }
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook to ${config.url} failed: ${response.error}`);
+    }
+    console.log(`🔗 Webhook sent to ${config.url}: ${notification.type}`);
   }
 
   private isChannelAllowed(channelType: string, preferences: any): boolean {
@@ -480,14 +906,16 @@ export class NotificationService {
     }
   }
 
-  private getDefaultChannels(type: string): NotificationChannel[] {
+  private getDefaultChannels(type: string, recipientEmail?: string): NotificationChannel[] {
     const defaultChannels: NotificationChannel[] = [
       { type: 'in_app', enabled: true }
     ];
 
-    // Add email for important notifications
-    if (['low_stock_alert', 'order_confirmation', 'system_alert'].includes(type)) {
+    // Add email, and push for users who enabled it, for important notifications and
+    // whenever the sender gave an address to email
+    if (recipientEmail || ['low_stock_alert', 'out_of_stock_alert', 'order_confirmation', 'system_alert'].includes(type)) {
       defaultChannels.push({ type: 'email', enabled: true });
+      defaultChannels.push({ type: 'push', enabled: true });
     }
 
     // Add SMS for critical notifications
@@ -512,26 +940,56 @@ export class NotificationService {
     }
   }
 
-  private startRetryProcessor(): void {
-    setInterval(() => {
-      this.processRetryQueue();
-    }, 60000); // Process retry queue every minute
+  private startDeliverySweep(): void {
+    this.deliveryTimer = setInterval(() => {
+      this.processAllCompanies().catch(error => console.error('Error processing notification deliveries:', error));
+    }, DELIVERY_SWEEP_INTERVAL_MS);
+    this.deliveryTimer.unref?.();
   }
 
-  private async processRetryQueue(): Promise<void> {
-    if (this.retryQueue.length === 0) return;
-
-    console.log(`🔄 Processing ${this.retryQueue.length} notifications in retry queue`);
+  private async processAllCompanies(): Promise<void> {
+    const companies = await this.databaseService.find<any>('companies', { isActive: true });
+    for (const company of companies) {
+      // The sweep runs outside any request, so restore each company in turn
+      await runAsCompany(company.id, () => this.processDueDeliveries());
+    }
+  }
 
-    const toRetry = this.retryQueue.splice(0, 10); // Process up to 10 at a time
-    
-    for (const notification of toRetry) {
-      try {
-        await this.processNotification(notification);
-      } catch (error) {
-        console.error('Error in retry processing:', error);
-      }
+  // Real transports where they are configured, the local capture transport otherwise.
+  // NOTIFY_TRANSPORT=capture captures everything, e.g. on a staging server.
+  private createDefaultTransports(): NotificationTransports {
+    const capture = new CaptureTransport(process.env.NOTIFY_CAPTURE_DIR);
+    if (process.env.NOTIFY_TRANSPORT === 'capture') {
+      return { email: capture, sms: capture, push: capture };
     }
+
+    return {
+      email: process.env.SMTP_URL || process.env.SMTP_HOST
+        ? new SmtpEmailTransport({
+            url: process.env.SMTP_URL,
+            host: process.env.SMTP_HOST,
+            port: process.env.SMTP_PORT ? Number(process.env.SMTP_PORT) : undefined,
+            secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : undefined,
+            user: process.env.SMTP_USER,
+            password: process.env.SMTP_PASSWORD,
+            from: process.env.NOTIFY_EMAIL_FROM || 'Construction ERP <no-reply@localhost>'
+          })
+        : capture,
+      sms: process.env.SMS_GATEWAY_URL
+        ? new HttpSmsGateway({
+            url: process.env.SMS_GATEWAY_URL,
+            token: process.env.SMS_GATEWAY_TOKEN,
+            from: process.env.SMS_FROM
+          })
+        : capture,
+      push: process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY
+        ? new WebPushTransport({
+            publicKey: process.env.VAPID_PUBLIC_KEY,
+            privateKey: process.env.VAPID_PRIVATE_KEY,
+            subject: process.env.VAPID_SUBJECT || 'mailto:no-reply@localhost'
+          })
+        : capture
+    };
   }
 
   private initializeTemplates(): void {
@@ -596,7 +1054,12 @@ export class NotificationService {
     return channelStats;
   }
 
-  private calculateDeliveryRate(notifications: Notification[]): number {
+  private calculateDeliveryRate(notifications: Notification[], deliveries: NotificationDelivery[]): number {
+    const settled = deliveries.filter(delivery => delivery.status !== 'held');
+    if (settled.length > 0) {
+      const reached = settled.filter(delivery => ['sent', 'delivered'].includes(delivery.status));
+      return (reached.length / settled.length) * 100;
+    }
     if (notifications.length === 0) return 0;
     
     const delivered = notifications.filter(n => ['sent', 'delivered', 'read'].includes(n.status));
@@ -610,7 +1073,7 @@ export class NotificationService {
     return (read.length / notifications.length) * 100;
   }
 
-  private generateId(): string {
-    return 'notif_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  private generateId(prefix: string = 'notif'): string {
+    return prefix + '_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
   }
 }
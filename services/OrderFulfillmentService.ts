@@ -0,0 +1,463 @@
+// services/OrderFulfillmentService.ts
+import { Injectable } from '@varld/warp';
+import { DatabaseService } from './DatabaseService';
+import { Transaction } from './storage/Transaction';
+import { currentUserId } from './auth/RequestContext';
+import { WarehouseService } from './WarehouseService';
+import { CostingService } from './CostingService';
+import { WebhookService } from './WebhookService';
+import { StockTake } from './inventory/StockBalances';
+import {
+  Order,
+  OrderItem,
+  OrderStatus,
+  Shipment,
+  ShipmentItem,
+  Backorder,
+  assertTransition,
+  outstandingQuantity,
+  deriveFulfillmentStatus
+} from './orders/OrderLifecycle';
+
+export interface ShipmentRequest {
+  carrier: string;
+  service?: string;
+  trackingNumber?: string;
+  weight?: number;
+  estimatedDelivery?: Date;
+  items: Array<{
+    orderItemId: string;
+    quantity: number;
+    serialNumbers?: string[];
+    lotNumbers?: string[];
+  }>;
+}
+
+export interface CancellationRequest {
+  reason?: string;
+  // Omit to cancel everything still outstanding on the order
+  items?: Array<{ orderItemId: string; quantity?: number }>;
+}
+
+// Owns every order change that moves stock: reserving on confirmation, consuming
+// reservations on shipment, releasing them on cancellation and filling backorders
+// as stock arrives. Each operation runs in a single transaction.
+@Injectable()
+export class OrderFulfillmentService {
+  constructor(
+    private databaseService: DatabaseService,
+    private warehouseService: WarehouseService,
+    private costingService: CostingService,
+    private webhookService: WebhookService
+  ) {}
+
+  // Reserves what is available for each line and backorders the rest
+  async confirmOrder(orderId: string): Promise<{ order: Order; backorders: Backorder[] }> {
+    return this.databaseService.transaction(async tx => {
+      const order = await this.loadOrder(tx, orderId);
+      assertTransition(order.status, 'confirmed');
+
+      const backorders: Backorder[] = [];
+      for (const item of order.items) {
+        item.quantityShipped = item.quantityShipped || 0;
+        item.quantityCancelled = item.quantityCancelled || 0;
+        item.quantityReserved = 0;
+        item.quantityBackordered = 0;
+        item.reservations = [];
+
+        const reserved = await this.reserve(tx, item, outstandingQuantity(item));
+        const shortfall = outstandingQuantity(item) - reserved;
+        if (shortfall > 0) {
+          item.quantityBackordered = shortfall;
+          backorders.push(await this.createBackorder(tx, order, item, shortfall));
+        }
+      }
+
+      const updated = await this.saveOrder(tx, order, 'confirmed', backorders.length > 0
+        ? `Backordered ${backorders.length} line(s)`
+        : undefined);
+      await this.webhookService.publish('order.confirmed', { order: updated, backorders }, { tx });
+
+      console.log(`✅ Order ${order.orderNumber} confirmed` +
+        (backorders.length > 0 ? ` with ${backorders.length} backordered line(s)` : ''));
+      return { order: updated, backorders };
+    });
+  }
+
+  // Ships reserved quantities. Lines can ship across any number of shipments.
+  async createShipment(orderId: string, request: ShipmentRequest): Promise<{ order: Order; shipment: Shipment }> {
+    if (!request.carrier) {
+      throw new Error('carrier is required');
+    }
+    if (!Array.isArray(request.items) || request.items.length === 0) {
+      throw new Error('Shipment must contain at least one item');
+    }
+
+    return this.databaseService.transaction(async tx => {
+      const order = await this.loadOrder(tx, orderId);
+      if (!['confirmed', 'processing', 'partially_shipped'].includes(order.status)) {
+        throw new Error(`Cannot ship an order that is ${order.status}`);
+      }
+
+      const shipmentItems: ShipmentItem[] = [];
+      const shipmentNumber = await this.generateShipmentNumber(tx, order);
+
+      for (const requested of request.items) {
+        const item = this.findLine(order, requested.orderItemId);
+        const quantity = Number(requested.quantity);
+        if (!(quantity > 0)) {
+          throw new Error(`Shipment quantity for ${item.productName} must be positive`);
+        }
+        if (quantity > (item.quantityReserved || 0)) {
+          throw new Error(
+            `Cannot ship ${quantity} of ${item.productName}: only ${item.quantityReserved || 0} reserved` +
+            ((item.quantityBackordered || 0) > 0 ? ` (${item.quantityBackordered} on backorder)` : '')
+          );
+        }
+
+        const picked = await this.consumeReservations(tx, order, item, quantity, shipmentNumber, requested.lotNumbers);
+        item.quantityReserved = (item.quantityReserved || 0) - quantity;
+        item.quantityShipped = (item.quantityShipped || 0) + quantity;
+
+        const pickedLots = Array.from(new Set(picked.map(take => take.lotNumber).filter(Boolean))) as string[];
+        const costOfGoods = Math.round(picked.reduce((sum, take) => sum + (take.cost || 0), 0) * 100) / 100;
+        item.costOfGoods = Math.round(((item.costOfGoods || 0) + costOfGoods) * 100) / 100;
+        shipmentItems.push({
+          orderItemId: item.id,
+          productId: item.productId,
+          quantityShipped: quantity,
+          serialNumbers: requested.serialNumbers,
+          lotNumbers: requested.lotNumbers || (pickedLots.length > 0 ? pickedLots : undefined),
+          costOfGoods
+        });
+      }
+
+      const shipment = await tx.create<Shipment>('shipments', {
+        id: this.generateId('ship'),
+        shipmentNumber,
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        carrier: request.carrier,
+        service: request.service || 'standard',
+        trackingNumber: request.trackingNumber,
+        weight: request.weight,
+        status: 'shipped',
+        shippedDate: new Date(),
+        estimatedDelivery: request.estimatedDelivery ? new Date(request.estimatedDelivery) : undefined,
+        items: shipmentItems,
+        createdBy: currentUserId()
+      });
+
+      await this.costingService.postCostOfGoods(tx, order, shipment);
+
+      order.shipmentIds = [...(order.shipmentIds || []), shipment.id];
+      order.costOfGoods = Math.round(order.items.reduce((sum, line) => sum + (line.costOfGoods || 0), 0) * 100) / 100;
+      const updated = await this.saveOrder(tx, order, deriveFulfillmentStatus(order), `Shipment ${shipmentNumber}`);
+
+      console.log(`🚚 Shipment ${shipmentNumber} created for order ${order.orderNumber}`);
+      return { order: updated, shipment };
+    });
+  }
+
+  // Marks one shipment (or all of them) delivered; the order is delivered once every
+  // line has shipped and every shipment has arrived
+  async markDelivered(orderId: string, shipmentId?: string): Promise<Order> {
+    return this.databaseService.transaction(async tx => {
+      const order = await this.loadOrder(tx, orderId);
+      const shipments = await tx.find<Shipment>('shipments', { orderId });
+      const targets = shipmentId ? shipments.filter(shipment => shipment.id === shipmentId) : shipments;
+
+      if (shipmentId && targets.length === 0) {
+        throw new Error('Shipment not found for this order');
+      }
+      if (!shipmentId && order.status !== 'shipped') {
+        throw new Error(`Cannot mark an order delivered while it is ${order.status}`);
+      }
+
+      const now = new Date();
+      for (const shipment of targets) {
+        if (shipment.status !== 'delivered') {
+          await tx.update<Shipment>('shipments', shipment.id, { status: 'delivered', actualDelivery: now });
+          shipment.status = 'delivered';
+        }
+      }
+
+      const allDelivered = shipments.every(shipment => shipment.status === 'delivered');
+      if (order.status === 'shipped' && allDelivered) {
+        order.actualDelivery = now;
+        return this.saveOrder(tx, order, 'delivered');
+      }
+      return order;
+    });
+  }
+
+  // Cancels whole orders or individual line quantities. Backordered quantity is
+  // cancelled first, then reserved stock is released back to inventory.
+  async cancel(orderId: string, request: CancellationRequest = {}): Promise<Order> {
+    return this.databaseService.transaction(async tx => {
+      const order = await this.loadOrder(tx, orderId);
+      assertTransition(order.status, 'cancelled');
+
+      const requests = request.items && request.items.length > 0
+        ? request.items
+        : order.items.map(item => ({ orderItemId: item.id, quantity: undefined }));
+
+      for (const requested of requests) {
+        const item = this.findLine(order, requested.orderItemId);
+        const outstanding = outstandingQuantity(item);
+        const quantity = requested.quantity === undefined ? outstanding : Number(requested.quantity);
+
+        if (quantity < 0 || quantity > outstanding) {
+          throw new Error(`Cannot cancel ${quantity} of ${item.productName}: ${outstanding} outstanding`);
+        }
+        await this.cancelLineQuantity(tx, item, quantity);
+      }
+
+      // Nothing left outstanding: cancelled, or shipped if part of it already went out
+      const nextStatus = deriveFulfillmentStatus(order);
+
+      if (nextStatus === 'cancelled') {
+        order.cancelledAt = new Date();
+        order.cancellationReason = request.reason;
+      }
+
+      const updated = await this.saveOrder(tx, order, nextStatus, request.reason);
+      console.log(`🛑 Order ${order.orderNumber} ${nextStatus === 'cancelled' ? 'cancelled' : 'partially cancelled'}`);
+      return updated;
+    });
+  }
+
+  // Status changes that do not move stock (draft <-> pending, confirmed -> processing)
+  async transition(orderId: string, status: OrderStatus, notes?: string): Promise<Order> {
+    if (['confirmed', 'partially_shipped', 'shipped', 'delivered', 'cancelled'].includes(status)) {
+      throw new Error(`Orders move to ${status} through their dedicated endpoint`);
+    }
+
+    return this.databaseService.transaction(async tx => {
+      const order = await this.loadOrder(tx, orderId);
+      assertTransition(order.status, status);
+      return this.saveOrder(tx, order, status, notes);
+    });
+  }
+
+  async allocateBackorders(productId: string): Promise<number> {
+    return this.databaseService.transaction(tx => this.allocateBackordersIn(tx, productId));
+  }
+
+  // Fills open backorders for a product, oldest first, from newly available stock.
+  // Call it inside the transaction that made the stock available.
+  async allocateBackordersIn(tx: Transaction, productId: string): Promise<number> {
+    const backorders = (await tx.find<Backorder>('backorders', { productId, status: 'open' }))
+      .sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+
+    let allocated = 0;
+    for (const backorder of backorders) {
+      const order = await tx.findById<Order>('orders', backorder.orderId);
+      if (!order || order.status === 'cancelled') continue;
+
+      const item = order.items.find(line => line.id === backorder.orderItemId);
+      if (!item) continue;
+
+      const reserved = await this.reserve(tx, item, backorder.quantity);
+      if (reserved === 0) break;
+
+      item.quantityBackordered = (item.quantityBackordered || 0) - reserved;
+      const remaining = backorder.quantity - reserved;
+      await tx.update<Backorder>('backorders', backorder.id, {
+        quantity: remaining,
+        ...(remaining === 0 && { status: 'filled' as const, filledAt: new Date() })
+      });
+      await this.saveOrder(tx, order, order.status, `Allocated ${reserved} backordered ${item.productName}`);
+
+      allocated += reserved;
+    }
+
+    if (allocated > 0) {
+      console.log(`📦 Allocated ${allocated} units of ${productId} to backorders`);
+    }
+    return allocated;
+  }
+
+  private async reserve(tx: Transaction, item: OrderItem, quantity: number): Promise<number> {
+    let remaining = quantity;
+    const stock = await tx.find<any>('inventory', { productId: item.productId });
+
+    for (const inventory of stock) {
+      if (remaining <= 0) break;
+      const available = inventory.quantity - (inventory.reservedQuantity || 0);
+      const take = Math.min(available, remaining);
+      if (take <= 0) continue;
+
+      await tx.update('inventory', inventory.id, {
+        reservedQuantity: (inventory.reservedQuantity || 0) + take,
+        lastUpdated: new Date()
+      });
+
+      item.reservations = item.reservations || [];
+      const existing = item.reservations.find(entry => entry.inventoryId === inventory.id);
+      if (existing) {
+        existing.quantity += take;
+      } else {
+        item.reservations.push({ inventoryId: inventory.id, quantity: take });
+      }
+      remaining -= take;
+    }
+
+    const reserved = quantity - remaining;
+    item.quantityReserved = (item.quantityReserved || 0) + reserved;
+    return reserved;
+  }
+
+  private async release(tx: Transaction, item: OrderItem, quantity: number): Promise<void> {
+    let remaining = quantity;
+
+    for (const reservation of [...(item.reservations || [])].reverse()) {
+      if (remaining <= 0) break;
+      const take = Math.min(reservation.quantity, remaining);
+      const inventory = await tx.findById<any>('inventory', reservation.inventoryId);
+      if (inventory) {
+        await tx.update('inventory', inventory.id, {
+          reservedQuantity: Math.max(0, (inventory.reservedQuantity || 0) - take),
+          lastUpdated: new Date()
+        });
+      }
+      reservation.quantity -= take;
+      remaining -= take;
+    }
+
+    item.reservations = (item.reservations || []).filter(reservation => reservation.quantity > 0);
+    item.quantityReserved = (item.quantityReserved || 0) - quantity;
+  }
+
+  // Takes shipped stock out of inventory, drawing down the line's reservations in order.
+  // Stock leaves FEFO, never from expired lots, unless a single lot was requested.
+  private async consumeReservations(
+    tx: Transaction,
+    order: Order,
+    item: OrderItem,
+    quantity: number,
+    shipmentNumber: string,
+    lotNumbers?: string[]
+  ): Promise<StockTake[]> {
+    let remaining = quantity;
+    const picked: StockTake[] = [];
+
+    for (const reservation of item.reservations || []) {
+      if (remaining <= 0) break;
+      const take = Math.min(reservation.quantity, remaining);
+      if (take <= 0) continue;
+
+      const inventory = await tx.findById<any>('inventory', reservation.inventoryId);
+      if (!inventory) {
+        throw new Error(`Reserved inventory ${reservation.inventoryId} no longer exists`);
+      }
+
+      picked.push(...await this.warehouseService.issueFrom(tx, inventory, take, {
+        lotNumber: lotNumbers && lotNumbers.length === 1 ? lotNumbers[0] : undefined,
+        excludeExpiredAt: new Date()
+      }, {
+        type: 'out',
+        reason: 'Order shipment',
+        reference: `Shipment ${shipmentNumber} for order ${order.orderNumber}`
+      }, {
+        reservedQuantity: Math.max(0, (inventory.reservedQuantity || 0) - take)
+      }));
+
+      reservation.quantity -= take;
+      remaining -= take;
+    }
+
+    item.reservations = (item.reservations || []).filter(reservation => reservation.quantity > 0);
+    if (remaining > 0) {
+      throw new Error(`Reservations for ${item.productName} do not cover the shipped quantity`);
+    }
+    return picked;
+  }
+
+  private async cancelLineQuantity(tx: Transaction, item: OrderItem, quantity: number): Promise<void> {
+    if (quantity === 0) return;
+
+    const fromBackorder = Math.min(item.quantityBackordered || 0, quantity);
+    if (fromBackorder > 0) {
+      item.quantityBackordered = (item.quantityBackordered || 0) - fromBackorder;
+      const backorders = await tx.find<Backorder>('backorders', { orderItemId: item.id, status: 'open' });
+      let remaining = fromBackorder;
+      for (const backorder of backorders) {
+        if (remaining <= 0) break;
+        const take = Math.min(backorder.quantity, remaining);
+        const left = backorder.quantity - take;
+        await tx.update<Backorder>('backorders', backorder.id, {
+          quantity: left,
+          ...(left === 0 && { status: 'cancelled' as const })
+        });
+        remaining -= take;
+      }
+    }
+
+    const fromReserved = Math.min(item.quantityReserved || 0, quantity - fromBackorder);
+    if (fromReserved > 0) {
+      await this.release(tx, item, fromReserved);
+    }
+
+    item.quantityCancelled = (item.quantityCancelled || 0) + quantity;
+  }
+
+  private async createBackorder(tx: Transaction, order: Order, item: OrderItem, quantity: number): Promise<Backorder> {
+    return tx.create<Backorder>('backorders', {
+      id: this.generateId('bo'),
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      orderItemId: item.id,
+      productId: item.productId,
+      quantity,
+      originalQuantity: quantity,
+      status: 'open',
+      createdAt: new Date()
+    });
+  }
+
+  private async saveOrder(tx: Transaction, order: Order, status: OrderStatus, notes?: string): Promise<Order> {
+    const history = [...(order.statusHistory || [])];
+    if (status !== order.status) {
+      assertTransition(order.status, status);
+      history.push({ from: order.status, to: status, at: new Date(), by: currentUserId(), notes });
+    }
+
+    return tx.update<Order>('orders', order.id, {
+      items: order.items,
+      status,
+      statusHistory: history,
+      hasBackorder: order.items.some(item => (item.quantityBackordered || 0) > 0),
+      shipmentIds: order.shipmentIds,
+      costOfGoods: order.costOfGoods,
+      actualDelivery: order.actualDelivery,
+      cancelledAt: order.cancelledAt,
+      cancellationReason: order.cancellationReason
+    });
+  }
+
+  private async loadOrder(tx: Transaction, orderId: string): Promise<Order> {
+    const order = await tx.findById<Order>('orders', orderId);
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    return order;
+  }
+
+  private findLine(order: Order, orderItemId: string): OrderItem {
+    const item = order.items.find(line => line.id === orderItemId);
+    if (!item) {
+      throw new Error(`Order ${order.orderNumber} has no line ${orderItemId}`);
+    }
+    return item;
+  }
+
+  private async generateShipmentNumber(tx: Transaction, order: Order): Promise<string> {
+    const existing = await tx.find('shipments', { orderId: order.id });
+    return `${order.orderNumber}-S${String(existing.length + 1).padStart(2, '0')}`;
+  }
+
+  private generateId(prefix: string): string {
+    return prefix + '_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  }
+}
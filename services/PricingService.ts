@@ -0,0 +1,339 @@
+// services/PricingService.ts
+import { Injectable } from '@varld/warp';
+import { DatabaseService } from './DatabaseService';
+import { currentUserId } from './auth/RequestContext';
+import { roundCurrency } from './invoicing/PaymentTerms';
+import {
+  AppliedPrice,
+  PriceList,
+  PriceListType,
+  PricingCustomer,
+  PRICE_LIST_TYPES,
+  resolvePrice,
+  validateEntries
+} from './pricing/PriceRules';
+
+export interface PriceProposal {
+  id: string;
+  priceListId: string;
+  priceListName: string;
+  productId: string;
+  productName?: string;
+  currentPrice: number;
+  proposedPrice: number;
+  source: 'user' | 'ai';
+  reasoning?: string;
+  confidence?: number;
+  status: 'pending' | 'approved' | 'rejected' | 'superseded';
+  requestedAt: Date;
+  requestedBy: string;
+  reviewedAt?: Date;
+  reviewedBy?: string;
+  reviewNotes?: string;
+}
+
+export interface ProposedPriceChange {
+  productId: string;
+  proposedPrice: number;
+  reasoning?: string;
+  confidence?: number;
+}
+
+export interface PricedLine {
+  productId: string;
+  quantity: number;
+  unitPrice?: number;
+}
+
+// Negotiated selling prices. Price lists hold the prices per price level, customer,
+// project contract and promotion; every order line is priced through resolvePrice and
+// keeps a record of the rule that set its price. Price changes suggested by users or
+// the AI wait as proposals until someone with pricing:approve accepts them.
+@Injectable()
+export class PricingService {
+  constructor(private databaseService: DatabaseService) {}
+
+  async listPriceLists(filters: {
+    type?: PriceListType;
+    status?: string;
+    customerId?: string;
+    projectId?: string;
+    priceLevel?: string;
+  } = {}): Promise<PriceList[]> {
+    const query: any = {};
+    for (const field of ['type', 'status', 'customerId', 'projectId', 'priceLevel'] as const) {
+      if (filters[field]) query[field] = filters[field];
+    }
+    return this.databaseService.find<PriceList>('price_lists', query, { sort: { name: 1 } });
+  }
+
+  async getPriceList(id: string): Promise<PriceList | null> {
+    return this.databaseService.findById<PriceList>('price_lists', id);
+  }
+
+  async createPriceList(data: Partial<PriceList>): Promise<PriceList> {
+    const requiredFields = ['name', 'type'];
+    for (const field of requiredFields) {
+      if (!data?.[field as keyof PriceList]) {
+        throw new Error(`${field} is required`);
+      }
+    }
+    if (!PRICE_LIST_TYPES.includes(data.type!)) {
+      throw new Error(`type must be one of ${PRICE_LIST_TYPES.join(', ')}`);
+    }
+
+    await this.assertTarget(data);
+    const entries = validateEntries(data.entries || []);
+    await this.assertProductsExist(entries.map(entry => entry.productId));
+
+    const priceList = await this.databaseService.create<PriceList>('price_lists', {
+      id: this.generateId('pl'),
+      name: data.name!,
+      type: data.type!,
+      priceLevel: data.priceLevel,
+      priceLevels: data.priceLevels,
+      customerId: data.customerId,
+      projectId: data.projectId,
+      effectiveFrom: data.effectiveFrom ? new Date(data.effectiveFrom) : undefined,
+      effectiveTo: data.effectiveTo ? new Date(data.effectiveTo) : undefined,
+      status: data.status === 'inactive' ? 'inactive' : 'active',
+      entries,
+      notes: data.notes,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      createdBy: currentUserId()
+    });
+
+    console.log(`🏷️ Price list created: ${priceList.name} (${priceList.type}, ${entries.length} entries)`);
+    return priceList;
+  }
+
+  // Who a list applies to is fixed when it is created; create a new list to retarget
+  async updatePriceList(id: string, changes: Partial<PriceList>): Promise<PriceList> {
+    const existing = await this.getPriceList(id);
+    if (!existing) {
+      throw new Error('Price list not found');
+    }
+
+    const { type, customerId, projectId, priceLevel, ...rest } = changes || {};
+    if ((type && type !== existing.type) || (customerId && customerId !== existing.customerId) ||
+        (projectId && projectId !== existing.projectId) || (priceLevel && priceLevel !== existing.priceLevel)) {
+      throw new Error('A price list cannot be moved to another type, customer, project or price level');
+    }
+    if (rest.status && !['active', 'inactive'].includes(rest.status)) {
+      throw new Error('status must be active or inactive');
+    }
+
+    const updates: Partial<PriceList> = { ...rest };
+    delete updates.createdAt;
+    delete updates.createdBy;
+    if (rest.entries) {
+      updates.entries = validateEntries(rest.entries);
+      await this.assertProductsExist(updates.entries.map(entry => entry.productId));
+    }
+    if (rest.effectiveFrom) updates.effectiveFrom = new Date(rest.effectiveFrom);
+    if (rest.effectiveTo) updates.effectiveTo = new Date(rest.effectiveTo);
+    if (existing.type === 'promotion' && !(updates.effectiveFrom || existing.effectiveFrom)) {
+      throw new Error('Promotions need effective dates');
+    }
+
+    return this.databaseService.update<PriceList>('price_lists', id, updates);
+  }
+
+  // The price a customer pays for a quantity of a product, with the rule that set it
+  async priceFor(
+    customer: PricingCustomer,
+    productId: string,
+    quantity: number,
+    options: { projectId?: string; at?: Date } = {}
+  ): Promise<AppliedPrice> {
+    const product = await this.databaseService.findById<any>('products', productId);
+    if (!product) {
+      throw new Error(`Product ${productId} not found`);
+    }
+    const lists = await this.databaseService.find<PriceList>('price_lists', {
+      status: 'active',
+      'entries.productId': productId
+    });
+    return resolvePrice(lists, customer, productId, quantity, this.basePrice(product), options);
+  }
+
+  // Prices each line. A line that arrives with its own unit price keeps it, recorded as
+  // a manual price alongside what the rules would have charged.
+  async priceLines<T extends PricedLine>(
+    lines: T[],
+    customer: PricingCustomer,
+    options: { projectId?: string; at?: Date } = {}
+  ): Promise<Array<T & { unitPrice: number; totalPrice: number; pricing: AppliedPrice }>> {
+    const priced = [];
+    for (const line of lines) {
+      const applied = await this.priceFor(customer, line.productId, line.quantity, options)
+        .catch(error => {
+          if (line.unitPrice === undefined) throw error;
+          // Products outside the catalog can still be sold at a stated price
+          return { source: 'base', basePrice: line.unitPrice, resolvedPrice: line.unitPrice, pricedAt: new Date() } as AppliedPrice;
+        });
+
+      const manual = line.unitPrice !== undefined && line.unitPrice !== null &&
+        Number(line.unitPrice) !== applied.resolvedPrice;
+      const unitPrice = manual ? Number(line.unitPrice) : applied.resolvedPrice;
+
+      priced.push({
+        ...line,
+        unitPrice,
+        totalPrice: roundCurrency(unitPrice * line.quantity),
+        pricing: manual ? { ...applied, source: 'manual' as const, overrides: applied.source } : applied
+      });
+    }
+    return priced;
+  }
+
+  async listProposals(filters: { status?: string; priceListId?: string } = {}): Promise<PriceProposal[]> {
+    const query: any = { status: filters.status || 'pending' };
+    if (filters.priceListId) query.priceListId = filters.priceListId;
+    return this.databaseService.find<PriceProposal>('price_proposals', query, { sort: { requestedAt: 1 } });
+  }
+
+  // Queues price changes on a list for review. A newer proposal for the same product
+  // replaces one still pending.
+  async proposePrices(
+    priceListId: string,
+    changes: ProposedPriceChange[],
+    source: PriceProposal['source'] = 'user'
+  ): Promise<PriceProposal[]> {
+    if (!Array.isArray(changes) || changes.length === 0) {
+      throw new Error('At least one price change is required');
+    }
+
+    return this.databaseService.transaction(async tx => {
+      const priceList = await tx.findById<PriceList>('price_lists', priceListId);
+      if (!priceList) {
+        throw new Error('Price list not found');
+      }
+
+      const proposals: PriceProposal[] = [];
+      for (const change of changes) {
+        const proposedPrice = roundCurrency(Number(change.proposedPrice));
+        if (!change.productId || !(proposedPrice >= 0)) {
+          throw new Error('Each change needs a productId and a proposedPrice of zero or more');
+        }
+        const product = await tx.findById<any>('products', change.productId);
+        if (!product) {
+          throw new Error(`Product ${change.productId} not found`);
+        }
+
+        const pending = await tx.find<PriceProposal>('price_proposals', {
+          priceListId,
+          productId: change.productId,
+          status: 'pending'
+        });
+        for (const earlier of pending) {
+          await tx.update('price_proposals', earlier.id, { status: 'superseded' });
+        }
+
+        const entry = priceList.entries.find(item => item.productId === change.productId);
+        proposals.push(await tx.create<PriceProposal>('price_proposals', {
+          id: this.generateId('pp'),
+          priceListId,
+          priceListName: priceList.name,
+          productId: change.productId,
+          productName: product.name,
+          currentPrice: entry ? entry.unitPrice : this.basePrice(product),
+          proposedPrice,
+          source,
+          reasoning: change.reasoning,
+          confidence: change.confidence,
+          status: 'pending',
+          requestedAt: new Date(),
+          requestedBy: currentUserId()
+        }));
+      }
+
+      console.log(`🏷️ ${proposals.length} price change(s) proposed for ${priceList.name}`);
+      return proposals;
+    });
+  }
+
+  // Approving writes the proposed price into the list; quantity breaks are left as they were
+  async reviewProposal(id: string, review: { approved: boolean; notes?: string }): Promise<PriceProposal> {
+    return this.databaseService.transaction(async tx => {
+      const proposal = await tx.findById<PriceProposal>('price_proposals', id);
+      if (!proposal) {
+        throw new Error('Price proposal not found');
+      }
+      if (proposal.status !== 'pending') {
+        throw new Error(`Price proposal was already ${proposal.status}`);
+      }
+      if (!review?.approved && !review?.notes) {
+        throw new Error('A reason is required to reject a price proposal');
+      }
+
+      if (review.approved) {
+        const priceList = await tx.findById<PriceList>('price_lists', proposal.priceListId);
+        if (!priceList) {
+          throw new Error('Price list not found');
+        }
+        const entries = priceList.entries.some(entry => entry.productId === proposal.productId)
+          ? priceList.entries.map(entry => entry.productId === proposal.productId
+            ? { ...entry, unitPrice: proposal.proposedPrice }
+            : entry)
+          : [...priceList.entries, { productId: proposal.productId, unitPrice: proposal.proposedPrice }];
+        await tx.update('price_lists', priceList.id, { entries });
+      }
+
+      return tx.update<PriceProposal>('price_proposals', id, {
+        status: review.approved ? 'approved' : 'rejected',
+        reviewedAt: new Date(),
+        reviewedBy: currentUserId(),
+        reviewNotes: review.notes
+      });
+    });
+  }
+
+  private async assertTarget(data: Partial<PriceList>): Promise<void> {
+    switch (data.type) {
+      case 'price_level':
+        if (!data.priceLevel) throw new Error('priceLevel is required for a price level list');
+        return;
+      case 'customer':
+      case 'contract': {
+        if (!data.customerId) throw new Error(`customerId is required for a ${data.type} price list`);
+        const customer = await this.databaseService.findById('customers', data.customerId);
+        if (!customer) throw new Error('Customer not found');
+        if (data.type === 'customer') return;
+
+        if (!data.projectId) throw new Error('projectId is required for a contract price list');
+        const project = await this.databaseService.findById<any>('projects', data.projectId);
+        if (!project) throw new Error('Project not found');
+        if (project.customerId !== data.customerId) {
+          throw new Error('Contract prices must be for one of the customer\'s own projects');
+        }
+        return;
+      }
+      case 'promotion':
+        if (!data.effectiveFrom || !data.effectiveTo) {
+          throw new Error('Promotions need effectiveFrom and effectiveTo');
+        }
+        if (new Date(data.effectiveTo) < new Date(data.effectiveFrom)) {
+          throw new Error('effectiveTo must be after effectiveFrom');
+        }
+        return;
+    }
+  }
+
+  private async assertProductsExist(productIds: string[]): Promise<void> {
+    for (const productId of productIds) {
+      if (!(await this.databaseService.findById('products', productId))) {
+        throw new Error(`Product ${productId} not found`);
+      }
+    }
+  }
+
+  private basePrice(product: any): number {
+    return Number(product.price ?? product.sellingPrice ?? 0);
+  }
+
+  private generateId(prefix: string): string {
+    return prefix + '_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  }
+}
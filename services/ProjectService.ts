@@ -0,0 +1,654 @@
+// services/ProjectService.ts
+import { Injectable } from '@varld/warp';
+import { DatabaseService } from './DatabaseService';
+import { NotificationService } from './NotificationService';
+import { WarehouseService } from './WarehouseService';
+import { Transaction } from './storage/Transaction';
+import { currentUserId } from './auth/RequestContext';
+import { roundCurrency } from './invoicing/PaymentTerms';
+import { StockTake } from './inventory/StockBalances';
+import { Order } from './orders/OrderLifecycle';
+import {
+  ChangeOrder,
+  JobCostSummary,
+  Project,
+  ProjectCostEntry,
+  ProjectMaterial,
+  ProjectMilestone
+} from './projects/Projects';
+import { ProjectSchedule, scheduleMilestones } from './projects/Schedule';
+
+const MILESTONE_FIELDS = [
+  'name', 'description', 'targetDate', 'actualDate', 'status', 'dependencies', 'durationDays'
+] as const;
+
+type MilestoneChanges = Partial<Pick<ProjectMilestone, typeof MILESTONE_FIELDS[number]>>;
+
+// Job costing for projects. Stock is allocated to a project's materials by reserving it,
+// and issued to the job out of those reservations; each issue posts its cost to the
+// project_costs ledger. Actual cost is that ledger plus the cost of goods shipped on
+// the project's sales orders; open purchase orders bought for the project (or raised
+// from its requisitions) are the committed cost.
+// Change orders move the budget once approved. Milestones are scheduled by critical
+// path so a late predecessor shows up as a slip on everything behind it.
+@Injectable()
+export class ProjectService {
+  constructor(
+    private databaseService: DatabaseService,
+    private warehouseService: WarehouseService,
+    private notificationService: NotificationService
+  ) {}
+
+  async getJobCost(projectId: string): Promise<JobCostSummary> {
+    const project = await this.databaseService.findById<Project>('projects', projectId);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    const [changeOrders, costs, orders, purchases, requisitioned] = await Promise.all([
+      this.databaseService.find<ChangeOrder>('project_change_orders', { projectId }),
+      this.databaseService.find<ProjectCostEntry>('project_costs', { projectId }),
+      this.databaseService.find<Order>('orders', { projectId, status: { $ne: 'cancelled' } }),
+      this.databaseService.find<any>('purchases', { projectId, status: { $in: ['approved', 'ordered'] } }),
+      this.databaseService.find<any>('purchases', {
+        projectId: { $ne: projectId },
+        'items.requisitions.projectId': projectId,
+        status: { $in: ['approved', 'ordered'] }
+      })
+    ]);
+
+    const sum = (values: number[]) => roundCurrency(values.reduce((total, value) => total + (value || 0), 0));
+    const approvedChanges = sum(changeOrders.filter(co => co.status === 'approved').map(co => co.amount));
+    const pendingChanges = sum(changeOrders.filter(co => co.status === 'pending').map(co => co.amount));
+
+    const materialsIssued = sum(costs.map(entry => entry.cost));
+    const ordersShipped = sum(orders.map(order => order.costOfGoods || 0));
+    const actualTotal = roundCurrency(materialsIssued + ordersShipped);
+    const openValue = (item: any) => Math.max(0, item.quantity - (item.receivedQuantity || 0)) * item.unitCost;
+    // Consolidated purchases carry the project's share of each line in its requisitions
+    const requisitionedShare = (item: any) => (item.requisitions || [])
+      .filter((source: any) => source.projectId === projectId)
+      .reduce((share: number, source: any) => share + source.quantity / item.quantity, 0);
+    const committed = sum([
+      ...purchases.flatMap(purchase => purchase.items.map(openValue)),
+      ...requisitioned.flatMap(purchase => purchase.items.map((item: any) => openValue(item) * requisitionedShare(item)))
+    ]);
+    const revenue = sum(orders.map(order => order.subtotal - (order.discount || 0)));
+
+    const budget = project.budget;
+    const forecastCost = roundCurrency(actualTotal + committed);
+    const margin = roundCurrency(revenue - actualTotal);
+
+    await this.databaseService.update<Project>('projects', projectId, {
+      actualCost: actualTotal,
+      margin,
+      costsUpdatedAt: new Date()
+    });
+
+    return {
+      projectId,
+      projectNumber: project.projectNumber,
+      originalBudget: project.originalBudget ?? roundCurrency(budget - approvedChanges),
+      approvedChanges,
+      pendingChanges,
+      budget,
+      actual: { materialsIssued, ordersShipped, total: actualTotal },
+      committed,
+      forecastCost,
+      variance: roundCurrency(budget - actualTotal),
+      forecastVariance: roundCurrency(budget - forecastCost),
+      percentUsed: budget > 0 ? Math.round((actualTotal / budget) * 10000) / 100 : 0,
+      revenue,
+      margin
+    };
+  }
+
+  async getCostEntries(projectId: string): Promise<ProjectCostEntry[]> {
+    const entries = await this.databaseService.find<ProjectCostEntry>('project_costs', { projectId });
+    return entries.sort((a, b) => new Date(b.postedAt).getTime() - new Date(a.postedAt).getTime());
+  }
+
+  // ---- Change orders ----
+
+  async listChangeOrders(projectId: string): Promise<ChangeOrder[]> {
+    const changeOrders = await this.databaseService.find<ChangeOrder>('project_change_orders', { projectId });
+    return changeOrders.sort((a, b) => a.changeOrderNumber.localeCompare(b.changeOrderNumber));
+  }
+
+  async requestChangeOrder(projectId: string, data: Partial<ChangeOrder>): Promise<ChangeOrder> {
+    if (!data.description) {
+      throw new Error('description is required');
+    }
+    const amount = Number(data.amount);
+    if (!Number.isFinite(amount)) {
+      throw new Error('amount must be a number');
+    }
+    const scheduleImpactDays = data.scheduleImpactDays === undefined ? undefined : Number(data.scheduleImpactDays);
+    if (scheduleImpactDays !== undefined && !Number.isInteger(scheduleImpactDays)) {
+      throw new Error('scheduleImpactDays must be a whole number of days');
+    }
+
+    return this.databaseService.transaction(async tx => {
+      const project = await this.loadProject(tx, projectId);
+      if (['completed', 'cancelled'].includes(project.status)) {
+        throw new Error(`Cannot change a ${project.status} project`);
+      }
+
+      const existing = await tx.find<ChangeOrder>('project_change_orders', { projectId });
+      const changeOrder: ChangeOrder = {
+        id: this.generateId('co'),
+        changeOrderNumber: `${project.projectNumber}-CO${String(existing.length + 1).padStart(2, '0')}`,
+        projectId,
+        projectNumber: project.projectNumber,
+        description: data.description!,
+        reason: data.reason,
+        amount: roundCurrency(amount),
+        scheduleImpactDays,
+        status: 'pending',
+        requestedAt: new Date(),
+        requestedBy: currentUserId()
+      };
+
+      const saved = await tx.create<ChangeOrder>('project_change_orders', changeOrder);
+      console.log(`📝 Change order ${saved.changeOrderNumber} requested for $${saved.amount}`);
+      return saved;
+    });
+  }
+
+  // Approving moves the project's budget (and end date, when the change has a schedule impact)
+  async reviewChangeOrder(
+    projectId: string,
+    changeOrderId: string,
+    review: { approved: boolean; notes?: string }
+  ): Promise<{ changeOrder: ChangeOrder; project: Project }> {
+    if (!review.approved && !review.notes) {
+      throw new Error('notes are required when rejecting a change order');
+    }
+
+    return this.databaseService.transaction(async tx => {
+      const changeOrder = await tx.findById<ChangeOrder>('project_change_orders', changeOrderId);
+      if (!changeOrder || changeOrder.projectId !== projectId) {
+        throw new Error('Change order not found');
+      }
+      if (changeOrder.status !== 'pending') {
+        throw new Error(`Change order ${changeOrder.changeOrderNumber} is already ${changeOrder.status}`);
+      }
+
+      let project = await this.loadProject(tx, projectId);
+      const reviewed = await tx.update<ChangeOrder>('project_change_orders', changeOrderId, {
+        status: review.approved ? 'approved' : 'rejected',
+        reviewedAt: new Date(),
+        reviewedBy: currentUserId(),
+        reviewNotes: review.notes
+      });
+
+      if (review.approved) {
+        const expectedEndDate = changeOrder.scheduleImpactDays
+          ? new Date(new Date(project.expectedEndDate).getTime() + changeOrder.scheduleImpactDays * 24 * 60 * 60 * 1000)
+          : project.expectedEndDate;
+        project = await tx.update<Project>('projects', projectId, {
+          originalBudget: project.originalBudget ?? project.budget,
+          budget: roundCurrency(project.budget + changeOrder.amount),
+          expectedEndDate,
+          updatedAt: new Date()
+        });
+        console.log(`✅ Change order ${changeOrder.changeOrderNumber} approved; budget now $${project.budget}`);
+      }
+
+      return { changeOrder: reviewed, project };
+    });
+  }
+
+  // ---- Materials ----
+
+  async addMaterials(
+    projectId: string,
+    lines: Array<{ productId: string; quantity: number; unitCost?: number; milestoneId?: string; neededBy?: Date }>
+  ): Promise<Project> {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw new Error('At least one material is required');
+    }
+
+    return this.databaseService.transaction(async tx => {
+      const project = await this.loadProject(tx, projectId);
+      const materials = [...(project.materials || [])];
+
+      for (const line of lines) {
+        if (!(line.quantity > 0)) {
+          throw new Error('Material quantity must be positive');
+        }
+        const product = await tx.findById<any>('products', line.productId);
+        if (!product) {
+          throw new Error(`Product ${line.productId} not found`);
+        }
+        this.assertMilestone(project, line.milestoneId);
+        // Budgeted at the product's cost, or failing that what the stock is carried at
+        const inventory = await tx.findOne<any>('inventory', { productId: product.id });
+        const unitCost = line.unitCost ?? product.costPrice ?? inventory?.unitCost ?? 0;
+        materials.push({
+          id: this.generateId('pm'),
+          productId: product.id,
+          productName: product.name,
+          quantity: line.quantity,
+          unitCost,
+          totalCost: roundCurrency(line.quantity * unitCost),
+          allocatedQuantity: 0,
+          usedQuantity: 0,
+          milestoneId: line.milestoneId,
+          neededBy: line.neededBy ? new Date(line.neededBy) : undefined
+        });
+      }
+
+      return tx.update<Project>('projects', projectId, { materials, updatedAt: new Date() });
+    });
+  }
+
+  // Adds a material takeoff (categories of named materials with quantities, as the
+  // construction AI produces them) to the project, matching names to the catalog.
+  // Running it again replaces earlier takeoff lines nothing has been allocated to or used.
+  async applyTakeoff(
+    projectId: string,
+    takeoff: { materials?: Record<string, Array<{ name: string; quantity: number; unit?: string }>> },
+    options: { milestoneId?: string } = {}
+  ): Promise<{
+    project: Project;
+    added: ProjectMaterial[];
+    unmatched: Array<{ category: string; name: string; quantity: number; unit?: string }>;
+  }> {
+    const products = await this.databaseService.find<any>('products', {});
+    const normalize = (value: string) => String(value || '').trim().toLowerCase();
+    const match = (name: string) => {
+      const wanted = normalize(name);
+      return products.find(product => normalize(product.name) === wanted || normalize(product.sku) === wanted)
+        || products.find(product => normalize(product.name).includes(wanted) || wanted.includes(normalize(product.name)));
+    };
+
+    return this.databaseService.transaction(async tx => {
+      const project = await this.loadProject(tx, projectId);
+      this.assertMilestone(project, options.milestoneId);
+
+      const kept = (project.materials || []).filter(material =>
+        !material.takeoffCategory || material.allocatedQuantity > 0 || material.usedQuantity > 0);
+      const added: ProjectMaterial[] = [];
+      const unmatched: Array<{ category: string; name: string; quantity: number; unit?: string }> = [];
+
+      for (const [category, entries] of Object.entries(takeoff.materials || {})) {
+        for (const entry of entries || []) {
+          const product = entry?.name ? match(entry.name) : undefined;
+          if (!product || !(entry.quantity > 0)) {
+            unmatched.push({ category, name: entry?.name, quantity: entry?.quantity, unit: entry?.unit });
+            continue;
+          }
+
+          const alreadyTaken = kept
+            .filter(material => material.takeoffCategory && material.productId === product.id)
+            .reduce((sum, material) => sum + material.quantity, 0);
+          const quantity = Math.ceil(entry.quantity) - alreadyTaken;
+          if (quantity <= 0) continue;
+
+          const inventory = await tx.findOne<any>('inventory', { productId: product.id });
+          const unitCost = product.costPrice ?? inventory?.unitCost ?? 0;
+          added.push({
+            id: this.generateId('pm'),
+            productId: product.id,
+            productName: product.name,
+            quantity,
+            unitCost,
+            totalCost: roundCurrency(quantity * unitCost),
+            allocatedQuantity: 0,
+            usedQuantity: 0,
+            milestoneId: options.milestoneId,
+            takeoffCategory: category
+          });
+        }
+      }
+
+      const saved = await tx.update<Project>('projects', projectId, {
+        materials: [...kept, ...added],
+        updatedAt: new Date()
+      });
+      console.log(`📐 Takeoff added ${added.length} materials to ${project.projectNumber}; ${unmatched.length} unmatched`);
+      return { project: saved, added, unmatched };
+    });
+  }
+
+  // Reserves available stock for a material, up to what the project still needs
+  async allocateMaterial(projectId: string, materialId: string, quantity?: number): Promise<{
+    project: Project;
+    allocated: number;
+    shortBy: number;
+  }> {
+    return this.databaseService.transaction(async tx => {
+      const project = await this.loadProject(tx, projectId);
+      const material = this.findMaterial(project, materialId);
+      const needed = this.outstandingNeed(material);
+      const requested = quantity ?? needed;
+      if (!(requested > 0)) {
+        throw new Error(`Nothing left to allocate for ${material.productName}`);
+      }
+      if (requested > needed) {
+        throw new Error(`Only ${needed} more ${material.productName} is needed for this project`);
+      }
+
+      const stock = await tx.find<any>('inventory', { productId: material.productId });
+      const allocated = await this.reserve(tx, material, requested, stock);
+      const saved = await tx.update<Project>('projects', projectId, { materials: project.materials, updatedAt: new Date() });
+      return { project: saved, allocated, shortBy: requested - allocated };
+    });
+  }
+
+  async releaseMaterial(projectId: string, materialId: string, quantity?: number): Promise<Project> {
+    return this.databaseService.transaction(async tx => {
+      const project = await this.loadProject(tx, projectId);
+      const material = this.findMaterial(project, materialId);
+      const toRelease = quantity ?? material.allocatedQuantity;
+      if (!(toRelease > 0) || toRelease > material.allocatedQuantity) {
+        throw new Error(`Only ${material.allocatedQuantity} ${material.productName} is allocated`);
+      }
+
+      let remaining = toRelease;
+      for (const reservation of [...(material.reservations || [])].reverse()) {
+        if (remaining <= 0) break;
+        const take = Math.min(reservation.quantity, remaining);
+        const inventory = await tx.findById<any>('inventory', reservation.inventoryId);
+        if (inventory) {
+          await tx.update('inventory', inventory.id, {
+            reservedQuantity: Math.max(0, (inventory.reservedQuantity || 0) - take),
+            lastUpdated: new Date()
+          });
+        }
+        reservation.quantity -= take;
+        remaining -= take;
+      }
+      material.reservations = (material.reservations || []).filter(reservation => reservation.quantity > 0);
+      material.allocatedQuantity -= toRelease;
+
+      return tx.update<Project>('projects', projectId, { materials: project.materials, updatedAt: new Date() });
+    });
+  }
+
+  // Issues material to the job: allocated stock first, then whatever is free, and
+  // posts what it cost to the project
+  async consumeMaterial(
+    projectId: string,
+    materialId: string,
+    usage: { quantity: number; lotNumber?: string; notes?: string }
+  ): Promise<{ project: Project; cost: ProjectCostEntry }> {
+    if (!(usage.quantity > 0)) {
+      throw new Error('Quantity must be positive');
+    }
+
+    return this.databaseService.transaction(async tx => {
+      const project = await this.loadProject(tx, projectId);
+      const material = this.findMaterial(project, materialId);
+      const movement = {
+        type: 'out' as const,
+        reason: 'Project material issue',
+        reference: `Project ${project.projectNumber}${usage.notes ? `: ${usage.notes}` : ''}`
+      };
+      const selector = { lotNumber: usage.lotNumber, excludeExpiredAt: new Date() };
+
+      let remaining = usage.quantity;
+      let fromAllocation = 0;
+      const taken: StockTake[] = [];
+
+      for (const reservation of material.reservations || []) {
+        if (remaining <= 0) break;
+        const take = Math.min(reservation.quantity, remaining);
+        const inventory = await tx.findById<any>('inventory', reservation.inventoryId);
+        if (!inventory) {
+          throw new Error(`Reserved inventory ${reservation.inventoryId} no longer exists`);
+        }
+        taken.push(...await this.warehouseService.issueFrom(tx, inventory, take, selector, movement, {
+          reservedQuantity: Math.max(0, (inventory.reservedQuantity || 0) - take)
+        }));
+        reservation.quantity -= take;
+        fromAllocation += take;
+        remaining -= take;
+      }
+      material.reservations = (material.reservations || []).filter(reservation => reservation.quantity > 0);
+
+      if (remaining > 0) {
+        const stock = await tx.find<any>('inventory', { productId: material.productId });
+        for (const inventory of stock) {
+          if (remaining <= 0) break;
+          const take = Math.min(inventory.quantity - (inventory.reservedQuantity || 0), remaining);
+          if (take <= 0) continue;
+          taken.push(...await this.warehouseService.issueFrom(tx, inventory, take, selector, movement));
+          remaining -= take;
+        }
+      }
+      if (remaining > 0) {
+        throw new Error(`Insufficient stock to issue ${usage.quantity} ${material.productName}`);
+      }
+
+      material.allocatedQuantity -= fromAllocation;
+      material.usedQuantity += usage.quantity;
+
+      const cost = await tx.create<ProjectCostEntry>('project_costs', {
+        id: this.generateId('pcost'),
+        projectId,
+        type: 'material',
+        source: 'stock_issue',
+        materialId: material.id,
+        productId: material.productId,
+        productName: material.productName,
+        quantity: usage.quantity,
+        cost: roundCurrency(taken.reduce((sum, take) => sum + (take.cost || 0), 0)),
+        reference: movement.reference,
+        postedAt: new Date(),
+        postedBy: currentUserId()
+      });
+
+      const saved = await tx.update<Project>('projects', projectId, { materials: project.materials, updatedAt: new Date() });
+      console.log(`🏗️ Issued ${usage.quantity} ${material.productName} to ${project.projectNumber} at $${cost.cost}`);
+      return { project: saved, cost };
+    });
+  }
+
+  // Stock received on a project's purchase order goes to the project's materials
+  // before anything else. Call it inside the receiving transaction.
+  async allocateReceiptIn(tx: Transaction, projectId: string, inventory: any, quantity: number): Promise<number> {
+    const project = await tx.findById<Project>('projects', projectId);
+    if (!project) return 0;
+
+    let allocated = 0;
+    for (const material of project.materials || []) {
+      if (material.productId !== inventory.productId || allocated >= quantity) continue;
+      const take = Math.min(this.outstandingNeed(material), quantity - allocated);
+      if (take <= 0) continue;
+      const current = await tx.findById<any>('inventory', inventory.id);
+      allocated += await this.reserve(tx, material, take, [current]);
+    }
+
+    if (allocated > 0) {
+      await tx.update<Project>('projects', projectId, { materials: project.materials, updatedAt: new Date() });
+      console.log(`🏗️ Allocated ${allocated} received units of ${inventory.productId} to ${project.projectNumber}`);
+    }
+    return allocated;
+  }
+
+  // ---- Milestones and schedule ----
+
+  async addMilestone(projectId: string, data: Partial<ProjectMilestone>): Promise<{ project: Project; schedule: ProjectSchedule }> {
+    if (!data.name || !data.targetDate) {
+      throw new Error('name and targetDate are required');
+    }
+    const project = await this.requireProject(projectId);
+    const milestone: ProjectMilestone = {
+      id: this.generateId('ms'),
+      name: data.name,
+      description: data.description || '',
+      targetDate: new Date(data.targetDate),
+      status: 'pending',
+      dependencies: data.dependencies || [],
+      durationDays: data.durationDays
+    };
+    return this.saveSchedule(project, [...(project.milestones || []), milestone]);
+  }
+
+  async updateMilestone(
+    projectId: string,
+    milestoneId: string,
+    changes: MilestoneChanges
+  ): Promise<{ project: Project; schedule: ProjectSchedule }> {
+    const project = await this.requireProject(projectId);
+    const milestones = (project.milestones || []).map(milestone => ({ ...milestone }));
+    const milestone = milestones.find(entry => entry.id === milestoneId);
+    if (!milestone) {
+      throw new Error('Milestone not found');
+    }
+
+    for (const field of MILESTONE_FIELDS) {
+      if (changes[field] !== undefined) {
+        (milestone as any)[field] = changes[field];
+      }
+    }
+    if (changes.targetDate) milestone.targetDate = new Date(changes.targetDate);
+    if (changes.actualDate) milestone.actualDate = new Date(changes.actualDate);
+    if (milestone.status === 'completed' && !milestone.actualDate) {
+      milestone.actualDate = new Date();
+    }
+
+    return this.saveSchedule(project, milestones);
+  }
+
+  // Recomputes the schedule as of today, so milestones that have run past their
+  // dates since the last look are flagged too
+  async getSchedule(projectId: string): Promise<ProjectSchedule> {
+    const project = await this.requireProject(projectId);
+    const { schedule } = await this.saveSchedule(project, project.milestones || []);
+    return schedule;
+  }
+
+  private async saveSchedule(
+    project: Project,
+    milestones: ProjectMilestone[]
+  ): Promise<{ project: Project; schedule: ProjectSchedule }> {
+    const schedule = scheduleMilestones(milestones, project.startDate, project.expectedEndDate);
+    const previous = new Map((project.milestones || []).map(milestone => [milestone.id, milestone]));
+    const newSlips: ProjectMilestone[] = [];
+
+    const scheduled = milestones.map(milestone => {
+      const result = schedule.milestones.find(entry => entry.id === milestone.id)!;
+      let status = milestone.status;
+      if (status !== 'completed') {
+        if (result.slipDays > 0) status = 'delayed';
+        else if (status === 'delayed') status = 'pending';
+      }
+
+      const updated: ProjectMilestone = {
+        ...milestone,
+        status,
+        forecastDate: result.earlyFinish,
+        slipDays: result.slipDays,
+        delayedBy: result.delayedBy,
+        critical: result.critical
+      };
+      if (status !== 'completed' && result.slipDays > (previous.get(milestone.id)?.slipDays || 0)) {
+        newSlips.push(updated);
+      }
+      return updated;
+    });
+
+    const saved = await this.databaseService.update<Project>('projects', project.id, {
+      milestones: scheduled,
+      updatedAt: new Date()
+    });
+
+    if (newSlips.length > 0) {
+      const names = new Map(scheduled.map(milestone => [milestone.id, milestone.name]));
+      const describe = (milestone: ProjectMilestone) => {
+        const cause = milestone.delayedBy && milestone.delayedBy.length > 0
+          ? ` (waiting on ${milestone.delayedBy.map(id => names.get(id)).join(', ')})`
+          : '';
+        return `${milestone.name} +${milestone.slipDays}d${cause}`;
+      };
+      await this.notificationService.send({
+        type: 'project_schedule_slip',
+        title: `Schedule slip on ${project.projectNumber}`,
+        message: `${project.name}: ${newSlips.map(describe).join('; ')}. Projected end ${schedule.projectedEndDate.toDateString()}`,
+        data: {
+          projectId: project.id,
+          milestoneIds: newSlips.map(milestone => milestone.id),
+          projectedEndDate: schedule.projectedEndDate,
+          slipDays: schedule.slipDays
+        },
+        priority: newSlips.some(milestone => milestone.critical) ? 'high' : 'medium',
+        recipientId: project.projectManager
+      });
+    }
+
+    return { project: saved, schedule };
+  }
+
+  // ---- Helpers ----
+
+  private async reserve(tx: Transaction, material: ProjectMaterial, quantity: number, stock: any[]): Promise<number> {
+    let remaining = quantity;
+
+    for (const inventory of stock) {
+      if (remaining <= 0) break;
+      if (!inventory) continue;
+      const available = inventory.quantity - (inventory.reservedQuantity || 0);
+      const take = Math.min(available, remaining);
+      if (take <= 0) continue;
+
+      await tx.update('inventory', inventory.id, {
+        reservedQuantity: (inventory.reservedQuantity || 0) + take,
+        lastUpdated: new Date()
+      });
+
+      material.reservations = material.reservations || [];
+      const existing = material.reservations.find(entry => entry.inventoryId === inventory.id);
+      if (existing) {
+        existing.quantity += take;
+      } else {
+        material.reservations.push({ inventoryId: inventory.id, quantity: take });
+      }
+      remaining -= take;
+    }
+
+    const reserved = quantity - remaining;
+    material.allocatedQuantity = (material.allocatedQuantity || 0) + reserved;
+    return reserved;
+  }
+
+  private assertMilestone(project: Project, milestoneId?: string): void {
+    if (milestoneId && !(project.milestones || []).some(milestone => milestone.id === milestoneId)) {
+      throw new Error(`Milestone ${milestoneId} not found on this project`);
+    }
+  }
+
+  private outstandingNeed(material: ProjectMaterial): number {
+    return Math.max(0, material.quantity - (material.allocatedQuantity || 0) - (material.usedQuantity || 0));
+  }
+
+  private findMaterial(project: Project, materialId: string): ProjectMaterial {
+    const material = (project.materials || []).find(entry => entry.id === materialId);
+    if (!material) {
+      throw new Error('Material not found on this project');
+    }
+    return material;
+  }
+
+  private async requireProject(projectId: string): Promise<Project> {
+    const project = await this.databaseService.findById<Project>('projects', projectId);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+    return project;
+  }
+
+  private async loadProject(tx: Transaction, projectId: string): Promise<Project> {
+    const project = await tx.findById<Project>('projects', projectId);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+    return project;
+  }
+
+  private generateId(prefix: string): string {
+    return prefix + '_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  }
+}
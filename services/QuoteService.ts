@@ -0,0 +1,573 @@
+// services/QuoteService.ts
+import { Injectable } from '@varld/warp';
+import { DatabaseService } from './DatabaseService';
+import { NotificationService } from './NotificationService';
+import { PricingService } from './PricingService';
+import { TaxService } from './TaxService';
+import { AccountsReceivableService } from './AccountsReceivableService';
+import { CompanyService } from './CompanyService';
+import { Transaction } from './storage/Transaction';
+import { currentUserId } from './auth/RequestContext';
+import { roundCurrency } from './invoicing/PaymentTerms';
+import { Order, generateOrderNumber, shippingChargeFor } from './orders/OrderLifecycle';
+import {
+  ACCEPTANCE_METHODS,
+  DECLINE_REASONS,
+  OPEN_QUOTE_STATUSES,
+  Quote,
+  QuoteAcceptance,
+  QuoteDecline,
+  QuoteItem,
+  QuoteStatus,
+  isExpired,
+  snapshotRevision,
+  summarizeWinLoss
+} from './quotes/Quotes';
+import { quoteFileName, renderQuoteHtml, renderQuotePdf } from './quotes/QuoteDocument';
+
+export interface LineAvailability {
+  productId: string;
+  productName: string;
+  requested: number;
+  available: number;
+  shortBy: number;
+}
+
+const REVISABLE_FIELDS = [
+  'items', 'projectId', 'shippingAddress', 'deliverToJobsite', 'validUntil', 'discount', 'notes', 'terms'
+] as const;
+
+type QuoteChanges = Partial<Pick<Quote, typeof REVISABLE_FIELDS[number]>> & { reason?: string };
+
+// Quotes and estimates. A quote prices its lines with the customer's price lists and
+// holds those prices until it expires; once accepted it converts into a sales order
+// (or a project's material list) at the quoted prices, after availability is checked
+// again. Changing a quote the customer has already seen starts a new revision.
+@Injectable()
+export class QuoteService {
+  constructor(
+    private databaseService: DatabaseService,
+    private pricingService: PricingService,
+    private taxService: TaxService,
+    private receivablesService: AccountsReceivableService,
+    private companyService: CompanyService,
+    private notificationService: NotificationService
+  ) {}
+
+  async listQuotes(filters: { status?: QuoteStatus; customerId?: string; salesRep?: string } = {}): Promise<Quote[]> {
+    await this.expireQuotes();
+    const query: any = {};
+    for (const field of ['status', 'customerId', 'salesRep'] as const) {
+      if (filters[field]) query[field] = filters[field];
+    }
+    return this.databaseService.find<Quote>('quotes', query, { sort: { createdAt: -1 } });
+  }
+
+  async getQuote(id: string): Promise<Quote | null> {
+    const quote = await this.databaseService.findById<Quote>('quotes', id);
+    if (quote && isExpired(quote)) {
+      return this.databaseService.update<Quote>('quotes', id, { status: 'expired', updatedAt: new Date() });
+    }
+    return quote;
+  }
+
+  async createQuote(data: Partial<Quote>): Promise<Quote> {
+    const requiredFields = ['customerId', 'items', 'shippingAddress'];
+    for (const field of requiredFields) {
+      if (!data?.[field as keyof Quote]) {
+        throw new Error(`${field} is required`);
+      }
+    }
+
+    const customer = await this.databaseService.findById<any>('customers', data.customerId!);
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+
+    const settings = await this.companyService.getSettings();
+    const quote: Quote = {
+      id: this.generateId('quote'),
+      quoteNumber: '', // assigned in the create transaction below
+      revision: 1,
+      customerId: customer.id,
+      customerName: customer.companyName || customer.name,
+      projectId: data.projectId,
+      salesRep: data.salesRep || currentUserId(),
+      items: [],
+      subtotal: 0,
+      tax: 0,
+      shipping: 0,
+      discount: Number(data.discount) || 0,
+      total: 0,
+      shippingAddress: data.shippingAddress!,
+      deliverToJobsite: data.deliverToJobsite,
+      validUntil: this.validUntil(data.validUntil, settings.quoteValidityDays),
+      status: 'draft',
+      revisions: [],
+      notes: data.notes,
+      terms: data.terms,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      createdBy: currentUserId()
+    };
+
+    const priced = await this.price(quote, customer, data.items!);
+    const saved = await this.databaseService.transaction(async tx =>
+      tx.create<Quote>('quotes', { ...priced, quoteNumber: await this.generateQuoteNumber(tx) })
+    );
+    console.log(`📝 Quote ${saved.quoteNumber} created for ${saved.customerName}: $${saved.total}`);
+    return saved;
+  }
+
+  // Edits a draft in place. A quote that was sent, declined or has expired gets a new
+  // revision: the old one is kept for reference and the new one starts as a draft with
+  // prices refreshed and, if it had run out, a fresh validity period.
+  async reviseQuote(id: string, changes: QuoteChanges): Promise<Quote> {
+    const quote = await this.getQuote(id);
+    if (!quote) {
+      throw new Error('Quote not found');
+    }
+    if (['accepted', 'converted'].includes(quote.status)) {
+      throw new Error(`Quote ${quote.quoteNumber} is ${quote.status} and can no longer be changed`);
+    }
+
+    const customer = await this.databaseService.findById<any>('customers', quote.customerId);
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+
+    const settings = await this.companyService.getSettings();
+    const edits: QuoteChanges = {};
+    for (const field of REVISABLE_FIELDS) {
+      if (changes?.[field] !== undefined) (edits as any)[field] = changes[field];
+    }
+    const newRevision = quote.status !== 'draft';
+    const revised: Quote = {
+      ...quote,
+      ...edits,
+      discount: edits.discount !== undefined ? Number(edits.discount) || 0 : quote.discount,
+      validUntil: edits.validUntil
+        ? this.validUntil(edits.validUntil, settings.quoteValidityDays)
+        : quote.status === 'expired' ? this.validUntil(undefined, settings.quoteValidityDays) : quote.validUntil,
+      updatedAt: new Date()
+    };
+
+    if (newRevision) {
+      revised.revisions = [...quote.revisions, snapshotRevision(quote, currentUserId(), changes?.reason)];
+      revised.revision = quote.revision + 1;
+      revised.status = 'draft';
+      revised.sentAt = undefined;
+      revised.decline = undefined;
+    }
+
+    // Lines are re-priced against today's price lists unless they state a price
+    const items = (edits.items || quote.items).map(item => {
+      const { pricing, ...line } = item;
+      const rulePriced = pricing && pricing.source !== 'manual' && line.unitPrice === pricing.resolvedPrice;
+      return { ...line, unitPrice: rulePriced ? undefined : line.unitPrice } as QuoteItem;
+    });
+
+    const saved = await this.databaseService.update<Quote>('quotes', id, await this.price(revised, customer, items));
+    if (newRevision) {
+      console.log(`📝 Quote ${saved.quoteNumber} revised to revision ${saved.revision}`);
+    }
+    return saved;
+  }
+
+  async sendQuote(id: string): Promise<Quote> {
+    const quote = await this.loadOpenQuote(id);
+    const customer = await this.databaseService.findById<any>('customers', quote.customerId);
+
+    const sent = await this.databaseService.update<Quote>('quotes', id, {
+      status: 'sent',
+      sentAt: new Date(),
+      updatedAt: new Date()
+    });
+
+    await this.notificationService.send({
+      type: 'quote_sent',
+      title: `Quote ${sent.quoteNumber}`,
+      message: `Quote ${sent.quoteNumber} (revision ${sent.revision}) for $${sent.total} is valid until ${new Date(sent.validUntil).toDateString()}`,
+      data: { quoteId: sent.id, quoteNumber: sent.quoteNumber, revision: sent.revision, total: sent.total },
+      recipientId: quote.customerId,
+      recipientEmail: customer?.email
+    });
+    return sent;
+  }
+
+  async renderQuote(id: string, format: 'html' | 'pdf' = 'html'): Promise<{
+    fileName: string;
+    contentType: string;
+    encoding: 'utf8' | 'base64';
+    content: string;
+  }> {
+    const quote = await this.getQuote(id);
+    if (!quote) {
+      throw new Error('Quote not found');
+    }
+
+    const company = await this.companyService.getCurrentCompany();
+    const settings = await this.companyService.getSettings();
+    const issuer = { name: company.name, currency: settings.currency };
+
+    if (format === 'pdf') {
+      return {
+        fileName: quoteFileName(quote, 'pdf'),
+        contentType: 'application/pdf',
+        encoding: 'base64',
+        content: renderQuotePdf(quote, issuer).toString('base64')
+      };
+    }
+    return {
+      fileName: quoteFileName(quote, 'html'),
+      contentType: 'text/html',
+      encoding: 'utf8',
+      content: renderQuoteHtml(quote, issuer)
+    };
+  }
+
+  // Records the customer's acceptance. Quoted prices are honored from here on, even
+  // if the quote is converted after its validity date.
+  async acceptQuote(id: string, acceptance: Partial<QuoteAcceptance>): Promise<Quote> {
+    const quote = await this.loadOpenQuote(id);
+    if (quote.status !== 'sent') {
+      throw new Error('Only a quote that has been sent to the customer can be accepted');
+    }
+    if (!acceptance?.acceptedBy) {
+      throw new Error('acceptedBy is required');
+    }
+    const method = acceptance.method || 'email';
+    if (!ACCEPTANCE_METHODS.includes(method)) {
+      throw new Error(`method must be one of ${ACCEPTANCE_METHODS.join(', ')}`);
+    }
+
+    return this.databaseService.update<Quote>('quotes', id, {
+      status: 'accepted',
+      acceptance: {
+        acceptedAt: new Date(),
+        acceptedBy: acceptance.acceptedBy,
+        method,
+        purchaseOrderNumber: acceptance.purchaseOrderNumber,
+        recordedBy: currentUserId()
+      },
+      updatedAt: new Date()
+    });
+  }
+
+  async declineQuote(id: string, decline: Partial<QuoteDecline>): Promise<Quote> {
+    const quote = await this.getQuote(id);
+    if (!quote) {
+      throw new Error('Quote not found');
+    }
+    if (!['draft', 'sent', 'expired'].includes(quote.status)) {
+      throw new Error(`Quote ${quote.quoteNumber} is ${quote.status} and cannot be declined`);
+    }
+    const reason = decline?.reason || 'other';
+    if (!DECLINE_REASONS.includes(reason)) {
+      throw new Error(`reason must be one of ${DECLINE_REASONS.join(', ')}`);
+    }
+
+    return this.databaseService.update<Quote>('quotes', id, {
+      status: 'declined',
+      decline: {
+        declinedAt: new Date(),
+        reason,
+        competitor: decline.competitor,
+        notes: decline.notes,
+        recordedBy: currentUserId()
+      },
+      updatedAt: new Date()
+    });
+  }
+
+  // Stock on hand (less reservations) against each quoted line
+  async checkAvailability(items: QuoteItem[]): Promise<LineAvailability[]> {
+    const requested = new Map<string, { productName: string; quantity: number }>();
+    for (const item of items) {
+      const entry = requested.get(item.productId) || { productName: item.productName, quantity: 0 };
+      entry.quantity += item.quantity;
+      requested.set(item.productId, entry);
+    }
+
+    const availability: LineAvailability[] = [];
+    for (const [productId, entry] of requested) {
+      const stock = await this.databaseService.find<any>('inventory', { productId });
+      const available = stock.reduce((sum, inventory) =>
+        sum + Math.max(0, inventory.quantity - (inventory.reservedQuantity || 0)), 0);
+      availability.push({
+        productId,
+        productName: entry.productName,
+        requested: entry.quantity,
+        available,
+        shortBy: Math.max(0, entry.quantity - available)
+      });
+    }
+    return availability;
+  }
+
+  // Creates a draft sales order at the quoted prices. Tax is worked out again for the
+  // order date, so exemption certificates are checked when the customer commits.
+  async convertToOrder(id: string, options: { allowBackorders?: boolean } = {}): Promise<{
+    quote: Quote;
+    order: Order;
+    availability: LineAvailability[];
+  }> {
+    const quote = await this.loadAcceptedQuote(id);
+    const customer = await this.databaseService.findById<any>('customers', quote.customerId);
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+
+    const availability = await this.checkAvailability(quote.items);
+    const short = availability.filter(line => line.shortBy > 0);
+    if (short.length > 0 && !options.allowBackorders) {
+      throw new Error(`Not enough stock for ${short.map(line => `${line.productName} (short ${line.shortBy})`).join(', ')}; convert with allowBackorders to order anyway`);
+    }
+
+    const items = quote.items.map(item => ({
+      ...item,
+      id: this.generateId('order'),
+      pricing: {
+        ...(item.pricing || { basePrice: item.unitPrice, pricedAt: quote.createdAt }),
+        source: 'quote' as const,
+        resolvedPrice: item.unitPrice,
+        quoteId: quote.id,
+        quoteNumber: quote.quoteNumber
+      }
+    }));
+    const subtotal = roundCurrency(items.reduce((sum, item) => sum + item.totalPrice, 0));
+    const taxed = await this.taxService.taxDelivery(customer, quote, items, quote.shipping);
+    const total = roundCurrency(subtotal + taxed.tax + quote.shipping - quote.discount);
+
+    await this.receivablesService.assertCanOrder(customer.id, total);
+
+    const result = await this.databaseService.transaction(async tx => {
+      const order = await tx.create<Order>('orders', {
+        id: this.generateId('order'),
+        orderNumber: await generateOrderNumber(tx),
+        customerId: customer.id,
+        customerName: customer.companyName,
+        projectId: quote.projectId,
+        deliverToJobsite: quote.deliverToJobsite,
+        items: taxed.items,
+        subtotal,
+        tax: taxed.tax,
+        taxDetail: taxed.taxDetail,
+        shipping: quote.shipping,
+        discount: quote.discount,
+        total,
+        status: 'draft',
+        paymentStatus: 'pending',
+        shippingAddress: quote.shippingAddress,
+        billingAddress: customer.address || quote.shippingAddress,
+        notes: [quote.acceptance?.purchaseOrderNumber && `PO ${quote.acceptance.purchaseOrderNumber}`, quote.notes]
+          .filter(Boolean).join(' · ') || undefined,
+        quoteId: quote.id,
+        statusHistory: [],
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        createdBy: currentUserId()
+      });
+
+      const converted = await tx.update<Quote>('quotes', quote.id, {
+        status: 'converted',
+        conversion: {
+          type: 'order',
+          orderId: order.id,
+          orderNumber: order.orderNumber,
+          convertedAt: new Date(),
+          convertedBy: currentUserId()
+        },
+        updatedAt: new Date()
+      });
+      return { quote: converted, order };
+    });
+
+    await this.notificationService.send({
+      type: 'order_confirmation',
+      title: 'Order Confirmation',
+      message: `Order ${result.order.orderNumber} has been created from quote ${quote.quoteNumber}`,
+      data: result.order,
+      recipientId: customer.id,
+      recipientEmail: customer.email
+    });
+
+    console.log(`📝 Quote ${quote.quoteNumber} converted to order ${result.order.orderNumber}`);
+    return { ...result, availability };
+  }
+
+  // Adds the quoted lines to a project's material list at the quoted prices
+  async convertToProject(id: string, projectId?: string): Promise<{
+    quote: Quote;
+    project: any;
+    availability: LineAvailability[];
+  }> {
+    const quote = await this.loadAcceptedQuote(id);
+    const targetId = projectId || quote.projectId;
+    if (!targetId) {
+      throw new Error('projectId is required for a quote without a project');
+    }
+
+    const availability = await this.checkAvailability(quote.items);
+
+    const result = await this.databaseService.transaction(async tx => {
+      const project = await tx.findById<any>('projects', targetId);
+      if (!project || project.customerId !== quote.customerId) {
+        throw new Error('Project not found for this customer');
+      }
+
+      const materials = [
+        ...(project.materials || []),
+        ...quote.items.map(item => ({
+          id: this.generateId('pm'),
+          productId: item.productId,
+          productName: item.productName,
+          quantity: item.quantity,
+          unitCost: item.unitPrice,
+          totalCost: item.totalPrice,
+          allocatedQuantity: 0,
+          usedQuantity: 0,
+          quoteId: quote.id
+        }))
+      ];
+      const updatedProject = await tx.update<any>('projects', project.id, { materials, updatedAt: new Date() });
+
+      const converted = await tx.update<Quote>('quotes', quote.id, {
+        status: 'converted',
+        projectId: project.id,
+        conversion: {
+          type: 'project',
+          projectId: project.id,
+          convertedAt: new Date(),
+          convertedBy: currentUserId()
+        },
+        updatedAt: new Date()
+      });
+      return { quote: converted, project: updatedProject };
+    });
+
+    console.log(`📝 Quote ${quote.quoteNumber} added to project ${result.project.name}`);
+    return { ...result, availability };
+  }
+
+  // Win rate and value by customer and by salesperson for quotes created in the period
+  async getWinLoss(startDate: Date, endDate: Date): Promise<{
+    totals: ReturnType<typeof summarizeWinLoss>[number] | null;
+    byCustomer: ReturnType<typeof summarizeWinLoss>;
+    bySalesRep: ReturnType<typeof summarizeWinLoss>;
+  }> {
+    await this.expireQuotes();
+    const quotes = await this.databaseService.find<Quote>('quotes', {
+      createdAt: { $gte: startDate, $lte: endDate }
+    });
+
+    const repNames = new Map<string, string>();
+    for (const repId of new Set(quotes.map(quote => quote.salesRep))) {
+      const user = await this.databaseService.findById<any>('users', repId);
+      repNames.set(repId, user?.name || repId);
+    }
+
+    return {
+      totals: summarizeWinLoss(quotes, () => ({ key: 'all', name: 'All quotes' }))[0] || null,
+      byCustomer: summarizeWinLoss(quotes, quote => ({ key: quote.customerId, name: quote.customerName })),
+      bySalesRep: summarizeWinLoss(quotes, quote => ({ key: quote.salesRep, name: repNames.get(quote.salesRep)! }))
+    };
+  }
+
+  // Prices the lines and works out the quote's totals
+  private async price(quote: Quote, customer: any, items: QuoteItem[]): Promise<Quote> {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('A quote must contain at least one item');
+    }
+    if (quote.projectId) {
+      const project = await this.databaseService.findById<any>('projects', quote.projectId);
+      if (!project || project.customerId !== quote.customerId) {
+        throw new Error('Project not found for this customer');
+      }
+    }
+
+    const lines = items.map(item => {
+      const quantity = Number(item.quantity);
+      if (!(quantity > 0)) {
+        throw new Error(`Quantity for ${item.productName || item.productId} must be positive`);
+      }
+      return { ...item, id: item.id || this.generateId('ql'), quantity };
+    });
+    const priced = await this.pricingService.priceLines(lines, customer, { projectId: quote.projectId });
+
+    const subtotal = roundCurrency(priced.reduce((sum, item) => sum + item.totalPrice, 0));
+    const shipping = shippingChargeFor(subtotal);
+    const taxed = await this.taxService.taxDelivery(customer, quote, priced, shipping);
+
+    return {
+      ...quote,
+      items: taxed.items,
+      subtotal,
+      tax: taxed.tax,
+      taxDetail: taxed.taxDetail,
+      shipping,
+      total: roundCurrency(subtotal + taxed.tax + shipping - quote.discount)
+    };
+  }
+
+  private async loadOpenQuote(id: string): Promise<Quote> {
+    const quote = await this.getQuote(id);
+    if (!quote) {
+      throw new Error('Quote not found');
+    }
+    if (quote.status === 'expired') {
+      throw new Error(`Quote ${quote.quoteNumber} expired on ${new Date(quote.validUntil).toDateString()}; revise it to quote again`);
+    }
+    if (!OPEN_QUOTE_STATUSES.includes(quote.status)) {
+      throw new Error(`Quote ${quote.quoteNumber} is ${quote.status}`);
+    }
+    return quote;
+  }
+
+  private async loadAcceptedQuote(id: string): Promise<Quote> {
+    const quote = await this.getQuote(id);
+    if (!quote) {
+      throw new Error('Quote not found');
+    }
+    if (quote.status !== 'accepted') {
+      throw new Error(`Only accepted quotes can be converted; quote ${quote.quoteNumber} is ${quote.status}`);
+    }
+    return quote;
+  }
+
+  private async expireQuotes(): Promise<void> {
+    const stale = await this.databaseService.find<Quote>('quotes', {
+      status: { $in: OPEN_QUOTE_STATUSES },
+      validUntil: { $lt: new Date() }
+    });
+    for (const quote of stale) {
+      await this.databaseService.update('quotes', quote.id, { status: 'expired', updatedAt: new Date() });
+    }
+  }
+
+  private validUntil(requested: Date | string | undefined, validityDays: number): Date {
+    if (requested) {
+      const date = new Date(requested);
+      if (isNaN(date.getTime()) || date < new Date()) {
+        throw new Error('validUntil must be a future date');
+      }
+      return date;
+    }
+    return new Date(Date.now() + validityDays * 24 * 60 * 60 * 1000);
+  }
+
+  private async generateQuoteNumber(tx: Transaction): Promise<string> {
+    const year = new Date().getFullYear();
+    const month = String(new Date().getMonth() + 1).padStart(2, '0');
+    const quotesThisMonth = await tx.find('quotes', {
+      quoteNumber: { $regex: `^QTE-${year}${month}` }
+    });
+
+    const sequence = String(quotesThisMonth.length + 1).padStart(4, '0');
+    return `QTE-${year}${month}-${sequence}`;
+  }
+
+  private generateId(prefix: string): string {
+    return prefix + '_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  }
+}
@@ -0,0 +1,177 @@
+// services/RequisitionService.ts
+import { Injectable } from '@varld/warp';
+import { DatabaseService } from './DatabaseService';
+import { SupplyChainOptimizer } from '../src/services/SupplyChainOptimizer';
+import { Project, ProjectMaterial } from './projects/Projects';
+import {
+  DEFAULT_LEAD_TIME_DAYS,
+  MaterialNeed,
+  NettedNeed,
+  OpenPurchaseLine,
+  RequisitionLine,
+  SupplierOption,
+  SupplierRequisition,
+  chooseSupplier,
+  consolidateBySupplier,
+  netRequirements
+} from './purchasing/Requisitions';
+
+export const OPEN_PURCHASE_STATUSES = ['draft', 'pending', 'approved', 'ordered'];
+
+export interface RequisitionPlan {
+  generatedAt: Date;
+  requirements: NettedNeed[];
+  requisitions: SupplierRequisition[];
+  unsourced: NettedNeed[]; // short, with no supplier known for the product
+}
+
+// Turns what active projects still need into purchase requisitions. Needs are netted
+// against free stock and open purchase orders across every active project, suppliers
+// are picked with the supply chain optimizer (then checked against lead time and
+// minimum order), and the shortfall is consolidated into one requisition per supplier
+// whose lines remember which project lines they are for.
+@Injectable()
+export class RequisitionService {
+  constructor(
+    private databaseService: DatabaseService,
+    private optimizer: SupplyChainOptimizer
+  ) {}
+
+  async planRequisitions(today: Date = new Date()): Promise<RequisitionPlan> {
+    const [projects, inventory, purchases, suppliers] = await Promise.all([
+      this.databaseService.find<Project>('projects', { status: { $in: ['planning', 'active'] } }),
+      this.databaseService.find<any>('inventory', {}),
+      this.databaseService.find<any>('purchases', { status: { $in: OPEN_PURCHASE_STATUSES } }),
+      this.databaseService.find<any>('suppliers', { status: 'active' })
+    ]);
+
+    const needs: MaterialNeed[] = projects.flatMap(project => (project.materials || [])
+      .map(material => ({
+        projectId: project.id,
+        projectNumber: project.projectNumber,
+        materialId: material.id,
+        productId: material.productId,
+        productName: material.productName,
+        quantity: Math.max(0, material.quantity - (material.allocatedQuantity || 0) - (material.usedQuantity || 0)),
+        neededBy: this.neededBy(project, material)
+      }))
+      .filter(need => need.quantity > 0));
+
+    const freeStock = new Map<string, number>();
+    for (const record of inventory) {
+      const free = Math.max(0, record.quantity - (record.reservedQuantity || 0));
+      freeStock.set(record.productId, (freeStock.get(record.productId) || 0) + free);
+    }
+
+    const openLines: OpenPurchaseLine[] = purchases.flatMap(purchase => purchase.items.map((item: any) => ({
+      purchaseId: purchase.id,
+      purchaseNumber: purchase.purchaseNumber,
+      productId: item.productId,
+      openQuantity: Math.max(0, item.quantity - (item.receivedQuantity || 0)),
+      projectId: purchase.projectId,
+      requisitions: item.requisitions
+    })));
+
+    const requirements = netRequirements(needs, freeStock, openLines);
+    const short = requirements.filter(need => need.shortfall > 0);
+
+    const optionsByProduct = new Map<string, SupplierOption[]>();
+    for (const productId of new Set(short.map(need => need.productId))) {
+      optionsByProduct.set(productId, await this.supplierOptions(productId, suppliers, purchases, inventory));
+    }
+
+    const lines: Array<RequisitionLine & { supplier: SupplierOption }> = [];
+    const unsourced: NettedNeed[] = [];
+    for (const need of short) {
+      const options = optionsByProduct.get(need.productId) || [];
+      const choice = chooseSupplier(options, need.neededBy, today);
+      if (!choice) {
+        unsourced.push(need);
+        continue;
+      }
+
+      const quantity = Math.ceil(need.shortfall);
+      lines.push({
+        supplier: choice.option,
+        productId: need.productId,
+        productName: need.productName,
+        quantity,
+        unitCost: choice.option.unitCost,
+        totalCost: Math.round(quantity * choice.option.unitCost * 100) / 100,
+        neededBy: need.neededBy,
+        orderBy: choice.orderBy,
+        expectedDelivery: choice.expectedDelivery,
+        late: choice.late,
+        sources: [{
+          projectId: need.projectId,
+          projectNumber: need.projectNumber,
+          materialId: need.materialId,
+          quantity,
+          neededBy: need.neededBy
+        }],
+        alternatives: options.filter(option => option.supplierId !== choice.option.supplierId)
+      });
+    }
+
+    return {
+      generatedAt: today,
+      requirements,
+      requisitions: consolidateBySupplier(lines, today),
+      unsourced
+    };
+  }
+
+  // The optimizer's pick first, then the incumbent, the product's own supplier and
+  // anyone else who has supplied it before
+  private async supplierOptions(
+    productId: string,
+    suppliers: any[],
+    purchases: any[],
+    inventory: any[]
+  ): Promise<SupplierOption[]> {
+    const selection = await this.optimizer.optimizeSupplierSelection(productId);
+    const product = await this.databaseService.findById<any>('products', productId);
+    const history = await this.databaseService.find<any>('purchases', { 'items.productId': productId });
+    const productSupplier = product?.supplier && typeof product.supplier === 'object'
+      ? product.supplier.id
+      : suppliers.find(supplier => supplier.id === product?.supplier || supplier.name === product?.supplier)?.id;
+
+    const preferred = [
+      selection.recommendedSupplier?.id,
+      selection.currentSupplier?.id,
+      productSupplier,
+      ...history.map(purchase => purchase.supplierId)
+    ];
+    const ids = [...new Set(preferred.filter(Boolean))];
+
+    const fallbackCost = inventory.find(record => record.productId === productId)?.unitCost ?? product?.costPrice ?? 0;
+    return ids
+      .map(id => suppliers.find(supplier => supplier.id === id))
+      .filter(Boolean)
+      .map(supplier => {
+        const lastLine = [...history, ...purchases]
+          .filter(purchase => purchase.supplierId === supplier.id)
+          .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime())
+          .flatMap(purchase => purchase.items)
+          .find((item: any) => item.productId === productId);
+        return {
+          supplierId: supplier.id,
+          supplierName: supplier.name,
+          leadTimeDays: supplier.leadTime ?? DEFAULT_LEAD_TIME_DAYS,
+          minimumOrder: supplier.minimumOrder || 0,
+          unitCost: lastLine?.unitCost ?? fallbackCost
+        };
+      });
+  }
+
+  // Material lines tied to a milestone are needed by its forecast (or target) date;
+  // the rest by the project start
+  private neededBy(project: Project, material: ProjectMaterial): Date {
+    if (material.neededBy) return new Date(material.neededBy);
+    const milestone = material.milestoneId
+      ? (project.milestones || []).find(entry => entry.id === material.milestoneId)
+      : undefined;
+    if (milestone) return new Date(milestone.forecastDate || milestone.targetDate);
+    return new Date(project.startDate);
+  }
+}
@@ -0,0 +1,572 @@
+// services/ReturnService.ts
+import { Injectable } from '@varld/warp';
+import { DatabaseService } from './DatabaseService';
+import { WarehouseService } from './WarehouseService';
+import { CostingService } from './CostingService';
+import { CompanyService } from './CompanyService';
+import { AccountsReceivableService, CreditMemo } from './AccountsReceivableService';
+import { AccountsPayableService } from './AccountsPayableService';
+import { Transaction } from './storage/Transaction';
+import { currentUserId } from './auth/RequestContext';
+import { roundCurrency } from './invoicing/PaymentTerms';
+import { Order } from './orders/OrderLifecycle';
+import {
+  OPEN_RMA_STATUSES,
+  RETURN_CONDITIONS,
+  RETURN_DISPOSITIONS,
+  RETURN_REASONS,
+  RMA_VALIDITY_DAYS,
+  CreditLine,
+  ReturnAuthorization,
+  ReturnCondition,
+  ReturnDisposition,
+  ReturnReason,
+  RmaInspection,
+  RmaLine,
+  VendorReturn,
+  VendorReturnLine,
+  creditLineFor,
+  restockingFeePercent,
+  returnableQuantity
+} from './returns/Returns';
+
+const RETURNABLE_ORDER_STATUSES = ['partially_shipped', 'shipped', 'delivered'];
+const RECEIVED_PURCHASE_STATUSES = ['ordered', 'received'];
+
+export interface ReturnRequest {
+  orderId: string;
+  lines: Array<{ orderItemId: string; quantity: number; reason: ReturnReason }>;
+  notes?: string;
+  waiveRestockingFee?: boolean;
+}
+
+export interface ReturnReceipt {
+  lineId: string;
+  quantity: number;
+  condition: ReturnCondition;
+  disposition: ReturnDisposition;
+  locationId?: string;
+  binCode?: string;
+  lotNumber?: string;
+  purchaseId?: string; // for return_to_vendor; found from the lot or the last receipt otherwise
+  notes?: string;
+}
+
+export interface VendorReturnRequest {
+  items: Array<{
+    purchaseItemId?: string;
+    productId?: string;
+    quantity: number;
+    locationId?: string;
+    binCode?: string;
+    lotNumber?: string;
+    reason: string;
+  }>;
+  notes?: string;
+}
+
+// Material coming back. Customer returns are authorized against the order lines they
+// shipped on, inspected as they arrive and either restocked, scrapped or sent on to
+// the supplier; closing the RMA credits the customer, less any restocking fee.
+// Returns to suppliers (from stock or from an RMA) raise a debit memo against the
+// purchase order when they ship, which comes off the supplier's invoices.
+@Injectable()
+export class ReturnService {
+  constructor(
+    private databaseService: DatabaseService,
+    private warehouseService: WarehouseService,
+    private costingService: CostingService,
+    private companyService: CompanyService,
+    private receivablesService: AccountsReceivableService,
+    private payablesService: AccountsPayableService
+  ) {}
+
+  async listReturns(filters: { status?: string; customerId?: string; orderId?: string } = {}): Promise<ReturnAuthorization[]> {
+    const query: any = {};
+    if (filters.status) query.status = filters.status;
+    if (filters.customerId) query.customerId = filters.customerId;
+    if (filters.orderId) query.orderId = filters.orderId;
+    return this.databaseService.find<ReturnAuthorization>('return_authorizations', query, { sort: { createdAt: -1 } });
+  }
+
+  async getReturn(id: string): Promise<ReturnAuthorization | null> {
+    return this.databaseService.findById<ReturnAuthorization>('return_authorizations', id);
+  }
+
+  async authorizeReturn(request: ReturnRequest): Promise<ReturnAuthorization> {
+    if (!request?.orderId) {
+      throw new Error('orderId is required');
+    }
+    if (!Array.isArray(request.lines) || request.lines.length === 0) {
+      throw new Error('A return must contain at least one line');
+    }
+
+    const rma = await this.databaseService.transaction(async tx => {
+      const order = await tx.findById<Order>('orders', request.orderId);
+      if (!order) {
+        throw new Error('Order not found');
+      }
+      if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+        throw new Error(`Order ${order.orderNumber} is ${order.status}; only shipped material can be returned`);
+      }
+
+      const settings = await this.companyService.settingsIn(tx);
+      const others = await tx.find<ReturnAuthorization>('return_authorizations', { orderId: order.id });
+      const lines: RmaLine[] = [];
+      for (const requested of request.lines) {
+        const item = order.items.find(line => line.id === requested.orderItemId);
+        if (!item) {
+          throw new Error(`Order ${order.orderNumber} has no line ${requested.orderItemId}`);
+        }
+        if (!RETURN_REASONS.includes(requested.reason)) {
+          throw new Error(`reason must be one of ${RETURN_REASONS.join(', ')}`);
+        }
+        const quantity = Number(requested.quantity);
+        const returnable = returnableQuantity(item, others) -
+          lines.filter(line => line.orderItemId === item.id).reduce((sum, line) => sum + line.quantity, 0);
+        if (!(quantity > 0) || quantity > returnable) {
+          throw new Error(`Return quantity for ${item.productName} must be between 1 and ${returnable}`);
+        }
+
+        const product = await tx.findById<any>('products', item.productId);
+        const inventory = await tx.findOne<any>('inventory', { productId: item.productId });
+        lines.push({
+          id: this.generateId('rmal'),
+          orderItemId: item.id,
+          productId: item.productId,
+          productName: item.productName,
+          category: product?.category || inventory?.category,
+          quantity,
+          unitPrice: item.unitPrice,
+          unitCost: item.costOfGoods && item.quantityShipped
+            ? Math.round((item.costOfGoods / item.quantityShipped) * 10000) / 10000
+            : inventory?.avgCost ?? inventory?.unitCost ?? 0,
+          reason: requested.reason,
+          restockingFeePercent: request.waiveRestockingFee
+            ? 0
+            : restockingFeePercent(requested.reason, product?.category || inventory?.category, settings),
+          receivedQuantity: 0,
+          inspections: []
+        });
+      }
+
+      return tx.create<ReturnAuthorization>('return_authorizations', {
+        id: this.generateId('rma'),
+        rmaNumber: await this.generateNumber(tx, 'return_authorizations', 'rmaNumber', 'RMA'),
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        customerId: order.customerId,
+        customerName: order.customerName,
+        projectId: order.projectId,
+        status: 'authorized',
+        lines,
+        notes: request.notes,
+        expiresAt: new Date(Date.now() + RMA_VALIDITY_DAYS * 24 * 60 * 60 * 1000),
+        authorizedBy: currentUserId(),
+        createdAt: new Date(),
+        updatedAt: new Date()
+      });
+    });
+
+    console.log(`↩️ ${rma.rmaNumber} authorized for order ${rma.orderNumber} (${rma.lines.length} line(s))`);
+    return rma;
+  }
+
+  // Receives and inspects returned material, putting each batch where its disposition
+  // says. Once everything authorized is back the RMA closes and the credit is issued.
+  async receiveReturn(id: string, receipts: ReturnReceipt[]): Promise<ReturnAuthorization> {
+    if (!Array.isArray(receipts) || receipts.length === 0) {
+      throw new Error('Nothing received');
+    }
+
+    const rma = await this.databaseService.transaction(async tx => {
+      const current = await this.loadReturn(tx, id);
+      if (!OPEN_RMA_STATUSES.includes(current.status)) {
+        throw new Error(`${current.rmaNumber} is ${current.status}`);
+      }
+      if (new Date(current.expiresAt) < new Date()) {
+        throw new Error(`${current.rmaNumber} expired on ${new Date(current.expiresAt).toDateString()}`);
+      }
+
+      const order = await tx.findById<Order>('orders', current.orderId);
+      for (const receipt of receipts) {
+        const line = current.lines.find(entry => entry.id === receipt.lineId);
+        if (!line) {
+          throw new Error(`${current.rmaNumber} has no line ${receipt.lineId}`);
+        }
+        const quantity = Number(receipt.quantity);
+        if (!(quantity > 0) || quantity > line.quantity - line.receivedQuantity) {
+          throw new Error(`Received quantity for ${line.productName} must be between 1 and ${line.quantity - line.receivedQuantity}`);
+        }
+        if (!RETURN_CONDITIONS.includes(receipt.condition)) {
+          throw new Error(`condition must be one of ${RETURN_CONDITIONS.join(', ')}`);
+        }
+        if (!RETURN_DISPOSITIONS.includes(receipt.disposition)) {
+          throw new Error(`disposition must be one of ${RETURN_DISPOSITIONS.join(', ')}`);
+        }
+        if (receipt.disposition === 'restock' && receipt.condition !== 'resaleable') {
+          throw new Error(`Only resaleable material can be restocked; ${line.productName} is ${receipt.condition}`);
+        }
+
+        const inspection: RmaInspection = {
+          id: this.generateId('insp'),
+          quantity,
+          condition: receipt.condition,
+          disposition: receipt.disposition,
+          locationId: receipt.locationId,
+          binCode: receipt.binCode,
+          lotNumber: receipt.lotNumber,
+          notes: receipt.notes,
+          inspectedBy: currentUserId(),
+          inspectedAt: new Date()
+        };
+
+        if (receipt.disposition === 'restock') {
+          const inventory = receipt.locationId
+            ? await this.warehouseService.ensureInventoryAt(tx, line.productId, receipt.locationId)
+            : await tx.findOne<any>('inventory', { productId: line.productId });
+          if (!inventory) {
+            throw new Error(`locationId is required to restock ${line.productName}`);
+          }
+          await this.warehouseService.receiveInto(tx, inventory, quantity, {
+            binCode: receipt.binCode,
+            lotNumber: receipt.lotNumber,
+            unitCost: line.unitCost
+          }, {
+            type: 'in',
+            reason: 'Customer return',
+            reference: `${current.rmaNumber} (order ${current.orderNumber})`
+          });
+        } else if (receipt.disposition === 'return_to_vendor') {
+          const purchase = await this.sourcePurchase(tx, line.productId, receipt.purchaseId, receipt.lotNumber);
+          const vendorReturn = await this.addToVendorReturn(tx, purchase, line.productId, {
+            quantity,
+            lotNumber: receipt.lotNumber,
+            reason: `${line.reason.replace(/_/g, ' ')}, returned ${receipt.condition} on ${current.rmaNumber}`,
+            source: 'rma',
+            rmaId: current.id,
+            rmaNumber: current.rmaNumber
+          });
+          inspection.vendorReturnId = vendorReturn.id;
+        }
+        // Scrapped material never goes back into stock
+
+        line.inspections.push(inspection);
+        line.receivedQuantity += quantity;
+        const item = order?.items.find(entry => entry.id === line.orderItemId);
+        if (item) {
+          item.quantityReturned = (item.quantityReturned || 0) + quantity;
+        }
+      }
+
+      if (order) {
+        await tx.update<Order>('orders', order.id, { items: order.items });
+      }
+      const complete = current.lines.every(line => line.receivedQuantity >= line.quantity);
+      return tx.update<ReturnAuthorization>('return_authorizations', current.id, {
+        lines: current.lines,
+        status: complete ? 'received' : 'partially_received',
+        receivedAt: new Date(),
+        updatedAt: new Date()
+      });
+    });
+
+    console.log(`📥 Received returned material on ${rma.rmaNumber}`);
+    return rma.status === 'received' ? this.closeReturn(rma.id) : rma;
+  }
+
+  // Credits the customer for what came back and reverses its share of revenue and cost.
+  // Anything still outstanding on the authorization lapses.
+  async closeReturn(id: string): Promise<ReturnAuthorization> {
+    let memo: CreditMemo | null = null;
+    const rma = await this.databaseService.transaction(async tx => {
+      const current = await this.loadReturn(tx, id);
+      if (!['partially_received', 'received'].includes(current.status)) {
+        throw new Error(`${current.rmaNumber} is ${current.status}; only returns with material received can be closed`);
+      }
+
+      const order = await tx.findById<Order>('orders', current.orderId);
+      const credits: CreditLine[] = [];
+      for (const line of current.lines) {
+        if (line.receivedQuantity === 0) continue;
+        const credit = creditLineFor(line, order?.items.find(item => item.id === line.orderItemId));
+        if (credit) credits.push(credit);
+
+        const recovered = line.inspections
+          .filter(inspection => inspection.disposition !== 'scrap')
+          .reduce((sum, inspection) => sum + inspection.quantity, 0);
+        await this.costingService.postReturn(tx, current, line,
+          credit ? credit.lineTotal - credit.restockingFee : 0, recovered);
+      }
+
+      if (credits.length > 0) {
+        memo = await this.receivablesService.issueCreditMemoIn(tx, {
+          customerId: current.customerId,
+          customerName: current.customerName,
+          orderId: current.orderId,
+          rmaId: current.id,
+          rmaNumber: current.rmaNumber,
+          reason: `Returned material on ${current.rmaNumber}`,
+          lines: credits
+        });
+      }
+
+      return tx.update<ReturnAuthorization>('return_authorizations', current.id, {
+        status: 'closed',
+        creditMemoId: memo ? (memo as CreditMemo).id : undefined,
+        closedAt: new Date(),
+        updatedAt: new Date()
+      });
+    });
+
+    if (memo) {
+      await this.receivablesService.evaluateCreditHold(rma.customerId);
+    }
+    console.log(`✅ ${rma.rmaNumber} closed` + (memo ? ` with credit memo ${(memo as CreditMemo).creditMemoNumber}` : ''));
+    return rma;
+  }
+
+  async cancelReturn(id: string, reason?: string): Promise<ReturnAuthorization> {
+    const rma = await this.getReturn(id);
+    if (!rma) {
+      throw new Error('Return not found');
+    }
+    if (rma.status !== 'authorized') {
+      throw new Error(`${rma.rmaNumber} is ${rma.status}; only returns with nothing received can be cancelled`);
+    }
+    return this.databaseService.update<ReturnAuthorization>('return_authorizations', id, {
+      status: 'cancelled',
+      cancelledAt: new Date(),
+      notes: [rma.notes, reason && `Cancelled: ${reason}`].filter(Boolean).join('\n') || undefined,
+      updatedAt: new Date()
+    });
+  }
+
+  async listVendorReturns(filters: { purchaseId?: string; supplierId?: string; status?: string } = {}): Promise<VendorReturn[]> {
+    const query: any = {};
+    if (filters.purchaseId) query.purchaseId = filters.purchaseId;
+    if (filters.supplierId) query.supplierId = filters.supplierId;
+    if (filters.status) query.status = filters.status;
+    return this.databaseService.find<VendorReturn>('vendor_returns', query, { sort: { createdAt: -1 } });
+  }
+
+  // Pulls material from stock to go back to the supplier it was bought from
+  async createVendorReturn(purchaseId: string, request: VendorReturnRequest): Promise<VendorReturn> {
+    if (!Array.isArray(request?.items) || request.items.length === 0) {
+      throw new Error('A vendor return must contain at least one line');
+    }
+
+    const vendorReturn = await this.databaseService.transaction(async tx => {
+      const purchase = await tx.findById<any>('purchases', purchaseId);
+      if (!purchase) {
+        throw new Error('Purchase not found');
+      }
+
+      let current: VendorReturn | null = null;
+      for (const requested of request.items) {
+        if (!requested.reason) {
+          throw new Error('Each returned line needs a reason');
+        }
+        const item = purchase.items.find((line: any) =>
+          line.id === requested.purchaseItemId || (!requested.purchaseItemId && line.productId === requested.productId));
+        if (!item) {
+          throw new Error(`Purchase ${purchase.purchaseNumber} has no line for ${requested.purchaseItemId || requested.productId}`);
+        }
+        const quantity = Number(requested.quantity);
+        const inventory = requested.locationId
+          ? await tx.findOne<any>('inventory', { productId: item.productId, locationId: requested.locationId })
+          : await tx.findOne<any>('inventory', { productId: item.productId });
+        if (!inventory) {
+          throw new Error(`No stock of ${item.productName} to return`);
+        }
+        const free = inventory.quantity - (inventory.reservedQuantity || 0);
+        if (!(quantity > 0) || quantity > free) {
+          throw new Error(`Return quantity for ${item.productName} must be between 1 and ${free} (unreserved stock)`);
+        }
+
+        current = await this.addToVendorReturn(tx, purchase, item.productId, {
+          quantity,
+          lotNumber: requested.lotNumber,
+          reason: requested.reason,
+          source: 'stock',
+          inventoryId: inventory.id
+        }, current, request.notes);
+
+        await this.warehouseService.issueFrom(tx, inventory, quantity, {
+          binCode: requested.binCode,
+          lotNumber: requested.lotNumber
+        }, {
+          type: 'out',
+          reason: 'Return to vendor',
+          reference: `${current.returnNumber} (purchase order ${purchase.purchaseNumber})`
+        });
+      }
+      return current!;
+    });
+
+    console.log(`↩️ Vendor return ${vendorReturn.returnNumber} opened against ${vendorReturn.purchaseNumber}`);
+    return vendorReturn;
+  }
+
+  // The material leaves: the debit memo is raised against the purchase and taken off
+  // the supplier's open invoices for it
+  async shipVendorReturn(id: string, shipping: { carrier?: string; trackingNumber?: string } = {}): Promise<VendorReturn> {
+    const shipped = await this.databaseService.transaction(async tx => {
+      const current = await tx.findById<VendorReturn>('vendor_returns', id);
+      if (!current) {
+        throw new Error('Vendor return not found');
+      }
+      if (current.status !== 'open') {
+        throw new Error(`Vendor return ${current.returnNumber} is already ${current.status}`);
+      }
+
+      const purchase = await tx.findById<any>('purchases', current.purchaseId);
+      if (!purchase) {
+        throw new Error('Purchase not found');
+      }
+      const debitMemoNumber = await this.generateNumber(tx, 'vendor_returns', 'debitMemoNumber', 'DM');
+      for (const line of current.lines) {
+        const item = purchase.items.find((entry: any) => entry.id === line.purchaseItemId);
+        if (item) {
+          item.returnedQuantity = (item.returnedQuantity || 0) + line.quantity;
+        }
+      }
+      await tx.update('purchases', purchase.id, {
+        items: purchase.items,
+        debitMemos: [...(purchase.debitMemos || []), {
+          vendorReturnId: current.id,
+          returnNumber: current.returnNumber,
+          debitMemoNumber,
+          amount: current.total,
+          date: new Date()
+        }],
+        updatedAt: new Date()
+      });
+
+      return tx.update<VendorReturn>('vendor_returns', current.id, {
+        status: 'shipped',
+        carrier: shipping.carrier,
+        trackingNumber: shipping.trackingNumber,
+        shippedAt: new Date(),
+        debitMemoNumber,
+        debitAmount: current.total,
+        appliedAmount: 0,
+        updatedAt: new Date()
+      });
+    });
+
+    console.log(`🚚 Vendor return ${shipped.returnNumber} shipped; debit memo ${shipped.debitMemoNumber} for $${shipped.total}`);
+    await this.payablesService.applyPurchaseDebits(shipped.purchaseId);
+    return (await this.databaseService.findById<VendorReturn>('vendor_returns', id)) || shipped;
+  }
+
+  // Adds a line to the purchase's open vendor return, opening one if there is none
+  private async addToVendorReturn(
+    tx: Transaction,
+    purchase: any,
+    productId: string,
+    line: Pick<VendorReturnLine, 'quantity' | 'lotNumber' | 'reason' | 'source' | 'inventoryId' | 'rmaId' | 'rmaNumber'>,
+    open?: VendorReturn | null,
+    notes?: string
+  ): Promise<VendorReturn> {
+    const item = purchase.items.find((entry: any) => entry.productId === productId);
+    if (!item) {
+      throw new Error(`Purchase ${purchase.purchaseNumber} did not supply ${productId}`);
+    }
+
+    const existing = open || await tx.findOne<VendorReturn>('vendor_returns', { purchaseId: purchase.id, status: 'open' });
+    const pending = existing
+      ? existing.lines.filter(entry => entry.purchaseItemId === item.id).reduce((sum, entry) => sum + entry.quantity, 0)
+      : 0;
+    const returnable = (item.receivedQuantity || 0) - (item.returnedQuantity || 0) - pending;
+    if (line.quantity > returnable) {
+      throw new Error(`Only ${returnable} of ${item.productName} received on ${purchase.purchaseNumber} can go back`);
+    }
+
+    const entry: VendorReturnLine = {
+      id: this.generateId('rtvl'),
+      purchaseItemId: item.id,
+      productId: item.productId,
+      productName: item.productName,
+      unitCost: item.unitCost,
+      lineTotal: roundCurrency(line.quantity * item.unitCost),
+      ...line
+    };
+
+    if (existing) {
+      const lines = [...existing.lines, entry];
+      return tx.update<VendorReturn>('vendor_returns', existing.id, {
+        lines,
+        total: roundCurrency(lines.reduce((sum, value) => sum + value.lineTotal, 0)),
+        updatedAt: new Date()
+      });
+    }
+    return tx.create<VendorReturn>('vendor_returns', {
+      id: this.generateId('rtv'),
+      returnNumber: await this.generateNumber(tx, 'vendor_returns', 'returnNumber', 'RTV'),
+      supplierId: purchase.supplierId,
+      supplierName: purchase.supplierName,
+      purchaseId: purchase.id,
+      purchaseNumber: purchase.purchaseNumber,
+      status: 'open',
+      lines: [entry],
+      total: entry.lineTotal,
+      notes,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      createdBy: currentUserId()
+    });
+  }
+
+  // The purchase a returned item came in on: the one named, else the receipt of its
+  // lot, else the latest purchase that received the product
+  private async sourcePurchase(tx: Transaction, productId: string, purchaseId?: string, lotNumber?: string): Promise<any> {
+    if (purchaseId) {
+      const purchase = await tx.findById<any>('purchases', purchaseId);
+      if (!purchase) {
+        throw new Error('Purchase not found');
+      }
+      return purchase;
+    }
+
+    if (lotNumber) {
+      const receipt = await tx.findOne<any>('purchase_receipts', { 'items.lotNumbers': lotNumber });
+      if (receipt) {
+        const purchase = await tx.findById<any>('purchases', receipt.purchaseId);
+        if (purchase) return purchase;
+      }
+    }
+
+    const purchases = (await tx.find<any>('purchases', {
+      'items.productId': productId,
+      status: { $in: RECEIVED_PURCHASE_STATUSES }
+    }))
+      .filter(purchase => purchase.items.some((item: any) => item.productId === productId && (item.receivedQuantity || 0) > 0))
+      .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
+    if (purchases.length === 0) {
+      throw new Error('No purchase found to return this material against; give a purchaseId');
+    }
+    return purchases[0];
+  }
+
+  private async loadReturn(tx: Transaction, id: string): Promise<ReturnAuthorization> {
+    const rma = await tx.findById<ReturnAuthorization>('return_authorizations', id);
+    if (!rma) {
+      throw new Error('Return not found');
+    }
+    return rma;
+  }
+
+  private async generateNumber(tx: Transaction, collection: string, field: string, prefix: string): Promise<string> {
+    const year = new Date().getFullYear();
+    const month = String(new Date().getMonth() + 1).padStart(2, '0');
+    const thisMonth = await tx.find(collection, {
+      [field]: { $regex: `^${prefix}-${year}${month}` }
+    });
+    return `${prefix}-${year}${month}-${String(thisMonth.length + 1).padStart(4, '0')}`;
+  }
+
+  private generateId(prefix: string): string {
+    return prefix + '_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  }
+}
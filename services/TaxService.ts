@@ -0,0 +1,397 @@
+// services/TaxService.ts
+import { Injectable } from '@varld/warp';
+import { DatabaseService } from './DatabaseService';
+import { currentUserId } from './auth/RequestContext';
+import { roundCurrency } from './invoicing/PaymentTerms';
+import { Invoice } from './AccountsReceivableService';
+import { Order, OrderTaxDetail } from './orders/OrderLifecycle';
+import {
+  AppliedJurisdiction,
+  DEFAULT_TAX_CATEGORY,
+  FREIGHT_TAX_CATEGORY,
+  LineTax,
+  TaxAddress,
+  combinedRate,
+  TaxRateTable,
+  jurisdictionsFor,
+  loadRateTable,
+  taxLine
+} from './tax/TaxRates';
+
+export type CertificateType = 'resale' | 'exempt_org' | 'government' | 'agricultural' | 'other';
+
+const CERTIFICATE_TYPES: CertificateType[] = ['resale', 'exempt_org', 'government', 'agricultural', 'other'];
+
+export interface ExemptionCertificate {
+  id: string;
+  customerId: string;
+  customerName: string;
+  certificateNumber: string;
+  type: CertificateType;
+  states: string[];
+  categories?: string[]; // only these taxability categories; all when unset
+  issuedDate: Date;
+  expiryDate: Date;
+  status: 'active' | 'revoked';
+  documentUrl?: string;
+  notes?: string;
+  revokedAt?: Date;
+  revokedBy?: string;
+  revocationReason?: string;
+  createdAt: Date;
+  createdBy: string;
+}
+
+export interface TaxableLine {
+  id: string;
+  productId: string;
+  totalPrice: number;
+}
+
+export interface TaxCalculation {
+  lines: Record<string, LineTax>;
+  shipping: LineTax;
+  totalTax: number;
+  exemptionCertificateIds: string[];
+  warnings: string[];
+  rateTableVersion: string;
+}
+
+export interface JurisdictionLiability {
+  code: string;
+  name: string;
+  level: AppliedJurisdiction['level'];
+  taxableSales: number;
+  exemptSales: number;
+  taxCollected: number;
+  invoiceCount: number;
+}
+
+// Sales tax by delivery jurisdiction. Rates come from a table loaded from disk
+// (TAX_RATES_PATH) and apply per product taxability category; customers are exempted
+// only by a current certificate on file for the delivery state, never by the
+// taxExempt flag alone. Each order line keeps its tax per jurisdiction, which
+// invoices carry forward and the liability report adds up.
+@Injectable()
+export class TaxService {
+  private rateTable: TaxRateTable;
+
+  constructor(private databaseService: DatabaseService) {
+    this.rateTable = loadRateTable();
+  }
+
+  getRateTable(): TaxRateTable {
+    return this.rateTable;
+  }
+
+  // Re-reads the rate table, keeping the current one if the new file is unusable
+  reloadRates(): TaxRateTable {
+    this.rateTable = loadRateTable();
+    console.log(`🧾 Tax rates loaded: ${this.rateTable.version} (${this.rateTable.rates.length} jurisdictions)`);
+    return this.rateTable;
+  }
+
+  lookup(address: TaxAddress, category: string = DEFAULT_TAX_CATEGORY): { jurisdictions: AppliedJurisdiction[]; rate: number } {
+    const jurisdictions = jurisdictionsFor(this.rateTable, address, category);
+    return { jurisdictions, rate: combinedRate(jurisdictions) };
+  }
+
+  // Taxes order lines (and freight) delivered to an address on a date
+  async calculateTax(input: {
+    customer: any;
+    address: TaxAddress;
+    lines: TaxableLine[];
+    shipping: number;
+    at?: Date;
+  }): Promise<TaxCalculation> {
+    const at = input.at || new Date();
+    const onFile = await this.certificatesOnFile(input.customer.id, input.address.state);
+    const certificates = onFile.filter(certificate =>
+      new Date(certificate.issuedDate) <= at && new Date(certificate.expiryDate) >= at);
+    const warnings: string[] = [];
+    const usedCertificates = new Set<string>();
+
+    if (certificates.length === 0) {
+      for (const expired of onFile.filter(certificate => new Date(certificate.expiryDate) < at)) {
+        warnings.push(`Exemption certificate ${expired.certificateNumber} expired on ${new Date(expired.expiryDate).toISOString().slice(0, 10)}; tax was charged`);
+      }
+      if (input.customer.taxExempt && warnings.length === 0) {
+        warnings.push(`${input.customer.companyName || input.customer.name} is marked tax exempt but has no certificate on file for ${input.address.state}; tax was charged`);
+      }
+    }
+
+    const certificateFor = (category: string) =>
+      certificates.find(certificate => !certificate.categories?.length || certificate.categories.includes(category));
+
+    const lines: Record<string, LineTax> = {};
+    for (const line of input.lines) {
+      const product = await this.databaseService.findById<any>('products', line.productId);
+      const category = this.rateTable.categories[product?.taxCategory] ? product.taxCategory : DEFAULT_TAX_CATEGORY;
+      const certificate = certificateFor(category);
+      if (certificate) usedCertificates.add(certificate.id);
+
+      lines[line.id] = taxLine(
+        line.totalPrice,
+        category,
+        jurisdictionsFor(this.rateTable, input.address, category),
+        certificate?.id
+      );
+    }
+
+    const freightCertificate = certificateFor(FREIGHT_TAX_CATEGORY);
+    if (freightCertificate && input.shipping > 0) usedCertificates.add(freightCertificate.id);
+    const shipping = taxLine(
+      input.shipping,
+      FREIGHT_TAX_CATEGORY,
+      jurisdictionsFor(this.rateTable, input.address, FREIGHT_TAX_CATEGORY),
+      freightCertificate?.id
+    );
+
+    const totalTax = roundCurrency(
+      Object.values(lines).reduce((sum, line) => sum + line.tax, 0) + shipping.tax
+    );
+
+    return {
+      lines,
+      shipping,
+      totalTax,
+      exemptionCertificateIds: [...usedCertificates],
+      warnings,
+      rateTableVersion: this.rateTable.version
+    };
+  }
+
+  // Taxes the lines of an order (or quote) where it is delivered: the project's jobsite
+  // when delivering there, otherwise the shipping address
+  async taxDelivery<T extends TaxableLine>(
+    customer: any,
+    delivery: Pick<Order, 'shippingAddress' | 'projectId' | 'deliverToJobsite'>,
+    items: T[],
+    shipping: number
+  ): Promise<{ items: Array<T & { tax: LineTax }>; tax: number; taxDetail: OrderTaxDetail }> {
+    let source: OrderTaxDetail['source'] = 'shipping_address';
+    let address: TaxAddress = delivery.shippingAddress;
+    if (delivery.deliverToJobsite) {
+      const project = delivery.projectId
+        ? await this.databaseService.findById<any>('projects', delivery.projectId)
+        : null;
+      if (!project?.jobsiteAddress) {
+        throw new Error('Delivering to the jobsite needs a project with a jobsite address');
+      }
+      source = 'jobsite';
+      address = project.jobsiteAddress;
+    }
+
+    const calculation = await this.calculateTax({ customer, address, lines: items, shipping });
+    return {
+      items: items.map(item => ({ ...item, tax: calculation.lines[item.id] })),
+      tax: calculation.totalTax,
+      taxDetail: {
+        address,
+        source,
+        rateTableVersion: calculation.rateTableVersion,
+        shipping: calculation.shipping,
+        exemptionCertificateIds: calculation.exemptionCertificateIds,
+        warnings: calculation.warnings,
+        calculatedAt: new Date()
+      }
+    };
+  }
+
+  async listCertificates(filters: { customerId?: string; status?: string; expiringWithinDays?: number } = {}): Promise<ExemptionCertificate[]> {
+    const query: any = {};
+    if (filters.customerId) query.customerId = filters.customerId;
+    if (filters.status) query.status = filters.status;
+
+    const certificates = await this.databaseService.find<ExemptionCertificate>('tax_exemption_certificates', query, {
+      sort: { expiryDate: 1 }
+    });
+    if (!filters.expiringWithinDays) {
+      return certificates;
+    }
+
+    const cutoff = new Date(Date.now() + filters.expiringWithinDays * 24 * 60 * 60 * 1000);
+    return certificates.filter(certificate =>
+      certificate.status === 'active' && new Date(certificate.expiryDate) <= cutoff);
+  }
+
+  async createCertificate(data: Partial<ExemptionCertificate>): Promise<ExemptionCertificate> {
+    const requiredFields = ['customerId', 'certificateNumber', 'type', 'states', 'expiryDate'];
+    for (const field of requiredFields) {
+      if (!data?.[field as keyof ExemptionCertificate]) {
+        throw new Error(`${field} is required`);
+      }
+    }
+    if (!CERTIFICATE_TYPES.includes(data.type!)) {
+      throw new Error(`type must be one of ${CERTIFICATE_TYPES.join(', ')}`);
+    }
+    if (!Array.isArray(data.states) || data.states.length === 0) {
+      throw new Error('states must list at least one state');
+    }
+    const unknownCategory = (data.categories || []).find(category => !this.rateTable.categories[category]);
+    if (unknownCategory) {
+      throw new Error(`Unknown tax category ${unknownCategory}`);
+    }
+
+    const issuedDate = data.issuedDate ? new Date(data.issuedDate) : new Date();
+    const expiryDate = new Date(data.expiryDate!);
+    if (isNaN(expiryDate.getTime()) || expiryDate <= issuedDate) {
+      throw new Error('expiryDate must be a date after issuedDate');
+    }
+
+    const customer = await this.databaseService.findById<any>('customers', data.customerId!);
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+    const duplicate = await this.databaseService.findOne('tax_exemption_certificates', {
+      customerId: data.customerId,
+      certificateNumber: data.certificateNumber
+    });
+    if (duplicate) {
+      throw new Error(`Certificate ${data.certificateNumber} is already on file for this customer`);
+    }
+
+    const certificate = await this.databaseService.create<ExemptionCertificate>('tax_exemption_certificates', {
+      id: this.generateId('txc'),
+      customerId: customer.id,
+      customerName: customer.companyName || customer.name,
+      certificateNumber: data.certificateNumber!,
+      type: data.type!,
+      states: data.states.map(state => state.toUpperCase()),
+      categories: data.categories,
+      issuedDate,
+      expiryDate,
+      status: 'active',
+      documentUrl: data.documentUrl,
+      notes: data.notes,
+      createdAt: new Date(),
+      createdBy: currentUserId()
+    });
+
+    console.log(`🧾 Exemption certificate ${certificate.certificateNumber} recorded for ${certificate.customerName}`);
+    return certificate;
+  }
+
+  async revokeCertificate(id: string, reason: string): Promise<ExemptionCertificate> {
+    if (!reason) {
+      throw new Error('A reason is required to revoke a certificate');
+    }
+    const certificate = await this.databaseService.findById<ExemptionCertificate>('tax_exemption_certificates', id);
+    if (!certificate) {
+      throw new Error('Certificate not found');
+    }
+    if (certificate.status === 'revoked') {
+      throw new Error('Certificate is already revoked');
+    }
+
+    return this.databaseService.update<ExemptionCertificate>('tax_exemption_certificates', id, {
+      status: 'revoked',
+      revokedAt: new Date(),
+      revokedBy: currentUserId(),
+      revocationReason: reason
+    });
+  }
+
+  // Tax billed per jurisdiction on invoices dated in the period. Invoices from before
+  // per-line tax detail are reported under UNALLOCATED.
+  async getLiabilityReport(startDate: Date, endDate: Date): Promise<{
+    startDate: Date;
+    endDate: Date;
+    jurisdictions: JurisdictionLiability[];
+    totals: { taxableSales: number; exemptSales: number; taxCollected: number };
+  }> {
+    const invoices = await this.databaseService.find<Invoice>('invoices', {
+      invoiceDate: { $gte: startDate, $lte: endDate },
+      status: { $nin: ['draft', 'cancelled'] }
+    });
+
+    const byCode = new Map<string, JurisdictionLiability & { invoiceIds: Set<string> }>();
+    const add = (invoiceId: string, share: Omit<JurisdictionLiability, 'invoiceCount'>) => {
+      const entry = byCode.get(share.code) || {
+        code: share.code,
+        name: share.name,
+        level: share.level,
+        taxableSales: 0,
+        exemptSales: 0,
+        taxCollected: 0,
+        invoiceCount: 0,
+        invoiceIds: new Set<string>()
+      };
+      entry.taxableSales += share.taxableSales;
+      entry.exemptSales += share.exemptSales;
+      entry.taxCollected += share.taxCollected;
+      entry.invoiceIds.add(invoiceId);
+      byCode.set(share.code, entry);
+    };
+
+    for (const invoice of invoices) {
+      const details = [
+        ...invoice.items.map(item => item.tax),
+        ...(invoice.freightTax || [])
+      ].filter((detail): detail is LineTax => Boolean(detail));
+
+      if (details.length === 0) {
+        add(invoice.id, {
+          code: 'UNALLOCATED',
+          name: 'Invoices without jurisdiction detail',
+          level: 'state',
+          taxableSales: invoice.taxAmount > 0 ? invoice.subtotal : 0,
+          exemptSales: invoice.taxAmount > 0 ? 0 : invoice.subtotal,
+          taxCollected: invoice.taxAmount
+        });
+        continue;
+      }
+
+      for (const detail of details) {
+        for (const share of detail.jurisdictions) {
+          add(invoice.id, {
+            code: share.code,
+            name: share.name,
+            level: share.level,
+            taxableSales: share.taxableAmount,
+            exemptSales: share.exemptAmount,
+            taxCollected: share.tax
+          });
+        }
+      }
+    }
+
+    const jurisdictions = [...byCode.values()]
+      .map(({ invoiceIds, ...entry }) => ({
+        ...entry,
+        taxableSales: roundCurrency(entry.taxableSales),
+        exemptSales: roundCurrency(entry.exemptSales),
+        taxCollected: roundCurrency(entry.taxCollected),
+        invoiceCount: invoiceIds.size
+      }))
+      .sort((a, b) => a.code.localeCompare(b.code));
+
+    return {
+      startDate,
+      endDate,
+      jurisdictions,
+      totals: {
+        // Every jurisdiction sees the same sale, so sales are counted at state level
+        taxableSales: roundCurrency(jurisdictions.filter(j => j.level === 'state').reduce((sum, j) => sum + j.taxableSales, 0)),
+        exemptSales: roundCurrency(jurisdictions.filter(j => j.level === 'state').reduce((sum, j) => sum + j.exemptSales, 0)),
+        taxCollected: roundCurrency(jurisdictions.reduce((sum, j) => sum + j.taxCollected, 0))
+      }
+    };
+  }
+
+  // Active (not revoked) certificates for the customer that cover the state
+  private async certificatesOnFile(customerId: string, state: string | undefined): Promise<ExemptionCertificate[]> {
+    if (!state) {
+      return [];
+    }
+    const certificates = await this.databaseService.find<ExemptionCertificate>('tax_exemption_certificates', {
+      customerId,
+      status: 'active'
+    });
+    return certificates.filter(certificate => certificate.states.includes(state.toUpperCase()));
+  }
+
+  private generateId(prefix: string): string {
+    return prefix + '_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  }
+}
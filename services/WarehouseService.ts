@@ -0,0 +1,736 @@
+// services/WarehouseService.ts
+import { Injectable } from '@varld/warp';
+import { DatabaseService } from './DatabaseService';
+import { CostingService } from './CostingService';
+import { WebhookService } from './WebhookService';
+import { Transaction } from './storage/Transaction';
+import { currentUserId } from './auth/RequestContext';
+import {
+  StockBalance,
+  StockSelector,
+  StockTake,
+  UNASSIGNED_BIN,
+  balancesOf,
+  addStock,
+  takeStock,
+  totalQuantity,
+  nextExpiry,
+  compareFefo,
+  isExpired,
+  stockStatus
+} from './inventory/StockBalances';
+
+export interface Bin {
+  code: string;
+  zone: string;
+  aisle?: string;
+  shelf?: string;
+  isActive: boolean;
+}
+
+export interface Location {
+  id: string;
+  code: string;
+  name: string;
+  type: 'warehouse' | 'yard' | 'showroom' | 'office';
+  address?: string;
+  coordinates?: { lat: number; lng: number }; // where delivery routes start
+  isActive: boolean;
+  bins: Bin[];
+  createdAt: Date;
+}
+
+export interface StockEntry {
+  binCode?: string;
+  lotNumber?: string;
+  expirationDate?: Date;
+  unitCost?: number;
+}
+
+export interface MovementDetails {
+  type?: 'in' | 'out' | 'transfer' | 'adjustment';
+  reason: string;
+  reference: string;
+  transferId?: string;
+}
+
+export interface TransferItem {
+  id: string;
+  productId: string;
+  productName: string;
+  quantity: number;
+  lotNumber?: string;
+  quantityShipped: number;
+  quantityReceived: number;
+  picks: StockTake[];
+}
+
+export interface TransferOrder {
+  id: string;
+  transferNumber: string;
+  fromLocationId: string;
+  fromLocationName: string;
+  toLocationId: string;
+  toLocationName: string;
+  status: 'draft' | 'in_transit' | 'partially_received' | 'received' | 'cancelled';
+  items: TransferItem[];
+  notes?: string;
+  shippedAt?: Date;
+  shippedBy?: string;
+  receivedAt?: Date;
+  receivedBy?: string;
+  createdAt: Date;
+  updatedAt: Date;
+  createdBy: string;
+}
+
+export interface PickSuggestion {
+  inventoryId: string;
+  locationId?: string;
+  locationName: string;
+  binCode: string;
+  lotNumber?: string;
+  expirationDate?: Date;
+  quantity: number;
+}
+
+// Stock by location, bin and lot. Every change goes through receiveInto/issueFrom so
+// that the inventory record's quantity stays equal to its balances and each bin and
+// lot change is written to stock_movements.
+@Injectable()
+export class WarehouseService {
+  constructor(
+    private databaseService: DatabaseService,
+    private costingService: CostingService,
+    private webhookService: WebhookService
+  ) {}
+
+  async getLocations(includeInactive: boolean = false): Promise<Location[]> {
+    return this.databaseService.find<Location>('locations', includeInactive ? {} : { isActive: true }, {
+      sort: { code: 1 }
+    });
+  }
+
+  async createLocation(data: Partial<Location>): Promise<Location> {
+    if (!data.code || !data.name) {
+      throw new Error('code and name are required');
+    }
+
+    const existing = await this.databaseService.findOne('locations', { code: data.code });
+    if (existing) {
+      throw new Error(`Location ${data.code} already exists`);
+    }
+
+    return this.databaseService.create<Location>('locations', {
+      id: this.generateId('loc'),
+      code: data.code,
+      name: data.name,
+      type: data.type || 'warehouse',
+      address: data.address,
+      coordinates: data.coordinates,
+      isActive: true,
+      bins: (data.bins || []).map(bin => ({ ...bin, isActive: bin.isActive !== false })),
+      createdAt: new Date()
+    });
+  }
+
+  async addBin(locationId: string, bin: Partial<Bin>): Promise<Location> {
+    if (!bin.code || !bin.zone) {
+      throw new Error('code and zone are required');
+    }
+
+    const location = await this.databaseService.findById<Location>('locations', locationId);
+    if (!location) {
+      throw new Error('Location not found');
+    }
+    if (location.bins.some(existing => existing.code === bin.code)) {
+      throw new Error(`Bin ${bin.code} already exists at ${location.name}`);
+    }
+
+    return this.databaseService.update<Location>('locations', locationId, {
+      bins: [...location.bins, { code: bin.code, zone: bin.zone, aisle: bin.aisle, shelf: bin.shelf, isActive: true }]
+    });
+  }
+
+  // Inventory record for a product at a location, creating it from another location's
+  // record (or the product) the first time stock arrives there
+  async ensureInventoryAt(tx: Transaction, productId: string, locationId: string): Promise<any> {
+    const location = await this.loadLocation(tx, locationId);
+    const existing = await this.findInventoryAt(tx, productId, location);
+    if (existing) {
+      return existing;
+    }
+
+    const template = await tx.findOne<any>('inventory', { productId });
+    const product = template ? null : await tx.findById<any>('products', productId);
+    if (!template && !product) {
+      throw new Error(`Product ${productId} not found`);
+    }
+
+    return tx.create('inventory', {
+      id: this.generateId('inv'),
+      productId,
+      productName: template?.productName || product.name,
+      category: template?.category || product.category,
+      unit: template?.unit || product.unit,
+      unitCost: template?.unitCost || 0,
+      minimumStock: template?.minimumStock ?? 10,
+      maximumStock: template?.maximumStock ?? 1000,
+      supplier: template?.supplier || product?.supplier || '',
+      quantity: 0,
+      reservedQuantity: 0,
+      balances: [],
+      locationId: location.id,
+      location: location.name,
+      status: 'out_of_stock',
+      lastUpdated: new Date()
+    });
+  }
+
+  async receiveInto(
+    tx: Transaction,
+    inventory: any,
+    quantity: number,
+    entry: StockEntry,
+    movement: MovementDetails,
+    updates: Record<string, any> = {}
+  ): Promise<any> {
+    if (!(quantity > 0)) {
+      throw new Error('Quantity must be positive');
+    }
+    const binCode = await this.validateBin(tx, inventory, entry.binCode);
+    const costing = await this.costingService.receive(tx, inventory, quantity, entry.unitCost, movement.reference);
+
+    const balances = addStock(balancesOf(inventory), {
+      binCode,
+      lotNumber: entry.lotNumber,
+      expirationDate: entry.expirationDate ? new Date(entry.expirationDate) : undefined,
+      receivedDate: new Date(),
+      quantity,
+      unitCost: costing.unitCost
+    });
+
+    const updated = await this.saveBalances(tx, inventory, balances, { ...costing.updates, ...updates });
+    await this.recordMovement(tx, inventory, quantity, { binCode, lotNumber: entry.lotNumber }, {
+      type: 'in',
+      ...movement
+    }, {
+      unitCost: costing.unitCost,
+      quantityChange: quantity,
+      valueChange: Math.round(quantity * costing.unitCost * 100) / 100
+    });
+    return updated;
+  }
+
+  // Removes stock FEFO (or from the selected bin/lot) and returns what was taken,
+  // each take carrying the cost it took out of the cost layers
+  async issueFrom(
+    tx: Transaction,
+    inventory: any,
+    quantity: number,
+    selector: StockSelector,
+    movement: MovementDetails,
+    updates: Record<string, any> = {}
+  ): Promise<StockTake[]> {
+    const { balances, taken } = takeStock(balancesOf(inventory), quantity, selector);
+    const costing = this.costingService.issue(inventory, taken.map(take => take.quantity));
+
+    await this.saveBalances(tx, inventory, balances, { ...costing.updates, ...updates });
+    for (const [index, take] of taken.entries()) {
+      take.cost = costing.costs[index];
+      await this.recordMovement(tx, inventory, take.quantity, take, { type: 'out', ...movement }, {
+        unitCost: Math.round((take.cost / take.quantity) * 10000) / 10000,
+        quantityChange: -take.quantity,
+        valueChange: -take.cost
+      });
+    }
+    return taken;
+  }
+
+  // Sets the on-hand quantity, adding to or taking from the given bin/lot
+  async adjustStock(
+    inventoryId: string,
+    newQuantity: number,
+    details: StockEntry & { reason: string }
+  ): Promise<any> {
+    if (!(newQuantity >= 0)) {
+      throw new Error('newQuantity must be zero or more');
+    }
+
+    return this.databaseService.transaction(async tx => {
+      const inventory = await tx.findById<any>('inventory', inventoryId);
+      if (!inventory) {
+        throw new Error('Inventory item not found');
+      }
+      if (newQuantity < (inventory.reservedQuantity || 0)) {
+        throw new Error(`Cannot adjust below the ${inventory.reservedQuantity} units reserved for open orders`);
+      }
+
+      const difference = newQuantity - inventory.quantity;
+      const movement: MovementDetails = {
+        type: 'adjustment',
+        reason: details.reason,
+        reference: `ADJ-${Date.now()}`
+      };
+
+      if (difference > 0) {
+        return this.receiveInto(tx, inventory, difference, details, movement);
+      }
+      if (difference < 0) {
+        await this.issueFrom(tx, inventory, -difference, {
+          binCode: details.binCode,
+          lotNumber: details.lotNumber
+        }, movement);
+        return tx.findById<any>('inventory', inventoryId);
+      }
+      return inventory;
+    });
+  }
+
+  // Moves stock between bins within the same location
+  async moveBetweenBins(
+    inventoryId: string,
+    move: { fromBin: string; toBin: string; quantity: number; lotNumber?: string }
+  ): Promise<any> {
+    if (!(move.quantity > 0)) {
+      throw new Error('quantity must be positive');
+    }
+    if (move.fromBin === move.toBin) {
+      throw new Error('fromBin and toBin must differ');
+    }
+
+    return this.databaseService.transaction(async tx => {
+      const inventory = await tx.findById<any>('inventory', inventoryId);
+      if (!inventory) {
+        throw new Error('Inventory item not found');
+      }
+      const toBin = await this.validateBin(tx, inventory, move.toBin);
+
+      const { balances, taken } = takeStock(balancesOf(inventory), move.quantity, {
+        binCode: move.fromBin,
+        lotNumber: move.lotNumber
+      });
+      let moved = balances;
+      for (const take of taken) {
+        moved = addStock(moved, { ...take, binCode: toBin, receivedDate: new Date() });
+      }
+
+      const updated = await this.saveBalances(tx, inventory, moved);
+      for (const take of taken) {
+        await this.recordMovement(tx, inventory, take.quantity, take, {
+          type: 'transfer',
+          reason: `Bin move ${move.fromBin} → ${toBin}`,
+          reference: `MOVE-${Date.now()}`
+        }, { toBinCode: toBin });
+      }
+      return updated;
+    });
+  }
+
+  // FEFO pick list across locations (or within one), skipping expired lots and stock
+  // already reserved for other orders
+  async suggestPicks(
+    productId: string,
+    quantity: number,
+    locationId?: string
+  ): Promise<{ picks: PickSuggestion[]; shortfall: number; expiredQuantity: number }> {
+    const query: any = { productId };
+    if (locationId) query.locationId = locationId;
+    const records = await this.databaseService.find<any>('inventory', query);
+
+    const now = new Date();
+    const candidates: Array<StockBalance & { inventory: any }> = [];
+    let expiredQuantity = 0;
+    for (const inventory of records) {
+      for (const balance of balancesOf(inventory)) {
+        if (isExpired(balance, now)) {
+          expiredQuantity += balance.quantity;
+        } else {
+          candidates.push({ ...balance, inventory });
+        }
+      }
+    }
+    candidates.sort(compareFefo);
+
+    const unreserved = new Map<string, number>(records.map(inventory => [
+      inventory.id,
+      inventory.quantity - (inventory.reservedQuantity || 0)
+    ]));
+
+    const picks: PickSuggestion[] = [];
+    let remaining = quantity;
+    for (const candidate of candidates) {
+      if (remaining <= 0) break;
+      const free = unreserved.get(candidate.inventory.id) || 0;
+      const take = Math.min(candidate.quantity, free, remaining);
+      if (take <= 0) continue;
+
+      unreserved.set(candidate.inventory.id, free - take);
+      remaining -= take;
+      picks.push({
+        inventoryId: candidate.inventory.id,
+        locationId: candidate.inventory.locationId,
+        locationName: candidate.inventory.location,
+        binCode: candidate.binCode,
+        lotNumber: candidate.lotNumber,
+        expirationDate: candidate.expirationDate,
+        quantity: take
+      });
+    }
+
+    return { picks, shortfall: remaining, expiredQuantity };
+  }
+
+  // Lots that have expired or will within the given number of days
+  async getExpiringLots(days: number = 30): Promise<Array<PickSuggestion & { productId: string; productName: string; expired: boolean }>> {
+    const horizon = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    const records = await this.databaseService.find<any>('inventory', { quantity: { $gt: 0 } });
+
+    const lots = [];
+    for (const inventory of records) {
+      for (const balance of balancesOf(inventory)) {
+        if (!balance.expirationDate || new Date(balance.expirationDate) > horizon) continue;
+        lots.push({
+          inventoryId: inventory.id,
+          productId: inventory.productId,
+          productName: inventory.productName,
+          locationId: inventory.locationId,
+          locationName: inventory.location,
+          binCode: balance.binCode,
+          lotNumber: balance.lotNumber,
+          expirationDate: balance.expirationDate,
+          quantity: balance.quantity,
+          expired: isExpired(balance)
+        });
+      }
+    }
+    return lots.sort((a, b) => compareFefo(a as any, b as any));
+  }
+
+  async createTransfer(data: {
+    fromLocationId: string;
+    toLocationId: string;
+    items: Array<{ productId: string; quantity: number; lotNumber?: string }>;
+    notes?: string;
+  }): Promise<TransferOrder> {
+    if (data.fromLocationId === data.toLocationId) {
+      throw new Error('Source and destination locations must differ');
+    }
+    if (!Array.isArray(data.items) || data.items.length === 0) {
+      throw new Error('Transfer must contain at least one item');
+    }
+
+    return this.databaseService.transaction(async tx => {
+      const from = await this.loadLocation(tx, data.fromLocationId);
+      const to = await this.loadLocation(tx, data.toLocationId);
+
+      const items: TransferItem[] = [];
+      for (const item of data.items) {
+        if (!(item.quantity > 0)) {
+          throw new Error(`Transfer quantity for ${item.productId} must be positive`);
+        }
+        const source = await this.findInventoryAt(tx, item.productId, from);
+        if (!source) {
+          throw new Error(`${from.name} holds no stock of ${item.productId}`);
+        }
+        items.push({
+          id: this.generateId('trfl'),
+          productId: item.productId,
+          productName: source.productName,
+          quantity: item.quantity,
+          lotNumber: item.lotNumber,
+          quantityShipped: 0,
+          quantityReceived: 0,
+          picks: []
+        });
+      }
+
+      return tx.create<TransferOrder>('transfer_orders', {
+        id: this.generateId('trf'),
+        transferNumber: await this.generateTransferNumber(tx),
+        fromLocationId: from.id,
+        fromLocationName: from.name,
+        toLocationId: to.id,
+        toLocationName: to.name,
+        status: 'draft',
+        items,
+        notes: data.notes,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        createdBy: currentUserId()
+      });
+    });
+  }
+
+  // Takes the stock out of the source location. Until it is received it shows as
+  // in transit on the destination's inventory record.
+  async shipTransfer(transferId: string): Promise<TransferOrder> {
+    const transfer = await this.databaseService.transaction(async tx => {
+      const transfer = await this.loadTransfer(tx, transferId);
+      if (transfer.status !== 'draft') {
+        throw new Error(`Transfer ${transfer.transferNumber} is ${transfer.status}`);
+      }
+      const from = await this.loadLocation(tx, transfer.fromLocationId);
+
+      for (const item of transfer.items) {
+        const source = await this.findInventoryAt(tx, item.productId, from);
+        if (!source) {
+          throw new Error(`${from.name} holds no stock of ${item.productName}`);
+        }
+        const unreserved = source.quantity - (source.reservedQuantity || 0);
+        if (item.quantity > unreserved) {
+          throw new Error(`Cannot transfer ${item.quantity} ${item.productName}: only ${unreserved} unreserved at ${from.name}`);
+        }
+
+        // Expired stock only moves when its lot is named explicitly
+        item.picks = await this.issueFrom(tx, source, item.quantity, {
+          lotNumber: item.lotNumber,
+          excludeExpiredAt: item.lotNumber ? undefined : new Date()
+        }, {
+          type: 'transfer',
+          reason: `Transfer out to ${transfer.toLocationName}`,
+          reference: transfer.transferNumber,
+          transferId: transfer.id
+        });
+        item.quantityShipped = item.quantity;
+
+        const destination = await this.ensureInventoryAt(tx, item.productId, transfer.toLocationId);
+        await tx.update('inventory', destination.id, {
+          inTransitQuantity: (destination.inTransitQuantity || 0) + item.quantity
+        });
+      }
+
+      return tx.update<TransferOrder>('transfer_orders', transfer.id, {
+        items: transfer.items,
+        status: 'in_transit',
+        shippedAt: new Date(),
+        shippedBy: currentUserId()
+      });
+    });
+
+    console.log(`🚛 Transfer ${transfer.transferNumber} in transit: ${transfer.fromLocationName} → ${transfer.toLocationName}`);
+    return transfer;
+  }
+
+  // Receives all (or part) of an in-transit transfer into the destination, keeping the
+  // lots and expiry dates that were picked at the source
+  async receiveTransfer(
+    transferId: string,
+    receipt: { binCode?: string; items?: Array<{ transferItemId: string; quantity: number; binCode?: string }> } = {}
+  ): Promise<TransferOrder> {
+    const transfer = await this.databaseService.transaction(async tx => {
+      const transfer = await this.loadTransfer(tx, transferId);
+      if (!['in_transit', 'partially_received'].includes(transfer.status)) {
+        throw new Error(`Transfer ${transfer.transferNumber} is ${transfer.status}`);
+      }
+
+      const requests = receipt.items && receipt.items.length > 0
+        ? receipt.items
+        : transfer.items.map(item => ({
+          transferItemId: item.id,
+          quantity: item.quantityShipped - item.quantityReceived,
+          binCode: undefined
+        }));
+
+      for (const requested of requests) {
+        const item = transfer.items.find(line => line.id === requested.transferItemId);
+        if (!item) {
+          throw new Error(`Transfer ${transfer.transferNumber} has no line ${requested.transferItemId}`);
+        }
+        const outstanding = item.quantityShipped - item.quantityReceived;
+        if (requested.quantity < 0 || requested.quantity > outstanding) {
+          throw new Error(`Cannot receive ${requested.quantity} ${item.productName}: ${outstanding} in transit`);
+        }
+        if (requested.quantity === 0) continue;
+
+        // Lots arrive in the order they were picked
+        let remaining = requested.quantity;
+        let alreadyReceived = item.quantityReceived;
+        let destination = await this.ensureInventoryAt(tx, item.productId, transfer.toLocationId);
+        for (const pick of item.picks) {
+          if (remaining <= 0) break;
+          const pickLeft = Math.max(0, pick.quantity - alreadyReceived);
+          alreadyReceived = Math.max(0, alreadyReceived - pick.quantity);
+          const take = Math.min(pickLeft, remaining);
+          if (take <= 0) continue;
+
+          destination = await this.receiveInto(tx, destination, take, {
+            binCode: requested.binCode || receipt.binCode,
+            lotNumber: pick.lotNumber,
+            expirationDate: pick.expirationDate,
+            // Stock arrives carrying the cost it left the source with
+            unitCost: pick.cost !== undefined ? pick.cost / pick.quantity : pick.unitCost
+          }, {
+            type: 'transfer',
+            reason: `Transfer in from ${transfer.fromLocationName}`,
+            reference: transfer.transferNumber,
+            transferId: transfer.id
+          }, {
+            inTransitQuantity: Math.max(0, (destination.inTransitQuantity || 0) - take)
+          });
+          remaining -= take;
+        }
+        item.quantityReceived += requested.quantity;
+      }
+
+      const complete = transfer.items.every(item => item.quantityReceived >= item.quantityShipped);
+      return tx.update<TransferOrder>('transfer_orders', transfer.id, {
+        items: transfer.items,
+        status: complete ? 'received' : 'partially_received',
+        ...(complete && { receivedAt: new Date() }),
+        receivedBy: currentUserId()
+      });
+    });
+
+    console.log(`📦 Transfer ${transfer.transferNumber} ${transfer.status === 'received' ? 'received' : 'partially received'} at ${transfer.toLocationName}`);
+    return transfer;
+  }
+
+  async cancelTransfer(transferId: string): Promise<TransferOrder> {
+    const transfer = await this.databaseService.findById<TransferOrder>('transfer_orders', transferId);
+    if (!transfer) {
+      throw new Error('Transfer not found');
+    }
+    if (transfer.status !== 'draft') {
+      throw new Error('Only draft transfers can be cancelled; receive in-transit stock back instead');
+    }
+    return this.databaseService.update<TransferOrder>('transfer_orders', transferId, { status: 'cancelled' });
+  }
+
+  // In-transit quantities per product and destination
+  async getInTransit(): Promise<Array<{
+    transferId: string;
+    transferNumber: string;
+    productId: string;
+    productName: string;
+    fromLocationName: string;
+    toLocationName: string;
+    quantity: number;
+    shippedAt?: Date;
+  }>> {
+    const transfers = await this.databaseService.find<TransferOrder>('transfer_orders', {
+      status: { $in: ['in_transit', 'partially_received'] }
+    });
+
+    return transfers.flatMap(transfer => transfer.items
+      .filter(item => item.quantityShipped > item.quantityReceived)
+      .map(item => ({
+        transferId: transfer.id,
+        transferNumber: transfer.transferNumber,
+        productId: item.productId,
+        productName: item.productName,
+        fromLocationName: transfer.fromLocationName,
+        toLocationName: transfer.toLocationName,
+        quantity: item.quantityShipped - item.quantityReceived,
+        shippedAt: transfer.shippedAt
+      })));
+  }
+
+  private async findInventoryAt(tx: Transaction, productId: string, location: Location): Promise<any> {
+    const current = await tx.findOne<any>('inventory', { productId, locationId: location.id });
+    if (current) {
+      return current;
+    }
+
+    // Records from before locations were tracked only carry the location name
+    const legacy = await tx.findOne<any>('inventory', { productId, location: location.name, locationId: { $exists: false } });
+    return legacy ? tx.update('inventory', legacy.id, { locationId: location.id }) : null;
+  }
+
+  private async loadLocation(tx: Transaction, locationId: string): Promise<Location> {
+    const location = await tx.findById<Location>('locations', locationId);
+    if (!location) {
+      throw new Error(`Location ${locationId} not found`);
+    }
+    if (!location.isActive) {
+      throw new Error(`Location ${location.name} is inactive`);
+    }
+    return location;
+  }
+
+  private async loadTransfer(tx: Transaction, transferId: string): Promise<TransferOrder> {
+    const transfer = await tx.findById<TransferOrder>('transfer_orders', transferId);
+    if (!transfer) {
+      throw new Error('Transfer not found');
+    }
+    return transfer;
+  }
+
+  // Locations that define bins only accept stock into those bins
+  private async validateBin(tx: Transaction, inventory: any, binCode?: string): Promise<string> {
+    const code = binCode || UNASSIGNED_BIN;
+    if (code === UNASSIGNED_BIN || !inventory.locationId) {
+      return code;
+    }
+
+    const location = await tx.findById<Location>('locations', inventory.locationId);
+    if (location && location.bins.length > 0 && !location.bins.some(bin => bin.code === code && bin.isActive)) {
+      throw new Error(`Bin ${code} does not exist at ${location.name}`);
+    }
+    return code;
+  }
+
+  private async saveBalances(
+    tx: Transaction,
+    inventory: any,
+    balances: StockBalance[],
+    updates: Record<string, any> = {}
+  ): Promise<any> {
+    const updated = await tx.update<any>('inventory', inventory.id, {
+      balances,
+      quantity: totalQuantity(balances),
+      nextExpiry: nextExpiry(balances),
+      lastUpdated: new Date(),
+      ...updates
+    });
+
+    // On crossing the reorder point, not on every movement below it
+    if (inventory.quantity > inventory.minimumStock && updated.quantity <= inventory.minimumStock) {
+      await this.webhookService.publish('inventory.below_reorder_point', {
+        ...updated,
+        status: stockStatus(updated)
+      }, { tx });
+    }
+    return updated;
+  }
+
+  private async recordMovement(
+    tx: Transaction,
+    inventory: any,
+    quantity: number,
+    stock: { binCode?: string; lotNumber?: string },
+    movement: MovementDetails,
+    extra: Record<string, any> = {}
+  ): Promise<void> {
+    await tx.create('stock_movements', {
+      id: this.generateId('mov'),
+      inventoryId: inventory.id,
+      type: movement.type || 'in',
+      quantity,
+      reason: movement.reason,
+      reference: movement.reference,
+      locationId: inventory.locationId,
+      binCode: stock.binCode,
+      lotNumber: stock.lotNumber,
+      transferId: movement.transferId,
+      timestamp: new Date(),
+      userId: currentUserId(),
+      ...extra
+    });
+  }
+
+  private async generateTransferNumber(tx: Transaction): Promise<string> {
+    const year = new Date().getFullYear();
+    const month = String(new Date().getMonth() + 1).padStart(2, '0');
+    const transfersThisMonth = await tx.find('transfer_orders', {
+      transferNumber: { $regex: `^TRF-${year}${month}` }
+    });
+
+    const sequence = String(transfersThisMonth.length + 1).padStart(4, '0');
+    return `TRF-${year}${month}-${sequence}`;
+  }
+
+  private generateId(prefix: string): string {
+    return prefix + '_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  }
+}
@@ -0,0 +1,508 @@
+// services/WebhookService.ts
+import { Injectable } from '@varld/warp';
+import { DatabaseService } from './DatabaseService';
+import { Transaction } from './storage/Transaction';
+import { currentCompanyId, currentUserId, runAsCompany } from './auth/RequestContext';
+import { DEFAULT_COMPANY_ID } from './storage/TenantScope';
+import {
+  WEBHOOK_EVENTS,
+  WebhookEnvelope,
+  WebhookEventType,
+  isWebhookEvent,
+  latestVersion
+} from './webhooks/EventCatalog';
+import { WebhookResponse, generateSecret, sendWebhookRequest } from './webhooks/Signing';
+
+export interface SubscribedEvent {
+  type: WebhookEventType;
+  version: number; // payload version, pinned when subscribed
+}
+
+export interface WebhookSubscription {
+  id: string;
+  url: string;
+  description?: string;
+  events: SubscribedEvent[];
+  secret: string;
+  isActive: boolean;
+  disabledReason?: string; // set when deliveries switched it off, e.g. on 410 Gone
+  createdBy: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface SubscriptionInput {
+  url?: string;
+  description?: string;
+  events?: string[];
+  versions?: Record<string, number>; // pin events to an older payload version
+  isActive?: boolean;
+}
+
+export interface WebhookAttempt {
+  at: Date;
+  statusCode?: number;
+  durationMs: number;
+  error?: string;
+  responseBody?: string;
+}
+
+export interface WebhookDelivery {
+  id: string;
+  subscriptionId: string;
+  url: string; // where the last attempt went
+  eventId: string;
+  eventType: WebhookEventType;
+  version: number;
+  envelope: WebhookEnvelope;
+  status: 'pending' | 'succeeded' | 'dead_letter';
+  attempts: number;
+  maxAttempts: number;
+  nextAttemptAt?: Date | null;
+  lastStatusCode?: number;
+  lastError?: string;
+  history: WebhookAttempt[];
+  redeliveryOf?: string;
+  redeliveredBy?: string;
+  succeededAt?: Date;
+  deadLetteredAt?: Date;
+  createdAt: Date;
+}
+
+const MAX_ATTEMPTS = 10;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_CAP_MS = 6 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 15 * 1000;
+const SWEEP_BATCH = 100;
+
+// Signed outbound webhooks. publish() records one delivery per subscription to the
+// event and sends it; a failed delivery is retried with exponential backoff
+// (30s, 1m, 2m ... capped at 6h) and after MAX_ATTEMPTS lands in the dead-letter
+// queue, from which it can be redelivered by hand. Every attempt is kept on the
+// delivery as its log.
+@Injectable()
+export class WebhookService {
+  private sweepTimer: NodeJS.Timeout | null = null;
+  private inFlight: Set<string> = new Set();
+
+  constructor(private databaseService: DatabaseService) {
+    this.startDeliverySweep();
+  }
+
+  async listSubscriptions(): Promise<WebhookSubscription[]> {
+    const subscriptions = await this.databaseService.find<WebhookSubscription>('webhook_subscriptions', {}, {
+      sort: { createdAt: -1 }
+    });
+    return subscriptions.map(redact);
+  }
+
+  async getSubscription(id: string): Promise<WebhookSubscription | null> {
+    const subscription = await this.databaseService.findById<WebhookSubscription>('webhook_subscriptions', id);
+    return subscription && redact(subscription);
+  }
+
+  // The secret is only ever shown here and on rotation
+  async createSubscription(input: SubscriptionInput): Promise<WebhookSubscription> {
+    if (!input.url) {
+      throw new Error('url is required');
+    }
+    if (!input.events?.length) {
+      throw new Error('events must list at least one event type');
+    }
+
+    const subscription = await this.databaseService.create<WebhookSubscription>('webhook_subscriptions', {
+      id: this.generateId('whsub'),
+      url: validateUrl(input.url),
+      description: input.description,
+      events: subscribedEvents(input.events, input.versions || {}, []),
+      secret: generateSecret(),
+      isActive: input.isActive !== false,
+      createdBy: currentUserId(),
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+    console.log(`🪝 Webhook subscription ${subscription.id} created for ${subscription.url}`);
+    return subscription;
+  }
+
+  // Events already subscribed to keep their pinned version unless versions says otherwise
+  async updateSubscription(id: string, input: SubscriptionInput): Promise<WebhookSubscription> {
+    const existing = await this.loadSubscription(id);
+    const updates: Partial<WebhookSubscription> = { updatedAt: new Date() };
+
+    if (input.url !== undefined) updates.url = validateUrl(input.url);
+    if (input.description !== undefined) updates.description = input.description;
+    if (input.events !== undefined || input.versions !== undefined) {
+      const types = input.events ?? existing.events.map(event => event.type);
+      if (types.length === 0) {
+        throw new Error('events must list at least one event type');
+      }
+      updates.events = subscribedEvents(types, input.versions || {}, existing.events);
+    }
+    if (input.isActive !== undefined) {
+      updates.isActive = input.isActive === true;
+      if (updates.isActive) updates.disabledReason = undefined;
+    }
+
+    const updated = await this.databaseService.update<WebhookSubscription>('webhook_subscriptions', id, updates);
+    return redact(updated);
+  }
+
+  // Deliveries still waiting for the endpoint go to the dead-letter queue
+  async deleteSubscription(id: string): Promise<void> {
+    await this.loadSubscription(id);
+    const pending = await this.databaseService.find<WebhookDelivery>('webhook_deliveries', {
+      subscriptionId: id,
+      status: 'pending'
+    });
+    for (const delivery of pending) {
+      await this.databaseService.update('webhook_deliveries', delivery.id, {
+        status: 'dead_letter',
+        nextAttemptAt: null,
+        lastError: 'Subscription deleted',
+        deadLetteredAt: new Date()
+      });
+    }
+    await this.databaseService.delete('webhook_subscriptions', id);
+  }
+
+  async rotateSecret(id: string): Promise<WebhookSubscription> {
+    await this.loadSubscription(id);
+    return this.databaseService.update<WebhookSubscription>('webhook_subscriptions', id, {
+      secret: generateSecret(),
+      updatedAt: new Date()
+    });
+  }
+
+  // Sends webhook.ping to the one subscription and waits for the answer
+  async ping(id: string): Promise<WebhookDelivery> {
+    const subscription = await this.loadSubscription(id);
+    const [delivery] = await this.record(this.databaseService, [subscription], 'webhook.ping', { subscriptionId: id });
+    return this.attempt(delivery);
+  }
+
+  // Records a delivery for each active subscription to the event. Given the caller's
+  // transaction, the deliveries commit (or roll back) with its writes and the sweep
+  // sends them; otherwise they are sent straight away in the background.
+  async publish(type: WebhookEventType, source: any, options: { tx?: Transaction } = {}): Promise<WebhookDelivery[]> {
+    const store = options.tx || this.databaseService;
+    const subscriptions = await store.find<WebhookSubscription>('webhook_subscriptions', {
+      'events.type': type,
+      isActive: true
+    });
+    if (subscriptions.length === 0) {
+      return [];
+    }
+
+    const deliveries = await this.record(store, subscriptions, type, source);
+    if (!options.tx) {
+      for (const delivery of deliveries) {
+        this.attempt(delivery).catch(error => console.error(`Error delivering webhook ${delivery.id}:`, error));
+      }
+    }
+    return deliveries;
+  }
+
+  async listDeliveries(filters: {
+    subscriptionId?: string;
+    eventType?: string;
+    eventId?: string;
+    status?: string;
+    limit?: number;
+  } = {}): Promise<WebhookDelivery[]> {
+    const query: any = {};
+    if (filters.subscriptionId) query.subscriptionId = filters.subscriptionId;
+    if (filters.eventType) query.eventType = filters.eventType;
+    if (filters.eventId) query.eventId = filters.eventId;
+    if (filters.status) query.status = filters.status;
+
+    return this.databaseService.find<WebhookDelivery>('webhook_deliveries', query, {
+      sort: { createdAt: -1 },
+      limit: Math.min(filters.limit || 100, 500)
+    });
+  }
+
+  async getDelivery(id: string): Promise<WebhookDelivery | null> {
+    return this.databaseService.findById<WebhookDelivery>('webhook_deliveries', id);
+  }
+
+  // Sends the event again as a new delivery with a fresh set of attempts. The event id
+  // is unchanged so receivers can tell it is one they may have seen.
+  async redeliver(deliveryId: string): Promise<WebhookDelivery> {
+    const original = await this.getDelivery(deliveryId);
+    if (!original) {
+      throw new Error('Delivery not found');
+    }
+    const subscription = await this.loadSubscription(original.subscriptionId);
+    if (!subscription.isActive) {
+      throw new Error('Subscription is disabled; enable it before redelivering');
+    }
+
+    const delivery = await this.databaseService.create<WebhookDelivery>('webhook_deliveries', {
+      ...this.newDelivery(subscription, original.envelope),
+      redeliveryOf: original.id,
+      redeliveredBy: currentUserId()
+    });
+    return this.attempt(delivery);
+  }
+
+  // Puts dead-lettered deliveries back in the queue with a fresh set of attempts,
+  // e.g. once an endpoint is back after an outage. The sweep sends them.
+  async redeliverDeadLetters(filters: { subscriptionId?: string } = {}): Promise<number> {
+    const subscriptions = await this.databaseService.find<WebhookSubscription>('webhook_subscriptions', {
+      isActive: true,
+      ...(filters.subscriptionId && { id: filters.subscriptionId })
+    });
+    const deadLetters = await this.databaseService.find<WebhookDelivery>('webhook_deliveries', {
+      status: 'dead_letter',
+      subscriptionId: { $in: subscriptions.map(subscription => subscription.id) }
+    });
+
+    for (const delivery of deadLetters) {
+      await this.databaseService.update('webhook_deliveries', delivery.id, {
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        deadLetteredAt: undefined,
+        redeliveredBy: currentUserId()
+      });
+    }
+    return deadLetters.length;
+  }
+
+  // Sends the current company's deliveries that are due. Deliveries to disabled
+  // subscriptions wait until they are enabled again.
+  async processDueDeliveries(now: Date = new Date()): Promise<number> {
+    const subscriptions = await this.databaseService.find<WebhookSubscription>('webhook_subscriptions', { isActive: true });
+    if (subscriptions.length === 0) {
+      return 0;
+    }
+    const due = await this.databaseService.find<WebhookDelivery>('webhook_deliveries', {
+      status: 'pending',
+      nextAttemptAt: { $lte: now },
+      subscriptionId: { $in: subscriptions.map(subscription => subscription.id) }
+    }, { sort: { nextAttemptAt: 1 }, limit: SWEEP_BATCH });
+
+    for (const delivery of due) {
+      await this.attempt(delivery, now);
+    }
+    return due.length;
+  }
+
+  stopDeliverySweep(): void {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  private async record(
+    store: DatabaseService | Transaction,
+    subscriptions: WebhookSubscription[],
+    type: WebhookEventType,
+    source: any
+  ): Promise<WebhookDelivery[]> {
+    const eventId = this.generateId('evt');
+    const createdAt = new Date().toISOString();
+    const envelopes = new Map<number, WebhookEnvelope>();
+    const envelopeFor = (version: number): WebhookEnvelope => {
+      if (!envelopes.has(version)) {
+        envelopes.set(version, {
+          id: eventId,
+          type,
+          version,
+          companyId: currentCompanyId() || DEFAULT_COMPANY_ID,
+          createdAt,
+          data: WEBHOOK_EVENTS[type].versions[version].build(source)
+        });
+      }
+      return envelopes.get(version)!;
+    };
+
+    const deliveries: WebhookDelivery[] = [];
+    for (const subscription of subscriptions) {
+      const version = subscription.events.find(event => event.type === type)?.version ?? latestVersion(type);
+      deliveries.push(await store.create<WebhookDelivery>(
+        'webhook_deliveries',
+        this.newDelivery(subscription, envelopeFor(version))
+      ));
+    }
+    console.log(`🪝 ${type} queued for ${deliveries.length} subscription(s)`);
+    return deliveries;
+  }
+
+  private newDelivery(subscription: WebhookSubscription, envelope: WebhookEnvelope): WebhookDelivery {
+    return {
+      id: this.generateId('whdel'),
+      subscriptionId: subscription.id,
+      url: subscription.url,
+      eventId: envelope.id,
+      eventType: envelope.type,
+      version: envelope.version,
+      envelope,
+      status: 'pending',
+      attempts: 0,
+      maxAttempts: MAX_ATTEMPTS,
+      nextAttemptAt: new Date(),
+      history: [],
+      createdAt: new Date()
+    };
+  }
+
+  private async attempt(delivery: WebhookDelivery, now: Date = new Date()): Promise<WebhookDelivery> {
+    // The sweep and an immediate send can both pick up a fresh delivery
+    if (this.inFlight.has(delivery.id)) {
+      return delivery;
+    }
+    this.inFlight.add(delivery.id);
+    try {
+      const subscription = await this.databaseService.findById<WebhookSubscription>('webhook_subscriptions', delivery.subscriptionId);
+      if (!subscription) {
+        return this.databaseService.update<WebhookDelivery>('webhook_deliveries', delivery.id, {
+          status: 'dead_letter',
+          nextAttemptAt: null,
+          lastError: 'Subscription deleted',
+          deadLetteredAt: now
+        });
+      }
+
+      const response = await sendWebhookRequest({
+        url: subscription.url,
+        body: JSON.stringify(delivery.envelope),
+        secret: subscription.secret,
+        headers: {
+          'X-Webhook-Id': delivery.eventId,
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Delivery': delivery.id
+        }
+      });
+      return this.recordAttempt(delivery, subscription, response, now);
+    } finally {
+      this.inFlight.delete(delivery.id);
+    }
+  }
+
+  private async recordAttempt(
+    delivery: WebhookDelivery,
+    subscription: WebhookSubscription,
+    response: WebhookResponse,
+    now: Date
+  ): Promise<WebhookDelivery> {
+    const attempts = delivery.attempts + 1;
+    const history = [...delivery.history, {
+      at: now,
+      statusCode: response.statusCode,
+      durationMs: response.durationMs,
+      error: response.error,
+      responseBody: response.body
+    }];
+    const common = { url: subscription.url, attempts, history, lastStatusCode: response.statusCode };
+
+    if (response.ok) {
+      return this.databaseService.update<WebhookDelivery>('webhook_deliveries', delivery.id, {
+        ...common,
+        status: 'succeeded',
+        nextAttemptAt: null,
+        lastError: undefined,
+        succeededAt: now
+      });
+    }
+
+    // 410 Gone: the receiver has told us to stop
+    const gone = response.statusCode === 410;
+    if (gone) {
+      await this.databaseService.update('webhook_subscriptions', subscription.id, {
+        isActive: false,
+        disabledReason: `Endpoint answered 410 Gone on ${now.toISOString()}`,
+        updatedAt: now
+      });
+      console.warn(`🪝 Webhook subscription ${subscription.id} disabled: endpoint is gone`);
+    }
+
+    if (gone || attempts >= delivery.maxAttempts) {
+      console.warn(`📪 Webhook ${delivery.id} (${delivery.eventType}) dead-lettered after ${attempts} attempt(s): ${response.error}`);
+      return this.databaseService.update<WebhookDelivery>('webhook_deliveries', delivery.id, {
+        ...common,
+        status: 'dead_letter',
+        nextAttemptAt: null,
+        lastError: response.error,
+        deadLetteredAt: now
+      });
+    }
+
+    return this.databaseService.update<WebhookDelivery>('webhook_deliveries', delivery.id, {
+      ...common,
+      nextAttemptAt: new Date(now.getTime() + retryDelay(attempts)),
+      lastError: response.error
+    });
+  }
+
+  private async loadSubscription(id: string): Promise<WebhookSubscription> {
+    const subscription = await this.databaseService.findById<WebhookSubscription>('webhook_subscriptions', id);
+    if (!subscription) {
+      throw new Error('Webhook subscription not found');
+    }
+    return subscription;
+  }
+
+  private startDeliverySweep(): void {
+    this.sweepTimer = setInterval(() => {
+      this.processAllCompanies().catch(error => console.error('Error processing webhook deliveries:', error));
+    }, SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref?.();
+  }
+
+  private async processAllCompanies(): Promise<void> {
+    const companies = await this.databaseService.find<any>('companies', { isActive: true });
+    for (const company of companies) {
+      // The sweep runs outside any request, so restore each company in turn
+      await runAsCompany(company.id, () => this.processDueDeliveries());
+    }
+  }
+
+  private generateId(prefix: string): string {
+    return prefix + '_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  }
+}
+
+// Doubles from RETRY_BASE_MS after each failed attempt, with ±20% jitter so a
+// recovering endpoint isn't hit by every backlog at once
+export function retryDelay(attempts: number): number {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_CAP_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+function redact(subscription: WebhookSubscription): WebhookSubscription {
+  return { ...subscription, secret: `whsec_…${subscription.secret.slice(-4)}` };
+}
+
+function validateUrl(url: string): string {
+  let parsed: URL;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error(`"${url}" is not a URL`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('url must be http(s)');
+  }
+  if (parsed.protocol === 'http:' && process.env.NODE_ENV === 'production') {
+    throw new Error('url must be https in production');
+  }
+  return parsed.toString();
+}
+
+function subscribedEvents(types: string[], versions: Record<string, number>, current: SubscribedEvent[]): SubscribedEvent[] {
+  const events: SubscribedEvent[] = [];
+  for (const type of Array.from(new Set(types))) {
+    if (!isWebhookEvent(type) || !WEBHOOK_EVENTS[type].subscribable) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+    const version = versions[type] ?? current.find(event => event.type === type)?.version ?? latestVersion(type);
+    if (!WEBHOOK_EVENTS[type].versions[version]) {
+      throw new Error(`${type} has no payload version ${version}`);
+    }
+    events.push({ type, version });
+  }
+  return events;
+}
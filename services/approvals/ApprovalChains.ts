@@ -0,0 +1,420 @@
+// services/approvals/ApprovalChains.ts
+import { Role, isRole } from '../auth/permissions';
+import { roundCurrency } from '../invoicing/PaymentTerms';
+import { Approval } from '../../erp_data_models';
+
+export type ApprovalDocumentType = 'purchase' | 'price_override' | 'inventory_adjustment' | 'credit_exception';
+
+export const APPROVAL_DOCUMENT_TYPES: ApprovalDocumentType[] = [
+  'purchase',
+  'price_override',
+  'inventory_adjustment',
+  'credit_exception'
+];
+
+// Where the document being approved lives; inventory adjustments wait in the request
+// itself until approved
+export const APPROVAL_COLLECTIONS: Record<ApprovalDocumentType, string | null> = {
+  purchase: 'purchases',
+  price_override: 'orders',
+  inventory_adjustment: null,
+  credit_exception: 'orders'
+};
+
+// A named user, or anyone holding the role
+export interface ApproverRef {
+  userId?: string;
+  role?: Role;
+}
+
+// Steps run one after another. Within a step, 'any' needs one of the approvers and
+// 'all' needs every one of them, deciding in parallel.
+export interface ApprovalStep {
+  name: string;
+  approvers: ApproverRef[];
+  mode: 'any' | 'all';
+  escalateAfterHours?: number;
+  escalateTo?: ApproverRef[]; // defaults to admins
+}
+
+// Every criterion given must hold; amounts are inclusive at the bottom, exclusive at the top
+export interface PolicyCriteria {
+  minAmount?: number;
+  maxAmount?: number;
+  categories?: string[];
+  supplierIds?: string[];
+  projectIds?: string[];
+}
+
+export interface ApprovalPolicy {
+  id: string;
+  name: string;
+  documentType: ApprovalDocumentType;
+  criteria: PolicyCriteria;
+  steps: ApprovalStep[];
+  priority: number; // the highest-priority matching policy applies
+  isActive: boolean;
+  createdAt: Date;
+  updatedAt: Date;
+  createdBy: string;
+}
+
+// What policies route on, taken from the document when approval is requested
+export interface ApprovalFacts {
+  amount: number;
+  categories: string[];
+  supplierId?: string;
+  projectId?: string;
+  customerId?: string;
+}
+
+export interface ApprovalDecision {
+  approverId: string;
+  onBehalfOf?: string; // the out-of-office approver a delegate acted for
+  slot?: number;       // which of the step's approvers this fills; unset for escalation approvers
+  decision: 'approved' | 'rejected';
+  comments?: string;
+  at: Date;
+}
+
+export interface ApprovalStepState extends ApprovalStep {
+  status: 'waiting' | 'pending' | 'approved' | 'rejected';
+  decisions: ApprovalDecision[];
+  startedAt?: Date;
+  dueAt?: Date;
+  escalatedAt?: Date;
+  escalatedTo?: ApproverRef[]; // may decide the whole step
+}
+
+export interface ApprovalEvent {
+  at: Date;
+  action: 'requested' | 'approved' | 'rejected' | 'step_completed' | 'escalated' | 'completed' | 'cancelled';
+  userId: string;
+  onBehalfOf?: string;
+  step?: number;
+  comments?: string;
+}
+
+export interface ApprovalRequest {
+  id: string;
+  requestNumber: string;
+  documentType: ApprovalDocumentType;
+  documentId: string;
+  documentNumber?: string;
+  summary: string;
+  facts: ApprovalFacts;
+  policyId: string;
+  policyName: string;
+  status: 'pending' | 'approved' | 'rejected' | 'cancelled';
+  currentStep: number;
+  steps: ApprovalStepState[];
+  history: ApprovalEvent[];
+  payload?: any; // what to carry out once approved, for work held until then
+  requestedBy: string;
+  requestedAt: Date;
+  completedAt?: Date;
+}
+
+// Out of office: the delegate may decide for the user between the dates
+export interface ApprovalDelegation {
+  id: string;
+  userId: string;
+  delegateId: string;
+  startsAt: Date;
+  endsAt: Date;
+  documentTypes?: ApprovalDocumentType[]; // all when unset
+  reason?: string;
+  revokedAt?: Date;
+  createdAt: Date;
+  createdBy: string;
+}
+
+export interface Actor {
+  id: string;
+  role: Role;
+}
+
+export interface ApproverDirectory {
+  // The users a delegate is currently standing in for on this document type
+  delegators: Actor[];
+}
+
+const DEFAULT_ESCALATION: ApproverRef[] = [{ role: 'admin' }];
+
+// Checks a policy as submitted and returns the fields to store
+export function validatePolicy(input: any): Omit<ApprovalPolicy, 'id' | 'createdAt' | 'updatedAt' | 'createdBy'> {
+  if (!input?.name) {
+    throw new Error('name is required');
+  }
+  if (!APPROVAL_DOCUMENT_TYPES.includes(input.documentType)) {
+    throw new Error(`documentType must be one of ${APPROVAL_DOCUMENT_TYPES.join(', ')}`);
+  }
+  if (!Array.isArray(input.steps) || input.steps.length === 0) {
+    throw new Error('A policy needs at least one step');
+  }
+
+  const criteria: PolicyCriteria = {};
+  const given = input.criteria || {};
+  for (const field of ['minAmount', 'maxAmount'] as const) {
+    if (given[field] !== undefined && given[field] !== null) {
+      if (!(Number(given[field]) >= 0)) throw new Error(`criteria.${field} must be zero or more`);
+      criteria[field] = Number(given[field]);
+    }
+  }
+  if (criteria.minAmount !== undefined && criteria.maxAmount !== undefined && criteria.maxAmount <= criteria.minAmount) {
+    throw new Error('criteria.maxAmount must be above minAmount');
+  }
+  for (const field of ['categories', 'supplierIds', 'projectIds'] as const) {
+    if (given[field] !== undefined) {
+      if (!Array.isArray(given[field]) || given[field].some((value: any) => typeof value !== 'string')) {
+        throw new Error(`criteria.${field} must be a list of strings`);
+      }
+      if (given[field].length > 0) criteria[field] = given[field];
+    }
+  }
+
+  const steps = input.steps.map((step: any, index: number) => {
+    const label = `steps[${index}]`;
+    const approvers = validateApprovers(step?.approvers, `${label}.approvers`);
+    if (approvers.length === 0) {
+      throw new Error(`${label} needs at least one approver`);
+    }
+    const mode = step.mode || 'any';
+    if (!['any', 'all'].includes(mode)) {
+      throw new Error(`${label}.mode must be any or all`);
+    }
+    if (step.escalateAfterHours !== undefined && !(Number(step.escalateAfterHours) > 0)) {
+      throw new Error(`${label}.escalateAfterHours must be above 0`);
+    }
+    return {
+      name: step.name || `Step ${index + 1}`,
+      approvers,
+      mode,
+      ...(step.escalateAfterHours !== undefined && { escalateAfterHours: Number(step.escalateAfterHours) }),
+      ...(step.escalateTo && { escalateTo: validateApprovers(step.escalateTo, `${label}.escalateTo`) })
+    };
+  });
+
+  return {
+    name: String(input.name),
+    documentType: input.documentType,
+    criteria,
+    steps,
+    priority: Number(input.priority) || 0,
+    isActive: input.isActive !== false
+  };
+}
+
+function validateApprovers(approvers: any, label: string): ApproverRef[] {
+  if (!Array.isArray(approvers)) {
+    throw new Error(`${label} must be a list`);
+  }
+  return approvers.map((approver: any, index: number) => {
+    if (approver?.userId && !approver.role) return { userId: String(approver.userId) };
+    if (approver?.role && !approver.userId && isRole(approver.role)) return { role: approver.role };
+    throw new Error(`${label}[${index}] needs either a userId or a valid role`);
+  });
+}
+
+export function policyMatches(policy: ApprovalPolicy, facts: ApprovalFacts): boolean {
+  const { criteria } = policy;
+  if (criteria.minAmount !== undefined && facts.amount < criteria.minAmount) return false;
+  if (criteria.maxAmount !== undefined && facts.amount >= criteria.maxAmount) return false;
+  if (criteria.categories && !criteria.categories.some(category => facts.categories.includes(category))) return false;
+  if (criteria.supplierIds && !(facts.supplierId && criteria.supplierIds.includes(facts.supplierId))) return false;
+  if (criteria.projectIds && !(facts.projectId && criteria.projectIds.includes(facts.projectId))) return false;
+  return true;
+}
+
+// Highest priority first; between equals, the one with the higher amount floor
+export function selectPolicy(policies: ApprovalPolicy[], facts: ApprovalFacts): ApprovalPolicy | null {
+  const matching = policies
+    .filter(policy => policy.isActive && policyMatches(policy, facts))
+    .sort((a, b) => b.priority - a.priority || (b.criteria.minAmount || 0) - (a.criteria.minAmount || 0));
+  return matching[0] || null;
+}
+
+export function startSteps(policy: ApprovalPolicy, now: Date): ApprovalStepState[] {
+  return policy.steps.map((step, index) => index === 0
+    ? activate({ ...step, status: 'waiting', decisions: [] }, now)
+    : { ...step, status: 'waiting', decisions: [] });
+}
+
+function activate(step: ApprovalStepState, now: Date): ApprovalStepState {
+  return {
+    ...step,
+    status: 'pending',
+    startedAt: now,
+    ...(step.escalateAfterHours && { dueAt: new Date(now.getTime() + step.escalateAfterHours * 60 * 60 * 1000) })
+  };
+}
+
+function refMatches(ref: ApproverRef, user: Actor): boolean {
+  return ref.userId ? ref.userId === user.id : ref.role === user.role;
+}
+
+// How the actor may decide the current step: as one of its approvers, as a delegate
+// for one, or as someone it was escalated to. Null when they may not.
+export function authorityFor(
+  request: ApprovalRequest,
+  actor: Actor,
+  directory: ApproverDirectory
+): { slot?: number; onBehalfOf?: string; escalation?: boolean } | null {
+  const step = request.steps[request.currentStep];
+  if (request.status !== 'pending' || !step || step.status !== 'pending') {
+    return null;
+  }
+  const taken = new Set(step.decisions.map(decision => decision.slot));
+  const decided = (userId: string) => step.decisions.some(decision => (decision.onBehalfOf || decision.approverId) === userId);
+
+  for (const [slot, ref] of step.approvers.entries()) {
+    if (taken.has(slot)) continue;
+    if (refMatches(ref, actor) && !decided(actor.id)) {
+      return { slot };
+    }
+    const delegator = directory.delegators.find(user => refMatches(ref, user) && !decided(user.id));
+    if (delegator) {
+      return { slot, onBehalfOf: delegator.id };
+    }
+  }
+  if ((step.escalatedTo || []).some(ref => refMatches(ref, actor))) {
+    return { escalation: true };
+  }
+  return null;
+}
+
+// Records a decision and moves the request on. Any rejection rejects the request; an
+// escalation approver's approval completes the step outright.
+export function applyDecision(
+  request: ApprovalRequest,
+  decision: ApprovalDecision,
+  escalation: boolean,
+  now: Date
+): ApprovalRequest {
+  const steps = request.steps.map(step => ({ ...step, decisions: [...step.decisions] }));
+  const history = [...request.history];
+  const index = request.currentStep;
+  const step = steps[index];
+  step.decisions.push(decision);
+  history.push({
+    at: now,
+    action: decision.decision,
+    userId: decision.approverId,
+    ...(decision.onBehalfOf && { onBehalfOf: decision.onBehalfOf }),
+    step: index,
+    ...(decision.comments && { comments: decision.comments })
+  });
+
+  if (decision.decision === 'rejected') {
+    step.status = 'rejected';
+    history.push({ at: now, action: 'completed', userId: decision.approverId, comments: 'Rejected' });
+    return { ...request, steps, history, status: 'rejected', completedAt: now };
+  }
+
+  const approvals = step.decisions.filter(entry => entry.decision === 'approved');
+  const stepDone = escalation || step.mode === 'any' || approvals.length >= step.approvers.length;
+  if (!stepDone) {
+    return { ...request, steps, history };
+  }
+
+  step.status = 'approved';
+  history.push({ at: now, action: 'step_completed', userId: decision.approverId, step: index });
+  if (index + 1 >= steps.length) {
+    history.push({ at: now, action: 'completed', userId: decision.approverId, comments: 'Approved' });
+    return { ...request, steps, history, status: 'approved', completedAt: now };
+  }
+  steps[index + 1] = activate(steps[index + 1], now);
+  return { ...request, steps, history, currentStep: index + 1 };
+}
+
+// Hands the current step to its escalation approvers once it has waited past dueAt.
+// Null when nothing is due.
+export function escalateIfDue(request: ApprovalRequest, now: Date): ApprovalRequest | null {
+  const step = request.steps[request.currentStep];
+  if (request.status !== 'pending' || !step?.dueAt || step.escalatedAt || new Date(step.dueAt) > now) {
+    return null;
+  }
+  const steps = [...request.steps];
+  const escalatedTo = step.escalateTo?.length ? step.escalateTo : DEFAULT_ESCALATION;
+  steps[request.currentStep] = { ...step, escalatedAt: now, escalatedTo };
+  return {
+    ...request,
+    steps,
+    history: [...request.history, {
+      at: now,
+      action: 'escalated',
+      userId: 'system',
+      step: request.currentStep,
+      comments: `Waited more than ${step.escalateAfterHours}h; escalated to ${describeApprovers(escalatedTo)}`
+    }]
+  };
+}
+
+// Who still has to act on the current step
+export function outstandingApprovers(request: ApprovalRequest): ApproverRef[] {
+  const step = request.steps[request.currentStep];
+  if (request.status !== 'pending' || !step) return [];
+  const taken = new Set(step.decisions.map(decision => decision.slot));
+  const open = step.approvers.filter((_, slot) => !taken.has(slot));
+  return [...(step.mode === 'any' ? step.approvers : open), ...(step.escalatedTo || [])];
+}
+
+export function describeApprovers(refs: ApproverRef[]): string {
+  return refs.map(ref => (ref.userId ? `user ${ref.userId}` : `any ${ref.role}`)).join(', ');
+}
+
+// The document's approval record in the shape of the data model: one entry per
+// decision, plus a pending entry for each approver still to act
+export function toApprovals(requests: ApprovalRequest[]): Approval[] {
+  const approvals: Approval[] = [];
+  for (const request of requests) {
+    request.steps.forEach((step, index) => {
+      for (const decision of step.decisions) {
+        approvals.push({
+          id: `${request.id}:${index}:${approvals.length}`,
+          approver: decision.onBehalfOf ? `${decision.approverId} for ${decision.onBehalfOf}` : decision.approverId,
+          level: index + 1,
+          status: decision.decision,
+          date: decision.at,
+          comments: decision.comments
+        });
+      }
+    });
+    if (request.status === 'pending') {
+      for (const ref of outstandingApprovers(request)) {
+        approvals.push({
+          id: `${request.id}:${request.currentStep}:${approvals.length}`,
+          approver: ref.userId || `role:${ref.role}`,
+          level: request.currentStep + 1,
+          status: 'pending'
+        });
+      }
+    }
+  }
+  return approvals;
+}
+
+// One status across the document's live requests
+export function approvalStatusOf(requests: ApprovalRequest[]): 'pending' | 'approved' | 'rejected' | undefined {
+  const live = requests.filter(request => request.status !== 'cancelled');
+  if (live.length === 0) return undefined;
+  if (live.some(request => request.status === 'rejected')) return 'rejected';
+  if (live.some(request => request.status === 'pending')) return 'pending';
+  return 'approved';
+}
+
+export function isDelegationActive(delegation: ApprovalDelegation, documentType: ApprovalDocumentType, at: Date): boolean {
+  return !delegation.revokedAt &&
+    new Date(delegation.startsAt) <= at &&
+    new Date(delegation.endsAt) > at &&
+    (!delegation.documentTypes?.length || delegation.documentTypes.includes(documentType));
+}
+
+// How much below the rule price the lines were sold: what a price override gives away
+export function overrideDiscount(items: Array<{ quantity: number; unitPrice: number; pricing?: any }>): number {
+  return roundCurrency(items.reduce((sum, item) => {
+    if (item.pricing?.source !== 'manual') return sum;
+    const below = (item.pricing.resolvedPrice ?? item.unitPrice) - item.unitPrice;
+    return below > 0 ? sum + below * item.quantity : sum;
+  }, 0));
+}
@@ -0,0 +1,61 @@
+// services/auth/RequestContext.ts
+import { AsyncLocalStorage } from 'async_hooks';
+import { Role } from './permissions';
+
+export interface AuthenticatedUser {
+  id: string;
+  email: string;
+  name: string;
+  role: Role;
+  companyId: string;
+}
+
+interface RequestContext {
+  user: AuthenticatedUser | null;
+  // Set by runAsCompany for work outside a request; otherwise the user's company applies
+  companyId?: string;
+  response?: any;
+}
+
+// Carries the authenticated user through everything a request awaits, so controllers
+// and the services they call can ask who is acting without threading it by hand.
+const storage = new AsyncLocalStorage<RequestContext>();
+
+export function runWithContext<T>(context: RequestContext, work: () => T): T {
+  return storage.run(context, work);
+}
+
+export function getRequestContext(): RequestContext | undefined {
+  return storage.getStore();
+}
+
+// Sets the HTTP status of the current request's response, where there is one. Handlers
+// still return their { success, error } body as usual.
+export function setResponseStatus(statusCode: number): void {
+  const response = storage.getStore()?.response;
+  if (response && typeof response.status === 'function') {
+    response.status(statusCode);
+  }
+}
+
+export function getCurrentUser(): AuthenticatedUser | null {
+  return storage.getStore()?.user || null;
+}
+
+// Id to stamp on records. Work that runs outside a request (schedulers, startup) is 'system'.
+export function currentUserId(): string {
+  return getCurrentUser()?.id || 'system';
+}
+
+// Company whose data the current work may see. Null outside any company (startup,
+// login, schedulers before they pick a company), where storage is not scoped.
+export function currentCompanyId(): string | null {
+  const context = storage.getStore();
+  return context?.companyId || context?.user?.companyId || null;
+}
+
+// Runs background work on behalf of one company, e.g. a scheduler handling each
+// company's records in turn. Only for system work; requests stay in their user's company.
+export function runAsCompany<T>(companyId: string, work: () => T): T {
+  return storage.run({ ...(storage.getStore() || { user: null }), companyId }, work);
+}
@@ -0,0 +1,79 @@
+// services/auth/guards.ts
+import { getCurrentUser, setResponseStatus } from './RequestContext';
+import { hasPermission, Permission } from './permissions';
+
+export class AuthenticationError extends Error {
+  readonly statusCode = 401;
+
+  constructor(message: string = 'Authentication required') {
+    super(message);
+    this.name = 'AuthenticationError';
+  }
+}
+
+export class AuthorizationError extends Error {
+  readonly statusCode = 403;
+
+  constructor(message: string = 'You do not have permission to perform this action') {
+    super(message);
+    this.name = 'AuthorizationError';
+  }
+}
+
+// Throws unless the current request's user holds every listed permission.
+// With no permissions it only requires a signed-in user.
+export function assertPermission(...permissions: Permission[]): void {
+  const user = getCurrentUser();
+  if (!user) {
+    throw new AuthenticationError();
+  }
+
+  const missing = permissions.filter(permission => !hasPermission(user.role, permission));
+  if (missing.length > 0) {
+    throw new AuthorizationError(`Role ${user.role} is missing permission ${missing.join(', ')}`);
+  }
+}
+
+// Route guard. Put it below the route decorator so it wraps the handler before the
+// route is registered:
+//
+//   @Post('/:id/approve')
+//   @RequirePermission('purchases:approve')
+//   async approvePurchase(...) { ... }
+export function RequirePermission(...permissions: Permission[]) {
+  return function (_target: any, _propertyKey: string, descriptor: PropertyDescriptor) {
+    const handler = descriptor.value;
+
+    descriptor.value = async function (this: any, ...args: any[]) {
+      try {
+        assertPermission(...permissions);
+      } catch (error) {
+        return rejectRequest(error as AuthenticationError | AuthorizationError);
+      }
+      return handler.apply(this, args);
+    };
+
+    return descriptor;
+  };
+}
+
+// Same check for plain (req, res) route handlers registered directly on the app
+export function guardHandler(
+  permission: Permission,
+  handler: (req: any, res: any) => Promise<any> | any
+) {
+  return async (req: any, res: any) => {
+    try {
+      assertPermission(permission);
+    } catch (error) {
+      const failure = error as AuthenticationError | AuthorizationError;
+      return res.status(failure.statusCode).json({ success: false, error: failure.message });
+    }
+    return handler(req, res);
+  };
+}
+
+function rejectRequest(error: AuthenticationError | AuthorizationError) {
+  setResponseStatus(error.statusCode);
+  return { success: false, error: error.message };
+}
@@ -0,0 +1,100 @@
+// services/auth/permissions.ts
+
+export type Role = 'admin' | 'purchasing' | 'warehouse' | 'sales' | 'viewer';
+
+export const ROLES: Role[] = ['admin', 'purchasing', 'warehouse', 'sales', 'viewer'];
+
+// Permissions are "resource:action" strings. A role may grant "resource:*" for every
+// action on a resource, or "*" for everything.
+export type Permission = string;
+
+const READABLE_RESOURCES = [
+  'products',
+  'inventory',
+  'customers',
+  'orders',
+  'invoices',
+  'purchases',
+  'payables',
+  'suppliers',
+  'projects',
+  'analytics',
+  'ai',
+  'supply_chain',
+  'maintenance',
+  'automation',
+  'company',
+  'pricing',
+  'tax',
+  'quotes',
+  'dispatch',
+  'returns',
+  'edi',
+  'imports',
+  'approvals'
+];
+
+const READ_ALL: Permission[] = READABLE_RESOURCES.map(resource => `${resource}:read`);
+
+export const ROLE_PERMISSIONS: Record<Role, Permission[]> = {
+  admin: ['*'],
+  purchasing: [
+    ...READ_ALL,
+    'products:write',
+    'pricing:propose',
+    'purchases:write',
+    'purchases:approve',
+    'purchases:return',
+    'edi:write',
+    'payables:write',
+    'suppliers:write',
+    'supply_chain:write',
+    'supply_chain:execute',
+    'ai:write',
+    'voice:use'
+  ],
+  warehouse: [
+    ...READ_ALL,
+    'inventory:write',
+    'inventory:adjust',
+    'inventory:count',
+    'orders:fulfill',
+    'dispatch:write',
+    'dispatch:deliver',
+    'purchases:receive',
+    'purchases:return',
+    'returns:receive',
+    'projects:materials',
+    'maintenance:write',
+    'voice:use'
+  ],
+  sales: [
+    ...READ_ALL,
+    'customers:write',
+    'pricing:propose',
+    'tax:certificates',
+    'quotes:write',
+    'orders:write',
+    'orders:fulfill',
+    'returns:write',
+    'invoices:write',
+    'payments:write',
+    'projects:write',
+    'projects:materials',
+    'ai:write',
+    'voice:use'
+  ],
+  viewer: [...READ_ALL]
+};
+
+export function isRole(value: any): value is Role {
+  return ROLES.includes(value);
+}
+
+export function hasPermission(role: Role, permission: Permission): boolean {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  const [resource] = permission.split(':');
+  return granted.some(entry =>
+    entry === '*' || entry === permission || entry === `${resource}:*`
+  );
+}
@@ -0,0 +1,113 @@
+// services/automation/Cron.spec.ts
+import { isValidCron, nextRun, parseCron, runsBetween, zonedTime } from './Cron';
+
+const iso = (dates: Date[]) => dates.map(date => date.toISOString());
+const next = (expression: string, after: string, timeZone = 'UTC') =>
+  nextRun(expression, new Date(after), timeZone)?.toISOString() ?? null;
+
+describe('parseCron', () => {
+  it('expands lists, ranges, steps and names', () => {
+    const schedule = parseCron('*/15 9-17 1,15 jan-mar mon-fri');
+    expect([...schedule.minutes]).toEqual([0, 15, 30, 45]);
+    expect([...schedule.hours]).toEqual([9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    expect([...schedule.daysOfMonth]).toEqual([1, 15]);
+    expect([...schedule.months]).toEqual([1, 2, 3]);
+    expect([...schedule.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    expect([...parseCron('10-50/20 5/6 * * *').minutes]).toEqual([10, 30, 50]);
+    expect([...parseCron('0 5/6 * * *').hours]).toEqual([5, 11, 17, 23]);
+  });
+
+  it('reads macros and 7 as Sunday', () => {
+    expect(parseCron('@daily')).toMatchObject({ expression: '@daily' });
+    expect([...parseCron('@hourly').hours]).toHaveLength(24);
+    expect([...parseCron('0 0 * * 7').daysOfWeek]).toEqual([0]);
+  });
+
+  it('rejects malformed expressions', () => {
+    for (const expression of ['', '* * * *', '60 * * * *', '* 24 * * *', '0 0 0 * *', '0 0 * 13 *', '*/0 * * * *', '5-1 * * * *', '0 0 * foo *']) {
+      expect(isValidCron(expression)).toBe(false);
+    }
+    expect(() => parseCron('0 25 * * *')).toThrow(/hour value "25" is outside 0-23/);
+  });
+
+  it('rejects days that never come, unless a day of week can fire instead', () => {
+    expect(() => parseCron('0 0 30 2 *')).toThrow(/day of month never falls in the months given/);
+    expect(isValidCron('0 0 31 4,6,9,11 *')).toBe(false);
+    expect(isValidCron('0 0 31 1-2 *')).toBe(true);
+    expect(isValidCron('0 0 29 2 *')).toBe(true);
+    expect(isValidCron('0 0 30 2 mon')).toBe(true);
+  });
+});
+
+describe('nextRun', () => {
+  it('finds the next matching minute after, never at, the given time', () => {
+    expect(next('*/15 * * * *', '2026-05-01T10:07:30Z')).toBe('2026-05-01T10:15:00.000Z');
+    expect(next('*/15 * * * *', '2026-05-01T10:15:00Z')).toBe('2026-05-01T10:30:00.000Z');
+    expect(next('0 9 * * mon-fri', '2026-05-01T09:00:00Z')).toBe('2026-05-04T09:00:00.000Z');
+    expect(next('@yearly', '2026-01-01T00:00:30Z')).toBe('2027-01-01T00:00:00.000Z');
+  });
+
+  it('fires on either day field when both are restricted', () => {
+    // The 13th or any Friday
+    expect(next('0 0 13 * fri', '2026-05-02T00:00:00Z')).toBe('2026-05-08T00:00:00.000Z');
+    expect(next('0 0 13 * fri', '2026-05-09T00:00:00Z')).toBe('2026-05-13T00:00:00.000Z');
+  });
+
+  it('evaluates the wall clock of the timezone', () => {
+    expect(next('0 9 * * *', '2026-07-01T00:00:00Z', 'America/Chicago')).toBe('2026-07-01T14:00:00.000Z');
+    expect(next('0 9 * * *', '2026-01-15T00:00:00Z', 'Asia/Kolkata')).toBe('2026-01-15T03:30:00.000Z');
+    expect(zonedTime(new Date('2026-07-01T14:00:00Z'), 'America/Chicago')).toMatchObject({ hour: 9, weekday: 3 });
+  });
+
+  it('finds 29 February in the next leap year, even across 2100', () => {
+    expect(next('0 0 29 2 *', '2026-03-01T00:00:00Z')).toBe('2028-02-29T00:00:00.000Z');
+    expect(next('0 0 29 2 *', '2096-03-01T00:00:00Z')).toBe('2104-02-29T00:00:00.000Z');
+  });
+
+  it('gives up after a year without a match', () => {
+    // A day of week starting with * counts as unrestricted, so both day fields must
+    // match: 31 March on a Sunday, which next happens in 2030
+    const schedule = parseCron('0 0 31 3 */7');
+    expect(nextRun(schedule, new Date('2026-04-01T00:00:00Z'), 'UTC')).toBeNull();
+    expect(nextRun(schedule, new Date('2029-04-01T00:00:00Z'), 'UTC')?.toISOString()).toBe('2030-03-31T00:00:00.000Z');
+  });
+
+  describe('across daylight saving changes', () => {
+    const newYork = 'America/New_York';
+
+    it('skips a time the clocks jump over', () => {
+      // 8 March 2026 goes from 01:59 EST to 03:00 EDT
+      expect(next('30 2 * * *', '2026-03-08T05:00:00Z', newYork)).toBe('2026-03-09T06:30:00.000Z');
+      expect(next('0 3 * * *', '2026-03-08T05:00:00Z', newYork)).toBe('2026-03-08T07:00:00.000Z');
+    });
+
+    it('keeps daily runs on the local hour either side of a change', () => {
+      const runs = runsBetween('0 0 * * *', new Date('2026-03-07T00:00:00Z'), new Date('2026-03-10T12:00:00Z'), newYork);
+      expect(iso(runs)).toEqual(['2026-03-07T05:00:00.000Z', '2026-03-08T05:00:00.000Z', '2026-03-09T04:00:00.000Z', '2026-03-10T04:00:00.000Z']);
+    });
+
+    it('runs a fixed-hour schedule once when the clocks go back, and hourly ones every hour', () => {
+      // 1 November 2026 repeats 01:00-01:59, first as EDT then as EST
+      const daily = runsBetween('30 1 * * *', new Date('2026-10-31T12:00:00Z'), new Date('2026-11-02T12:00:00Z'), newYork);
+      expect(iso(daily)).toEqual(['2026-11-01T05:30:00.000Z', '2026-11-02T06:30:00.000Z']);
+
+      const hourly = runsBetween('0 * * * *', new Date('2026-11-01T03:30:00Z'), new Date('2026-11-01T07:30:00Z'), newYork);
+      expect(iso(hourly)).toEqual(['2026-11-01T04:00:00.000Z', '2026-11-01T05:00:00.000Z', '2026-11-01T06:00:00.000Z', '2026-11-01T07:00:00.000Z']);
+    });
+
+    it('handles half-hour changes', () => {
+      // Lord Howe Island goes back from +11 to +10:30 at 02:00 on 5 April 2026
+      const runs = runsBetween('45 1 * * *', new Date('2026-04-04T12:00:00Z'), new Date('2026-04-05T12:00:00Z'), 'Australia/Lord_Howe');
+      expect(iso(runs)).toEqual(['2026-04-04T14:45:00.000Z']);
+    });
+  });
+});
+
+describe('runsBetween', () => {
+  it('lists runs after the start up to and including the end, within the limit', () => {
+    const from = new Date('2026-05-01T00:00:00Z');
+    expect(iso(runsBetween('0 */6 * * *', from, new Date('2026-05-01T18:00:00Z'), 'UTC')))
+      .toEqual(['2026-05-01T06:00:00.000Z', '2026-05-01T12:00:00.000Z', '2026-05-01T18:00:00.000Z']);
+    expect(runsBetween('* * * * *', from, new Date('2026-05-02T00:00:00Z'), 'UTC', 5)).toHaveLength(5);
+  });
+});
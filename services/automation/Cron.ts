@@ -0,0 +1,253 @@
+// services/automation/Cron.ts
+
+// Five-field cron expressions (minute hour day-of-month month day-of-week) evaluated
+// against the wall clock of an IANA timezone. Fields take *, lists, ranges and steps
+// (1,15 / 9-17 / */15 / 10-50/10), month and weekday names, and 0 or 7 for Sunday.
+// As in Vixie cron, when both day fields are restricted a day matching either fires.
+
+export interface CronSchedule {
+  expression: string;
+  minutes: Set<number>;
+  hours: Set<number>;
+  daysOfMonth: Set<number>;
+  months: Set<number>;
+  daysOfWeek: Set<number>;
+  dayOfMonthRestricted: boolean;
+  dayOfWeekRestricted: boolean;
+}
+
+interface ZonedTime {
+  year: number;
+  month: number;
+  day: number;
+  hour: number;
+  minute: number;
+  weekday: number;
+}
+
+const MACROS: Record<string, string> = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+// The most days each month can have; 29 February only comes round in leap years
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// A schedule that can fire does so within a year, unless 29 February is its only day:
+// that can take eight years, as 2100 is not a leap year
+const YEAR_MS = 366 * 24 * 60 * 60 * 1000;
+const LEAP_DAY_SEARCH_MS = 8 * YEAR_MS;
+const MINUTE_MS = 60 * 1000;
+
+export function parseCron(expression: string): CronSchedule {
+  const text = String(expression || '').trim();
+  const fields = (MACROS[text.toLowerCase()] || text).split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields, got ${fields.length}`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, index) => {
+    try {
+      return parseField(field, FIELDS[index]);
+    } catch (error) {
+      throw new Error(`Invalid cron expression "${expression}": ${FIELDS[index].name} ${(error as Error).message}`);
+    }
+  });
+  if (daysOfWeek.delete(7)) {
+    daysOfWeek.add(0);
+  }
+
+  const schedule: CronSchedule = {
+    expression: text,
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    dayOfMonthRestricted: !fields[2].startsWith('*'),
+    dayOfWeekRestricted: !fields[4].startsWith('*')
+  };
+  // Unless a day of week can fire it instead, a day such as 30 February never comes
+  if (!schedule.dayOfWeekRestricted && calendarDays(schedule).length === 0) {
+    throw new Error(`Invalid cron expression "${expression}": day of month never falls in the months given`);
+  }
+  return schedule;
+}
+
+export function isValidCron(expression: string): boolean {
+  try {
+    parseCron(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The first time after `after` the schedule fires, or null if it doesn't in the year
+// after (eight years for a schedule that only fires on 29 February)
+export function nextRun(schedule: CronSchedule | string, after: Date, timeZone: string): Date | null {
+  const cron = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  let time = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  const leapDayOnly = !cron.dayOfWeekRestricted &&
+    calendarDays(cron).every(([month, day]) => month === 2 && day === 29);
+  const limit = after.getTime() + (leapDayOnly ? LEAP_DAY_SEARCH_MS : YEAR_MS);
+
+  // Skips days that don't match, then steps by the hour until the hour matches and by
+  // the minute after that. Stepping in real time means wall-clock times skipped by a
+  // DST change are skipped here too. A day is skipped to an hour before its midnight,
+  // as a DST change can make it an hour shorter than the clock says.
+  while (time <= limit) {
+    const local = zonedTime(new Date(time), timeZone);
+    if (!cron.months.has(local.month) || !matchesDay(cron, local)) {
+      time += Math.max(60 - local.minute, (23 - local.hour) * 60 - local.minute) * MINUTE_MS;
+    } else if (!cron.hours.has(local.hour)) {
+      time += (60 - local.minute) * MINUTE_MS;
+    } else if (!cron.minutes.has(local.minute) || isRepeatedTime(cron, time, local, timeZone)) {
+      time += MINUTE_MS;
+    } else {
+      return new Date(time);
+    }
+  }
+  return null;
+}
+
+// Every run after `after` up to and including `until`, oldest first
+export function runsBetween(
+  schedule: CronSchedule | string,
+  after: Date,
+  until: Date,
+  timeZone: string,
+  limit: number = 1000
+): Date[] {
+  const cron = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  const runs: Date[] = [];
+  let next = nextRun(cron, after, timeZone);
+  while (next && next <= until && runs.length < limit) {
+    runs.push(next);
+    next = nextRun(cron, next, timeZone);
+  }
+  return runs;
+}
+
+export function zonedTime(date: Date, timeZone: string): ZonedTime {
+  const parts: Record<string, string> = {};
+  for (const part of formatterFor(timeZone).formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    weekday: DAY_NAMES.indexOf(parts.weekday.slice(0, 3).toLowerCase())
+  };
+}
+
+// When the clocks go back, the wall-clock times in between come round twice. A
+// schedule that names its hours fires the first time only; an hourly one fires both.
+function isRepeatedTime(cron: CronSchedule, time: number, local: ZonedTime, timeZone: string): boolean {
+  if (cron.hours.size === 24) return false;
+  return [30, 60].some(minutes => {
+    const earlier = zonedTime(new Date(time - minutes * MINUTE_MS), timeZone);
+    return earlier.day === local.day && earlier.hour === local.hour && earlier.minute === local.minute;
+  });
+}
+
+// The [month, day] pairs the month and day-of-month fields allow together
+function calendarDays(cron: CronSchedule): Array<[number, number]> {
+  const days: Array<[number, number]> = [];
+  for (const month of cron.months) {
+    for (const day of cron.daysOfMonth) {
+      if (day <= DAYS_IN_MONTH[month - 1]) {
+        days.push([month, day]);
+      }
+    }
+  }
+  return days;
+}
+
+function matchesDay(cron: CronSchedule, local: ZonedTime): boolean {
+  const dayOfMonth = cron.daysOfMonth.has(local.day);
+  const dayOfWeek = cron.daysOfWeek.has(local.weekday);
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+function parseField(field: string, spec: typeof FIELDS[number]): Set<number> {
+  const values = new Set<number>();
+  for (const item of field.split(',')) {
+    const [range, stepText] = item.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`has an invalid step "${item}"`);
+    }
+
+    let start: number;
+    let end: number;
+    if (range === '*') {
+      start = spec.min;
+      end = spec.name === 'day of week' ? 6 : spec.max;
+    } else {
+      const [from, to] = range.split('-');
+      start = parseValue(from, spec);
+      // "5/15" runs from 5 to the end of the range
+      end = to !== undefined ? parseValue(to, spec) : stepText !== undefined ? spec.max : start;
+    }
+    if (start > end) {
+      throw new Error(`has a backwards range "${item}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+function parseValue(text: string, spec: typeof FIELDS[number]): number {
+  const named = spec.names?.indexOf(String(text).toLowerCase()) ?? -1;
+  const value = named >= 0 ? named + spec.offset! : /^\d+$/.test(text) ? Number(text) : NaN;
+  if (!(value >= spec.min && value <= spec.max)) {
+    throw new Error(`value "${text}" is outside ${spec.min}-${spec.max}`);
+  }
+  return value;
+}
+
+const formatters = new Map<string, Intl.DateTimeFormat>();
+
+function formatterFor(timeZone: string): Intl.DateTimeFormat {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
@@ -0,0 +1,135 @@
+// services/automation/DefaultWorkflows.ts
+import { WorkflowDefinition } from './WorkflowDefinitions';
+
+// Version 1 of every company's workflows, stored the first time the company's
+// workflows are loaded. From then on they are edited like any other definition.
+export const DEFAULT_WORKFLOWS: WorkflowDefinition[] = [
+  {
+    id: 'smart-inventory-reorder',
+    name: 'Smart Inventory Reordering',
+    description: 'Automatically create purchase orders when inventory falls below optimal levels',
+    trigger: { type: 'inventory_low', config: {} },
+    conditions: [
+      { field: 'newQuantity', operator: 'less_than', valueField: 'minimumStock' },
+      { field: 'supplier', operator: 'not_empty' }
+    ],
+    actions: [
+      { type: 'ai_analysis', config: { analysisType: 'optimal_order_quantity' } },
+      {
+        type: 'create_po',
+        config: {
+          autoApprove: false,
+          notifyPurchasing: true,
+          includeAIRecommendations: true
+        }
+      }
+    ],
+    isActive: true,
+    priority: 8
+  },
+  {
+    id: 'dynamic-pricing',
+    name: 'AI-Powered Dynamic Pricing',
+    description: 'Adjust prices based on market conditions, demand, and competition',
+    trigger: { type: 'scheduled', config: { schedule: '0 9 * * *' } }, // Daily at 9 AM
+    conditions: [
+      { field: 'category', operator: 'not_empty' },
+      { field: 'isActive', operator: 'equals', value: true }
+    ],
+    actions: [
+      { type: 'ai_analysis', config: { analysisType: 'market_pricing_analysis' } },
+      {
+        type: 'update_price',
+        config: {
+          requireApproval: true,
+          maxIncrease: 0.1, // Max 10% increase
+          maxDecrease: 0.05 // Max 5% decrease
+        }
+      }
+    ],
+    isActive: true,
+    priority: 6
+  },
+  {
+    id: 'churn-prevention',
+    name: 'Customer Churn Prevention',
+    description: 'Proactively engage customers at risk of churning',
+    trigger: { type: 'ai_insight', config: { insightType: 'customer_churn' } },
+    conditions: [
+      { field: 'churnRisk', operator: 'greater_than', value: 0.7 },
+      { field: 'lifetimeValue', operator: 'greater_than', value: 10000 }
+    ],
+    actions: [
+      {
+        type: 'create_alert',
+        config: {
+          title: 'High-Value Customer Churn Risk',
+          assignTo: 'account_manager',
+          priority: 'high'
+        }
+      },
+      {
+        type: 'schedule_task',
+        config: {
+          taskType: 'customer_outreach',
+          dueDate: '3_days',
+          template: 'retention_call'
+        }
+      }
+    ],
+    isActive: true,
+    priority: 9
+  },
+  {
+    id: 'supplier-performance',
+    name: 'Supplier Performance Monitoring',
+    description: 'Monitor and act on supplier performance issues',
+    trigger: { type: 'supplier_delay', config: { delayThreshold: 2 } }, // 2 days late
+    conditions: [
+      { field: 'onTimeDeliveryRate', operator: 'less_than', value: 0.85 },
+      { field: 'isPreferredSupplier', operator: 'equals', value: true }
+    ],
+    actions: [
+      { type: 'ai_analysis', config: { analysisType: 'supplier_risk_assessment' } },
+      {
+        type: 'create_alert',
+        config: {
+          title: 'Preferred Supplier Performance Issue',
+          assignTo: 'procurement_team',
+          includeRecommendations: true
+        }
+      },
+      { type: 'schedule_task', config: { taskType: 'supplier_review', dueDate: '1_week' } }
+    ],
+    isActive: true,
+    priority: 7
+  },
+  {
+    id: 'seasonal-adjustment',
+    name: 'Seasonal Inventory Adjustment',
+    description: 'Adjust inventory levels based on seasonal construction patterns',
+    trigger: { type: 'scheduled', config: { schedule: '0 0 1 */3 *' } }, // Quarterly on the 1st
+    conditions: [
+      { field: 'category', operator: 'contains', value: ['lumber', 'concrete', 'roofing'] }
+    ],
+    actions: [
+      {
+        type: 'ai_analysis',
+        config: {
+          analysisType: 'seasonal_demand_forecast',
+          horizon: 90 // 3 months ahead
+        }
+      },
+      {
+        type: 'update_price',
+        config: {
+          adjustmentType: 'seasonal',
+          requireApproval: false,
+          maxAdjustment: 0.15
+        }
+      }
+    ],
+    isActive: true,
+    priority: 5
+  }
+];
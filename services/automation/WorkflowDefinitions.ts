@@ -0,0 +1,526 @@
+// services/automation/WorkflowDefinitions.ts
+import yaml from 'js-yaml';
+import { isValidCron } from './Cron';
+
+// Workflows are documents: a trigger, conditions on what the trigger carries, and the
+// actions to run. This is the schema they are validated against, and the condition
+// and trigger logic shared by the engine and by dry runs.
+
+export type TriggerType =
+  | 'inventory_low'
+  | 'customer_order'
+  | 'supplier_delay'
+  | 'price_change'
+  | 'ai_insight'
+  | 'scheduled'
+  | 'manual';
+
+export type ActionType =
+  | 'create_po'
+  | 'send_email'
+  | 'update_price'
+  | 'create_alert'
+  | 'schedule_task'
+  | 'call_webhook'
+  | 'ai_analysis';
+
+export type ConditionOperator = 'equals' | 'not_equals' | 'greater_than' | 'less_than' | 'contains' | 'not_empty';
+
+export interface TriggerDefinition {
+  type: TriggerType;
+  config: any;
+}
+
+export interface ConditionDefinition {
+  field: string;
+  operator: ConditionOperator;
+  value?: any;
+  valueField?: string; // compare with another field of the context instead of a fixed value
+  logicalOperator?: 'AND' | 'OR'; // joins this condition to the next
+}
+
+export interface ActionDefinition {
+  type: ActionType;
+  config: any;
+  delay?: number; // milliseconds
+}
+
+export interface WorkflowDefinition {
+  id: string;
+  name: string;
+  description: string;
+  trigger: TriggerDefinition;
+  conditions: ConditionDefinition[];
+  actions: ActionDefinition[];
+  priority: number; // 1-10; 8 and up also run on critical alerts
+  isActive: boolean;
+}
+
+export type DefinitionFormat = 'json' | 'yaml';
+
+export class InvalidDefinitionError extends Error {
+  constructor(public errors: string[]) {
+    super(`Invalid workflow definition: ${errors.join('; ')}`);
+    this.name = 'InvalidDefinitionError';
+  }
+}
+
+interface FieldSpec {
+  type: 'string' | 'number' | 'boolean' | 'object';
+  required?: boolean;
+  values?: string[];
+  check?: (value: any) => string | null;
+  description: string;
+}
+
+interface TypeSpec {
+  description: string;
+  config: Record<string, FieldSpec>;
+}
+
+export const TRIGGERS: Record<TriggerType, TypeSpec & { event?: string; replayable: boolean }> = {
+  inventory_low: {
+    description: 'Stock of an item goes down',
+    event: 'inventory_update',
+    replayable: true,
+    config: {}
+  },
+  customer_order: {
+    description: 'A sales order is placed',
+    event: 'order_created',
+    replayable: true,
+    config: {}
+  },
+  supplier_delay: {
+    description: 'A purchase is received later than expected',
+    event: 'supplier_delay',
+    replayable: true,
+    config: {
+      delayThreshold: { type: 'number', check: nonNegative, description: 'Days late before the workflow runs' }
+    }
+  },
+  price_change: {
+    description: 'A market price update arrives',
+    event: 'market_update',
+    replayable: false,
+    config: {}
+  },
+  ai_insight: {
+    description: 'The AI orchestrator publishes an insight of the given type',
+    event: 'ai_insight',
+    replayable: false,
+    config: {
+      insightType: { type: 'string', required: true, description: 'Insight type, e.g. customer_churn' }
+    }
+  },
+  scheduled: {
+    description: 'A cron schedule in the company timezone',
+    replayable: true,
+    config: {
+      schedule: {
+        type: 'string',
+        required: true,
+        check: value => (isValidCron(value) ? null : `"${value}" is not a valid cron expression`),
+        description: 'Five-field cron expression or macro such as @daily'
+      },
+      missedRuns: { type: 'string', values: ['catch_up', 'skip'], description: 'What to do with runs missed while down' },
+      maxCatchUp: { type: 'number', check: positiveInteger, description: 'Most missed runs to catch up on' }
+    }
+  },
+  manual: {
+    description: 'Run on request only',
+    replayable: false,
+    config: {}
+  }
+};
+
+export const ACTIONS: Record<ActionType, TypeSpec> = {
+  create_po: {
+    description: 'Draft a purchase order for the product in context',
+    config: {
+      autoApprove: { type: 'boolean', description: 'Approve the order straight away' },
+      notifyPurchasing: { type: 'boolean', description: 'Alert purchasing about the order' },
+      includeAIRecommendations: { type: 'boolean', description: 'Size the order from the AI optimal quantity' }
+    }
+  },
+  send_email: {
+    description: 'Send an email',
+    config: {
+      to: { type: 'string', required: true, description: 'Recipient address or role' },
+      subject: { type: 'string', description: 'Subject line' },
+      template: { type: 'string', description: 'Email template name' }
+    }
+  },
+  update_price: {
+    description: 'Propose or apply a price change',
+    config: {
+      requireApproval: { type: 'boolean', description: 'Ask for approval before the price changes' },
+      maxIncrease: { type: 'number', check: fraction, description: 'Largest increase as a fraction' },
+      maxDecrease: { type: 'number', check: fraction, description: 'Largest decrease as a fraction' },
+      maxAdjustment: { type: 'number', check: fraction, description: 'Largest change either way as a fraction' },
+      adjustmentType: { type: 'string', description: 'e.g. seasonal' }
+    }
+  },
+  create_alert: {
+    description: 'Raise an alert',
+    config: {
+      title: { type: 'string', required: true, description: 'Alert title' },
+      message: { type: 'string', description: 'Used when the context has no alertMessage' },
+      severity: { type: 'string', values: ['info', 'warning', 'critical'], description: 'Alert severity' },
+      priority: { type: 'string', values: ['low', 'medium', 'high', 'critical'], description: 'Delivery priority' },
+      category: { type: 'string', description: 'Alert category' },
+      assignTo: { type: 'string', description: 'Role or team to assign to' },
+      includeRecommendations: { type: 'boolean', description: 'Attach AI recommendations' }
+    }
+  },
+  schedule_task: {
+    description: 'Create a follow-up task',
+    config: {
+      taskType: { type: 'string', required: true, description: 'Task type' },
+      title: { type: 'string', description: 'Task title' },
+      assignTo: { type: 'string', description: 'Role or team to assign to' },
+      dueDate: {
+        type: 'string',
+        check: value => (/^\d+_(hour|day|week)s?$/.test(value) ? null : `"${value}" is not a due date like 3_days or 1_week`),
+        description: 'Time from now, e.g. 4_hours, 3_days, 1_week'
+      },
+      template: { type: 'string', description: 'Task template name' }
+    }
+  },
+  call_webhook: {
+    description: 'Call a URL with the context',
+    config: {
+      url: {
+        type: 'string',
+        required: true,
+        check: value => (/^https?:\/\//.test(value) ? null : 'must be an http(s) URL'),
+        description: 'URL to call'
+      },
+      method: { type: 'string', values: ['POST', 'PUT'], description: 'Defaults to POST' },
+      secret: { type: 'string', description: 'Signs the request (X-Webhook-Signature) when set' }
+    }
+  },
+  ai_analysis: {
+    description: 'Ask the AI orchestrator for an analysis',
+    config: {
+      analysisType: {
+        type: 'string',
+        required: true,
+        values: [
+          'optimal_order_quantity',
+          'market_pricing_analysis',
+          'supplier_risk_assessment',
+          'seasonal_demand_forecast',
+          'comprehensive'
+        ],
+        description: 'Which analysis to run'
+      },
+      horizon: { type: 'number', check: positiveInteger, description: 'Days ahead, for forecasts' }
+    }
+  }
+};
+
+export const CONDITION_OPERATORS: ConditionOperator[] = ['equals', 'not_equals', 'greater_than', 'less_than', 'contains', 'not_empty'];
+
+// The schema as published to clients building definitions
+export function describeSchema() {
+  // check functions don't serialize; everything else about a field is published
+  const fields = (config: Record<string, FieldSpec>) =>
+    Object.fromEntries(Object.entries(config).map(([name, spec]) => [name, {
+      type: spec.type,
+      ...(spec.required && { required: true }),
+      ...(spec.values && { values: spec.values }),
+      description: spec.description
+    }]));
+  return {
+    triggers: Object.fromEntries(
+      Object.entries(TRIGGERS).map(([type, spec]) => [type, { ...spec, config: fields(spec.config) }])
+    ),
+    actions: Object.fromEntries(
+      Object.entries(ACTIONS).map(([type, spec]) => [type, { ...spec, config: fields(spec.config) }])
+    ),
+    operators: CONDITION_OPERATORS
+  };
+}
+
+const DEFINITION_FIELDS =['id', 'name', 'description', 'trigger', 'conditions', 'actions', 'priority', 'isActive'];
+const CONDITION_FIELDS = ['field', 'operator', 'value', 'valueField', 'logicalOperator'];
+const ACTION_FIELDS = ['type', 'config', 'delay'];
+
+// Reads a definition submitted as an object, or as JSON or YAML text
+export function parseDefinition(source: unknown, format: DefinitionFormat = 'json'): unknown {
+  if (typeof source !== 'string') {
+    return source;
+  }
+  try {
+    return format === 'yaml' ? yaml.load(source) : JSON.parse(source);
+  } catch (error) {
+    throw new Error(`Definition is not valid ${format.toUpperCase()}: ${(error as Error).message.split('\n')[0]}`);
+  }
+}
+
+export function formatDefinition(definition: WorkflowDefinition, format: DefinitionFormat): string {
+  return format === 'yaml' ? yaml.dump(definition, { noRefs: true }) : JSON.stringify(definition, null, 2);
+}
+
+// Every problem with the document, so they can all be fixed in one go. Defaults fill
+// in what may be left out.
+export function validateDefinition(input: unknown): { definition?: WorkflowDefinition; errors: string[] } {
+  const errors: string[] = [];
+  if (!isObject(input)) {
+    return { errors: ['Definition must be an object'] };
+  }
+  const raw = input as Record<string, any>;
+  unknownKeys(raw, DEFINITION_FIELDS, 'definition', errors);
+
+  if (typeof raw.id !== 'string' || !/^[a-z0-9][a-z0-9_-]{0,63}$/.test(raw.id)) {
+    errors.push('id must be 1-64 lowercase letters, digits, dashes or underscores');
+  }
+  if (typeof raw.name !== 'string' || !raw.name.trim()) {
+    errors.push('name is required');
+  }
+  if (raw.description !== undefined && typeof raw.description !== 'string') {
+    errors.push('description must be a string');
+  }
+  if (raw.priority !== undefined && !(Number.isInteger(raw.priority) && raw.priority >= 1 && raw.priority <= 10)) {
+    errors.push('priority must be a whole number from 1 to 10');
+  }
+  if (raw.isActive !== undefined && typeof raw.isActive !== 'boolean') {
+    errors.push('isActive must be true or false');
+  }
+
+  const trigger = raw.trigger;
+  if (!isObject(trigger)) {
+    errors.push('trigger is required');
+  } else {
+    unknownKeys(trigger, ['type', 'config'], 'trigger', errors);
+    const spec = TRIGGERS[trigger.type as TriggerType];
+    if (!spec) {
+      errors.push(`trigger.type must be one of ${Object.keys(TRIGGERS).join(', ')}`);
+    } else {
+      checkConfig(trigger.config, spec.config, 'trigger.config', errors);
+    }
+  }
+
+  const conditions = raw.conditions ?? [];
+  if (!Array.isArray(conditions)) {
+    errors.push('conditions must be a list');
+  } else {
+    conditions.forEach((condition: any, index: number) => checkCondition(condition, `conditions[${index}]`, errors));
+  }
+
+  const actions = raw.actions;
+  if (!Array.isArray(actions) || actions.length === 0) {
+    errors.push('actions must list at least one action');
+  } else {
+    actions.forEach((action: any, index: number) => checkAction(action, `actions[${index}]`, errors));
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+  return {
+    errors,
+    definition: {
+      id: raw.id,
+      name: raw.name.trim(),
+      description: raw.description || '',
+      trigger: { type: trigger.type, config: trigger.config || {} },
+      conditions: conditions.map((condition: any) => ({ ...condition })),
+      actions: actions.map((action: any) => ({ ...action, config: action.config || {} })),
+      priority: raw.priority ?? 5,
+      isActive: raw.isActive ?? true
+    }
+  };
+}
+
+// Conditions are read left to right, each joined to the next by its logicalOperator
+export function evaluateConditions(conditions: ConditionDefinition[], context: any): boolean {
+  if (conditions.length === 0) return true;
+
+  let result = true;
+  let currentLogicalOp = 'AND';
+
+  for (const condition of conditions) {
+    const conditionResult = evaluateCondition(condition, context);
+
+    if (currentLogicalOp === 'AND') {
+      result = result && conditionResult;
+    } else {
+      result = result || conditionResult;
+    }
+
+    currentLogicalOp = condition.logicalOperator || 'AND';
+  }
+
+  return result;
+}
+
+// The conditions that don't hold, described for reports
+export function failedConditions(conditions: ConditionDefinition[], context: any): string[] {
+  return conditions
+    .filter(condition => !evaluateCondition(condition, context))
+    .map(condition => {
+      const expected = condition.valueField ? condition.valueField : JSON.stringify(condition.value);
+      const actual = JSON.stringify(getFieldValue(condition.field, context)) ?? 'undefined';
+      return `${condition.field} ${condition.operator}${condition.operator === 'not_empty' ? '' : ` ${expected}`} (was ${actual})`;
+    });
+}
+
+export function evaluateCondition(condition: ConditionDefinition, context: any): boolean {
+  const fieldValue = getFieldValue(condition.field, context);
+  const expectedValue = condition.valueField ? getFieldValue(condition.valueField, context) : condition.value;
+
+  switch (condition.operator) {
+    case 'equals':
+      return fieldValue === expectedValue;
+    case 'not_equals':
+      return fieldValue !== expectedValue;
+    case 'greater_than':
+      return fieldValue > expectedValue;
+    case 'less_than':
+      return fieldValue < expectedValue;
+    case 'contains':
+      if (Array.isArray(expectedValue)) {
+        return expectedValue.some(val =>
+          fieldValue?.toString().toLowerCase().includes(String(val).toLowerCase())
+        );
+      }
+      return fieldValue?.toString().toLowerCase().includes(String(expectedValue).toLowerCase()) ?? false;
+    case 'not_empty':
+      return fieldValue !== null && fieldValue !== undefined && fieldValue !== '';
+    default:
+      return false;
+  }
+}
+
+export function getFieldValue(field: string, context: any): any {
+  let value = context;
+  for (const part of field.split('.')) {
+    if (value && typeof value === 'object') {
+      value = value[part];
+    } else {
+      return undefined;
+    }
+  }
+  return value;
+}
+
+export function matchesTrigger(trigger: TriggerDefinition, event: any): boolean {
+  switch (trigger.type) {
+    case 'inventory_low':
+      return event.type === 'inventory_update' && event.data?.quantityChange < 0;
+    case 'customer_order':
+      return event.type === 'order_created' && event.data?.type === 'sales_order';
+    case 'supplier_delay':
+      return event.type === 'supplier_delay' && event.data?.daysLate >= (trigger.config?.delayThreshold ?? 0);
+    case 'price_change':
+      return event.type === 'market_update';
+    case 'ai_insight':
+      return event.type === 'ai_insight';
+    default:
+      return false;
+  }
+}
+
+// What conditions see for an event: its data, plus the event itself
+export function eventContext(event: any): any {
+  return { ...event.data, event };
+}
+
+function checkCondition(condition: any, path: string, errors: string[]): void {
+  if (!isObject(condition)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  unknownKeys(condition, CONDITION_FIELDS, path, errors);
+  if (typeof condition.field !== 'string' || !condition.field) {
+    errors.push(`${path}.field is required`);
+  }
+  if (!CONDITION_OPERATORS.includes(condition.operator)) {
+    errors.push(`${path}.operator must be one of ${CONDITION_OPERATORS.join(', ')}`);
+  } else if (condition.operator !== 'not_empty') {
+    const hasValue = condition.value !== undefined;
+    const hasField = condition.valueField !== undefined;
+    if (hasValue === hasField) {
+      errors.push(`${path} needs either value or valueField`);
+    }
+  }
+  if (condition.valueField !== undefined && (typeof condition.valueField !== 'string' || !condition.valueField)) {
+    errors.push(`${path}.valueField must be a field name`);
+  }
+  if (condition.logicalOperator !== undefined && !['AND', 'OR'].includes(condition.logicalOperator)) {
+    errors.push(`${path}.logicalOperator must be AND or OR`);
+  }
+}
+
+function checkAction(action: any, path: string, errors: string[]): void {
+  if (!isObject(action)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  unknownKeys(action, ACTION_FIELDS, path, errors);
+  const spec = ACTIONS[action.type as ActionType];
+  if (!spec) {
+    errors.push(`${path}.type must be one of ${Object.keys(ACTIONS).join(', ')}`);
+  } else {
+    checkConfig(action.config, spec.config, `${path}.config`, errors);
+  }
+  if (action.delay !== undefined && !(typeof action.delay === 'number' && action.delay >= 0)) {
+    errors.push(`${path}.delay must be a number of milliseconds`);
+  }
+}
+
+function checkConfig(config: any, fields: Record<string, FieldSpec>, path: string, errors: string[]): void {
+  if (config === undefined || config === null) {
+    config = {};
+  } else if (!isObject(config)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  unknownKeys(config, Object.keys(fields), path, errors);
+
+  for (const [name, spec] of Object.entries(fields)) {
+    const value = config[name];
+    if (value === undefined) {
+      if (spec.required) errors.push(`${path}.${name} is required`);
+      continue;
+    }
+    if (spec.type === 'object' ? !isObject(value) : typeof value !== spec.type) {
+      errors.push(`${path}.${name} must be a ${spec.type}`);
+      continue;
+    }
+    if (spec.values && !spec.values.includes(value)) {
+      errors.push(`${path}.${name} must be one of ${spec.values.join(', ')}`);
+      continue;
+    }
+    const problem = spec.check?.(value);
+    if (problem) {
+      errors.push(`${path}.${name} ${problem.startsWith('must') ? problem : `is invalid: ${problem}`}`);
+    }
+  }
+}
+
+function unknownKeys(value: Record<string, any>, known: string[], path: string, errors: string[]): void {
+  for (const key of Object.keys(value)) {
+    if (!known.includes(key)) {
+      errors.push(`${path} has unknown field "${key}"${known.length > 0 ? `; expected ${known.join(', ')}` : ''}`);
+    }
+  }
+}
+
+function isObject(value: unknown): value is Record<string, any> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function nonNegative(value: number): string | null {
+  return value >= 0 ? null : 'must not be negative';
+}
+
+function positiveInteger(value: number): string | null {
+  return Number.isInteger(value) && value > 0 ? null : 'must be a whole number above 0';
+}
+
+function fraction(value: number): string | null {
+  return value >= 0 && value <= 1 ? null : 'must be a fraction between 0 and 1';
+}
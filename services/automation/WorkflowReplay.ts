@@ -0,0 +1,122 @@
+// services/automation/WorkflowReplay.ts
+import { runsBetween } from './Cron';
+
+// Rebuilds the events a workflow would have seen from what the system kept: stock
+// movements, orders, received purchases and the cron schedule. Events have the same
+// shape as the live ones so triggers and conditions read them the same way.
+
+export interface ReplayEvent {
+  type: string;
+  data: any;
+  timestamp: Date;
+  source: 'stock_movements' | 'orders' | 'purchases' | 'schedule';
+  reference: string;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `movements` must include everything since `from`, including after `to`: the stock
+// level after each movement is worked out backwards from today's quantity
+export function inventoryEvents(movements: any[], inventory: any[], from: Date, to: Date): ReplayEvent[] {
+  const items = new Map(inventory.map(item => [item.id, item]));
+  const quantityAfter = new Map<string, number>();
+  const events: ReplayEvent[] = [];
+
+  const newestFirst = [...movements].sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime());
+  for (const movement of newestFirst) {
+    const item = items.get(movement.inventoryId);
+    if (!item) continue;
+
+    const change = movement.quantityChange ?? (movement.type === 'out' ? -movement.quantity : movement.quantity);
+    const after = quantityAfter.has(item.id) ? quantityAfter.get(item.id)! : item.quantity;
+    quantityAfter.set(item.id, after - change);
+
+    const timestamp = new Date(movement.timestamp);
+    if (timestamp < from || timestamp > to) continue;
+    events.push({
+      type: 'inventory_update',
+      data: {
+        inventoryId: item.id,
+        productId: item.productId,
+        productName: item.productName,
+        category: item.category,
+        location: item.location,
+        supplier: item.supplier,
+        minimumStock: item.minimumStock,
+        maximumStock: item.maximumStock,
+        quantityChange: change,
+        newQuantity: after,
+        movementType: movement.type,
+        reason: movement.reason,
+        reference: movement.reference
+      },
+      timestamp,
+      source: 'stock_movements',
+      reference: movement.reference || movement.id
+    });
+  }
+  return events.reverse();
+}
+
+export function orderEvents(orders: any[]): ReplayEvent[] {
+  return orders.map(order => ({
+    type: 'order_created',
+    data: { type: 'sales_order', ...order },
+    timestamp: new Date(order.createdAt),
+    source: 'orders' as const,
+    reference: order.orderNumber
+  }));
+}
+
+// Late deliveries in the window. `purchases` should hold every received purchase up
+// to `to` so each event carries the supplier's on-time rate as it stood then.
+export function supplierDelayEvents(purchases: any[], suppliers: any[], from: Date, to: Date): ReplayEvent[] {
+  const supplierById = new Map(suppliers.map(supplier => [supplier.id, supplier]));
+  const record = new Map<string, { deliveries: number; onTime: number }>();
+  const events: ReplayEvent[] = [];
+
+  const delivered = purchases
+    .filter(purchase => purchase.expectedDelivery && purchase.actualDelivery)
+    .sort((a, b) => new Date(a.actualDelivery).getTime() - new Date(b.actualDelivery).getTime());
+  for (const purchase of delivered) {
+    const actualDelivery = new Date(purchase.actualDelivery);
+    const daysLate = Math.floor((actualDelivery.getTime() - new Date(purchase.expectedDelivery).getTime()) / DAY_MS);
+    const stats = record.get(purchase.supplierId) || { deliveries: 0, onTime: 0 };
+    stats.deliveries++;
+    if (daysLate <= 0) stats.onTime++;
+    record.set(purchase.supplierId, stats);
+
+    if (daysLate <= 0 || actualDelivery < from || actualDelivery > to) continue;
+    events.push({
+      type: 'supplier_delay',
+      data: {
+        purchaseId: purchase.id,
+        purchaseNumber: purchase.purchaseNumber,
+        supplierId: purchase.supplierId,
+        supplierName: purchase.supplierName,
+        expectedDelivery: purchase.expectedDelivery,
+        actualDelivery,
+        daysLate,
+        total: purchase.total,
+        deliveries: stats.deliveries,
+        onTimeDeliveryRate: Math.round((stats.onTime / stats.deliveries) * 1000) / 1000,
+        supplier: supplierById.get(purchase.supplierId)
+      },
+      timestamp: actualDelivery,
+      source: 'purchases',
+      reference: purchase.purchaseNumber
+    });
+  }
+  return events;
+}
+
+// The runs a schedule had in the window, with the context scheduled runs get
+export function scheduledEvents(schedule: string, from: Date, to: Date, timezone: string, limit: number): ReplayEvent[] {
+  return runsBetween(schedule, new Date(from.getTime() - 1), to, timezone, limit).map(scheduledFor => ({
+    type: 'scheduled',
+    data: { scheduledExecution: true, scheduledFor },
+    timestamp: scheduledFor,
+    source: 'schedule' as const,
+    reference: scheduledFor.toISOString()
+  }));
+}
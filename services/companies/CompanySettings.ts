@@ -0,0 +1,147 @@
+// services/companies/CompanySettings.ts
+import { CostingMethod, isCostingMethod } from '../inventory/Costing';
+
+export interface CompanySettings {
+  currency: string;         // ISO 4217 code reports are stated in
+  timezone: string;         // IANA zone
+  fiscalYearStart: number;  // month (1-12)
+  defaultMarkup: number;    // percent over cost for suggested selling prices
+  autoReorderEnabled: boolean;
+  aiInsightsEnabled: boolean;
+  costingMethod: CostingMethod;
+  quoteValidityDays: number; // how long quoted prices are held
+  emergencyResponsePhone: string; // printed on hazmat shipping papers; required to dispatch hazmat
+  restockingFeePercent: number; // kept on customer returns that are not our fault
+  categoryRestockingFees: Record<string, number>; // per product category, overriding the default
+  ediInterchangeId: string; // our X12 ISA ID; EDI with suppliers is off until it is set
+  ediQualifier: string;     // ISA ID qualifier, e.g. ZZ or 01 (DUNS)
+}
+
+export interface Company {
+  id: string;
+  name: string;
+  code: string;
+  type?: 'small' | 'midsize' | 'enterprise';
+  settings: CompanySettings;
+  isActive: boolean;
+  createdAt: Date;
+  updatedAt: Date;
+  createdBy: string;
+}
+
+export const DEFAULT_COMPANY_SETTINGS: CompanySettings = {
+  currency: process.env.DEFAULT_CURRENCY || 'USD',
+  timezone: process.env.DEFAULT_TIMEZONE || 'UTC',
+  fiscalYearStart: 1,
+  defaultMarkup: 25,
+  autoReorderEnabled: false,
+  aiInsightsEnabled: true,
+  costingMethod: isCostingMethod(process.env.INVENTORY_COSTING_METHOD)
+    ? process.env.INVENTORY_COSTING_METHOD as CostingMethod
+    : 'weighted_average',
+  quoteValidityDays: Number(process.env.QUOTE_VALIDITY_DAYS || 30),
+  emergencyResponsePhone: process.env.HAZMAT_EMERGENCY_PHONE || '',
+  restockingFeePercent: Number(process.env.RESTOCKING_FEE_PERCENT || 15),
+  categoryRestockingFees: {},
+  ediInterchangeId: process.env.EDI_INTERCHANGE_ID || '',
+  ediQualifier: process.env.EDI_QUALIFIER || 'ZZ'
+};
+
+export function resolveSettings(company: Company | null): CompanySettings {
+  return { ...DEFAULT_COMPANY_SETTINGS, ...(company?.settings || {}) };
+}
+
+// Checks a settings change, returning only the recognised fields
+export function validateSettings(changes: Partial<CompanySettings>): Partial<CompanySettings> {
+  const valid: Partial<CompanySettings> = {};
+
+  if (changes.currency !== undefined) {
+    if (!/^[A-Z]{3}$/.test(String(changes.currency))) {
+      throw new Error('currency must be a three-letter ISO code');
+    }
+    valid.currency = changes.currency;
+  }
+  if (changes.timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: changes.timezone });
+    } catch {
+      throw new Error(`Unknown timezone: ${changes.timezone}`);
+    }
+    valid.timezone = changes.timezone;
+  }
+  if (changes.fiscalYearStart !== undefined) {
+    const month = Number(changes.fiscalYearStart);
+    if (!Number.isInteger(month) || month < 1 || month > 12) {
+      throw new Error('fiscalYearStart must be a month from 1 to 12');
+    }
+    valid.fiscalYearStart = month;
+  }
+  if (changes.defaultMarkup !== undefined) {
+    const markup = Number(changes.defaultMarkup);
+    if (!(markup >= 0)) {
+      throw new Error('defaultMarkup must be zero or more');
+    }
+    valid.defaultMarkup = markup;
+  }
+  if (changes.autoReorderEnabled !== undefined) valid.autoReorderEnabled = Boolean(changes.autoReorderEnabled);
+  if (changes.aiInsightsEnabled !== undefined) valid.aiInsightsEnabled = Boolean(changes.aiInsightsEnabled);
+  if (changes.costingMethod !== undefined) {
+    if (!isCostingMethod(changes.costingMethod)) {
+      throw new Error('costingMethod must be fifo or weighted_average');
+    }
+    valid.costingMethod = changes.costingMethod;
+  }
+  if (changes.quoteValidityDays !== undefined) {
+    const days = Number(changes.quoteValidityDays);
+    if (!Number.isInteger(days) || days < 1) {
+      throw new Error('quoteValidityDays must be a whole number of days');
+    }
+    valid.quoteValidityDays = days;
+  }
+  if (changes.emergencyResponsePhone !== undefined) {
+    const phone = String(changes.emergencyResponsePhone).trim();
+    if (phone && !/^\+?[\d\s().-]{7,20}$/.test(phone)) {
+      throw new Error('emergencyResponsePhone must be a phone number');
+    }
+    valid.emergencyResponsePhone = phone;
+  }
+  if (changes.restockingFeePercent !== undefined) {
+    valid.restockingFeePercent = validFeePercent(changes.restockingFeePercent, 'restockingFeePercent');
+  }
+  if (changes.categoryRestockingFees !== undefined) {
+    if (!changes.categoryRestockingFees || typeof changes.categoryRestockingFees !== 'object') {
+      throw new Error('categoryRestockingFees must map categories to percentages');
+    }
+    valid.categoryRestockingFees = Object.fromEntries(Object.entries(changes.categoryRestockingFees)
+      .map(([category, percent]) => [category, validFeePercent(percent, `Restocking fee for ${category}`)]));
+  }
+  if (changes.ediInterchangeId !== undefined) {
+    const id = String(changes.ediInterchangeId).trim();
+    if (id && !/^[A-Za-z0-9 -]{1,15}$/.test(id)) {
+      throw new Error('ediInterchangeId must be up to 15 letters, digits or spaces');
+    }
+    valid.ediInterchangeId = id;
+  }
+  if (changes.ediQualifier !== undefined) {
+    if (!/^[A-Z0-9]{2}$/.test(String(changes.ediQualifier))) {
+      throw new Error('ediQualifier must be a two-character ISA qualifier');
+    }
+    valid.ediQualifier = changes.ediQualifier;
+  }
+  return valid;
+}
+
+function validFeePercent(value: any, label: string): number {
+  const percent = Number(value);
+  if (!(percent >= 0 && percent <= 100)) {
+    throw new Error(`${label} must be a percentage from 0 to 100`);
+  }
+  return percent;
+}
+
+// First day of the fiscal year containing the given date
+export function fiscalYearStartDate(settings: CompanySettings, at: Date = new Date()): Date {
+  const startMonth = settings.fiscalYearStart - 1;
+  const year = at.getMonth() >= startMonth ? at.getFullYear() : at.getFullYear() - 1;
+  return new Date(year, startMonth, 1);
+}
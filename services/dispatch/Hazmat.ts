@@ -0,0 +1,99 @@
+// services/dispatch/Hazmat.ts
+import { HazmatInfo } from '../../erp_data_models';
+
+// A hazardous material line on a load, as it appears on the shipping papers
+export interface HazmatLine {
+  orderNumber: string;
+  productId: string;
+  productName: string;
+  unNumber: string;
+  shippingName: string;
+  hazardClass: string;
+  packingGroup?: string;
+  quantity: number;
+  weight: number; // lbs
+}
+
+export interface HazmatConflict {
+  first: HazmatLine;
+  second: HazmatLine;
+  reason: string;
+}
+
+// Classes that may not share a vehicle, simplified from the 49 CFR 177.848 segregation
+// table. Pairs marked X (never together) and O (only with separation) are both kept
+// off the same truck, since a delivery truck cannot guarantee the separation.
+const INCOMPATIBLE_CLASSES: Record<string, string[]> = {
+  '1': ['2.1', '2.2', '2.3', '3', '4.1', '4.2', '4.3', '5.1', '5.2', '6.1', '7', '8'],
+  '2.3': ['2.1', '3', '4.1', '4.2', '4.3', '5.1', '5.2', '8'],
+  '3': ['5.1'],
+  '4.2': ['5.1', '8'],
+  '4.3': ['8'],
+  '5.1': ['8']
+};
+
+// Placarded at any quantity (177.823 Table 1); everything else from 1,001 lbs aggregate
+const ALWAYS_PLACARDED = ['1.1', '1.2', '1.3', '2.3', '4.3', '7'];
+export const PLACARD_THRESHOLD_LBS = 1001;
+
+export function isHazardous(info?: HazmatInfo | null): info is HazmatInfo {
+  return Boolean(info && info.isHazardous);
+}
+
+// "Class 3", "3" and "3.0" all become "3"; divisions keep their decimal ("5.1")
+export function normalizeHazardClass(hazardClass?: string): string {
+  const match = String(hazardClass || '').match(/\d(\.\d)?/);
+  if (!match) return '';
+  return match[0].endsWith('.0') ? match[0].slice(0, 1) : match[0];
+}
+
+function classMatches(hazardClass: string, listed: string): boolean {
+  return hazardClass === listed || (!listed.includes('.') && hazardClass.startsWith(`${listed}.`));
+}
+
+export function classesConflict(a: string, b: string): boolean {
+  const first = normalizeHazardClass(a);
+  const second = normalizeHazardClass(b);
+  if (!first || !second) return false;
+
+  const check = (x: string, y: string) => Object.entries(INCOMPATIBLE_CLASSES).some(([listed, others]) =>
+    classMatches(x, listed) && others.some(other => classMatches(y, other)));
+  return check(first, second) || check(second, first);
+}
+
+export function findHazmatConflicts(lines: HazmatLine[]): HazmatConflict[] {
+  const conflicts: HazmatConflict[] = [];
+  for (let i = 0; i < lines.length; i++) {
+    for (let j = i + 1; j < lines.length; j++) {
+      if (classesConflict(lines[i].hazardClass, lines[j].hazardClass)) {
+        conflicts.push({
+          first: lines[i],
+          second: lines[j],
+          reason: `Class ${normalizeHazardClass(lines[i].hazardClass)} (${lines[i].unNumber}) cannot be loaded with ` +
+            `class ${normalizeHazardClass(lines[j].hazardClass)} (${lines[j].unNumber})`
+        });
+      }
+    }
+  }
+  return conflicts;
+}
+
+// Hazard classes the truck must be placarded for
+export function placardsFor(lines: HazmatLine[]): string[] {
+  const totalWeight = lines.reduce((sum, line) => sum + line.weight, 0);
+  const classes = Array.from(new Set(lines.map(line => normalizeHazardClass(line.hazardClass)).filter(Boolean)));
+  return classes
+    .filter(hazardClass => ALWAYS_PLACARDED.includes(hazardClass) || totalWeight >= PLACARD_THRESHOLD_LBS)
+    .sort();
+}
+
+// Basic description in the order 172.202 requires: UN number, proper shipping name,
+// hazard class, packing group
+export function basicDescription(line: HazmatLine): string {
+  return [
+    line.unNumber,
+    line.shippingName,
+    normalizeHazardClass(line.hazardClass),
+    line.packingGroup ? `PG ${line.packingGroup}` : ''
+  ].filter(Boolean).join(', ');
+}
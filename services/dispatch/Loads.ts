@@ -0,0 +1,289 @@
+// services/dispatch/Loads.ts
+import { Dimensions, HazmatInfo } from '../../erp_data_models';
+import { Address } from '../orders/OrderLifecycle';
+import { HazmatLine, findHazmatConflicts } from './Hazmat';
+
+const CUBIC_FEET_PER: Record<string, number> = {
+  in: 1 / 1728,
+  ft: 1,
+  cm: 1 / 28316.8466,
+  m: 35.3146667
+};
+
+export const DISPATCH_START_HOUR = 7;
+export const SERVICE_MINUTES_PER_STOP = 30;
+const AVERAGE_SPEED_MPH = 30;
+const ROAD_FACTOR = 1.3;           // straight-line miles to road miles
+const UNKNOWN_LEG_MINUTES = 30;    // when either end of a leg has no coordinates
+
+export interface Coordinates {
+  lat: number;
+  lng: number;
+}
+
+export interface Truck {
+  id: string;
+  name: string;
+  maxWeight: number; // lbs
+  maxVolume: number; // cubic feet
+  hazmatCertified: boolean;
+  homeLocationId?: string;
+  isActive: boolean;
+  createdAt: Date;
+}
+
+export interface DeliveryWindow {
+  start: Date;
+  end: Date;
+}
+
+export interface LoadLine {
+  orderItemId: string;
+  productId: string;
+  productName: string;
+  quantity: number;
+  unitWeight: number; // lbs
+  unitVolume: number; // cubic feet
+  hazmat?: HazmatInfo;
+}
+
+export interface DeliveryStop {
+  id: string;
+  sequence: number;
+  orderId: string;
+  orderNumber: string;
+  customerId: string;
+  customerName: string;
+  projectId?: string;
+  address: Address & { coordinates?: Coordinates };
+  window: DeliveryWindow;
+  lines: LoadLine[];
+  weight: number;
+  volume: number;
+  plannedArrival?: Date;
+  shipmentId?: string;
+  status: 'planned' | 'in_transit' | 'delivered';
+}
+
+export interface DeliveryLoad {
+  id: string;
+  loadNumber: string;
+  billOfLadingNumber: string;
+  date: Date;
+  truckId: string;
+  truckName: string;
+  driverName?: string;
+  stops: DeliveryStop[];
+  weight: number;
+  volume: number;
+  utilization: { weight: number; volume: number }; // percent of truck capacity
+  hazmat: HazmatLine[];
+  placards: string[];
+  status: 'planned' | 'dispatched' | 'completed' | 'cancelled';
+  dispatchedAt?: Date;
+  completedAt?: Date;
+  createdAt: Date;
+  createdBy: string;
+}
+
+export interface UnassignedStop {
+  stop: DeliveryStop;
+  reason: string;
+}
+
+export function unitMeasures(product: { weight?: number; dimensions?: Dimensions } | null): {
+  unitWeight: number;
+  unitVolume: number;
+} {
+  const dimensions = product?.dimensions;
+  const factor = dimensions ? CUBIC_FEET_PER[(dimensions.unit || 'in').toLowerCase()] ?? CUBIC_FEET_PER.in : 0;
+  return {
+    unitWeight: product?.weight || 0,
+    unitVolume: dimensions ? dimensions.length * dimensions.width * dimensions.height * factor : 0
+  };
+}
+
+export function measureLines(lines: LoadLine[]): { weight: number; volume: number } {
+  return {
+    weight: Math.round(lines.reduce((sum, line) => sum + line.quantity * line.unitWeight, 0) * 100) / 100,
+    volume: Math.round(lines.reduce((sum, line) => sum + line.quantity * line.unitVolume, 0) * 100) / 100
+  };
+}
+
+export function hazmatLines(orderNumber: string, lines: LoadLine[]): HazmatLine[] {
+  return lines
+    .filter(line => line.hazmat?.isHazardous)
+    .map(line => ({
+      orderNumber,
+      productId: line.productId,
+      productName: line.productName,
+      unNumber: line.hazmat!.unNumber || '',
+      shippingName: line.hazmat!.shippingName || line.productName,
+      hazardClass: line.hazmat!.hazardClass || '',
+      packingGroup: line.hazmat!.packingGroup,
+      quantity: line.quantity,
+      weight: line.quantity * line.unitWeight
+    }));
+}
+
+interface OpenLoad {
+  truck: Truck;
+  stops: DeliveryStop[];
+  weight: number;
+  volume: number;
+  hazmat: HazmatLine[];
+}
+
+function canTake(load: OpenLoad, stop: DeliveryStop): string | null {
+  if (load.weight + stop.weight > load.truck.maxWeight) return 'weight';
+  if (load.volume + stop.volume > load.truck.maxVolume) return 'volume';
+  const hazmat = hazmatLines(stop.orderNumber, stop.lines);
+  if (hazmat.length > 0 && !load.truck.hazmatCertified) return 'hazmat_vehicle';
+  if (findHazmatConflicts([...load.hazmat, ...hazmat]).length > 0) return 'hazmat_conflict';
+  return null;
+}
+
+function place(load: OpenLoad, stop: DeliveryStop): void {
+  load.stops.push(stop);
+  load.weight += stop.weight;
+  load.volume += stop.volume;
+  load.hazmat.push(...hazmatLines(stop.orderNumber, stop.lines));
+}
+
+// Cuts a stop that no single truck can carry into pieces that fit the largest truck,
+// splitting line quantities where a line alone is too big
+function splitStop(stop: DeliveryStop, truck: Truck): DeliveryStop[] {
+  const pieces: DeliveryStop[] = [];
+  let current: LoadLine[] = [];
+  const flush = () => {
+    if (current.length === 0) return;
+    pieces.push({ ...stop, id: `${stop.id}-${pieces.length + 1}`, lines: current, ...measureLines(current) });
+    current = [];
+  };
+
+  for (const line of stop.lines) {
+    let remaining = line.quantity;
+    while (remaining > 0) {
+      const used = measureLines(current);
+      const byWeight = line.unitWeight > 0 ? Math.floor((truck.maxWeight - used.weight) / line.unitWeight) : remaining;
+      const byVolume = line.unitVolume > 0 ? Math.floor((truck.maxVolume - used.volume) / line.unitVolume) : remaining;
+      const quantity = Math.min(remaining, byWeight, byVolume);
+      if (quantity <= 0) {
+        if (current.length === 0) return []; // a single unit does not fit
+        flush();
+        continue;
+      }
+      current.push({ ...line, quantity });
+      remaining -= quantity;
+    }
+  }
+  flush();
+  return pieces;
+}
+
+// Packs one day's stops onto the fleet, heaviest first, each truck making one run.
+// A stop goes on the first open load with room and no hazmat conflict, otherwise on
+// the smallest free truck that can carry it.
+export function packLoads(stops: DeliveryStop[], trucks: Truck[]): {
+  loads: Array<{ truck: Truck; stops: DeliveryStop[]; weight: number; volume: number; hazmat: HazmatLine[] }>;
+  unassigned: UnassignedStop[];
+} {
+  const fleet = trucks.filter(truck => truck.isActive).sort((a, b) => a.maxWeight - b.maxWeight);
+  const largest = fleet[fleet.length - 1];
+  const loads: OpenLoad[] = [];
+  const unassigned: UnassignedStop[] = [];
+
+  const queue: DeliveryStop[] = [];
+  for (const stop of stops) {
+    if (findHazmatConflicts(hazmatLines(stop.orderNumber, stop.lines)).length > 0) {
+      unassigned.push({ stop, reason: 'Carries hazmat classes that cannot travel together' });
+      continue;
+    }
+    const oversize = largest && (stop.weight > largest.maxWeight || stop.volume > largest.maxVolume);
+    if (!oversize) {
+      queue.push(stop);
+      continue;
+    }
+    const pieces = splitStop(stop, largest);
+    if (pieces.length === 0) {
+      unassigned.push({ stop, reason: 'A single unit exceeds the largest truck' });
+    } else {
+      queue.push(...pieces);
+    }
+  }
+  queue.sort((a, b) => b.weight - a.weight);
+
+  for (const stop of queue) {
+    const open = loads.find(load => canTake(load, stop) === null);
+    if (open) {
+      place(open, stop);
+      continue;
+    }
+
+    const free = fleet.filter(truck => !loads.some(load => load.truck.id === truck.id));
+    const reasons = free.map(truck => canTake({ truck, stops: [], weight: 0, volume: 0, hazmat: [] }, stop));
+    const index = reasons.indexOf(null);
+    if (index >= 0) {
+      const load: OpenLoad = { truck: free[index], stops: [], weight: 0, volume: 0, hazmat: [] };
+      place(load, stop);
+      loads.push(load);
+      continue;
+    }
+
+    unassigned.push({
+      stop,
+      reason: free.length === 0
+        ? 'No truck left with room or compatible cargo'
+        : reasons.includes('hazmat_vehicle')
+          ? 'Needs a hazmat-certified truck'
+          : 'Exceeds the capacity of every free truck'
+    });
+  }
+
+  return { loads, unassigned };
+}
+
+function distanceMiles(from?: Coordinates, to?: Coordinates): number | null {
+  if (!from || !to) return null;
+  const radians = (degrees: number) => degrees * Math.PI / 180;
+  const dLat = radians(to.lat - from.lat);
+  const dLng = radians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 3958.8 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function legMinutes(from?: Coordinates, to?: Coordinates): number {
+  const miles = distanceMiles(from, to);
+  return miles === null ? UNKNOWN_LEG_MINUTES : (miles * ROAD_FACTOR / AVERAGE_SPEED_MPH) * 60;
+}
+
+// Orders a load's stops: earliest window first, nearest next among stops whose windows
+// open together. Stops without coordinates fall back to zip code order. Planned
+// arrivals assume leaving the yard at the start of the dispatch day.
+export function sequenceStops(stops: DeliveryStop[], origin: Coordinates | undefined, date: Date): DeliveryStop[] {
+  const remaining = [...stops];
+  const ordered: DeliveryStop[] = [];
+  let position = origin;
+  let clock = new Date(date);
+  clock.setHours(DISPATCH_START_HOUR, 0, 0, 0);
+
+  while (remaining.length > 0) {
+    const earliest = Math.min(...remaining.map(stop => new Date(stop.window.start).getTime()));
+    const candidates = remaining.filter(stop => new Date(stop.window.start).getTime() === earliest);
+    const next = candidates.sort((a, b) => {
+      const da = distanceMiles(position, a.address.coordinates);
+      const db = distanceMiles(position, b.address.coordinates);
+      if (da !== null && db !== null) return da - db;
+      return String(a.address.zipCode).localeCompare(String(b.address.zipCode));
+    })[0];
+
+    const travelled = new Date(clock.getTime() + legMinutes(position, next.address.coordinates) * 60 * 1000);
+    const arrival = travelled < new Date(next.window.start) ? new Date(next.window.start) : travelled;
+    ordered.push({ ...next, sequence: ordered.length + 1, plannedArrival: arrival });
+
+    clock = new Date(arrival.getTime() + SERVICE_MINUTES_PER_STOP * 60 * 1000);
+    position = next.address.coordinates || position;
+    remaining.splice(remaining.indexOf(next), 1);
+  }
+  return ordered;
+}
@@ -0,0 +1,144 @@
+// services/dispatch/ShippingDocuments.ts
+import { Address } from '../orders/OrderLifecycle';
+import { PdfLine, PDF_LEFT, PDF_RIGHT, renderPdf, wrapText } from '../documents/SimplePdf';
+import { DeliveryLoad } from './Loads';
+import { basicDescription } from './Hazmat';
+
+export interface Shipper {
+  name: string;
+  address?: string;
+  emergencyResponsePhone: string;
+}
+
+function day(date: Date | undefined): string {
+  return date ? new Date(date).toISOString().slice(0, 10) : '';
+}
+
+function time(date: Date | undefined): string {
+  return date ? new Date(date).toISOString().slice(11, 16) : '';
+}
+
+function oneLine(address: Address): string {
+  return [address.street, address.city, address.state, address.zipCode].filter(Boolean).join(', ');
+}
+
+export function shippingDocumentFileName(load: DeliveryLoad, document: 'bol' | 'hazmat'): string {
+  return `${document === 'bol' ? load.billOfLadingNumber : `${load.loadNumber}-HAZMAT`}.pdf`;
+}
+
+// Straight bill of lading for a load on our own truck: one section per stop, hazardous
+// lines marked with an X in the HM column and described in 172.202 order
+export function renderBillOfLading(load: DeliveryLoad, shipper: Shipper): Buffer {
+  const qtyX = 380;
+  const weightX = PDF_RIGHT;
+  const lines: PdfLine[] = [
+    { cells: [{ x: PDF_LEFT, text: 'STRAIGHT BILL OF LADING' }, { x: PDF_RIGHT, text: load.billOfLadingNumber, align: 'right' }], size: 16, bold: true },
+    { cells: [{ x: PDF_LEFT, text: `Shipper: ${shipper.name}` }, { x: PDF_RIGHT, text: `Date ${day(load.date)}`, align: 'right' }], gapBefore: 8 },
+    ...(shipper.address ? [{ cells: [{ x: PDF_LEFT, text: shipper.address }] }] : []),
+    { cells: [{ x: PDF_LEFT, text: `Carrier: ${shipper.name} fleet, ${load.truckName}` }, { x: PDF_RIGHT, text: `Load ${load.loadNumber}`, align: 'right' }] },
+    ...(load.driverName ? [{ cells: [{ x: PDF_LEFT, text: `Driver: ${load.driverName}` }] }] : [])
+  ];
+
+  for (const stop of load.stops) {
+    lines.push(
+      { cells: [{ x: PDF_LEFT, text: `Stop ${stop.sequence}: ${stop.customerName}` }, { x: PDF_RIGHT, text: `Order ${stop.orderNumber}`, align: 'right' }], bold: true, gapBefore: 14 },
+      { cells: [{ x: PDF_LEFT, text: oneLine(stop.address) }, { x: PDF_RIGHT, text: `Window ${time(stop.window.start)}-${time(stop.window.end)}`, align: 'right' }] },
+      {
+        cells: [
+          { x: PDF_LEFT, text: 'HM' },
+          { x: PDF_LEFT + 24, text: 'Description' },
+          { x: qtyX, text: 'Qty', align: 'right' as const },
+          { x: weightX, text: 'Weight (lbs)', align: 'right' as const }
+        ],
+        bold: true,
+        size: 9,
+        gapBefore: 4
+      }
+    );
+    for (const line of stop.lines) {
+      const hazardous = line.hazmat?.isHazardous;
+      const description = hazardous
+        ? basicDescription({
+            orderNumber: stop.orderNumber,
+            productId: line.productId,
+            productName: line.productName,
+            unNumber: line.hazmat!.unNumber || '',
+            shippingName: line.hazmat!.shippingName || line.productName,
+            hazardClass: line.hazmat!.hazardClass || '',
+            packingGroup: line.hazmat!.packingGroup,
+            quantity: line.quantity,
+            weight: line.quantity * line.unitWeight
+          })
+        : line.productName;
+      lines.push({
+        cells: [
+          { x: PDF_LEFT, text: hazardous ? 'X' : '' },
+          { x: PDF_LEFT + 24, text: description.slice(0, 60) },
+          { x: qtyX, text: String(line.quantity), align: 'right' },
+          { x: weightX, text: (line.quantity * line.unitWeight).toFixed(1), align: 'right' }
+        ],
+        size: 9
+      });
+    }
+  }
+
+  lines.push(
+    { cells: [{ x: qtyX, text: 'Total weight', align: 'right' }, { x: weightX, text: `${load.weight.toFixed(1)} lbs`, align: 'right' }], bold: true, gapBefore: 12 },
+    ...(load.hazmat.length > 0
+      ? [{ cells: [{ x: PDF_LEFT, text: `Emergency response: ${shipper.emergencyResponsePhone}` }], bold: true, gapBefore: 8 }]
+      : [])
+  );
+  wrapText('This is to certify that the above-named materials are properly classified, described, packaged, ' +
+    'marked and labeled, and are in proper condition for transportation according to the applicable ' +
+    'regulations of the Department of Transportation.', 8).forEach((text, index) => {
+    lines.push({ cells: [{ x: PDF_LEFT, text }], size: 8, gapBefore: index === 0 ? 16 : 0 });
+  });
+  lines.push(
+    { cells: [{ x: PDF_LEFT, text: 'Shipper signature: ____________________' }, { x: PDF_RIGHT, text: 'Driver signature: ____________________', align: 'right' }], gapBefore: 24 }
+  );
+
+  return renderPdf(lines, `Bill of lading ${load.billOfLadingNumber}`);
+}
+
+// Hazardous materials shipping papers for the load: the basic description of every
+// hazmat line, quantities, the emergency response number and the placards required
+export function renderHazmatShippingPapers(load: DeliveryLoad, shipper: Shipper): Buffer {
+  const lines: PdfLine[] = [
+    { cells: [{ x: PDF_LEFT, text: 'HAZARDOUS MATERIALS SHIPPING PAPERS' }], size: 16, bold: true },
+    { cells: [{ x: PDF_LEFT, text: `Shipper: ${shipper.name}` }, { x: PDF_RIGHT, text: `Load ${load.loadNumber}  ${day(load.date)}`, align: 'right' }], gapBefore: 8 },
+    { cells: [{ x: PDF_LEFT, text: `Vehicle: ${load.truckName}` }, { x: PDF_RIGHT, text: `B/L ${load.billOfLadingNumber}`, align: 'right' }] },
+    { cells: [{ x: PDF_LEFT, text: `EMERGENCY RESPONSE TELEPHONE: ${shipper.emergencyResponsePhone}` }], bold: true, size: 12, gapBefore: 10 },
+    {
+      cells: [{ x: PDF_LEFT, text: `Placards required: ${load.placards.length > 0 ? load.placards.map(c => `Class ${c}`).join(', ') : 'none'}` }],
+      gapBefore: 4
+    },
+    {
+      cells: [
+        { x: PDF_LEFT, text: 'Basic description' },
+        { x: 380, text: 'Qty', align: 'right' as const },
+        { x: 450, text: 'Weight (lbs)', align: 'right' as const },
+        { x: PDF_RIGHT, text: 'Order', align: 'right' as const }
+      ],
+      bold: true,
+      gapBefore: 14
+    }
+  ];
+
+  for (const line of load.hazmat) {
+    lines.push({
+      cells: [
+        { x: PDF_LEFT, text: basicDescription(line).slice(0, 55) },
+        { x: 380, text: String(line.quantity), align: 'right' },
+        { x: 450, text: line.weight.toFixed(1), align: 'right' },
+        { x: PDF_RIGHT, text: line.orderNumber, align: 'right' }
+      ]
+    });
+  }
+
+  lines.push({
+    cells: [{ x: PDF_LEFT, text: 'Keep these papers within reach of the driver, or in the driver-side door pouch when away from the vehicle.' }],
+    size: 8,
+    gapBefore: 16
+  });
+  return renderPdf(lines, `Hazmat shipping papers ${load.loadNumber}`);
+}
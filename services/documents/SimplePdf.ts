@@ -0,0 +1,135 @@
+// services/documents/SimplePdf.ts
+
+// A small PDF writer for customer-facing documents (quotes, delivery paperwork).
+// It places lines of text in the standard Helvetica fonts on US Letter pages, which
+// is all these documents need, so no rendering engine has to be installed.
+
+export interface PdfCell {
+  x: number;          // points from the left edge
+  text: string;
+  align?: 'left' | 'right';
+}
+
+export interface PdfLine {
+  cells: PdfCell[];
+  size?: number;      // font size in points (10 when unset)
+  bold?: boolean;
+  gapBefore?: number; // extra space above the line
+}
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 50;
+
+export const PDF_CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+export const PDF_LEFT = MARGIN;
+export const PDF_RIGHT = PAGE_WIDTH - MARGIN;
+
+// Helvetica is proportional; half the font size per character is close enough to
+// right-align figures
+function textWidth(text: string, size: number): number {
+  return text.length * size * 0.5;
+}
+
+function escapeText(text: string): string {
+  return text
+    .replace(/[^\x20-\x7e]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+}
+
+function paginate(lines: PdfLine[]): Array<Array<{ line: PdfLine; y: number }>> {
+  const pages: Array<Array<{ line: PdfLine; y: number }>> = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const line of lines) {
+    const size = line.size || 10;
+    const advance = size * 1.4 + (line.gapBefore || 0);
+    if (y - advance < MARGIN) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= advance;
+    pages[pages.length - 1].push({ line, y });
+  }
+  return pages;
+}
+
+function pageContent(placed: Array<{ line: PdfLine; y: number }>): string {
+  const operations: string[] = ['BT'];
+  for (const { line, y } of placed) {
+    const size = line.size || 10;
+    operations.push(`/${line.bold ? 'F2' : 'F1'} ${size} Tf`);
+    for (const cell of line.cells) {
+      const x = cell.align === 'right' ? cell.x - textWidth(cell.text, size) : cell.x;
+      operations.push(`1 0 0 1 ${x.toFixed(2)} ${y.toFixed(2)} Tm (${escapeText(cell.text)}) Tj`);
+    }
+  }
+  operations.push('ET');
+  return operations.join('\n');
+}
+
+// Splits text into lines that fit the page width at a font size
+export function wrapText(text: string, size: number = 10, width: number = PDF_CONTENT_WIDTH): string[] {
+  const perLine = Math.max(10, Math.floor(width / (size * 0.5)));
+  const lines: string[] = [];
+  let current = '';
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (current && current.length + word.length + 1 > perLine) {
+      lines.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${word}` : word;
+  }
+  if (current) lines.push(current);
+  return lines;
+}
+
+export function renderPdf(lines: PdfLine[], title: string = 'Document'): Buffer {
+  const pages = paginate(lines);
+  const objects: string[] = [];
+  const pageIds: number[] = [];
+
+  // 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its content per page
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  objects[5] = `<< /Title (${escapeText(title)}) /Producer (Construction ERP) >>`;
+
+  pages.forEach((placed, index) => {
+    const pageId = 6 + index * 2;
+    const contentId = pageId + 1;
+    const content = pageContent(placed);
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`;
+    objects[contentId] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+    pageIds.push(pageId);
+  });
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets: number[] = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+export function escapeHtml(value: any): string {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
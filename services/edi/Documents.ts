@@ -0,0 +1,293 @@
+// services/edi/Documents.ts
+import { Segment, formatDate, parseDate, qualifiedIds, segmentOf, segmentsOf } from './X12';
+
+// Mapping between our purchasing records and the X12 4010 transaction sets suppliers
+// trade with us. Purchase lines are numbered from 1 in PO1 and suppliers echo that
+// number back on acknowledgements (PO1), ship notices (LIN) and invoices (IT1).
+
+export type AcknowledgementStatus = 'accepted' | 'accepted_with_changes' | 'rejected';
+
+// Trading partner settings kept on the supplier
+export interface SupplierEdiProfile {
+  enabled: boolean;
+  interchangeId: string; // ISA06 on what they send us, ISA08 on what we send them
+  qualifier?: string;    // defaults to ZZ
+  groupCode?: string;    // GS02/03 application code, when it differs from the ISA ID
+  testMode?: boolean;    // ISA15 T
+}
+
+export interface PurchaseOrderLine {
+  productId: string;
+  productName: string;
+  quantity: number;
+  unitCost: number;
+  supplierSku?: string;
+}
+
+export interface EdiPurchaseOrder {
+  purchaseNumber: string;
+  orderDate: Date;
+  requestedDelivery?: Date;
+  shipTo: { name: string; address?: string };
+  paymentTerms?: string;
+  notes?: string;
+  items: PurchaseOrderLine[];
+  total: number;
+}
+
+export interface AcknowledgedLine {
+  lineNumber: number;
+  productId?: string;
+  status: 'accepted' | 'changed' | 'backordered' | 'rejected';
+  quantity?: number;
+  date?: Date; // scheduled ship or delivery date
+}
+
+export interface EdiAcknowledgement {
+  purchaseNumber: string;
+  status: AcknowledgementStatus;
+  date: Date;
+  lines: AcknowledgedLine[];
+}
+
+export interface ShipNoticeLine {
+  lineNumber?: number;
+  productId?: string;
+  supplierSku?: string;
+  quantity: number;
+  lotNumber?: string;
+}
+
+export interface EdiShipNotice {
+  shipmentId: string;
+  purpose: 'original' | 'replace' | 'cancel';
+  shippedAt: Date;
+  estimatedDelivery?: Date;
+  carrier?: string;
+  billOfLading?: string;
+  trackingNumber?: string;
+  orders: Array<{ purchaseNumber: string; lines: ShipNoticeLine[] }>;
+}
+
+export interface EdiInvoiceLine {
+  lineNumber?: number;
+  productId?: string;
+  supplierSku?: string;
+  description: string;
+  quantity: number;
+  unitPrice: number;
+}
+
+export interface EdiInvoice {
+  invoiceNumber: string;
+  invoiceDate: Date;
+  purchaseNumber: string;
+  dueDate?: Date;
+  lines: EdiInvoiceLine[];
+  tax: number;
+  shipping: number;
+  total: number;
+}
+
+// 855 BAK02 and ACK01 codes
+const ACK_TYPES: Record<string, AcknowledgementStatus> = {
+  AD: 'accepted',
+  AK: 'accepted',
+  AT: 'accepted',
+  AC: 'accepted_with_changes',
+  RD: 'rejected',
+  RJ: 'rejected'
+};
+const LINE_STATUSES: Record<string, AcknowledgedLine['status']> = {
+  IA: 'accepted',
+  IC: 'changed',
+  IQ: 'changed',
+  DR: 'changed',
+  IP: 'changed',
+  IB: 'backordered',
+  IR: 'rejected',
+  ID: 'rejected'
+};
+const SHIP_NOTICE_PURPOSES: Record<string, EdiShipNotice['purpose']> = {
+  '00': 'original',
+  '05': 'replace',
+  '01': 'cancel'
+};
+
+export function build850(order: EdiPurchaseOrder): Segment[] {
+  const segments: Segment[] = [
+    ['BEG', '00', 'SA', order.purchaseNumber, '', formatDate(order.orderDate)]
+  ];
+  if (order.paymentTerms) {
+    segments.push(['ITD', '', '', '', '', '', '', '', '', '', '', '', order.paymentTerms]);
+  }
+  if (order.requestedDelivery) {
+    segments.push(['DTM', '002', formatDate(order.requestedDelivery)]);
+  }
+  if (order.notes) {
+    segments.push(['MSG', order.notes.replace(/\s+/g, ' ').slice(0, 264)]);
+  }
+  segments.push(['N1', 'ST', order.shipTo.name]);
+  if (order.shipTo.address) {
+    segments.push(['N3', order.shipTo.address.replace(/\s+/g, ' ').slice(0, 55)]);
+  }
+
+  order.items.forEach((item, index) => {
+    segments.push([
+      'PO1', String(index + 1), String(item.quantity), 'EA', String(item.unitCost), 'PE',
+      'BP', item.productId,
+      ...(item.supplierSku ? ['VP', item.supplierSku] : [])
+    ]);
+    segments.push(['PID', 'F', '', '', '', item.productName.slice(0, 80)]);
+  });
+
+  segments.push(['CTT', String(order.items.length), String(order.items.reduce((sum, item) => sum + item.quantity, 0))]);
+  segments.push(['AMT', 'TT', String(order.total)]);
+  return segments;
+}
+
+export function parse855(segments: Segment[]): EdiAcknowledgement {
+  const bak = required(segments, 'BAK', '855');
+  const status = ACK_TYPES[bak[2]];
+  if (!status) {
+    throw new Error(`Unknown acknowledgement type ${bak[2]}`);
+  }
+
+  const lines: AcknowledgedLine[] = [];
+  let current: AcknowledgedLine | null = null;
+  for (const segment of segments) {
+    if (segment[0] === 'PO1') {
+      current = {
+        lineNumber: Number(segment[1]),
+        productId: qualifiedIds(segment, 6).BP,
+        status: status === 'rejected' ? 'rejected' : 'accepted',
+        quantity: segment[2] ? Number(segment[2]) : undefined
+      };
+      lines.push(current);
+    } else if (segment[0] === 'ACK' && current) {
+      current.status = LINE_STATUSES[segment[1]] || current.status;
+      if (segment[2]) current.quantity = Number(segment[2]);
+      if (segment[5]) current.date = parseDate(segment[5]);
+    }
+  }
+
+  return {
+    purchaseNumber: bak[3],
+    status,
+    date: bak[4] ? parseDate(bak[4]) : new Date(),
+    lines
+  };
+}
+
+// Walks the HL hierarchy: shipment (S), then order (O), then item (I) levels
+export function parse856(segments: Segment[]): EdiShipNotice {
+  const bsn = required(segments, 'BSN', '856');
+  const notice: EdiShipNotice = {
+    shipmentId: bsn[2],
+    purpose: SHIP_NOTICE_PURPOSES[bsn[1]] || 'original',
+    shippedAt: bsn[3] ? parseDate(bsn[3], bsn[4]) : new Date(),
+    orders: []
+  };
+
+  let level = '';
+  let order: EdiShipNotice['orders'][number] | null = null;
+  let line: ShipNoticeLine | null = null;
+  for (const segment of segments) {
+    switch (segment[0]) {
+      case 'HL':
+        level = segment[3];
+        if (level === 'O') {
+          order = { purchaseNumber: '', lines: [] };
+          notice.orders.push(order);
+        }
+        line = null;
+        break;
+      case 'TD5':
+        notice.carrier = segment[5] || segment[3] || notice.carrier;
+        break;
+      case 'REF':
+        if (segment[1] === 'BM') notice.billOfLading = segment[2];
+        if (segment[1] === 'CN') notice.trackingNumber = segment[2];
+        if (segment[1] === 'LT' && line) line.lotNumber = segment[2];
+        break;
+      case 'DTM':
+        if (segment[1] === '011') notice.shippedAt = parseDate(segment[2], segment[3]);
+        if (segment[1] === '017') notice.estimatedDelivery = parseDate(segment[2]);
+        break;
+      case 'PRF':
+        if (order) order.purchaseNumber = segment[1];
+        break;
+      case 'LIN': {
+        if (!order) throw new Error('856 item before any order level');
+        const ids = qualifiedIds(segment, 2);
+        line = {
+          lineNumber: segment[1] ? Number(segment[1]) : undefined,
+          productId: ids.BP,
+          supplierSku: ids.VP,
+          lotNumber: ids.LT,
+          quantity: 0
+        };
+        order.lines.push(line);
+        break;
+      }
+      case 'SN1':
+        if (line) line.quantity = Number(segment[2]);
+        break;
+    }
+  }
+
+  for (const shipped of notice.orders) {
+    if (!shipped.purchaseNumber) {
+      throw new Error(`Ship notice ${notice.shipmentId} has an order level without a PRF purchase order number`);
+    }
+  }
+  return notice;
+}
+
+export function parse810(segments: Segment[]): EdiInvoice {
+  const big = required(segments, 'BIG', '810');
+  const lines: EdiInvoiceLine[] = [];
+  let line: EdiInvoiceLine | null = null;
+  let shipping = 0;
+
+  for (const segment of segments) {
+    if (segment[0] === 'IT1') {
+      const ids = qualifiedIds(segment, 6);
+      line = {
+        lineNumber: segment[1] ? Number(segment[1]) : undefined,
+        productId: ids.BP,
+        supplierSku: ids.VP,
+        description: ids.BP || ids.VP || '',
+        quantity: Number(segment[2]),
+        unitPrice: Number(segment[4])
+      };
+      lines.push(line);
+    } else if (segment[0] === 'PID' && line && segment[5]) {
+      line.description = segment[5];
+    } else if (segment[0] === 'SAC' && segment[1] === 'C' && segment[5]) {
+      // Charges at header level are freight and handling; amounts carry two implied decimals
+      shipping += Number(segment[5]) / 100;
+    }
+  }
+
+  const tds = required(segments, 'TDS', '810');
+  const itd = segmentOf(segments, 'ITD');
+  return {
+    invoiceNumber: big[2],
+    invoiceDate: parseDate(big[1]),
+    purchaseNumber: big[4],
+    dueDate: itd?.[6] ? parseDate(itd[6]) : undefined,
+    lines,
+    tax: segmentsOf(segments, 'TXI').reduce((sum, txi) => sum + (Number(txi[2]) || 0), 0),
+    shipping: Math.round(shipping * 100) / 100,
+    total: Number(tds[1]) / 100
+  };
+}
+
+function required(segments: Segment[], id: string, type: string): Segment {
+  const segment = segmentOf(segments, id);
+  if (!segment) {
+    throw new Error(`${type} has no ${id} segment`);
+  }
+  return segment;
+}
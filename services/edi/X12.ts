@@ -0,0 +1,203 @@
+// services/edi/X12.ts
+
+// ASC X12 envelopes. An interchange (ISA/IEA) holds functional groups (GS/GE), each
+// holding transaction sets (ST/SE) of the same kind. Segments are read as arrays of
+// elements with the segment ID first, so segment[1] is element 01.
+
+export type Segment = string[];
+
+export interface Delimiters {
+  element: string;
+  component: string;
+  segment: string;
+}
+
+// What we write; inbound files declare their own in the ISA segment
+export const DEFAULT_DELIMITERS: Delimiters = { element: '*', component: ':', segment: '~' };
+
+export interface EdiParty {
+  qualifier: string; // ISA05/07, e.g. ZZ (mutually defined) or 01 (DUNS)
+  id: string;
+}
+
+export interface TransactionSet {
+  type: string; // 850, 855, 856, 810
+  controlNumber: string;
+  segments: Segment[]; // between ST and SE
+}
+
+export interface FunctionalGroup {
+  functionalId: string; // PO, PR, SH, IN
+  senderCode: string;
+  receiverCode: string;
+  controlNumber: string;
+  transactions: TransactionSet[];
+}
+
+export interface Interchange {
+  sender: EdiParty;
+  receiver: EdiParty;
+  date: Date;
+  controlNumber: string;
+  usage: 'P' | 'T'; // production or test
+  groups: FunctionalGroup[];
+}
+
+// Functional group ID for each transaction set we trade
+export const FUNCTIONAL_IDS: Record<string, string> = {
+  '850': 'PO',
+  '855': 'PR',
+  '856': 'SH',
+  '810': 'IN',
+  '997': 'FA'
+};
+
+export function parseInterchange(content: string): Interchange {
+  const text = content.replace(/^\uFEFF/, '').replace(/^\s+/, '');
+  if (!text.startsWith('ISA') || text.length < 106) {
+    throw new Error('Not an X12 interchange: no ISA segment');
+  }
+
+  // The ISA is fixed width, so its delimiters are always at the same offsets
+  const delimiters: Delimiters = { element: text[3], component: text[104], segment: text[105] };
+  const segments = text
+    .split(delimiters.segment)
+    .map(segment => segment.replace(/^[\r\n]+|[\r\n]+$/g, ''))
+    .filter(segment => segment.length > 0)
+    .map(segment => segment.split(delimiters.element));
+
+  const isa = segments[0];
+  const interchange: Interchange = {
+    sender: { qualifier: isa[5].trim(), id: isa[6].trim() },
+    receiver: { qualifier: isa[7].trim(), id: isa[8].trim() },
+    date: parseDate(isa[9], isa[10], true),
+    controlNumber: isa[13].trim(),
+    usage: isa[15]?.trim() === 'T' ? 'T' : 'P',
+    groups: []
+  };
+
+  let group: FunctionalGroup | null = null;
+  let transaction: TransactionSet | null = null;
+  for (const segment of segments.slice(1)) {
+    switch (segment[0]) {
+      case 'GS':
+        group = {
+          functionalId: segment[1],
+          senderCode: segment[2],
+          receiverCode: segment[3],
+          controlNumber: segment[6],
+          transactions: []
+        };
+        interchange.groups.push(group);
+        break;
+      case 'ST':
+        if (!group) throw new Error('ST segment outside a functional group');
+        transaction = { type: segment[1], controlNumber: segment[2], segments: [] };
+        group.transactions.push(transaction);
+        break;
+      case 'SE':
+        if (!transaction) throw new Error('SE segment without an ST');
+        if (Number(segment[1]) !== transaction.segments.length + 2) {
+          throw new Error(`Transaction set ${transaction.controlNumber} declares ${segment[1]} segments but has ${transaction.segments.length + 2}`);
+        }
+        transaction = null;
+        break;
+      case 'GE':
+        if (group && Number(segment[1]) !== group.transactions.length) {
+          throw new Error(`Functional group ${group.controlNumber} declares ${segment[1]} transaction sets but has ${group.transactions.length}`);
+        }
+        group = null;
+        break;
+      case 'IEA':
+        if (segment[2]?.trim() !== interchange.controlNumber) {
+          throw new Error(`IEA control number ${segment[2]} does not match ISA ${interchange.controlNumber}`);
+        }
+        return interchange;
+      default:
+        if (!transaction) throw new Error(`${segment[0]} segment outside a transaction set`);
+        transaction.segments.push(segment);
+    }
+  }
+  throw new Error('Interchange is missing its IEA trailer');
+}
+
+// One interchange with a functional group per transaction set type
+export function buildInterchange(interchange: Interchange, delimiters: Delimiters = DEFAULT_DELIMITERS): string {
+  const { element: e, component, segment: s } = delimiters;
+  const date = formatDate(interchange.date);
+  const time = formatTime(interchange.date);
+  const lines: string[] = [[
+    'ISA', '00', ' '.repeat(10), '00', ' '.repeat(10),
+    interchange.sender.qualifier.padEnd(2), interchange.sender.id.padEnd(15),
+    interchange.receiver.qualifier.padEnd(2), interchange.receiver.id.padEnd(15),
+    date.slice(2), time, 'U', '00401', interchange.controlNumber.padStart(9, '0'),
+    '0', interchange.usage, component
+  ].join(e)];
+
+  for (const group of interchange.groups) {
+    lines.push(['GS', group.functionalId, group.senderCode, group.receiverCode, date, time,
+      group.controlNumber, 'X', '004010'].join(e));
+    for (const transaction of group.transactions) {
+      lines.push(['ST', transaction.type, transaction.controlNumber].join(e));
+      for (const segment of transaction.segments) {
+        // Free text can't carry the delimiters
+        lines.push(trimTrailing(segment).map(value =>
+          value.split('').map(char => [e, component, s].includes(char) ? ' ' : char).join('')).join(e));
+      }
+      lines.push(['SE', String(transaction.segments.length + 2), transaction.controlNumber].join(e));
+    }
+    lines.push(['GE', String(group.transactions.length), group.controlNumber].join(e));
+  }
+  lines.push(['IEA', String(interchange.groups.length), interchange.controlNumber.padStart(9, '0')].join(e));
+
+  return lines.map(line => line + s).join('\n') + '\n';
+}
+
+// CCYYMMDD (or YYMMDD in the ISA) and HHMM
+export function formatDate(date: Date): string {
+  return `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+}
+
+export function formatTime(date: Date): string {
+  return `${String(date.getHours()).padStart(2, '0')}${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+export function parseDate(value: string | undefined, time?: string, shortYear = false): Date {
+  const digits = String(value || '').trim();
+  if (!/^\d+$/.test(digits) || digits.length !== (shortYear ? 6 : 8)) {
+    throw new Error(`Invalid X12 date: ${value}`);
+  }
+  const full = shortYear ? `20${digits}` : digits;
+  const clock = String(time || '').trim();
+  return new Date(
+    Number(full.slice(0, 4)), Number(full.slice(4, 6)) - 1, Number(full.slice(6, 8)),
+    clock.length >= 4 ? Number(clock.slice(0, 2)) : 0,
+    clock.length >= 4 ? Number(clock.slice(2, 4)) : 0
+  );
+}
+
+// Segments with the given ID, in order
+export function segmentsOf(segments: Segment[], id: string): Segment[] {
+  return segments.filter(segment => segment[0] === id);
+}
+
+export function segmentOf(segments: Segment[], id: string): Segment | undefined {
+  return segments.find(segment => segment[0] === id);
+}
+
+// Qualifier/value pairs, as in PO1 and LIN product IDs ("BP", "123", "VP", "ABC")
+export function qualifiedIds(segment: Segment, from: number): Record<string, string> {
+  const ids: Record<string, string> = {};
+  for (let index = from; index + 1 < segment.length; index += 2) {
+    if (segment[index] && segment[index + 1]) {
+      ids[segment[index]] = segment[index + 1];
+    }
+  }
+  return ids;
+}
+
+function trimTrailing(segment: Segment): Segment {
+  let end = segment.length;
+  while (end > 1 && (segment[end - 1] === undefined || segment[end - 1] === '')) end--;
+  return segment.slice(0, end).map(value => value ?? '');
+}
@@ -0,0 +1,292 @@
+// services/imports/ImportSchemas.ts
+import { CellValue } from './Spreadsheets';
+
+// The columns each importable record type takes. Exports write the same headers, so
+// an exported sheet can be edited and imported back as it is.
+
+export type ImportEntity = 'products' | 'inventory' | 'customers' | 'suppliers' | 'price_lists';
+
+export type ColumnType = 'string' | 'number' | 'integer' | 'boolean' | 'date' | 'enum';
+
+export interface ColumnSpec {
+  field: string;   // dotted for nested fields, e.g. address.city
+  header: string;  // written on export, and matched on import
+  type: ColumnType;
+  required?: boolean; // on every row
+  create?: boolean;   // on rows that create a record
+  options?: string[]; // for enum
+  min?: number;
+  aliases?: string[]; // other headers that map here
+}
+
+export interface EntitySpec {
+  entity: ImportEntity;
+  label: string;
+  writePermission: string;
+  readPermission: string;
+  // How rows are matched to existing records, for people reading GET /api/imports/entities
+  key: string;
+  columns: ColumnSpec[];
+}
+
+export interface RowError {
+  row: number; // as numbered in the spreadsheet, the header being row 1
+  column?: string;
+  value?: CellValue;
+  message: string;
+}
+
+export const IMPORT_ENTITIES: Record<ImportEntity, EntitySpec> = {
+  products: {
+    entity: 'products',
+    label: 'Products',
+    writePermission: 'products:write',
+    readPermission: 'products:read',
+    key: 'SKU, or name for products without one',
+    columns: [
+      { field: 'sku', header: 'SKU', type: 'string', aliases: ['product code', 'item code'] },
+      { field: 'name', header: 'Name', type: 'string', create: true, aliases: ['product name', 'product'] },
+      { field: 'category', header: 'Category', type: 'string', create: true },
+      { field: 'description', header: 'Description', type: 'string' },
+      { field: 'unit', header: 'Unit', type: 'string', aliases: ['uom', 'unit of measure'] },
+      { field: 'price', header: 'Price', type: 'number', create: true, min: 0, aliases: ['selling price', 'list price'] },
+      { field: 'supplier', header: 'Supplier', type: 'string' },
+      { field: 'weight', header: 'Weight', type: 'number', min: 0 },
+      { field: 'status', header: 'Status', type: 'enum', options: ['active', 'inactive', 'discontinued'] }
+    ]
+  },
+  inventory: {
+    entity: 'inventory',
+    label: 'Inventory',
+    writePermission: 'inventory:adjust',
+    readPermission: 'inventory:read',
+    key: 'SKU (or product ID) and location code',
+    columns: [
+      { field: 'sku', header: 'SKU', type: 'string', required: true, aliases: ['product', 'product id'] },
+      { field: 'location', header: 'Location', type: 'string', required: true, aliases: ['location code', 'warehouse'] },
+      { field: 'quantity', header: 'Quantity', type: 'number', required: true, min: 0, aliases: ['on hand', 'qty'] },
+      { field: 'minimumStock', header: 'Minimum Stock', type: 'number', min: 0, aliases: ['min', 'reorder point'] },
+      { field: 'maximumStock', header: 'Maximum Stock', type: 'number', min: 0, aliases: ['max'] },
+      { field: 'unitCost', header: 'Unit Cost', type: 'number', min: 0, aliases: ['cost'] },
+      { field: 'binCode', header: 'Bin', type: 'string', aliases: ['bin code'] },
+      { field: 'lotNumber', header: 'Lot', type: 'string', aliases: ['lot number', 'batch'] },
+      { field: 'expirationDate', header: 'Expires', type: 'date', aliases: ['expiration date', 'expiry'] }
+    ]
+  },
+  customers: {
+    entity: 'customers',
+    label: 'Customers',
+    writePermission: 'customers:write',
+    readPermission: 'customers:read',
+    key: 'code, or email for customers without one',
+    columns: [
+      { field: 'code', header: 'Code', type: 'string', aliases: ['customer code', 'account', 'account number'] },
+      { field: 'companyName', header: 'Company Name', type: 'string', create: true, aliases: ['company', 'customer', 'name'] },
+      { field: 'contactPerson', header: 'Contact', type: 'string', create: true, aliases: ['contact person'] },
+      { field: 'email', header: 'Email', type: 'string', create: true },
+      { field: 'phone', header: 'Phone', type: 'string', create: true },
+      {
+        field: 'businessType', header: 'Business Type', type: 'enum', create: true,
+        options: ['general_contractor', 'subcontractor', 'homeowner', 'developer', 'architect']
+      },
+      { field: 'address.street', header: 'Street', type: 'string', aliases: ['address'] },
+      { field: 'address.city', header: 'City', type: 'string' },
+      { field: 'address.state', header: 'State', type: 'string' },
+      { field: 'address.zipCode', header: 'Zip', type: 'string', aliases: ['zip code', 'postal code'] },
+      { field: 'address.country', header: 'Country', type: 'string' },
+      { field: 'creditLimit', header: 'Credit Limit', type: 'number', min: 0 },
+      { field: 'paymentTerms', header: 'Payment Terms', type: 'string', aliases: ['terms'] },
+      { field: 'priceLevel', header: 'Price Level', type: 'string' },
+      { field: 'taxId', header: 'Tax ID', type: 'string' },
+      { field: 'status', header: 'Status', type: 'enum', options: ['active', 'inactive', 'blocked', 'credit_hold'] }
+    ]
+  },
+  suppliers: {
+    entity: 'suppliers',
+    label: 'Suppliers',
+    writePermission: 'suppliers:write',
+    readPermission: 'suppliers:read',
+    key: 'code, or email for suppliers without one',
+    columns: [
+      { field: 'code', header: 'Code', type: 'string', aliases: ['supplier code', 'vendor code', 'vendor number'] },
+      { field: 'name', header: 'Name', type: 'string', create: true, aliases: ['supplier', 'vendor', 'supplier name'] },
+      { field: 'contactPerson', header: 'Contact', type: 'string', create: true, aliases: ['contact person'] },
+      { field: 'email', header: 'Email', type: 'string', create: true },
+      { field: 'phone', header: 'Phone', type: 'string', create: true },
+      { field: 'address', header: 'Address', type: 'string' },
+      { field: 'paymentTerms', header: 'Payment Terms', type: 'string', aliases: ['terms'] },
+      { field: 'creditLimit', header: 'Credit Limit', type: 'number', min: 0 },
+      { field: 'leadTime', header: 'Lead Time Days', type: 'integer', min: 0, aliases: ['lead time'] },
+      { field: 'minimumOrder', header: 'Minimum Order', type: 'number', min: 0 },
+      { field: 'rating', header: 'Rating', type: 'number', min: 0 },
+      { field: 'status', header: 'Status', type: 'enum', options: ['active', 'inactive', 'blocked'] }
+    ]
+  },
+  price_lists: {
+    entity: 'price_lists',
+    label: 'Price lists',
+    writePermission: 'pricing:write',
+    readPermission: 'pricing:read',
+    key: 'price list name and SKU (or product ID)',
+    columns: [
+      { field: 'priceList', header: 'Price List', type: 'string', required: true, aliases: ['list', 'price list name'] },
+      { field: 'type', header: 'Type', type: 'enum', create: true, options: ['price_level', 'customer', 'contract', 'promotion'] },
+      { field: 'priceLevel', header: 'Price Level', type: 'string' },
+      { field: 'customer', header: 'Customer Code', type: 'string', aliases: ['customer'] },
+      { field: 'project', header: 'Project Number', type: 'string', aliases: ['project'] },
+      { field: 'effectiveFrom', header: 'Effective From', type: 'date', aliases: ['from', 'start date'] },
+      { field: 'effectiveTo', header: 'Effective To', type: 'date', aliases: ['to', 'end date'] },
+      { field: 'sku', header: 'SKU', type: 'string', required: true, aliases: ['product', 'product id'] },
+      { field: 'unitPrice', header: 'Unit Price', type: 'number', required: true, min: 0, aliases: ['price'] },
+      // "10:9.50; 50:9.00" - from 10 units 9.50 each, from 50 units 9.00
+      { field: 'breaks', header: 'Quantity Breaks', type: 'string', aliases: ['breaks'] }
+    ]
+  }
+};
+
+export function isImportEntity(value: any): value is ImportEntity {
+  return Object.prototype.hasOwnProperty.call(IMPORT_ENTITIES, value);
+}
+
+// Matches the sheet's headers to fields: an explicit mapping first, then the header,
+// field name or an alias, ignoring case, spaces and punctuation
+export function mapColumns(
+  headers: string[],
+  spec: EntitySpec,
+  mapping: Record<string, string> = {}
+): { columns: Record<string, ColumnSpec>; ignored: string[]; missing: string[] } {
+  const columns: Record<string, ColumnSpec> = {};
+  const ignored: string[] = [];
+
+  for (const header of headers) {
+    const mapped = mapping[header];
+    const column = mapped !== undefined
+      ? spec.columns.find(candidate => candidate.field === mapped || normalize(candidate.header) === normalize(mapped))
+      : spec.columns.find(candidate =>
+        [candidate.header, candidate.field, ...(candidate.aliases || [])].some(name => normalize(name) === normalize(header)));
+    if (mapped !== undefined && mapped !== '' && !column) {
+      throw new Error(`Column "${header}" is mapped to unknown field ${mapped}`);
+    }
+
+    if (!column || Object.values(columns).includes(column)) {
+      ignored.push(header);
+    } else {
+      columns[header] = column;
+    }
+  }
+
+  const mappedColumns = Object.values(columns);
+  const missing = spec.columns
+    .filter(column => column.required && !mappedColumns.includes(column))
+    .map(column => column.header);
+  return { columns, ignored, missing };
+}
+
+// Converts one row's cells into field values, collecting what's wrong with it.
+// Blank cells are left out so an update only touches the columns that were filled in.
+export function parseRow(
+  row: Record<string, CellValue>,
+  rowNumber: number,
+  columns: Record<string, ColumnSpec>,
+  spec: EntitySpec
+): { values: Record<string, any>; errors: RowError[] } {
+  const values: Record<string, any> = {};
+  const errors: RowError[] = [];
+
+  for (const [header, column] of Object.entries(columns)) {
+    const cell = row[header];
+    if (cell === null || cell === undefined || String(cell).trim() === '') continue;
+    try {
+      values[column.field] = parseCell(cell, column);
+    } catch (error) {
+      errors.push({ row: rowNumber, column: header, value: cell, message: error.message });
+    }
+  }
+
+  for (const column of spec.columns) {
+    const header = Object.keys(columns).find(name => columns[name] === column);
+    if (column.required && header && values[column.field] === undefined && !errors.some(error => error.column === header)) {
+      errors.push({ row: rowNumber, column: header, message: `${column.header} is required` });
+    }
+  }
+  return { values, errors };
+}
+
+// Headers of the columns a row has to fill in to create a record; updates may leave them blank
+export function missingForCreate(values: Record<string, any>, spec: EntitySpec): string[] {
+  return spec.columns
+    .filter(column => column.create && values[column.field] === undefined)
+    .map(column => column.header);
+}
+
+export function parseCell(cell: CellValue, column: ColumnSpec): any {
+  switch (column.type) {
+    case 'string':
+      return cell instanceof Date ? cell.toISOString().slice(0, 10) : String(cell).trim();
+    case 'number':
+    case 'integer': {
+      const value = typeof cell === 'number' ? cell : Number(String(cell).replace(/[$,\s]/g, ''));
+      if (!Number.isFinite(value)) {
+        throw new Error(`${column.header} must be a number`);
+      }
+      if (column.type === 'integer' && !Number.isInteger(value)) {
+        throw new Error(`${column.header} must be a whole number`);
+      }
+      if (column.min !== undefined && value < column.min) {
+        throw new Error(`${column.header} must be ${column.min} or more`);
+      }
+      return value;
+    }
+    case 'boolean': {
+      if (typeof cell === 'boolean') return cell;
+      const text = String(cell).trim().toLowerCase();
+      if (['true', 'yes', 'y', '1'].includes(text)) return true;
+      if (['false', 'no', 'n', '0'].includes(text)) return false;
+      throw new Error(`${column.header} must be yes or no`);
+    }
+    case 'date': {
+      const value = cell instanceof Date ? cell : new Date(String(cell).trim());
+      if (isNaN(value.getTime())) {
+        throw new Error(`${column.header} must be a date`);
+      }
+      return value;
+    }
+    case 'enum': {
+      const text = String(cell).trim().toLowerCase().replace(/[\s-]+/g, '_');
+      if (!column.options!.includes(text)) {
+        throw new Error(`${column.header} must be one of ${column.options!.join(', ')}`);
+      }
+      return text;
+    }
+  }
+}
+
+// "10:9.50; 50:9" into quantity breaks
+export function parseBreaks(text: string): Array<{ minQuantity: number; unitPrice: number }> {
+  return text.split(/[;|]/).map(part => part.trim()).filter(Boolean).map(part => {
+    const [quantity, price] = part.split(/[:@=]/).map(value => Number(value.trim()));
+    if (!(quantity > 1) || !(price >= 0)) {
+      throw new Error(`Quantity break "${part}" should read minimum quantity:price, e.g. 10:9.50`);
+    }
+    return { minQuantity: quantity, unitPrice: price };
+  });
+}
+
+export function formatBreaks(breaks: Array<{ minQuantity: number; unitPrice: number }> = []): string {
+  return breaks.map(tier => `${tier.minQuantity}:${tier.unitPrice}`).join('; ');
+}
+
+export function getPath(record: any, field: string): any {
+  return field.split('.').reduce((value, key) => value?.[key], record);
+}
+
+export function setPath(record: any, field: string, value: any): void {
+  const keys = field.split('.');
+  const last = keys.pop()!;
+  const parent = keys.reduce((target, key) => (target[key] = target[key] || {}), record);
+  parent[last] = value;
+}
+
+function normalize(name: string): string {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
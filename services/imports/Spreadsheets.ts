@@ -0,0 +1,88 @@
+// services/imports/Spreadsheets.ts
+import { Readable } from 'stream';
+import csv from 'csv-parser';
+import * as XLSX from 'xlsx';
+
+export type SpreadsheetFormat = 'csv' | 'xlsx';
+
+export const SPREADSHEET_CONTENT_TYPES: Record<SpreadsheetFormat, string> = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Cell values as read: XLSX keeps numbers, booleans and dates; CSV is all text
+export type CellValue = string | number | boolean | Date | null;
+
+export interface Sheet {
+  headers: string[];
+  rows: Array<Record<string, CellValue>>;
+}
+
+export function formatOf(fileName?: string, format?: string): SpreadsheetFormat {
+  const wanted = (format || fileName?.split('.').pop() || '').toLowerCase();
+  if (wanted === 'csv' || wanted === 'xlsx') return wanted;
+  if (wanted === 'xls') return 'xlsx'; // the reader handles both workbook formats
+  throw new Error('Spreadsheets must be csv or xlsx');
+}
+
+// Reads the first worksheet (or the CSV) into rows keyed by header. Blank rows are dropped.
+export async function readSheet(content: Buffer, format: SpreadsheetFormat): Promise<Sheet> {
+  const sheet = format === 'csv' ? await readCsv(content) : readWorkbook(content);
+  return {
+    headers: sheet.headers.filter(header => header !== ''),
+    rows: sheet.rows.filter(row => Object.values(row).some(value => value !== null && String(value).trim() !== ''))
+  };
+}
+
+export function writeSheet(
+  headers: string[],
+  rows: Array<Record<string, CellValue | undefined>>,
+  format: SpreadsheetFormat,
+  sheetName = 'Sheet1'
+): Buffer {
+  if (format === 'csv') {
+    const lines = [headers, ...rows.map(row => headers.map(header => row[header]))]
+      .map(values => values.map(csvCell).join(','));
+    return Buffer.from(lines.join('\r\n') + '\r\n', 'utf8');
+  }
+
+  const worksheet = XLSX.utils.json_to_sheet(
+    rows.map(row => Object.fromEntries(headers.map(header => [header, row[header] ?? null]))),
+    { header: headers, cellDates: true }
+  );
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, sheetName.slice(0, 31));
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }) as Buffer;
+}
+
+function readCsv(content: Buffer): Promise<Sheet> {
+  return new Promise((resolve, reject) => {
+    let headers: string[] = [];
+    const rows: Array<Record<string, CellValue>> = [];
+    Readable.from([content.toString('utf8').replace(/^\uFEFF/, '')])
+      .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+      .on('headers', (names: string[]) => { headers = names; })
+      .on('data', (row: Record<string, string>) => rows.push(row))
+      .on('error', reject)
+      .on('end', () => resolve({ headers, rows }));
+  });
+}
+
+function readWorkbook(content: Buffer): Sheet {
+  const workbook = XLSX.read(content, { type: 'buffer', cellDates: true });
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!worksheet) {
+    return { headers: [], rows: [] };
+  }
+
+  const [headerRow = []] = XLSX.utils.sheet_to_json<any[]>(worksheet, { header: 1, blankrows: false });
+  const headers = headerRow.map(header => String(header ?? '').trim());
+  const rows = XLSX.utils.sheet_to_json<Record<string, CellValue>>(worksheet, { header: headers, range: 1, defval: null, raw: true });
+  return { headers, rows };
+}
+
+function csvCell(value: CellValue | undefined): string {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
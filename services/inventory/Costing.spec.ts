@@ -0,0 +1,49 @@
+// services/inventory/Costing.spec.ts
+import { CostLayer, CostingMethod, averageCost, convertLayers, issueCost, layersOf, receiveCost } from './Costing';
+
+// Two receipts: 10 @ $5, then 10 @ $7
+const received = (method: CostingMethod): CostLayer[] =>
+  receiveCost(receiveCost([], method, 10, 5, 'PO-1'), method, 10, 7, 'PO-2');
+
+const shape = (layers: CostLayer[]) => layers.map(layer => [layer.quantity, layer.unitCost]);
+
+describe('FIFO costing', () => {
+  it('keeps a layer per receipt and issues from the oldest', () => {
+    const layers = received('fifo');
+    expect(shape(layers)).toEqual([[10, 5], [10, 7]]);
+
+    const issued = issueCost(layers, 15);
+    expect(issued.cost).toBe(85);
+    expect(shape(issued.layers)).toEqual([[5, 7]]);
+    expect(shape(layers)).toEqual([[10, 5], [10, 7]]); // the input is left alone
+  });
+
+  it('issues stock the layers do not cover at the last known cost', () => {
+    expect(issueCost([{ receivedDate: new Date(), quantity: 5, unitCost: 4 }], 8, 3).cost).toBe(32);
+    expect(issueCost([], 2, 3)).toEqual({ layers: [], cost: 6 });
+  });
+});
+
+describe('weighted average costing', () => {
+  it('keeps one layer at the moving average and issues at it', () => {
+    const layers = received('weighted_average');
+    expect(shape(layers)).toEqual([[20, 6]]);
+
+    const issued = issueCost(layers, 15);
+    expect(issued.cost).toBe(90);
+    expect(shape(issued.layers)).toEqual([[5, 6]]);
+  });
+});
+
+describe('layers', () => {
+  it('collapses FIFO layers into one average layer on a change of method, and the reverse keeps them', () => {
+    expect(shape(convertLayers(received('fifo'), 'weighted_average'))).toEqual([[20, 6]]);
+    expect(shape(convertLayers(received('weighted_average'), 'fifo'))).toEqual([[20, 6]]);
+  });
+
+  it('treats a record from before layers were kept as one layer at its average cost', () => {
+    expect(shape(layersOf({ quantity: 8, avgCost: 2.5, unitCost: 3 }))).toEqual([[8, 2.5]]);
+    expect(layersOf({ quantity: 0 })).toEqual([]);
+    expect(averageCost([], 4)).toBe(4);
+  });
+});
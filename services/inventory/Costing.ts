@@ -0,0 +1,114 @@
+// services/inventory/Costing.ts
+
+export type CostingMethod = 'fifo' | 'weighted_average';
+
+export const COSTING_METHODS: CostingMethod[] = ['fifo', 'weighted_average'];
+
+// A quantity received at one cost. FIFO keeps a layer per receipt and issues from
+// the oldest; weighted average keeps a single layer at the moving average cost.
+export interface CostLayer {
+  receivedDate: Date;
+  quantity: number;
+  unitCost: number;
+  reference?: string;
+}
+
+export function isCostingMethod(value: any): value is CostingMethod {
+  return COSTING_METHODS.includes(value);
+}
+
+export function roundCost(value: number): number {
+  return Math.round(value * 10000) / 10000;
+}
+
+// Records costed before layers were kept carry their whole quantity at the
+// average (or standard) cost
+export function layersOf(item: any): CostLayer[] {
+  if (Array.isArray(item.costLayers)) {
+    return item.costLayers.map((layer: CostLayer) => ({ ...layer }));
+  }
+  if (!(item.quantity > 0)) {
+    return [];
+  }
+  return [{
+    receivedDate: item.lastUpdated || new Date(),
+    quantity: item.quantity,
+    unitCost: item.avgCost ?? item.unitCost ?? 0
+  }];
+}
+
+export function layersQuantity(layers: CostLayer[]): number {
+  return layers.reduce((sum, layer) => sum + layer.quantity, 0);
+}
+
+export function layersValue(layers: CostLayer[]): number {
+  return layers.reduce((sum, layer) => sum + layer.quantity * layer.unitCost, 0);
+}
+
+export function averageCost(layers: CostLayer[], fallback = 0): number {
+  const quantity = layersQuantity(layers);
+  return quantity > 0 ? roundCost(layersValue(layers) / quantity) : fallback;
+}
+
+export function receiveCost(
+  layers: CostLayer[],
+  method: CostingMethod,
+  quantity: number,
+  unitCost: number,
+  reference?: string
+): CostLayer[] {
+  const next = layers.map(layer => ({ ...layer }));
+  if (method === 'fifo') {
+    next.push({ receivedDate: new Date(), quantity, unitCost, reference });
+    return next;
+  }
+
+  const total = layersQuantity(next) + quantity;
+  return [{
+    receivedDate: new Date(),
+    quantity: total,
+    unitCost: roundCost((layersValue(next) + quantity * unitCost) / total),
+    reference
+  }];
+}
+
+// Takes cost out oldest layer first. If the layers fall short of the quantity (stock
+// that was never costed), the rest is issued at the last known unit cost.
+export function issueCost(
+  layers: CostLayer[],
+  quantity: number,
+  fallbackUnitCost = 0
+): { layers: CostLayer[]; cost: number } {
+  const next = layers.map(layer => ({ ...layer }));
+  let remaining = quantity;
+  let cost = 0;
+  let lastUnitCost = fallbackUnitCost;
+
+  for (const layer of next) {
+    if (remaining <= 0) break;
+    const take = Math.min(layer.quantity, remaining);
+    layer.quantity -= take;
+    remaining -= take;
+    cost += take * layer.unitCost;
+    lastUnitCost = layer.unitCost;
+  }
+  cost += remaining * lastUnitCost;
+
+  return {
+    layers: next.filter(layer => layer.quantity > 0),
+    cost: Math.round(cost * 100) / 100
+  };
+}
+
+// Re-lays existing stock for a change of method: FIFO layers collapse into one
+// average layer; an average layer simply becomes the first FIFO layer
+export function convertLayers(layers: CostLayer[], method: CostingMethod): CostLayer[] {
+  if (method === 'fifo' || layers.length <= 1) {
+    return layers.map(layer => ({ ...layer }));
+  }
+  return [{
+    receivedDate: new Date(),
+    quantity: layersQuantity(layers),
+    unitCost: averageCost(layers)
+  }];
+}
@@ -0,0 +1,39 @@
+// services/inventory/CycleCounting.spec.ts
+import { classifyAbc, computeVariance, isCountDue } from './CycleCounting';
+
+const thresholds = { valueThreshold: 100, percentThreshold: 5 };
+
+describe('classifyAbc', () => {
+  it('splits on the share of usage value before each item, with unused items in C', () => {
+    const classes = classifyAbc([
+      { id: 'minor', usageValue: 5 },
+      { id: 'major', usageValue: 80 },
+      { id: 'unused', usageValue: 0 },
+      { id: 'middle', usageValue: 15 }
+    ]);
+    expect(Object.fromEntries(classes)).toEqual({ major: 'A', middle: 'B', minor: 'C', unused: 'C' });
+  });
+});
+
+describe('isCountDue', () => {
+  const at = new Date('2026-06-30');
+
+  it('is due when never counted or once the class frequency has passed', () => {
+    expect(isCountDue('A', undefined, at)).toBe(true);
+    expect(isCountDue('A', new Date('2026-05-31'), at)).toBe(true);
+    expect(isCountDue('B', new Date('2026-05-31'), at)).toBe(false);
+    expect(isCountDue(undefined, new Date('2026-01-01'), at)).toBe(true);
+  });
+});
+
+describe('computeVariance', () => {
+  it('needs approval when the value or the percentage is over the threshold', () => {
+    expect(computeVariance(10, 8, 60, thresholds)).toEqual({ varianceUnits: -2, varianceValue: -120, variancePercent: -20, requiresApproval: true });
+    expect(computeVariance(1000, 1001, 2, thresholds).requiresApproval).toBe(false);
+    expect(computeVariance(10, 10, 60, thresholds).requiresApproval).toBe(false);
+  });
+
+  it('counts stock found where none was expected as a full variance', () => {
+    expect(computeVariance(0, 3, 1, thresholds)).toMatchObject({ variancePercent: 100, requiresApproval: true });
+  });
+});
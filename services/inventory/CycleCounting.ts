@@ -0,0 +1,77 @@
+// services/inventory/CycleCounting.ts
+
+export type AbcClass = 'A' | 'B' | 'C';
+
+export interface VarianceThresholds {
+  valueThreshold: number;   // dollar variance above which a line needs approval
+  percentThreshold: number; // unit variance (% of expected) above which a line needs approval
+}
+
+export interface CountVariance {
+  varianceUnits: number;
+  varianceValue: number;
+  variancePercent: number;
+  requiresApproval: boolean;
+}
+
+// How often each class is due for counting
+export const COUNT_FREQUENCY_DAYS: Record<AbcClass, number> = {
+  A: 30,
+  B: 90,
+  C: 180
+};
+
+export const DEFAULT_VARIANCE_THRESHOLDS: VarianceThresholds = {
+  valueThreshold: Number(process.env.CYCLE_COUNT_APPROVAL_VALUE ?? 100),
+  percentThreshold: Number(process.env.CYCLE_COUNT_APPROVAL_PERCENT ?? 5)
+};
+
+// Pareto split on annual usage value: the items making up the first 80% of value are
+// A, the next 15% B and the rest C. Items with no usage are always C.
+export function classifyAbc(usage: Array<{ id: string; usageValue: number }>): Map<string, AbcClass> {
+  const classes = new Map<string, AbcClass>();
+  const total = usage.reduce((sum, item) => sum + Math.max(0, item.usageValue), 0);
+  const ranked = [...usage].sort((a, b) => b.usageValue - a.usageValue);
+
+  let cumulative = 0;
+  for (const item of ranked) {
+    if (total <= 0 || item.usageValue <= 0) {
+      classes.set(item.id, 'C');
+      continue;
+    }
+    // Classify on the share before this item so the largest item is always A
+    const shareBefore = cumulative / total;
+    cumulative += item.usageValue;
+    classes.set(item.id, shareBefore < 0.8 ? 'A' : shareBefore < 0.95 ? 'B' : 'C');
+  }
+  return classes;
+}
+
+export function isCountDue(abcClass: AbcClass | undefined, lastCountDate: Date | undefined, at: Date = new Date()): boolean {
+  if (!lastCountDate) return true;
+  const days = COUNT_FREQUENCY_DAYS[abcClass || 'C'];
+  return at.getTime() - new Date(lastCountDate).getTime() >= days * 24 * 60 * 60 * 1000;
+}
+
+export function computeVariance(
+  expected: number,
+  counted: number,
+  unitCost: number,
+  thresholds: VarianceThresholds
+): CountVariance {
+  const varianceUnits = counted - expected;
+  const varianceValue = Math.round(varianceUnits * unitCost * 100) / 100;
+  const variancePercent = expected === 0
+    ? (varianceUnits === 0 ? 0 : 100)
+    : Math.round((varianceUnits / expected) * 10000) / 100;
+
+  return {
+    varianceUnits,
+    varianceValue,
+    variancePercent,
+    requiresApproval: varianceUnits !== 0 && (
+      Math.abs(varianceValue) > thresholds.valueThreshold ||
+      Math.abs(variancePercent) > thresholds.percentThreshold
+    )
+  };
+}
@@ -0,0 +1,65 @@
+// services/inventory/StockBalances.spec.ts
+import {
+  InsufficientStockError,
+  StockBalance,
+  UNASSIGNED_BIN,
+  addStock,
+  balancesOf,
+  nextExpiry,
+  stockStatus,
+  takeStock,
+  totalQuantity
+} from './StockBalances';
+
+const balance = (overrides: Partial<StockBalance>): StockBalance =>
+  ({ binCode: 'A-01', receivedDate: new Date('2026-01-01'), quantity: 10, ...overrides });
+
+describe('takeStock', () => {
+  const balances = [
+    balance({ binCode: 'A-01', lotNumber: 'L3', quantity: 10 }),
+    balance({ binCode: 'A-02', lotNumber: 'L2', quantity: 10, expirationDate: new Date('2026-09-01') }),
+    balance({ binCode: 'B-01', lotNumber: 'L1', quantity: 5, expirationDate: new Date('2026-06-01') })
+  ];
+
+  it('picks the lot expiring first, leaving lots without an expiry for last', () => {
+    const { balances: left, taken } = takeStock(balances, 12);
+    expect(taken.map(take => [take.lotNumber, take.quantity])).toEqual([['L1', 5], ['L2', 7]]);
+    expect(left.map(entry => [entry.lotNumber, entry.quantity])).toEqual([['L3', 10], ['L2', 3]]);
+    expect(balances[2].quantity).toBe(5); // the input is left alone
+  });
+
+  it('takes from the bin or lot asked for and passes over expired lots', () => {
+    expect(takeStock(balances, 4, { binCode: 'A-01' }).taken).toEqual([expect.objectContaining({ lotNumber: 'L3', quantity: 4 })]);
+    expect(takeStock(balances, 4, { excludeExpiredAt: new Date('2026-07-01') }).taken[0].lotNumber).toBe('L2');
+  });
+
+  it('throws when the matching balances fall short', () => {
+    expect(() => takeStock(balances, 6, { lotNumber: 'L1' })).toThrow(InsufficientStockError);
+    expect(() => takeStock(balances, 6, { lotNumber: 'L1' })).toThrow('Cannot take 6 from lot L1: only 5 available');
+  });
+});
+
+describe('balances', () => {
+  it('treats records from before bins and lots as one unassigned balance', () => {
+    expect(balancesOf({ quantity: 8, batchNumber: 'B7', lastUpdated: new Date('2026-01-01') }))
+      .toEqual([expect.objectContaining({ binCode: UNASSIGNED_BIN, lotNumber: 'B7', quantity: 8 })]);
+    expect(balancesOf({ quantity: 0 })).toEqual([]);
+  });
+
+  it('merges stock into the same bin and lot, and keeps other lots apart', () => {
+    let balances = addStock([], balance({ lotNumber: 'L1', quantity: 4 }));
+    balances = addStock(balances, balance({ lotNumber: 'L1', quantity: 6 }));
+    balances = addStock(balances, balance({ lotNumber: 'L2', quantity: 1, expirationDate: new Date('2026-08-01') }));
+    expect(balances.map(entry => [entry.lotNumber, entry.quantity])).toEqual([['L1', 10], ['L2', 1]]);
+    expect(totalQuantity(balances)).toBe(11);
+    expect(nextExpiry(balances)).toEqual(new Date('2026-08-01'));
+  });
+
+  it('only calls lot-tracked stock expired once every lot on hand has expired', () => {
+    const past = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const future = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    expect(stockStatus({ quantity: 2, minimumStock: 5, balances: [balance({ expirationDate: past }), balance({ expirationDate: future })] }))
+      .toBe('low_stock');
+    expect(stockStatus({ quantity: 2, minimumStock: 5, balances: [balance({ expirationDate: past })] })).toBe('expired');
+  });
+});
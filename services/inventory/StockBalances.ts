@@ -0,0 +1,166 @@
+// services/inventory/StockBalances.ts
+
+// Stock for one product at one location is kept as balances per bin and lot. The
+// inventory record's `quantity` is always the sum of its balances.
+export interface StockBalance {
+  binCode: string;
+  lotNumber?: string;
+  expirationDate?: Date;
+  receivedDate: Date;
+  quantity: number;
+  unitCost?: number;
+}
+
+export interface StockTake {
+  binCode: string;
+  lotNumber?: string;
+  expirationDate?: Date;
+  quantity: number;
+  unitCost?: number;
+  // Cost of goods taken out with this stock, set by the costing method
+  cost?: number;
+}
+
+export interface StockSelector {
+  binCode?: string;
+  lotNumber?: string;
+  // Lots expiring on or before this date are passed over
+  excludeExpiredAt?: Date;
+}
+
+export const UNASSIGNED_BIN = 'UNASSIGNED';
+
+export class InsufficientStockError extends Error {
+  constructor(public requested: number, public available: number, detail: string) {
+    super(`Cannot take ${requested} ${detail}: only ${available} available`);
+    this.name = 'InsufficientStockError';
+  }
+}
+
+// Records created before bins and lots were tracked hold everything in one
+// unassigned balance, using the record's batch number and expiry if it had them
+export function balancesOf(item: any): StockBalance[] {
+  if (Array.isArray(item.balances)) {
+    return item.balances.map((balance: StockBalance) => ({ ...balance }));
+  }
+  if (!(item.quantity > 0)) {
+    return [];
+  }
+  return [{
+    binCode: UNASSIGNED_BIN,
+    lotNumber: item.batchNumber,
+    expirationDate: item.expirationDate,
+    receivedDate: item.lastUpdated || new Date(),
+    quantity: item.quantity,
+    unitCost: item.unitCost
+  }];
+}
+
+// First expiry first out; lots without an expiry go last, ties fall back to FIFO
+export function compareFefo(a: StockBalance, b: StockBalance): number {
+  const expiryA = a.expirationDate ? new Date(a.expirationDate).getTime() : Infinity;
+  const expiryB = b.expirationDate ? new Date(b.expirationDate).getTime() : Infinity;
+  if (expiryA !== expiryB) {
+    return expiryA - expiryB;
+  }
+  return new Date(a.receivedDate).getTime() - new Date(b.receivedDate).getTime();
+}
+
+export function isExpired(balance: StockBalance, at: Date = new Date()): boolean {
+  return Boolean(balance.expirationDate) && new Date(balance.expirationDate!) <= at;
+}
+
+export function addStock(balances: StockBalance[], entry: StockBalance): StockBalance[] {
+  const next = balances.map(balance => ({ ...balance }));
+  const existing = next.find(balance =>
+    balance.binCode === entry.binCode && (balance.lotNumber || null) === (entry.lotNumber || null));
+
+  if (existing) {
+    existing.quantity += entry.quantity;
+    if (entry.expirationDate && !existing.expirationDate) {
+      existing.expirationDate = entry.expirationDate;
+    }
+  } else {
+    next.push({ ...entry });
+  }
+  return next;
+}
+
+// Takes quantity out of the matching balances in FEFO order
+export function takeStock(
+  balances: StockBalance[],
+  quantity: number,
+  selector: StockSelector = {}
+): { balances: StockBalance[]; taken: StockTake[] } {
+  const next = balances.map(balance => ({ ...balance }));
+  const candidates = next
+    .filter(balance => balance.quantity > 0)
+    .filter(balance => !selector.binCode || balance.binCode === selector.binCode)
+    .filter(balance => !selector.lotNumber || balance.lotNumber === selector.lotNumber)
+    .filter(balance => !selector.excludeExpiredAt || !isExpired(balance, selector.excludeExpiredAt))
+    .sort(compareFefo);
+
+  const available = candidates.reduce((sum, balance) => sum + balance.quantity, 0);
+  if (available < quantity) {
+    const detail = [
+      selector.lotNumber && `from lot ${selector.lotNumber}`,
+      selector.binCode && `from bin ${selector.binCode}`,
+      selector.excludeExpiredAt && '(unexpired)'
+    ].filter(Boolean).join(' ') || 'from stock';
+    throw new InsufficientStockError(quantity, available, detail);
+  }
+
+  const taken: StockTake[] = [];
+  let remaining = quantity;
+  for (const balance of candidates) {
+    if (remaining <= 0) break;
+    const take = Math.min(balance.quantity, remaining);
+    balance.quantity -= take;
+    remaining -= take;
+    taken.push({
+      binCode: balance.binCode,
+      lotNumber: balance.lotNumber,
+      expirationDate: balance.expirationDate,
+      quantity: take,
+      unitCost: balance.unitCost
+    });
+  }
+
+  return { balances: next.filter(balance => balance.quantity > 0), taken };
+}
+
+export function totalQuantity(balances: StockBalance[]): number {
+  return balances.reduce((sum, balance) => sum + balance.quantity, 0);
+}
+
+// Earliest expiry among lots still on hand, for alerts and the stock status
+export function nextExpiry(balances: StockBalance[]): Date | undefined {
+  const dates = balances
+    .filter(balance => balance.quantity > 0 && balance.expirationDate)
+    .map(balance => new Date(balance.expirationDate!).getTime());
+  return dates.length > 0 ? new Date(Math.min(...dates)) : undefined;
+}
+
+export type StockStatus = 'in_stock' | 'low_stock' | 'out_of_stock' | 'expired';
+
+export function stockStatus(inventory: {
+  quantity: number;
+  minimumStock: number;
+  balances?: StockBalance[];
+  expirationDate?: Date;
+}): StockStatus {
+  // With lot tracking the record is only expired once every lot on hand has expired
+  const expired = inventory.balances && inventory.balances.length > 0
+    ? inventory.balances.every(balance => isExpired(balance))
+    : inventory.expirationDate && new Date() > new Date(inventory.expirationDate);
+  if (expired) {
+    return 'expired';
+  }
+  if (inventory.quantity <= 0) {
+    return 'out_of_stock';
+  }
+  if (inventory.quantity <= inventory.minimumStock) {
+    return 'low_stock';
+  }
+  return 'in_stock';
+}
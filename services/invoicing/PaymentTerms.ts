@@ -0,0 +1,60 @@
+// services/invoicing/PaymentTerms.ts
+
+export interface PaymentTerms {
+  code: string;
+  description: string;
+  netDays: number;
+  discountPercent?: number;
+  discountDays?: number;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Customers store terms either as a PaymentTerms object or as the usual shorthand:
+// "Net 30", "2/10 Net 30" (2% off if paid within 10 days), "Due on receipt" or "COD".
+export function resolvePaymentTerms(terms: string | PaymentTerms | undefined): PaymentTerms {
+  if (terms && typeof terms === 'object') {
+    return terms;
+  }
+
+  const text = String(terms || 'Net 30').trim();
+  const discounted = text.match(/^(\d+(?:\.\d+)?)\s*\/\s*(\d+)\s*,?\s*net\s*(\d+)$/i);
+  if (discounted) {
+    return {
+      code: text.toUpperCase().replace(/\s+/g, ''),
+      description: text,
+      discountPercent: Number(discounted[1]),
+      discountDays: Number(discounted[2]),
+      netDays: Number(discounted[3])
+    };
+  }
+
+  const net = text.match(/^net\s*(\d+)$/i);
+  if (net) {
+    return { code: `NET${net[1]}`, description: text, netDays: Number(net[1]) };
+  }
+
+  if (/^(due on receipt|cod)$/i.test(text)) {
+    return { code: text.toUpperCase().replace(/\s+/g, '_'), description: text, netDays: 0 };
+  }
+
+  throw new Error(`Unrecognized payment terms: ${text}`);
+}
+
+export function dueDateFor(invoiceDate: Date, terms: PaymentTerms): Date {
+  return new Date(new Date(invoiceDate).getTime() + terms.netDays * DAY_MS);
+}
+
+// Last day the early-payment discount can be taken, or null when the terms have none
+export function discountDateFor(invoiceDate: Date, terms: PaymentTerms): Date | null {
+  if (!terms.discountPercent || !terms.discountDays) return null;
+  return new Date(new Date(invoiceDate).getTime() + terms.discountDays * DAY_MS);
+}
+
+export function daysBetween(from: Date, to: Date): number {
+  return Math.floor((new Date(to).getTime() - new Date(from).getTime()) / DAY_MS);
+}
+
+export function roundCurrency(amount: number): number {
+  return Math.round(amount * 100) / 100;
+}
@@ -0,0 +1,90 @@
+// services/notifications/CaptureTransport.ts
+import { promises as fs } from 'fs';
+import path from 'path';
+import {
+  DeliveryChannel,
+  EmailMessage,
+  EmailTransport,
+  PermanentDeliveryError,
+  PushMessage,
+  PushTransport,
+  SmsMessage,
+  SmsTransport,
+  TransportResult
+} from './Transports';
+
+export interface CapturedMessage {
+  id: string;
+  channel: DeliveryChannel;
+  to: string;
+  message: EmailMessage | SmsMessage | PushMessage;
+  capturedAt: Date;
+}
+
+const MAX_CAPTURED = 500;
+
+// Stands in for every channel when no real transport is configured, and in tests.
+// Messages are kept in memory (the most recent 500) and, given a directory, written
+// there one JSON file each so a developer can open what would have gone out.
+export class CaptureTransport implements EmailTransport, SmsTransport, PushTransport {
+  readonly name = 'capture';
+  readonly publicKey?: string;
+  private messages: CapturedMessage[] = [];
+  private failure: 'temporary' | 'permanent' | null = null;
+
+  constructor(private directory?: string) {}
+
+  async sendEmail(message: EmailMessage): Promise<TransportResult> {
+    return this.capture('email', message.to, message);
+  }
+
+  async sendSms(message: SmsMessage): Promise<TransportResult> {
+    return this.capture('sms', message.to, message);
+  }
+
+  async sendPush(message: PushMessage): Promise<TransportResult> {
+    return this.capture('push', message.subscription.endpoint, message);
+  }
+
+  captured(channel?: DeliveryChannel): CapturedMessage[] {
+    return channel ? this.messages.filter(entry => entry.channel === channel) : [...this.messages];
+  }
+
+  clear(): void {
+    this.messages = [];
+  }
+
+  // Makes every following send fail, to exercise retries and failure handling
+  simulateFailure(kind: 'temporary' | 'permanent' | null): void {
+    this.failure = kind;
+  }
+
+  private async capture(channel: DeliveryChannel, to: string, message: CapturedMessage['message']): Promise<TransportResult> {
+    if (this.failure === 'permanent') {
+      throw new PermanentDeliveryError(`Simulated permanent failure for ${to}`);
+    }
+    if (this.failure === 'temporary') {
+      throw new Error(`Simulated temporary failure for ${to}`);
+    }
+
+    const entry: CapturedMessage = {
+      id: 'cap_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36),
+      channel,
+      to,
+      message,
+      capturedAt: new Date()
+    };
+    this.messages.push(entry);
+    if (this.messages.length > MAX_CAPTURED) {
+      this.messages.splice(0, this.messages.length - MAX_CAPTURED);
+    }
+
+    if (this.directory) {
+      await fs.mkdir(this.directory, { recursive: true });
+      const fileName = `${entry.capturedAt.toISOString().replace(/[:.]/g, '-')}-${channel}-${entry.id}.json`;
+      await fs.writeFile(path.join(this.directory, fileName), JSON.stringify(entry, null, 2));
+    }
+    console.log(`📥 Captured ${channel} to ${to}`);
+    return { status: 'delivered', messageId: entry.id };
+  }
+}
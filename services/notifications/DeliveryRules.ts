@@ -0,0 +1,171 @@
+// services/notifications/DeliveryRules.ts
+import { nextRun, zonedTime } from '../automation/Cron';
+import { escapeHtml } from './Templates';
+
+// Per-user rules for when email, SMS and push go out. A digest gathers the user's
+// routine emails into one per hour or per day; quiet hours hold everything but
+// critical notifications until they end. Times are the user's wall clock: their
+// quiet-hours timezone, or the company's.
+
+export type DigestFrequency = 'hourly' | 'daily';
+
+export interface DigestPreference {
+  frequency: DigestFrequency;
+  hour?: number;    // local hour daily digests go out; defaults to 8
+  types?: string[]; // notification types to gather; all routine ones when unset
+}
+
+export interface QuietHours {
+  start: string; // HH:MM, local
+  end: string;   // HH:MM; before start means overnight
+  timezone?: string;
+}
+
+export interface DeliveryPreferences {
+  email: boolean;
+  sms: boolean;
+  push: boolean;
+  categories: string[]; // notification types to receive when a notification names no recipient
+  digest?: DigestPreference;
+  quietHours?: QuietHours;
+}
+
+export const DEFAULT_PREFERENCES: DeliveryPreferences = {
+  email: true,
+  sms: false,
+  push: false,
+  categories: []
+};
+
+const DEFAULT_DIGEST_HOUR = 8;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const URGENT_PRIORITIES = ['high', 'critical'];
+
+// Applies a preferences change over the current ones. A null digest or quietHours
+// turns it off.
+export function validatePreferences(input: any, current: DeliveryPreferences): DeliveryPreferences {
+  const preferences: DeliveryPreferences = { ...current };
+
+  for (const channel of ['email', 'sms', 'push'] as const) {
+    if (input[channel] !== undefined) {
+      if (typeof input[channel] !== 'boolean') throw new Error(`${channel} must be true or false`);
+      preferences[channel] = input[channel];
+    }
+  }
+  if (input.categories !== undefined) {
+    preferences.categories = stringList(input.categories, 'categories');
+  }
+
+  if (input.digest === null) {
+    delete preferences.digest;
+  } else if (input.digest !== undefined) {
+    const { frequency, hour, types } = input.digest;
+    if (!['hourly', 'daily'].includes(frequency)) {
+      throw new Error('digest.frequency must be hourly or daily');
+    }
+    if (hour !== undefined && !(Number.isInteger(hour) && hour >= 0 && hour <= 23)) {
+      throw new Error('digest.hour must be a whole hour from 0 to 23');
+    }
+    preferences.digest = {
+      frequency,
+      ...(frequency === 'daily' && { hour: hour ?? DEFAULT_DIGEST_HOUR }),
+      ...(types !== undefined && { types: stringList(types, 'digest.types') })
+    };
+  }
+
+  if (input.quietHours === null) {
+    delete preferences.quietHours;
+  } else if (input.quietHours !== undefined) {
+    const { start, end, timezone } = input.quietHours;
+    if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+      throw new Error('quietHours.start and end must be HH:MM');
+    }
+    if (start === end) {
+      throw new Error('quietHours.start and end must differ');
+    }
+    if (timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      } catch {
+        throw new Error(`Unknown timezone: ${timezone}`);
+      }
+    }
+    preferences.quietHours = { start, end, ...(timezone && { timezone }) };
+  }
+
+  return preferences;
+}
+
+// When quiet hours end, if `at` falls inside them; otherwise null
+export function quietUntil(quiet: QuietHours | undefined, at: Date, timezone: string): Date | null {
+  if (!quiet) return null;
+  const zone = quiet.timezone || timezone;
+  const local = zonedTime(at, zone);
+  const now = local.hour * 60 + local.minute;
+  const start = minutesOf(quiet.start);
+  const end = minutesOf(quiet.end);
+
+  const inside = start < end ? now >= start && now < end : now >= start || now < end;
+  if (!inside) return null;
+  return nextRun(`${end % 60} ${Math.floor(end / 60)} * * *`, at, zone);
+}
+
+export function nextDigestAt(digest: DigestPreference, after: Date, timezone: string): Date {
+  const schedule = digest.frequency === 'hourly' ? '0 * * * *' : `0 ${digest.hour ?? DEFAULT_DIGEST_HOUR} * * *`;
+  return nextRun(schedule, after, timezone)!;
+}
+
+// Urgent notifications are never held back for a digest
+export function belongsInDigest(digest: DigestPreference | undefined, notification: { type: string; priority: string }): boolean {
+  if (!digest || URGENT_PRIORITIES.includes(notification.priority)) return false;
+  return !digest.types?.length || digest.types.includes(notification.type);
+}
+
+export function bypassesQuietHours(notification: { priority: string }): boolean {
+  return notification.priority === 'critical';
+}
+
+export interface DigestEntry {
+  type: string;
+  title: string;
+  message: string;
+  createdAt: Date;
+}
+
+export function buildDigestEmail(
+  entries: DigestEntry[],
+  frequency: DigestFrequency,
+  timezone: string
+): { subject: string; text: string; html: string } {
+  const sorted = [...entries].sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+  const counts = new Map<string, number>();
+  sorted.forEach(entry => counts.set(entry.title, (counts.get(entry.title) || 0) + 1));
+  const overview = Array.from(counts.entries()).map(([title, count]) => `${count} × ${title}`).join(', ');
+
+  const lines = sorted.map(entry => ({ when: localTime(new Date(entry.createdAt), timezone), entry }));
+  return {
+    subject: `Your ${frequency} digest: ${sorted.length} notification${sorted.length === 1 ? '' : 's'}`,
+    text: [overview, '', ...lines.map(({ when, entry }) => `• ${when} ${entry.title}: ${entry.message}`)].join('\n'),
+    html: `<p>${escapeHtml(overview)}</p><ul>${lines
+      .map(({ when, entry }) => `<li>${escapeHtml(when)} <strong>${escapeHtml(entry.title)}</strong>: ${escapeHtml(entry.message)}</li>`)
+      .join('')}</ul>`
+  };
+}
+
+function localTime(date: Date, timezone: string): string {
+  const local = zonedTime(date, timezone);
+  const pad = (value: number) => String(value).padStart(2, '0');
+  return `${local.year}-${pad(local.month)}-${pad(local.day)} ${pad(local.hour)}:${pad(local.minute)}`;
+}
+
+function minutesOf(time: string): number {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function stringList(value: any, label: string): string[] {
+  if (!Array.isArray(value) || value.some(entry => typeof entry !== 'string')) {
+    throw new Error(`${label} must be a list of strings`);
+  }
+  return value;
+}
@@ -0,0 +1,53 @@
+// services/notifications/HttpSmsGateway.ts
+import { PermanentDeliveryError, SmsMessage, SmsTransport, TransportResult } from './Transports';
+
+export interface SmsGatewayOptions {
+  url: string;
+  token?: string;
+  from?: string;
+  timeoutMs?: number;
+}
+
+// Posts each text as JSON ({ from, to, body, statusCallback }) with a bearer token,
+// which most SMS providers accept directly or through a small relay. The gateway
+// answers with { id } or { messageId } and later posts receipts to statusCallback.
+export class HttpSmsGateway implements SmsTransport {
+  readonly name = 'http_sms';
+
+  constructor(private options: SmsGatewayOptions) {}
+
+  async sendSms(message: SmsMessage): Promise<TransportResult> {
+    const response = await fetch(this.options.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.options.token && { Authorization: `Bearer ${this.options.token}` })
+      },
+      body: JSON.stringify({
+        from: this.options.from,
+        to: message.to,
+        body: message.body,
+        statusCallback: message.statusCallback
+      }),
+      signal: AbortSignal.timeout(this.options.timeoutMs || 10000)
+    });
+
+    const text = await response.text();
+    if (!response.ok) {
+      // 4xx other than rate limiting means the gateway will never take this message
+      const failure = `SMS gateway returned ${response.status}: ${text.slice(0, 200)}`;
+      if (response.status >= 400 && response.status < 500 && response.status !== 429) {
+        throw new PermanentDeliveryError(failure);
+      }
+      throw new Error(failure);
+    }
+
+    let reply: any = {};
+    try {
+      reply = JSON.parse(text);
+    } catch {
+      // Gateways that answer with plain text still accepted the message
+    }
+    return { status: 'sent', messageId: reply.id || reply.messageId || reply.sid };
+  }
+}
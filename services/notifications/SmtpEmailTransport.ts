@@ -0,0 +1,52 @@
+// services/notifications/SmtpEmailTransport.ts
+import nodemailer, { Transporter } from 'nodemailer';
+import { EmailMessage, EmailTransport, PermanentDeliveryError, TransportResult } from './Transports';
+
+export interface SmtpOptions {
+  url?: string; // smtp(s)://user:pass@host:port, instead of the fields below
+  host?: string;
+  port?: number;
+  secure?: boolean;
+  user?: string;
+  password?: string;
+  from: string;
+}
+
+// Sends through any SMTP relay. A 5xx reply or a refused recipient is permanent; a
+// connection failure or 4xx is worth retrying.
+export class SmtpEmailTransport implements EmailTransport {
+  readonly name = 'smtp';
+  private transporter: Transporter;
+
+  constructor(private options: SmtpOptions) {
+    this.transporter = options.url
+      ? nodemailer.createTransport(options.url)
+      : nodemailer.createTransport({
+          host: options.host,
+          port: options.port || 587,
+          secure: options.secure ?? options.port === 465,
+          ...(options.user && { auth: { user: options.user, pass: options.password } })
+        });
+  }
+
+  async sendEmail(message: EmailMessage): Promise<TransportResult> {
+    try {
+      const info = await this.transporter.sendMail({
+        from: this.options.from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html
+      });
+      if (info.rejected?.length) {
+        throw new PermanentDeliveryError(`Recipient refused: ${info.rejected.join(', ')}`);
+      }
+      return { status: 'sent', messageId: info.messageId };
+    } catch (error: any) {
+      if (error.responseCode >= 500) {
+        throw new PermanentDeliveryError(error.response || error.message);
+      }
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,41 @@
+// services/notifications/Templates.ts
+
+// Notification templates fill {{name}} placeholders from the notification's data.
+// Names may be dotted paths ({{customer.companyName}}, {{items.0.productName}}).
+// Missing values render as nothing; in HTML bodies values are escaped.
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+export function renderTemplate(template: string, context: any, options: { html?: boolean } = {}): string {
+  return template.replace(PLACEHOLDER, (_match, path: string) => {
+    const text = formatValue(valueAt(context, path));
+    return options.html ? escapeHtml(text) : text;
+  });
+}
+
+export function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function valueAt(context: any, path: string): any {
+  let value = context;
+  for (const part of path.split('.')) {
+    if (value === undefined || value === null) return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+function formatValue(value: any): string {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(2);
+  if (Array.isArray(value)) return value.map(formatValue).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
@@ -0,0 +1,69 @@
+// services/notifications/Transports.ts
+
+// What NotificationService hands to the outside world. Each channel has its own
+// transport so email can go through SMTP while SMS and push are captured locally, and
+// tests can swap any of them for a capture transport.
+
+export type DeliveryChannel = 'email' | 'sms' | 'push';
+
+export interface EmailMessage {
+  to: string;
+  subject: string;
+  text: string;
+  html?: string;
+}
+
+export interface SmsMessage {
+  to: string;
+  body: string;
+  statusCallback?: string; // where the gateway should post delivery receipts
+}
+
+export interface WebPushSubscription {
+  endpoint: string;
+  keys: { p256dh: string; auth: string };
+}
+
+export interface PushMessage {
+  subscription: WebPushSubscription;
+  title: string;
+  body: string;
+  icon?: string;
+  data?: any;
+}
+
+export interface TransportResult {
+  status: 'sent' | 'delivered'; // delivered when the transport itself confirms it
+  messageId?: string;
+}
+
+// Thrown by transports for failures that retrying will not fix: a rejected address,
+// an expired push subscription
+export class PermanentDeliveryError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'PermanentDeliveryError';
+  }
+}
+
+export interface EmailTransport {
+  readonly name: string;
+  sendEmail(message: EmailMessage): Promise<TransportResult>;
+}
+
+export interface SmsTransport {
+  readonly name: string;
+  sendSms(message: SmsMessage): Promise<TransportResult>;
+}
+
+export interface PushTransport {
+  readonly name: string;
+  readonly publicKey?: string; // the VAPID key browsers subscribe with
+  sendPush(message: PushMessage): Promise<TransportResult>;
+}
+
+export interface NotificationTransports {
+  email: EmailTransport;
+  sms: SmsTransport;
+  push: PushTransport;
+}
@@ -0,0 +1,44 @@
+// services/notifications/WebPushTransport.ts
+import webpush from 'web-push';
+import { PermanentDeliveryError, PushMessage, PushTransport, TransportResult } from './Transports';
+
+export interface WebPushOptions {
+  publicKey: string;
+  privateKey: string;
+  subject: string; // mailto: or https: contact for the push service
+  ttlSeconds?: number;
+}
+
+// Standard Web Push with VAPID keys, so any browser subscription works without a
+// vendor account. A 404 or 410 from the push service means the subscription is gone.
+export class WebPushTransport implements PushTransport {
+  readonly name = 'web_push';
+  readonly publicKey: string;
+
+  constructor(private options: WebPushOptions) {
+    this.publicKey = options.publicKey;
+  }
+
+  async sendPush(message: PushMessage): Promise<TransportResult> {
+    try {
+      const result = await webpush.sendNotification(
+        message.subscription,
+        JSON.stringify({ title: message.title, body: message.body, icon: message.icon, data: message.data }),
+        {
+          TTL: this.options.ttlSeconds ?? 24 * 60 * 60,
+          vapidDetails: {
+            subject: this.options.subject,
+            publicKey: this.options.publicKey,
+            privateKey: this.options.privateKey
+          }
+        }
+      );
+      return { status: 'sent', messageId: result.headers?.location };
+    } catch (error: any) {
+      if ([404, 410].includes(error.statusCode)) {
+        throw new PermanentDeliveryError(`Push subscription expired (${error.statusCode})`);
+      }
+      throw error;
+    }
+  }
+}
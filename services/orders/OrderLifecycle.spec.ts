@@ -0,0 +1,64 @@
+// services/orders/OrderLifecycle.spec.ts
+import {
+  InvalidOrderTransitionError,
+  Order,
+  OrderItem,
+  assertTransition,
+  canTransition,
+  deriveFulfillmentStatus,
+  generateOrderNumber,
+  outstandingQuantity
+} from './OrderLifecycle';
+
+function item(overrides: Partial<OrderItem> = {}): OrderItem {
+  return { id: 'item_1', productId: 'prod_rebar', productName: 'Rebar #4', quantity: 10, unitPrice: 5, totalPrice: 50, ...overrides };
+}
+
+const orderWith = (items: OrderItem[], status: Order['status'] = 'confirmed') => ({ status, items }) as Order;
+
+describe('order transitions', () => {
+  it('allows the lifecycle forward and back to draft before confirmation', () => {
+    expect(canTransition('draft', 'pending')).toBe(true);
+    expect(canTransition('pending', 'draft')).toBe(true);
+    expect(canTransition('confirmed', 'shipped')).toBe(true);
+    expect(canTransition('shipped', 'delivered')).toBe(true);
+  });
+
+  it('rejects skipping ahead, going back after confirmation and leaving a final status', () => {
+    expect(canTransition('draft', 'shipped')).toBe(false);
+    expect(canTransition('confirmed', 'draft')).toBe(false);
+    expect(canTransition('shipped', 'cancelled')).toBe(false);
+    expect(() => assertTransition('delivered', 'cancelled')).toThrow(InvalidOrderTransitionError);
+    expect(() => assertTransition('delivered', 'cancelled')).toThrow('Cannot move order from delivered to cancelled (delivered is final)');
+  });
+});
+
+describe('fulfilment quantities', () => {
+  it('counts what has neither shipped nor been cancelled as outstanding', () => {
+    expect(outstandingQuantity(item({ quantityShipped: 4, quantityCancelled: 1 }))).toBe(5);
+  });
+
+  it('derives the status from what has shipped and what is left', () => {
+    expect(deriveFulfillmentStatus(orderWith([item()]))).toBe('confirmed');
+    expect(deriveFulfillmentStatus(orderWith([item({ quantityShipped: 4 })]))).toBe('partially_shipped');
+    expect(deriveFulfillmentStatus(orderWith([item({ quantityShipped: 4, quantityCancelled: 6 })]))).toBe('shipped');
+    expect(deriveFulfillmentStatus(orderWith([item({ quantityCancelled: 10 })]))).toBe('cancelled');
+  });
+});
+
+describe('generateOrderNumber', () => {
+  const reader = (orderNumbers: string[]) => ({
+    async find<T>(_collection: string, query: any): Promise<T[]> {
+      const prefix = new RegExp(query.orderNumber.$regex);
+      return orderNumbers.filter(number => prefix.test(number)).map(orderNumber => ({ orderNumber }) as any);
+    }
+  });
+
+  it('follows the highest number issued this month, so a deleted draft does not free its number', async () => {
+    const now = new Date();
+    const prefix = `ORD-${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}-`;
+    expect(await generateOrderNumber(reader([]))).toBe(`${prefix}0001`);
+    expect(await generateOrderNumber(reader([`${prefix}0001`, `${prefix}0003`]))).toBe(`${prefix}0004`);
+    expect(await generateOrderNumber(reader(['ORD-199901-0042']))).toBe(`${prefix}0001`);
+  });
+});
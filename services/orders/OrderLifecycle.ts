@@ -0,0 +1,235 @@
+// services/orders/OrderLifecycle.ts
+import { AppliedPrice } from '../pricing/PriceRules';
+import { LineTax, TaxAddress } from '../tax/TaxRates';
+
+export type OrderStatus =
+  | 'draft'
+  | 'pending'
+  | 'confirmed'
+  | 'processing'
+  | 'partially_shipped'
+  | 'shipped'
+  | 'delivered'
+  | 'cancelled';
+
+export interface Address {
+  street: string;
+  city: string;
+  county?: string; // needed where county rates apply
+  state: string;
+  zipCode: string;
+  country: string;
+}
+
+export interface LineReservation {
+  inventoryId: string;
+  quantity: number;
+}
+
+// Once an order is confirmed every line satisfies
+//   quantity = quantityShipped + quantityCancelled + quantityReserved + quantityBackordered
+export interface OrderItem {
+  id: string;
+  productId: string;
+  productName: string;
+  quantity: number;
+  unitPrice: number;
+  totalPrice: number;
+  notes?: string;
+  quantityReserved?: number;
+  quantityBackordered?: number;
+  quantityShipped?: number;
+  quantityCancelled?: number;
+  quantityReturned?: number; // received back from the customer on an RMA
+  quantityInvoiced?: number; // billed on invoices that are not cancelled
+  reservations?: LineReservation[];
+  costOfGoods?: number;
+  pricing?: AppliedPrice;
+  tax?: LineTax;
+}
+
+// How the order's tax was worked out: where it was sourced, the certificate that
+// exempted it and anything the salesperson should know (e.g. an expired certificate)
+export interface OrderTaxDetail {
+  address: TaxAddress;
+  source: 'shipping_address' | 'jobsite';
+  rateTableVersion: string;
+  shipping: LineTax;
+  exemptionCertificateIds: string[];
+  warnings: string[];
+  calculatedAt: Date;
+}
+
+export interface OrderStatusChange {
+  from: OrderStatus;
+  to: OrderStatus;
+  at: Date;
+  by: string;
+  notes?: string;
+}
+
+export interface Order {
+  id: string;
+  orderNumber: string;
+  customerId: string;
+  customerName: string;
+  projectId?: string; // contract prices for the project apply
+  deliverToJobsite?: boolean; // taxed at the project's jobsite address
+  quoteId?: string; // the quote the order was converted from
+  deliveryWindow?: { start: Date; end: Date }; // when the customer can take delivery
+  items: OrderItem[];
+  subtotal: number;
+  tax: number;
+  taxDetail?: OrderTaxDetail;
+  shipping: number;
+  discount: number;
+  total: number;
+  status: OrderStatus;
+  paymentStatus: 'pending' | 'paid' | 'partial' | 'overdue' | 'refunded';
+  shippingAddress: Address;
+  billingAddress: Address;
+  notes?: string;
+  expectedDelivery?: Date;
+  actualDelivery?: Date;
+  hasBackorder?: boolean;
+  shipmentIds?: string[];
+  costOfGoods?: number;
+  statusHistory?: OrderStatusChange[];
+  cancelledAt?: Date;
+  cancellationReason?: string;
+  approvalStatus?: 'pending' | 'approved' | 'rejected'; // of its price override and credit exception requests
+  invoiceIds?: string[];
+  // The invoice that billed freight, freight tax and discount; null once that one is
+  // cancelled. Absent on orders invoiced before it was recorded.
+  freightInvoiceId?: string | null;
+  fullyInvoiced?: boolean;
+  createdAt: Date;
+  updatedAt: Date;
+  createdBy: string;
+}
+
+export interface ShipmentItem {
+  orderItemId: string;
+  productId: string;
+  quantityShipped: number;
+  serialNumbers?: string[];
+  lotNumbers?: string[];
+  costOfGoods?: number;
+}
+
+export interface Shipment {
+  id: string;
+  shipmentNumber: string;
+  orderId: string;
+  orderNumber: string;
+  trackingNumber?: string;
+  carrier: string;
+  service: string;
+  weight?: number;
+  status: 'shipped' | 'delivered';
+  shippedDate: Date;
+  estimatedDelivery?: Date;
+  actualDelivery?: Date;
+  items: ShipmentItem[];
+  loadId?: string; // delivered on one of our own truck loads
+  proofOfDelivery?: ProofOfDelivery;
+  createdBy: string;
+}
+
+export interface ProofOfDelivery {
+  receivedBy: string;
+  deliveredAt: Date;
+  signature?: string;  // captured signature image, base64
+  photos?: string[];   // URLs of drop-off photos
+  notes?: string;
+  // Anything not accepted as shipped: short, damaged or refused
+  exceptions?: Array<{ orderItemId: string; quantity: number; reason: 'short' | 'damaged' | 'refused'; notes?: string }>;
+  recordedBy: string;
+}
+
+export interface Backorder {
+  id: string;
+  orderId: string;
+  orderNumber: string;
+  orderItemId: string;
+  productId: string;
+  quantity: number; // still outstanding
+  originalQuantity: number;
+  status: 'open' | 'filled' | 'cancelled';
+  filledAt?: Date;
+  createdAt: Date;
+}
+
+// Allowed status changes. Confirmation, shipping and cancellation have dedicated
+// operations in OrderFulfillmentService because they move stock; the rest are
+// plain status changes.
+export const ORDER_TRANSITIONS: Record<OrderStatus, OrderStatus[]> = {
+  draft: ['pending', 'confirmed', 'cancelled'],
+  pending: ['draft', 'confirmed', 'cancelled'],
+  confirmed: ['processing', 'partially_shipped', 'shipped', 'cancelled'],
+  processing: ['partially_shipped', 'shipped', 'cancelled'],
+  partially_shipped: ['partially_shipped', 'shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+export class InvalidOrderTransitionError extends Error {
+  constructor(public from: OrderStatus, public to: OrderStatus) {
+    super(`Cannot move order from ${from} to ${to}` +
+      (ORDER_TRANSITIONS[from]?.length
+        ? ` (allowed: ${ORDER_TRANSITIONS[from].join(', ')})`
+        : ` (${from} is final)`));
+    this.name = 'InvalidOrderTransitionError';
+  }
+}
+
+export function canTransition(from: OrderStatus, to: OrderStatus): boolean {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+export function assertTransition(from: OrderStatus, to: OrderStatus): void {
+  if (!canTransition(from, to)) {
+    throw new InvalidOrderTransitionError(from, to);
+  }
+}
+
+// Quantity on the line that has neither shipped nor been cancelled
+export function outstandingQuantity(item: OrderItem): number {
+  return item.quantity - (item.quantityShipped || 0) - (item.quantityCancelled || 0);
+}
+
+// Status implied by the line quantities after a shipment or cancellation
+export function deriveFulfillmentStatus(order: Order): OrderStatus {
+  const outstanding = order.items.reduce((sum, item) => sum + outstandingQuantity(item), 0);
+  const shipped = order.items.reduce((sum, item) => sum + (item.quantityShipped || 0), 0);
+
+  if (outstanding === 0) {
+    return shipped > 0 ? 'shipped' : 'cancelled';
+  }
+  return shipped > 0 ? 'partially_shipped' : order.status;
+}
+
+// Freight on an order (or a quote for one): free over $500
+export function shippingChargeFor(subtotal: number): number {
+  return subtotal > 500 ? 0 : 50;
+}
+
+// ORD-YYYYMM-0001, numbered within the month. Drafts can be deleted, so the next number
+// follows the highest one issued rather than the count. Call it with the transaction that
+// creates the order: the unique index turns a concurrent duplicate into a retry.
+export async function generateOrderNumber(
+  reader: { find<T>(collection: string, query: any): Promise<T[]> }
+): Promise<string> {
+  const year = new Date().getFullYear();
+  const month = String(new Date().getMonth() + 1).padStart(2, '0');
+  const prefix = `ORD-${year}${month}-`;
+  const ordersThisMonth = await reader.find<Order>('orders', {
+    orderNumber: { $regex: `^${prefix}` }
+  });
+
+  const highest = ordersThisMonth.reduce(
+    (max, order) => Math.max(max, parseInt(order.orderNumber.slice(prefix.length), 10) || 0), 0);
+  const sequence = String(highest + 1).padStart(4, '0');
+  return `${prefix}${sequence}`;
+}
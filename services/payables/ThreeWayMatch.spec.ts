@@ -0,0 +1,139 @@
+// services/payables/ThreeWayMatch.spec.ts
+import {
+  MatchException,
+  MatchInvoiceLine,
+  MatchPurchaseLine,
+  MatchReceiptLine,
+  carryOverResolutions,
+  findPurchaseLine,
+  matchInvoice,
+  resolveTolerances
+} from './ThreeWayMatch';
+
+const purchaseLines: MatchPurchaseLine[] = [
+  { id: 'poi_rebar', productId: 'prod_rebar', productName: 'Rebar #4', quantity: 100, unitCost: 5 },
+  { id: 'poi_cement', productId: 'prod_cement', productName: 'Portland Cement', quantity: 40, unitCost: 12.5 }
+];
+
+function line(overrides: Partial<MatchInvoiceLine> = {}): MatchInvoiceLine {
+  const quantity = overrides.quantity ?? 100;
+  const unitPrice = overrides.unitPrice ?? 5;
+  return {
+    id: 'apl_1',
+    purchaseItemId: 'poi_rebar',
+    description: 'Rebar #4',
+    quantity,
+    unitPrice,
+    lineTotal: Math.round(quantity * unitPrice * 100) / 100,
+    ...overrides
+  };
+}
+
+function match(params: {
+  lines: MatchInvoiceLine[];
+  receipts?: MatchReceiptLine[];
+  previouslyInvoiced?: Record<string, number>;
+  tax?: number;
+  shipping?: number;
+  statedSubtotal?: number;
+  statedTotal?: number;
+}) {
+  let sequence = 0;
+  return matchInvoice({
+    tax: 0,
+    shipping: 0,
+    purchaseLines,
+    receipts: [{ poItemId: 'poi_rebar', quantityReceived: 100, condition: 'good' }],
+    previouslyInvoiced: {},
+    tolerances: resolveTolerances({ priceTolerancePercent: 2, quantityTolerancePercent: 0, totalToleranceAmount: 1 }),
+    generateId: () => `apx_${++sequence}`,
+    ...params
+  });
+}
+
+const types = (exceptions: MatchException[]) => exceptions.map(exception => exception.type);
+
+describe('findPurchaseLine', () => {
+  it('pairs by PO line id, then product, then description', () => {
+    expect(findPurchaseLine(line({ purchaseItemId: 'poi_cement' }), purchaseLines)?.id).toBe('poi_cement');
+    expect(findPurchaseLine(line({ purchaseItemId: undefined, productId: 'prod_cement' }), purchaseLines)?.id).toBe('poi_cement');
+    expect(findPurchaseLine(line({ purchaseItemId: undefined, description: ' portland cement ' }), purchaseLines)?.id).toBe('poi_cement');
+    expect(findPurchaseLine(line({ purchaseItemId: 'poi_missing' }), purchaseLines)).toBeUndefined();
+  });
+});
+
+describe('matchInvoice', () => {
+  it('matches an invoice that bills what was ordered and received', () => {
+    const result = match({ lines: [line()], statedSubtotal: 500, statedTotal: 500 });
+    expect(result.exceptions).toEqual([]);
+    expect(result.lines[0]).toMatchObject({ matched: true, orderedQuantity: 100, receivedQuantity: 100, invoicedQuantity: 100 });
+  });
+
+  it('flags a price above the PO cost beyond the tolerance, but not within it or below it', () => {
+    expect(types(match({ lines: [line({ unitPrice: 5.1 })] }).exceptions)).toEqual([]);
+    expect(types(match({ lines: [line({ unitPrice: 4 })] }).exceptions)).toEqual([]);
+
+    const result = match({ lines: [line({ unitPrice: 5.5 })] });
+    expect(types(result.exceptions)).toEqual(['price_variance']);
+    expect(result.exceptions[0]).toMatchObject({ expected: 5, actual: 5.5, status: 'open' });
+    expect(result.lines[0]).toMatchObject({ matched: false, priceVariancePercent: 10 });
+  });
+
+  it('flags quantities billed beyond what was received in good condition', () => {
+    const result = match({
+      lines: [line()],
+      receipts: [
+        { poItemId: 'poi_rebar', quantityReceived: 60, condition: 'good' },
+        { poItemId: 'poi_rebar', quantityReceived: 40, condition: 'damaged' }
+      ]
+    });
+    expect(types(result.exceptions)).toEqual(['quantity_not_received']);
+    expect(result.exceptions[0]).toMatchObject({ expected: 60, actual: 100 });
+  });
+
+  it('counts quantities billed on earlier invoices and earlier lines of the same invoice', () => {
+    const earlier = match({ lines: [line({ quantity: 30 })], previouslyInvoiced: { poi_rebar: 80 } });
+    expect(types(earlier.exceptions)).toEqual(['quantity_not_received', 'quantity_exceeds_order']);
+    expect(earlier.lines[0].previouslyInvoicedQuantity).toBe(80);
+
+    const split = match({ lines: [line({ quantity: 60 }), line({ id: 'apl_2', quantity: 60 })] });
+    expect(split.lines.map(result => result.matched)).toEqual([true, false]);
+    expect(split.exceptions[0]).toMatchObject({ lineId: 'apl_2', actual: 120 });
+  });
+
+  it('flags lines that match nothing on the PO', () => {
+    const result = match({ lines: [line({ purchaseItemId: undefined, description: 'Lumber' })] });
+    expect(types(result.exceptions)).toEqual(['unmatched_line']);
+    expect(result.lines[0].matched).toBe(false);
+  });
+
+  it('flags a stated line amount that is not quantity × unit price', () => {
+    // 10 @ $5 billed as $5,000
+    const result = match({ lines: [line({ quantity: 10, statedLineTotal: 5000 })], statedSubtotal: 5000, statedTotal: 5000 });
+    expect(types(result.exceptions)).toEqual(['line_amount_mismatch', 'total_mismatch', 'total_mismatch']);
+    expect(result.exceptions[0]).toMatchObject({ expected: 50, actual: 5000 });
+    expect(result.lines[0].matched).toBe(false);
+  });
+
+  it('compares the stated total with the lines, tax and freight', () => {
+    expect(match({ lines: [line()], tax: 40, shipping: 25, statedTotal: 565 }).exceptions).toEqual([]);
+    expect(match({ lines: [line()], tax: 40, shipping: 25, statedTotal: 565.5 }).exceptions).toEqual([]);
+
+    const result = match({ lines: [line()], tax: 40, shipping: 25, statedTotal: 600 });
+    expect(types(result.exceptions)).toEqual(['total_mismatch']);
+    expect(result.exceptions[0]).toMatchObject({ expected: 565, actual: 600 });
+  });
+});
+
+describe('carryOverResolutions', () => {
+  it('keeps a sign-off when the same discrepancy is found again', () => {
+    const first = match({ lines: [line({ unitPrice: 5.5 })] }).exceptions;
+    const approved = first.map(exception => ({ ...exception, status: 'approved' as const, resolvedBy: 'user_ap' }));
+
+    const again = carryOverResolutions(approved, match({ lines: [line({ unitPrice: 5.5 })] }).exceptions);
+    expect(again[0]).toMatchObject({ status: 'approved', resolvedBy: 'user_ap' });
+
+    const changed = carryOverResolutions(approved, match({ lines: [line({ unitPrice: 6 })] }).exceptions);
+    expect(changed[0].status).toBe('open');
+  });
+});
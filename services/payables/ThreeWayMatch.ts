@@ -0,0 +1,265 @@
+// services/payables/ThreeWayMatch.ts
+
+export interface MatchTolerances {
+  priceTolerancePercent: number;    // how far above the PO unit cost a billed price may be
+  quantityTolerancePercent: number; // how far above the received quantity a billed quantity may be
+  totalToleranceAmount: number;     // rounding allowed between the supplier's amounts and ours
+}
+
+export type MatchExceptionType =
+  | 'unmatched_line'
+  | 'price_variance'
+  | 'quantity_not_received'
+  | 'quantity_exceeds_order'
+  | 'line_amount_mismatch'
+  | 'total_mismatch';
+
+export interface MatchException {
+  id: string;
+  type: MatchExceptionType;
+  lineId?: string;
+  purchaseItemId?: string;
+  message: string;
+  expected: number;
+  actual: number;
+  status: 'open' | 'approved' | 'rejected';
+  resolvedBy?: string;
+  resolvedAt?: Date;
+  resolutionNotes?: string;
+}
+
+export interface MatchInvoiceLine {
+  id: string;
+  purchaseItemId?: string;
+  productId?: string;
+  description: string;
+  quantity: number;
+  unitPrice: number;
+  lineTotal: number;        // quantity × unit price, worked out by us
+  statedLineTotal?: number; // the amount on the supplier's invoice, when it gives one
+}
+
+export interface MatchPurchaseLine {
+  id: string;
+  productId: string;
+  productName: string;
+  quantity: number;
+  unitCost: number;
+}
+
+export interface MatchReceiptLine {
+  poItemId: string;
+  quantityReceived: number;
+  condition: 'good' | 'damaged' | 'defective';
+}
+
+export interface MatchLineResult {
+  lineId: string;
+  purchaseItemId?: string;
+  orderedQuantity: number;
+  receivedQuantity: number;
+  previouslyInvoicedQuantity: number;
+  invoicedQuantity: number;
+  poUnitCost: number;
+  invoicedUnitPrice: number;
+  priceVariancePercent: number;
+  matched: boolean;
+}
+
+export interface MatchResult {
+  lines: MatchLineResult[];
+  exceptions: MatchException[];
+  matchedAt: Date;
+  tolerances: MatchTolerances;
+}
+
+export const DEFAULT_MATCH_TOLERANCES: MatchTolerances = {
+  priceTolerancePercent: Number(process.env.AP_PRICE_TOLERANCE_PERCENT ?? 2),
+  quantityTolerancePercent: Number(process.env.AP_QUANTITY_TOLERANCE_PERCENT ?? 0),
+  totalToleranceAmount: Number(process.env.AP_TOTAL_TOLERANCE_AMOUNT ?? 1)
+};
+
+export function resolveTolerances(overrides?: Partial<MatchTolerances>): MatchTolerances {
+  return { ...DEFAULT_MATCH_TOLERANCES, ...(overrides || {}) };
+}
+
+// Pairs an invoice line with its PO line: an explicit purchaseItemId wins, then the
+// product code, then the description.
+export function findPurchaseLine(
+  line: MatchInvoiceLine,
+  purchaseLines: MatchPurchaseLine[]
+): MatchPurchaseLine | undefined {
+  if (line.purchaseItemId) {
+    return purchaseLines.find(item => item.id === line.purchaseItemId);
+  }
+  if (line.productId) {
+    const byProduct = purchaseLines.find(item => item.productId === line.productId);
+    if (byProduct) return byProduct;
+  }
+  const description = line.description?.trim().toLowerCase();
+  return purchaseLines.find(item => item.productName?.trim().toLowerCase() === description);
+}
+
+// Compares the supplier's bill with what was ordered and what was received. Only
+// over-billing is an exception: paying less than the PO price, or billing less than
+// was received so far, is normal. Quantities already billed on other invoices for the
+// same PO line count towards the received quantity. Damaged or defective receipts do
+// not count as received for billing. Amounts the supplier printed that differ from
+// ours (a line total, the subtotal or the total) are exceptions too: we pay our figures.
+export function matchInvoice(params: {
+  lines: MatchInvoiceLine[];
+  tax: number;
+  shipping: number;
+  statedSubtotal?: number;
+  statedTotal?: number;
+  purchaseLines: MatchPurchaseLine[];
+  receipts: MatchReceiptLine[];
+  previouslyInvoiced: Record<string, number>;
+  tolerances: MatchTolerances;
+  generateId: () => string;
+}): MatchResult {
+  const { lines, purchaseLines, receipts, previouslyInvoiced, tolerances, generateId } = params;
+  const exceptions: MatchException[] = [];
+  const results: MatchLineResult[] = [];
+  const billedThisInvoice: Record<string, number> = {};
+
+  const exception = (data: Omit<MatchException, 'id' | 'status'>) => {
+    exceptions.push({ id: generateId(), status: 'open', ...data });
+  };
+
+  const round = (value: number) => Math.round(value * 100) / 100;
+  const differs = (stated: number | undefined, expected: number) =>
+    stated !== undefined && Math.abs(stated - expected) > tolerances.totalToleranceAmount;
+
+  for (const line of lines) {
+    const exceptionCount = exceptions.length;
+    if (differs(line.statedLineTotal, line.lineTotal)) {
+      exception({
+        type: 'line_amount_mismatch',
+        lineId: line.id,
+        message: `Invoice line "${line.description}" is billed at ${line.statedLineTotal} but ` +
+          `${line.quantity} × ${line.unitPrice} is ${line.lineTotal}`,
+        expected: line.lineTotal,
+        actual: line.statedLineTotal!
+      });
+    }
+
+    const poLine = findPurchaseLine(line, purchaseLines);
+    if (!poLine) {
+      exception({
+        type: 'unmatched_line',
+        lineId: line.id,
+        message: `Invoice line "${line.description}" does not match any line on the purchase order`,
+        expected: 0,
+        actual: line.lineTotal
+      });
+      results.push({
+        lineId: line.id,
+        orderedQuantity: 0,
+        receivedQuantity: 0,
+        previouslyInvoicedQuantity: 0,
+        invoicedQuantity: line.quantity,
+        poUnitCost: 0,
+        invoicedUnitPrice: line.unitPrice,
+        priceVariancePercent: 0,
+        matched: false
+      });
+      continue;
+    }
+
+    const received = receipts
+      .filter(receipt => receipt.poItemId === poLine.id && receipt.condition === 'good')
+      .reduce((sum, receipt) => sum + receipt.quantityReceived, 0);
+    const before = (previouslyInvoiced[poLine.id] || 0) + (billedThisInvoice[poLine.id] || 0);
+    const cumulative = before + line.quantity;
+    billedThisInvoice[poLine.id] = (billedThisInvoice[poLine.id] || 0) + line.quantity;
+
+    const priceVariancePercent = poLine.unitCost > 0
+      ? Math.round(((line.unitPrice - poLine.unitCost) / poLine.unitCost) * 10000) / 100
+      : (line.unitPrice > 0 ? 100 : 0);
+
+    if (priceVariancePercent > tolerances.priceTolerancePercent) {
+      exception({
+        type: 'price_variance',
+        lineId: line.id,
+        purchaseItemId: poLine.id,
+        message: `${poLine.productName}: billed at ${line.unitPrice} against PO cost ${poLine.unitCost} ` +
+          `(${priceVariancePercent}% over, tolerance ${tolerances.priceTolerancePercent}%)`,
+        expected: poLine.unitCost,
+        actual: line.unitPrice
+      });
+    }
+
+    if (cumulative > received * (1 + tolerances.quantityTolerancePercent / 100)) {
+      exception({
+        type: 'quantity_not_received',
+        lineId: line.id,
+        purchaseItemId: poLine.id,
+        message: `${poLine.productName}: ${cumulative} billed in total but only ${received} received`,
+        expected: received,
+        actual: cumulative
+      });
+    }
+
+    if (cumulative > poLine.quantity * (1 + tolerances.quantityTolerancePercent / 100)) {
+      exception({
+        type: 'quantity_exceeds_order',
+        lineId: line.id,
+        purchaseItemId: poLine.id,
+        message: `${poLine.productName}: ${cumulative} billed in total against ${poLine.quantity} ordered`,
+        expected: poLine.quantity,
+        actual: cumulative
+      });
+    }
+
+    results.push({
+      lineId: line.id,
+      purchaseItemId: poLine.id,
+      orderedQuantity: poLine.quantity,
+      receivedQuantity: received,
+      previouslyInvoicedQuantity: before,
+      invoicedQuantity: line.quantity,
+      poUnitCost: poLine.unitCost,
+      invoicedUnitPrice: line.unitPrice,
+      priceVariancePercent,
+      matched: exceptions.length === exceptionCount
+    });
+  }
+
+  const linesTotal = round(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  if (differs(params.statedSubtotal, linesTotal)) {
+    exception({
+      type: 'total_mismatch',
+      message: `Invoice subtotal ${params.statedSubtotal} does not equal the sum of its lines ${linesTotal}`,
+      expected: linesTotal,
+      actual: params.statedSubtotal!
+    });
+  }
+  const total = round(linesTotal + params.tax + params.shipping);
+  if (differs(params.statedTotal, total)) {
+    exception({
+      type: 'total_mismatch',
+      message: `Invoice total ${params.statedTotal} does not equal its lines, tax and freight ${total}`,
+      expected: total,
+      actual: params.statedTotal!
+    });
+  }
+
+  return { lines: results, exceptions, matchedAt: new Date(), tolerances };
+}
+
+// Carries sign-offs over when a re-match raises the same exception again, so a
+// receipt arriving later doesn't undo an approval that is still relevant.
+export function carryOverResolutions(previous: MatchException[], next: MatchException[]): MatchException[] {
+  return next.map(exception => {
+    const prior = previous.find(old =>
+      old.status !== 'open' &&
+      old.type === exception.type &&
+      old.lineId === exception.lineId &&
+      old.actual === exception.actual &&
+      old.expected === exception.expected);
+    return prior
+      ? { ...exception, status: prior.status, resolvedBy: prior.resolvedBy, resolvedAt: prior.resolvedAt, resolutionNotes: prior.resolutionNotes }
+      : exception;
+  });
+}
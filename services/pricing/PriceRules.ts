@@ -0,0 +1,185 @@
+// services/pricing/PriceRules.ts
+
+export type PriceListType = 'price_level' | 'customer' | 'contract' | 'promotion';
+
+export const PRICE_LIST_TYPES: PriceListType[] = ['price_level', 'customer', 'contract', 'promotion'];
+
+export type PriceSource = PriceListType | 'base' | 'manual' | 'quote';
+
+// Buying at least minQuantity in one line earns unitPrice
+export interface QuantityBreak {
+  minQuantity: number;
+  unitPrice: number;
+}
+
+export interface PriceListEntry {
+  productId: string;
+  unitPrice: number;
+  breaks?: QuantityBreak[];
+  effectiveFrom?: Date;
+  effectiveTo?: Date;
+}
+
+// One set of prices and who it applies to:
+// - price_level: customers on priceLevel
+// - customer: one customer
+// - contract: one customer's orders for one project
+// - promotion: everyone (or only priceLevels) between the list's effective dates
+export interface PriceList {
+  id: string;
+  name: string;
+  type: PriceListType;
+  priceLevel?: string;
+  priceLevels?: string[];
+  customerId?: string;
+  projectId?: string;
+  effectiveFrom?: Date;
+  effectiveTo?: Date;
+  status: 'active' | 'inactive';
+  entries: PriceListEntry[];
+  notes?: string;
+  createdAt: Date;
+  updatedAt: Date;
+  createdBy: string;
+}
+
+// Recorded on every priced line so the price can be explained later
+export interface AppliedPrice {
+  source: PriceSource;
+  priceListId?: string;
+  priceListName?: string;
+  breakQuantity?: number;
+  basePrice: number;
+  resolvedPrice: number;
+  // For a manual price, the rule whose resolvedPrice it replaced
+  overrides?: PriceSource;
+  // For a price carried over from a quote, the quote that locked it
+  quoteId?: string;
+  quoteNumber?: string;
+  pricedAt: Date;
+}
+
+export interface PricingCustomer {
+  id: string;
+  priceLevel?: string;
+  loyaltyTier?: string;
+}
+
+// Customers without an explicit price level are priced at their loyalty tier
+export function priceLevelOf(customer: PricingCustomer): string | undefined {
+  return customer.priceLevel || customer.loyaltyTier;
+}
+
+export function isEffective(item: { effectiveFrom?: Date; effectiveTo?: Date }, at: Date): boolean {
+  if (item.effectiveFrom && new Date(item.effectiveFrom) > at) return false;
+  if (item.effectiveTo && new Date(item.effectiveTo) < at) return false;
+  return true;
+}
+
+export function appliesTo(
+  list: PriceList,
+  customer: PricingCustomer,
+  projectId: string | undefined,
+  at: Date
+): boolean {
+  if (list.status !== 'active' || !isEffective(list, at)) return false;
+
+  switch (list.type) {
+    case 'contract':
+      return list.customerId === customer.id && Boolean(projectId) && list.projectId === projectId;
+    case 'customer':
+      return list.customerId === customer.id;
+    case 'price_level':
+      return list.priceLevel === priceLevelOf(customer);
+    case 'promotion':
+      return !list.priceLevels?.length || list.priceLevels.includes(priceLevelOf(customer) || '');
+  }
+}
+
+// The entry's price at a quantity: the deepest break the quantity reaches, else the entry price
+export function entryPrice(entry: PriceListEntry, quantity: number): { unitPrice: number; breakQuantity?: number } {
+  const reached = (entry.breaks || [])
+    .filter(tier => quantity >= tier.minQuantity)
+    .sort((a, b) => b.minQuantity - a.minQuantity)[0];
+  return reached
+    ? { unitPrice: reached.unitPrice, breakQuantity: reached.minQuantity }
+    : { unitPrice: entry.unitPrice };
+}
+
+// A contract price always wins for its project. Otherwise the customer gets the lowest
+// of their own list, any running promotion and their price level, and the product's
+// base price when no list covers it.
+export function resolvePrice(
+  lists: PriceList[],
+  customer: PricingCustomer,
+  productId: string,
+  quantity: number,
+  basePrice: number,
+  options: { projectId?: string; at?: Date } = {}
+): AppliedPrice {
+  const at = options.at || new Date();
+  const candidates: AppliedPrice[] = [];
+
+  for (const list of lists) {
+    if (!appliesTo(list, customer, options.projectId, at)) continue;
+    const entry = list.entries.find(item => item.productId === productId && isEffective(item, at));
+    if (!entry) continue;
+
+    const price = entryPrice(entry, quantity);
+    candidates.push({
+      source: list.type,
+      priceListId: list.id,
+      priceListName: list.name,
+      breakQuantity: price.breakQuantity,
+      basePrice,
+      resolvedPrice: price.unitPrice,
+      pricedAt: at
+    });
+  }
+
+  const contract = candidates.find(candidate => candidate.source === 'contract');
+  if (contract) return contract;
+
+  const lowest = candidates.sort((a, b) => a.resolvedPrice - b.resolvedPrice)[0];
+  return lowest || { source: 'base', basePrice, resolvedPrice: basePrice, pricedAt: at };
+}
+
+// Checks entries from a request, returning them with numbers and dates parsed
+export function validateEntries(entries: any[]): PriceListEntry[] {
+  if (!Array.isArray(entries)) {
+    throw new Error('entries must be an array');
+  }
+
+  const seen = new Set<string>();
+  return entries.map(entry => {
+    if (!entry?.productId) {
+      throw new Error('Every price list entry needs a productId');
+    }
+    if (seen.has(entry.productId)) {
+      throw new Error(`Product ${entry.productId} appears more than once`);
+    }
+    seen.add(entry.productId);
+
+    const unitPrice = Number(entry.unitPrice);
+    if (!(unitPrice >= 0)) {
+      throw new Error(`Price for ${entry.productId} must be zero or more`);
+    }
+
+    const breaks = (entry.breaks || []).map((tier: any) => {
+      const minQuantity = Number(tier.minQuantity);
+      const price = Number(tier.unitPrice);
+      if (!(minQuantity > 1) || !(price >= 0)) {
+        throw new Error(`Quantity breaks for ${entry.productId} need a minQuantity above 1 and a price`);
+      }
+      return { minQuantity, unitPrice: price };
+    });
+
+    return {
+      productId: entry.productId,
+      unitPrice,
+      ...(breaks.length > 0 && { breaks }),
+      ...(entry.effectiveFrom && { effectiveFrom: new Date(entry.effectiveFrom) }),
+      ...(entry.effectiveTo && { effectiveTo: new Date(entry.effectiveTo) })
+    };
+  });
+}
@@ -0,0 +1,117 @@
+// services/projects/Projects.ts
+import { Address, LineReservation } from '../orders/OrderLifecycle';
+
+export interface Project {
+  id: string;
+  projectNumber: string;
+  name: string;
+  description: string;
+  customerId: string;
+  customerName: string;
+  status: 'planning' | 'active' | 'on_hold' | 'completed' | 'cancelled';
+  priority: 'low' | 'medium' | 'high' | 'critical';
+  startDate: Date;
+  expectedEndDate: Date;
+  actualEndDate?: Date;
+  budget: number;          // current cost budget, including approved change orders
+  originalBudget?: number; // the budget the project was set up with
+  actualCost: number;      // as of the last job cost roll-up
+  margin: number;          // project order revenue less actual cost, as of the same roll-up
+  projectManager: string;
+  address: string;
+  jobsiteAddress?: Address; // orders delivered to the jobsite are taxed here
+  notes?: string;
+  materials: ProjectMaterial[];
+  milestones: ProjectMilestone[];
+  costsUpdatedAt?: Date;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+// allocatedQuantity is stock reserved for the project (held by reservations) and not yet
+// used; usedQuantity has been issued out of stock to the job
+export interface ProjectMaterial {
+  id: string;
+  productId: string;
+  productName: string;
+  quantity: number;
+  unitCost: number;
+  totalCost: number;
+  allocatedQuantity: number;
+  usedQuantity: number;
+  reservations?: LineReservation[];
+  milestoneId?: string;     // needed for this milestone; requisitions order against its dates
+  neededBy?: Date;          // overrides the milestone date
+  quoteId?: string;         // added from an accepted quote, at the quoted price
+  takeoffCategory?: string; // added from a material takeoff, under this category
+}
+
+export interface ProjectMilestone {
+  id: string;
+  name: string;
+  description: string;
+  targetDate: Date;
+  actualDate?: Date;
+  status: 'pending' | 'in_progress' | 'completed' | 'delayed';
+  dependencies: string[];
+  durationDays?: number;
+  // Written by the scheduler
+  forecastDate?: Date;
+  slipDays?: number;
+  delayedBy?: string[];
+  critical?: boolean;
+}
+
+export interface ChangeOrder {
+  id: string;
+  changeOrderNumber: string;
+  projectId: string;
+  projectNumber: string;
+  description: string;
+  reason?: string;
+  amount: number;             // change to the budget; negative for a credit
+  scheduleImpactDays?: number; // moves the expected end date
+  status: 'pending' | 'approved' | 'rejected';
+  requestedAt: Date;
+  requestedBy: string;
+  reviewedAt?: Date;
+  reviewedBy?: string;
+  reviewNotes?: string;
+}
+
+// One cost charged to a project, e.g. material issued out of stock to the job
+export interface ProjectCostEntry {
+  id: string;
+  projectId: string;
+  type: 'material';
+  source: 'stock_issue';
+  materialId: string;
+  productId: string;
+  productName: string;
+  quantity: number;
+  cost: number;
+  reference: string;
+  postedAt: Date;
+  postedBy: string;
+}
+
+export interface JobCostSummary {
+  projectId: string;
+  projectNumber: string;
+  originalBudget: number;
+  approvedChanges: number;
+  pendingChanges: number;
+  budget: number;
+  actual: {
+    materialsIssued: number; // stock issued to the job
+    ordersShipped: number;   // cost of goods shipped on the project's sales orders
+    total: number;
+  };
+  committed: number;         // open purchase orders for the project, not yet received
+  forecastCost: number;      // actual + committed
+  variance: number;          // budget - actual
+  forecastVariance: number;  // budget - forecast
+  percentUsed: number;
+  revenue: number;           // value of the project's sales orders
+  margin: number;
+}
@@ -0,0 +1,166 @@
+// services/projects/Schedule.ts
+import { ProjectMilestone } from './Projects';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface ScheduledMilestone {
+  id: string;
+  name: string;
+  status: ProjectMilestone['status'];
+  durationDays: number;
+  targetDate: Date;
+  earlyStart: Date;
+  earlyFinish: Date;   // the forecast finish
+  lateStart: Date;
+  lateFinish: Date;
+  slackDays: number;
+  critical: boolean;
+  slipDays: number;    // forecast (or actual) finish past the target date
+  delayedBy: string[]; // late predecessors pushing this milestone out
+}
+
+export interface ProjectSchedule {
+  milestones: ScheduledMilestone[];
+  criticalPath: string[];
+  projectedEndDate: Date;
+  slipDays: number; // projected end past the project's expected end date
+}
+
+function addDays(date: Date, days: number): Date {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function daysBetween(from: Date, to: Date): number {
+  return Math.round((to.getTime() - from.getTime()) / DAY_MS);
+}
+
+// Orders milestones so each comes after everything it depends on
+export function orderByDependencies(milestones: ProjectMilestone[]): ProjectMilestone[] {
+  const byId = new Map(milestones.map(milestone => [milestone.id, milestone]));
+  for (const milestone of milestones) {
+    for (const dependency of milestone.dependencies || []) {
+      if (!byId.has(dependency)) {
+        throw new Error(`Milestone ${milestone.name} depends on unknown milestone ${dependency}`);
+      }
+      if (dependency === milestone.id) {
+        throw new Error(`Milestone ${milestone.name} cannot depend on itself`);
+      }
+    }
+  }
+
+  const ordered: ProjectMilestone[] = [];
+  const state = new Map<string, 'visiting' | 'done'>();
+  const visit = (milestone: ProjectMilestone, path: string[]) => {
+    if (state.get(milestone.id) === 'done') return;
+    if (state.get(milestone.id) === 'visiting') {
+      throw new Error(`Milestone dependencies form a cycle: ${[...path, milestone.name].join(' -> ')}`);
+    }
+    state.set(milestone.id, 'visiting');
+    for (const dependency of milestone.dependencies || []) {
+      visit(byId.get(dependency)!, [...path, milestone.name]);
+    }
+    state.set(milestone.id, 'done');
+    ordered.push(milestone);
+  };
+
+  milestones.forEach(milestone => visit(milestone, []));
+  return ordered;
+}
+
+// Critical path schedule. Forward pass: a milestone starts when the project starts or
+// its last predecessor finishes, and an unfinished milestone cannot finish before
+// today. Backward pass from the projected end gives each milestone's slack; those
+// with none are on the critical path. Durations not set on a milestone come from the
+// gap between its target date and its predecessors' target dates.
+export function scheduleMilestones(
+  milestones: ProjectMilestone[],
+  projectStart: Date,
+  projectEnd: Date,
+  today: Date = new Date()
+): ProjectSchedule {
+  const ordered = orderByDependencies(milestones);
+  const byId = new Map(ordered.map(milestone => [milestone.id, milestone]));
+  const scheduled = new Map<string, ScheduledMilestone>();
+
+  for (const milestone of ordered) {
+    const targetDate = new Date(milestone.targetDate);
+    const predecessors = (milestone.dependencies || []).map(id => scheduled.get(id)!);
+    const plannedStart = predecessors.reduce(
+      (latest, predecessor) => {
+        const target = new Date(byId.get(predecessor.id)!.targetDate);
+        return target > latest ? target : latest;
+      },
+      new Date(projectStart)
+    );
+    const durationDays = milestone.durationDays ?? Math.max(1, daysBetween(plannedStart, targetDate));
+
+    const earlyStart = predecessors.reduce(
+      (latest, predecessor) => predecessor.earlyFinish > latest ? predecessor.earlyFinish : latest,
+      new Date(projectStart)
+    );
+
+    let earlyFinish: Date;
+    if (milestone.status === 'completed') {
+      earlyFinish = milestone.actualDate ? new Date(milestone.actualDate) : targetDate;
+    } else {
+      earlyFinish = addDays(earlyStart, durationDays);
+      if (earlyFinish < today) earlyFinish = new Date(today);
+    }
+
+    const slipDays = Math.max(0, daysBetween(targetDate, earlyFinish));
+    const driving = predecessors.filter(predecessor =>
+      predecessor.slipDays > 0 && predecessor.earlyFinish.getTime() === earlyStart.getTime());
+
+    scheduled.set(milestone.id, {
+      id: milestone.id,
+      name: milestone.name,
+      status: milestone.status,
+      durationDays,
+      targetDate,
+      earlyStart,
+      earlyFinish,
+      lateStart: earlyStart,
+      lateFinish: earlyFinish,
+      slackDays: 0,
+      critical: false,
+      slipDays,
+      delayedBy: slipDays > 0 ? driving.map(predecessor => predecessor.id) : []
+    });
+  }
+
+  const projectedEndDate = [...scheduled.values()].reduce(
+    (latest, milestone) => milestone.earlyFinish > latest ? milestone.earlyFinish : latest,
+    new Date(projectStart)
+  );
+
+  const successors = new Map<string, string[]>();
+  for (const milestone of ordered) {
+    for (const dependency of milestone.dependencies || []) {
+      successors.set(dependency, [...(successors.get(dependency) || []), milestone.id]);
+    }
+  }
+
+  for (const milestone of [...ordered].reverse()) {
+    const entry = scheduled.get(milestone.id)!;
+    const next = (successors.get(milestone.id) || []).map(id => scheduled.get(id)!);
+    entry.lateFinish = next.reduce(
+      (earliest, successor) => successor.lateStart < earliest ? successor.lateStart : earliest,
+      projectedEndDate
+    );
+    const span = daysBetween(entry.earlyStart, entry.earlyFinish);
+    entry.lateStart = addDays(entry.lateFinish, -span);
+    entry.slackDays = Math.max(0, daysBetween(entry.earlyFinish, entry.lateFinish));
+    entry.critical = entry.slackDays === 0;
+  }
+
+  const result = ordered.map(milestone => scheduled.get(milestone.id)!);
+  return {
+    milestones: result,
+    criticalPath: result
+      .filter(milestone => milestone.critical)
+      .sort((a, b) => a.earlyStart.getTime() - b.earlyStart.getTime())
+      .map(milestone => milestone.id),
+    projectedEndDate,
+    slipDays: Math.max(0, daysBetween(new Date(projectEnd), projectedEndDate))
+  };
+}
@@ -0,0 +1,25 @@
+// services/purchasing/PurchaseNumbers.spec.ts
+import { generatePurchaseNumber } from './PurchaseNumbers';
+
+function reader(purchaseNumbers: string[]) {
+  return {
+    async find<T>(_collection: string, query: any): Promise<T[]> {
+      const prefix = new RegExp(query.purchaseNumber.$regex);
+      return purchaseNumbers.filter(number => prefix.test(number)).map(purchaseNumber => ({ purchaseNumber }) as any);
+    }
+  };
+}
+
+describe('generatePurchaseNumber', () => {
+  const january = new Date(2026, 0, 20);
+
+  it('starts each month at 0001', async () => {
+    expect(await generatePurchaseNumber(reader([]), january)).toBe('PO-202601-0001');
+    expect(await generatePurchaseNumber(reader(['PO-202512-0007']), january)).toBe('PO-202601-0001');
+  });
+
+  it('follows the highest number issued, so a deleted draft does not free its number', async () => {
+    expect(await generatePurchaseNumber(reader(['PO-202601-0001', 'PO-202601-0003']), january)).toBe('PO-202601-0004');
+    expect(await generatePurchaseNumber(reader(['PO-202601-0002-2']), january)).toBe('PO-202601-0003');
+  });
+});
@@ -0,0 +1,22 @@
+// services/purchasing/PurchaseNumbers.ts
+
+// PO-YYYYMM-0001, numbered within the month. Drafts can be deleted, so the next number
+// follows the highest one issued rather than the count. Call it with the transaction that
+// creates the purchase: the unique index turns a concurrent duplicate into a retry.
+export async function generatePurchaseNumber(
+  reader: { find<T>(collection: string, query: any): Promise<T[]> },
+  date: Date = new Date()
+): Promise<string> {
+  const prefix = purchaseNumberPrefix(date);
+  const purchasesThisMonth = await reader.find<{ purchaseNumber: string }>('purchases', {
+    purchaseNumber: { $regex: `^${prefix}` }
+  });
+
+  const highest = purchasesThisMonth.reduce(
+    (max, purchase) => Math.max(max, parseInt(purchase.purchaseNumber.slice(prefix.length), 10) || 0), 0);
+  return `${prefix}${String(highest + 1).padStart(4, '0')}`;
+}
+
+export function purchaseNumberPrefix(date: Date): string {
+  return `PO-${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}-`;
+}
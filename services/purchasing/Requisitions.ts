@@ -0,0 +1,233 @@
+// services/purchasing/Requisitions.ts
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Same assumption the supply chain optimizer makes for suppliers without a lead time
+export const DEFAULT_LEAD_TIME_DAYS = 7;
+
+// What is still to be sourced for one project material line
+export interface MaterialNeed {
+  projectId: string;
+  projectNumber: string;
+  materialId: string;
+  productId: string;
+  productName: string;
+  quantity: number;
+  neededBy: Date;
+}
+
+// Ties a purchase order line back to the project lines it was raised for
+export interface RequisitionSource {
+  projectId: string;
+  projectNumber: string;
+  materialId: string;
+  quantity: number;
+  neededBy: Date;
+}
+
+export interface OpenPurchaseLine {
+  purchaseId: string;
+  purchaseNumber: string;
+  productId: string;
+  openQuantity: number;
+  projectId?: string;                 // the whole purchase was bought for this project
+  requisitions?: RequisitionSource[]; // raised from requisitions for these project lines
+}
+
+export interface NettedNeed extends MaterialNeed {
+  fromStock: number;
+  fromPurchases: number;
+  shortfall: number;
+}
+
+export interface SupplierOption {
+  supplierId: string;
+  supplierName: string;
+  leadTimeDays: number;
+  minimumOrder: number;
+  unitCost: number;
+}
+
+export interface RequisitionLine {
+  productId: string;
+  productName: string;
+  quantity: number;
+  unitCost: number;
+  totalCost: number;
+  neededBy: Date;
+  orderBy: Date;           // latest date the order can go out and still arrive in time
+  expectedDelivery: Date;
+  late: boolean;           // cannot arrive by neededBy even if ordered today
+  sources: RequisitionSource[];
+  alternatives: SupplierOption[];
+}
+
+export interface SupplierRequisition {
+  supplierId: string;
+  supplierName: string;
+  leadTimeDays: number;
+  minimumOrder: number;
+  lines: RequisitionLine[];
+  total: number;
+  belowMinimum: boolean;
+}
+
+function materialKey(projectId: string, materialId: string): string {
+  return `${projectId}:${materialId}`;
+}
+
+function take(pool: Map<string, number>, key: string, wanted: number): number {
+  const available = pool.get(key) || 0;
+  const taken = Math.min(available, wanted);
+  if (taken > 0) pool.set(key, available - taken);
+  return taken;
+}
+
+// Nets material needs against supply, earliest need first. Open purchase lines raised
+// for a project line (or bought for the project) cover that project before anything
+// else; free stock and untagged open purchases cover whatever is left.
+export function netRequirements(
+  needs: MaterialNeed[],
+  freeStock: Map<string, number>,
+  openLines: OpenPurchaseLine[]
+): NettedNeed[] {
+  const byMaterial = new Map<string, number>();
+  const byProject = new Map<string, number>();
+  const general = new Map<string, number>();
+
+  for (const line of openLines) {
+    if (!(line.openQuantity > 0)) continue;
+    let remaining = line.openQuantity;
+    for (const source of line.requisitions || []) {
+      const covered = Math.min(source.quantity, remaining);
+      if (covered <= 0) break;
+      const key = materialKey(source.projectId, source.materialId);
+      byMaterial.set(key, (byMaterial.get(key) || 0) + covered);
+      remaining -= covered;
+    }
+    if (remaining <= 0) continue;
+    if (line.projectId) {
+      const key = `${line.projectId}:${line.productId}`;
+      byProject.set(key, (byProject.get(key) || 0) + remaining);
+    } else {
+      general.set(line.productId, (general.get(line.productId) || 0) + remaining);
+    }
+  }
+
+  const stock = new Map(freeStock);
+  return [...needs]
+    .sort((a, b) => new Date(a.neededBy).getTime() - new Date(b.neededBy).getTime())
+    .map(need => {
+      let remaining = need.quantity;
+      let fromPurchases = take(byMaterial, materialKey(need.projectId, need.materialId), remaining);
+      remaining -= fromPurchases;
+      const fromProjectPurchases = take(byProject, `${need.projectId}:${need.productId}`, remaining);
+      fromPurchases += fromProjectPurchases;
+      remaining -= fromProjectPurchases;
+      const fromStock = take(stock, need.productId, remaining);
+      remaining -= fromStock;
+      const fromOpenPurchases = take(general, need.productId, remaining);
+      fromPurchases += fromOpenPurchases;
+      remaining -= fromOpenPurchases;
+
+      return { ...need, fromStock, fromPurchases, shortfall: remaining };
+    });
+}
+
+// The first supplier, in order of preference, that can deliver by the date; when none
+// can, the one that gets it there soonest
+export function chooseSupplier(
+  options: SupplierOption[],
+  neededBy: Date,
+  today: Date = new Date()
+): { option: SupplierOption; orderBy: Date; expectedDelivery: Date; late: boolean } | null {
+  if (options.length === 0) return null;
+
+  const timing = (option: SupplierOption) => ({
+    option,
+    orderBy: new Date(new Date(neededBy).getTime() - option.leadTimeDays * DAY_MS),
+    expectedDelivery: new Date(today.getTime() + option.leadTimeDays * DAY_MS)
+  });
+
+  const inTime = options.map(timing).find(entry => entry.expectedDelivery <= new Date(neededBy));
+  if (inTime) return { ...inTime, late: false };
+
+  const fastest = [...options].sort((a, b) => a.leadTimeDays - b.leadTimeDays)[0];
+  return { ...timing(fastest), late: true };
+}
+
+// Groups lines by supplier, one line per product. A supplier whose order comes in
+// under its minimum gets its lines moved to another supplier already on the plan
+// where that supplier can still deliver in time; anything left stays flagged.
+export function consolidateBySupplier(
+  lines: Array<RequisitionLine & { supplier: SupplierOption }>,
+  today: Date = new Date()
+): SupplierRequisition[] {
+  const groups = new Map<string, SupplierRequisition>();
+
+  const add = (supplier: SupplierOption, line: RequisitionLine) => {
+    const group = groups.get(supplier.supplierId) || {
+      supplierId: supplier.supplierId,
+      supplierName: supplier.supplierName,
+      leadTimeDays: supplier.leadTimeDays,
+      minimumOrder: supplier.minimumOrder,
+      lines: [],
+      total: 0,
+      belowMinimum: false
+    };
+    const existing = group.lines.find(entry => entry.productId === line.productId);
+    if (existing) {
+      existing.quantity += line.quantity;
+      existing.totalCost = Math.round(existing.quantity * existing.unitCost * 100) / 100;
+      existing.sources.push(...line.sources);
+      if (line.neededBy < existing.neededBy) {
+        existing.neededBy = line.neededBy;
+        existing.orderBy = line.orderBy;
+      }
+      existing.late = existing.late || line.late;
+    } else {
+      group.lines.push({ ...line, sources: [...line.sources] });
+    }
+    groups.set(supplier.supplierId, group);
+  };
+  const totalOf = (group: SupplierRequisition) =>
+    Math.round(group.lines.reduce((sum, line) => sum + line.totalCost, 0) * 100) / 100;
+
+  for (const { supplier, ...line } of lines) {
+    add(supplier, line);
+  }
+
+  const undersized = [...groups.values()]
+    .filter(group => totalOf(group) < group.minimumOrder)
+    .sort((a, b) => totalOf(a) - totalOf(b));
+
+  for (const group of undersized) {
+    for (const line of [...group.lines]) {
+      const alternative = line.alternatives.find(option => {
+        const target = groups.get(option.supplierId);
+        if (!target || target === group) return false;
+        return today.getTime() + option.leadTimeDays * DAY_MS <= new Date(line.neededBy).getTime();
+      });
+      if (!alternative) continue;
+
+      group.lines = group.lines.filter(entry => entry !== line);
+      add(alternative, {
+        ...line,
+        unitCost: alternative.unitCost,
+        totalCost: Math.round(line.quantity * alternative.unitCost * 100) / 100,
+        orderBy: new Date(new Date(line.neededBy).getTime() - alternative.leadTimeDays * DAY_MS),
+        expectedDelivery: new Date(today.getTime() + alternative.leadTimeDays * DAY_MS)
+      });
+    }
+    if (group.lines.length === 0) {
+      groups.delete(group.supplierId);
+    }
+  }
+
+  return [...groups.values()]
+    .map(group => {
+      const total = totalOf(group);
+      return { ...group, total, belowMinimum: total < group.minimumOrder };
+    })
+    .sort((a, b) => a.supplierName.localeCompare(b.supplierName));
+}
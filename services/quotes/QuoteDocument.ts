@@ -0,0 +1,146 @@
+// services/quotes/QuoteDocument.ts
+import { Quote } from './Quotes';
+import { Address } from '../orders/OrderLifecycle';
+import { PdfLine, PDF_LEFT, PDF_RIGHT, renderPdf, escapeHtml, wrapText } from '../documents/SimplePdf';
+
+export interface QuoteIssuer {
+  name: string;
+  currency: string;
+}
+
+function money(amount: number, currency: string): string {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount || 0);
+}
+
+function day(date: Date | undefined): string {
+  return date ? new Date(date).toISOString().slice(0, 10) : '';
+}
+
+function addressLines(address: Address | undefined): string[] {
+  if (!address) return [];
+  return [
+    address.street,
+    [address.city, address.state, address.zipCode].filter(Boolean).join(', '),
+    address.country
+  ].filter(Boolean);
+}
+
+function totals(quote: Quote): Array<[string, number]> {
+  return [
+    ['Subtotal', quote.subtotal],
+    ['Freight', quote.shipping],
+    ...(quote.discount ? [['Discount', -quote.discount] as [string, number]] : []),
+    ['Tax', quote.tax],
+    ['Total', quote.total]
+  ];
+}
+
+export function quoteFileName(quote: Quote, format: 'html' | 'pdf'): string {
+  return `${quote.quoteNumber}-R${quote.revision}.${format}`;
+}
+
+export function renderQuoteHtml(quote: Quote, issuer: QuoteIssuer): string {
+  const rows = quote.items.map(item => `
+      <tr>
+        <td>${escapeHtml(item.productName)}${item.notes ? `<br><small>${escapeHtml(item.notes)}</small>` : ''}</td>
+        <td class="num">${escapeHtml(item.quantity)}</td>
+        <td class="num">${money(item.unitPrice, issuer.currency)}</td>
+        <td class="num">${money(item.totalPrice, issuer.currency)}</td>
+      </tr>`).join('');
+
+  const totalRows = totals(quote).map(([label, amount]) => `
+      <tr class="${label === 'Total' ? 'grand' : ''}"><td colspan="3">${label}</td><td class="num">${money(amount, issuer.currency)}</td></tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Quote ${escapeHtml(quote.quoteNumber)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 760px; margin: 32px auto; }
+    h1 { margin-bottom: 4px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    .num { text-align: right; }
+    .grand td { font-weight: bold; border-top: 2px solid #222; }
+    .meta { display: flex; justify-content: space-between; margin-top: 16px; }
+    .terms { margin-top: 24px; font-size: 0.9em; color: #555; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(issuer.name)}</h1>
+  <div>Quote ${escapeHtml(quote.quoteNumber)} &middot; Revision ${quote.revision}</div>
+  <div class="meta">
+    <div>
+      <strong>Prepared for</strong><br>
+      ${escapeHtml(quote.customerName)}<br>
+      ${addressLines(quote.shippingAddress).map(escapeHtml).join('<br>')}
+    </div>
+    <div>
+      <strong>Date</strong> ${day(quote.sentAt || quote.updatedAt)}<br>
+      <strong>Valid until</strong> ${day(quote.validUntil)}
+    </div>
+  </div>
+  <table>
+    <thead><tr><th>Item</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>${totalRows}
+    </tfoot>
+  </table>
+  ${quote.notes ? `<p>${escapeHtml(quote.notes)}</p>` : ''}
+  <p class="terms">Prices are held until ${day(quote.validUntil)}. ${escapeHtml(quote.terms || '')}</p>
+</body>
+</html>
+`;
+}
+
+export function renderQuotePdf(quote: Quote, issuer: QuoteIssuer): Buffer {
+  const qtyX = 360;
+  const priceX = 450;
+  const lines: PdfLine[] = [
+    { cells: [{ x: PDF_LEFT, text: issuer.name }], size: 18, bold: true },
+    { cells: [{ x: PDF_LEFT, text: `Quote ${quote.quoteNumber}  -  Revision ${quote.revision}` }], size: 12 },
+    { cells: [{ x: PDF_LEFT, text: 'Prepared for' }, { x: PDF_RIGHT, text: `Date ${day(quote.sentAt || quote.updatedAt)}`, align: 'right' }], bold: true, gapBefore: 12 },
+    { cells: [{ x: PDF_LEFT, text: quote.customerName }, { x: PDF_RIGHT, text: `Valid until ${day(quote.validUntil)}`, align: 'right' }] },
+    ...addressLines(quote.shippingAddress).map(text => ({ cells: [{ x: PDF_LEFT, text }] })),
+    {
+      cells: [
+        { x: PDF_LEFT, text: 'Item' },
+        { x: qtyX, text: 'Qty', align: 'right' as const },
+        { x: priceX, text: 'Unit price', align: 'right' as const },
+        { x: PDF_RIGHT, text: 'Amount', align: 'right' as const }
+      ],
+      bold: true,
+      gapBefore: 16
+    }
+  ];
+
+  for (const item of quote.items) {
+    lines.push({
+      cells: [
+        { x: PDF_LEFT, text: item.productName.slice(0, 50) },
+        { x: qtyX, text: String(item.quantity), align: 'right' },
+        { x: priceX, text: money(item.unitPrice, issuer.currency), align: 'right' },
+        { x: PDF_RIGHT, text: money(item.totalPrice, issuer.currency), align: 'right' }
+      ]
+    });
+  }
+
+  totals(quote).forEach(([label, amount], index) => {
+    lines.push({
+      cells: [{ x: priceX, text: label, align: 'right' }, { x: PDF_RIGHT, text: money(amount, issuer.currency), align: 'right' }],
+      bold: label === 'Total',
+      gapBefore: index === 0 ? 10 : 0
+    });
+  });
+
+  wrapText(quote.notes || '').forEach((text, index) => {
+    lines.push({ cells: [{ x: PDF_LEFT, text }], gapBefore: index === 0 ? 16 : 0 });
+  });
+  wrapText(`Prices are held until ${day(quote.validUntil)}. ${quote.terms || ''}`, 9).forEach((text, index) => {
+    lines.push({ cells: [{ x: PDF_LEFT, text }], size: 9, gapBefore: index === 0 ? 16 : 0 });
+  });
+
+  return renderPdf(lines, `Quote ${quote.quoteNumber}`);
+}
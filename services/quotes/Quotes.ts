@@ -0,0 +1,179 @@
+// services/quotes/Quotes.ts
+import { Address, OrderTaxDetail } from '../orders/OrderLifecycle';
+import { AppliedPrice } from '../pricing/PriceRules';
+import { LineTax } from '../tax/TaxRates';
+import { roundCurrency } from '../invoicing/PaymentTerms';
+
+export type QuoteStatus = 'draft' | 'sent' | 'accepted' | 'declined' | 'expired' | 'converted';
+
+// Quotes still waiting on the customer; these expire when their validity runs out
+export const OPEN_QUOTE_STATUSES: QuoteStatus[] = ['draft', 'sent'];
+
+export interface QuoteItem {
+  id: string;
+  productId: string;
+  productName: string;
+  quantity: number;
+  unitPrice: number;
+  totalPrice: number;
+  notes?: string;
+  pricing?: AppliedPrice;
+  tax?: LineTax;
+}
+
+// What the customer was shown in an earlier revision
+export interface QuoteRevision {
+  revision: number;
+  items: QuoteItem[];
+  subtotal: number;
+  tax: number;
+  shipping: number;
+  discount: number;
+  total: number;
+  validUntil: Date;
+  status: QuoteStatus;
+  revisedAt: Date;
+  revisedBy: string;
+  reason?: string;
+}
+
+export interface QuoteAcceptance {
+  acceptedAt: Date;
+  acceptedBy: string; // the customer's contact
+  method: 'email' | 'phone' | 'signature' | 'in_person' | 'portal';
+  purchaseOrderNumber?: string;
+  recordedBy: string;
+}
+
+export interface QuoteDecline {
+  declinedAt: Date;
+  reason: 'price' | 'lead_time' | 'competitor' | 'project_cancelled' | 'no_response' | 'other';
+  competitor?: string;
+  notes?: string;
+  recordedBy: string;
+}
+
+export interface QuoteConversion {
+  type: 'order' | 'project';
+  orderId?: string;
+  orderNumber?: string;
+  projectId?: string;
+  convertedAt: Date;
+  convertedBy: string;
+}
+
+// Prices quoted hold until validUntil. Revising a quote that has been sent keeps the
+// earlier version in revisions and starts a new revision as a draft.
+export interface Quote {
+  id: string;
+  quoteNumber: string;
+  revision: number;
+  customerId: string;
+  customerName: string;
+  projectId?: string;
+  salesRep: string;
+  items: QuoteItem[];
+  subtotal: number;
+  tax: number;
+  taxDetail?: OrderTaxDetail;
+  shipping: number;
+  discount: number;
+  total: number;
+  shippingAddress: Address;
+  deliverToJobsite?: boolean;
+  validUntil: Date;
+  status: QuoteStatus;
+  sentAt?: Date;
+  acceptance?: QuoteAcceptance;
+  decline?: QuoteDecline;
+  conversion?: QuoteConversion;
+  revisions: QuoteRevision[];
+  notes?: string;
+  terms?: string;
+  createdAt: Date;
+  updatedAt: Date;
+  createdBy: string;
+}
+
+export const DECLINE_REASONS: QuoteDecline['reason'][] = [
+  'price', 'lead_time', 'competitor', 'project_cancelled', 'no_response', 'other'
+];
+
+export const ACCEPTANCE_METHODS: QuoteAcceptance['method'][] = [
+  'email', 'phone', 'signature', 'in_person', 'portal'
+];
+
+export function isExpired(quote: Pick<Quote, 'status' | 'validUntil'>, at: Date = new Date()): boolean {
+  return OPEN_QUOTE_STATUSES.includes(quote.status) && new Date(quote.validUntil) < at;
+}
+
+export function snapshotRevision(quote: Quote, revisedBy: string, reason?: string): QuoteRevision {
+  return {
+    revision: quote.revision,
+    items: quote.items,
+    subtotal: quote.subtotal,
+    tax: quote.tax,
+    shipping: quote.shipping,
+    discount: quote.discount,
+    total: quote.total,
+    validUntil: quote.validUntil,
+    status: quote.status,
+    revisedAt: new Date(),
+    revisedBy,
+    reason
+  };
+}
+
+export interface WinLossSummary {
+  key: string;
+  name: string;
+  quoted: number;
+  won: number;
+  lost: number;
+  open: number;
+  winRate: number;    // won / (won + lost), as a percentage
+  quotedValue: number;
+  wonValue: number;
+  lostValue: number;
+  lossReasons: Record<string, number>;
+}
+
+// Accepted and converted quotes are wins; declined and expired ones are losses
+export function summarizeWinLoss(quotes: Quote[], keyOf: (quote: Quote) => { key: string; name: string }): WinLossSummary[] {
+  const groups = new Map<string, WinLossSummary>();
+
+  for (const quote of quotes) {
+    const { key, name } = keyOf(quote);
+    const summary = groups.get(key) || {
+      key, name, quoted: 0, won: 0, lost: 0, open: 0, winRate: 0,
+      quotedValue: 0, wonValue: 0, lostValue: 0, lossReasons: {}
+    };
+
+    summary.quoted++;
+    summary.quotedValue += quote.total;
+    if (quote.status === 'accepted' || quote.status === 'converted') {
+      summary.won++;
+      summary.wonValue += quote.total;
+    } else if (quote.status === 'declined' || quote.status === 'expired') {
+      summary.lost++;
+      summary.lostValue += quote.total;
+      const reason = quote.decline?.reason || 'expired';
+      summary.lossReasons[reason] = (summary.lossReasons[reason] || 0) + 1;
+    } else {
+      summary.open++;
+    }
+    groups.set(key, summary);
+  }
+
+  return [...groups.values()]
+    .map(summary => ({
+      ...summary,
+      winRate: summary.won + summary.lost > 0
+        ? Math.round((summary.won / (summary.won + summary.lost)) * 1000) / 10
+        : 0,
+      quotedValue: roundCurrency(summary.quotedValue),
+      wonValue: roundCurrency(summary.wonValue),
+      lostValue: roundCurrency(summary.lostValue)
+    }))
+    .sort((a, b) => b.quotedValue - a.quotedValue);
+}
@@ -0,0 +1,172 @@
+// services/returns/Returns.ts
+import { OrderItem } from '../orders/OrderLifecycle';
+import { LineTax, prorateLineTax } from '../tax/TaxRates';
+import { roundCurrency } from '../invoicing/PaymentTerms';
+
+export type ReturnReason = 'unused' | 'ordered_in_error' | 'defective' | 'damaged_in_transit' | 'wrong_item';
+export type ReturnCondition = 'resaleable' | 'damaged' | 'defective';
+export type ReturnDisposition = 'restock' | 'scrap' | 'return_to_vendor';
+export type RmaStatus = 'authorized' | 'partially_received' | 'received' | 'closed' | 'cancelled';
+
+export const RETURN_REASONS: ReturnReason[] = ['unused', 'ordered_in_error', 'defective', 'damaged_in_transit', 'wrong_item'];
+export const RETURN_CONDITIONS: ReturnCondition[] = ['resaleable', 'damaged', 'defective'];
+export const RETURN_DISPOSITIONS: ReturnDisposition[] = ['restock', 'scrap', 'return_to_vendor'];
+
+// Our fault or the supplier's: no restocking fee
+export const FEE_EXEMPT_REASONS: ReturnReason[] = ['defective', 'damaged_in_transit', 'wrong_item'];
+
+// RMAs still expecting material back
+export const OPEN_RMA_STATUSES: RmaStatus[] = ['authorized', 'partially_received'];
+export const RMA_VALIDITY_DAYS = 30;
+
+// What the inspector found in one batch of a returned line, and where it went
+export interface RmaInspection {
+  id: string;
+  quantity: number;
+  condition: ReturnCondition;
+  disposition: ReturnDisposition;
+  locationId?: string;
+  binCode?: string;
+  lotNumber?: string;
+  vendorReturnId?: string;
+  notes?: string;
+  inspectedBy: string;
+  inspectedAt: Date;
+}
+
+export interface RmaLine {
+  id: string;
+  orderItemId: string;
+  productId: string;
+  productName: string;
+  category?: string;
+  quantity: number; // authorized
+  unitPrice: number;
+  unitCost: number; // what the line cost us when it shipped
+  reason: ReturnReason;
+  restockingFeePercent: number;
+  receivedQuantity: number;
+  inspections: RmaInspection[];
+}
+
+export interface ReturnAuthorization {
+  id: string;
+  rmaNumber: string;
+  orderId: string;
+  orderNumber: string;
+  customerId: string;
+  customerName: string;
+  projectId?: string;
+  status: RmaStatus;
+  lines: RmaLine[];
+  notes?: string;
+  expiresAt: Date;
+  creditMemoId?: string;
+  authorizedBy: string;
+  receivedAt?: Date;
+  closedAt?: Date;
+  cancelledAt?: Date;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface VendorReturnLine {
+  id: string;
+  purchaseItemId: string;
+  productId: string;
+  productName: string;
+  quantity: number;
+  unitCost: number; // as invoiced on the purchase order
+  lineTotal: number;
+  lotNumber?: string;
+  reason: string;
+  // Pulled from our own stock, or sent straight on from a customer return
+  source: 'stock' | 'rma';
+  inventoryId?: string;
+  rmaId?: string;
+  rmaNumber?: string;
+}
+
+export interface VendorReturn {
+  id: string;
+  returnNumber: string;
+  supplierId: string;
+  supplierName: string;
+  purchaseId: string;
+  purchaseNumber: string;
+  status: 'open' | 'shipped';
+  lines: VendorReturnLine[];
+  total: number;
+  carrier?: string;
+  trackingNumber?: string;
+  shippedAt?: Date;
+  // Raised when the goods leave; applied to the supplier's invoices for the purchase
+  debitMemoNumber?: string;
+  debitAmount?: number;
+  appliedAmount?: number;
+  notes?: string;
+  createdAt: Date;
+  updatedAt: Date;
+  createdBy: string;
+}
+
+// Percent kept on a returned line: the category's own rate, else the company default,
+// and nothing when the return is our (or the supplier's) fault
+export function restockingFeePercent(
+  reason: ReturnReason,
+  category: string | undefined,
+  settings: { restockingFeePercent: number; categoryRestockingFees: Record<string, number> }
+): number {
+  if (FEE_EXEMPT_REASONS.includes(reason)) return 0;
+  const byCategory = settings.categoryRestockingFees || {};
+  const key = Object.keys(byCategory).find(name => name.toLowerCase() === String(category || '').toLowerCase());
+  return key !== undefined ? byCategory[key] : settings.restockingFeePercent;
+}
+
+// Shipped quantity not yet claimed by another live RMA
+export function returnableQuantity(item: OrderItem, otherRmas: ReturnAuthorization[]): number {
+  const claimed = otherRmas
+    .filter(rma => rma.status !== 'cancelled')
+    .flatMap(rma => rma.lines.filter(line => line.orderItemId === item.id).map(line =>
+      OPEN_RMA_STATUSES.includes(rma.status) ? line.quantity : line.receivedQuantity))
+    .reduce((sum, quantity) => sum + quantity, 0);
+  return Math.max(0, (item.quantityShipped || 0) - claimed);
+}
+
+// Quantity the customer is credited for. Material that comes back damaged is only
+// credited when the damage was not the customer's doing.
+export function creditableQuantity(line: RmaLine): number {
+  return line.inspections
+    .filter(inspection => inspection.condition !== 'damaged' || FEE_EXEMPT_REASONS.includes(line.reason))
+    .reduce((sum, inspection) => sum + inspection.quantity, 0);
+}
+
+export interface CreditLine {
+  orderItemId: string;
+  productId: string;
+  description: string;
+  quantity: number;
+  unitPrice: number;
+  lineTotal: number;
+  restockingFee: number;
+  tax?: LineTax;
+}
+
+// Merchandise, restocking fee and the tax charged on the line, for the credited quantity
+export function creditLineFor(line: RmaLine, item: OrderItem | undefined): CreditLine | null {
+  const quantity = creditableQuantity(line);
+  if (quantity <= 0) return null;
+
+  const lineTotal = roundCurrency(quantity * line.unitPrice);
+  const tax = item?.tax && item.quantity > 0 ? prorateLineTax(item.tax, quantity / item.quantity) : undefined;
+  return {
+    orderItemId: line.orderItemId,
+    productId: line.productId,
+    description: line.productName,
+    quantity,
+    unitPrice: line.unitPrice,
+    lineTotal,
+    restockingFee: roundCurrency(lineTotal * line.restockingFeePercent / 100),
+    ...(tax && { tax })
+  };
+}
@@ -0,0 +1,134 @@
+// services/storage/CollectionIndex.ts
+import { getPathValues, isOperatorObject } from './QueryEngine';
+
+export interface IndexDefinition {
+  id: string;
+  collection: string;
+  name: string;
+  keys: Record<string, 1 | -1>;
+  unique?: boolean;
+}
+
+// Hash index over one or more (possibly dotted) fields. Array values are indexed per
+// element, so { 'items.productId': 1 } finds orders by any line's product. The index
+// answers equality and $in lookups; everything else falls back to a collection scan.
+export class CollectionIndex {
+  readonly fields: string[];
+  private entries: Map<string, Set<string>> = new Map();
+
+  constructor(readonly definition: IndexDefinition) {
+    this.fields = Object.keys(definition.keys);
+  }
+
+  add(doc: any): void {
+    for (const key of this.keysFor(doc)) {
+      if (!this.entries.has(key)) {
+        this.entries.set(key, new Set());
+      }
+      this.entries.get(key)!.add(doc.id);
+    }
+  }
+
+  remove(doc: any): void {
+    for (const key of this.keysFor(doc)) {
+      const ids = this.entries.get(key);
+      if (!ids) continue;
+      ids.delete(doc.id);
+      if (ids.size === 0) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  // Id of another document that already holds one of doc's key values, if any
+  findDuplicate(doc: any): string | null {
+    if (!this.definition.unique) return null;
+    for (const key of this.keysFor(doc)) {
+      for (const id of this.entries.get(key) || []) {
+        if (id !== doc.id) return id;
+      }
+    }
+    return null;
+  }
+
+  // Whether two documents would collide in this index (used for batches not yet applied)
+  conflicts(a: any, b: any): boolean {
+    const keysOfA = new Set(this.keysFor(a));
+    return this.keysFor(b).some(key => keysOfA.has(key));
+  }
+
+  // Candidate ids for a query, or null when the query does not pin every indexed field
+  lookup(query: any): Set<string> | null {
+    const perField: any[][] = [];
+
+    for (const field of this.fields) {
+      if (!query || !(field in query)) return null;
+      const values = this.equalityValues(query[field]);
+      if (!values) return null;
+      perField.push(values);
+    }
+
+    const result = new Set<string>();
+    for (const combination of cartesian(perField)) {
+      const ids = this.entries.get(combination.map(encodeIndexValue).join('|'));
+      if (ids) {
+        ids.forEach(id => result.add(id));
+      }
+    }
+    return result;
+  }
+
+  get size(): number {
+    return this.entries.size;
+  }
+
+  private equalityValues(condition: any): any[] | null {
+    if (condition instanceof RegExp) return null;
+    if (!isOperatorObject(condition)) return [condition];
+
+    const operators = Object.keys(condition);
+    if (operators.length !== 1) return null;
+    if (operators[0] === '$eq') return [condition.$eq];
+    if (operators[0] === '$in' && Array.isArray(condition.$in) &&
+        !condition.$in.some((value: any) => value instanceof RegExp || isOperatorObject(value))) {
+      return condition.$in;
+    }
+    return null;
+  }
+
+  private keysFor(doc: any): string[] {
+    const perField = this.fields.map(field => {
+      const values = getPathValues(doc, field);
+      return values.length > 0 ? values : [undefined];
+    });
+    const keys = new Set(cartesian(perField).map(combination =>
+      combination.map(encodeIndexValue).join('|')
+    ));
+    return Array.from(keys);
+  }
+}
+
+export function encodeIndexValue(value: any): string {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return 'd:' + value.getTime();
+  if (typeof value === 'object') return 'o:' + stableStringify(value);
+  return `${typeof value}:${String(value)}`;
+}
+
+function stableStringify(value: any): string {
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return '[' + value.map(stableStringify).join(',') + ']';
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value).sort()
+      .map(key => JSON.stringify(key) + ':' + stableStringify(value[key]))
+      .join(',') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+function cartesian(lists: any[][]): any[][] {
+  return lists.reduce<any[][]>(
+    (combinations, list) => combinations.flatMap(combination => list.map(value => [...combination, value])),
+    [[]]
+  );
+}
@@ -0,0 +1,137 @@
+// services/storage/JsonLogStorageAdapter.ts
+import { promises as fs } from 'fs';
+import path from 'path';
+import {
+  StorageAdapter,
+  StorageOperation,
+  StorageSnapshot,
+  applyOperations,
+  reviveDates
+} from './StorageAdapter';
+
+interface LogEntry {
+  t: string;
+  ops?: StorageOperation[];
+  snapshot?: StorageSnapshot;
+}
+
+interface JsonLogOptions {
+  directory: string;
+  database: string;
+  compactAfterEntries?: number;
+  fsync?: boolean;
+}
+
+// Append-only JSON lines log. Each line is one committed batch, so a crash mid-write
+// leaves at most a torn final line, which is discarded on the next start.
+export class JsonLogStorageAdapter implements StorageAdapter {
+  readonly name = 'jsonlog';
+  private filePath: string;
+  private entriesSinceCompaction: number = 0;
+  private writeChain: Promise<void> = Promise.resolve();
+
+  constructor(private options: JsonLogOptions) {
+    this.filePath = path.join(options.directory, `${options.database}.jsonl`);
+  }
+
+  async open(): Promise<StorageSnapshot> {
+    await fs.mkdir(this.options.directory, { recursive: true });
+
+    let contents = '';
+    try {
+      contents = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') throw error;
+    }
+
+    const snapshot: StorageSnapshot = {};
+    const lines = contents.split('\n').filter(line => line.trim().length > 0);
+
+    for (let i = 0; i < lines.length; i++) {
+      let entry: LogEntry;
+      try {
+        entry = JSON.parse(lines[i], reviveDates);
+      } catch (error) {
+        if (i === lines.length - 1) {
+          console.warn(`⚠️ Discarding torn final entry in ${this.filePath}`);
+          await this.truncateTo(lines.slice(0, i));
+          break;
+        }
+        throw new Error(`Corrupt storage log ${this.filePath} at line ${i + 1}`);
+      }
+
+      if (entry.snapshot) {
+        for (const key of Object.keys(snapshot)) delete snapshot[key];
+        Object.assign(snapshot, entry.snapshot);
+      }
+      if (entry.ops) {
+        applyOperations(snapshot, entry.ops);
+      }
+    }
+
+    this.entriesSinceCompaction = lines.length;
+    console.log(`✅ Storage log loaded: ${this.filePath} (${lines.length} entries)`);
+    return snapshot;
+  }
+
+  async apply(operations: StorageOperation[]): Promise<void> {
+    if (operations.length === 0) return;
+
+    const line = JSON.stringify({ t: new Date().toISOString(), ops: operations } as LogEntry) + '\n';
+    await this.enqueue(async () => {
+      await this.append(line);
+      this.entriesSinceCompaction++;
+    });
+  }
+
+  async compact(snapshot: StorageSnapshot): Promise<void> {
+    await this.enqueue(async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      const line = JSON.stringify({ t: new Date().toISOString(), snapshot } as LogEntry) + '\n';
+
+      const handle = await fs.open(tempPath, 'w');
+      try {
+        await handle.writeFile(line, 'utf8');
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.rename(tempPath, this.filePath);
+
+      this.entriesSinceCompaction = 1;
+      console.log(`🗜️ Storage log compacted: ${this.filePath}`);
+    });
+  }
+
+  needsCompaction(): boolean {
+    return this.entriesSinceCompaction > (this.options.compactAfterEntries || 5000);
+  }
+
+  async close(): Promise<void> {
+    await this.writeChain;
+  }
+
+  private async append(line: string): Promise<void> {
+    const handle = await fs.open(this.filePath, 'a');
+    try {
+      await handle.appendFile(line, 'utf8');
+      if (this.options.fsync !== false) {
+        await handle.sync();
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  private async truncateTo(lines: string[]): Promise<void> {
+    const contents = lines.length > 0 ? lines.join('\n') + '\n' : '';
+    await fs.writeFile(this.filePath, contents, 'utf8');
+  }
+
+  private enqueue(task: () => Promise<void>): Promise<void> {
+    const next = this.writeChain.then(task);
+    // Keep the chain alive after a failed write; the caller still sees the rejection
+    this.writeChain = next.catch(() => undefined);
+    return next;
+  }
+}
@@ -0,0 +1,30 @@
+// services/storage/MemoryStorageAdapter.ts
+import { StorageAdapter, StorageOperation, StorageSnapshot } from './StorageAdapter';
+
+// Keeps nothing beyond the process lifetime. Used for tests and throwaway dev runs.
+export class MemoryStorageAdapter implements StorageAdapter {
+  readonly name = 'memory';
+  private operationCount: number = 0;
+
+  constructor(private initialData: StorageSnapshot = {}) {}
+
+  async open(): Promise<StorageSnapshot> {
+    const snapshot: StorageSnapshot = {};
+    for (const [collection, docs] of Object.entries(this.initialData)) {
+      snapshot[collection] = docs.map(doc => ({ ...doc }));
+    }
+    return snapshot;
+  }
+
+  async apply(operations: StorageOperation[]): Promise<void> {
+    this.operationCount += operations.length;
+  }
+
+  async close(): Promise<void> {
+    // Nothing to flush
+  }
+
+  getOperationCount(): number {
+    return this.operationCount;
+  }
+}
@@ -0,0 +1,84 @@
+// services/storage/QueryEngine.spec.ts
+import { compareValues, getPathValue, getPathValues, matchesQuery, valuesEqual } from './QueryEngine';
+
+const order = {
+  id: 'order_1',
+  status: 'confirmed',
+  total: 1250,
+  createdAt: new Date('2026-05-01T10:00:00Z'),
+  tags: ['rush', 'jobsite'],
+  shippingAddress: { city: 'Austin', state: 'TX' },
+  items: [
+    { productId: 'prod_rebar', quantity: 100, minimum: 20 },
+    { productId: 'prod_cement', quantity: 5, minimum: 10 }
+  ]
+};
+
+describe('matchesQuery', () => {
+  it('matches equality on fields and dotted paths', () => {
+    expect(matchesQuery(order, { status: 'confirmed', 'shippingAddress.state': 'TX' })).toBe(true);
+    expect(matchesQuery(order, { status: 'draft' })).toBe(false);
+    expect(matchesQuery(order, { 'shippingAddress.zip': undefined })).toBe(true);
+    expect(matchesQuery(order, {})).toBe(true);
+    expect(matchesQuery(order, null)).toBe(true);
+  });
+
+  it('fans a path out over array elements', () => {
+    expect(matchesQuery(order, { 'items.productId': 'prod_cement' })).toBe(true);
+    expect(matchesQuery(order, { 'items.productId': 'prod_lumber' })).toBe(false);
+    expect(matchesQuery(order, { tags: 'rush' })).toBe(true);
+    expect(matchesQuery(order, { tags: ['rush', 'jobsite'] })).toBe(true);
+  });
+
+  it('compares numbers and dates', () => {
+    expect(matchesQuery(order, { total: { $gt: 1000, $lte: 1250 } })).toBe(true);
+    expect(matchesQuery(order, { total: { $gt: 1000, $lt: 1250 } })).toBe(false);
+    expect(matchesQuery(order, { createdAt: { $gte: new Date('2026-05-01T00:00:00Z') } })).toBe(true);
+    expect(matchesQuery(order, { createdAt: { $lt: new Date('2026-05-01T00:00:00Z') } })).toBe(false);
+    expect(matchesQuery(order, { status: { $ne: 'cancelled' } })).toBe(true);
+  });
+
+  it('supports $in, $nin, $exists, $regex and $not', () => {
+    expect(matchesQuery(order, { status: { $in: ['confirmed', 'shipped'] } })).toBe(true);
+    expect(matchesQuery(order, { status: { $nin: ['confirmed', 'shipped'] } })).toBe(false);
+    expect(matchesQuery(order, { cancelledAt: { $exists: false }, total: { $exists: true } })).toBe(true);
+    expect(matchesQuery(order, { 'shippingAddress.city': { $regex: '^aus', $options: 'i' } })).toBe(true);
+    expect(matchesQuery(order, { 'shippingAddress.city': { $regex: '^aus' } })).toBe(false);
+    expect(matchesQuery(order, { total: { $not: { $gt: 2000 } } })).toBe(true);
+  });
+
+  it('combines conditions with $and, $or and $nor', () => {
+    expect(matchesQuery(order, { $or: [{ status: 'draft' }, { total: { $gt: 1000 } }] })).toBe(true);
+    expect(matchesQuery(order, { $and: [{ status: 'confirmed' }, { total: { $lt: 1000 } }] })).toBe(false);
+    expect(matchesQuery(order, { $nor: [{ status: 'draft' }, { status: 'cancelled' }] })).toBe(true);
+  });
+
+  it('supports $elemMatch, $size and $all on arrays', () => {
+    expect(matchesQuery(order, { items: { $elemMatch: { productId: 'prod_cement', quantity: { $lt: 10 } } } })).toBe(true);
+    expect(matchesQuery(order, { items: { $elemMatch: { productId: 'prod_rebar', quantity: { $lt: 10 } } } })).toBe(false);
+    expect(matchesQuery(order, { items: { $size: 2 } })).toBe(true);
+    expect(matchesQuery(order, { tags: { $all: ['jobsite', 'rush'] } })).toBe(true);
+    expect(matchesQuery(order, { tags: { $all: ['jobsite', 'hazmat'] } })).toBe(false);
+  });
+
+  it('compares against another field with $ref', () => {
+    expect(matchesQuery(order, { items: { $elemMatch: { quantity: { $lt: { $ref: 'minimum' } } } } })).toBe(true);
+    expect(matchesQuery({ quantity: 30, minimumStock: 20 }, { quantity: { $lte: { $ref: 'minimumStock' } } })).toBe(false);
+  });
+});
+
+describe('path helpers', () => {
+  it('reads the first value without expanding arrays, or every value with expansion', () => {
+    expect(getPathValue(order, 'shippingAddress.city')).toBe('Austin');
+    expect(getPathValue(order, 'missing.path')).toBeUndefined();
+    expect(getPathValues(order, 'items.productId')).toEqual(['prod_rebar', 'prod_cement']);
+  });
+
+  it('orders and compares values of the same kind', () => {
+    expect(compareValues(1, 2)).toBeLessThan(0);
+    expect(compareValues('b', 'a')).toBeGreaterThan(0);
+    expect(compareValues(new Date('2026-01-02'), new Date('2026-01-01'))).toBeGreaterThan(0);
+    expect(valuesEqual(new Date('2026-01-01'), new Date('2026-01-01'))).toBe(true);
+    expect(valuesEqual({ a: [1, 2] }, { a: [1, 2] })).toBe(true);
+  });
+});
@@ -0,0 +1,195 @@
+// services/storage/QueryEngine.ts
+
+// Mongo-style query evaluation over plain documents.
+//
+// Supported:
+//   logical     $and, $or, $nor, and $not on a field
+//   comparison  $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin
+//   element     $exists
+//   evaluation  $regex (+ $options)
+//   array       $elemMatch, $size, $all
+//
+// Field names may be dotted paths ("shippingAddress.state", "items.productId"); a path
+// that crosses an array fans out over its elements, so a condition on an array field
+// matches when any element satisfies it. Several operators on one field must all hold.
+// A comparison value of { $ref: 'otherField' } compares against another field of the
+// same document, e.g. { quantity: { $lte: { $ref: 'minimumStock' } } }.
+
+export function matchesQuery(doc: any, query: any): boolean {
+  if (!query) return true;
+
+  for (const [key, condition] of Object.entries(query)) {
+    switch (key) {
+      case '$and':
+        if (!(condition as any[]).every(sub => matchesQuery(doc, sub))) return false;
+        break;
+      case '$or':
+        if (!(condition as any[]).some(sub => matchesQuery(doc, sub))) return false;
+        break;
+      case '$nor':
+        if ((condition as any[]).some(sub => matchesQuery(doc, sub))) return false;
+        break;
+      default:
+        if (!matchesField(doc, key, condition)) return false;
+    }
+  }
+
+  return true;
+}
+
+// Every value reachable at a dotted path. Arrays along the way are expanded; an array
+// at the end of the path contributes both itself and its elements.
+export function getPathValues(doc: any, path: string): any[] {
+  return collect(doc, path.split('.'), 0);
+}
+
+// First value at a dotted path, without array expansion. Used for sorting and grouping.
+export function getPathValue(doc: any, path: string): any {
+  let value = doc;
+  for (const part of path.split('.')) {
+    if (value === null || value === undefined) return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+export function isOperatorObject(value: any): boolean {
+  if (!isPlainObject(value)) return false;
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every(key => key.startsWith('$'));
+}
+
+export function valuesEqual(a: any, b: any): boolean {
+  if (a === b) return true;
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (a == null || b == null) return false;
+  if (typeof a !== typeof b) return false;
+
+  if (Array.isArray(a) || Array.isArray(b)) {
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return false;
+    return a.every((item, i) => valuesEqual(item, b[i]));
+  }
+
+  if (typeof a === 'object') {
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+    return keysA.every(key => keysB.includes(key) && valuesEqual(a[key], b[key]));
+  }
+
+  return false;
+}
+
+// Orders two scalar values of the same kind. Returns null when they are not comparable,
+// which makes range operators fail rather than guess.
+export function compareValues(a: any, b: any): number | null {
+  if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime();
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'string' && typeof b === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+  return null;
+}
+
+function matchesField(doc: any, path: string, condition: any): boolean {
+  return matchesValues(doc, getPathValues(doc, path), condition);
+}
+
+function matchesValues(doc: any, values: any[], condition: any): boolean {
+  if (condition instanceof RegExp) {
+    return values.some(value => typeof value === 'string' && condition.test(value));
+  }
+  if (!isOperatorObject(condition)) {
+    return matchesEquality(values, condition);
+  }
+  return Object.entries(condition).every(([operator, operand]) =>
+    operator === '$options' || matchesOperator(doc, values, operator, resolveRef(doc, operand), condition)
+  );
+}
+
+function matchesOperator(doc: any, values: any[], operator: string, operand: any, condition: any): boolean {
+  switch (operator) {
+    case '$eq':
+      return matchesEquality(values, operand);
+    case '$ne':
+      return !matchesEquality(values, operand);
+    case '$gt':
+      return matchesComparison(values, operand, c => c > 0);
+    case '$gte':
+      return matchesComparison(values, operand, c => c >= 0);
+    case '$lt':
+      return matchesComparison(values, operand, c => c < 0);
+    case '$lte':
+      return matchesComparison(values, operand, c => c <= 0);
+    case '$in':
+      return (operand as any[]).some(candidate => matchesValues(doc, values, candidate));
+    case '$nin':
+      return !(operand as any[]).some(candidate => matchesValues(doc, values, candidate));
+    case '$exists':
+      return values.some(value => value !== undefined) === Boolean(operand);
+    case '$regex': {
+      const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '');
+      return values.some(value => typeof value === 'string' && regex.test(value));
+    }
+    case '$elemMatch':
+      return values.some(value => Array.isArray(value) && value.some(element =>
+        isPlainObject(element) && !isOperatorObject(operand)
+          ? matchesQuery(element, operand)
+          : matchesValues(doc, [element], operand)
+      ));
+    case '$size':
+      return values.some(value => Array.isArray(value) && value.length === operand);
+    case '$all':
+      return (operand as any[]).every(candidate => matchesEquality(values, candidate));
+    case '$not':
+      return !matchesValues(doc, values, operand);
+    default:
+      throw new Error(`Unsupported query operator: ${operator}`);
+  }
+}
+
+function matchesComparison(values: any[], operand: any, accept: (comparison: number) => boolean): boolean {
+  return values.some(value => {
+    const comparison = compareValues(value, operand);
+    return comparison !== null && accept(comparison);
+  });
+}
+
+function matchesEquality(values: any[], expected: any): boolean {
+  if (expected === null || expected === undefined) {
+    // Mirrors Mongo: { field: null } matches missing fields as well as explicit nulls
+    return values.length === 0 || values.some(value => value === null || value === undefined);
+  }
+  return values.some(value => valuesEqual(value, expected));
+}
+
+function resolveRef(doc: any, operand: any): any {
+  if (isPlainObject(operand) && typeof operand.$ref === 'string' && Object.keys(operand).length === 1) {
+    return getPathValue(doc, operand.$ref);
+  }
+  return operand;
+}
+
+function collect(value: any, parts: string[], index: number): any[] {
+  if (index === parts.length) {
+    return Array.isArray(value) ? [value, ...value] : [value];
+  }
+  if (value === null || value === undefined) {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    // Numeric segments index into the array; anything else fans out over the elements
+    if (/^\d+$/.test(parts[index])) {
+      return collect(value[Number(parts[index])], parts, index + 1);
+    }
+    return value.flatMap(element => collect(element, parts, index));
+  }
+  if (typeof value !== 'object') {
+    return [];
+  }
+  return collect(value[parts[index]], parts, index + 1);
+}
+
+function isPlainObject(value: any): boolean {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !(value instanceof RegExp);
+}
@@ -0,0 +1,66 @@
+// services/storage/StorageAdapter.ts
+
+// A single durable write. DatabaseService keeps the working set in memory and
+// hands every mutation to the adapter as one of these before applying it.
+export type StorageOperation =
+  | { op: 'insert'; collection: string; doc: any }
+  | { op: 'update'; collection: string; doc: any }
+  | { op: 'delete'; collection: string; id: string };
+
+export type StorageSnapshot = Record<string, any[]>;
+
+export interface StorageAdapter {
+  readonly name: string;
+
+  // Load everything persisted so far. Called once while the database initializes.
+  open(): Promise<StorageSnapshot>;
+
+  // Persist a batch of operations. A batch is all-or-nothing on reload.
+  apply(operations: StorageOperation[]): Promise<void>;
+
+  // Optionally rewrite the backing store from a full snapshot to reclaim space.
+  compact?(snapshot: StorageSnapshot): Promise<void>;
+
+  close(): Promise<void>;
+}
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// JSON.parse reviver that restores Date instances written by JSON.stringify
+export function reviveDates(_key: string, value: any): any {
+  if (typeof value === 'string' && ISO_DATE_PATTERN.test(value)) {
+    const date = new Date(value);
+    if (!isNaN(date.getTime())) {
+      return date;
+    }
+  }
+  return value;
+}
+
+export function applyOperations(snapshot: StorageSnapshot, operations: StorageOperation[]): void {
+  for (const operation of operations) {
+    const docs = snapshot[operation.collection] || (snapshot[operation.collection] = []);
+
+    switch (operation.op) {
+      case 'insert':
+        docs.push(operation.doc);
+        break;
+      case 'update': {
+        const index = docs.findIndex(doc => doc.id === operation.doc.id);
+        if (index === -1) {
+          docs.push(operation.doc);
+        } else {
+          docs[index] = operation.doc;
+        }
+        break;
+      }
+      case 'delete': {
+        const index = docs.findIndex(doc => doc.id === operation.id);
+        if (index !== -1) {
+          docs.splice(index, 1);
+        }
+        break;
+      }
+    }
+  }
+}
@@ -0,0 +1,25 @@
+// services/storage/TenantScope.ts
+
+export const TENANT_FIELD = 'companyId';
+
+// Collections every company shares: the company registry itself and schema bookkeeping.
+// Everything else belongs to exactly one company.
+export const SHARED_COLLECTIONS = new Set(['companies', 'schema_migrations', 'schema_indexes']);
+
+export function isTenantScoped(collection: string): boolean {
+  return !SHARED_COLLECTIONS.has(collection);
+}
+
+// Pins a query to one company. A companyId in the caller's query is overridden, so a
+// request can never reach into another company by asking for it.
+export function scopeQuery(query: any, companyId: string): any {
+  return { ...(query || {}), [TENANT_FIELD]: companyId };
+}
+
+export function belongsTo(doc: any, companyId: string): boolean {
+  return Boolean(doc) && doc[TENANT_FIELD] === companyId;
+}
+
+// Company that data from before companies were introduced (and single-company
+// installs) belongs to
+export const DEFAULT_COMPANY_ID = 'company_default';
@@ -0,0 +1,209 @@
+// services/storage/Transaction.ts
+import { StorageOperation } from './StorageAdapter';
+
+export const VERSION_FIELD = '_version';
+
+// Thrown when a document changed underneath a transaction or a versioned update.
+// DatabaseService.transaction retries the unit of work when it sees one of these.
+export class WriteConflictError extends Error {
+  constructor(public collection: string, public documentId: string, message?: string) {
+    super(message || `Write conflict on ${collection}/${documentId}`);
+    this.name = 'WriteConflictError';
+  }
+}
+
+// Thrown when a write would give two documents the same key in a unique index. Inside
+// a transaction this is a conflict like any other: typically another transaction took
+// the same generated number first, and rerunning the work picks the next one.
+export class DuplicateKeyError extends WriteConflictError {
+  constructor(collection: string, documentId: string, indexName: string) {
+    super(collection, documentId, `Duplicate key in unique index ${indexName} on ${collection} for document ${documentId}`);
+    this.name = 'DuplicateKeyError';
+  }
+}
+
+// The committed view a transaction reads through. Supplied by DatabaseService.
+export interface TransactionSource {
+  readCommitted(collection: string, id: string): any | null;
+  queryCommitted(collection: string, query: any): any[];
+  matches(doc: any, query: any): boolean;
+  // Applies fields the store controls (such as the owning company) to a document being written
+  prepareWrite(collection: string, doc: any, existing: any | null): any;
+  generateId(): string;
+}
+
+export interface TransactionWrite {
+  collection: string;
+  id: string;
+  doc: any | null; // null marks a delete
+  baseVersion: number | null; // null when the document did not exist when first seen
+}
+
+export class Transaction {
+  readonly id: string;
+  private writes: Map<string, TransactionWrite> = new Map();
+  private seenVersions: Map<string, number | null> = new Map();
+  private state: 'active' | 'committed' | 'rolled_back' = 'active';
+
+  constructor(private source: TransactionSource) {
+    this.id = 'tx_' + source.generateId();
+  }
+
+  async findById<T>(collection: string, id: string): Promise<T | null> {
+    this.assertActive();
+    const doc = this.read(collection, id);
+    return doc ? structuredClone(doc) : null;
+  }
+
+  async findOne<T>(collection: string, query: any = {}): Promise<T | null> {
+    const results = await this.find<T>(collection, query);
+    return results.length > 0 ? results[0] : null;
+  }
+
+  async find<T>(collection: string, query: any = {}): Promise<T[]> {
+    this.assertActive();
+    const pending = Array.from(this.writes.values()).filter(w => w.collection === collection);
+    const pendingIds = new Set(pending.map(w => w.id));
+
+    const results = this.source.queryCommitted(collection, query)
+      .filter(doc => !pendingIds.has(doc.id));
+    for (const doc of results) {
+      this.remember(collection, doc.id, doc);
+    }
+
+    for (const write of pending) {
+      if (write.doc && this.source.matches(write.doc, query)) {
+        results.push(write.doc);
+      }
+    }
+
+    return results.map(doc => structuredClone(doc)) as T[];
+  }
+
+  async create<T>(collection: string, data: T): Promise<T> {
+    this.assertActive();
+    const id = (data as any).id || this.source.generateId();
+    if (this.read(collection, id)) {
+      throw new Error(`Document with ID ${id} already exists in ${collection}`);
+    }
+
+    const doc = this.source.prepareWrite(collection, {
+      ...data,
+      id,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    }, null);
+    this.stage(collection, id, doc);
+    return structuredClone(doc) as T;
+  }
+
+  async update<T>(collection: string, id: string, updateData: Partial<T>): Promise<T> {
+    this.assertActive();
+    const existing = this.read(collection, id);
+    if (!existing) {
+      throw new Error(`Document with ID ${id} not found in ${collection}`);
+    }
+
+    const doc = this.source.prepareWrite(collection, {
+      ...existing,
+      ...updateData,
+      id,
+      updatedAt: new Date()
+    }, existing);
+    this.stage(collection, id, doc);
+    return structuredClone(doc) as T;
+  }
+
+  async delete(collection: string, id: string): Promise<boolean> {
+    this.assertActive();
+    if (!this.read(collection, id)) {
+      throw new Error(`Document with ID ${id} not found in ${collection}`);
+    }
+    this.stage(collection, id, null);
+    return true;
+  }
+
+  rollback(): void {
+    if (this.state !== 'active') return;
+    this.writes.clear();
+    this.state = 'rolled_back';
+  }
+
+  getWrites(): TransactionWrite[] {
+    return Array.from(this.writes.values());
+  }
+
+  // Builds the storage batch for commit, stamping each written document with its next version
+  buildOperations(): StorageOperation[] {
+    const operations: StorageOperation[] = [];
+
+    for (const write of this.getWrites()) {
+      if (!write.doc) {
+        // Created and deleted inside the same transaction: nothing to persist
+        if (write.baseVersion !== null) {
+          operations.push({ op: 'delete', collection: write.collection, id: write.id });
+        }
+        continue;
+      }
+
+      const doc = { ...write.doc, [VERSION_FIELD]: (write.baseVersion || 0) + 1 };
+      operations.push(write.baseVersion === null
+        ? { op: 'insert', collection: write.collection, doc }
+        : { op: 'update', collection: write.collection, doc });
+    }
+
+    return operations;
+  }
+
+  markCommitted(): void {
+    this.state = 'committed';
+  }
+
+  isActive(): boolean {
+    return this.state === 'active';
+  }
+
+  private read(collection: string, id: string): any | null {
+    const key = this.key(collection, id);
+    const write = this.writes.get(key);
+    if (write) {
+      return write.doc;
+    }
+
+    const doc = this.source.readCommitted(collection, id);
+    this.remember(collection, id, doc);
+    return doc;
+  }
+
+  private stage(collection: string, id: string, doc: any | null): void {
+    const key = this.key(collection, id);
+    if (!this.seenVersions.has(key)) {
+      this.remember(collection, id, this.source.readCommitted(collection, id));
+    }
+
+    this.writes.set(key, {
+      collection,
+      id,
+      doc,
+      baseVersion: this.seenVersions.get(key) ?? null
+    });
+  }
+
+  // The first version we observe is the one validated at commit time
+  private remember(collection: string, id: string, doc: any | null): void {
+    const key = this.key(collection, id);
+    if (!this.seenVersions.has(key)) {
+      this.seenVersions.set(key, doc ? (doc[VERSION_FIELD] || 0) : null);
+    }
+  }
+
+  private key(collection: string, id: string): string {
+    return `${collection}:${id}`;
+  }
+
+  private assertActive(): void {
+    if (this.state !== 'active') {
+      throw new Error(`Transaction ${this.id} is already ${this.state.replace('_', ' ')}`);
+    }
+  }
+}
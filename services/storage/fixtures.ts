@@ -0,0 +1,101 @@
+// services/storage/fixtures.ts
+
+// Named data sets loaded through DatabaseService.loadFixtures. Loading is idempotent:
+// documents whose id already exists are left untouched.
+export type FixtureSet = Record<string, any[]>;
+
+export const fixtures: Record<string, FixtureSet> = {
+  sample: {
+    products: [
+      {
+        id: 'prod_001',
+        name: 'Portland Cement',
+        category: 'Cement',
+        description: 'High-quality Portland cement for construction projects',
+        unit: 'bag',
+        price: 12.50,
+        supplier: 'CemCorp',
+        status: 'active'
+      },
+      {
+        id: 'prod_002',
+        name: 'Steel Rebar #4',
+        category: 'Steel',
+        description: '1/2 inch steel reinforcement bar',
+        unit: 'piece',
+        price: 8.75,
+        supplier: 'SteelMax',
+        status: 'active'
+      },
+      {
+        id: 'prod_003',
+        name: 'Concrete Blocks',
+        category: 'Masonry',
+        description: '8x8x16 concrete masonry units',
+        unit: 'piece',
+        price: 2.25,
+        supplier: 'BlockCo',
+        status: 'active'
+      }
+    ],
+    locations: [
+      {
+        id: 'loc_wh_a',
+        code: 'WH-A',
+        name: 'Warehouse A',
+        type: 'warehouse',
+        isActive: true,
+        bins: [
+          { code: 'A-01-01', zone: 'A', aisle: '01', shelf: '01', isActive: true },
+          { code: 'A-01-02', zone: 'A', aisle: '01', shelf: '02', isActive: true }
+        ],
+        createdAt: new Date()
+      },
+      {
+        id: 'loc_wh_b',
+        code: 'WH-B',
+        name: 'Warehouse B',
+        type: 'warehouse',
+        isActive: true,
+        bins: [
+          { code: 'B-01-01', zone: 'B', aisle: '01', shelf: '01', isActive: true }
+        ],
+        createdAt: new Date()
+      }
+    ],
+    inventory: [
+      {
+        id: 'inv_001',
+        productId: 'prod_001',
+        productName: 'Portland Cement',
+        category: 'Cement',
+        quantity: 150,
+        minimumStock: 50,
+        maximumStock: 500,
+        unit: 'bag',
+        unitCost: 12.50,
+        location: 'Warehouse A',
+        locationId: 'loc_wh_a',
+        supplier: 'CemCorp',
+        status: 'in_stock',
+        lastUpdated: new Date()
+      },
+      {
+        id: 'inv_002',
+        productId: 'prod_002',
+        productName: 'Steel Rebar #4',
+        category: 'Steel',
+        quantity: 25,
+        minimumStock: 30,
+        maximumStock: 200,
+        unit: 'piece',
+        unitCost: 8.75,
+        location: 'Warehouse B',
+        locationId: 'loc_wh_b',
+        supplier: 'SteelMax',
+        status: 'low_stock',
+        lastUpdated: new Date()
+      }
+    ]
+  }
+};
@@ -0,0 +1,404 @@
+// services/storage/migrations.ts
+import type { DatabaseService } from '../DatabaseService';
+import { TENANT_FIELD, DEFAULT_COMPANY_ID, isTenantScoped } from './TenantScope';
+import { DEFAULT_COMPANY_SETTINGS } from '../companies/CompanySettings';
+import { purchaseNumberPrefix } from '../purchasing/PurchaseNumbers';
+
+export interface Migration {
+  version: number;
+  name: string;
+  up(db: DatabaseService): Promise<void>;
+}
+
+export interface MigrationRecord {
+  id: string;
+  version: number;
+  name: string;
+  appliedAt: Date;
+}
+
+export const MIGRATIONS_COLLECTION = 'schema_migrations';
+
+// Append new migrations to the end with the next version number. Never edit or
+// reorder one that has shipped; write a follow-up migration instead.
+export const migrations: Migration[] = [
+  {
+    version: 1,
+    name: 'initial_collections',
+    async up(db) {
+      const collections = [
+        'products',
+        'inventory',
+        'customers',
+        'orders',
+        'purchases',
+        'projects',
+        'suppliers',
+        'stock_movements',
+        'customer_contacts',
+        'ai_insights',
+        'notifications',
+        'users',
+        'analytics'
+      ];
+      for (const collection of collections) {
+        db.ensureCollection(collection);
+      }
+
+      await db.createIndex('inventory', { productId: 1 });
+      await db.createIndex('orders', { customerId: 1 });
+      await db.createIndex('orders', { orderNumber: 1 });
+      await db.createIndex('purchases', { supplierId: 1 });
+      await db.createIndex('stock_movements', { inventoryId: 1 });
+    }
+  },
+  {
+    version: 2,
+    name: 'query_indexes',
+    async up(db) {
+      await db.createIndex('orders', { 'items.productId': 1 });
+      await db.createIndex('orders', { status: 1 });
+      await db.createIndex('purchases', { status: 1 });
+      await db.createIndex('customer_contacts', { customerId: 1 });
+    }
+  },
+  {
+    version: 3,
+    name: 'user_accounts',
+    async up(db) {
+      await db.createIndex('users', { email: 1 }, { unique: true });
+    }
+  },
+  {
+    version: 4,
+    name: 'order_fulfillment',
+    async up(db) {
+      db.ensureCollection('shipments');
+      db.ensureCollection('backorders');
+      await db.createIndex('shipments', { orderId: 1 });
+      await db.createIndex('backorders', { productId: 1, status: 1 });
+      await db.createIndex('backorders', { orderItemId: 1 });
+    }
+  },
+  {
+    version: 5,
+    name: 'invoicing',
+    async up(db) {
+      db.ensureCollection('invoices');
+      await db.createIndex('invoices', { invoiceNumber: 1 }, { unique: true });
+      await db.createIndex('invoices', { customerId: 1, status: 1 });
+      await db.createIndex('invoices', { status: 1 });
+    }
+  },
+  {
+    version: 6,
+    name: 'accounts_payable',
+    async up(db) {
+      db.ensureCollection('purchase_receipts');
+      db.ensureCollection('supplier_invoices');
+      await db.createIndex('purchase_receipts', { purchaseId: 1 });
+      await db.createIndex('supplier_invoices', { supplierId: 1, invoiceNumber: 1 }, { unique: true });
+      await db.createIndex('supplier_invoices', { purchaseId: 1 });
+      await db.createIndex('supplier_invoices', { status: 1 });
+    }
+  },
+  {
+    version: 7,
+    name: 'warehouse_locations',
+    async up(db) {
+      db.ensureCollection('locations');
+      db.ensureCollection('transfer_orders');
+      await db.createIndex('locations', { code: 1 }, { unique: true });
+      await db.createIndex('inventory', { productId: 1, locationId: 1 });
+      await db.createIndex('transfer_orders', { status: 1 });
+      await db.createIndex('stock_movements', { transferId: 1 });
+    }
+  },
+  {
+    version: 8,
+    name: 'cycle_counts',
+    async up(db) {
+      db.ensureCollection('cycle_counts');
+      await db.createIndex('cycle_counts', { countNumber: 1 }, { unique: true });
+      await db.createIndex('cycle_counts', { status: 1 });
+      await db.createIndex('cycle_counts', { locationId: 1 });
+    }
+  },
+  {
+    version: 9,
+    name: 'inventory_costing',
+    async up(db) {
+      db.ensureCollection('settings');
+      db.ensureCollection('cost_of_goods');
+      await db.createIndex('cost_of_goods', { orderId: 1 });
+      await db.createIndex('cost_of_goods', { postedAt: 1 });
+      await db.createIndex('stock_movements', { timestamp: 1 });
+    }
+  },
+  {
+    version: 10,
+    name: 'company_isolation',
+    async up(db) {
+      db.ensureCollection('companies');
+
+      // The costing method chosen before companies existed becomes the default company's
+      let costingMethod = DEFAULT_COMPANY_SETTINGS.costingMethod;
+      await db.rewriteDocuments('settings', doc => {
+        if (doc.id !== 'company') return doc;
+        costingMethod = doc.costingMethod || costingMethod;
+        return null;
+      });
+
+      await db.insertIfMissing('companies', {
+        id: DEFAULT_COMPANY_ID,
+        name: process.env.DEFAULT_COMPANY_NAME || 'Default Company',
+        code: 'DEFAULT',
+        settings: { ...DEFAULT_COMPANY_SETTINGS, costingMethod },
+        isActive: true,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        createdBy: 'system'
+      });
+
+      // Everything written so far belongs to the default company
+      for (const collection of db.collectionNames().filter(isTenantScoped)) {
+        await db.rewriteDocuments(collection, doc =>
+          doc[TENANT_FIELD] ? doc : { ...doc, [TENANT_FIELD]: DEFAULT_COMPANY_ID });
+      }
+
+      // Document numbers and location codes only need to be unique within a company
+      const perCompany: Array<[string, string]> = [
+        ['invoices', 'invoiceNumber'],
+        ['locations', 'code'],
+        ['cycle_counts', 'countNumber']
+      ];
+      for (const [collection, field] of perCompany) {
+        await db.dropIndex(collection, { [field]: 1 });
+        await db.createIndex(collection, { [TENANT_FIELD]: 1, [field]: 1 }, { unique: true });
+      }
+      await db.dropIndex('supplier_invoices', { supplierId: 1, invoiceNumber: 1 });
+      await db.createIndex('supplier_invoices', { [TENANT_FIELD]: 1, supplierId: 1, invoiceNumber: 1 }, { unique: true });
+
+      await db.createIndex('companies', { code: 1 }, { unique: true });
+      await db.createIndex('users', { [TENANT_FIELD]: 1 });
+    }
+  },
+  {
+    version: 11,
+    name: 'price_lists',
+    async up(db) {
+      db.ensureCollection('price_lists');
+      db.ensureCollection('price_proposals');
+      await db.createIndex('price_lists', { 'entries.productId': 1 });
+      await db.createIndex('price_lists', { customerId: 1 });
+      await db.createIndex('price_proposals', { status: 1 });
+      await db.createIndex('price_proposals', { priceListId: 1, productId: 1 });
+    }
+  },
+  {
+    version: 12,
+    name: 'sales_tax',
+    async up(db) {
+      db.ensureCollection('tax_exemption_certificates');
+      await db.createIndex('tax_exemption_certificates', { [TENANT_FIELD]: 1, customerId: 1, certificateNumber: 1 }, { unique: true });
+      await db.createIndex('tax_exemption_certificates', { expiryDate: 1 });
+    }
+  },
+  {
+    version: 13,
+    name: 'quotes',
+    async up(db) {
+      db.ensureCollection('quotes');
+      await db.createIndex('quotes', { [TENANT_FIELD]: 1, quoteNumber: 1 }, { unique: true });
+      await db.createIndex('quotes', { customerId: 1 });
+      await db.createIndex('quotes', { status: 1, validUntil: 1 });
+      await db.createIndex('quotes', { createdAt: 1 });
+    }
+  },
+  {
+    version: 14,
+    name: 'project_costing',
+    async up(db) {
+      db.ensureCollection('project_costs');
+      db.ensureCollection('project_change_orders');
+      await db.createIndex('project_costs', { projectId: 1 });
+      await db.createIndex('project_change_orders', { projectId: 1 });
+      await db.createIndex('orders', { projectId: 1 });
+      await db.createIndex('purchases', { projectId: 1 });
+    }
+  },
+  {
+    version: 15,
+    name: 'requisitions',
+    async up(db) {
+      await db.createIndex('purchases', { 'items.requisitions.projectId': 1 });
+    }
+  },
+  {
+    version: 16,
+    name: 'dispatch',
+    async up(db) {
+      db.ensureCollection('trucks');
+      db.ensureCollection('delivery_loads');
+      await db.createIndex('delivery_loads', { [TENANT_FIELD]: 1, loadNumber: 1 }, { unique: true });
+      await db.createIndex('delivery_loads', { date: 1, status: 1 });
+      await db.createIndex('shipments', { loadId: 1 });
+    }
+  },
+  {
+    version: 17,
+    name: 'returns',
+    async up(db) {
+      db.ensureCollection('return_authorizations');
+      db.ensureCollection('vendor_returns');
+      db.ensureCollection('credit_memos');
+      await db.createIndex('return_authorizations', { [TENANT_FIELD]: 1, rmaNumber: 1 }, { unique: true });
+      await db.createIndex('return_authorizations', { orderId: 1 });
+      await db.createIndex('vendor_returns', { [TENANT_FIELD]: 1, returnNumber: 1 }, { unique: true });
+      await db.createIndex('vendor_returns', { purchaseId: 1, status: 1 });
+      await db.createIndex('credit_memos', { [TENANT_FIELD]: 1, creditMemoNumber: 1 }, { unique: true });
+      await db.createIndex('credit_memos', { customerId: 1, status: 1 });
+    }
+  },
+  {
+    version: 18,
+    name: 'edi',
+    async up(db) {
+      db.ensureCollection('edi_interchanges');
+      db.ensureCollection('expected_receipts');
+      await db.createIndex('edi_interchanges', { direction: 1, supplierId: 1, controlNumber: 1 });
+      await db.createIndex('edi_interchanges', { createdAt: 1 });
+      await db.createIndex('expected_receipts', { purchaseId: 1, status: 1 });
+      await db.createIndex('expected_receipts', { supplierId: 1, asnNumber: 1 });
+      await db.createIndex('suppliers', { 'edi.interchangeId': 1 });
+    }
+  },
+  {
+    version: 19,
+    name: 'imports',
+    async up(db) {
+      db.ensureCollection('import_batches');
+      await db.createIndex('import_batches', { [TENANT_FIELD]: 1, importNumber: 1 }, { unique: true });
+      await db.createIndex('import_batches', { entity: 1, importedAt: 1 });
+      await db.createIndex('products', { sku: 1 });
+      await db.createIndex('customers', { code: 1 });
+      await db.createIndex('suppliers', { code: 1 });
+    }
+  },
+  {
+    version: 20,
+    name: 'automation_history',
+    async up(db) {
+      db.ensureCollection('automation_executions');
+      db.ensureCollection('automation_schedules');
+      db.ensureCollection('automation_locks');
+      await db.createIndex('automation_executions', { workflowId: 1, startedAt: 1 });
+      await db.createIndex('automation_executions', { status: 1 });
+      await db.createIndex('automation_schedules', { [TENANT_FIELD]: 1, workflowId: 1 }, { unique: true });
+      await db.createIndex('automation_locks', { [TENANT_FIELD]: 1, workflowId: 1 }, { unique: true });
+    }
+  },
+  {
+    version: 21,
+    name: 'workflow_definitions',
+    async up(db) {
+      db.ensureCollection('workflow_definitions');
+      await db.createIndex('workflow_definitions', { [TENANT_FIELD]: 1, workflowId: 1, version: 1 }, { unique: true });
+      await db.createIndex('workflow_definitions', { status: 1 });
+    }
+  },
+  {
+    version: 22,
+    name: 'approvals',
+    async up(db) {
+      db.ensureCollection('approval_policies');
+      db.ensureCollection('approval_requests');
+      db.ensureCollection('approval_delegations');
+      await db.createIndex('approval_policies', { documentType: 1 });
+      await db.createIndex('approval_requests', { [TENANT_FIELD]: 1, requestNumber: 1 }, { unique: true });
+      await db.createIndex('approval_requests', { documentType: 1, documentId: 1 });
+      await db.createIndex('approval_requests', { status: 1 });
+      await db.createIndex('approval_delegations', { delegateId: 1 });
+    }
+  },
+  {
+    version: 23,
+    name: 'notification_deliveries',
+    async up(db) {
+      db.ensureCollection('notification_deliveries');
+      db.ensureCollection('notification_subscriptions');
+      await db.createIndex('notification_deliveries', { status: 1 });
+      await db.createIndex('notification_deliveries', { notificationId: 1 });
+      await db.createIndex('notification_subscriptions', { 'preferences.categories': 1 });
+    }
+  },
+  {
+    version: 24,
+    name: 'webhooks',
+    async up(db) {
+      db.ensureCollection('webhook_subscriptions');
+      db.ensureCollection('webhook_deliveries');
+      await db.createIndex('webhook_subscriptions', { 'events.type': 1 });
+      await db.createIndex('webhook_deliveries', { status: 1 });
+      await db.createIndex('webhook_deliveries', { subscriptionId: 1 });
+      await db.createIndex('webhook_deliveries', { eventId: 1 });
+    }
+  },
+  {
+    version: 25,
+    name: 'unique_order_numbers',
+    async up(db) {
+      // Numbers used to come from a count, so a deleted draft let its number be issued
+      // again. Later holders of a repeated number get a suffix so the index can be built.
+      const seen = new Map<string, number>();
+      await db.rewriteDocuments('orders', doc => {
+        const key = `${doc[TENANT_FIELD]}:${doc.orderNumber}`;
+        const holders = (seen.get(key) || 0) + 1;
+        seen.set(key, holders);
+        return holders === 1 ? doc : { ...doc, orderNumber: `${doc.orderNumber}-${holders}` };
+      });
+
+      await db.dropIndex('orders', { orderNumber: 1 });
+      await db.createIndex('orders', { [TENANT_FIELD]: 1, orderNumber: 1 }, { unique: true });
+    }
+  },
+  {
+    version: 26,
+    name: 'unique_purchase_numbers',
+    async up(db) {
+      // PO numbers came from a count as well, and purchases the supply chain automation
+      // raised had none. Those get the next number in the month they were created; later
+      // holders of a repeated number get a suffix so the index can be built.
+      const highest = new Map<string, number>();
+      await db.rewriteDocuments('purchases', doc => {
+        const issued = /^(PO-\d{6}-)(\d+)/.exec(doc.purchaseNumber || '');
+        if (issued) {
+          const key = `${doc[TENANT_FIELD]}:${issued[1]}`;
+          highest.set(key, Math.max(highest.get(key) || 0, parseInt(issued[2], 10)));
+        }
+        return doc; // this pass only reads
+      });
+
+      const seen = new Set<string>();
+      await db.rewriteDocuments('purchases', doc => {
+        let purchaseNumber = doc.purchaseNumber;
+        if (!purchaseNumber) {
+          const prefix = purchaseNumberPrefix(new Date(doc.createdAt || Date.now()));
+          const key = `${doc[TENANT_FIELD]}:${prefix}`;
+          const sequence = (highest.get(key) || 0) + 1;
+          highest.set(key, sequence);
+          purchaseNumber = `${prefix}${String(sequence).padStart(4, '0')}`;
+        }
+
+        let unique = purchaseNumber;
+        for (let holders = 2; seen.has(`${doc[TENANT_FIELD]}:${unique}`); holders++) {
+          unique = `${purchaseNumber}-${holders}`;
+        }
+        seen.add(`${doc[TENANT_FIELD]}:${unique}`);
+        return unique === doc.purchaseNumber ? doc : { ...doc, purchaseNumber: unique };
+      });
+
+      await db.createIndex('purchases', { [TENANT_FIELD]: 1, purchaseNumber: 1 }, { unique: true });
+    }
+  }
+];
@@ -0,0 +1,234 @@
+// services/tax/TaxRates.ts
+import fs from 'fs';
+import { roundCurrency } from '../invoicing/PaymentTerms';
+
+export type JurisdictionLevel = 'state' | 'county' | 'city' | 'district';
+
+// One row of the rate table. A row with only a state is the state rate; adding a county,
+// city or ZIP list narrows it to that jurisdiction. Every row matching an address adds
+// its rate, so a delivery pays state + county + city + any special district.
+export interface TaxRateRow {
+  code: string;
+  name: string;
+  state: string;
+  county?: string;
+  city?: string;
+  zips?: string[];
+  rate: number;
+  // Rates for particular taxability categories in this jurisdiction (0 exempts them)
+  categoryRates?: Record<string, number>;
+}
+
+export interface TaxCategory {
+  description: string;
+  // Untaxable categories pay nothing unless a jurisdiction sets a categoryRate for them
+  taxable: boolean;
+}
+
+export interface TaxRateTable {
+  version: string;
+  categories: Record<string, TaxCategory>;
+  rates: TaxRateRow[];
+  // Charged when no row matches the address, so unknown destinations are not untaxed
+  defaultRate: number;
+}
+
+export interface TaxAddress {
+  street?: string;
+  city?: string;
+  county?: string;
+  state?: string;
+  zipCode?: string;
+  country?: string;
+}
+
+export interface AppliedJurisdiction {
+  code: string;
+  name: string;
+  level: JurisdictionLevel;
+  rate: number;
+}
+
+// A jurisdiction's share of one line. Exempt and untaxable amounts are kept so the
+// liability report can show exempt sales per jurisdiction.
+export interface JurisdictionTax extends AppliedJurisdiction {
+  taxableAmount: number;
+  exemptAmount: number;
+  tax: number;
+}
+
+export interface LineTax {
+  category: string;
+  amount: number;
+  taxableAmount: number;
+  exemptAmount: number;
+  exemptReason?: 'certificate' | 'non_taxable';
+  exemptionCertificateId?: string;
+  rate: number;
+  tax: number;
+  jurisdictions: JurisdictionTax[];
+}
+
+export const DEFAULT_TAX_CATEGORY = 'general';
+export const FREIGHT_TAX_CATEGORY = 'freight';
+export const DEFAULT_JURISDICTION_CODE = 'DEFAULT';
+
+// Illustrative rates for development and the sample fixtures. Production installs load
+// their own table from TAX_RATES_PATH.
+export const SAMPLE_TAX_RATES: TaxRateTable = {
+  version: 'sample',
+  defaultRate: 0.08,
+  categories: {
+    general: { description: 'Tangible building materials', taxable: true },
+    labor: { description: 'Installation and other labor', taxable: false },
+    freight: { description: 'Separately stated delivery charges', taxable: true },
+    rental: { description: 'Equipment rental', taxable: true }
+  },
+  rates: [
+    { code: 'TX', name: 'Texas', state: 'TX', rate: 0.0625 },
+    { code: 'TX-AUSTIN', name: 'City of Austin', state: 'TX', city: 'Austin', rate: 0.01 },
+    { code: 'TX-CAPMETRO', name: 'Capital Metro Transit', state: 'TX', city: 'Austin', rate: 0.01 },
+    { code: 'TX-HOUSTON', name: 'City of Houston', state: 'TX', city: 'Houston', rate: 0.01 },
+    { code: 'TX-HOUMETRO', name: 'Houston METRO', state: 'TX', city: 'Houston', rate: 0.01 },
+    { code: 'CA', name: 'California', state: 'CA', rate: 0.0725, categoryRates: { freight: 0 } },
+    { code: 'CA-LA', name: 'Los Angeles County', state: 'CA', county: 'Los Angeles', rate: 0.0225, categoryRates: { freight: 0 } },
+    { code: 'FL', name: 'Florida', state: 'FL', rate: 0.06 },
+    { code: 'FL-MIAMIDADE', name: 'Miami-Dade County', state: 'FL', county: 'Miami-Dade', rate: 0.01 },
+    { code: 'OR', name: 'Oregon', state: 'OR', rate: 0 }
+  ]
+};
+
+// Reads the table from TAX_RATES_PATH (JSON in the TaxRateTable shape), or the sample
+export function loadRateTable(path: string | undefined = process.env.TAX_RATES_PATH): TaxRateTable {
+  if (!path) {
+    return SAMPLE_TAX_RATES;
+  }
+
+  const table = JSON.parse(fs.readFileSync(path, 'utf8'));
+  if (!Array.isArray(table.rates)) {
+    throw new Error(`Tax rate table ${path} has no rates`);
+  }
+  for (const row of table.rates) {
+    if (!row.code || !row.state || typeof row.rate !== 'number') {
+      throw new Error(`Tax rate row ${row.code || '(no code)'} needs a code, state and numeric rate`);
+    }
+  }
+
+  return {
+    version: table.version || path,
+    defaultRate: Number(table.defaultRate || 0),
+    categories: { ...SAMPLE_TAX_RATES.categories, ...(table.categories || {}) },
+    rates: table.rates
+  };
+}
+
+// Combined rate of several jurisdictions, without floating point noise
+export function combinedRate(jurisdictions: AppliedJurisdiction[]): number {
+  return Math.round(jurisdictions.reduce((sum, jurisdiction) => sum + jurisdiction.rate, 0) * 1e6) / 1e6;
+}
+
+function same(a?: string, b?: string): boolean {
+  return Boolean(a) && Boolean(b) && a!.trim().toLowerCase() === b!.trim().toLowerCase();
+}
+
+function levelOf(row: TaxRateRow): JurisdictionLevel {
+  if (row.zips?.length) return 'district';
+  if (row.city) return 'city';
+  if (row.county) return 'county';
+  return 'state';
+}
+
+// Rows that apply at an address, most general first
+export function matchJurisdictions(table: TaxRateTable, address: TaxAddress): TaxRateRow[] {
+  const zip = String(address.zipCode || '').slice(0, 5);
+  return table.rates.filter(row => {
+    if (!same(row.state, address.state)) return false;
+    if (row.county && !same(row.county, address.county)) return false;
+    if (row.city && !same(row.city, address.city)) return false;
+    if (row.zips?.length && !row.zips.includes(zip)) return false;
+    return true;
+  });
+}
+
+export function rateForCategory(table: TaxRateTable, row: TaxRateRow, category: string): number {
+  if (row.categoryRates && row.categoryRates[category] !== undefined) {
+    return row.categoryRates[category];
+  }
+  const definition = table.categories[category] || table.categories[DEFAULT_TAX_CATEGORY];
+  return definition && !definition.taxable ? 0 : row.rate;
+}
+
+// The jurisdictions, with their rates for a category, that tax a delivery to the address
+export function jurisdictionsFor(table: TaxRateTable, address: TaxAddress, category: string): AppliedJurisdiction[] {
+  const rows = matchJurisdictions(table, address);
+  if (rows.length === 0) {
+    const definition = table.categories[category] || table.categories[DEFAULT_TAX_CATEGORY];
+    return [{
+      code: DEFAULT_JURISDICTION_CODE,
+      name: 'Default rate',
+      level: 'state',
+      rate: definition && !definition.taxable ? 0 : table.defaultRate
+    }];
+  }
+
+  return rows.map(row => ({
+    code: row.code,
+    name: row.name,
+    level: levelOf(row),
+    rate: rateForCategory(table, row, category)
+  }));
+}
+
+// Taxes an amount in each jurisdiction. A certificate exempts the whole amount; a
+// jurisdiction that does not tax the category counts it as exempt there.
+export function taxLine(
+  amount: number,
+  category: string,
+  jurisdictions: AppliedJurisdiction[],
+  exemptionCertificateId?: string
+): LineTax {
+  const shares = jurisdictions.map(jurisdiction => {
+    const taxable = !exemptionCertificateId && jurisdiction.rate > 0;
+    return {
+      ...jurisdiction,
+      taxableAmount: taxable ? roundCurrency(amount) : 0,
+      exemptAmount: taxable ? 0 : roundCurrency(amount),
+      tax: taxable ? roundCurrency(amount * jurisdiction.rate) : 0
+    };
+  });
+
+  const tax = roundCurrency(shares.reduce((sum, share) => sum + share.tax, 0));
+  const taxableAmount = shares.some(share => share.taxableAmount > 0) ? roundCurrency(amount) : 0;
+  return {
+    category,
+    amount: roundCurrency(amount),
+    taxableAmount,
+    exemptAmount: roundCurrency(amount - taxableAmount),
+    ...(exemptionCertificateId
+      ? { exemptReason: 'certificate' as const, exemptionCertificateId }
+      : taxableAmount < amount && { exemptReason: 'non_taxable' as const }),
+    rate: exemptionCertificateId ? 0 : combinedRate(jurisdictions),
+    tax,
+    jurisdictions: shares
+  };
+}
+
+// The part of a line's tax that belongs to a fraction of its quantity (for invoicing
+// partial shipments)
+export function prorateLineTax(lineTax: LineTax, fraction: number): LineTax {
+  const scale = (value: number) => roundCurrency(value * fraction);
+  const jurisdictions = lineTax.jurisdictions.map(share => ({
+    ...share,
+    taxableAmount: scale(share.taxableAmount),
+    exemptAmount: scale(share.exemptAmount),
+    tax: scale(share.tax)
+  }));
+  return {
+    ...lineTax,
+    amount: scale(lineTax.amount),
+    taxableAmount: scale(lineTax.taxableAmount),
+    exemptAmount: scale(lineTax.exemptAmount),
+    tax: roundCurrency(jurisdictions.reduce((sum, share) => sum + share.tax, 0)),
+    jurisdictions
+  };
+}
@@ -0,0 +1,265 @@
+// services/webhooks/EventCatalog.ts
+
+// The events other systems can subscribe to. Each event has numbered payload
+// versions; a subscription is pinned to the version that was current when it
+// subscribed, so a new version never changes what an existing integration receives.
+// Schemas are JSON Schema, published as-is to integrators.
+
+export type WebhookEventType =
+  | 'order.confirmed'
+  | 'purchase_order.received'
+  | 'inventory.below_reorder_point'
+  | 'alert.raised'
+  | 'webhook.ping';
+
+export interface EventVersion {
+  schema: Record<string, any>;
+  build: (source: any) => any; // source: what publish() was given
+}
+
+export interface EventSpec {
+  description: string;
+  subscribable: boolean; // ping only ever goes to the subscription that asked for it
+  versions: Record<number, EventVersion>;
+}
+
+// Every delivery's body: the event's identity, then its payload
+export interface WebhookEnvelope {
+  id: string;         // the same on every delivery and redelivery of this event
+  type: WebhookEventType;
+  version: number;
+  companyId: string;
+  createdAt: string;
+  data: any;
+}
+
+const string = { type: 'string' };
+const number = { type: 'number' };
+const dateTime = { type: 'string', format: 'date-time' };
+const nullable = (schema: Record<string, any>) => ({ anyOf: [schema, { type: 'null' }] });
+
+function object(properties: Record<string, any>, required: string[] = Object.keys(properties)) {
+  return { type: 'object', properties, required };
+}
+
+function list(items: Record<string, any>) {
+  return { type: 'array', items };
+}
+
+const isoDate = (value: any): string | null => (value ? new Date(value).toISOString() : null);
+
+export const WEBHOOK_EVENTS: Record<WebhookEventType, EventSpec> = {
+  'order.confirmed': {
+    description: 'A sales order was confirmed: stock is reserved and anything short is backordered',
+    subscribable: true,
+    versions: {
+      1: {
+        schema: object({
+          order: object({
+            id: string,
+            orderNumber: string,
+            customerId: string,
+            customerName: string,
+            projectId: nullable(string),
+            status: string,
+            subtotal: number,
+            tax: number,
+            shipping: number,
+            discount: number,
+            total: number,
+            expectedDelivery: nullable(dateTime),
+            items: list(object({
+              id: string,
+              productId: string,
+              productName: string,
+              quantity: number,
+              unitPrice: number,
+              totalPrice: number,
+              quantityReserved: number,
+              quantityBackordered: number
+            }))
+          }),
+          backorders: list(object({ productId: string, orderItemId: string, quantity: number }))
+        }),
+        build: ({ order, backorders }) => ({
+          order: {
+            id: order.id,
+            orderNumber: order.orderNumber,
+            customerId: order.customerId,
+            customerName: order.customerName,
+            projectId: order.projectId || null,
+            status: order.status,
+            subtotal: order.subtotal,
+            tax: order.tax,
+            shipping: order.shipping,
+            discount: order.discount,
+            total: order.total,
+            expectedDelivery: isoDate(order.expectedDelivery),
+            items: order.items.map((item: any) => ({
+              id: item.id,
+              productId: item.productId,
+              productName: item.productName,
+              quantity: item.quantity,
+              unitPrice: item.unitPrice,
+              totalPrice: item.totalPrice,
+              quantityReserved: item.quantityReserved || 0,
+              quantityBackordered: item.quantityBackordered || 0
+            }))
+          },
+          backorders: (backorders || []).map((backorder: any) => ({
+            productId: backorder.productId,
+            orderItemId: backorder.orderItemId,
+            quantity: backorder.quantity
+          }))
+        })
+      }
+    }
+  },
+  'purchase_order.received': {
+    description: 'Goods were received against a purchase order, in full or in part',
+    subscribable: true,
+    versions: {
+      1: {
+        schema: object({
+          purchaseOrder: object({
+            id: string,
+            purchaseNumber: string,
+            supplierId: string,
+            supplierName: string,
+            projectId: nullable(string),
+            status: string,
+            total: number,
+            fullyReceived: { type: 'boolean' }
+          }),
+          receipt: object({
+            id: string,
+            receiptNumber: string,
+            receivedDate: dateTime,
+            items: list(object({
+              productId: string,
+              quantityReceived: number,
+              unitCost: number,
+              condition: { type: 'string', enum: ['good', 'damaged', 'defective'] },
+              locationId: nullable(string),
+              lotNumbers: list(string)
+            }))
+          })
+        }),
+        build: ({ purchase, receipt }) => ({
+          purchaseOrder: {
+            id: purchase.id,
+            purchaseNumber: purchase.purchaseNumber,
+            supplierId: purchase.supplierId,
+            supplierName: purchase.supplierName,
+            projectId: purchase.projectId || null,
+            status: purchase.status,
+            total: purchase.total,
+            fullyReceived: purchase.status === 'received'
+          },
+          receipt: {
+            id: receipt.id,
+            receiptNumber: receipt.receiptNumber,
+            receivedDate: isoDate(receipt.receivedDate),
+            items: receipt.items.map((item: any) => ({
+              productId: item.productId,
+              quantityReceived: item.quantityReceived,
+              unitCost: item.unitCost,
+              condition: item.condition,
+              locationId: item.locationId || null,
+              lotNumbers: item.lotNumbers || []
+            }))
+          }
+        })
+      }
+    }
+  },
+  'inventory.below_reorder_point': {
+    description: "A stock record's on-hand quantity fell to or below its reorder point (minimum stock)",
+    subscribable: true,
+    versions: {
+      1: {
+        schema: object({
+          inventory: object({
+            id: string,
+            productId: string,
+            productName: string,
+            locationId: nullable(string),
+            quantity: number,
+            reorderPoint: number,
+            maximumStock: nullable(number),
+            status: { type: 'string', enum: ['low_stock', 'out_of_stock', 'expired'] }
+          })
+        }),
+        build: inventory => ({
+          inventory: {
+            id: inventory.id,
+            productId: inventory.productId,
+            productName: inventory.productName,
+            locationId: inventory.locationId || null,
+            quantity: inventory.quantity,
+            reorderPoint: inventory.minimumStock,
+            maximumStock: inventory.maximumStock ?? null,
+            status: inventory.status
+          }
+        })
+      }
+    }
+  },
+  'alert.raised': {
+    description: 'An alert was raised by a workflow, the AI orchestrator or the system',
+    subscribable: true,
+    versions: {
+      1: {
+        schema: object({
+          alert: object({
+            title: string,
+            message: string,
+            severity: string,
+            category: string,
+            priority: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+            raisedAt: dateTime
+          })
+        }),
+        build: event => ({
+          alert: {
+            title: event.data?.title || 'Alert',
+            message: event.data?.message || '',
+            severity: event.data?.severity || 'info',
+            category: event.data?.category || 'general',
+            priority: event.priority || 'medium',
+            raisedAt: isoDate(event.timestamp) || new Date().toISOString()
+          }
+        })
+      }
+    }
+  },
+  'webhook.ping': {
+    description: 'Sent on request to check that an endpoint receives and verifies deliveries',
+    subscribable: false,
+    versions: {
+      1: {
+        schema: object({ subscriptionId: string, message: string }),
+        build: ({ subscriptionId }) => ({ subscriptionId, message: 'Webhook endpoint reached' })
+      }
+    }
+  }
+};
+
+export function isWebhookEvent(type: any): type is WebhookEventType {
+  return Object.prototype.hasOwnProperty.call(WEBHOOK_EVENTS, type);
+}
+
+export function latestVersion(type: WebhookEventType): number {
+  return Math.max(...Object.keys(WEBHOOK_EVENTS[type].versions).map(Number));
+}
+
+// The catalog as published to integrators
+export function describeCatalog() {
+  return Object.entries(WEBHOOK_EVENTS).map(([type, spec]) => ({
+    type,
+    description: spec.description,
+    subscribable: spec.subscribable,
+    latestVersion: latestVersion(type as WebhookEventType),
+    versions: Object.fromEntries(Object.entries(spec.versions).map(([version, { schema }]) => [version, schema]))
+  }));
+}
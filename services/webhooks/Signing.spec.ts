@@ -0,0 +1,45 @@
+// services/webhooks/Signing.spec.ts
+import { createHmac } from 'crypto';
+import { generateSecret, signPayload, signatureHeader, verifySignature } from './Signing';
+
+describe('webhook signing', () => {
+  const secret = 'whsec_test';
+  const body = JSON.stringify({ type: 'order.confirmed', data: { id: 'order_1' } });
+  const at = new Date('2026-05-01T12:00:00Z');
+  const timestamp = Math.floor(at.getTime() / 1000);
+
+  it('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+    const expected = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    expect(signPayload(secret, timestamp, body)).toBe(expected);
+    expect(signatureHeader(secret, body, at)).toBe(`t=${timestamp},v1=${expected}`);
+  });
+
+  it('verifies its own signature', () => {
+    const header = signatureHeader(secret, body, at);
+    expect(verifySignature(secret, header, body, { now: at })).toBe(true);
+  });
+
+  it('rejects a changed body, another secret or a garbled header', () => {
+    const header = signatureHeader(secret, body, at);
+    expect(verifySignature(secret, header, body + ' ', { now: at })).toBe(false);
+    expect(verifySignature('whsec_other', header, body, { now: at })).toBe(false);
+    expect(verifySignature(secret, header.replace(/v1=../, 'v1=00'), body, { now: at })).toBe(false);
+    expect(verifySignature(secret, `t=${timestamp}`, body, { now: at })).toBe(false);
+    expect(verifySignature(secret, 'nonsense', body, { now: at })).toBe(false);
+  });
+
+  it('rejects timestamps outside the tolerance', () => {
+    const header = signatureHeader(secret, body, at);
+    const later = (seconds: number) => new Date(at.getTime() + seconds * 1000);
+    expect(verifySignature(secret, header, body, { now: later(5 * 60) })).toBe(true);
+    expect(verifySignature(secret, header, body, { now: later(5 * 60 + 1) })).toBe(false);
+    expect(verifySignature(secret, header, body, { now: later(-10 * 60) })).toBe(false);
+    expect(verifySignature(secret, header, body, { now: later(10 * 60), toleranceSeconds: 15 * 60 })).toBe(true);
+  });
+
+  it('generates distinct prefixed secrets', () => {
+    const first = generateSecret();
+    expect(first).toMatch(/^whsec_[A-Za-z0-9_-]{32}$/);
+    expect(generateSecret()).not.toBe(first);
+  });
+});
@@ -0,0 +1,98 @@
+// services/webhooks/Signing.ts
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+// Outbound webhook requests are signed with the subscription's secret. The
+// X-Webhook-Signature header reads "t=<unix seconds>,v1=<hex HMAC-SHA256>", where the
+// HMAC covers "<t>.<raw body>". Receivers recompute it over the raw body, compare in
+// constant time, and reject timestamps outside a few minutes to stop replays.
+
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+const MAX_RESPONSE_BODY = 2000;
+
+export function generateSecret(): string {
+  return 'whsec_' + randomBytes(24).toString('base64url');
+}
+
+export function signPayload(secret: string, timestamp: number, body: string): string {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export function signatureHeader(secret: string, body: string, at: Date = new Date()): string {
+  const timestamp = Math.floor(at.getTime() / 1000);
+  return `t=${timestamp},v1=${signPayload(secret, timestamp, body)}`;
+}
+
+// What a receiver runs; exported for integrators' tests and our own
+export function verifySignature(
+  secret: string,
+  header: string,
+  body: string,
+  options: { toleranceSeconds?: number; now?: Date } = {}
+): boolean {
+  const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=', 2)));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) {
+    return false;
+  }
+  const age = Math.abs((options.now || new Date()).getTime() / 1000 - timestamp);
+  if (age > (options.toleranceSeconds ?? DEFAULT_TOLERANCE_SECONDS)) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body), 'hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+export interface WebhookRequest {
+  url: string;
+  method?: 'POST' | 'PUT';
+  body: string;
+  secret?: string; // unsigned when absent
+  headers?: Record<string, string>;
+  timeoutMs?: number;
+}
+
+export interface WebhookResponse {
+  ok: boolean;
+  statusCode?: number;  // absent when the request never got a response
+  body?: string;        // truncated
+  error?: string;
+  durationMs: number;
+}
+
+// One HTTP attempt. Never throws: network errors and timeouts come back as a
+// response without a status code.
+export async function sendWebhookRequest(request: WebhookRequest): Promise<WebhookResponse> {
+  const started = Date.now();
+  try {
+    const response = await fetch(request.url, {
+      method: request.method || 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ConstructionERP-Webhooks/1.0',
+        ...request.headers,
+        ...(request.secret && { [SIGNATURE_HEADER]: signatureHeader(request.secret, request.body) })
+      },
+      body: request.body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(request.timeoutMs || 10000)
+    });
+    const text = await response.text().catch(() => '');
+    return {
+      ok: response.ok,
+      statusCode: response.status,
+      body: text.slice(0, MAX_RESPONSE_BODY),
+      ...(!response.ok && { error: `Endpoint returned ${response.status}` }),
+      durationMs: Date.now() - started
+    };
+  } catch (error: any) {
+    const timedOut = error?.name === 'TimeoutError' || error?.name === 'AbortError';
+    return {
+      ok: false,
+      error: timedOut ? 'Timed out waiting for the endpoint' : error?.cause?.message || error?.message || String(error),
+      durationMs: Date.now() - started
+    };
+  }
+}
@@ -2,6 +2,7 @@
 import { Controller, Get, Post, Put, Delete, Body, Param, Query, Inject } from '@varld/warp';
 import { EquipmentMonitoringEngine } from '../services/EquipmentMonitoringEngine';
 import { Equipment, SensorReading } from '../services/types/Equipment';
+import { RequirePermission } from '../../services/auth/guards';
 
 @Controller('/api/predictive-maintenance')
 export class PredictiveMaintenanceController {
@@ -12,6 +13,7 @@ export class PredictiveMaintenanceController {
 
   // Equipment Management
   @Post('/equipment')
+  @RequirePermission('maintenance:write')
   async addEquipment(@Body() equipmentData: Omit<Equipment, 'id'>): Promise<Equipment> {
     try {
       console.log('🏗️ Adding new equipment:', equipmentData.name);
@@ -23,6 +25,7 @@ export class PredictiveMaintenanceController {
   }
 
   @Get('/equipment')
+  @RequirePermission('maintenance:read')
   async getEquipmentList(): Promise<Equipment[]> {
     try {
       return await this.equipmentMonitoringEngine.getEquipmentList();
@@ -34,6 +37,7 @@ export class PredictiveMaintenanceController {
 
   // Monitoring Control
   @Post('/monitoring/start')
+  @RequirePermission('maintenance:write')
   async startMonitoring(): Promise<{ success: boolean; message: string }> {
     try {
       await this.equipmentMonitoringEngine.startMonitoring();
@@ -45,6 +49,7 @@ export class PredictiveMaintenanceController {
   }
 
   @Post('/monitoring/stop')
+  @RequirePermission('maintenance:write')
   async stopMonitoring(): Promise<{ success: boolean; message: string }> {
     try {
       await this.equipmentMonitoringEngine.stopMonitoring();
@@ -57,6 +62,7 @@ export class PredictiveMaintenanceController {
 
   // Sensor Data
   @Post('/sensor-reading')
+  @RequirePermission('maintenance:write')
   async processSensorReading(@Body() reading: Omit<SensorReading, 'id'>): Promise<SensorReading> {
     try {
       console.log('📊 Processing sensor reading:', reading.sensorType, reading.value);
@@ -69,6 +75,7 @@ export class PredictiveMaintenanceController {
 
   // Health Monitoring
   @Get('/health/:equipmentId')
+  @RequirePermission('maintenance:read')
   async getEquipmentHealth(@Param('equipmentId') equipmentId: string) {
     try {
       const health = await this.equipmentMonitoringEngine.getEquipmentHealth(equipmentId);
@@ -83,6 +90,7 @@ export class PredictiveMaintenanceController {
   }
 
   @Get('/health')
+  @RequirePermission('maintenance:read')
   async getAllEquipmentHealth() {
     try {
       return await this.equipmentMonitoringEngine.getAllEquipmentHealth();
@@ -94,6 +102,7 @@ export class PredictiveMaintenanceController {
 
   // Maintenance Alerts
   @Get('/alerts')
+  @RequirePermission('maintenance:read')
   async getActiveAlerts(@Query('equipmentId') equipmentId?: string) {
     try {
       return await this.equipmentMonitoringEngine.getActiveAlerts(equipmentId);
@@ -104,6 +113,7 @@ export class PredictiveMaintenanceController {
   }
 
   @Get('/alerts/critical')
+  @RequirePermission('maintenance:read')
   async getCriticalAlerts() {
     try {
       return await this.equipmentMonitoringEngine.getCriticalAlerts();
@@ -114,6 +124,7 @@ export class PredictiveMaintenanceController {
   }
 
   @Put('/alerts/:alertId/acknowledge')
+  @RequirePermission('maintenance:write')
   async acknowledgeAlert(@Param('alertId') alertId: string): Promise<{ success: boolean }> {
     try {
       const success = await this.equipmentMonitoringEngine.acknowledgeAlert(alertId);
@@ -125,6 +136,7 @@ export class PredictiveMaintenanceController {
   }
 
   @Put('/alerts/:alertId/resolve')
+  @RequirePermission('maintenance:write')
   async resolveAlert(@Param('alertId') alertId: string): Promise<{ success: boolean }> {
     try {
       const success = await this.equipmentMonitoringEngine.resolveAlert(alertId);
@@ -137,6 +149,7 @@ export class PredictiveMaintenanceController {
 
   // Analytics & Insights
   @Get('/dashboard')
+  @RequirePermission('maintenance:read')
   async getDashboardData() {
     try {
       const [equipment, healthScores, alerts, criticalAlerts] = await Promise.all([
@@ -171,6 +184,7 @@ export class PredictiveMaintenanceController {
   }
 
   @Get('/analytics/trends')
+  @RequirePermission('maintenance:read')
   async getAnalyticsTrends(@Query('days') days: number = 7) {
     try {
       const healthScores = await this.equipmentMonitoringEngine.getAllEquipmentHealth();
@@ -196,6 +210,7 @@ export class PredictiveMaintenanceController {
   }
 
   @Post('/simulate/equipment')
+  @RequirePermission('maintenance:write')
   async simulateEquipment(): Promise<{ message: string; equipment: Equipment[] }> {
     try {
       const simulatedEquipment = [
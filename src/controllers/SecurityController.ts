@@ -2,6 +2,7 @@
 import { Controller, Get, Post, Put, Delete, Body, Param, Query, Inject } from '@varld/warp';
 import { SecurityOrchestrationEngine } from '../services/SecurityOrchestrationEngine';
 import { GeoLocation, DeviceFingerprint } from '../services/types/Security';
+import { RequirePermission } from '../../services/auth/guards';
 
 @Controller('/api/security')
 export class SecurityController {
@@ -12,6 +13,7 @@ export class SecurityController {
 
   // System Control
   @Post('/monitoring/start')
+  @RequirePermission('security:manage')
   async startMonitoring(): Promise<{ success: boolean; message: string }> {
     try {
       await this.securityEngine.startMonitoring();
@@ -23,6 +25,7 @@ export class SecurityController {
   }
 
   @Post('/monitoring/stop')
+  @RequirePermission('security:manage')
   async stopMonitoring(): Promise<{ success: boolean; message: string }> {
     try {
       await this.securityEngine.stopMonitoring();
@@ -35,6 +38,7 @@ export class SecurityController {
 
   // Event Recording
   @Post('/events/login')
+  @RequirePermission('security:write')
   async recordLoginAttempt(@Body() loginData: {
     userId: string;
     userEmail: string;
@@ -74,6 +78,7 @@ export class SecurityController {
   }
 
   @Post('/events/transaction')
+  @RequirePermission('security:write')
   async recordTransaction(@Body() transactionData: {
     userId: string;
     ipAddress: string;
@@ -115,6 +120,7 @@ export class SecurityController {
 
   // Dashboard & Analytics
   @Get('/dashboard')
+  @RequirePermission('security:read')
   async getSecurityDashboard(@Query('userId') userId?: string) {
     try {
       return await this.securityEngine.getSecurityDashboard(userId);
@@ -125,6 +131,7 @@ export class SecurityController {
   }
 
   @Get('/users/:userId/profile')
+  @RequirePermission('security:read')
   async getUserSecurityProfile(@Param('userId') userId: string) {
     try {
       return await this.securityEngine.getUserSecurityProfile(userId);
@@ -136,6 +143,7 @@ export class SecurityController {
 
   // Alert Management
   @Get('/alerts')
+  @RequirePermission('security:read')
   async getActiveAlerts(@Query() filters: {
     severity?: string;
     type?: string;
@@ -160,6 +168,7 @@ export class SecurityController {
   }
 
   @Get('/alerts/critical')
+  @RequirePermission('security:read')
   async getCriticalAlerts() {
     try {
       const dashboard = await this.securityEngine.getSecurityDashboard();
@@ -171,6 +180,7 @@ export class SecurityController {
   }
 
   @Put('/alerts/:alertId/acknowledge')
+  @RequirePermission('security:write')
   async acknowledgeAlert(@Param('alertId') alertId: string, @Body() data: { userId?: string }) {
     try {
       // Note: This would need to be implemented in the SecurityOrchestrationEngine
@@ -183,6 +193,7 @@ export class SecurityController {
   }
 
   @Put('/alerts/:alertId/resolve')
+  @RequirePermission('security:write')
   async resolveAlert(@Param('alertId') alertId: string, @Body() data: { resolution: 'resolved' | 'false_positive' }) {
     try {
       // Note: This would need to be implemented in the SecurityOrchestrationEngine
@@ -196,6 +207,7 @@ export class SecurityController {
 
   // Threat Intelligence
   @Get('/threats')
+  @RequirePermission('security:read')
   async getThreatIntelligence(@Query() query: {
     type?: string;
     threatLevel?: string;
@@ -215,6 +227,7 @@ export class SecurityController {
   }
 
   @Post('/threats/check-ip')
+  @RequirePermission('security:read')
   async checkIPReputation(@Body() data: { ipAddress: string }) {
     try {
       // This would need to be exposed through the SecurityOrchestrationEngine
@@ -232,6 +245,7 @@ export class SecurityController {
 
   // Risk Assessment
   @Get('/risk/:userId')
+  @RequirePermission('security:read')
   async getUserRiskAssessment(@Param('userId') userId: string) {
     try {
       const profile = await this.securityEngine.getUserSecurityProfile(userId);
@@ -244,6 +258,7 @@ export class SecurityController {
 
   // Security Events
   @Get('/events')
+  @RequirePermission('security:read')
   async getSecurityEvents(@Query() filters: {
     userId?: string;
     type?: string;
@@ -264,6 +279,7 @@ export class SecurityController {
   }
 
   @Get('/events/user/:userId')
+  @RequirePermission('security:read')
   async getUserSecurityEvents(@Param('userId') userId: string, @Query() options: {
     days?: number;
     limit?: number;
@@ -282,6 +298,7 @@ export class SecurityController {
 
   // Configuration
   @Get('/config')
+  @RequirePermission('security:read')
   async getSecurityConfiguration() {
     try {
       // This would return the current security configuration
@@ -316,6 +333,7 @@ export class SecurityController {
   }
 
   @Put('/config')
+  @RequirePermission('security:manage')
   async updateSecurityConfiguration(@Body() config: any) {
     try {
       await this.securityEngine.updateSecurityConfiguration(config);
@@ -328,6 +346,7 @@ export class SecurityController {
 
   // Simulation & Testing
   @Post('/simulate/login-attack')
+  @RequirePermission('security:manage')
   async simulateLoginAttack(@Body() data: {
     targetUserId: string;
     attackerIP: string;
@@ -378,6 +397,7 @@ export class SecurityController {
   }
 
   @Post('/simulate/fraud-transaction')
+  @RequirePermission('security:manage')
   async simulateFraudTransaction(@Body() data: {
     userId: string;
     amount: number;
@@ -422,6 +442,7 @@ export class SecurityController {
 
   // Statistics & Reports
   @Get('/statistics')
+  @RequirePermission('security:read')
   async getSecurityStatistics(@Query('days') days: number = 30) {
     try {
       const dashboard = await this.securityEngine.getSecurityDashboard();
@@ -439,6 +460,7 @@ export class SecurityController {
   }
 
   @Get('/health')
+  @RequirePermission('security:read')
   async getSecurityHealth() {
     try {
       const dashboard = await this.securityEngine.getSecurityDashboard();
@@ -3,39 +3,180 @@ import { Injectable } from '@varld/warp';
 import { AIOrchestrator } from './AIOrchestrator';
 import { RealTimeService } from './RealTimeService';
 import { EventEmitter } from 'events';
+import { DatabaseService } from '../../services/DatabaseService';
+import { currentCompanyId, currentUserId, runAsCompany } from '../../services/auth/RequestContext';
+import { DEFAULT_COMPANY_ID } from '../../services/storage/TenantScope';
+import { resolveSettings } from '../../services/companies/CompanySettings';
+import { nextRun, runsBetween } from '../../services/automation/Cron';
+import {
+  ActionDefinition,
+  ConditionDefinition,
+  DefinitionFormat,
+  InvalidDefinitionError,
+  TRIGGERS,
+  TriggerDefinition,
+  WorkflowDefinition,
+  evaluateConditions,
+  eventContext,
+  failedConditions,
+  formatDefinition,
+  matchesTrigger,
+  parseDefinition,
+  validateDefinition
+} from '../../services/automation/WorkflowDefinitions';
+import { DEFAULT_WORKFLOWS } from '../../services/automation/DefaultWorkflows';
+import { sendWebhookRequest } from '../../services/webhooks/Signing';
+import {
+  ReplayEvent,
+  inventoryEvents,
+  orderEvents,
+  scheduledEvents,
+  supplierDelayEvents
+} from '../../services/automation/WorkflowReplay';
+
+// A company's current workflow definition, ready to run
+export interface WorkflowRule extends WorkflowDefinition {
+  version: number;
+  executionCount: number;
+  lastExecuted?: Date;
+  createdAt: Date;
+}
+
+export type WorkflowTrigger = TriggerDefinition; // config is a ScheduleConfig for scheduled workflows
+export type WorkflowCondition = ConditionDefinition;
+export type WorkflowAction = ActionDefinition;
 
-export interface WorkflowRule {
+// Runs missed while the server was down are either run late, oldest first and at
+// most maxCatchUp of them, or skipped and recorded as such
+export type MissedRunPolicy = 'catch_up' | 'skip';
+
+export interface ScheduleConfig {
+  schedule: string; // cron, in the company's timezone
+  missedRuns?: MissedRunPolicy; // defaults to skip
+  maxCatchUp?: number;
+}
+
+// Every save of a definition is a new version; only one per workflow is current
+export interface WorkflowDefinitionVersion {
   id: string;
+  workflowId: string;
+  version: number;
+  definition: WorkflowDefinition;
+  format: DefinitionFormat;
+  source: string; // as submitted, so YAML keeps its comments
+  status: 'current' | 'superseded' | 'archived';
+  changeNote?: string;
+  createdAt: Date;
+  createdBy: string;
+}
+
+// A definition as submitted: parsed already, or as JSON or YAML text
+export interface DefinitionInput {
+  definition?: unknown;
+  source?: string;
+  format?: DefinitionFormat;
+  changeNote?: string;
+}
+
+// Replays a saved version (the current one by default) or an unsaved definition
+export interface DryRunRequest extends DefinitionInput {
+  workflowId?: string;
+  version?: number;
+  from: Date;
+  to: Date;
+}
+
+export interface DryRunRun {
+  at: Date;
+  event: string;
+  source: ReplayEvent['source'];
+  reference: string;
+  conditionsMet: boolean;
+  failedConditions?: string[];
+  actions: WorkflowAction[]; // what would have run; empty when conditions weren't met
+}
+
+export interface DryRunReport {
+  workflowId: string;
+  version: number | null; // null for an unsaved definition
   name: string;
-  description: string;
   trigger: WorkflowTrigger;
-  conditions: WorkflowCondition[];
-  actions: WorkflowAction[];
-  isActive: boolean;
-  priority: number;
-  executionCount: number;
-  lastExecuted?: Date;
-  createdAt: Date;
+  window: { from: Date; to: Date };
+  replayable: boolean;
+  note?: string;
+  eventsReplayed: number;
+  triggered: number;
+  wouldRun: number;
+  conditionsNotMet: number;
+  actionCounts: Record<string, number>;
+  runs: DryRunRun[];
+  truncated: boolean; // more runs matched than are listed
 }
 
-export interface WorkflowTrigger {
-  type: 'inventory_low' | 'customer_order' | 'supplier_delay' | 'price_change' | 'ai_insight' | 'scheduled' | 'manual';
-  config: any;
+// What started an execution
+export interface ExecutionTrigger {
+  type: WorkflowTrigger['type'];
+  event?: string;
+  scheduledFor?: Date;
+  catchUp?: boolean;   // a missed run, run late
+  missedRuns?: number; // on skipped records: how many runs were missed
 }
 
-export interface WorkflowCondition {
-  field: string;
-  operator: 'equals' | 'greater_than' | 'less_than' | 'contains' | 'not_empty';
-  value: any;
-  logicalOperator?: 'AND' | 'OR';
+export interface ActionResult {
+  type: WorkflowAction['type'];
+  status: 'succeeded' | 'failed';
+  startedAt: Date;
+  durationMs: number;
+  result?: any;
+  error?: string;
+}
+
+// One run of a workflow, kept so automated actions can be traced back to what caused them
+export interface WorkflowExecution {
+  id: string;
+  workflowId: string;
+  workflowName: string;
+  workflowVersion?: number;
+  trigger: ExecutionTrigger;
+  status: 'running' | 'succeeded' | 'failed' | 'skipped' | 'conditions_not_met';
+  inputs: any;
+  actions: ActionResult[];
+  startedAt: Date;
+  finishedAt?: Date;
+  durationMs?: number;
+  error?: string;
 }
 
-export interface WorkflowAction {
-  type: 'create_po' | 'send_email' | 'update_price' | 'create_alert' | 'schedule_task' | 'call_webhook' | 'ai_analysis';
-  config: any;
-  delay?: number; // milliseconds
+export interface WorkflowSchedule {
+  id: string;
+  workflowId: string;
+  schedule: string;
+  timezone: string;
+  lastScheduledFor?: Date;
+  nextRunAt: Date | null;
+  updatedAt: Date;
+}
+
+interface WorkflowLock {
+  id: string;
+  workflowId: string;
+  executionId: string;
+  lockedAt: Date;
+  lockedUntil: Date;
 }
 
+// A run is on time if the scheduler picks it up within this long; older ones were missed
+const SCHEDULE_GRACE_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_CATCH_UP = 5;
+// Locks outlive a crashed process by no more than this
+const LOCK_TTL_MS = 30 * 60 * 1000;
+// Inputs and results larger than this are stored truncated
+const MAX_RECORDED_CHARS = 20000;
+// Definitions are reread this often, so edits made through another server take effect
+const DEFINITION_CACHE_MS = 60 * 1000;
+const MAX_REPLAY_DAYS = 366;
+const MAX_REPLAY_RUNS = 500;
+
 export interface SmartProcurementRule {
   productId: string;
   supplierId: string;
@@ -50,271 +191,494 @@ export interface SmartProcurementRule {
 
 @Injectable()
 export class AutomationService extends EventEmitter {
-  private workflows: Map<string, WorkflowRule> = new Map();
+  // Each company's current definitions, by workflow id
+  private companyWorkflows: Map<string, { loadedAt: number; workflows: Map<string, WorkflowRule> }> = new Map();
+  private loadingWorkflows: Map<string, Promise<Map<string, WorkflowRule>>> = new Map();
   private procurementRules: Map<string, SmartProcurementRule> = new Map();
-  private executionQueue: Array<{ workflowId: string, context: any }> = [];
+  private executionQueue: Array<{ workflowId: string, context: any, trigger: ExecutionTrigger, companyId: string }> = [];
   private isProcessing: boolean = false;
+  private isCheckingSchedules: boolean = false;
+  // Workflows running in this process, by company and workflow
+  private running: Set<string> = new Set();
+  private timers: NodeJS.Timeout[] = [];
 
   constructor(
     private aiOrchestrator: AIOrchestrator,
-    private realTimeService: RealTimeService
+    private realTimeService: RealTimeService,
+    private databaseService: DatabaseService
   ) {
     super();
-    this.initializeDefaultWorkflows();
     this.startAutomationEngine();
     this.setupEventHandlers();
   }
 
-  private initializeDefaultWorkflows() {
-    // Smart Inventory Reordering
-    this.createWorkflow({
-      id: 'smart-inventory-reorder',
-      name: 'Smart Inventory Reordering',
-      description: 'Automatically create purchase orders when inventory falls below optimal levels',
-      trigger: {
-        type: 'inventory_low',
-        config: { checkInterval: 300000 } // Check every 5 minutes
-      },
-      conditions: [
-        { field: 'quantityOnHand', operator: 'less_than', value: 'reorderPoint' },
-        { field: 'supplier.isActive', operator: 'equals', value: true }
-      ],
-      actions: [
-        {
-          type: 'ai_analysis',
-          config: { analysisType: 'optimal_order_quantity' }
-        },
-        {
-          type: 'create_po',
-          config: { 
-            autoApprove: false,
-            notifyPurchasing: true,
-            includeAIRecommendations: true 
-          }
-        }
-      ],
-      isActive: true,
-      priority: 8,
-      executionCount: 0,
-      createdAt: new Date()
-    });
-
-    // Dynamic Pricing Optimization
-    this.createWorkflow({
-      id: 'dynamic-pricing',
-      name: 'AI-Powered Dynamic Pricing',
-      description: 'Adjust prices based on market conditions, demand, and competition',
-      trigger: {
-        type: 'scheduled',
-        config: { schedule: '0 9 * * *' } // Daily at 9 AM
-      },
-      conditions: [
-        { field: 'category', operator: 'not_empty', value: null },
-        { field: 'isActive', operator: 'equals', value: true }
-      ],
-      actions: [
-        {
-          type: 'ai_analysis',
-          config: { analysisType: 'market_pricing_analysis' }
-        },
-        {
-          type: 'update_price',
-          config: { 
-            requireApproval: true,
-            maxIncrease: 0.1, // Max 10% increase
-            maxDecrease: 0.05 // Max 5% decrease
-          }
-        }
-      ],
-      isActive: true,
-      priority: 6,
-      executionCount: 0,
-      createdAt: new Date()
-    });
-
-    // Customer Churn Prevention
-    this.createWorkflow({
-      id: 'churn-prevention',
-      name: 'Customer Churn Prevention',
-      description: 'Proactively engage customers at risk of churning',
-      trigger: {
-        type: 'ai_insight',
-        config: { insightType: 'customer_churn' }
-      },
-      conditions: [
-        { field: 'churnRisk', operator: 'greater_than', value: 0.7 },
-        { field: 'lifetimeValue', operator: 'greater_than', value: 10000 }
-      ],
-      actions: [
-        {
-          type: 'create_alert',
-          config: {
-            title: 'High-Value Customer Churn Risk',
-            assignTo: 'account_manager',
-            priority: 'high'
-          }
-        },
-        {
-          type: 'schedule_task',
-          config: {
-            taskType: 'customer_outreach',
-            dueDate: '3_days',
-            template: 'retention_call'
-          }
-        }
-      ],
-      isActive: true,
-      priority: 9,
-      executionCount: 0,
-      createdAt: new Date()
-    });
-
-    // Supplier Performance Monitoring
-    this.createWorkflow({
-      id: 'supplier-performance',
-      name: 'Supplier Performance Monitoring',
-      description: 'Monitor and act on supplier performance issues',
-      trigger: {
-        type: 'supplier_delay',
-        config: { delayThreshold: 2 } // 2 days late
-      },
-      conditions: [
-        { field: 'onTimeDeliveryRate', operator: 'less_than', value: 0.85 },
-        { field: 'isPreferredSupplier', operator: 'equals', value: true }
-      ],
-      actions: [
-        {
-          type: 'ai_analysis',
-          config: { analysisType: 'supplier_risk_assessment' }
-        },
-        {
-          type: 'create_alert',
-          config: {
-            title: 'Preferred Supplier Performance Issue',
-            assignTo: 'procurement_team',
-            includeRecommendations: true
-          }
-        },
-        {
-          type: 'schedule_task',
-          config: {
-            taskType: 'supplier_review',
-            dueDate: '1_week'
-          }
-        }
-      ],
-      isActive: true,
-      priority: 7,
-      executionCount: 0,
-      createdAt: new Date()
-    });
-
-    // Seasonal Inventory Adjustment
-    this.createWorkflow({
-      id: 'seasonal-adjustment',
-      name: 'Seasonal Inventory Adjustment',
-      description: 'Adjust inventory levels based on seasonal construction patterns',
-      trigger: {
-        type: 'scheduled',
-        config: { schedule: '0 0 1 */3 *' } // Quarterly on the 1st
-      },
-      conditions: [
-        { field: 'category', operator: 'contains', value: ['lumber', 'concrete', 'roofing'] }
-      ],
-      actions: [
-        {
-          type: 'ai_analysis',
-          config: { 
-            analysisType: 'seasonal_demand_forecast',
-            horizon: 90 // 3 months ahead
-          }
-        },
-        {
-          type: 'update_price',
-          config: {
-            adjustmentType: 'seasonal',
-            requireApproval: false,
-            maxAdjustment: 0.15
-          }
-        }
-      ],
-      isActive: true,
-      priority: 5,
-      executionCount: 0,
-      createdAt: new Date()
-    });
-  }
-
   private setupEventHandlers() {
     // Listen for real-time events that could trigger workflows
     this.realTimeService.on('event_broadcasted', (event) => {
-      this.processEventTriggers(event);
+      this.processEventTriggers(event).catch(error => console.error('Error matching workflow triggers:', error));
     });
 
     // Listen for AI insights that could trigger workflows
     this.aiOrchestrator.on('insights_updated', (insights) => {
       insights.forEach(insight => {
-        this.processAIInsightTriggers(insight);
+        this.processAIInsightTriggers(insight).catch(error => console.error('Error matching workflow triggers:', error));
       });
     });
 
     // Listen for critical alerts
     this.aiOrchestrator.on('critical_alerts', (alerts) => {
       alerts.forEach(alert => {
-        this.processCriticalAlert(alert);
+        this.processCriticalAlert(alert).catch(error => console.error('Error matching workflow triggers:', error));
       });
     });
   }
 
   private startAutomationEngine() {
-    // Process workflow execution queue
-    setInterval(() => {
-      this.processExecutionQueue();
-    }, 5000); // Every 5 seconds
-
-    // Check scheduled workflows
-    setInterval(() => {
-      this.checkScheduledWorkflows();
-    }, 60000); // Every minute
-
-    // Health check and optimization
-    setInterval(() => {
-      this.optimizeWorkflows();
-    }, 3600000); // Every hour
-  }
-
-  public createWorkflow(workflow: Omit<WorkflowRule, 'id'> & { id?: string }): WorkflowRule {
-    const id = workflow.id || `wf_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const fullWorkflow: WorkflowRule = {
-      ...workflow,
-      id,
-      executionCount: 0,
-      createdAt: new Date()
+    this.timers = [
+      // Process workflow execution queue
+      setInterval(() => {
+        this.processExecutionQueue();
+      }, 5000), // Every 5 seconds
+
+      // Check scheduled workflows
+      setInterval(() => {
+        this.checkScheduledWorkflows().catch(error => console.error('Error checking scheduled workflows:', error));
+      }, 60000), // Every minute
+
+      // Health check and optimization
+      setInterval(() => {
+        this.optimizeWorkflows();
+      }, 3600000) // Every hour
+    ];
+    this.timers.forEach(timer => timer.unref?.());
+  }
+
+  public stopAutomationEngine(): void {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+
+  // The company's current definitions as runnable workflows. Reread every
+  // DEFINITION_CACHE_MS; run counts carry over from the previous load.
+  private async workflowsFor(companyId: string = currentCompanyId() || DEFAULT_COMPANY_ID): Promise<Map<string, WorkflowRule>> {
+    const cached = this.companyWorkflows.get(companyId);
+    if (cached && Date.now() - cached.loadedAt < DEFINITION_CACHE_MS) {
+      return cached.workflows;
+    }
+
+    let loading = this.loadingWorkflows.get(companyId);
+    if (!loading) {
+      loading = runAsCompany(companyId, () => this.loadWorkflows(companyId, cached?.workflows))
+        .finally(() => this.loadingWorkflows.delete(companyId));
+      this.loadingWorkflows.set(companyId, loading);
+    }
+    return loading;
+  }
+
+  private async loadWorkflows(companyId: string, previous?: Map<string, WorkflowRule>): Promise<Map<string, WorkflowRule>> {
+    await this.seedDefaultWorkflows();
+    const versions = await this.databaseService.find<WorkflowDefinitionVersion>('workflow_definitions', { status: 'current' });
+
+    const workflows = new Map<string, WorkflowRule>();
+    for (const version of versions) {
+      workflows.set(version.workflowId, this.toRule(version, previous?.get(version.workflowId)));
+    }
+    this.companyWorkflows.set(companyId, { loadedAt: Date.now(), workflows });
+    return workflows;
+  }
+
+  private toRule(version: WorkflowDefinitionVersion, previous?: WorkflowRule): WorkflowRule {
+    return {
+      ...version.definition,
+      version: version.version,
+      executionCount: previous?.executionCount ?? 0,
+      lastExecuted: previous?.lastExecuted,
+      createdAt: new Date(version.createdAt)
+    };
+  }
+
+  // A company with no definitions at all starts with the defaults as version 1
+  private async seedDefaultWorkflows(): Promise<void> {
+    if (await this.databaseService.count('workflow_definitions') > 0) {
+      return;
+    }
+    try {
+      await this.databaseService.transaction(async tx => {
+        if ((await tx.find('workflow_definitions', {})).length > 0) {
+          return;
+        }
+        for (const definition of DEFAULT_WORKFLOWS) {
+          await tx.create<WorkflowDefinitionVersion>('workflow_definitions',
+            this.versionRecord(definition, 1, 'json', formatDefinition(definition, 'json'), 'Default workflow'));
+        }
+      });
+    } catch (error) {
+      // Another server seeded them first
+      console.warn('Default workflows not seeded:', error.message);
+    }
+  }
+
+  public async getWorkflows(): Promise<WorkflowRule[]> {
+    return Array.from((await this.workflowsFor()).values());
+  }
+
+  public async listDefinitions(options: { includeArchived?: boolean } = {}): Promise<WorkflowDefinitionVersion[]> {
+    await this.workflowsFor();
+    return this.databaseService.find<WorkflowDefinitionVersion>('workflow_definitions', {
+      status: options.includeArchived ? { $in: ['current', 'archived'] } : 'current'
+    }, { sort: { workflowId: 1 } });
+  }
+
+  // The current (or archived) version, or the version asked for
+  public async getDefinition(workflowId: string, version?: number): Promise<WorkflowDefinitionVersion | null> {
+    await this.workflowsFor();
+    return this.databaseService.findOne<WorkflowDefinitionVersion>('workflow_definitions', {
+      workflowId,
+      ...(version !== undefined ? { version } : { status: { $in: ['current', 'archived'] } })
+    });
+  }
+
+  public async listDefinitionVersions(workflowId: string): Promise<WorkflowDefinitionVersion[]> {
+    return this.databaseService.find<WorkflowDefinitionVersion>('workflow_definitions', { workflowId }, {
+      sort: { version: -1 }
+    });
+  }
+
+  public async createDefinition(input: DefinitionInput): Promise<WorkflowDefinitionVersion> {
+    const { definition, format, source } = this.readDefinition(input);
+    await this.workflowsFor();
+    return this.saveVersion(definition, format, source, input.changeNote, true);
+  }
+
+  // Saves the definition as the workflow's next version; restores an archived workflow
+  public async updateDefinition(workflowId: string, input: DefinitionInput): Promise<WorkflowDefinitionVersion> {
+    const { definition, format, source } = this.readDefinition(input, workflowId);
+    if (definition.id !== workflowId) {
+      throw new InvalidDefinitionError([`id "${definition.id}" does not match workflow ${workflowId}; workflows cannot be renamed`]);
+    }
+    return this.saveVersion(definition, format, source, input.changeNote, false);
+  }
+
+  // Archived workflows stop running; their versions are kept
+  public async archiveDefinition(workflowId: string): Promise<WorkflowDefinitionVersion | null> {
+    const current = await this.databaseService.findOne<WorkflowDefinitionVersion>('workflow_definitions', {
+      workflowId,
+      status: 'current'
+    });
+    if (!current) {
+      return null;
+    }
+
+    const archived = await this.databaseService.update<WorkflowDefinitionVersion>('workflow_definitions', current.id, {
+      status: 'archived'
+    });
+    this.companyWorkflows.get(currentCompanyId() || DEFAULT_COMPANY_ID)?.workflows.delete(workflowId);
+    this.emit('workflow_archived', { workflowId, version: archived.version });
+    return archived;
+  }
+
+  // Switching a workflow on or off is saved as a new version like any other change.
+  // Null when there's no such workflow.
+  public async toggleWorkflow(workflowId: string): Promise<boolean | null> {
+    const current = await this.databaseService.findOne<WorkflowDefinitionVersion>('workflow_definitions', {
+      workflowId,
+      status: 'current'
+    });
+    if (!current) {
+      return null;
+    }
+
+    const definition = { ...current.definition, isActive: !current.definition.isActive };
+    await this.saveVersion(
+      definition,
+      current.format,
+      formatDefinition(definition, current.format),
+      definition.isActive ? 'Enabled' : 'Disabled',
+      false
+    );
+    this.emit('workflow_toggled', { workflowId, isActive: definition.isActive });
+    return definition.isActive;
+  }
+
+  private readDefinition(input: DefinitionInput, workflowId?: string): {
+    definition: WorkflowDefinition;
+    format: DefinitionFormat;
+    source: string;
+  } {
+    const format = input.format || 'json';
+    if (format !== 'json' && format !== 'yaml') {
+      throw new InvalidDefinitionError(['format must be json or yaml']);
+    }
+    if (input.source === undefined && input.definition === undefined) {
+      throw new InvalidDefinitionError(['definition or source is required']);
+    }
+
+    let raw: any;
+    try {
+      raw = input.source !== undefined ? parseDefinition(input.source, format) : input.definition;
+    } catch (error) {
+      throw new InvalidDefinitionError([error.message]);
+    }
+    // On update the id can come from the path
+    if (workflowId && raw && typeof raw === 'object' && raw.id === undefined) {
+      raw = { ...raw, id: workflowId };
+    }
+
+    const { definition, errors } = validateDefinition(raw);
+    if (!definition) {
+      throw new InvalidDefinitionError(errors);
+    }
+    return {
+      definition,
+      format,
+      source: typeof input.source === 'string' ? input.source : formatDefinition(definition, format)
+    };
+  }
+
+  private async saveVersion(
+    definition: WorkflowDefinition,
+    format: DefinitionFormat,
+    source: string,
+    changeNote: string | undefined,
+    isNew: boolean
+  ): Promise<WorkflowDefinitionVersion> {
+    const saved = await this.databaseService.transaction(async tx => {
+      const versions = await tx.find<WorkflowDefinitionVersion>('workflow_definitions', { workflowId: definition.id });
+      if (isNew && versions.length > 0) {
+        throw new Error(`Workflow ${definition.id} already exists; save a new version of it instead`);
+      }
+      if (!isNew && versions.length === 0) {
+        throw new Error(`Workflow ${definition.id} not found`);
+      }
+
+      for (const version of versions.filter(candidate => candidate.status !== 'superseded')) {
+        await tx.update<WorkflowDefinitionVersion>('workflow_definitions', version.id, { status: 'superseded' });
+      }
+      const latest = versions.reduce((highest, version) => Math.max(highest, version.version), 0);
+      return tx.create<WorkflowDefinitionVersion>('workflow_definitions',
+        this.versionRecord(definition, latest + 1, format, source, changeNote));
+    });
+
+    const cached = this.companyWorkflows.get(currentCompanyId() || DEFAULT_COMPANY_ID);
+    cached?.workflows.set(definition.id, this.toRule(saved, cached.workflows.get(definition.id)));
+    this.emit(isNew ? 'workflow_created' : 'workflow_updated', { workflowId: definition.id, version: saved.version });
+    return saved;
+  }
+
+  private versionRecord(
+    definition: WorkflowDefinition,
+    version: number,
+    format: DefinitionFormat,
+    source: string,
+    changeNote?: string
+  ): WorkflowDefinitionVersion {
+    return {
+      id: this.generateId('wfd'),
+      workflowId: definition.id,
+      version,
+      definition,
+      format,
+      source,
+      status: 'current',
+      ...(changeNote && { changeNote }),
+      createdAt: new Date(),
+      createdBy: currentUserId()
     };
-    
-    this.workflows.set(id, fullWorkflow);
-    this.emit('workflow_created', fullWorkflow);
-    
-    return fullWorkflow;
   }
 
-  public async executeWorkflow(workflowId: string, context: any = {}): Promise<boolean> {
-    const workflow = this.workflows.get(workflowId);
+  // Replays the window's events through a definition's trigger and conditions and
+  // reports what would have run. Nothing is executed or written.
+  public async dryRun(request: DryRunRequest): Promise<DryRunReport> {
+    const from = new Date(request.from);
+    const to = new Date(request.to);
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      throw new Error('from and to must be dates, from before to');
+    }
+    if (to.getTime() - from.getTime() > MAX_REPLAY_DAYS * 24 * 60 * 60 * 1000) {
+      throw new Error(`A dry run covers at most ${MAX_REPLAY_DAYS} days`);
+    }
+
+    let definition: WorkflowDefinition;
+    let version: number | null = null;
+    if (request.definition !== undefined || request.source !== undefined) {
+      definition = this.readDefinition(request, request.workflowId).definition;
+    } else if (request.workflowId) {
+      const saved = await this.getDefinition(request.workflowId, request.version);
+      if (!saved) {
+        throw new Error(`Workflow ${request.workflowId}${request.version ? ` version ${request.version}` : ''} not found`);
+      }
+      definition = saved.definition;
+      version = saved.version;
+    } else {
+      throw new InvalidDefinitionError(['workflowId or a definition is required']);
+    }
+
+    const { type } = definition.trigger;
+    const report: DryRunReport = {
+      workflowId: definition.id,
+      version,
+      name: definition.name,
+      trigger: definition.trigger,
+      window: { from, to },
+      replayable: TRIGGERS[type].replayable,
+      eventsReplayed: 0,
+      triggered: 0,
+      wouldRun: 0,
+      conditionsNotMet: 0,
+      actionCounts: {},
+      runs: [],
+      truncated: false
+    };
+    if (!report.replayable) {
+      report.note = type === 'manual'
+        ? 'Manual workflows only run on request'
+        : `${type} events come from live feeds that are not kept, so they cannot be replayed`;
+      return report;
+    }
+
+    const events = await this.replayEvents(definition.trigger, from, to);
+    report.eventsReplayed = events.length;
+    for (const event of events) {
+      if (type !== 'scheduled' && !matchesTrigger(definition.trigger, event)) {
+        continue;
+      }
+      report.triggered++;
+
+      const context = eventContext(event);
+      const conditionsMet = evaluateConditions(definition.conditions, context);
+      if (conditionsMet) {
+        report.wouldRun++;
+        definition.actions.forEach(action => {
+          report.actionCounts[action.type] = (report.actionCounts[action.type] || 0) + 1;
+        });
+      } else {
+        report.conditionsNotMet++;
+      }
+
+      if (report.runs.length >= MAX_REPLAY_RUNS) {
+        report.truncated = true;
+        continue;
+      }
+      report.runs.push({
+        at: event.timestamp,
+        event: event.type,
+        source: event.source,
+        reference: event.reference,
+        conditionsMet,
+        ...(!conditionsMet && { failedConditions: failedConditions(definition.conditions, context) }),
+        actions: conditionsMet ? definition.actions : []
+      });
+    }
+    return report;
+  }
+
+  // The recorded history a trigger would have seen in the window, oldest first
+  private async replayEvents(trigger: WorkflowTrigger, from: Date, to: Date): Promise<ReplayEvent[]> {
+    switch (trigger.type) {
+      case 'inventory_low': {
+        // Everything since `from`: stock levels are worked back from today's
+        const movements = await this.databaseService.find<any>('stock_movements', { timestamp: { $gte: from } });
+        const inventory = await this.databaseService.find<any>('inventory', {
+          id: { $in: Array.from(new Set(movements.map(movement => movement.inventoryId))) }
+        });
+        return inventoryEvents(movements, inventory, from, to);
+      }
+      case 'customer_order': {
+        const orders = await this.databaseService.find<any>('orders', { createdAt: { $gte: from, $lte: to } }, {
+          sort: { createdAt: 1 }
+        });
+        return orderEvents(orders);
+      }
+      case 'supplier_delay': {
+        const purchases = await this.databaseService.find<any>('purchases', { actualDelivery: { $lte: to } });
+        const suppliers = await this.databaseService.find<any>('suppliers', {
+          id: { $in: Array.from(new Set(purchases.map(purchase => purchase.supplierId))) }
+        });
+        return supplierDelayEvents(purchases, suppliers, from, to);
+      }
+      case 'scheduled': {
+        const company = await this.databaseService.findById<any>('companies', currentCompanyId() || DEFAULT_COMPANY_ID);
+        return scheduledEvents(trigger.config.schedule, from, to, resolveSettings(company).timezone, MAX_REPLAY_RUNS * 10);
+      }
+      default:
+        return [];
+    }
+  }
+
+  public async executeWorkflow(
+    workflowId: string,
+    context: any = {},
+    trigger: ExecutionTrigger = { type: 'manual' }
+  ): Promise<boolean> {
+    const execution = await this.runWorkflow(workflowId, context, trigger);
+    return execution?.status === 'succeeded';
+  }
+
+  // Runs a workflow under its lock and records the execution. Null when the workflow
+  // doesn't exist or is switched off.
+  public async runWorkflow(
+    workflowId: string,
+    context: any = {},
+    trigger: ExecutionTrigger = { type: 'manual' }
+  ): Promise<WorkflowExecution | null> {
+    if (!currentCompanyId()) {
+      return runAsCompany(DEFAULT_COMPANY_ID, () => this.runWorkflow(workflowId, context, trigger));
+    }
+    const workflow = (await this.workflowsFor()).get(workflowId);
     if (!workflow || !workflow.isActive) {
-      return false;
+      return null;
     }
 
+    const startedAt = new Date();
+    const execution = await this.databaseService.create<WorkflowExecution>('automation_executions', {
+      id: this.generateId('wfx'),
+      workflowId,
+      workflowName: workflow.name,
+      workflowVersion: workflow.version,
+      trigger,
+      status: 'running',
+      inputs: this.recordable(context),
+      actions: [],
+      startedAt
+    });
+
+    const runKey = `${currentCompanyId()}:${workflowId}`;
+    if (this.running.has(runKey) || !(await this.acquireLock(workflowId, execution.id))) {
+      return this.finishExecution(execution, 'skipped', 'Already running');
+    }
+    this.running.add(runKey);
+
     try {
       // Check conditions
-      const conditionsMet = await this.evaluateConditions(workflow.conditions, context);
+      const conditionsMet = evaluateConditions(workflow.conditions, context);
       if (!conditionsMet) {
-        return false;
+        return await this.finishExecution(execution, 'conditions_not_met');
       }
 
-      // Execute actions in sequence
+      // Execute actions in sequence; actions see which execution they belong to
+      const actionContext = { ...context, workflowId, executionId: execution.id };
       for (const action of workflow.actions) {
-        await this.executeAction(action, context, workflow);
-        
+        const actionStarted = Date.now();
+        try {
+          const result = await this.executeAction(action, actionContext, workflow);
+          execution.actions.push({
+            type: action.type,
+            status: 'succeeded',
+            startedAt: new Date(actionStarted),
+            durationMs: Date.now() - actionStarted,
+            result: this.recordable(result)
+          });
+        } catch (error) {
+          execution.actions.push({
+            type: action.type,
+            status: 'failed',
+            startedAt: new Date(actionStarted),
+            durationMs: Date.now() - actionStarted,
+            error: error.message
+          });
+          throw error;
+        }
+
         // Apply delay if specified
         if (action.delay) {
           await new Promise(resolve => setTimeout(resolve, action.delay));
@@ -325,75 +689,66 @@ export class AutomationService extends EventEmitter {
       workflow.executionCount++;
       workflow.lastExecuted = new Date();
 
-      this.emit('workflow_executed', { workflowId, context, success: true });
-      return true;
+      const finished = await this.finishExecution(execution, 'succeeded');
+      this.emit('workflow_executed', { workflowId, executionId: execution.id, context, success: true, durationMs: finished.durationMs });
+      return finished;
 
     } catch (error) {
       console.error(`Workflow execution error for ${workflowId}:`, error);
-      this.emit('workflow_error', { workflowId, context, error: error.message });
-      return false;
+      const finished = await this.finishExecution(execution, 'failed', error.message);
+      this.emit('workflow_error', { workflowId, executionId: execution.id, context, error: error.message });
+      return finished;
+    } finally {
+      this.running.delete(runKey);
+      await this.releaseLock(workflowId, execution.id);
     }
   }
 
-  private async evaluateConditions(conditions: WorkflowCondition[], context: any): Promise<boolean> {
-    if (conditions.length === 0) return true;
-
-    let result = true;
-    let currentLogicalOp = 'AND';
-
-    for (const condition of conditions) {
-      const conditionResult = await this.evaluateCondition(condition, context);
-      
-      if (currentLogicalOp === 'AND') {
-        result = result && conditionResult;
-      } else {
-        result = result || conditionResult;
-      }
-
-      currentLogicalOp = condition.logicalOperator || 'AND';
+  public async listExecutions(filters: {
+    workflowId?: string;
+    status?: string;
+    from?: Date;
+    to?: Date;
+    limit?: number;
+  } = {}): Promise<WorkflowExecution[]> {
+    const query: any = {};
+    if (filters.workflowId) query.workflowId = filters.workflowId;
+    if (filters.status) query.status = filters.status;
+    if (filters.from || filters.to) {
+      query.startedAt = {
+        ...(filters.from && { $gte: filters.from }),
+        ...(filters.to && { $lte: filters.to })
+      };
     }
-
-    return result;
+    return this.databaseService.find<WorkflowExecution>('automation_executions', query, {
+      sort: { startedAt: -1 },
+      limit: Math.min(filters.limit || 50, 500)
+    });
   }
 
-  private async evaluateCondition(condition: WorkflowCondition, context: any): Promise<boolean> {
-    const fieldValue = this.getFieldValue(condition.field, context);
-    const expectedValue = condition.value;
-
-    switch (condition.operator) {
-      case 'equals':
-        return fieldValue === expectedValue;
-      case 'greater_than':
-        return fieldValue > expectedValue;
-      case 'less_than':
-        return fieldValue < expectedValue;
-      case 'contains':
-        if (Array.isArray(expectedValue)) {
-          return expectedValue.some(val => 
-            fieldValue?.toString().toLowerCase().includes(val.toLowerCase())
-          );
-        }
-        return fieldValue?.toString().toLowerCase().includes(expectedValue?.toLowerCase());
-      case 'not_empty':
-        return fieldValue !== null && fieldValue !== undefined && fieldValue !== '';
-      default:
-        return false;
-    }
+  public async getExecution(id: string): Promise<WorkflowExecution | null> {
+    return this.databaseService.findById<WorkflowExecution>('automation_executions', id);
   }
 
-  private getFieldValue(field: string, context: any): any {
-    const parts = field.split('.');
-    let value = context;
-    
-    for (const part of parts) {
-      if (value && typeof value === 'object') {
-        value = value[part];
-      } else {
-        return undefined;
-      }
-    }
-    
-    return value;
+  // The current company's scheduled workflows with when each last ran and runs next
+  public async getSchedules(): Promise<Array<WorkflowSchedule & { workflowName: string; isActive: boolean }>> {
+    const states = await this.databaseService.find<WorkflowSchedule>('automation_schedules', {});
+    return Array.from((await this.workflowsFor()).values())
+      .filter(workflow => workflow.trigger.type === 'scheduled')
+      .map(workflow => {
+        const state = states.find(candidate => candidate.workflowId === workflow.id);
+        return {
+          id: state?.id || '',
+          workflowId: workflow.id,
+          workflowName: workflow.name,
+          isActive: workflow.isActive,
+          schedule: workflow.trigger.config.schedule,
+          timezone: state?.timezone || '',
+          lastScheduledFor: state?.lastScheduledFor,
+          nextRunAt: state?.nextRunAt ?? null,
+          updatedAt: state?.updatedAt || workflow.createdAt
+        };
+      });
   }
 
   private async executeAction(action: WorkflowAction, context: any, workflow: WorkflowRule): Promise<any> {
@@ -411,7 +766,7 @@ export class AutomationService extends EventEmitter {
       case 'ai_analysis':
         return await this.executeAIAnalysis(action, context);
       case 'call_webhook':
-        return await this.executeWebhook(action, context);
+        return await this.executeWebhook(action, context, workflow);
       default:
         throw new Error(`Unknown action type: ${action.type}`);
     }
@@ -449,6 +804,7 @@ export class AutomationService extends EventEmitter {
       status: config.autoApprove ? 'approved' : 'draft',
       autoGenerated: true,
       workflowId: context.workflowId,
+      executionId: context.executionId,
       createdAt: new Date()
     };
 
@@ -578,78 +934,82 @@ export class AutomationService extends EventEmitter {
     }
   }
 
-  private async executeWebhook(action: WorkflowAction, context: any): Promise<any> {
-    // Webhook execution logic
-    console.log('Calling webhook:', action.config.url, context);
-    return { called: true, timestamp: new Date() };
+  // One signed request per run; a failure fails the action like any other
+  private async executeWebhook(action: WorkflowAction, context: any, workflow: WorkflowRule): Promise<any> {
+    const response = await sendWebhookRequest({
+      url: action.config.url,
+      method: action.config.method || 'POST',
+      secret: action.config.secret,
+      body: JSON.stringify({
+        workflowId: workflow.id,
+        workflowName: workflow.name,
+        companyId: currentCompanyId() || DEFAULT_COMPANY_ID,
+        context,
+        timestamp: new Date().toISOString()
+      }),
+      headers: { 'X-Webhook-Event': 'workflow.action' }
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook to ${action.config.url} failed: ${response.error}`);
+    }
+    return { called: true, statusCode: response.statusCode, durationMs: response.durationMs, timestamp: new Date() };
   }
 
   private calculateDueDate(dueDateConfig: string): Date {
     const now = new Date();
     const parts = dueDateConfig.split('_');
     const amount = parseInt(parts[0]);
-    const unit = parts[1];
+    const unit = parts[1]?.replace(/s$/, ''); // 1_week or 2_weeks
 
     switch (unit) {
-      case 'hours':
+      case 'hour':
         return new Date(now.getTime() + amount * 60 * 60 * 1000);
-      case 'days':
+      case 'day':
         return new Date(now.getTime() + amount * 24 * 60 * 60 * 1000);
-      case 'weeks':
+      case 'week':
         return new Date(now.getTime() + amount * 7 * 24 * 60 * 60 * 1000);
       default:
         return new Date(now.getTime() + 24 * 60 * 60 * 1000); // Default 1 day
     }
   }
 
-  private processEventTriggers(event: any) {
-    this.workflows.forEach((workflow, id) => {
-      if (workflow.isActive && this.matchesTrigger(workflow.trigger, event)) {
-        this.executionQueue.push({ workflowId: id, context: event });
+  // Events carry the company they happened in; conditions see the event's data
+  private async processEventTriggers(event: any) {
+    const companyId = event.companyId || DEFAULT_COMPANY_ID;
+    const workflows = await this.workflowsFor(companyId);
+    workflows.forEach((workflow, id) => {
+      if (workflow.isActive && matchesTrigger(workflow.trigger, event)) {
+        this.enqueue(id, eventContext(event), { type: workflow.trigger.type, event: event.type }, companyId);
       }
     });
   }
 
-  private processAIInsightTriggers(insight: any) {
-    this.workflows.forEach((workflow, id) => {
+  private enqueue(workflowId: string, context: any, trigger: ExecutionTrigger, companyId: string = currentCompanyId() || DEFAULT_COMPANY_ID) {
+    this.executionQueue.push({ workflowId, context, trigger, companyId });
+  }
+
+  private async processAIInsightTriggers(insight: any) {
+    (await this.workflowsFor()).forEach((workflow, id) => {
       if (workflow.isActive && 
           workflow.trigger.type === 'ai_insight' &&
           workflow.trigger.config.insightType === insight.type) {
-        this.executionQueue.push({ 
-          workflowId: id, 
-          context: { ...insight.data, insight } 
-        });
+        this.enqueue(id, { ...insight.data, insight }, { type: 'ai_insight', event: insight.type });
       }
     });
   }
 
-  private processCriticalAlert(alert: any) {
+  private async processCriticalAlert(alert: any) {
     // High-priority processing for critical alerts
-    this.workflows.forEach((workflow, id) => {
+    (await this.workflowsFor()).forEach((workflow, id) => {
       if (workflow.isActive && 
           workflow.priority >= 8 && 
-          this.matchesTrigger(workflow.trigger, { type: 'alert', data: alert })) {
+          matchesTrigger(workflow.trigger, { type: 'alert', data: alert })) {
         // Execute immediately for critical workflows
-        this.executeWorkflow(id, { ...alert.data, alert });
+        this.executeWorkflow(id, { ...alert.data, alert }, { type: workflow.trigger.type, event: 'alert' });
       }
     });
   }
 
-  private matchesTrigger(trigger: WorkflowTrigger, event: any): boolean {
-    switch (trigger.type) {
-      case 'inventory_low':
-        return event.type === 'inventory_update' && event.data.quantityChange < 0;
-      case 'customer_order':
-        return event.type === 'order_created' && event.data.type === 'sales_order';
-      case 'price_change':
-        return event.type === 'market_update';
-      case 'ai_insight':
-        return event.type === 'ai_insight';
-      default:
-        return false;
-    }
-  }
-
   private async processExecutionQueue() {
     if (this.isProcessing || this.executionQueue.length === 0) {
       return;
@@ -658,12 +1018,20 @@ export class AutomationService extends EventEmitter {
     this.isProcessing = true;
 
     try {
-      // Process up to 5 workflows at a time
-      const batch = this.executionQueue.splice(0, 5);
-      
+      // Process up to 5 workflows at a time. A workflow already running here waits
+      // in the queue for its turn rather than being recorded as skipped.
+      const batch: typeof this.executionQueue = [];
+      const waiting: typeof this.executionQueue = [];
+      for (const item of this.executionQueue.splice(0)) {
+        const runKey = `${item.companyId}:${item.workflowId}`;
+        const busy = this.running.has(runKey) || batch.some(queued => `${queued.companyId}:${queued.workflowId}` === runKey);
+        (batch.length < 5 && !busy ? batch : waiting).push(item);
+      }
+      this.executionQueue.unshift(...waiting);
+
       await Promise.all(
-        batch.map(({ workflowId, context }) => 
-          this.executeWorkflow(workflowId, context)
+        batch.map(({ workflowId, context, trigger, companyId }) =>
+          runAsCompany(companyId, () => this.runWorkflow(workflowId, context, trigger))
         )
       );
     } catch (error) {
@@ -673,42 +1041,186 @@ export class AutomationService extends EventEmitter {
     }
   }
 
-  private checkScheduledWorkflows() {
-    const now = new Date();
-    
-    this.workflows.forEach((workflow, id) => {
-      if (workflow.isActive && workflow.trigger.type === 'scheduled') {
-        // Simple cron-like scheduling check
-        const schedule = workflow.trigger.config.schedule;
-        if (this.shouldExecuteScheduled(schedule, now, workflow.lastExecuted)) {
-          this.executionQueue.push({ workflowId: id, context: { scheduledExecution: true } });
-        }
+  // Scheduled workflows run for each company on the company's own clock
+  public async checkScheduledWorkflows(now: Date = new Date()): Promise<void> {
+    if (this.isCheckingSchedules) {
+      return;
+    }
+    this.isCheckingSchedules = true;
+
+    try {
+      await this.databaseService.whenReady();
+      const companies = await this.databaseService.find<any>('companies', { isActive: true });
+      for (const company of companies) {
+        const { timezone } = resolveSettings(company);
+        await runAsCompany(company.id, () => this.checkCompanySchedules(timezone, now));
       }
+    } finally {
+      this.isCheckingSchedules = false;
+    }
+  }
+
+  private async checkCompanySchedules(timezone: string, now: Date): Promise<void> {
+    for (const workflow of (await this.workflowsFor()).values()) {
+      if (!workflow.isActive || workflow.trigger.type !== 'scheduled') {
+        continue;
+      }
+
+      const config: ScheduleConfig = workflow.trigger.config;
+      const due = await this.claimDueRuns(workflow.id, config.schedule, timezone, now);
+      if (due.length === 0) {
+        continue;
+      }
+
+      const missed = due.filter(time => now.getTime() - time.getTime() > SCHEDULE_GRACE_MS);
+      const onTime = due.filter(time => !missed.includes(time));
+      const catchUp = config.missedRuns === 'catch_up' ? missed.slice(-(config.maxCatchUp ?? DEFAULT_MAX_CATCH_UP)) : [];
+      const skipped = missed.filter(time => !catchUp.includes(time));
+
+      if (skipped.length > 0) {
+        await this.recordSkipped(workflow, skipped, `${skipped.length} scheduled run(s) missed while the scheduler was not running`);
+      }
+      for (const scheduledFor of catchUp) {
+        await this.runWorkflow(workflow.id, { scheduledExecution: true, scheduledFor }, {
+          type: 'scheduled',
+          scheduledFor,
+          catchUp: true
+        });
+      }
+      // Several on-time runs only happen with schedules more frequent than the check
+      if (onTime.length > 0) {
+        const scheduledFor = onTime[onTime.length - 1];
+        await this.runWorkflow(workflow.id, { scheduledExecution: true, scheduledFor }, { type: 'scheduled', scheduledFor });
+      }
+    }
+  }
+
+  // Moves the workflow's schedule past `now` and returns the run times that came due.
+  // Done in a transaction so two servers checking at once can't both claim a run.
+  private async claimDueRuns(workflowId: string, schedule: string, timezone: string, now: Date): Promise<Date[]> {
+    try {
+      return await this.databaseService.transaction(async tx => {
+        const state = await tx.findOne<WorkflowSchedule>('automation_schedules', { workflowId });
+
+        // A new or changed schedule starts from now rather than from the old one's runs
+        if (!state || state.schedule !== schedule || state.timezone !== timezone) {
+          const fields = { schedule, timezone, nextRunAt: nextRun(schedule, now, timezone), updatedAt: now };
+          if (state) {
+            await tx.update<WorkflowSchedule>('automation_schedules', state.id, fields);
+          } else {
+            await tx.create<WorkflowSchedule>('automation_schedules', { id: this.generateId('wfs'), workflowId, ...fields });
+          }
+          return [];
+        }
+        if (!state.nextRunAt || new Date(state.nextRunAt) > now) {
+          return [];
+        }
+
+        const first = new Date(state.nextRunAt);
+        const due = [first, ...runsBetween(schedule, first, now, timezone)];
+        await tx.update<WorkflowSchedule>('automation_schedules', state.id, {
+          lastScheduledFor: due[due.length - 1],
+          nextRunAt: nextRun(schedule, now, timezone),
+          updatedAt: now
+        });
+        return due;
+      });
+    } catch (error) {
+      console.error(`Could not claim scheduled runs of ${workflowId}:`, error.message);
+      return [];
+    }
+  }
+
+  private async recordSkipped(workflow: WorkflowRule, skipped: Date[], reason: string): Promise<void> {
+    const now = new Date();
+    await this.databaseService.create<WorkflowExecution>('automation_executions', {
+      id: this.generateId('wfx'),
+      workflowId: workflow.id,
+      workflowName: workflow.name,
+      workflowVersion: workflow.version,
+      trigger: { type: 'scheduled', scheduledFor: skipped[skipped.length - 1], missedRuns: skipped.length },
+      status: 'skipped',
+      inputs: { missed: skipped },
+      actions: [],
+      startedAt: now,
+      finishedAt: now,
+      durationMs: 0,
+      error: reason
     });
   }
 
-  private shouldExecuteScheduled(schedule: string, now: Date, lastExecuted?: Date): boolean {
-    // Simple implementation - in production, use a proper cron library
-    if (!lastExecuted) return true;
-    
-    const hoursSinceLastExecution = (now.getTime() - lastExecuted.getTime()) / (1000 * 60 * 60);
-    
-    // Daily schedule
-    if (schedule.includes('9 * * *') && hoursSinceLastExecution >= 24) {
-      return now.getHours() === 9;
+  private async finishExecution(
+    execution: WorkflowExecution,
+    status: WorkflowExecution['status'],
+    error?: string
+  ): Promise<WorkflowExecution> {
+    const finishedAt = new Date();
+    return this.databaseService.update<WorkflowExecution>('automation_executions', execution.id, {
+      status,
+      actions: execution.actions,
+      finishedAt,
+      durationMs: finishedAt.getTime() - new Date(execution.startedAt).getTime(),
+      ...(error && { error })
+    });
+  }
+
+  // Held in storage so a workflow doesn't run twice at once even across servers; a
+  // lock left by a crashed process expires after LOCK_TTL_MS
+  private async acquireLock(workflowId: string, executionId: string): Promise<boolean> {
+    try {
+      return await this.databaseService.transaction(async tx => {
+        const now = new Date();
+        const lock = await tx.findOne<WorkflowLock>('automation_locks', { workflowId });
+        if (lock && new Date(lock.lockedUntil) > now) {
+          return false;
+        }
+
+        const fields = { executionId, lockedAt: now, lockedUntil: new Date(now.getTime() + LOCK_TTL_MS) };
+        if (lock) {
+          await tx.update<WorkflowLock>('automation_locks', lock.id, fields);
+        } else {
+          await tx.create<WorkflowLock>('automation_locks', { id: this.generateId('wfl'), workflowId, ...fields });
+        }
+        return true;
+      });
+    } catch (error) {
+      // Another server took the lock between our read and write
+      return false;
     }
-    
-    // Quarterly schedule
-    if (schedule.includes('0 1 */3 *') && hoursSinceLastExecution >= 24 * 90) {
-      return now.getDate() === 1;
+  }
+
+  private async releaseLock(workflowId: string, executionId: string): Promise<void> {
+    const lock = await this.databaseService.findOne<WorkflowLock>('automation_locks', { workflowId, executionId });
+    if (lock) {
+      await this.databaseService.update<WorkflowLock>('automation_locks', lock.id, { lockedUntil: new Date() });
     }
-    
-    return false;
+  }
+
+  // JSON-safe copy for the history, cut short when large
+  private recordable(value: any): any {
+    try {
+      const json = JSON.stringify(value ?? null);
+      if (json.length > MAX_RECORDED_CHARS) {
+        return { truncated: true, preview: json.slice(0, MAX_RECORDED_CHARS) };
+      }
+      return JSON.parse(json);
+    } catch {
+      return { unrecordable: String(value) };
+    }
+  }
+
+  private generateId(prefix: string): string {
+    return prefix + '_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  }
+
+  // Workflows as loaded in this process, across companies
+  private loadedWorkflows(): WorkflowRule[] {
+    return Array.from(this.companyWorkflows.values()).flatMap(({ workflows }) => Array.from(workflows.values()));
   }
 
   private optimizeWorkflows() {
     // Analyze workflow performance and optimize
-    this.workflows.forEach((workflow) => {
+    this.loadedWorkflows().forEach((workflow) => {
       if (workflow.executionCount > 100 && workflow.lastExecuted) {
         const daysSinceCreated = (Date.now() - workflow.createdAt.getTime()) / (1000 * 60 * 60 * 24);
         const executionsPerDay = workflow.executionCount / daysSinceCreated;
@@ -726,10 +1238,11 @@ export class AutomationService extends EventEmitter {
   }
 
   public getWorkflowStats(): any {
+    const workflows = this.loadedWorkflows();
     const stats = {
-      totalWorkflows: this.workflows.size,
-      activeWorkflows: Array.from(this.workflows.values()).filter(w => w.isActive).length,
-      totalExecutions: Array.from(this.workflows.values()).reduce((sum, w) => sum + w.executionCount, 0),
+      totalWorkflows: workflows.length,
+      activeWorkflows: workflows.filter(w => w.isActive).length,
+      totalExecutions: workflows.reduce((sum, w) => sum + w.executionCount, 0),
       queueSize: this.executionQueue.length,
       averageExecutionsPerWorkflow: 0
     };
@@ -740,18 +1253,4 @@ export class AutomationService extends EventEmitter {
 
     return stats;
   }
-
-  public getWorkflows(): WorkflowRule[] {
-    return Array.from(this.workflows.values());
-  }
-
-  public toggleWorkflow(workflowId: string): boolean {
-    const workflow = this.workflows.get(workflowId);
-    if (workflow) {
-      workflow.isActive = !workflow.isActive;
-      this.emit('workflow_toggled', { workflowId, isActive: workflow.isActive });
-      return workflow.isActive;
-    }
-    return false;
-  }
 }
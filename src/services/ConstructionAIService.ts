@@ -2,6 +2,7 @@
 import { Injectable } from '@varld/warp';
 import { OpenAI } from 'openai';
 import { AIOrchestrator } from './AIOrchestrator';
+import { PricingService, PriceProposal } from '../../services/PricingService';
 
 export interface ConstructionMarketData {
   materialCategory: string;
@@ -46,7 +47,7 @@ export class ConstructionAIService {
   private marketDataCache: Map<string, ConstructionMarketData> = new Map();
   private priceModels: Map<string, any> = new Map();
 
-  constructor() {
+  constructor(private pricingService?: PricingService) {
     this.openai = new OpenAI({
       apiKey: process.env.OPENAI_API_KEY || ''
     });
@@ -84,6 +85,33 @@ export class ConstructionAIService {
     return recommendations;
   }
 
+  // Sends recommendations into a price list as proposals for someone to approve, rather
+  // than changing prices directly. Low-confidence and no-change recommendations are dropped.
+  async proposePricingChanges(
+    priceListId: string,
+    productIds: string[],
+    minConfidence: number = 0.6
+  ): Promise<{ recommendations: SmartPricingRecommendation[]; proposals: PriceProposal[] }> {
+    if (!this.pricingService) {
+      throw new Error('Pricing is not configured');
+    }
+
+    const recommendations = await this.generateSmartPricingRecommendations(productIds);
+    const changes = recommendations
+      .filter(rec => rec.confidence >= minConfidence && rec.recommendedPrice !== rec.currentPrice)
+      .map(rec => ({
+        productId: rec.productId,
+        proposedPrice: rec.recommendedPrice,
+        reasoning: rec.reasoning,
+        confidence: rec.confidence
+      }));
+
+    const proposals = changes.length > 0
+      ? await this.pricingService.proposePrices(priceListId, changes, 'ai')
+      : [];
+    return { recommendations, proposals };
+  }
+
   private async generatePricingRecommendation(productId: string): Promise<SmartPricingRecommendation> {
     // Simulate product data retrieval
     const product = await this.getProductData(productId);
@@ -2,6 +2,7 @@
 import { Injectable } from '@varld/warp';
 import { EventEmitter } from 'events';
 import { OpenAI } from 'openai';
+import { ConditionDefinition, evaluateCondition, getFieldValue } from '../../services/automation/WorkflowDefinitions';
 
 export interface WorkflowRule {
   id: string;
@@ -389,25 +390,12 @@ export class IntelligentAutomationEngine extends EventEmitter {
     return { passed: true };
   }
 
+  // Plain comparisons are evaluated the same way as in declarative workflows
   private async evaluateCondition(condition: WorkflowCondition, context: any): Promise<boolean> {
-    const value = this.getValueFromContext(condition.field, context);
-
-    switch (condition.operator) {
-      case 'equals':
-        return value === condition.value;
-      case 'not_equals':
-        return value !== condition.value;
-      case 'greater_than':
-        return value > condition.value;
-      case 'less_than':
-        return value < condition.value;
-      case 'contains':
-        return String(value).includes(String(condition.value));
-      case 'ai_suggests':
-        return await this.aiEvaluateCondition(condition, value, context);
-      default:
-        return false;
+    if (condition.operator === 'ai_suggests') {
+      return await this.aiEvaluateCondition(condition, getFieldValue(condition.field, context), context);
     }
+    return evaluateCondition(condition as ConditionDefinition, context);
   }
 
   private async aiEvaluateCondition(condition: WorkflowCondition, value: any, context: any): Promise<boolean> {
@@ -557,18 +545,6 @@ export class IntelligentAutomationEngine extends EventEmitter {
     workflow.lastModified = new Date();
   }
 
-  private getValueFromContext(field: string, context: any): any {
-    const parts = field.split('.');
-    let value = context;
-    
-    for (const part of parts) {
-      value = value?.[part];
-      if (value === undefined) break;
-    }
-    
-    return value;
-  }
-
   private async applyOptimization(workflowId: string, optimization: ProcessOptimization): Promise<void> {
     // Apply AI-recommended optimizations to workflows
     console.log(`Applying optimization to workflow ${workflowId}:`, optimization.recommendations);
@@ -4,6 +4,10 @@ import { Server as SocketIOServer, Socket } from 'socket.io';
 import { Server as HttpServer } from 'http';
 import { AIOrchestrator } from './AIOrchestrator';
 import { EventEmitter } from 'events';
+import { AuthService } from '../../services/AuthService';
+import { hasPermission, Role } from '../../services/auth/permissions';
+import { currentCompanyId } from '../../services/auth/RequestContext';
+import { DEFAULT_COMPANY_ID } from '../../services/storage/TenantScope';
 
 export interface RealTimeEvent {
   type: 'inventory_update' | 'order_created' | 'ai_insight' | 'alert' | 'market_update' | 'system_notification';
@@ -21,9 +25,21 @@ export class RealTimeService extends EventEmitter {
   private userSubscriptions: Map<string, Set<string>> = new Map();
   private eventBuffer: Map<string, RealTimeEvent[]> = new Map();
 
+  // Event types that carry no company data and go to every company
+  private static readonly GLOBAL_EVENT_TYPES = new Set<RealTimeEvent['type']>(['market_update']);
+
+  // Permission each socket action needs, checked against the authenticated user's role
+  private static readonly ACTION_PERMISSIONS: Record<string, string> = {
+    reorder_product: 'purchases:write',
+    update_price: 'products:write',
+    send_alert: 'notifications:send',
+    update_customer_status: 'customers:write'
+  };
+
   constructor(
     private aiOrchestrator: AIOrchestrator,
-    server?: HttpServer
+    server?: HttpServer,
+    private authService?: AuthService
   ) {
     super();
     
@@ -43,25 +59,24 @@ export class RealTimeService extends EventEmitter {
       transports: ['websocket', 'polling']
     });
 
-    this.io.on('connection', (socket: Socket) => {
+    this.io.on('connection', async (socket: Socket) => {
       console.log(`Client connected: ${socket.id}`);
       this.handleClientConnection(socket);
+
+      // Clients may authenticate up front with io(url, { auth: { token } })
+      const token = socket.handshake.auth?.token;
+      if (token) {
+        await this.authenticateSocket(socket, token, socket.handshake.auth?.companyId);
+      }
     });
   }
 
   private handleClientConnection(socket: Socket) {
     this.connectedClients.set(socket.id, socket);
 
-    // Handle authentication and user identification
-    socket.on('authenticate', (data: { userId: string, companyId: string, role: string }) => {
-      socket.data.userId = data.userId;
-      socket.data.companyId = data.companyId;
-      socket.data.role = data.role;
-      
-      // Send buffered events for this user
-      this.sendBufferedEvents(socket);
-      
-      console.log(`User authenticated: ${data.userId} (${data.role})`);
+    // Handle authentication: identity and role come from the access token, never the client
+    socket.on('authenticate', async (data: { token: string, companyId?: string }) => {
+      await this.authenticateSocket(socket, data?.token, data?.companyId);
     });
 
     // Handle subscription to specific event types
@@ -86,6 +101,7 @@ export class RealTimeService extends EventEmitter {
     // Handle AI query requests
     socket.on('ai_query', async (query: { type: string, context: any }) => {
       try {
+        this.assertSocketPermission(socket, 'ai:read');
         const result = await this.handleAIQuery(query, socket.data);
         socket.emit('ai_response', { success: true, data: result });
       } catch (error) {
@@ -96,6 +112,7 @@ export class RealTimeService extends EventEmitter {
     // Handle real-time action requests
     socket.on('action_request', async (action: { type: string, payload: any }) => {
       try {
+        this.assertSocketPermission(socket, RealTimeService.ACTION_PERMISSIONS[action.type] || 'admin:actions');
         const result = await this.handleActionRequest(action, socket.data);
         socket.emit('action_response', { success: true, data: result });
         
@@ -122,6 +139,48 @@ export class RealTimeService extends EventEmitter {
     });
   }
 
+  private async authenticateSocket(socket: Socket, token: string, companyId?: string) {
+    try {
+      if (!this.authService) {
+        throw new Error('Authentication is not configured');
+      }
+      if (!token) {
+        throw new Error('token is required');
+      }
+
+      // The company comes from the token; a client naming another company is refused
+      const user = await this.authService.authenticateToken(token);
+      if (companyId && companyId !== user.companyId) {
+        throw new Error('Token does not belong to the requested company');
+      }
+      socket.data.userId = user.id;
+      socket.data.role = user.role;
+      socket.data.name = user.name;
+      socket.data.companyId = user.companyId;
+
+      socket.emit('authenticated', { userId: user.id, name: user.name, role: user.role });
+
+      // Send buffered events for this user
+      this.sendBufferedEvents(socket);
+
+      console.log(`User authenticated: ${user.id} (${user.role})`);
+    } catch (error) {
+      delete socket.data.userId;
+      delete socket.data.role;
+      delete socket.data.companyId;
+      socket.emit('authentication_error', { success: false, error: error.message });
+    }
+  }
+
+  private assertSocketPermission(socket: Socket, permission: string) {
+    if (!socket.data.userId) {
+      throw new Error('Authentication required');
+    }
+    if (!hasPermission(socket.data.role as Role, permission)) {
+      throw new Error(`Role ${socket.data.role} is missing permission ${permission}`);
+    }
+  }
+
   private setupAIEventHandlers() {
     this.aiOrchestrator.on('insights_updated', (insights) => {
       this.broadcastEvent({
@@ -195,6 +254,8 @@ export class RealTimeService extends EventEmitter {
   }
 
   public broadcastEvent(event: RealTimeEvent) {
+    event = this.withCompany(event);
+
     // Buffer the event for users who might connect later
     this.bufferEvent(event);
 
@@ -214,7 +275,7 @@ export class RealTimeService extends EventEmitter {
     if (!socket.data.userId) return false;
 
     // Check company scope
-    if (event.companyId && socket.data.companyId !== event.companyId) return false;
+    if (event.companyId ? socket.data.companyId !== event.companyId : !this.isGlobalEvent(event)) return false;
 
     // Check user scope
     if (event.userId && socket.data.userId !== event.userId) return false;
@@ -229,6 +290,17 @@ export class RealTimeService extends EventEmitter {
     return true;
   }
 
+  // Company data events raised without a company belong to the one in the current
+  // request, or the default company for background work
+  private withCompany(event: RealTimeEvent): RealTimeEvent {
+    if (event.companyId || this.isGlobalEvent(event)) return event;
+    return { ...event, companyId: currentCompanyId() || DEFAULT_COMPANY_ID };
+  }
+
+  private isGlobalEvent(event: RealTimeEvent): boolean {
+    return RealTimeService.GLOBAL_EVENT_TYPES.has(event.type);
+  }
+
   private bufferEvent(event: RealTimeEvent) {
     const key = event.companyId || 'global';
     if (!this.eventBuffer.has(key)) {
@@ -245,8 +317,10 @@ export class RealTimeService extends EventEmitter {
   }
 
   private sendBufferedEvents(socket: Socket) {
-    const companyId = socket.data.companyId;
-    const buffer = this.eventBuffer.get(companyId) || this.eventBuffer.get('global') || [];
+    const buffer = [
+      ...(this.eventBuffer.get(socket.data.companyId) || []),
+      ...(this.eventBuffer.get('global') || [])
+    ].sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
     
     // Send last 10 relevant events
     const recentEvents = buffer